@@ -14,6 +14,8 @@ import { NoSubscription } from '../imports/ui/pages/NoSubscription.js';
 import { SessionExpired } from '../imports/ui/pages/SessionExpired.js';
 import { SsoCallback } from '../imports/ui/pages/SsoCallback.js';
 import { BabylonPage } from '../imports/ui/pages/BabylonPage.js';
+import { LobbyPage } from '../imports/ui/pages/LobbyPage.js';
+import { ProfilePage } from '../imports/ui/pages/ProfilePage.js';
 
 // Import collections for subscriptions
 import '../imports/lib/collections/chatMessages.js';
@@ -58,6 +60,22 @@ function layoutRoute(component, attrs = {}) {
   };
 }
 
+// Lobby routes share one resolver so moving from /lobby to /lobby/:code
+// (after creating or joining a room) keeps the same LobbyPage instance
+const lobbyRoute = {
+  render(vnode) {
+    return m(Layout, m(LobbyPage, { code: vnode.attrs.code }));
+  }
+};
+
+// Keyed by user so following a link from one profile to another starts afresh
+const profileRoute = {
+  render(vnode) {
+    const userId = vnode.attrs.userId;
+    return m(Layout, m(ProfilePage, { key: userId || 'me', userId }));
+  }
+};
+
 // Initialize Mithril routing
 function initializeApp() {
   const root = document.getElementById('app');
@@ -76,6 +94,32 @@ function initializeApp() {
         return m(Layout, m(HomePage));
       }
     },
+    '/lobby': lobbyRoute,
+    '/lobby/:code': lobbyRoute,
+    '/profile': profileRoute,
+    '/profile/:userId': profileRoute,
+    '/room/:roomId': {
+      render(vnode) {
+        if (Meteor.loggingIn()) {
+          return m('div.loading');
+        }
+        if (Meteor.userId()) {
+          return m(BabylonPage, { key: vnode.attrs.roomId, roomId: vnode.attrs.roomId });
+        }
+        return m(Layout, m(HomePage));
+      }
+    },
+    '/watch/:roomId': {
+      render(vnode) {
+        if (Meteor.loggingIn()) {
+          return m('div.loading');
+        }
+        if (Meteor.userId()) {
+          return m(BabylonPage, { key: 'watch-' + vnode.attrs.roomId, spectateRoomId: vnode.attrs.roomId, spectateCode: vnode.attrs.code });
+        }
+        return m(Layout, m(HomePage));
+      }
+    },
     '/not-logged-in': layoutRoute(NotLoggedIn),
     '/no-subscription': layoutRoute(NoSubscription),
     '/session-expired': layoutRoute(SessionExpired),
@@ -0,0 +1,280 @@
+// Bot AI — drives a knight in a human player slot.
+// Returns { left, right, flap } like EnemyAI, but plays like a person:
+// joust the nearest enemy from above (other knights too in PvP), grab eggs
+// before they hatch, keep clear of pterodactyls and stay out of the lava.
+// Difficulty sets how long the bot takes to react, how fast it can flap and
+// how often it fumbles a decision.
+// Every peer runs the same bot from the same serialized state (B_* in
+// stateLayout.js), so bot inputs are never sent over the network.
+// All randomness flows through the DeterministicRNG passed to decide().
+// All timers are frame counts (integers). All thresholds are FP integers.
+
+import { EnemyAI } from './EnemyAI.js';
+import { ENEMY_TYPE_PTERODACTYL } from './scoring.js';
+import { FP_SCALE, MAX_HUMANS } from './physics/stateLayout.js';
+import {
+  FP_FEET_OFFSET, FP_HEAD_OFFSET, FP_FLAP_IMPULSE, FP_ORTHO_WIDTH, FP_ORTHO_TOP,
+} from './physics/constants.js';
+
+// Difficulty levels (rules.botLevel)
+export const BOT_EASY = 1;
+export const BOT_NORMAL = 2;
+export const BOT_HARD = 3;
+
+// Per-level tuning, indexed by level (index 0 unused)
+const REACTION_FRAMES = [0, 18, 10, 4];       // frames between rethinks
+const FLAP_INTERVAL = [0, 14, 10, 7];         // fewest frames between flaps
+const MISTAKE_PERCENT = [0, 20, 8, 2];        // chance a rethink goes the wrong way
+const FP_LAVA_MARGIN = [0, Math.round(1.5 * FP_SCALE), Math.round(2.5 * FP_SCALE), Math.round(3.0 * FP_SCALE)];
+
+// Bot modes, held in _mode
+const MODE_WANDER = 0;
+const MODE_JOUST = 1;
+const MODE_EGG = 2;
+const MODE_EVADE = 3;
+
+// Frames a bot sticks with a target before looking for a better one
+const COMMIT_FRAMES = 60;
+
+// Lava emergency: flap this often however slow the bot is
+const PANIC_FLAP_INTERVAL = 3;
+
+// FP thresholds (precomputed)
+const FP_STEER_TOLERANCE = Math.round(0.25 * FP_SCALE);  // 64
+const FP_JOUST_ABOVE = Math.round(1.75 * FP_SCALE);     // 448 — height to hold over a target
+const FP_STRIKE_RANGE = Math.round(1.5 * FP_SCALE);      // 384 — close enough to dive
+const FP_STRIKE_ABOVE = Math.round(0.4 * FP_SCALE);      // 102 — clear of the joust deadzone
+const FP_KEEP_AWAY = Math.round(2.5 * FP_SCALE);         // 640 — room to climb before closing in
+const FP_BOT_CEILING = FP_ORTHO_TOP - FP_HEAD_OFFSET - Math.round(0.25 * FP_SCALE); // no flapping into the roof
+const FP_DROP_BELOW = Math.round(1.0 * FP_SCALE);        // 256 — goal this far down: leave the ledge
+const FP_EVADE_RANGE = Math.round(5.0 * FP_SCALE);       // 1280 — pterodactyl too close
+const FP_EVADE_CLEARANCE = Math.round(2.0 * FP_SCALE);   // 512 — height to put between us
+const FP_EGG_RANGE = Math.round(3.0 * FP_SCALE);         // 768 — always worth the detour
+const FP_WANDER_ABOVE = Math.round(1.0 * FP_SCALE);      // 256 — hover over the wander platform
+
+// Horizontal distance from `fromX` to `toX`, the short way round when edges wrap
+function wrapDx(fromX, toX, wrapEdges) {
+  let dx = toX - fromX;
+  const halfWidth = FP_ORTHO_WIDTH >> 1;
+  if (wrapEdges && dx > halfWidth) {
+    dx -= FP_ORTHO_WIDTH;
+  } else if (wrapEdges && dx < -halfWidth) {
+    dx += FP_ORTHO_WIDTH;
+  }
+  return dx;
+}
+
+// Can a knight be unhorsed right now?
+function isJoustable(char) {
+  return char.active && !char.dead && !char.materializing && !char.invincible &&
+    char.playerState !== 'GRABBED';
+}
+
+export class BotAI extends EnemyAI {
+  /**
+   * @param {number} level — BOT_EASY, BOT_NORMAL or BOT_HARD
+   */
+  constructor(level) {
+    super(-1, 1, 0);             // enemyType -1 = human, as in C_ENEMY_TYPE
+    this.level = Math.min(Math.max(level, BOT_EASY), BOT_HARD);
+    // Field reuse: _dirTimer counts down to the next rethink, _currentDir is
+    // the held direction (-1/0/1), _flapAccum counts frames since the last
+    // flap, _phaseTimer is the target commitment countdown.
+    this._target = 0;            // char, egg or platform index for the current mode
+    this._mode = MODE_WANDER;
+  }
+
+  /**
+   * Decide this frame's input for a bot knight.
+   * @param {Object} bot — the bot's character state (FP integers)
+   * @param {{ slot: number, chars: Array, eggs: Array, pvp: boolean,
+   *   orthoBottomFP: number, platforms: Array, wrapEdges: boolean }} world
+   *   — the simulation's characters (0..3 humans, 4..11 enemies) and eggs
+   * @param {DeterministicRNG} rng — the simulation's PRNG
+   * @returns {{ left: boolean, right: boolean, flap: boolean }}
+   */
+  decide(bot, world, rng) {
+    this._flapAccum += 1;
+
+    // Grabbed by the Lava Troll — flap as fast as we can to break free
+    if (bot.playerState === 'GRABBED') {
+      return { left: false, right: false, flap: this._tryFlap(FLAP_INTERVAL[this.level]) };
+    }
+
+    if (this._phaseTimer > 0) {
+      this._phaseTimer -= 1;
+    }
+    this._dirTimer -= 1;
+    if (this._dirTimer <= 0) {
+      this._dirTimer = REACTION_FRAMES[this.level];
+      this._rethink(bot, world, rng);
+    }
+
+    let flap = false;
+    const goal = this._goal(bot, world);
+    if (goal && bot.positionY < goal.y && bot.positionY < FP_BOT_CEILING &&
+        bot.velocityY < (FP_FLAP_IMPULSE >> 1)) {
+      flap = this._tryFlap(FLAP_INTERVAL[this.level]);
+    }
+
+    // Lava avoidance — sooner on harder levels
+    if (!flap && bot.positionY < world.orthoBottomFP + FP_LAVA_MARGIN[this.level] && bot.velocityY <= 0) {
+      flap = this._tryFlap(PANIC_FLAP_INTERVAL);
+    }
+
+    return { left: this._currentDir < 0, right: this._currentDir > 0, flap };
+  }
+
+  // ---- Decisions (once per reaction window) ----
+
+  // Pick what to go after and which way to hold until the next rethink
+  _rethink(bot, world, rng) {
+    if (rng.nextInt(100) < MISTAKE_PERCENT[this.level]) {
+      // Fumble: head off the wrong way for a reaction window
+      this._currentDir = rng.nextInt(2) === 1 ? 1 : -1;
+      return;
+    }
+
+    const threat = this._findThreat(bot, world);
+    if (threat >= 0) {
+      this._mode = MODE_EVADE;
+      this._target = threat;
+    } else if (this._mode === MODE_EVADE || this._phaseTimer <= 0 || !this._goal(bot, world)) {
+      this._pickTarget(bot, world, rng);
+      this._phaseTimer = COMMIT_FRAMES;
+    }
+
+    const goal = this._goal(bot, world);
+    let dir = 0;
+    if (goal) {
+      const dx = wrapDx(bot.positionX, goal.x, world.wrapEdges);
+      const outclimbed = this._mode === MODE_JOUST &&
+        world.chars[this._target].positionY + FP_STRIKE_ABOVE > bot.positionY;
+      if (this._mode === MODE_EVADE || (outclimbed && Math.abs(dx) < FP_KEEP_AWAY)) {
+        // Run from a pterodactyl, or from a knight we can't get above yet
+        dir = dx > 0 ? -1 : 1;
+      } else if (dx > FP_STEER_TOLERANCE) {
+        dir = 1;
+      } else if (dx < -FP_STEER_TOLERANCE) {
+        dir = -1;
+      }
+
+      // Goal below the ledge we stand on — walk off its nearest edge
+      const ledge = bot.playerState === 'GROUNDED' && world.platforms ? world.platforms[bot.platformIndex] : null;
+      if (ledge && goal.y < bot.positionY - FP_DROP_BELOW && this._mode !== MODE_EVADE) {
+        dir = bot.positionX < ((ledge.left + ledge.right) >> 1) ? -1 : 1;
+      }
+    }
+    this._currentDir = dir;
+  }
+
+  // Nearest pterodactyl close enough to run from, or -1
+  _findThreat(bot, world) {
+    let threat = -1;
+    let closest = FP_EVADE_RANGE;
+    for (let i = MAX_HUMANS; i < world.chars.length; i++) {
+      const char = world.chars[i];
+      if (char.active && !char.dead && char.enemyType === ENEMY_TYPE_PTERODACTYL) {
+        const dist = Math.abs(wrapDx(bot.positionX, char.positionX, world.wrapEdges)) +
+          Math.abs(char.positionY - bot.positionY);
+        if (dist < closest) {
+          closest = dist;
+          threat = i;
+        }
+      }
+    }
+    return threat;
+  }
+
+  // Joust the nearest knight we can unhorse, unless an egg is nearer (or
+  // close enough to grab on the way); wander between platforms otherwise.
+  // In PvP the enemy birds come first: other players count as twice as far.
+  _pickTarget(bot, world, rng) {
+    let knight = -1;
+    let knightDist = 0x7FFFFFFF;
+    for (let i = 0; i < world.chars.length; i++) {
+      const char = world.chars[i];
+      const player = i < MAX_HUMANS;
+      const rival = player ? world.pvp && i !== world.slot : char.enemyType !== ENEMY_TYPE_PTERODACTYL;
+      if (rival && isJoustable(char)) {
+        const dist = this._distance(bot, char, world) * (player ? 2 : 1);
+        if (dist < knightDist) {
+          knightDist = dist;
+          knight = i;
+        }
+      }
+    }
+
+    let egg = -1;
+    let eggDist = 0x7FFFFFFF;
+    for (let i = 0; i < world.eggs.length; i++) {
+      const candidate = world.eggs[i];
+      if (candidate.active && candidate.positionY > world.orthoBottomFP + FP_LAVA_MARGIN[this.level]) {
+        const dist = this._distance(bot, candidate, world);
+        if (dist < eggDist) {
+          eggDist = dist;
+          egg = i;
+        }
+      }
+    }
+
+    if (egg >= 0 && (eggDist < knightDist || eggDist < FP_EGG_RANGE)) {
+      this._mode = MODE_EGG;
+      this._target = egg;
+    } else if (knight >= 0) {
+      this._mode = MODE_JOUST;
+      this._target = knight;
+    } else {
+      this._mode = MODE_WANDER;
+      this._target = this._pickTargetPlatform(rng, world.platforms);
+    }
+  }
+
+  // ---- Per-frame helpers ----
+
+  // Where the current mode wants us: { x, y } in FP, or null if the target is gone
+  _goal(bot, world) {
+    let goal = null;
+    const target = this._target;
+    if (this._mode === MODE_JOUST || this._mode === MODE_EVADE) {
+      const char = target >= 0 && target < world.chars.length ? world.chars[target] : null;
+      if (char && char.active && !char.dead) {
+        let y = char.positionY + FP_JOUST_ABOVE;
+        if (this._mode === MODE_EVADE) {
+          y = char.positionY < bot.positionY
+            ? char.positionY + FP_EVADE_CLEARANCE
+            : char.positionY - FP_EVADE_CLEARANCE;
+        } else if (Math.abs(wrapDx(bot.positionX, char.positionX, world.wrapEdges)) < FP_STRIKE_RANGE &&
+            bot.positionY > char.positionY) {
+          // Above and in range — drop onto them, still clear of a tie
+          y = char.positionY + FP_STRIKE_ABOVE;
+        }
+        goal = { x: char.positionX, y };
+      }
+    } else if (this._mode === MODE_EGG) {
+      const egg = target >= 0 && target < world.eggs.length ? world.eggs[target] : null;
+      if (egg && egg.active) {
+        goal = { x: egg.positionX, y: egg.positionY };
+      }
+    } else if (world.platforms && target >= 0 && target < world.platforms.length) {
+      const plat = world.platforms[target];
+      goal = { x: (plat.left + plat.right) >> 1, y: plat.top + FP_FEET_OFFSET + FP_WANDER_ABOVE };
+    }
+    return goal;
+  }
+
+  _distance(bot, other, world) {
+    return Math.abs(wrapDx(bot.positionX, other.positionX, world.wrapEdges)) +
+      Math.abs(other.positionY - bot.positionY);
+  }
+
+  // Flap if at least `interval` frames have passed since the last one
+  _tryFlap(interval) {
+    let flap = false;
+    if (this._flapAccum >= interval) {
+      this._flapAccum = 0;
+      flap = true;
+    }
+    return flap;
+  }
+}
@@ -1,17 +1,16 @@
 // Enemy AI — produces input decisions for enemy characters
 // Returns { left, right, flap } matching player input format.
-// Three behavior types: Bounder (random), Hunter (tracker), Shadow Lord (predator).
+// Knight types differ by their behavior profile (enemyProfiles.js): timing data
+// plus the attack function run during ATTACK.
 // Non-pterodactyl enemies use a 3-phase patrol state machine (PATROL → ATTACK → RETURN).
 // Pterodactyl AI is unchanged — 4-phase direct velocity control.
 // All randomness flows through the DeterministicRNG passed to decide().
 // All timers are frame counts (integers). All thresholds are FP integers.
 
-import {
-  ENEMY_TYPE_BOUNDER, ENEMY_TYPE_HUNTER, ENEMY_TYPE_SHADOW_LORD,
-  ENEMY_TYPE_PTERODACTYL,
-} from './scoring.js';
+import { ENEMY_TYPE_PTERODACTYL } from './scoring.js';
+import { getEnemyProfile } from './enemyProfiles.js';
 
-import { FP_SCALE, idiv10, velPerFrame } from './physics/stateLayout.js';
+import { FP_SCALE, velPerFrame } from './physics/stateLayout.js';
 import {
   FP_PTERO_SWOOP_SPEED, FP_PTERO_ENTER_SPEED,
   FP_PTERO_PULL_UP_SPEED, FP_PTERO_CIRCLE_SPEED,
@@ -22,25 +21,13 @@ import {
   FP_CHAR_HALF_WIDTH, FP_FEET_OFFSET, FP_HEAD_OFFSET,
   FP_ORTHO_WIDTH,
   FP_CEILING_AVOID,
+  FP_LAVA_AVOID, FP_FALL_SPEED_THRESHOLD, FP_FALL_SPEED_FAST,
   FP_RETURN_X_TOLERANCE, FP_RETURN_ABOVE_MARGIN,
   RETURN_TIMEOUT,
-  PATROL_MIN_BOUNDER, PATROL_RANGE_BOUNDER,
-  PATROL_MIN_HUNTER, PATROL_RANGE_HUNTER,
-  PATROL_MIN_SHADOW, PATROL_RANGE_SHADOW,
-  ATTACK_MIN_BOUNDER, ATTACK_RANGE_BOUNDER,
-  ATTACK_MIN_HUNTER, ATTACK_RANGE_HUNTER,
-  ATTACK_MIN_SHADOW, ATTACK_RANGE_SHADOW,
 } from './physics/constants.js';
 
 // FP thresholds (precomputed)
-const FP_DX_THRESHOLD = Math.round(0.5 * FP_SCALE);       // 128
-const FP_DX_THRESHOLD_SMALL = Math.round(0.3 * FP_SCALE);  // 77
 const FP_DY_THRESHOLD = Math.round(0.5 * FP_SCALE);        // 128
-const FP_DY_ABOVE_THRESHOLD = Math.round(2.0 * FP_SCALE);  // 512
-const FP_DY_NEAR_THRESHOLD = Math.round(0.5 * FP_SCALE);   // 128
-const FP_LAVA_AVOID = Math.round(2.5 * FP_SCALE);          // 640
-const FP_FALL_SPEED_THRESHOLD = Math.round(4.0 * FP_SCALE); // 1024
-const FP_FALL_SPEED_FAST = Math.round(5.0 * FP_SCALE);     // 1280
 
 // Patrol edge margin — reverse direction when center is this close to platform edge
 const FP_PATROL_EDGE_MARGIN = Math.round(1.0 * FP_SCALE);  // 256 FP = 1.0 world unit
@@ -48,12 +35,6 @@ const FP_PATROL_EDGE_MARGIN = Math.round(1.0 * FP_SCALE);  // 256 FP = 1.0 world
 // Return phase flap interval (frames between flap attempts)
 const RETURN_FLAP_INTERVAL = 10;
 
-// Frame-count timer intervals (attack phase)
-const DIR_CHANGE_FRAMES = 90;          // 1.5s * 60
-const BOUNDER_FLAP_INTERVAL = 12;     // 0.2s * 60
-const HUNTER_FLAP_INTERVAL = 9;       // 0.15s * 60
-const SHADOW_FLAP_INTERVAL = 7;       // 0.12s * 60
-
 // Pterodactyl AI phase constants
 const PTERO_PHASE_ENTER = 0;
 const PTERO_PHASE_SWOOP = 1;
@@ -69,6 +50,7 @@ const PHASE_RETURN = 2;
 export class EnemyAI {
   constructor(enemyType, initialDirTimer, initialCurrentDir) {
     this.enemyType = enemyType;
+    this.profile = getEnemyProfile(enemyType); // null for bots (-1)
     this._dirTimer = initialDirTimer;     // frame count
     this._currentDir = initialCurrentDir;
     this._flapAccum = 0;                  // frame count
@@ -90,9 +72,11 @@ export class EnemyAI {
    * @param {number} orthoBottomFP — bottom of the view (FP integer)
    * @param {DeterministicRNG} rng — seedable PRNG for determinism
    * @param {Array} platforms — platform collision data (FP)
+   * @param {boolean} [wrapEdges] — false when the arena has solid side walls
+   * @param {Array} [chars] — every character, humans first, for profiles that watch allies
    * @returns {{ left: boolean, right: boolean, flap: boolean }}
    */
-  decide(enemy, player, orthoBottomFP, rng, platforms) {
+  decide(enemy, player, orthoBottomFP, rng, platforms, wrapEdges = true, chars = []) {
     // Pterodactyl: completely separate AI, unchanged
     if (this.enemyType === ENEMY_TYPE_PTERODACTYL) {
       return this._decidePterodactyl(enemy, player, orthoBottomFP, rng, platforms);
@@ -103,9 +87,9 @@ export class EnemyAI {
       return this._decidePatrol(enemy, rng, platforms);
     }
     if (this._pteroPhase === PHASE_RETURN) {
-      return this._decideReturn(enemy, orthoBottomFP, rng, platforms);
+      return this._decideReturn(enemy, orthoBottomFP, rng, platforms, wrapEdges);
     }
-    return this._decideAttack(enemy, player, orthoBottomFP, rng, platforms);
+    return this._decideAttack(enemy, player, orthoBottomFP, rng, platforms, chars);
   }
 
   // ---- Patrol state machine phases ----
@@ -159,11 +143,11 @@ export class EnemyAI {
   }
 
   /**
-   * ATTACK — Fight the player using type-specific logic.
+   * ATTACK — Fight the player with the profile's attack function.
    * Ceiling avoidance suppresses flaps above threshold.
    * Transitions to RETURN when timer expires.
    */
-  _decideAttack(enemy, player, orthoBottomFP, rng, platforms) {
+  _decideAttack(enemy, player, orthoBottomFP, rng, platforms, chars) {
     // Countdown phase timer
     this._phaseTimer -= 1;
     if (this._phaseTimer <= 0) {
@@ -174,14 +158,7 @@ export class EnemyAI {
     }
 
     // Type-specific attack logic
-    let result;
-    if (this.enemyType === ENEMY_TYPE_BOUNDER) {
-      result = this._decideBounderAttack(enemy, player, orthoBottomFP, rng);
-    } else if (this.enemyType === ENEMY_TYPE_HUNTER) {
-      result = this._decideHunterAttack(enemy, player, orthoBottomFP, rng);
-    } else {
-      result = this._decideShadowLordAttack(enemy, player, orthoBottomFP, rng);
-    }
+    const result = this.profile.attack(this, enemy, { player, orthoBottomFP, chars }, rng);
 
     // Ceiling avoidance: suppress flap above threshold to prevent clustering at top
     if (result.flap && enemy.positionY > FP_CEILING_AVOID) {
@@ -195,7 +172,7 @@ export class EnemyAI {
    * RETURN — Navigate toward target platform and land.
    * Transitions to PATROL on landing, or ATTACK on safety timeout.
    */
-  _decideReturn(enemy, orthoBottomFP, rng, platforms) {
+  _decideReturn(enemy, orthoBottomFP, rng, platforms, wrapEdges) {
     let flap = false;
     let left = false;
     let right = false;
@@ -242,12 +219,12 @@ export class EnemyAI {
       targetPlatTop = plat.top;
       const platCenterX = (plat.left + plat.right) >> 1;
 
-      // Screen-wrap-aware horizontal distance
+      // Screen-wrap-aware horizontal distance (walled arenas go the long way)
       let dx = platCenterX - enemy.positionX;
       const halfWidth = FP_ORTHO_WIDTH >> 1;
-      if (dx > halfWidth) {
+      if (wrapEdges && dx > halfWidth) {
         dx -= FP_ORTHO_WIDTH;
-      } else if (dx < -halfWidth) {
+      } else if (wrapEdges && dx < -halfWidth) {
         dx += FP_ORTHO_WIDTH;
       }
 
@@ -292,161 +269,6 @@ export class EnemyAI {
     return { left, right, flap };
   }
 
-  // ---- Type-specific attack behaviors ----
-
-  /**
-   * Bounder attack — Wanderer: random movement, occasional flaps, avoids lava.
-   */
-  _decideBounderAttack(enemy, player, orthoBottomFP, rng) {
-    let flap = false;
-    let left = false;
-    let right = false;
-
-    // Random direction changes (frame count)
-    this._dirTimer -= 1;
-    if (this._dirTimer <= 0) {
-      this._dirTimer = DIR_CHANGE_FRAMES + rng.nextInt(90);
-      this._currentDir = rng.nextInt(2) === 1 ? 1 : -1;
-    }
-
-    if (this._currentDir > 0) {
-      right = true;
-    } else {
-      left = true;
-    }
-
-    // Occasional flapping (20% chance per check, checked every 12 frames)
-    this._flapAccum += 1;
-    if (this._flapAccum > BOUNDER_FLAP_INTERVAL) {
-      this._flapAccum = 0;
-      if (rng.nextInt(100) < 20) {
-        flap = true;
-      }
-    }
-
-    // Lava avoidance (FP comparison)
-    if (enemy.positionY < orthoBottomFP + FP_LAVA_AVOID) {
-      flap = true;
-    }
-
-    // Anti-fall flap (FP comparison)
-    if (enemy.velocityY < -FP_FALL_SPEED_THRESHOLD) {
-      flap = true;
-    }
-
-    return { left, right, flap };
-  }
-
-  /**
-   * Hunter attack — Tracker: seeks player horizontally, tries to gain height advantage.
-   */
-  _decideHunterAttack(enemy, player, orthoBottomFP, rng) {
-    let flap = false;
-    let left = false;
-    let right = false;
-
-    if (!player) {
-      return this._decideBounderAttack(enemy, player, orthoBottomFP, rng);
-    }
-
-    // Move toward player horizontally (FP comparison)
-    const dx = player.positionX - enemy.positionX;
-    if (dx > FP_DX_THRESHOLD) {
-      right = true;
-    } else if (dx < -FP_DX_THRESHOLD) {
-      left = true;
-    }
-
-    // Try to gain height advantage (FP comparison)
-    const dy = player.positionY - enemy.positionY;
-    this._flapAccum += 1;
-    if (this._flapAccum > HUNTER_FLAP_INTERVAL) {
-      this._flapAccum = 0;
-      if (dy > FP_DY_THRESHOLD) {
-        // Below player — flap more
-        if (rng.nextInt(100) < 55) {
-          flap = true;
-        }
-      } else {
-        // Above player — flap occasionally
-        if (rng.nextInt(100) < 20) {
-          flap = true;
-        }
-      }
-    }
-
-    // Lava avoidance
-    if (enemy.positionY < orthoBottomFP + FP_LAVA_AVOID) {
-      flap = true;
-    }
-
-    // Anti-fall
-    if (enemy.velocityY < -FP_FALL_SPEED_FAST) {
-      flap = true;
-    }
-
-    return { left, right, flap };
-  }
-
-  /**
-   * Shadow Lord attack — Predator: aggressively hunts player from above, leads target.
-   */
-  _decideShadowLordAttack(enemy, player, orthoBottomFP, rng) {
-    let flap = false;
-    let left = false;
-    let right = false;
-
-    if (!player) {
-      return this._decideBounderAttack(enemy, player, orthoBottomFP, rng);
-    }
-
-    // Lead the player's movement: predictedX = playerX + playerVelX * 0.3
-    // In FP: idiv10(velX * 3) — reciprocal-multiply, no float intermediates
-    const leadX = idiv10(player.velocityX * 3);
-    const predictedX = player.positionX + leadX;
-    const dx = predictedX - enemy.positionX;
-
-    if (dx > FP_DX_THRESHOLD_SMALL) {
-      right = true;
-    } else if (dx < -FP_DX_THRESHOLD_SMALL) {
-      left = true;
-    }
-
-    // Aggressively stay above player (FP comparison)
-    const dy = player.positionY - enemy.positionY;
-    this._flapAccum += 1;
-    if (this._flapAccum > SHADOW_FLAP_INTERVAL) {
-      this._flapAccum = 0;
-      if (dy > -FP_DY_NEAR_THRESHOLD) {
-        // Below or near player — flap aggressively
-        if (rng.nextInt(100) < 70) {
-          flap = true;
-        }
-      } else if (dy < -FP_DY_ABOVE_THRESHOLD) {
-        // Well above player — can dive
-        if (rng.nextInt(100) < 10) {
-          flap = true;
-        }
-      } else {
-        if (rng.nextInt(100) < 35) {
-          flap = true;
-        }
-      }
-    }
-
-    // Lava avoidance
-    if (enemy.positionY < orthoBottomFP + FP_LAVA_AVOID) {
-      flap = true;
-    }
-
-    // Anti-fall
-    if (enemy.velocityY < -FP_FALL_SPEED_FAST) {
-      flap = true;
-    }
-
-    return { left, right, flap };
-  }
-
   // ---- Patrol helpers ----
 
   /**
@@ -476,31 +298,19 @@ export class EnemyAI {
   }
 
   /**
-   * Random patrol duration based on enemy type.
+   * Random patrol duration from the profile.
    * Harder enemies patrol for shorter durations before attacking.
    */
   _getPatrolDuration(rng) {
-    if (this.enemyType === ENEMY_TYPE_BOUNDER) {
-      return PATROL_MIN_BOUNDER + rng.nextInt(PATROL_RANGE_BOUNDER);
-    }
-    if (this.enemyType === ENEMY_TYPE_HUNTER) {
-      return PATROL_MIN_HUNTER + rng.nextInt(PATROL_RANGE_HUNTER);
-    }
-    return PATROL_MIN_SHADOW + rng.nextInt(PATROL_RANGE_SHADOW);
+    return this.profile.patrolMin + rng.nextInt(this.profile.patrolRange);
   }
 
   /**
-   * Random attack duration based on enemy type.
+   * Random attack duration from the profile.
    * Harder enemies attack for shorter durations before returning to patrol.
    */
   _getAttackDuration(rng) {
-    if (this.enemyType === ENEMY_TYPE_BOUNDER) {
-      return ATTACK_MIN_BOUNDER + rng.nextInt(ATTACK_RANGE_BOUNDER);
-    }
-    if (this.enemyType === ENEMY_TYPE_HUNTER) {
-      return ATTACK_MIN_HUNTER + rng.nextInt(ATTACK_RANGE_HUNTER);
-    }
-    return ATTACK_MIN_SHADOW + rng.nextInt(ATTACK_RANGE_SHADOW);
+    return this.profile.attackMin + rng.nextInt(this.profile.attackRange);
   }
 
   // ---- Pterodactyl AI (unchanged) ----
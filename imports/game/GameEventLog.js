@@ -0,0 +1,88 @@
+// GameEventLog — Rollback policy for the events GameSimulation.tick() returns.
+// Drivers (GameLoop, replay and spectator playback) record every tick they run,
+// rollback re-simulation included, and hand the renderer drain() once per
+// render frame.
+//
+// Policy, per simulated frame:
+// - The first simulation of a frame delivers all its events.
+// - A re-simulation (after a rollback) delivers only the events the frame did
+//   not produce before. Events it produces again were already delivered.
+// - Events a re-simulation no longer produces are cancelled. They are not
+//   retracted (a sound can't be unplayed, a banner just runs its course), only
+//   reported back from record().
+// - Events that turn up on a frame more than maxLateFrames behind the newest
+//   simulated one are dropped as too late to be worth showing, except
+//   PROGRESSION_EVENTS (wave start/complete, game over), which always go out.
+
+import { PROGRESSION_EVENTS } from './gameEvents.js';
+
+const DEFAULT_MAX_LATE_FRAMES = 6;
+const HISTORY_FRAMES = 64; // as far back as StateBuffer keeps snapshots to roll back to
+
+export class GameEventLog {
+  /**
+   * @param {{ maxLateFrames?: number }} [options]
+   */
+  constructor({ maxLateFrames = DEFAULT_MAX_LATE_FRAMES } = {}) {
+    this.maxLateFrames = maxLateFrames;
+    this._byFrame = new Map(); // frame -> keys of the events its latest simulation produced
+    this._newestFrame = -1;
+    this._pending = [];
+  }
+
+  /**
+   * Record the events from simulating `frame` (GameSimulation.frame before the tick).
+   * @param {number} frame
+   * @param {object[]} events — what tick() returned
+   * @returns {{ delivered: object[], cancelled: object[] }}
+   */
+  record(frame, events) {
+    const previous = this._byFrame.get(frame);
+    const unmatched = previous ? new Map(previous) : new Map();
+    const delivered = [];
+    const keys = new Map(); // key -> event
+    const repeats = new Map(); // event JSON -> times seen this frame
+
+    for (const event of events) {
+      // The same event twice in one frame is two events, matched one-for-one
+      const json = JSON.stringify(event);
+      const repeat = (repeats.get(json) || 0) + 1;
+      repeats.set(json, repeat);
+      const key = `${json}#${repeat}`;
+      keys.set(key, event);
+      if (unmatched.has(key)) {
+        unmatched.delete(key);
+      } else if (this._newestFrame - frame <= this.maxLateFrames || PROGRESSION_EVENTS.has(event.type)) {
+        delivered.push(event);
+      }
+    }
+
+    this._byFrame.set(frame, keys);
+    this._pending.push(...delivered);
+    if (frame > this._newestFrame) {
+      this._newestFrame = frame;
+      this._prune();
+    }
+    return { delivered, cancelled: [...unmatched.values()] };
+  }
+
+  /**
+   * Events delivered since the last drain, in the order they were recorded.
+   * @returns {object[]}
+   */
+  drain() {
+    const events = this._pending;
+    this._pending = [];
+    return events;
+  }
+
+  // --- Private ---
+
+  _prune() {
+    for (const frame of this._byFrame.keys()) {
+      if (frame < this._newestFrame - HISTORY_FRAMES) {
+        this._byFrame.delete(frame);
+      }
+    }
+  }
+}
@@ -2,20 +2,23 @@
 // Runs the game simulation at a fixed 60fps tick rate
 // Decouples rendering from simulation (render can run at display refresh rate)
 // Supports solo mode (no rollback) and multiplayer mode (with rollback)
+// Drives one human slot per local player: the primary inputReader plus any
+// couch co-op guests added with addLocalPlayer()
 
 import { InputEncoder } from '../netcode/InputEncoder.js';
+import { InputSendWindow } from '../netcode/InputWindow.js';
+import { GameEventLog } from './GameEventLog.js';
 
 const TICK_RATE = 60;
 const TICK_MS = 1000 / TICK_RATE;
-const INPUT_REDUNDANCY = 5;
 const MAX_TICKS_PER_FRAME = 10;
 const CATASTROPHIC_CAP_MS = TICK_MS * 300;
 
 export class GameLoop {
   constructor(config) {
     const {
-      game,          // Game simulation (must implement serialize/deserialize/tick)
-      renderer,      // Renderer (must implement draw(state))
+      game,          // Game simulation (must implement serialize/deserialize/tick/frame)
+      renderer,      // Renderer (must implement draw(state, events))
       inputReader,   // InputReader instance
       localPlayerIndex = 0,
     } = config;
@@ -25,6 +28,9 @@ export class GameLoop {
     this.inputReader = inputReader;
     this.localPlayerIndex = localPlayerIndex;
 
+    // Every slot this machine drives: [{ slot, inputReader }], primary first
+    this.localPlayers = [{ slot: localPlayerIndex, inputReader }];
+
     // Solo mode: no rollback session, direct tick
     this.soloMode = true;
     this.session = null;
@@ -35,8 +41,12 @@ export class GameLoop {
     this.running = false;
     this.animationFrameId = null;
 
-    // Recent local inputs for redundancy (packet loss resilience)
-    this._recentLocalInputs = [];
+    // Gameplay events from every tick, rollback re-simulation included;
+    // the log decides which reach the renderer
+    this.events = new GameEventLog();
+
+    // Local inputs per slot not yet acknowledged by every peer (packet loss resilience)
+    this._sentInputs = new Map(); // slot -> InputSendWindow
 
     // Event handler (set by consumer)
     this.onNetworkEvent = null;
@@ -49,6 +59,14 @@ export class GameLoop {
     // pending rollbacks from messageDrain resolve before activation.
     this.postTickDrain = null;
 
+    // Optional ReplayRecorder (set by MultiplayerManager). Sees every tick,
+    // including rollback re-simulation, so it can keep the settled timeline.
+    this.recorder = null;
+
+    // Peer IDs of spectators (set by MultiplayerManager). They are fed by
+    // SpectatorHost and never get inputs or checksums.
+    this.spectatorPeers = null;
+
     this._loop = this._loop.bind(this);
   }
 
@@ -73,6 +91,23 @@ export class GameLoop {
     }
   }
 
+  /**
+   * Drive another human slot from this machine (couch co-op guest).
+   * In multiplayer mode the slot must also be in session.localGuestSlots.
+   */
+  addLocalPlayer(slot, inputReader) {
+    if (!this.localPlayers.some(player => player.slot === slot)) {
+      this.localPlayers.push({ slot, inputReader });
+    }
+  }
+
+  removeLocalPlayer(slot) {
+    if (slot !== this.localPlayerIndex) {
+      this.localPlayers = this.localPlayers.filter(player => player.slot !== slot);
+      this._sentInputs.delete(slot);
+    }
+  }
+
   /**
    * Transition from solo mode to multiplayer mode.
    * Called when a remote player connects.
@@ -81,12 +116,25 @@ export class GameLoop {
     this.session = session;
     this.transport = transport;
     this.soloMode = false;
-    // Seed with neutral inputs so the first few packets still carry
-    // INPUT_REDUNDANCY entries (packet loss resilience from frame 1)
-    const seedFrame = session.currentFrame;
-    this._recentLocalInputs = [];
-    for (let i = 0; i < INPUT_REDUNDANCY; i++) {
-      this._recentLocalInputs.push({ frame: seedFrame, input: 0 });
+    this.resetSentInputs();
+  }
+
+  /**
+   * Forget sent inputs and peers' acks. Called whenever the session is reset
+   * to a new frame, since inputs and acks from the old timeline no longer apply.
+   */
+  resetSentInputs() {
+    this._sentInputs = new Map();
+  }
+
+  /**
+   * A peer's INPUT_ACK: it holds every input for `slot` up to `frame`, so
+   * later INPUT messages to it can start after that.
+   */
+  ackInputs(peerId, slot, frame) {
+    const window = this._sentInputs.get(slot);
+    if (window) {
+      window.ack(peerId, frame);
     }
   }
 
@@ -97,7 +145,7 @@ export class GameLoop {
     this.soloMode = true;
     this.session = null;
     this.transport = null;
-    this._recentLocalInputs = [];
+    this._sentInputs = new Map();
   }
 
   // --- Private ---
@@ -154,28 +202,37 @@ export class GameLoop {
 
     // Render current state (outside fixed timestep, at display refresh rate)
     if (this.renderer && this.game) {
-      this.renderer.draw(this.game.state);
+      this.renderer.draw(this.game.state, this.events.drain());
     }
 
     this.animationFrameId = requestAnimationFrame(this._loop);
   }
 
   _tick() {
-    // 1. Sample local input
-    const rawInput = this.inputReader.sample();
-    const encodedInput = InputEncoder.encodeInput(rawInput);
+    // 1. Sample local input (one reader per local player)
+    const localInputs = this.localPlayers.map(({ slot, inputReader }) => ({
+      slot,
+      input: InputEncoder.encodeInput(inputReader.sample()),
+    }));
 
     if (this.soloMode) {
-      // Solo mode: tick directly with just local player input
-      const inputs = [0, 0, 0, 0]; // 4 human slots, only local is active
-      inputs[this.localPlayerIndex] = encodedInput;
-      this.game.tick(inputs);
+      // Solo mode: tick directly with just the local players' inputs
+      const inputs = [0, 0, 0, 0]; // 4 human slots, only local ones are active
+      for (const { slot, input } of localInputs) {
+        inputs[slot] = input;
+      }
+      if (this.recorder) {
+        this.recorder.recordTick(inputs);
+      }
+      this._advance(inputs);
       return;
     }
 
     // Multiplayer mode: use rollback session
     // 2. Feed to rollback session
-    this.session.addLocalInput(encodedInput);
+    for (const { slot, input } of localInputs) {
+      this.session.addLocalInput(input, slot);
+    }
     const requests = this.session.advanceFrame();
 
     // 3. Process GGRS-style requests
@@ -188,35 +245,24 @@ export class GameLoop {
           const state = request.cell.load();
           if (state) {
             this.game.deserialize(state);
+            if (this.recorder) {
+              this.recorder.recordRollback();
+            }
           }
           break;
         }
         case 'AdvanceFrame':
-          this.game.tick(request.inputs);
+          if (this.recorder) {
+            this.recorder.recordTick(request.inputs);
+          }
+          this._advance(request.inputs);
           break;
       }
     }
 
-    // 4. Send local input to all peers (with redundancy for packet loss resilience)
-    const localInput = this.session.getLocalInput();
-    if (localInput && this.transport) {
-      this._recentLocalInputs.push({ frame: localInput.frame, input: localInput.input });
-      if (this._recentLocalInputs.length > INPUT_REDUNDANCY) {
-        this._recentLocalInputs.shift();
-      }
-
-      // Build inputs array newest-first: [current, prev, prev-1, ...]
-      const inputsNewestFirst = [];
-      for (let i = this._recentLocalInputs.length - 1; i >= 0; i--) {
-        inputsNewestFirst.push(this._recentLocalInputs[i].input);
-      }
-
-      const message = InputEncoder.encodeInputMessage(
-        localInput.frame,
-        this.localPlayerIndex,
-        inputsNewestFirst
-      );
-      this._broadcastToAllPeers(message);
+    // 4. Send local inputs to all peers (everything each one hasn't acknowledged)
+    for (const { slot } of localInputs) {
+      this._sendLocalInput(slot);
     }
 
     // 5. Send checksum periodically for desync detection
@@ -235,6 +281,44 @@ export class GameLoop {
     }
   }
 
+  // Tick the game and log its events against the frame it simulated
+  _advance(inputs) {
+    const frame = this.game.frame;
+    this.events.record(frame, this.game.tick(inputs));
+  }
+
+  _sendLocalInput(slot) {
+    // Guests the session doesn't know about yet (activation still pending)
+    // are simulated as auto-input slots, so there is nothing to send
+    if (slot !== this.localPlayerIndex && !this.session.localGuestSlots.has(slot)) {
+      return;
+    }
+
+    if (this.session.lastLocalInputFrame < 0 || !this.transport) {
+      return;
+    }
+
+    if (!this._sentInputs.has(slot)) {
+      this._sentInputs.set(slot, new InputSendWindow());
+    }
+    const window = this._sentInputs.get(slot);
+    // Usually one new frame; several right after the input delay grows.
+    // On ticks that added none (stalled, or a shrunk delay catching up) the
+    // unacknowledged inputs are sent again, which also keeps stalled peers fed.
+    for (const { frame, input } of this.session.getNewLocalInputs(slot)) {
+      window.push(frame, input);
+    }
+
+    // Each peer gets its own range: everything after the frame it last acked
+    const connectionInfo = this.transport.getConnectionInfo();
+    for (const peerId of Object.keys(connectionInfo)) {
+      const batch = this.spectatorPeers?.has(peerId) ? null : window.unackedFor(peerId);
+      if (batch) {
+        this.transport.send(peerId, InputEncoder.encodeInputMessage(batch.frame, slot, batch.inputs));
+      }
+    }
+  }
+
   _broadcastToAllPeers(message) {
     if (!this.transport) {
       return;
@@ -242,7 +326,9 @@ export class GameLoop {
 
     const connectionInfo = this.transport.getConnectionInfo();
     for (const peerId of Object.keys(connectionInfo)) {
-      this.transport.send(peerId, message);
+      if (!this.spectatorPeers?.has(peerId)) {
+        this.transport.send(peerId, message);
+      }
     }
   }
 
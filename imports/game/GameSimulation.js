@@ -5,6 +5,10 @@
 
 import { DeterministicRNG } from './physics/mulberry32.js';
 import { EnemyAI } from './EnemyAI.js';
+import { getEnemyProfile } from './enemyProfiles.js';
+import { BotAI } from './BotAI.js';
+import { GameEvent } from './gameEvents.js';
+import { matchStatsFromBlock } from './matchStats.js';
 import {
   MAX_SPEED,
   RESPAWN_FRAMES, INVINCIBLE_FRAMES,
@@ -16,47 +20,49 @@ import {
   FP_GRAVITY_PF, FP_TERMINAL_VELOCITY, FP_FRICTION_PF,
   FP_FEET_OFFSET, FP_HEAD_OFFSET, FP_CHAR_HALF_WIDTH,
   FP_EGG_RADIUS, FP_ORTHO_LEFT, FP_ORTHO_RIGHT,
-  FP_ORTHO_BOTTOM, FP_ORTHO_TOP,
-  FP_LAVA_OFFSET, FP_BOUNCE_THRESHOLD,
+  FP_ORTHO_TOP,
+  FP_BOUNCE_THRESHOLD,
   FP_EGG_HATCH_LIFT, FP_KILL_KNOCK_VX,
   FP_HATCHLING_HALF_WIDTH, FP_HATCHLING_HEIGHT,
-  SPAWN_POINTS_FP, ENEMY_SPAWN_POINTS_FP,
   GAME_MODE_TEAM, GAME_MODE_PVP,
   IDLE_TIMER_THRESHOLD,
   FP_PTERO_SPAWN_MARGIN,
-  buildPlatformCollisionDataFP,
-  TROLL_WAVE_START, TROLL_GRAB_FRAMES,
+  buildArenaFP,
+  TROLL_GRAB_FRAMES,
   TROLL_RETREAT_FRAMES, TROLL_COOLDOWN_FRAMES, TROLL_GRAB_CHANCE,
   TROLL_GRAB_RADIUS_FP,
   TROLL_PUNCH_RISE_FRAMES, TROLL_PUNCH_TOTAL_FRAMES,
-  FP_TROLL_REACH_ZONE, FP_TROLL_RISE_SPEED,
+  FP_TROLL_RISE_SPEED,
   FP_TROLL_PULL_ACCEL, FP_TROLL_FLAP_IMPULSE, FP_TROLL_ESCAPE_DIST,
-  FP_TROLL_ESCAPE_IMPULSE, FP_TROLL_START_Y, FP_TROLL_LAVA_Y,
-  buildReducedPlatformCollisionDataFP,
+  FP_TROLL_ESCAPE_IMPULSE, FP_TROLL_START_Y,
   INITIAL_PATROL_MIN, INITIAL_PATROL_RANGE,
 } from './physics/constants.js';
 import {
   checkPlatformCollisions, resolveJoust, applyBounce, applyKillToWinner,
   checkLavaKill, applyScreenWrap, resolvePterodactylCollision,
 } from './physics/CollisionSystem.js';
-import { DISCONNECT_BIT } from '../netcode/InputEncoder.js';
+import { DISCONNECT_BIT, InputEncoder } from '../netcode/InputEncoder.js';
 import { applyInput, applyIdle, applyFriction, applyGravity } from './physics/PhysicsSystem.js';
 import {
-  STARTING_LIVES, EXTRA_LIFE_THRESHOLD,
-  POINTS_SURVIVAL_WAVE, POINTS_EGG_MID_AIR,
-  ENEMY_TYPE_BOUNDER, ENEMY_TYPE_SHADOW_LORD, ENEMY_TYPE_PTERODACTYL,
+  POINTS_SURVIVAL_WAVE, POINTS_TEAM_WAVE, POINTS_GLADIATOR_WAVE, POINTS_EGG_MID_AIR,
+  ENEMY_TYPE_BOUNDER, ENEMY_TYPE_PTERODACTYL, ENEMY_TYPE_COWARD, ENEMY_TYPE_SWARM,
   getKillPoints, getEggPoints, getWaveComposition,
 } from './scoring.js';
+import { normalizeRules, scaleWaveComposition } from './gameRules.js';
+import { getArenaByIndex } from './arenas/index.js';
 import {
   MAX_HUMANS, MAX_ENEMIES, MAX_EGGS, FP_SCALE,
   TOTAL_INTS, GLOBAL_OFFSET, GLOBAL_SIZE,
   HUMANS_OFFSET, ENEMIES_OFFSET, ENEMY_AI_OFFSET, EGGS_OFFSET,
-  LAVA_TROLL_OFFSET, LAVA_TROLL_SIZE,
-  CHAR_SIZE, AI_SIZE, EGG_SIZE,
+  LAVA_TROLL_OFFSET, LAVA_TROLL_SIZE, BOT_RULES_OFFSET, BOTS_OFFSET,
+  TEAM_OFFSET, BONUSES_OFFSET, STATS_OFFSET,
+  CHAR_SIZE, AI_SIZE, EGG_SIZE, BOT_SIZE, BONUS_SIZE, STAT_SIZE,
   G_FRAME, G_RNG_SEED, G_WAVE_NUMBER, G_WAVE_STATE,
   G_SPAWN_TIMER, G_WAVE_TRANSITION_TIMER, G_GAME_MODE, G_GAME_OVER,
   G_SPAWN_QUEUE_LEN, G_SPAWN_QUEUE_START, G_SPAWN_QUEUE_MAX,
   G_IDLE_TIMER,
+  G_RULE_STARTING_LIVES, G_RULE_EXTRA_LIFE_THRESHOLD, G_RULE_ENEMY_COUNT_PERCENT,
+  G_RULE_STARTING_WAVE, G_RULE_TROLL_START_WAVE, G_RULE_ARENA, G_RULE_NEW_ENEMIES,
   C_ACTIVE, C_POS_X, C_POS_Y, C_VEL_X, C_VEL_Y, C_STATE,
   C_FACING_DIR, C_IS_TURNING, C_TURN_TIMER, C_STRIDE_PHASE,
   C_IS_FLAPPING, C_FLAP_TIMER, C_DEAD, C_RESPAWN_TIMER,
@@ -76,6 +82,12 @@ import {
   LT_ESCAPE_PROGRESS, LT_ESCAPE_THRESHOLD, LT_SIDE,
   LT_PLATFORMS_DESTROYED, LT_INTRO_DONE,
   LT_IDLE, LT_REACHING, LT_GRABBING, LT_PULLING, LT_RETREATING, LT_PUNCH_INTRO,
+  BR_COUNT, BR_LEVEL,
+  B_LEVEL, B_DIR_TIMER, B_CURRENT_DIR, B_FLAP_ACCUM, B_TARGET, B_MODE, B_PHASE_TIMER,
+  TM_RULE_SHARED_LIVES, TM_RULE_FRIENDLY_FIRE, TM_PLAYER_KILLS, BN_SURVIVAL, BN_TEAM, BN_GLADIATOR,
+  ST_KILLS, ST_PLAYER_KILLS, ST_DEATHS_JOUST, ST_DEATHS_LAVA, ST_DEATHS_PTERODACTYL,
+  ST_DEATHS_TROLL, ST_EGGS_MID_AIR, ST_TROLL_ESCAPES, ST_HIGHEST_WAVE, ST_FRAMES_ALIVE,
+  ST_EGGS_COLLECTED,
   WAVE_SPAWNING, WAVE_PLAYING, WAVE_TRANSITION,
   HATCH_FALLING, HATCH_ON_PLATFORM, HATCH_WOBBLING, HATCH_HATCHLING,
   STATE_GROUNDED, STATE_AIRBORNE, STATE_GRABBED,
@@ -109,17 +121,21 @@ const STRIDE_RECIP_Q24 = 55925;
 
 export class GameSimulation {
   /**
-   * @param {{ gameMode: string, seed: number }} config
+   * @param {{ gameMode: string, seed: number, rules?: object, startFrame?: number }} config
+   * rules: see gameRules.js — omitted fields fall back to CLASSIC_RULES.
+   * rules.arena picks the platform layout (see arenas/index.js).
+   * startFrame: frame number of the first tick, for a game started on a
+   * running session's timeline (a rematch). Nothing in the game depends on it.
    */
-  constructor({ gameMode, seed }) {
+  constructor({ gameMode, seed, rules, startFrame = 0 }) {
     this._gameMode = gameMode || GAME_MODE_TEAM;
-    this._platformsFull = buildPlatformCollisionDataFP();
-    this._platformsReduced = buildReducedPlatformCollisionDataFP();
-    this._platforms = this._platformsFull;
+    this._rules = normalizeRules(rules);
+    this._trollPlatformsDestroyed = 0;
+    this._loadArena();
     this._rng = new DeterministicRNG(seed);
 
     // Integer-based working state
-    this._frame = 0;
+    this._frame = startFrame;
     this._waveNumber = 1;
     this._waveState = WAVE_SPAWNING;
     this._spawnTimer = 0;           // frame count
@@ -127,6 +143,8 @@ export class GameSimulation {
     this._gameOver = false;
     this._spawnQueue = [];
     this._idleTimer = 0;           // frame count — hurry-up pterodactyl mechanic
+    this._playerKillsThisWave = 0; // players unhorsed by players (team and gladiator bonuses)
+    this._events = [];             // gameplay events from the frame being simulated (see gameEvents.js)
 
     // Lava Troll state (all integers for determinism)
     this._trollActive = 0;
@@ -140,7 +158,6 @@ export class GameSimulation {
     this._trollGrabY = 0;           // Y position when grab started (for escape distance)
     this._trollEscapeThreshold = 0; // unused (kept for buffer compat)
     this._trollSide = 1;
-    this._trollPlatformsDestroyed = 0;
     this._trollIntroDone = 0;
 
     // Character slots: 0..3 = humans, 4..11 = enemies
@@ -156,6 +173,18 @@ export class GameSimulation {
       this._ais[i] = null;
     }
 
+    // Bot brains for human slots a bot is playing (null = player or empty)
+    this._bots = new Array(MAX_HUMANS);
+    for (let i = 0; i < MAX_HUMANS; i++) {
+      this._bots[i] = null;
+    }
+
+    // Match stats per human slot (ST_* counters, see matchStats.js)
+    this._stats = new Array(MAX_HUMANS);
+    for (let i = 0; i < MAX_HUMANS; i++) {
+      this._stats[i] = new Int32Array(STAT_SIZE);
+    }
+
     // Egg slots — all FP integers
     this._eggs = new Array(MAX_EGGS);
     for (let i = 0; i < MAX_EGGS; i++) {
@@ -168,28 +197,40 @@ export class GameSimulation {
 
   // ---- Public API ----
 
+  // Frame the next tick() will simulate
+  get frame() {
+    return this._frame;
+  }
+
   /**
    * Activate a human player in the given slot (0-3).
+   * A player dropping into a bot's slot takes over from the bot.
    */
   activatePlayer(slot, paletteIndex) {
     if (slot < 0 || slot >= MAX_HUMANS) {
       return;
     }
 
+    this._bots[slot] = null;
     const char = this._chars[slot];
     char.active = true;
     char.dead = false;
     char.score = 0;
-    char.lives = STARTING_LIVES;
-    char.nextLifeScore = EXTRA_LIFE_THRESHOLD;
+    char.lives = this._rules.startingLives;
+    char.nextLifeScore = this._rules.extraLifeThreshold;
     char.eggsCollectedThisWave = 0;
     char.playerDiedThisWave = false;
+    char.survivalBonus = 0;
+    char.teamBonus = 0;
+    char.gladiatorBonus = 0;
+    this._stats[slot].fill(0);
     char.paletteIndex = paletteIndex;
     char.enemyType = -1;
 
     // Pick spawn purely from RNG (no position-dependent filtering).
     // Player has invincibility so overlapping at spawn is safe.
-    const spawn = SPAWN_POINTS_FP[this._rng.nextInt(SPAWN_POINTS_FP.length)];
+    const spawnPoints = this._arena.spawnPoints;
+    const spawn = spawnPoints[this._rng.nextInt(spawnPoints.length)];
     const platform = this._platforms.find(p => p.id === spawn.platformId);
     char.positionX = spawn.x;
     char.positionY = platform.top + FP_FEET_OFFSET;
@@ -220,25 +261,68 @@ export class GameSimulation {
       return;
     }
     this._chars[slot].active = false;
+    this._bots[slot] = null;
+  }
+
+  /**
+   * Put a bot in a human slot (0-3). It plays from simulation state alone,
+   * ignoring whatever input arrives for the slot.
+   * @param {number} slot
+   * @param {number} paletteIndex
+   * @param {number} [level] — BOT_EASY..BOT_HARD, default rules.botLevel
+   */
+  activateBot(slot, paletteIndex, level = this._rules.botLevel) {
+    if (slot < 0 || slot >= MAX_HUMANS) {
+      return;
+    }
+    this.activatePlayer(slot, paletteIndex);
+    this._bots[slot] = new BotAI(level);
+  }
+
+  /**
+   * @param {number} slot
+   * @returns {boolean} true when a bot is playing the slot
+   */
+  isBot(slot) {
+    return slot >= 0 && slot < MAX_HUMANS && this._bots[slot] !== null;
+  }
+
+  /**
+   * Counters for the match so far in a human slot (0-3), e.g. to report
+   * results at game over. See matchStats.js for the fields.
+   * @param {number} slot
+   * @returns {object}
+   */
+  getMatchStats(slot) {
+    return matchStatsFromBlock(this._stats[slot]);
   }
 
   /**
-   * Start the first wave. Call after activating at least one player.
+   * Start the first wave (rules.startingWave). Call after activating at least one player.
+   * Bots (rules.bots) take the empty slots first, so replays and late joiners
+   * that rebuild the game from its rules get the same bots.
    */
   startGame() {
-    this._startWave(1);
+    this._addBots();
+    this._startWave(this._rules.startingWave);
   }
 
   /**
    * Advance one simulation frame.
    * @param {number[]} inputs - encoded input bytes per player slot [p0, p1, p2, p3]
+   * @returns {object[]} gameplay events from this frame (see gameEvents.js)
    */
   tick(inputs) {
+    this._events = [];
     if (this._gameOver) {
       this._buildRenderState();
-      return;
+      return this._events;
     }
 
+    // Bots decide before anything moves, so quick-end, invincibility and
+    // the troll escape all see their inputs like a player's
+    inputs = this._withBotInputs(inputs);
+
     // Update each character
     for (let i = 0; i < this._chars.length; i++) {
       const char = this._chars[i];
@@ -260,6 +344,9 @@ export class GameSimulation {
         }
         continue;
       }
+      if (i < MAX_HUMANS) {
+        this._stats[i][ST_FRAMES_ALIVE]++;
+      }
 
       // Grabbed by Lava Troll — skip normal physics
       // Position and velocity are managed by _updateLavaTroll during PULLING
@@ -315,13 +402,15 @@ export class GameSimulation {
       // Apply physics (FP integer, no dt parameter)
       if (i < MAX_HUMANS) {
         const input = this._decodeInput(inputs[i] || 0);
-        applyInput(char, input, this._platforms, FP_ORTHO_TOP, FP_ORTHO_BOTTOM);
+        applyInput(char, input, this._platforms, FP_ORTHO_TOP, this._arena.lavaFloor, this._arena.wrapEdges);
       } else {
         const aiIdx = i - MAX_HUMANS;
         const ai = this._ais[aiIdx];
         if (ai) {
           const target = this._findClosestActiveHuman(char);
-          const aiResult = ai.decide(char, target, FP_ORTHO_BOTTOM, this._rng, this._platforms);
+          const aiResult = ai.decide(
+            char, target, this._arena.lavaFloor, this._rng, this._platforms, this._arena.wrapEdges, this._chars
+          );
 
           if (aiResult.isPterodactyl) {
             // Pterodactyl: direct velocity control, skip normal physics
@@ -345,14 +434,14 @@ export class GameSimulation {
               applyScreenWrap(char, FP_ORTHO_LEFT, FP_ORTHO_RIGHT);
             }
             // Lava check — pterodactyl can die in lava
-            if (checkLavaKill(char, FP_ORTHO_BOTTOM)) {
+            if (checkLavaKill(char, this._arena.lavaFloor)) {
               char.hitLava = true;
             }
           } else {
-            applyInput(char, aiResult, this._platforms, FP_ORTHO_TOP, FP_ORTHO_BOTTOM);
+            applyInput(char, aiResult, this._platforms, FP_ORTHO_TOP, this._arena.lavaFloor, this._arena.wrapEdges);
           }
         } else {
-          applyIdle(char, this._platforms, FP_ORTHO_TOP, FP_ORTHO_BOTTOM);
+          applyIdle(char, this._platforms, FP_ORTHO_TOP, this._arena.lavaFloor, this._arena.wrapEdges);
         }
       }
 
@@ -405,6 +494,7 @@ export class GameSimulation {
 
     this._frame++;
     this._buildRenderState();
+    return this._events;
   }
 
   /**
@@ -424,6 +514,13 @@ export class GameSimulation {
     buf[GLOBAL_OFFSET + G_GAME_MODE] = this._gameMode === GAME_MODE_PVP ? 1 : 0;
     buf[GLOBAL_OFFSET + G_GAME_OVER] = this._gameOver ? 1 : 0;
     buf[GLOBAL_OFFSET + G_IDLE_TIMER] = this._idleTimer;
+    buf[GLOBAL_OFFSET + G_RULE_STARTING_LIVES] = this._rules.startingLives;
+    buf[GLOBAL_OFFSET + G_RULE_EXTRA_LIFE_THRESHOLD] = this._rules.extraLifeThreshold;
+    buf[GLOBAL_OFFSET + G_RULE_ENEMY_COUNT_PERCENT] = this._rules.enemyCountPercent;
+    buf[GLOBAL_OFFSET + G_RULE_STARTING_WAVE] = this._rules.startingWave;
+    buf[GLOBAL_OFFSET + G_RULE_TROLL_START_WAVE] = this._rules.trollStartWave;
+    buf[GLOBAL_OFFSET + G_RULE_ARENA] = this._rules.arena;
+    buf[GLOBAL_OFFSET + G_RULE_NEW_ENEMIES] = this._rules.newEnemies;
     buf[GLOBAL_OFFSET + G_SPAWN_QUEUE_LEN] = Math.min(this._spawnQueue.length, G_SPAWN_QUEUE_MAX);
     for (let i = 0; i < Math.min(this._spawnQueue.length, G_SPAWN_QUEUE_MAX); i++) {
       buf[GLOBAL_OFFSET + G_SPAWN_QUEUE_START + i] = this._spawnQueue[i];
@@ -475,6 +572,40 @@ export class GameSimulation {
     buf[lt + LT_PLATFORMS_DESTROYED] = this._trollPlatformsDestroyed;
     buf[lt + LT_INTRO_DONE] = this._trollIntroDone;
 
+    // Bots
+    buf[BOT_RULES_OFFSET + BR_COUNT] = this._rules.bots;
+    buf[BOT_RULES_OFFSET + BR_LEVEL] = this._rules.botLevel;
+    for (let i = 0; i < MAX_HUMANS; i++) {
+      const offset = BOTS_OFFSET + i * BOT_SIZE;
+      const bot = this._bots[i];
+      if (bot) {
+        buf[offset + B_LEVEL] = bot.level;
+        buf[offset + B_DIR_TIMER] = bot._dirTimer;
+        buf[offset + B_CURRENT_DIR] = bot._currentDir;
+        buf[offset + B_FLAP_ACCUM] = bot._flapAccum;
+        buf[offset + B_TARGET] = bot._target;
+        buf[offset + B_MODE] = bot._mode;
+        buf[offset + B_PHASE_TIMER] = bot._phaseTimer;
+      }
+    }
+
+    // Team play
+    buf[TEAM_OFFSET + TM_RULE_SHARED_LIVES] = this._rules.sharedLives;
+    buf[TEAM_OFFSET + TM_RULE_FRIENDLY_FIRE] = this._rules.friendlyFire;
+    buf[TEAM_OFFSET + TM_PLAYER_KILLS] = this._playerKillsThisWave;
+    for (let i = 0; i < MAX_HUMANS; i++) {
+      const offset = BONUSES_OFFSET + i * BONUS_SIZE;
+      const char = this._chars[i];
+      buf[offset + BN_SURVIVAL] = char.survivalBonus;
+      buf[offset + BN_TEAM] = char.teamBonus;
+      buf[offset + BN_GLADIATOR] = char.gladiatorBonus;
+    }
+
+    // Match stats
+    for (let i = 0; i < MAX_HUMANS; i++) {
+      buf.set(this._stats[i], STATS_OFFSET + i * STAT_SIZE);
+    }
+
     return buf.buffer;
   }
 
@@ -494,6 +625,22 @@ export class GameSimulation {
     this._gameMode = buf[GLOBAL_OFFSET + G_GAME_MODE] === 1 ? GAME_MODE_PVP : GAME_MODE_TEAM;
     this._gameOver = buf[GLOBAL_OFFSET + G_GAME_OVER] === 1;
     this._idleTimer = buf[GLOBAL_OFFSET + G_IDLE_TIMER];
+    this._rules = {
+      startingLives: buf[GLOBAL_OFFSET + G_RULE_STARTING_LIVES],
+      extraLifeThreshold: buf[GLOBAL_OFFSET + G_RULE_EXTRA_LIFE_THRESHOLD],
+      enemyCountPercent: buf[GLOBAL_OFFSET + G_RULE_ENEMY_COUNT_PERCENT],
+      startingWave: buf[GLOBAL_OFFSET + G_RULE_STARTING_WAVE],
+      trollStartWave: buf[GLOBAL_OFFSET + G_RULE_TROLL_START_WAVE],
+      arena: buf[GLOBAL_OFFSET + G_RULE_ARENA],
+      newEnemies: buf[GLOBAL_OFFSET + G_RULE_NEW_ENEMIES],
+      bots: buf[BOT_RULES_OFFSET + BR_COUNT],
+      botLevel: buf[BOT_RULES_OFFSET + BR_LEVEL],
+      sharedLives: buf[TEAM_OFFSET + TM_RULE_SHARED_LIVES],
+      friendlyFire: buf[TEAM_OFFSET + TM_RULE_FRIENDLY_FIRE],
+    };
+    if (getArenaByIndex(this._rules.arena).id !== this._arena.id) {
+      this._loadArena();
+    }
     const queueLen = buf[GLOBAL_OFFSET + G_SPAWN_QUEUE_LEN];
     this._spawnQueue = [];
     for (let i = 0; i < queueLen; i++) {
@@ -563,6 +710,41 @@ export class GameSimulation {
     this._platforms = this._trollPlatformsDestroyed
       ? this._platformsReduced : this._platformsFull;
 
+    // Bots
+    for (let i = 0; i < MAX_HUMANS; i++) {
+      const offset = BOTS_OFFSET + i * BOT_SIZE;
+      const level = buf[offset + B_LEVEL];
+      if (level > 0) {
+        if (!this._bots[i] || this._bots[i].level !== level) {
+          this._bots[i] = new BotAI(level);
+        }
+        this._bots[i]._dirTimer = buf[offset + B_DIR_TIMER];
+        this._bots[i]._currentDir = buf[offset + B_CURRENT_DIR];
+        this._bots[i]._flapAccum = buf[offset + B_FLAP_ACCUM];
+        this._bots[i]._target = buf[offset + B_TARGET];
+        this._bots[i]._mode = buf[offset + B_MODE];
+        this._bots[i]._phaseTimer = buf[offset + B_PHASE_TIMER];
+      } else {
+        this._bots[i] = null;
+      }
+    }
+
+    // Team play
+    this._playerKillsThisWave = buf[TEAM_OFFSET + TM_PLAYER_KILLS];
+    for (let i = 0; i < MAX_HUMANS; i++) {
+      const offset = BONUSES_OFFSET + i * BONUS_SIZE;
+      const char = this._chars[i];
+      char.survivalBonus = buf[offset + BN_SURVIVAL];
+      char.teamBonus = buf[offset + BN_TEAM];
+      char.gladiatorBonus = buf[offset + BN_GLADIATOR];
+    }
+
+    // Match stats
+    for (let i = 0; i < MAX_HUMANS; i++) {
+      const offset = STATS_OFFSET + i * STAT_SIZE;
+      this._stats[i].set(buf.subarray(offset, offset + STAT_SIZE));
+    }
+
     this._buildRenderState();
   }
 
@@ -575,6 +757,15 @@ export class GameSimulation {
 
   // ---- Internal helpers ----
 
+  // Build the FP platform, spawn and lava data for the arena in rules.arena
+  _loadArena() {
+    this._arena = buildArenaFP(getArenaByIndex(this._rules.arena));
+    this._platformsFull = this._arena.platformsFull;
+    this._platformsReduced = this._arena.platformsReduced;
+    this._platforms = this._trollPlatformsDestroyed
+      ? this._platformsReduced : this._platformsFull;
+  }
+
   _createEmptyChar() {
     return {
       active: false,
@@ -593,9 +784,10 @@ export class GameSimulation {
       score: 0, lives: 0,
       eggsCollectedThisWave: 0,
       prevPositionX: 0, prevPositionY: 0,  // FP integers
-      nextLifeScore: EXTRA_LIFE_THRESHOLD,
+      nextLifeScore: this._rules.extraLifeThreshold,
       paletteIndex: 0,
       playerDiedThisWave: false,
+      survivalBonus: 0, teamBonus: 0, gladiatorBonus: 0,  // wave bonus points earned this game
       enemyType: -1,
       currentPlatform: null,
       platformIndex: -1,
@@ -627,6 +819,53 @@ export class GameSimulation {
     };
   }
 
+  // Fill empty slots with rules.bots bots, each in a palette no one else wears
+  _addBots() {
+    let added = 0;
+    for (let slot = 0; slot < MAX_HUMANS && added < this._rules.bots; slot++) {
+      if (!this._chars[slot].active) {
+        const used = this._chars.slice(0, MAX_HUMANS).filter(c => c.active).map(c => c.paletteIndex);
+        let palette = 0;
+        while (used.includes(palette)) {
+          palette++;
+        }
+        this.activateBot(slot, palette);
+        added++;
+      }
+    }
+  }
+
+  // Copy of `inputs` with each bot's decision in its slot. Returns `inputs`
+  // itself when no bot is playing, so games without bots draw no extra RNG.
+  _withBotInputs(inputs) {
+    let result = inputs;
+    let world = null;
+    for (let i = 0; i < MAX_HUMANS; i++) {
+      const bot = this._bots[i];
+      const char = this._chars[i];
+      if (!bot) {
+        continue;
+      }
+      if (!world) {
+        result = inputs.slice();
+        world = {
+          slot: i,
+          chars: this._chars,
+          eggs: this._eggs,
+          pvp: this._gameMode === GAME_MODE_PVP,
+          orthoBottomFP: this._arena.lavaFloor,
+          platforms: this._platforms,
+          wrapEdges: this._arena.wrapEdges,
+        };
+      }
+      world.slot = i;
+      result[i] = char.active && !char.dead
+        ? InputEncoder.encodeInput(bot.decide(char, world, this._rng))
+        : 0;
+    }
+    return result;
+  }
+
   _findClosestActiveHuman(enemy) {
     let closest = null;
     let closestDist = 0x7FFFFFFF; // max int
@@ -649,7 +888,7 @@ export class GameSimulation {
   // ---- Lava Troll ----
 
   _updateLavaTroll(inputs) {
-    if (this._waveNumber < TROLL_WAVE_START) {
+    if (this._waveNumber < this._rules.trollStartWave) {
       return;
     }
 
@@ -671,7 +910,7 @@ export class GameSimulation {
         if (!c.active || c.dead || c.materializing) {
           continue;
         }
-        if (c.positionY < FP_TROLL_REACH_ZONE && c.positionY < lowestY) {
+        if (c.positionY < this._arena.trollReachZone && c.positionY < lowestY) {
           // Check if a platform shields this character from a grab below
           let shielded = false;
           for (const plat of this._platforms) {
@@ -724,10 +963,11 @@ export class GameSimulation {
           // Hand reached target — start closing fist
           this._trollState = LT_GRABBING;
           this._trollTimer = 0;
-        } else if (target.positionY > FP_TROLL_REACH_ZONE || this._trollPosY > FP_TROLL_REACH_ZONE) {
+        } else if (target.positionY > this._arena.trollReachZone || this._trollPosY > this._arena.trollReachZone) {
           // Target escaped the zone — give up
           this._trollState = LT_RETREATING;
           this._trollTimer = 0;
+          this._trollEscaped();
         }
       }
     } else if (this._trollState === LT_GRABBING) {
@@ -752,10 +992,12 @@ export class GameSimulation {
             this._trollGrabY = target.positionY;
             this._trollState = LT_PULLING;
             this._trollTimer = 0;
+            this._emit(GameEvent.TROLL_GRAB, { slot: this._trollTargetSlot });
           } else {
             // Target moved away — grab missed
             this._trollState = LT_RETREATING;
             this._trollTimer = 0;
+            this._trollEscaped();
           }
         }
       }
@@ -790,11 +1032,12 @@ export class GameSimulation {
           target.velocityY = FP_TROLL_ESCAPE_IMPULSE;
           this._trollState = LT_RETREATING;
           this._trollTimer = 0;
-        } else if (target.positionY <= FP_TROLL_LAVA_Y) {
+          this._trollEscaped();
+        } else if (target.positionY <= this._arena.lavaKillY) {
           // Pulled into lava — kill target
           target.hitLava = true;
           target.playerState = 'AIRBORNE';
-          this._lavaDeath(target, this._trollTargetSlot);
+          this._lavaDeath(target, this._trollTargetSlot, ST_DEATHS_TROLL);
           this._trollState = LT_RETREATING;
           this._trollTimer = 0;
         }
@@ -812,7 +1055,7 @@ export class GameSimulation {
       this._trollTimer += 1;
       if (this._trollTimer <= TROLL_PUNCH_RISE_FRAMES) {
         const progress = this._trollTimer;
-        const totalRise = FP_TROLL_REACH_ZONE - FP_TROLL_START_Y;
+        const totalRise = this._arena.trollReachZone - FP_TROLL_START_Y;
         this._trollPosY = FP_TROLL_START_Y + ((totalRise * progress / TROLL_PUNCH_RISE_FRAMES) | 0);
       } else if (this._trollTimer === TROLL_PUNCH_RISE_FRAMES + 1) {
         this._trollPlatformsDestroyed = 1;
@@ -832,14 +1075,26 @@ export class GameSimulation {
     }
   }
 
+  // The troll let go of or lost its target; only a living player who got
+  // away gets the credit and the TROLL_ESCAPE event
+  _trollEscaped() {
+    const target = this._chars[this._trollTargetSlot];
+    if (this._trollTargetType === 0 && target.active && !target.dead) {
+      this._stats[this._trollTargetSlot][ST_TROLL_ESCAPES]++;
+      this._emit(GameEvent.TROLL_ESCAPE, { slot: this._trollTargetSlot });
+    }
+  }
+
   // ---- Wave system ----
 
   _startWave(waveNumber) {
     this._waveNumber = waveNumber;
     this._waveState = WAVE_SPAWNING;
+    this._playerKillsThisWave = 0;
+    this._emit(GameEvent.WAVE_START, { wave: waveNumber });
 
     // Lava Troll activation — destroy base platforms and activate troll
-    if (waveNumber >= TROLL_WAVE_START && !this._trollIntroDone) {
+    if (waveNumber >= this._rules.trollStartWave && !this._trollIntroDone) {
       this._trollPlatformsDestroyed = 1;
       this._platforms = this._platformsReduced;
       this._trollIntroDone = 1;
@@ -857,7 +1112,10 @@ export class GameSimulation {
       }
     }
 
-    const composition = getWaveComposition(waveNumber);
+    const composition = scaleWaveComposition(
+      getWaveComposition(waveNumber, { newEnemies: this._rules.newEnemies === 1 }),
+      this._rules.enemyCountPercent
+    );
 
     // Reset idle timer on wave start
     this._idleTimer = 0;
@@ -873,6 +1131,12 @@ export class GameSimulation {
     for (let i = 0; i < composition.shadowLords; i++) {
       this._spawnQueue.push(2); // ENEMY_TYPE_SHADOW_LORD
     }
+    for (let i = 0; i < composition.cowards; i++) {
+      this._spawnQueue.push(ENEMY_TYPE_COWARD);
+    }
+    for (let i = 0; i < composition.swarm; i++) {
+      this._spawnQueue.push(ENEMY_TYPE_SWARM);
+    }
 
     // Fisher-Yates shuffle with deterministic RNG
     for (let i = this._spawnQueue.length - 1; i > 0; i--) {
@@ -882,6 +1146,11 @@ export class GameSimulation {
       this._spawnQueue[j] = temp;
     }
 
+    // The serialized queue holds G_SPAWN_QUEUE_MAX entries; scaled-up waves stop there
+    if (this._spawnQueue.length > G_SPAWN_QUEUE_MAX) {
+      this._spawnQueue.length = G_SPAWN_QUEUE_MAX;
+    }
+
     this._spawnTimer = 0;
     this._spawnNextGroup();
 
@@ -900,7 +1169,7 @@ export class GameSimulation {
     const spawnCount = Math.min(2, this._spawnQueue.length);
 
     // Shuffle spawn points deterministically
-    const shuffledSpawns = [...ENEMY_SPAWN_POINTS_FP];
+    const shuffledSpawns = [...this._arena.enemySpawnPoints];
     for (let i = shuffledSpawns.length - 1; i > 0; i--) {
       const j = this._rng.nextInt(i + 1);
       const temp = shuffledSpawns[i];
@@ -1019,7 +1288,7 @@ export class GameSimulation {
     const spawnX = enterFromLeft
       ? FP_ORTHO_LEFT - FP_PTERO_SPAWN_MARGIN
       : FP_ORTHO_RIGHT + FP_PTERO_SPAWN_MARGIN;
-    const spawnY = FP_ORTHO_BOTTOM + FP_LAVA_OFFSET + toFP(0.5);
+    const spawnY = this._arena.lavaKillY + toFP(0.5);
     const facingDir = enterFromLeft ? 1 : -1;
 
     const char = this._chars[MAX_HUMANS + slotIdx];
@@ -1116,12 +1385,32 @@ export class GameSimulation {
       if (livingEnemies === 0 && activeEggs === 0) {
         this._waveState = WAVE_TRANSITION;
         this._waveTransitionTimer = WAVE_DELAY_FRAMES;
+        this._emit(GameEvent.WAVE_COMPLETE, { wave: this._waveNumber });
+        for (let i = 0; i < MAX_HUMANS; i++) {
+          if (this._chars[i].active && this._chars[i].lives > 0) {
+            this._stats[i][ST_HIGHEST_WAVE] = this._waveNumber;
+          }
+        }
 
         // Survival bonus for humans who didn't die
+        let playersInWave = 0;
         for (let i = 0; i < MAX_HUMANS; i++) {
           const h = this._chars[i];
+          if (h.active) {
+            playersInWave++;
+          }
           if (h.active && !h.playerDiedThisWave) {
-            this._addScore(i, POINTS_SURVIVAL_WAVE);
+            this._addBonus(i, 'survivalBonus', POINTS_SURVIVAL_WAVE);
+          }
+        }
+
+        // Team bonus (team mode only) for everyone when no teammate unhorsed
+        // another this wave. Only the friendlyFire rule lets that happen.
+        if (this._gameMode === GAME_MODE_TEAM && playersInWave > 1 && this._playerKillsThisWave === 0) {
+          for (let i = 0; i < MAX_HUMANS; i++) {
+            if (this._chars[i].active) {
+              this._addBonus(i, 'teamBonus', POINTS_TEAM_WAVE);
+            }
           }
         }
 
@@ -1170,7 +1459,9 @@ export class GameSimulation {
           // Set dead=true (not active=false) so the renderer triggers
           // the death explosion effect. The dead pterodactyl slot stays
           // occupied until wave completion cleans it up.
+          this._emit(GameEvent.JOUST_KILL, { winner: hi, loser: MAX_HUMANS + ei, enemyType: ENEMY_TYPE_PTERODACTYL });
           this._addScore(hi, getKillPoints(ENEMY_TYPE_PTERODACTYL));
+          this._stats[hi][ST_KILLS + ENEMY_TYPE_PTERODACTYL]++;
           enemy.dead = true;
           enemy.respawnTimer = RESPAWN_FRAMES;
           this._ais[ei] = null;
@@ -1179,13 +1470,14 @@ export class GameSimulation {
         } else if (result.type === 'playerKill') {
           // Pterodactyl killed the player
           const knockDir = enemy.positionX < human.positionX ? 1 : -1;
-          this._killCharacter(human, hi, knockDir);
+          this._killCharacter(human, hi, knockDir, MAX_HUMANS + ei);
         } else if (result.type === 'bounce') {
           // Invincible player — bounce both
           const pushDir = enemy.positionX <= human.positionX ? -1 : 1;
           applyBounce(enemy, human, pushDir);
           enemy.bounceCount += 1;
           human.bounceCount += 1;
+          this._emit(GameEvent.BOUNCE, { a: hi, b: MAX_HUMANS + ei });
         }
       }
     }
@@ -1205,7 +1497,7 @@ export class GameSimulation {
           continue;
         }
 
-        const result = resolveJoust(charA, charB, a, b, this._gameMode, NUM_HUMAN_SLOTS);
+        const result = resolveJoust(charA, charB, a, b, this._gameMode, NUM_HUMAN_SLOTS, this._rules.friendlyFire === 1);
         if (!result) {
           continue;
         }
@@ -1220,9 +1512,10 @@ export class GameSimulation {
           charB.facingDir = -result.pushDir;
           charB.isTurning = true;
           charB.turnTimer = 0;
+          this._emit(GameEvent.BOUNCE, { a, b });
         } else {
           applyKillToWinner(result.winner, result.pushDir);
-          this._killCharacter(result.loser, result.loserIdx, result.pushDir);
+          this._killCharacter(result.loser, result.loserIdx, result.pushDir, result.winnerIdx);
         }
       }
     }
@@ -1230,9 +1523,10 @@ export class GameSimulation {
 
   // ---- Death / Respawn ----
 
-  _killCharacter(char, charIdx, knockDir) {
+  _killCharacter(char, charIdx, knockDir, killerIdx = -1) {
     char.dead = true;
     char.respawnTimer = RESPAWN_FRAMES;
+    this._emit(GameEvent.JOUST_KILL, { winner: killerIdx, loser: charIdx, enemyType: char.enemyType });
 
     // Reset idle timer when an enemy dies
     if (charIdx >= MAX_HUMANS) {
@@ -1244,57 +1538,98 @@ export class GameSimulation {
       return;
     }
 
-    // Spawn egg — store the upgraded type it will hatch into
+    // Spawn egg — store the type it will hatch into (the profile's hatchesInto)
     // Bounder → Hunter, Hunter → Shadow Lord, Shadow Lord → Shadow Lord, Human → Bounder
     const eggType = charIdx >= MAX_HUMANS
-      ? Math.min(char.enemyType + 1, ENEMY_TYPE_SHADOW_LORD)
+      ? getEnemyProfile(char.enemyType).hatchesInto
       : ENEMY_TYPE_BOUNDER;
-    this._spawnEgg(char.positionX, char.positionY, char.velocityX + knockDir * FP_KILL_KNOCK_VX, char.velocityY, eggType);
+    this._spawnEgg(char.positionX, char.positionY, char.velocityX + knockDir * FP_KILL_KNOCK_VX, char.velocityY, eggType, charIdx);
 
-    // Award kill points to the closest active human if enemy was killed
+    // Award kill points for an enemy to the human who won the joust (the
+    // winner in JOUST_KILL), or to the closest active human if none did
     if (charIdx >= MAX_HUMANS) {
-      let killerIdx = 0;
-      let minDist = 0x7FFFFFFF;
-      for (let i = 0; i < MAX_HUMANS; i++) {
-        const h = this._chars[i];
-        if (h.active && !h.dead) {
-          const dist = Math.abs(h.positionX - char.positionX) + Math.abs(h.positionY - char.positionY);
-          if (dist < minDist) {
-            minDist = dist;
-            killerIdx = i;
+      let scorerIdx = killerIdx;
+      if (scorerIdx < 0 || scorerIdx >= MAX_HUMANS) {
+        scorerIdx = 0;
+        let minDist = 0x7FFFFFFF;
+        for (let i = 0; i < MAX_HUMANS; i++) {
+          const h = this._chars[i];
+          if (h.active && !h.dead) {
+            const dist = Math.abs(h.positionX - char.positionX) + Math.abs(h.positionY - char.positionY);
+            if (dist < minDist) {
+              minDist = dist;
+              scorerIdx = i;
+            }
           }
         }
       }
-      this._addScore(killerIdx, getKillPoints(char.enemyType));
+      this._addScore(scorerIdx, getKillPoints(char.enemyType));
+      this._stats[scorerIdx][ST_KILLS + char.enemyType]++;
     }
 
-    // Human death: decrement lives, dismiss pterodactyls, reset idle timer
-    if (charIdx < MAX_HUMANS) {
-      char.lives -= 1;
-      char.playerDiedThisWave = true;
-      this._dismissPterodactyls();
-      this._idleTimer = 0;
-      if (char.lives <= 0) {
-        char.lives = 0;
-        this._checkGameOver();
+    // Player unhorsed by a player (PvP, or team mode with friendlyFire). The
+    // first one in a PvP wave is the gladiator; in team mode it costs the team bonus.
+    if (charIdx < MAX_HUMANS && killerIdx >= 0 && killerIdx < MAX_HUMANS) {
+      if (this._gameMode === GAME_MODE_PVP && this._playerKillsThisWave === 0) {
+        this._addBonus(killerIdx, 'gladiatorBonus', POINTS_GLADIATOR_WAVE);
       }
+      this._playerKillsThisWave++;
+      this._stats[killerIdx][ST_PLAYER_KILLS]++;
+    }
+
+    if (charIdx < MAX_HUMANS) {
+      const byPterodactyl = killerIdx >= MAX_HUMANS && this._chars[killerIdx].enemyType === ENEMY_TYPE_PTERODACTYL;
+      this._stats[charIdx][byPterodactyl ? ST_DEATHS_PTERODACTYL : ST_DEATHS_JOUST]++;
+      this._loseLife(char, charIdx);
     }
   }
 
-  _lavaDeath(char, charIdx) {
+  // cause: the ST_DEATHS_* counter a human's death goes to
+  _lavaDeath(char, charIdx, cause = ST_DEATHS_LAVA) {
     char.dead = true;
     char.respawnTimer = RESPAWN_FRAMES;
+    this._emit(GameEvent.LAVA_DEATH, { slot: charIdx });
 
     if (charIdx < MAX_HUMANS) {
-      char.lives -= 1;
-      char.playerDiedThisWave = true;
-      this._dismissPterodactyls();
-      this._idleTimer = 0;
-      if (char.lives <= 0) {
-        char.lives = 0;
-        this._checkGameOver();
+      this._stats[charIdx][cause]++;
+      this._loseLife(char, charIdx);
+    }
+  }
+
+  // Human death: decrement lives, dismiss pterodactyls, reset idle timer
+  _loseLife(char, charIdx) {
+    char.lives -= 1;
+    char.playerDiedThisWave = true;
+    this._dismissPterodactyls();
+    this._idleTimer = 0;
+    if (char.lives <= 0) {
+      this._borrowLife(char, charIdx);
+    }
+    if (char.lives <= 0) {
+      char.lives = 0;
+      this._checkGameOver();
+    }
+  }
+
+  // Shared lives (team mode): a player out of lives takes one from the teammate
+  // with the most to spare (lowest slot on a tie). Players and bots pool separately.
+  _borrowLife(char, charIdx) {
+    if (!this._rules.sharedLives || this._gameMode !== GAME_MODE_TEAM) {
+      return;
+    }
+    const isBot = this._bots[charIdx] !== null;
+    let donorIdx = -1;
+    for (let i = 0; i < MAX_HUMANS; i++) {
+      const mate = this._chars[i];
+      const spare = mate.active && i !== charIdx && (this._bots[i] !== null) === isBot && mate.lives > 1;
+      if (spare && (donorIdx < 0 || mate.lives > this._chars[donorIdx].lives)) {
+        donorIdx = i;
       }
     }
+    if (donorIdx >= 0) {
+      this._chars[donorIdx].lives -= 1;
+      char.lives += 1;
+    }
   }
 
   _dismissPterodactyls() {
@@ -1310,15 +1645,26 @@ export class GameSimulation {
   }
 
   _checkGameOver() {
-    let anyAlive = false;
+    // Bots keep the game going only when no player is in it at all
+    let anyPlayer = false;
+    let playerAlive = false;
+    let botAlive = false;
     for (let i = 0; i < MAX_HUMANS; i++) {
-      if (this._chars[i].active && this._chars[i].lives > 0) {
-        anyAlive = true;
-        break;
+      const char = this._chars[i];
+      if (!char.active) {
+        continue;
+      }
+      if (this._bots[i]) {
+        botAlive = botAlive || char.lives > 0;
+      } else {
+        anyPlayer = true;
+        playerAlive = playerAlive || char.lives > 0;
       }
     }
+    const anyAlive = anyPlayer ? playerAlive : botAlive;
     if (!anyAlive) {
       this._gameOver = true;
+      this._emit(GameEvent.GAME_OVER, {});
     }
   }
 
@@ -1339,7 +1685,8 @@ export class GameSimulation {
     // Filtering by other characters' positions causes desync in multiplayer because
     // predicted positions differ between peers during rollback. The respawning player
     // has invincibility so overlapping at spawn is safe.
-    const spawn = SPAWN_POINTS_FP[this._rng.nextInt(SPAWN_POINTS_FP.length)];
+    const spawnPoints = this._arena.spawnPoints;
+    const spawn = spawnPoints[this._rng.nextInt(spawnPoints.length)];
 
     const platform = this._platforms.find(p => p.id === spawn.platformId);
 
@@ -1371,6 +1718,15 @@ export class GameSimulation {
 
   // ---- Scoring ----
 
+  // Award a wave bonus and keep its running total (char[field]) for the end-of-game breakdown
+  _addBonus(humanIdx, field, points) {
+    const char = this._chars[humanIdx];
+    if (char.active && !this._gameOver) {
+      char[field] += points;
+    }
+    this._addScore(humanIdx, points);
+  }
+
   _addScore(humanIdx, points) {
     if (humanIdx < 0 || humanIdx >= MAX_HUMANS) {
       return;
@@ -1382,15 +1738,17 @@ export class GameSimulation {
 
     char.score += points;
 
-    if (char.score >= char.nextLifeScore) {
+    if (this._rules.extraLifeThreshold > 0 && char.score >= char.nextLifeScore) {
       char.lives += 1;
-      char.nextLifeScore += EXTRA_LIFE_THRESHOLD;
+      char.nextLifeScore += this._rules.extraLifeThreshold;
+      this._emit(GameEvent.EXTRA_LIFE, { slot: humanIdx, lives: char.lives });
     }
   }
 
   // ---- Eggs ----
 
-  _spawnEgg(x, y, vx, vy, enemyType) {
+  // riderIdx: the character slot the egg fell from
+  _spawnEgg(x, y, vx, vy, enemyType, riderIdx) {
     let slotIdx = -1;
     for (let i = 0; i < MAX_EGGS; i++) {
       if (!this._eggs[i].active) {
@@ -1415,6 +1773,7 @@ export class GameSimulation {
     egg.hatchTimer = 0;
     egg.bounceCount = 0;
     egg.hitLava = false;
+    this._emit(GameEvent.EGG_SPAWNED, { egg: slotIdx, slot: riderIdx });
   }
 
   _updateEggs() {
@@ -1454,8 +1813,16 @@ export class GameSimulation {
         egg.positionX += velPerFrame(egg.velocityX);
         egg.positionY += velPerFrame(egg.velocityY);
 
-        // Screen wrap BEFORE platform collision so checks use in-bounds position
-        if (egg.positionX > FP_ORTHO_RIGHT + FP_EGG_RADIUS) {
+        // Screen wrap (or side walls) BEFORE platform collision so checks use in-bounds position
+        if (!this._arena.wrapEdges) {
+          if (egg.positionX > FP_ORTHO_RIGHT - FP_EGG_RADIUS) {
+            egg.positionX = FP_ORTHO_RIGHT - FP_EGG_RADIUS;
+            egg.velocityX = 0;
+          } else if (egg.positionX < FP_ORTHO_LEFT + FP_EGG_RADIUS) {
+            egg.positionX = FP_ORTHO_LEFT + FP_EGG_RADIUS;
+            egg.velocityX = 0;
+          }
+        } else if (egg.positionX > FP_ORTHO_RIGHT + FP_EGG_RADIUS) {
           egg.positionX = FP_ORTHO_LEFT - FP_EGG_RADIUS;
         } else if (egg.positionX < FP_ORTHO_LEFT - FP_EGG_RADIUS) {
           egg.positionX = FP_ORTHO_RIGHT + FP_EGG_RADIUS;
@@ -1504,9 +1871,10 @@ export class GameSimulation {
         }
 
         // Lava (FP)
-        if (egg.positionY < FP_ORTHO_BOTTOM + FP_LAVA_OFFSET) {
+        if (egg.positionY < this._arena.lavaKillY) {
           egg.active = false;
           egg.hitLava = true;
+          this._emit(GameEvent.EGG_LAVA, { egg: i });
           continue;
         }
 
@@ -1533,7 +1901,12 @@ export class GameSimulation {
             const bonus = midAir ? POINTS_EGG_MID_AIR : 0;
             this._addScore(h, basePoints + bonus);
             player.eggsCollectedThisWave += 1;
+            this._stats[h][ST_EGGS_COLLECTED]++;
+            if (midAir) {
+              this._stats[h][ST_EGGS_MID_AIR]++;
+            }
             egg.active = false;
+            this._emit(GameEvent.EGG_COLLECTED, { egg: i, slot: h, midAir, hatchling: false });
             this._idleTimer = 0; // Reset idle timer on egg collect
             break;
           }
@@ -1556,6 +1929,7 @@ export class GameSimulation {
           // Transition to hatchling — standing knight on platform
           egg.hatchState = HATCH_HATCHLING;
           // Timer keeps incrementing from HATCH_FRAMES
+          this._emit(GameEvent.EGG_HATCHED, { egg: i });
         }
       }
 
@@ -1584,7 +1958,9 @@ export class GameSimulation {
             const basePoints = getEggPoints(player.eggsCollectedThisWave);
             this._addScore(h, basePoints);
             player.eggsCollectedThisWave += 1;
+            this._stats[h][ST_EGGS_COLLECTED]++;
             egg.active = false;
+            this._emit(GameEvent.EGG_COLLECTED, { egg: i, slot: h, midAir: false, hatchling: true });
             break;
           }
         }
@@ -1602,6 +1978,12 @@ export class GameSimulation {
     }
   }
 
+  // ---- Events ----
+
+  _emit(type, fields) {
+    this._events.push({ type, frame: this._frame, ...fields });
+  }
+
   // ---- Serialization helpers ----
   // All values are already integers — direct copy
 
@@ -1742,6 +2124,8 @@ export class GameSimulation {
         materializeTimer: c.materializeTimer / 60,
         materializeDuration: c.materializeDuration / 60,
         slotIndex: i,
+        isBot: this._bots[i] !== null,
+        stats: matchStatsFromBlock(this._stats[i]),
         wingMode: 'updown',
       });
     }
@@ -1796,6 +2180,7 @@ export class GameSimulation {
       waveState: this._waveState,
       gameOver: this._gameOver,
       gameMode: this._gameMode,
+      arenaId: this._arena.id,
       idleTimer: this._idleTimer,
       humans,
       enemies,
@@ -1,6 +1,11 @@
 // HighScoreTracker — Periodically checks and submits high scores during gameplay.
-// Fetches the player's current best on start, then every ~15 seconds checks if
-// the current score exceeds it. If so, submits the new high score to the server.
+// Fetches the player's best score and wave of the day on start (the daily
+// leaderboard is the easiest to get onto), then every ~15 seconds checks if
+// the current score or wave exceeds them. If so, submits the score to the
+// server together with a replay proof that the server re-simulates to verify
+// it; the server files it on the daily, weekly and all-time boards. Nothing
+// is submitted while the run is unranked (isRanked), since the server would
+// only reject it.
 // All Meteor calls are wrapped in try/catch so gameplay is never interrupted.
 
 import { Meteor } from 'meteor/meteor';
@@ -13,25 +18,47 @@ export class HighScoreTracker {
    *   gameMode: string,
    *   getScore: () => number,
    *   getWave: () => number,
+   *   getProof: () => { replay: Uint8Array, frame: number, playerSlot: number },
+   *   isRanked?: () => boolean,
    * }} config
    */
-  constructor({ gameMode, getScore, getWave }) {
+  constructor({ gameMode, getScore, getWave, getProof, isRanked = () => true }) {
     this._gameMode = gameMode;
     this._getScore = getScore;
     this._getWave = getWave;
-    this._cachedBest = 0;
+    this._getProof = getProof;
+    this._isRanked = isRanked;
+    this._cachedBest = 0; // today's best score
+    this._cachedWave = 0; // today's highest wave
+    this._previousBest = null;
     this._intervalId = null;
   }
 
   /**
-   * Fetch the player's current best score and start periodic checking.
+   * The player's best score before this game (highScores.myBest), or null
+   * until it has been fetched. Stays put while this game's scores go in.
+   * @returns {number|null}
+   */
+  get previousBest() {
+    return this._previousBest;
+  }
+
+  /**
+   * Fetch the player's best scores and start periodic checking.
    */
   async start() {
     try {
-      this._cachedBest = await Meteor.callAsync('highScores.myBest', this._gameMode);
+      const [allTime, daily] = await Promise.all([
+        Meteor.callAsync('highScores.myBest', this._gameMode),
+        Meteor.callAsync('highScores.myDailyBest', this._gameMode),
+      ]);
+      this._previousBest = allTime;
+      this._cachedBest = daily.score;
+      this._cachedWave = daily.wave;
     } catch (err) {
       // Not logged in or server error — default to 0
       this._cachedBest = 0;
+      this._cachedWave = 0;
     }
 
     this._intervalId = setInterval(() => {
@@ -51,13 +78,20 @@ export class HighScoreTracker {
   }
 
   async _checkAndSubmit() {
+    if (!this._isRanked()) {
+      return;
+    }
     try {
       const currentScore = this._getScore();
       const currentWave = this._getWave();
 
-      if (currentScore > this._cachedBest) {
-        await Meteor.callAsync('highScores.submit', currentScore, this._gameMode, currentWave);
-        this._cachedBest = currentScore;
+      if (currentScore > 0 && (currentScore > this._cachedBest || currentWave > this._cachedWave)) {
+        // Capture the proof in the same synchronous step as score + wave
+        // so all three describe the same simulation frame
+        const proof = this._getProof();
+        await Meteor.callAsync('highScores.submit', currentScore, this._gameMode, currentWave, proof);
+        this._cachedBest = Math.max(this._cachedBest, currentScore);
+        this._cachedWave = Math.max(this._cachedWave, currentWave);
       }
     } catch (err) {
       // Silently ignore — user may not be logged in, or server may be unreachable
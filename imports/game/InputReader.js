@@ -5,6 +5,9 @@
 // transitions from released to pressed (one event per press).
 // "Any key = flap" — any key that isn't a movement key or Escape triggers flap.
 // Gamepad: D-pad/analog for movement, any face/shoulder button for flap.
+// Couch co-op: pass { keys, gamepadIndex } to bind a reader to one key set
+// and one navigator.getGamepads() index so up to four readers can share a
+// keyboard without stealing each other's keys.
 
 import { KeyboardEventTypes } from '@babylonjs/core/Events/keyboardEvents';
 
@@ -22,8 +25,23 @@ const IGNORED_KEYS = new Set([
 
 const GAMEPAD_DEADZONE = 0.3;
 
+// Per-player key sets for couch co-op, indexed by local player number
+export const KEY_SETS = [
+  { left: ['KeyA'], right: ['KeyD'], flap: ['KeyW', 'Space'] },
+  { left: ['ArrowLeft'], right: ['ArrowRight'], flap: ['ArrowUp', 'Enter'] },
+  { left: ['KeyJ'], right: ['KeyL'], flap: ['KeyI'] },
+  { left: ['Numpad4'], right: ['Numpad6'], flap: ['Numpad8', 'Numpad0'] },
+];
+
+export const MAX_LOCAL_PLAYERS = KEY_SETS.length;
+
 export class InputReader {
-  constructor() {
+  /**
+   * @param {{ keys?: { left: string[], right: string[], flap: string[] }, gamepadIndex?: number }} [bindings]
+   *   Omit for single-player ("any key = flap", first connected gamepad).
+   */
+  constructor(bindings = null) {
+    this._bindings = bindings;
     this.keys = {};
     this._flapConsumed = true;
     this._escapeConsumed = true;
@@ -47,7 +65,9 @@ export class InputReader {
     this._observer = scene.onKeyboardObservable.add((kbInfo) => {
       const code = kbInfo.event.code;
 
-      if (kbInfo.type === KeyboardEventTypes.KEYDOWN) {
+      if (this._bindings) {
+        this._handleBoundKey(kbInfo, code);
+      } else if (kbInfo.type === KeyboardEventTypes.KEYDOWN) {
         // Edge detection for escape
         if (code === 'Escape') {
           if (!this.keys[code]) {
@@ -73,6 +93,13 @@ export class InputReader {
       }
     });
 
+    if (this._bindings) {
+      // Fixed gamepad index; an empty slot just reads as no input
+      this._gamepadIndex = this._bindings.gamepadIndex ?? null;
+      this.attached = true;
+      return;
+    }
+
     // Gamepad connection tracking
     this._gamepadConnectHandler = (e) => {
       if (this._gamepadIndex === null) {
@@ -119,6 +146,27 @@ export class InputReader {
     this.attached = false;
   }
 
+  _handleBoundKey(kbInfo, code) {
+    const { left, right, flap } = this._bindings.keys;
+    if (!left.includes(code) && !right.includes(code) && !flap.includes(code)) {
+      return;
+    }
+
+    if (kbInfo.type === KeyboardEventTypes.KEYDOWN) {
+      if (flap.includes(code) && !this.keys[code]) {
+        this._flapConsumed = false;
+      }
+      this.keys[code] = true;
+      kbInfo.event.preventDefault();
+    } else if (kbInfo.type === KeyboardEventTypes.KEYUP) {
+      this.keys[code] = false;
+    }
+  }
+
+  _isHeld(codes) {
+    return codes.some(code => this.keys[code]);
+  }
+
   _sampleGamepad() {
     const result = { left: false, right: false, flap: false };
 
@@ -181,6 +229,16 @@ export class InputReader {
     // Gamepad input
     const gp = this._sampleGamepad();
 
+    if (this._bindings) {
+      const { left, right } = this._bindings.keys;
+      return {
+        left: this._isHeld(left) || gp.left,
+        right: this._isHeld(right) || gp.right,
+        flap: flapPressed || gp.flap,
+        escape: escapePressed,
+      };
+    }
+
     return {
       left: this.keys['ArrowLeft'] || this.keys['KeyA'] || gp.left || false,
       right: this.keys['ArrowRight'] || this.keys['KeyD'] || gp.right || false,
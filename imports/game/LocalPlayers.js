@@ -0,0 +1,66 @@
+// LocalPlayers — Couch co-op seats on one machine.
+// Seat 0 (player 1) plays from the start on KEY_SETS[0] and gamepad 0.
+// Seats 1-3 sit out until someone presses that seat's flap key or a face
+// button on that seat's gamepad; MultiplayerManager then asks the server
+// for a human slot and hands the seat's reader to GameLoop.
+
+import { InputReader, KEY_SETS, MAX_LOCAL_PLAYERS } from './InputReader.js';
+
+export class LocalPlayers {
+  constructor() {
+    this._readers = KEY_SETS.map((keys, seat) => new InputReader({ keys, gamepadIndex: seat }));
+    this._seatSlots = new Map(); // seat -> human slot, once joined
+    this._pendingSeats = new Set(); // seats waiting on rooms.addLocalGuest
+  }
+
+  /** Reader for player 1, who is in the game from the start. */
+  get primaryReader() {
+    return this._readers[0];
+  }
+
+  attach(scene) {
+    for (const reader of this._readers) {
+      reader.attach(scene);
+    }
+  }
+
+  detach() {
+    for (const reader of this._readers) {
+      reader.detach();
+    }
+    this._seatSlots.clear();
+    this._pendingSeats.clear();
+  }
+
+  /**
+   * Seats that just pressed flap while sitting out. Each is reported once and
+   * then stays pending until seatJoined() or seatFailed().
+   * @returns {number[]}
+   */
+  pollJoinRequests() {
+    const requests = [];
+    for (let seat = 1; seat < MAX_LOCAL_PLAYERS; seat++) {
+      if (this._seatSlots.has(seat) || this._pendingSeats.has(seat)) {
+        continue;
+      }
+      if (this._readers[seat].sample().flap) {
+        this._pendingSeats.add(seat);
+        requests.push(seat);
+      }
+    }
+    return requests;
+  }
+
+  /**
+   * @returns {InputReader} the reader that now drives `slot`
+   */
+  seatJoined(seat, slot) {
+    this._pendingSeats.delete(seat);
+    this._seatSlots.set(seat, slot);
+    return this._readers[seat];
+  }
+
+  seatFailed(seat) {
+    this._pendingSeats.delete(seat);
+  }
+}
@@ -1,24 +1,48 @@
 // MultiplayerManager — Orchestrates the full multiplayer lifecycle.
 // Creates GameSimulation + Level1Scene renderer, handles room finding,
-// WebRTC setup, drop-in/drop-out, and input routing.
+// WebRTC setup, drop-in/drop-out, and input routing. Also connects to the
+// room's spectators and, while this peer is the resync authority, streams
+// the match to them (SpectatorHost).
+// With localCoop, extra players on this machine (LocalPlayers) join as
+// couch co-op guests: each gets its own human slot from rooms.addLocalGuest
+// and rides this peer's connection, so rooms can mix local and remote players.
+// After a game over, a rematch (rooms.rematch) restarts the game in the same
+// room: the resync authority builds the new game on the running session's
+// timeline and sends it to every peer like a resync.
 
 import { Meteor } from 'meteor/meteor';
 import { Tracker } from 'meteor/tracker';
 import { GameSimulation } from './GameSimulation.js';
 import { GameLoop } from './GameLoop.js';
 import { InputReader } from './InputReader.js';
+import { LocalPlayers } from './LocalPlayers.js';
 import { InputEncoder, MessageType } from '../netcode/InputEncoder.js';
 import { RollbackSession } from '../netcode/RollbackSession.js';
+import { NetDiagnostics, MAX_DESYNC_REPORTS } from '../netcode/NetDiagnostics.js';
+import {
+  encodeStateDelta, decodeStateDelta, applyStateDelta, StateDeltaAssembler, StateBaselines,
+} from '../netcode/StateDelta.js';
+import { InputAckTracker } from '../netcode/InputWindow.js';
 import { TransportManager } from '../netcode/transport/TransportManager.js';
+import { parseNetworkConditions } from '../netcode/transport/NetworkConditioner.js';
 import { GameRooms } from '../lib/collections/gameRooms.js';
 import { MAX_HUMANS } from './physics/stateLayout.js';
 import { HighScoreTracker } from './HighScoreTracker.js';
+import { ReplayRecorder } from './replay/ReplayRecorder.js';
+import { rulesFromRoomSettings, isClassicRules } from './gameRules.js';
+import { SpectatorHost } from './spectator/SpectatorFeed.js';
+import { DesyncForensics } from './desync/DesyncForensics.js';
+import { formatStateDiff } from './physics/stateDiff.js';
+import { KNIGHT_PALETTES } from './voxels/models/knightPalettes.js';
+import { buildMatchResults } from './matchStats.js';
 
 export class MultiplayerManager {
   /**
    * @param {{
    *   gameMode: string,
    *   paletteIndex: number,
+   *   roomId?: string,
+   *   localCoop?: boolean,
    *   renderer: Level1Scene,
    *   scene: BabylonScene,
    *   engine: BabylonEngine,
@@ -30,6 +54,9 @@ export class MultiplayerManager {
   constructor(config) {
     this._gameMode = config.gameMode;
     this._paletteIndex = config.paletteIndex;
+    this._lobbyRoomId = config.roomId || null; // private lobby room to enter instead of matchmaking
+    this._localCoop = !!config.localCoop;
+    this._rules = rulesFromRoomSettings({});
     this._renderer = config.renderer;
     this._scene = config.scene;
     this._engine = config.engine;
@@ -41,13 +68,23 @@ export class MultiplayerManager {
     this._playerSlot = 0;
     this._simulation = null;
     this._gameLoop = null;
+    this._replayRecorder = null;
     this._inputReader = null;
+    this._localPlayers = null; // LocalPlayers when localCoop
+    this._localGuests = new Map(); // our couch guests: slot -> paletteIndex
+    this._remoteGuests = new Map(); // connected peers' couch guests: slot -> owner peerId
     this._transport = null;
     this._session = null;
     this._roomSubscription = null;
     this._roomComputation = null;
     this._connectedPeers = new Map(); // peerId -> playerSlot (only ACTUALLY connected peers)
     this._pendingPeers = new Map(); // peerId -> playerSlot (initiated connection, not yet connected)
+    this._pendingSpectators = new Set(); // spectator peerIds with a connection in progress
+    this._spectatorHost = new SpectatorHost({
+      send: (peerId, data) => this._transport?.send(peerId, data),
+    });
+    this._netDiagnostics = new NetDiagnostics();
+    this._desyncForensics = new DesyncForensics({ onReport: (report) => this._saveDesyncReport(report) });
     this._preSessionInputBuffer = [];
     this._incomingMessageBuffer = [];
     this._incomingPeerEvents = [];
@@ -57,12 +94,17 @@ export class MultiplayerManager {
     this._waitingForSync = false;
     this._isJoining = false; // true when joining existing room; cleared on STATE_SYNC receipt or join timeout
     this._earlyStateSyncBuffer = []; // STATE_SYNCs that arrived before peer maps were populated (WebRTC faster than DDP race)
+    this._stateBaselines = new StateBaselines(); // syncs sent and loaded, usable as STATE_DELTA baselines
+    this._stateAssemblers = new Map(); // peerId -> StateDeltaAssembler for incoming chunks
+    this._inputAcks = new InputAckTracker(); // contiguous remote inputs received, for INPUT_ACK
     this._joinTimeoutId = null;
     this._joiningOverlay = null;
     this._heartbeatInterval = null;
     this._beforeUnloadHandler = null;
     this._visibilityHandler = null;
     this._destroyed = false;
+    this._gameOverHandled = false; // results reported (or left to the host) and onGameOver called
+    this._round = null; // room.round of the game being played (bumped by each rematch)
 
     // Quality report protocol for RTT measurement
     this._qualityCounter = 0;
@@ -71,18 +113,27 @@ export class MultiplayerManager {
 
   /**
    * Start the multiplayer flow:
-   * 1. Find/create room
+   * 1. Find/create room (or enter the private lobby room we were given)
    * 2. Start game immediately in solo mode
    * 3. Watch for other players joining
    */
   async start() {
-    const result = await Meteor.callAsync('matchmaking.findOrCreate', this._gameMode, this._paletteIndex);
+    if (this._lobbyRoomId) {
+      const result = await Meteor.callAsync('rooms.enter', this._lobbyRoomId);
+      this._gameMode = result.gameMode;
+      this._paletteIndex = result.paletteIndex;
+      this._rules = rulesFromRoomSettings(result.settings);
+      this._resyncAuthority = result.authoritySlot;
+      await this._initializeGame(result);
+    } else {
+      const result = await Meteor.callAsync('matchmaking.findOrCreate', this._gameMode, this._paletteIndex);
 
-    if (result.alreadyPlaying) {
-      throw new Meteor.Error('already-playing', 'You are already playing in another window');
-    }
+      if (result.alreadyPlaying) {
+        throw new Meteor.Error('already-playing', 'You are already playing in another window');
+      }
 
-    await this._initializeGame(result);
+      await this._initializeGame(result);
+    }
   }
 
   /**
@@ -127,25 +178,36 @@ export class MultiplayerManager {
     this._simulation = new GameSimulation({
       gameMode: this._gameMode,
       seed,
+      rules: this._rules,
     });
 
     // Initialize deterministic environment from shared seed
     this._renderer.setEnvironmentSeed((seed ^ 0xA5A5A5A5) >>> 0);
 
+    this._replayRecorder = new ReplayRecorder({
+      game: this._simulation,
+      gameMode: this._gameMode,
+      seed,
+    });
+
     // Activate local player
     this._simulation.activatePlayer(this._playerSlot, this._paletteIndex);
+    this._replayRecorder.recordActivate(this._playerSlot, this._paletteIndex);
     this._simulation.startGame();
+    this._replayRecorder.recordStart();
 
-    this._highScoreTracker = new HighScoreTracker({
-      gameMode: this._gameMode,
-      getScore: () => this._simulation?.getState()?.humans?.[this._playerSlot]?.score ?? 0,
-      getWave: () => this._simulation?.getState()?.waveNumber ?? 1,
-    });
-    this._highScoreTracker.start().catch(() => {});
+    this._startHighScoreTracker();
 
-    // Set up input reader (attached to Babylon scene)
-    this._inputReader = new InputReader();
-    this._inputReader.attach(this._scene);
+    // Set up input reader (attached to Babylon scene). Couch co-op splits the
+    // keyboard into per-player key sets, player 1 taking the first one.
+    if (this._localCoop) {
+      this._localPlayers = new LocalPlayers();
+      this._localPlayers.attach(this._scene);
+      this._inputReader = this._localPlayers.primaryReader;
+    } else {
+      this._inputReader = new InputReader();
+      this._inputReader.attach(this._scene);
+    }
     this._scene.attachControl();
 
     // Create game loop in solo mode (defer renderer if waiting for sync)
@@ -155,6 +217,8 @@ export class MultiplayerManager {
       inputReader: this._inputReader,
       localPlayerIndex: this._playerSlot,
     });
+    this._gameLoop.recorder = this._replayRecorder;
+    this._gameLoop.spectatorPeers = this._spectatorHost.spectators;
 
     this._gameLoop.onNetworkEvent = (event) => this._handleNetworkEvent(event);
     this._gameLoop.messageDrain = () => this.drainMessages();
@@ -165,8 +229,12 @@ export class MultiplayerManager {
     // Initialize transport and register PeerJS ID
     this._transport = new TransportManager();
     const serverUrl = Meteor.absoluteUrl();
-    const simulatedLatencyMs = parseInt(new URL(window.location.href).searchParams.get('latency') || '0', 10) || 0;
-    const localPeerId = await this._transport.initialize(serverUrl, this._roomId, Meteor.userId(), { simulatedLatencyMs });
+    // Debug: ?latency=150&loss=5 etc. simulate a bad connection (see NetworkConditioner)
+    const networkConditions = parseNetworkConditions(new URL(window.location.href).searchParams);
+    const localPeerId = await this._transport.initialize(serverUrl, this._roomId, Meteor.userId(), {
+      networkConditions,
+      getRelayToken: () => Meteor.callAsync('rooms.relayToken', this._roomId),
+    });
     await Meteor.callAsync('rooms.setPeerJsId', this._roomId, localPeerId);
 
     // Start join timeout now that transport is initialized and peer ID is published.
@@ -234,10 +302,13 @@ export class MultiplayerManager {
       this._gameLoop = null;
     }
 
-    if (this._inputReader) {
+    if (this._localPlayers) {
+      this._localPlayers.detach();
+      this._localPlayers = null;
+    } else if (this._inputReader) {
       this._inputReader.detach();
-      this._inputReader = null;
     }
+    this._inputReader = null;
 
     if (this._transport) {
       this._transport.destroy();
@@ -269,13 +340,15 @@ export class MultiplayerManager {
     this._session = null;
     this._incomingPeerEvents = [];
     this._pendingPeers.clear();
+    this._pendingSpectators.clear();
   }
 
   /**
    * Submit the final score.
    */
   async submitScore() {
-    if (!this._simulation || !this._roomId) {
+    // Unranked runs would only be rejected by the server
+    if (!this._simulation || !this._roomId || this.getUnrankedReason()) {
       return;
     }
 
@@ -291,7 +364,8 @@ export class MultiplayerManager {
           'highScores.submit',
           localPlayer.score,
           this._gameMode,
-          state.waveNumber
+          state.waveNumber,
+          this._buildScoreProof()
         );
       } catch (err) {
         console.warn('[MultiplayerManager] Failed to submit score:', err.message);
@@ -299,8 +373,107 @@ export class MultiplayerManager {
     }
   }
 
+  /**
+   * Why the local player's score can't go on the leaderboards, or null if it
+   * can. The server only ranks classic rules, and only runs it can
+   * re-simulate from the seed: a run that loaded another player's state
+   * (joining, or recovering from a desync) can't be checked.
+   * @returns {string|null}
+   */
+  getUnrankedReason() {
+    if (!isClassicRules(this._rules)) {
+      return 'custom rules';
+    }
+    if (this._replayRecorder && !this._replayRecorder.verifiable) {
+      return 'synced from another player';
+    }
+    return null;
+  }
+
+  /**
+   * Vote for a rematch once the game is over. The game restarts when every
+   * player in the room has voted.
+   * @returns {Promise<{ started: boolean }>}
+   */
+  requestRematch() {
+    return Meteor.callAsync('rooms.rematch', this._roomId);
+  }
+
+  /**
+   * The local player's best score before this game, null when unknown
+   * (see HighScoreTracker.previousBest).
+   * @returns {number|null}
+   */
+  getPreviousBest() {
+    return this._highScoreTracker ? this._highScoreTracker.previousBest : null;
+  }
+
+  /**
+   * Encode the match recorded so far as a replay file (null before start).
+   * @returns {ArrayBuffer|null}
+   */
+  getReplay() {
+    return this._replayRecorder ? this._replayRecorder.toBuffer() : null;
+  }
+
+  /**
+   * Replay + frame + slot that lets the server re-simulate the local score.
+   */
+  _buildScoreProof() {
+    return {
+      replay: new Uint8Array(this.getReplay()),
+      frame: this._simulation._frame,
+      playerSlot: this._playerSlot,
+    };
+  }
+
+  /**
+   * Netcode health for the diagnostics overlay. Empty until the first
+   * multiplayer session; keeps its history across resyncs.
+   * @returns {NetDiagnostics}
+   */
+  getNetDiagnostics() {
+    return this._netDiagnostics;
+  }
+
+  /**
+   * Save the current replay to the user's downloads folder.
+   */
+  downloadReplay() {
+    const replay = this.getReplay();
+    if (replay) {
+      const blob = new Blob([replay], { type: 'application/octet-stream' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `talon-lance-${this._gameMode}-${Date.now()}.tlreplay`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+  }
+
   // ---- Private ----
 
+  // High scores only count under classic rules (the server rejects custom
+  // rules), and stop being submitted once the run loads a STATE_SYNC (see
+  // getUnrankedReason). Each rematch gets a fresh tracker.
+  _startHighScoreTracker() {
+    if (this._highScoreTracker) {
+      this._highScoreTracker.stop();
+      this._highScoreTracker = null;
+    }
+    if (isClassicRules(this._rules)) {
+      this._highScoreTracker = new HighScoreTracker({
+        gameMode: this._gameMode,
+        getScore: () => this._simulation?.getState()?.humans?.[this._playerSlot]?.score ?? 0,
+        getWave: () => this._simulation?.getState()?.waveNumber ?? 1,
+        getProof: () => this._buildScoreProof(),
+        isRanked: () => !this.getUnrankedReason(),
+      });
+      this._highScoreTracker.start().catch(() => {});
+    }
+  }
+
   _startRoomHeartbeat() {
     this._touchRoom();
     this._heartbeatInterval = setInterval(() => {
@@ -346,6 +519,13 @@ export class MultiplayerManager {
         return;
       }
 
+      // Every player voted for a rematch (handled in drainPeerEvents, not mid-tick)
+      const round = room.round || 0;
+      if (this._round !== null && round > this._round) {
+        this._incomingPeerEvents.push({ type: 'rematch', seed: room.gameSeed });
+      }
+      this._round = round;
+
       // Check for new players
       const playerSummary = room.players.map(p => `slot${p.slot}:${p.userId?.slice(-4)}:peer=${p.peerJsId?.slice(-6) ?? 'null'}`);
 
@@ -369,18 +549,53 @@ export class MultiplayerManager {
       }
       for (const [peerId] of this._connectedPeers) {
         if (!currentPeerIds.has(peerId)) {
-          // Guard against duplicate events (autorun may fire multiple times before drain)
-          const alreadyBuffered = this._incomingPeerEvents.some(
-            e => e.type === 'disconnected' && e.peerId === peerId
-          );
-          if (!alreadyBuffered) {
-            this._incomingPeerEvents.push({ type: 'disconnected', peerId });
+          this._bufferDisconnect(peerId);
+        }
+      }
+
+      // Couch guests added by peers we are already connected to (guests of
+      // peers still connecting are picked up in _handlePeerConnected)
+      for (const guest of room.localGuests || []) {
+        const owner = room.players.find(p => p.userId === guest.userId);
+        const alreadyBuffered = this._incomingPeerEvents.some(e => e.type === 'remoteGuest' && e.slot === guest.slot);
+        if (owner && owner.userId !== Meteor.userId() && this._connectedPeers.has(owner.peerJsId) &&
+            !this._remoteGuests.has(guest.slot) && !alreadyBuffered) {
+          this._incomingPeerEvents.push({
+            type: 'remoteGuest', peerId: owner.peerJsId, slot: guest.slot, paletteIndex: guest.paletteIndex,
+          });
+        }
+      }
+
+      // Spectators: connect to every one so whoever is resync authority can stream to them
+      const spectatorPeerIds = new Set();
+      for (const spectator of room.spectators || []) {
+        const peerId = spectator.peerJsId;
+        if (peerId) {
+          spectatorPeerIds.add(peerId);
+          if (!this._spectatorHost.has(peerId) && !this._pendingSpectators.has(peerId)) {
+            this._pendingSpectators.add(peerId);
+            this._transport.connectToPeers([peerId]);
           }
         }
       }
+      for (const peerId of [...this._spectatorHost.spectators, ...this._pendingSpectators]) {
+        if (!spectatorPeerIds.has(peerId)) {
+          this._bufferDisconnect(peerId);
+        }
+      }
     });
   }
 
+  _bufferDisconnect(peerId) {
+    // Guard against duplicate events (autorun may fire multiple times before drain)
+    const alreadyBuffered = this._incomingPeerEvents.some(
+      e => e.type === 'disconnected' && e.peerId === peerId
+    );
+    if (!alreadyBuffered) {
+      this._incomingPeerEvents.push({ type: 'disconnected', peerId });
+    }
+  }
+
   async _connectToPeer(player) {
     if (this._destroyed || !this._transport) {
       return;
@@ -410,18 +625,18 @@ export class MultiplayerManager {
       return;
     }
 
+    // The peer's couch guests come and go with it
+    const room = GameRooms.findOne(this._roomId);
+    const guests = this._guestsOfPeer(peerId, room);
+    for (const guest of guests) {
+      this._remoteGuests.set(guest.slot, peerId);
+    }
 
     if (this._session) {
-
-      this._session.setPeerConnected(playerSlot, true);
-      this._session.peerSynchronized[playerSlot] = true;
-      this._session.peerLastRecvTime[playerSlot] = Date.now();
-
-      this._session.autoInputSlots.delete(playerSlot);
-      this._session.disconnectedSlots.delete(playerSlot);
-      this._session.inputQueues[playerSlot].reset();
-      this._session.inputQueues[playerSlot].confirmedFrame = this._simulation._frame - 1;
-
+      this._markSlotConnected(playerSlot);
+      for (const guest of guests) {
+        this._markSlotConnected(guest.slot);
+      }
     }
 
     // Drain any STATE_SYNCs that arrived before peer maps were populated
@@ -442,50 +657,34 @@ export class MultiplayerManager {
     // sets up rollback session from the right frame).
     if (this._playerSlot === this._resyncAuthority && !this._isJoining) {
       // Host: activate the joiner in the simulation, send state, start rollback
-      const room = GameRooms.findOne(this._roomId);
       const playerData = room?.players.find(p => p.peerJsId === peerId);
       const palette = playerData?.paletteIndex ?? 0;
       this._simulation.activatePlayer(playerSlot, palette);
+      this._replayRecorder.recordActivate(playerSlot, palette);
+      for (const guest of guests) {
+        this._simulation.activatePlayer(guest.slot, guest.paletteIndex);
+        this._replayRecorder.recordActivate(guest.slot, guest.paletteIndex);
+      }
+      this._spectatorHost.resendState();
 
       const stateBuffer = this._simulation.serialize();
       const frame = this._simulation._frame;
-      const syncMsg = InputEncoder.encodeStateSyncMessage(frame, stateBuffer);
       // Broadcast STATE_SYNC to ALL connected peers (including joiner)
       // so existing peers see the new player activation (Issue B).
       const recipients = [...this._connectedPeers.keys()];
       for (const [pid] of this._connectedPeers) {
-        this._transport.send(pid, syncMsg);
-      }
-
-      // Schedule retransmissions with fresh state for reliability.
-      // STATE_SYNC is sent on unreliable DataChannels — a single packet drop
-      // means the joiner never receives it. Two delayed retransmissions at 1s
-      // and 3s give the joiner multiple chances to receive state.
-      const _retransmitPeerId = peerId;
-      const _retransmit = (delayMs) => {
-        setTimeout(() => {
-          if (this._destroyed || !this._connectedPeers.has(_retransmitPeerId)) {
-            return;
-          }
-          if (this._playerSlot !== this._resyncAuthority) {
-            return;
-          }
-          const freshState = this._simulation.serialize();
-          const freshFrame = this._simulation._frame;
-          const freshMsg = InputEncoder.encodeStateSyncMessage(freshFrame, freshState);
-          this._transport.send(_retransmitPeerId, freshMsg);
-        }, delayMs);
-      };
-      _retransmit(1000);
-      _retransmit(3000);
+        this._sendStateSync(pid, frame, stateBuffer);
+      }
+
+      this._retransmitStateSync(peerId);
 
       if (this._gameLoop.soloMode) {
         this._setupRollbackSession();
       } else if (this._session) {
         this._session.resetToFrame(frame);
-        this._seedRecentLocalInputs(frame);
+        this._gameLoop.resetSentInputs();
+        this._inputAcks.reset();
       }
-    } else {
     }
 
     // _isJoining is NOT cleared here. It stays true until STATE_SYNC arrives
@@ -505,6 +704,14 @@ export class MultiplayerManager {
       return;
     }
 
+    // The peer's couch guests leave with it
+    const leavingSlots = [playerSlot];
+    for (const [slot, ownerPeerId] of this._remoteGuests) {
+      if (ownerPeerId === peerId) {
+        leavingSlots.push(slot);
+        this._remoteGuests.delete(slot);
+      }
+    }
 
     // Do NOT call deactivatePlayer() directly — it mutates game state outside
     // the rollback flow. Instead, mark the slot as disconnected so that
@@ -514,10 +721,11 @@ export class MultiplayerManager {
 
     // Mark slot as disconnected + auto-input in session and clear stale checksums
     if (this._session) {
-
-      this._session.disconnectedSlots.add(playerSlot);
-      this._session.peerDisconnected[playerSlot] = true;
-      this._session.autoInputSlots.add(playerSlot);
+      for (const slot of leavingSlots) {
+        this._session.disconnectedSlots.add(slot);
+        this._session.peerDisconnected[slot] = true;
+        this._session.autoInputSlots.add(slot);
+      }
 
       for (const [frame, peerChecksums] of this._session.remoteChecksums) {
         peerChecksums.delete(playerSlot);
@@ -525,7 +733,6 @@ export class MultiplayerManager {
           this._session.remoteChecksums.delete(frame);
         }
       }
-
     }
 
     // Tear down the transport connection. For transport-initiated disconnects this
@@ -535,6 +742,8 @@ export class MultiplayerManager {
     this._transport.disconnect(peerId);
 
     this._connectedPeers.delete(peerId);
+    this._stateAssemblers.delete(peerId);
+    this._stateBaselines.forget(peerId);
 
     // If the disconnected peer was the resync authority, promote the
     // lowest remaining active slot (local player or connected peer).
@@ -547,10 +756,167 @@ export class MultiplayerManager {
     // Directly deactivate the leaving player because solo mode feeds
     // neutral input (0) — DISCONNECT_BIT would never be processed.
     if (this._connectedPeers.size === 0 && this._gameLoop) {
-      this._simulation.deactivatePlayer(playerSlot);
+      for (const slot of leavingSlots) {
+        this._simulation.deactivatePlayer(slot);
+        this._replayRecorder.recordDeactivate(slot);
+      }
+      this._spectatorHost.resendState();
       this._gameLoop.transitionToSolo();
       this._session = null;
+    }
+  }
+
+  // Session bookkeeping for a remote slot whose inputs start arriving now
+  _markSlotConnected(slot) {
+    this._session.setPeerConnected(slot, true);
+    this._session.peerSynchronized[slot] = true;
+    this._session.peerLastRecvTime[slot] = Date.now();
+
+    this._session.autoInputSlots.delete(slot);
+    this._session.disconnectedSlots.delete(slot);
+    this._session.inputQueues[slot].reset();
+    this._session.inputQueues[slot].confirmedFrame = this._simulation._frame - 1;
+  }
+
+  // Couch guests the room document lists for the player behind `peerId`
+  _guestsOfPeer(peerId, room) {
+    const owner = room?.players.find(p => p.peerJsId === peerId);
+    if (!owner) {
+      return [];
+    }
+    return (room.localGuests || []).filter(guest => guest.userId === owner.userId);
+  }
+
+  async _requestLocalGuest(seat) {
+    const paletteIndex = (this._paletteIndex + seat) % KNIGHT_PALETTES.length;
+    try {
+      const { slot } = await Meteor.callAsync('rooms.addLocalGuest', this._roomId, paletteIndex);
+      if (!this._destroyed) {
+        this._incomingPeerEvents.push({ type: 'localGuest', seat, slot, paletteIndex });
+      }
+    } catch (err) {
+      console.warn('[MultiplayerManager] Local player could not join:', err.reason || err.message);
+      this._localPlayers?.seatFailed(seat);
+    }
+  }
+
+  _handleLocalGuestJoined({ seat, slot, paletteIndex }) {
+    if (!this._localPlayers) {
+      return;
+    }
+    this._localGuests.set(slot, paletteIndex);
+    this._gameLoop.addLocalPlayer(slot, this._localPlayers.seatJoined(seat, slot));
+
+    // While joining, the authority activates the guest together with us
+    if (this._isJoining || this._waitingForSync) {
+      return;
+    }
+
+    if (this._gameLoop.soloMode) {
+      this._simulation.activatePlayer(slot, paletteIndex);
+      this._replayRecorder.recordActivate(slot, paletteIndex);
+      this._spectatorHost.resendState();
+    } else if (this._playerSlot === this._resyncAuthority) {
+      this._activateForEveryone(slot, paletteIndex);
+      this._syncLocalGuestSlots();
     } else {
+      // The authority activates the guest when it sees it in the room
+      // document; its STATE_SYNC may even have beaten this method result here
+      this._syncLocalGuestSlots();
+    }
+  }
+
+  _handleRemoteGuestJoined({ peerId, slot, paletteIndex }) {
+    if (this._remoteGuests.has(slot) || !this._connectedPeers.has(peerId)) {
+      return;
+    }
+    this._remoteGuests.set(slot, peerId);
+
+    // Without a session we are still joining; the STATE_SYNC we are waiting
+    // for already has the guest and _setupRollbackSession picks it up
+    if (this._session) {
+      this._markSlotConnected(slot);
+      if (this._playerSlot === this._resyncAuthority && !this._isJoining) {
+        this._activateForEveryone(slot, paletteIndex);
+      }
+    }
+  }
+
+  // Schedule retransmissions with fresh state for reliability.
+  // STATE_SYNC is sent on unreliable DataChannels — a single packet drop
+  // means the peer never receives it. Two delayed retransmissions at 1s
+  // and 3s give it multiple chances to receive state.
+  _retransmitStateSync(peerId) {
+    const retransmit = (delayMs) => {
+      setTimeout(() => {
+        if (this._destroyed || !this._connectedPeers.has(peerId)) {
+          return;
+        }
+        if (this._playerSlot !== this._resyncAuthority) {
+          return;
+        }
+        const freshState = this._simulation.serialize();
+        const freshFrame = this._simulation._frame;
+        this._sendStateSync(peerId, freshFrame, freshState);
+      }, delayMs);
+    };
+    retransmit(1000);
+    retransmit(3000);
+  }
+
+  // STATE_SYNC to one peer: a delta against the last sync it acknowledged,
+  // or a full (still packed) one when there is no shared baseline
+  _sendStateSync(peerId, frame, stateBuffer) {
+    this._stateBaselines.remember(frame, stateBuffer);
+    for (const message of encodeStateDelta(frame, stateBuffer, this._stateBaselines.baselineFor(peerId))) {
+      this._transport.send(peerId, message);
+    }
+  }
+
+  // Add a STATE_DELTA chunk from `peerId`. Returns { frame, stateData } once
+  // the sync is complete. If our copy of its baseline is gone or the result
+  // fails the checksum, asks the sender for a full sync and returns null.
+  _assembleStateDelta(peerId, buffer) {
+    let msg = null;
+    if (!this._stateAssemblers.has(peerId)) {
+      this._stateAssemblers.set(peerId, new StateDeltaAssembler());
+    }
+    const delta = this._stateAssemblers.get(peerId).add(decodeStateDelta(buffer));
+    if (delta) {
+      const stateData = applyStateDelta(delta, this._stateBaselines.get(delta.baselineFrame));
+      if (stateData) {
+        msg = { frame: delta.frame, stateData };
+      } else {
+        this._transport.send(peerId, InputEncoder.encodeResyncRequest(this._simulation._frame));
+      }
+    }
+    return msg;
+  }
+
+  // Resync authority only: activate a slot mid-game and send every peer the
+  // resulting state, the same way a joining player is brought in
+  _activateForEveryone(slot, paletteIndex) {
+    this._simulation.activatePlayer(slot, paletteIndex);
+    this._replayRecorder.recordActivate(slot, paletteIndex);
+    this._spectatorHost.resendState();
+
+    const frame = this._simulation._frame;
+    const stateBuffer = this._simulation.serialize();
+    for (const [peerId] of this._connectedPeers) {
+      this._sendStateSync(peerId, frame, stateBuffer);
+    }
+    this._session.resetToFrame(frame);
+    this._gameLoop.resetSentInputs();
+    this._inputAcks.reset();
+  }
+
+  // Our couch guests send inputs once the state we run has them in the game
+  _syncLocalGuestSlots() {
+    for (const slot of this._localGuests.keys()) {
+      if (this._simulation._chars[slot].active && !this._session.localGuestSlots.has(slot)) {
+        this._session.localGuestSlots.add(slot);
+        this._session.autoInputSlots.delete(slot);
+      }
     }
   }
 
@@ -577,7 +943,7 @@ export class MultiplayerManager {
     // through the input queue so rollback can correct mispredictions.
     const autoSlots = new Set();
     for (let i = 0; i < MAX_HUMANS; i++) {
-      if (i === this._playerSlot) {
+      if (i === this._playerSlot || this._remoteGuests.has(i)) {
         continue;
       }
       let hasPlayer = false;
@@ -599,10 +965,13 @@ export class MultiplayerManager {
       startFrame: this._simulation._frame,
       autoInputSlots: autoSlots,
     });
+    this._syncLocalGuestSlots();
 
-    // Mark all connected peers as connected in session (for disconnect detection)
+    // Mark all connected peers (and their couch guests) as connected in
+    // session (for disconnect detection)
     const now = Date.now();
-    for (const [, slot] of this._connectedPeers) {
+    const remoteSlots = [...this._connectedPeers.values(), ...this._remoteGuests.keys()];
+    for (const slot of remoteSlots) {
       this._session.setPeerConnected(slot, true);
       this._session.peerSynchronized[slot] = true;
       this._session.peerLastRecvTime[slot] = now;
@@ -622,6 +991,7 @@ export class MultiplayerManager {
     }
     this._preSessionInputBuffer = [];
 
+    this._inputAcks.reset();
     this._gameLoop.transitionToMultiplayer(this._session, this._transport);
   }
 
@@ -639,11 +1009,27 @@ export class MultiplayerManager {
    * have resolved before player activation mutates game state.
    */
   drainPeerEvents() {
+    // Couch players sitting out press flap to join
+    if (this._localPlayers && this._roomId) {
+      for (const seat of this._localPlayers.pollJoinRequests()) {
+        this._requestLocalGuest(seat);
+      }
+    }
+
     const peerEvents = this._incomingPeerEvents;
     this._incomingPeerEvents = [];
     for (const event of peerEvents) {
       try {
-        if (event.type === 'connected') {
+        const isSpectator = this._spectatorHost.has(event.peerId) || this._pendingSpectators.has(event.peerId);
+        if (event.type === 'rematch') {
+          this._handleRematch(event);
+        } else if (event.type === 'localGuest') {
+          this._handleLocalGuestJoined(event);
+        } else if (event.type === 'remoteGuest') {
+          this._handleRemoteGuestJoined(event);
+        } else if (isSpectator) {
+          this._handleSpectatorEvent(event);
+        } else if (event.type === 'connected') {
           this._handlePeerConnected(event.peerId);
         } else if (event.type === 'disconnected') {
           this._handlePeerDisconnected(event.peerId);
@@ -652,6 +1038,160 @@ export class MultiplayerManager {
         console.error('[MultiplayerManager] Peer event error:', event.type, err);
       }
     }
+
+    this._updateSpectators();
+    this._updateNetDiagnostics();
+    this._checkGameOver();
+  }
+
+  // Once the game over stands on confirmed inputs alone (no rollback can undo
+  // it), the host stores the results and the page hears about it
+  _checkGameOver() {
+    const state = this._simulation ? this._simulation.getState() : null;
+    if (this._gameOverHandled || !state || !state.gameOver || this._isJoining || this._waitingForSync) {
+      return;
+    }
+    // The game ended while simulating the frame before the current one
+    if (this._session && !this._gameLoop.soloMode && this._session.syncFrame < this._simulation.frame - 1) {
+      return;
+    }
+    this._gameOverHandled = true;
+    this._reportResults();
+    if (this._onGameOver) {
+      this._onGameOver();
+    }
+  }
+
+  // Resync authority only: start the rematch the room agreed on. The new game
+  // begins at the session's current frame, so frames keep counting up and
+  // inputs still in flight from the old game fall behind it; everyone else
+  // loads it from our STATE_SYNC. The players seated at the end play again
+  // (bots come back with the rules).
+  _handleRematch({ seed }) {
+    if (this._playerSlot !== this._resyncAuthority || this._isJoining || this._waitingForSync) {
+      return;
+    }
+    const multiplayer = this._session && !this._gameLoop.soloMode;
+    const frame = multiplayer ? this._session.currentFrame : this._simulation._frame;
+    const seats = [];
+    for (let slot = 0; slot < MAX_HUMANS; slot++) {
+      const char = this._simulation._chars[slot];
+      if (char.active && !this._simulation.isBot(slot)) {
+        seats.push({ slot, paletteIndex: char.paletteIndex });
+      }
+    }
+    const fresh = new GameSimulation({ gameMode: this._gameMode, seed, rules: this._rules, startFrame: frame });
+    for (const seat of seats) {
+      fresh.activatePlayer(seat.slot, seat.paletteIndex);
+    }
+    fresh.startGame();
+
+    const stateBuffer = fresh.serialize();
+    this._simulation.deserialize(stateBuffer);
+    this._beginRematch(seed);
+    // Recorded as activations and a start rather than a state load, so the
+    // server can still verify our high scores from the replay
+    for (const seat of seats) {
+      this._replayRecorder.recordActivate(seat.slot, seat.paletteIndex);
+    }
+    this._replayRecorder.recordStart();
+    this._spectatorHost.resendState();
+
+    if (multiplayer) {
+      for (const [peerId] of this._connectedPeers) {
+        this._sendStateSync(peerId, frame, stateBuffer);
+        this._retransmitStateSync(peerId);
+      }
+      this._session.resetToFrame(frame);
+      this._gameLoop.resetSentInputs();
+      this._inputAcks.reset();
+    }
+  }
+
+  // The rematch's first state is loaded: start a new replay recording from
+  // its frame and track high scores afresh
+  _beginRematch(seed) {
+    this._replayRecorder = new ReplayRecorder({
+      game: this._simulation,
+      gameMode: this._gameMode,
+      seed,
+    });
+    this._gameLoop.recorder = this._replayRecorder;
+    this._renderer.setEnvironmentSeed((seed ^ 0xA5A5A5A5) >>> 0);
+    this._gameOverHandled = false;
+    this._startHighScoreTracker();
+  }
+
+  // Only the host may report (rooms.reportResult); every peer has the same
+  // results anyway, the game being deterministic
+  async _reportResults() {
+    const room = this._roomId ? GameRooms.findOne(this._roomId) : null;
+    if (!room || room.hostId !== Meteor.userId()) {
+      return;
+    }
+    const seats = [...room.players, ...(room.localGuests || [])];
+    try {
+      await Meteor.callAsync('rooms.reportResult', this._roomId, buildMatchResults(this._simulation, seats));
+    } catch (err) {
+      console.warn('[MultiplayerManager] Failed to report results:', err.message);
+    }
+  }
+
+  // Feed the diagnostics overlay; nothing to measure in solo mode
+  _updateNetDiagnostics() {
+    if (this._session && !this._gameLoop.soloMode) {
+      const connectionInfo = this._transport ? this._transport.getConnectionInfo() : {};
+      const peers = [];
+      for (const [peerId, slot] of this._connectedPeers) {
+        peers.push({
+          slot,
+          peerId,
+          transport: connectionInfo[peerId]?.type ?? 'unknown',
+          ping: this._session.timeSync.getPing(slot),
+          frameAdvantage: this._session.timeSync.getFrameAdvantage(slot),
+        });
+      }
+      this._netDiagnostics.update(Date.now(), {
+        frame: this._session.currentFrame,
+        inputDelay: this._session.inputDelay,
+        counters: this._session.stats,
+        peers,
+      });
+    }
+  }
+
+  _handleSpectatorEvent({ type, peerId }) {
+    this._pendingSpectators.delete(peerId);
+    if (type === 'connected') {
+      this._spectatorHost.add(peerId);
+    } else {
+      this._spectatorHost.remove(peerId);
+      this._transport?.disconnect(peerId);
+    }
+  }
+
+  // Stream confirmed frames to spectators while we are the resync authority
+  _updateSpectators() {
+    const isAuthority = this._playerSlot === this._resyncAuthority && !this._isJoining && !this._waitingForSync;
+    let source = null;
+    if (isAuthority && this._simulation && this._replayRecorder) {
+      source = {
+        recorder: this._replayRecorder,
+        confirmedFrame: this._session ? this._session.syncFrame : this._simulation._frame - 1,
+        getConfirmedState: (frame) => this._getConfirmedState(frame),
+      };
+    }
+    this._spectatorHost.update(source);
+  }
+
+  // State at `frame` built only from confirmed inputs, or null if not available yet.
+  // With everything up to frame - 1 confirmed, the live state is one.
+  _getConfirmedState(frame) {
+    let state = this._session ? this._session.stateBuffer.load(frame) : null;
+    if (!state && frame === this._simulation._frame) {
+      state = this._simulation.serialize();
+    }
+    return state;
   }
 
   /**
@@ -663,13 +1203,19 @@ export class MultiplayerManager {
   drainMessages() {
     const messages = this._incomingMessageBuffer;
     this._incomingMessageBuffer = [];
+    const inputAcks = new Map(); // `${peerId}:${slot}` -> ack to send, one per drain
 
     for (const { peerId, data } of messages) {
       try {
         const buffer = data instanceof ArrayBuffer ? data : data.buffer;
         const msgType = InputEncoder.getMessageType(buffer);
 
-        if (msgType === MessageType.INPUT) {
+        if (this._spectatorHost.has(peerId)) {
+          // Spectators have no slot; the only thing they ask for is a fresh snapshot
+          if (msgType === MessageType.RESYNC_REQUEST) {
+            this._spectatorHost.requestState(peerId);
+          }
+        } else if (msgType === MessageType.INPUT) {
           const msg = InputEncoder.decodeInputMessage(buffer);
           if (this._session) {
             // Process redundant inputs oldest-first so confirmInput sees them in order
@@ -678,13 +1224,16 @@ export class MultiplayerManager {
               this._session.addRemoteInput(msg.playerIndex, inputs[i].frame, inputs[i].input);
             }
             this._session.peerLastRecvTime[msg.playerIndex] = Date.now();
+            const oldestFrame = msg.frame - inputs.length + 1;
+            const ackFrame = this._inputAcks.receive(peerId, msg.playerIndex, oldestFrame, msg.frame);
+            inputAcks.set(`${peerId}:${msg.playerIndex}`, { peerId, slot: msg.playerIndex, frame: ackFrame });
           } else {
             // Buffer inputs arriving before session is set up (e.g., before STATE_SYNC)
             if (this._preSessionInputBuffer.length < 600) {
               this._preSessionInputBuffer.push(msg);
             }
           }
-        } else if (msgType === MessageType.STATE_SYNC) {
+        } else if (msgType === MessageType.STATE_SYNC || msgType === MessageType.STATE_DELTA) {
           // Only accept STATE_SYNC from the current resync authority,
           // unless no STATE_SYNC has been received from any peer within 5s (fallback)
           const senderSlot = this._connectedPeers.get(peerId) ?? this._pendingPeers.get(peerId);
@@ -703,15 +1252,27 @@ export class MultiplayerManager {
               continue;
             }
           }
-          const msg = InputEncoder.decodeStateSyncMessage(buffer);
-          const frameDelta = this._simulation._frame - msg.frame;
-          if (!this._gameLoop.soloMode && this._session && frameDelta > 120) {
+          // STATE_DELTA chunks yield nothing until the whole sync is in
+          const msg = msgType === MessageType.STATE_SYNC
+            ? InputEncoder.decodeStateSyncMessage(buffer)
+            : this._assembleStateDelta(peerId, buffer);
+          const frameDelta = msg ? this._simulation._frame - msg.frame : 0;
+          if (msg && !this._gameLoop.soloMode && this._session && frameDelta > 120) {
             const resyncReq = InputEncoder.encodeResyncRequest(this._simulation._frame);
             this._transport.send(peerId, resyncReq);
-          } else {
+          } else if (msg) {
             // Received state sync from host — load it
             this._lastResyncReceivedTime = Date.now();
             this._simulation.deserialize(msg.stateData);
+            if (this._gameOverHandled && !this._simulation._gameOver) {
+              // The game we saw end is playing again: the authority started the rematch
+              const room = GameRooms.findOne(this._roomId);
+              this._beginRematch(room ? room.gameSeed : this._replayRecorder.seed);
+            }
+            this._replayRecorder.recordState(msg.stateData);
+            // The sender can base its next sync on this one
+            this._stateBaselines.remember(msg.frame, msg.stateData);
+            this._transport.send(peerId, InputEncoder.encodeStateAck(msg.frame));
 
             // Clear joiner flag now that we have authoritative state
             if (this._isJoining) {
@@ -722,6 +1283,7 @@ export class MultiplayerManager {
             // and the state is from before we existed), re-activate so we can play.
             if (!this._simulation._chars[this._playerSlot].active) {
               this._simulation.activatePlayer(this._playerSlot, this._paletteIndex);
+              this._replayRecorder.recordActivate(this._playerSlot, this._paletteIndex);
             }
 
             // Reveal the game now that we have correct state
@@ -744,11 +1306,13 @@ export class MultiplayerManager {
               this._setupRollbackSession();
             } else if (this._session) {
               this._session.resetToFrame(msg.frame);
-              this._seedRecentLocalInputs(msg.frame);
-              // Ensure all connected peers are removed from autoInput
-              for (const [, slot] of this._connectedPeers) {
+              this._gameLoop.resetSentInputs();
+              this._inputAcks.reset();
+              // Ensure all connected peers (and their couch guests) are removed from autoInput
+              for (const slot of [...this._connectedPeers.values(), ...this._remoteGuests.keys()]) {
                 this._session.autoInputSlots.delete(slot);
               }
+              this._syncLocalGuestSlots();
             }
           }
         } else if (msgType === MessageType.CHECKSUM) {
@@ -780,18 +1344,42 @@ export class MultiplayerManager {
             }
             this._qualitySentTimes.delete(peerId);
           }
+        } else if (msgType === MessageType.INPUT_DELAY) {
+          // Only the resync authority decides input delay changes
+          const senderSlot = this._connectedPeers.get(peerId);
+          if (this._session && senderSlot === this._resyncAuthority) {
+            const msg = InputEncoder.decode(buffer);
+            this._session.scheduleInputDelay(msg.frame, msg.delay);
+          }
+        } else if (msgType === MessageType.STATE_DUMP) {
+          // A peer's state at a mismatched checksum frame; diff it against ours
+          const senderSlot = this._connectedPeers.get(peerId);
+          if (this._session && senderSlot !== undefined) {
+            const msg = InputEncoder.decode(buffer);
+            const reply = this._desyncForensics.receive(senderSlot, msg.frame, msg.stateData, this._session, this._replayRecorder);
+            if (reply) {
+              this._transport.send(peerId, InputEncoder.encodeStateDumpMessage(msg.frame, reply));
+            }
+          }
+        } else if (msgType === MessageType.INPUT_ACK) {
+          const msg = InputEncoder.decode(buffer);
+          this._gameLoop.ackInputs(peerId, msg.playerIndex, msg.frame);
+        } else if (msgType === MessageType.STATE_ACK) {
+          const msg = InputEncoder.decode(buffer);
+          this._stateBaselines.ack(peerId, msg.frame);
         } else if (msgType === MessageType.RESYNC_REQUEST) {
-          // A peer's STATE_SYNC was too stale — send them a fresh one.
+          // A peer's STATE_SYNC was too stale (or its delta couldn't be applied)
+          // — send them a fresh, full one.
           // Rate-limit to at most once per 3 seconds to prevent resync storms
           // (can happen when peers are at very different frame counts).
+          this._stateBaselines.forget(peerId);
           if (this._playerSlot === this._resyncAuthority && this._transport) {
             const now = Date.now();
             if (!this._lastResyncTime || (now - this._lastResyncTime) > 3000) {
               this._lastResyncTime = now;
               const stateBuffer = this._simulation.serialize();
               const frame = this._simulation._frame;
-              const syncMsg = InputEncoder.encodeStateSyncMessage(frame, stateBuffer);
-              this._transport.send(peerId, syncMsg);
+              this._sendStateSync(peerId, frame, stateBuffer);
             }
           }
         }
@@ -799,11 +1387,19 @@ export class MultiplayerManager {
       }
     }
 
+    // Tell senders how far their inputs have arrived so they can stop resending them
+    if (this._transport) {
+      for (const { peerId, slot, frame } of inputAcks.values()) {
+        this._transport.send(peerId, InputEncoder.encodeInputAck(frame, slot));
+      }
+    }
+
     // Periodically send quality reports for RTT measurement (~3 times per second)
     this._qualityCounter++;
     if (this._qualityCounter >= 20 && this._session && this._transport) {
       this._qualityCounter = 0;
       this._sendQualityReports();
+      this._updateInputDelay();
     }
   }
 
@@ -817,16 +1413,46 @@ export class MultiplayerManager {
     }
   }
 
+  // Resync authority only: adapt the input delay to the measured RTTs and
+  // announce the agreed schedule every round, so peers that missed a change
+  // (or only just set up their session) still converge on it
+  _updateInputDelay() {
+    const isAuthority = this._playerSlot === this._resyncAuthority && !this._isJoining && !this._waitingForSync;
+    if (isAuthority && this._connectedPeers.size > 0) {
+      const change = this._session.proposeInputDelay();
+      if (change) {
+        this._session.scheduleInputDelay(change.frame, change.delay);
+      }
+      const { frame, delay } = this._session.getInputDelaySchedule();
+      const msg = InputEncoder.encodeInputDelayMessage(frame, delay);
+      for (const [peerId] of this._connectedPeers) {
+        this._transport.send(peerId, msg);
+      }
+    }
+  }
+
   _handleNetworkEvent(event) {
     if (event.type === 'Disconnected') {
-      // Find which peerId this corresponds to
+      // Find which peerId this corresponds to (a couch guest's owner for guest slots)
+      let disconnectedPeerId = this._remoteGuests.get(event.peer);
       for (const [peerId, slot] of this._connectedPeers) {
         if (slot === event.peer) {
-          this._handlePeerDisconnected(peerId);
+          disconnectedPeerId = peerId;
           break;
         }
       }
+      if (disconnectedPeerId !== undefined) {
+        this._handlePeerDisconnected(disconnectedPeerId);
+      }
     } else if (event.type === 'DesyncDetected') {
+      // Swap full states with the peer first, so the report can name what diverged
+      const dump = this._desyncForensics.begin(event, this._session, this._replayRecorder);
+      for (const [peerId, slot] of this._connectedPeers) {
+        if (dump && slot === event.peer) {
+          this._transport.send(peerId, InputEncoder.encodeStateDumpMessage(event.frame, dump));
+        }
+      }
+
       // Only the resync authority sends authoritative resync state.
       // This prevents multiple peers from independently sending
       // competing resyncs in 3+ player games.
@@ -836,17 +1462,31 @@ export class MultiplayerManager {
           this._lastResyncTime = now;
           const stateBuffer = this._simulation.serialize();
           const frame = this._simulation._frame;
-          const syncMsg = InputEncoder.encodeStateSyncMessage(frame, stateBuffer);
           // Broadcast to ALL connected peers so everyone converges to the
           // same authoritative state (critical for 3-4 player games)
           for (const [peerId] of this._connectedPeers) {
-            this._transport.send(peerId, syncMsg);
+            this._sendStateSync(peerId, frame, stateBuffer);
           }
         }
       }
     }
   }
 
+  // A desync report is complete: log the diff and keep it for the F3 export
+  // and across reloads (the most recent few, in localStorage)
+  _saveDesyncReport(report) {
+    console.warn(`[MultiplayerManager] Desync at frame ${report.frame} vs slot ${report.peer}: `
+      + `${report.diffs.length} fields differ\n${formatStateDiff(report.diffs)}`);
+    this._netDiagnostics.addDesyncReport(report);
+    try {
+      const saved = JSON.parse(localStorage.getItem('talon-lance:desyncReports') || '[]');
+      saved.push(report);
+      localStorage.setItem('talon-lance:desyncReports', JSON.stringify(saved.slice(-MAX_DESYNC_REPORTS)));
+    } catch (err) {
+      console.warn('[MultiplayerManager] Could not store desync report:', err.message);
+    }
+  }
+
   _showJoiningOverlay() {
     const overlay = document.createElement('div');
     overlay.style.cssText = 'position:fixed;inset:0;z-index:9999;display:flex;flex-direction:column;align-items:center;justify-content:center;background:radial-gradient(ellipse at 50% 100%, rgba(255,100,0,0.15), transparent 60%) #000;';
@@ -885,15 +1525,4 @@ export class MultiplayerManager {
       this._joiningOverlay = null;
     }
   }
-
-  // Seed _recentLocalInputs with neutral inputs after a resync/reset so the
-  // first few outgoing packets still carry full redundancy (5 entries).
-  // Without this, 1-4 packets after resync carry fewer entries and any
-  // packet loss forces the remote peer to predict.
-  _seedRecentLocalInputs(frame) {
-    this._gameLoop._recentLocalInputs = [];
-    for (let i = 0; i < 5; i++) {
-      this._gameLoop._recentLocalInputs.push({ frame, input: 0 });
-    }
-  }
 }
@@ -0,0 +1,382 @@
+// Arena editing operations and test flight — no Babylon dependencies.
+// ArenaEditorScene drives these from pointer/keyboard events; every edit
+// mutates the draft arena in place and keeps spawn points attached to (and
+// inside) the platform they stand on. validateArena() remains the final word
+// on whether a layout is usable.
+
+import {
+  ORTHO_LEFT, ORTHO_RIGHT, LEDGE_HEIGHT,
+  FP_ORTHO_TOP, FP_FEET_OFFSET,
+  buildArenaFP,
+} from '../physics/constants.js';
+import { applyInput } from '../physics/PhysicsSystem.js';
+import { fromFP } from '../physics/stateLayout.js';
+import { ARENA_LIMITS, validateArena } from './index.js';
+
+// Positions and sizes snap to this grid (world units)
+export const EDITOR_GRID = 0.1;
+
+const NEW_PLATFORM_WIDTH = 3.0;
+const NEW_PLATFORM_HEIGHT = 0.3;
+const REMNANT_FRACTION = 0.4;
+
+export const SPAWN_KINDS = ['spawnPoints', 'enemySpawnPoints'];
+
+/**
+ * Round to the editor grid without leaving float noise (0.30000000000000004)
+ * in exported JSON.
+ */
+export function snapToGrid(value) {
+  const steps = 1 / EDITOR_GRID;
+  return Math.round(value * steps) / steps;
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+// Snap, then clamp to the grid lines inside [min, max] so snapping can
+// never push a value back out of range
+function snapWithin(value, min, max) {
+  const steps = 1 / EDITOR_GRID;
+  const lo = Math.ceil(min * steps - 1e-9) / steps;
+  const hi = Math.floor(max * steps + 1e-9) / steps;
+  return clamp(snapToGrid(value), lo, hi);
+}
+
+/**
+ * Starting point for a new layout: one floor platform and a spawn of each kind.
+ */
+export function createBlankArena() {
+  return {
+    id: 'custom',
+    name: 'Custom Arena',
+    lavaTop: -3.6,
+    wrapEdges: true,
+    platforms: [
+      { id: 'base', x: 0, y: -3.8, width: 8.0, height: 0.35 },
+    ],
+    spawnPoints: [{ x: -2.0, platformId: 'base' }],
+    enemySpawnPoints: [{ x: 2.0, platformId: 'base' }],
+  };
+}
+
+export function cloneArena(arena) {
+  return JSON.parse(JSON.stringify(arena));
+}
+
+/**
+ * @param {object} platform - arena platform definition
+ * @returns {number} world Y a character stands on (top of the ledge)
+ */
+export function platformTop(platform) {
+  return platform.y + platform.height / 2 + LEDGE_HEIGHT;
+}
+
+/**
+ * Platform whose body or ledge contains the point (later platforms win,
+ * matching draw order).
+ * @returns {object|null}
+ */
+export function findPlatformAt(arena, x, y) {
+  let found = null;
+  for (const platform of arena.platforms) {
+    const inX = Math.abs(x - platform.x) <= platform.width / 2;
+    const inY = y >= platform.y - platform.height / 2 && y <= platformTop(platform);
+    if (inX && inY) {
+      found = platform;
+    }
+  }
+  return found;
+}
+
+/**
+ * Highest platform under the point whose top is at or below it — where
+ * something dropped at (x, y) would land.
+ * @returns {object|null}
+ */
+export function findSurfaceBelow(arena, x, y) {
+  let found = null;
+  for (const platform of arena.platforms) {
+    const top = platformTop(platform);
+    if (Math.abs(x - platform.x) <= platform.width / 2 && top <= y &&
+        (!found || top > platformTop(found))) {
+      found = platform;
+    }
+  }
+  return found;
+}
+
+// Clamp a spawn X onto the part of the platform that survives the Lava Troll
+function clampSpawnX(platform, x) {
+  const standOn = platform.remnant || platform;
+  return snapWithin(x, standOn.x - standOn.width / 2, standOn.x + standOn.width / 2);
+}
+
+// Keep the remnant and the spawns on a platform inside it after a move/resize
+function refitPlatform(arena, platform) {
+  if (platform.remnant) {
+    const remnant = platform.remnant;
+    remnant.width = snapToGrid(Math.min(remnant.width, platform.width));
+    const slack = (platform.width - remnant.width) / 2;
+    remnant.x = snapWithin(remnant.x, platform.x - slack, platform.x + slack);
+  }
+  for (const kind of SPAWN_KINDS) {
+    for (const point of arena[kind]) {
+      if (point.platformId === platform.id) {
+        point.x = clampSpawnX(platform, point.x);
+      }
+    }
+  }
+}
+
+/**
+ * Move a platform so its centre sits at (x, y). Spawn points and the
+ * remnant travel with it.
+ */
+export function movePlatform(arena, platform, x, y) {
+  const newX = snapToGrid(clamp(x, ORTHO_LEFT, ORTHO_RIGHT));
+  const newY = snapToGrid(clamp(y, ARENA_LIMITS.platformY[0], ARENA_LIMITS.platformY[1]));
+  const dx = newX - platform.x;
+
+  platform.x = newX;
+  platform.y = newY;
+  if (platform.remnant) {
+    platform.remnant.x = snapToGrid(platform.remnant.x + dx);
+  }
+  for (const kind of SPAWN_KINDS) {
+    for (const point of arena[kind]) {
+      if (point.platformId === platform.id) {
+        point.x = snapToGrid(point.x + dx);
+      }
+    }
+  }
+  refitPlatform(arena, platform);
+}
+
+/**
+ * Drag one end of a platform to edgeX, keeping the other end fixed.
+ * @param {'left'|'right'} edge
+ */
+export function resizePlatform(arena, platform, edge, edgeX) {
+  const [minWidth, maxWidth] = ARENA_LIMITS.platformWidth;
+  const left = platform.x - platform.width / 2;
+  const right = platform.x + platform.width / 2;
+  let newLeft = left;
+  let newRight = right;
+
+  if (edge === 'left') {
+    newLeft = clamp(snapToGrid(edgeX), right - maxWidth, right - minWidth);
+  } else {
+    newRight = clamp(snapToGrid(edgeX), left + minWidth, left + maxWidth);
+  }
+  platform.width = snapToGrid(newRight - newLeft);
+  platform.x = snapToGrid((newLeft + newRight) / 2);
+  refitPlatform(arena, platform);
+}
+
+/**
+ * Add a platform centred on (x, y) with a fresh id.
+ * @returns {object|null} the new platform, or null when the arena is full
+ */
+export function addPlatform(arena, x, y) {
+  let platform = null;
+  if (arena.platforms.length < ARENA_LIMITS.maxPlatforms) {
+    let n = arena.platforms.length + 1;
+    while (arena.platforms.some(p => p.id === `platform${n}`)) {
+      n++;
+    }
+    platform = { id: `platform${n}`, x: 0, y: 0, width: NEW_PLATFORM_WIDTH, height: NEW_PLATFORM_HEIGHT };
+    arena.platforms.push(platform);
+    movePlatform(arena, platform, x, y);
+  }
+  return platform;
+}
+
+/**
+ * Remove a platform along with any spawn points standing on it.
+ */
+export function removePlatform(arena, platform) {
+  arena.platforms = arena.platforms.filter(p => p !== platform);
+  for (const kind of SPAWN_KINDS) {
+    arena[kind] = arena[kind].filter(point => point.platformId !== platform.id);
+  }
+}
+
+/**
+ * Mark a platform as troll-destructible (centred remnant) or make it solid again.
+ */
+export function toggleRemnant(arena, platform) {
+  if (platform.remnant) {
+    delete platform.remnant;
+  } else {
+    platform.remnant = {
+      x: platform.x,
+      width: snapToGrid(Math.max(ARENA_LIMITS.platformWidth[0], platform.width * REMNANT_FRACTION)),
+    };
+  }
+  refitPlatform(arena, platform);
+}
+
+/**
+ * Drop a spawn point at (x, y) onto the platform below it.
+ * @param {'spawnPoints'|'enemySpawnPoints'} kind
+ * @returns {object|null} the new point, or null when there is no platform
+ *   below or the list is full
+ */
+export function placeSpawnPoint(arena, kind, x, y) {
+  const platform = findSurfaceBelow(arena, x, y);
+  let point = null;
+  if (platform && arena[kind].length < ARENA_LIMITS.maxSpawnPoints) {
+    point = { x: clampSpawnX(platform, x), platformId: platform.id };
+    arena[kind].push(point);
+  }
+  return point;
+}
+
+/**
+ * Re-drop an existing spawn point at (x, y). It stays where it was when
+ * there is no platform below the new position.
+ * @returns {boolean} true when the point moved
+ */
+export function moveSpawnPoint(arena, point, x, y) {
+  const platform = findSurfaceBelow(arena, x, y);
+  if (platform) {
+    point.platformId = platform.id;
+    point.x = clampSpawnX(platform, x);
+  }
+  return !!platform;
+}
+
+export function removeSpawnPoint(arena, kind, point) {
+  arena[kind] = arena[kind].filter(p => p !== point);
+}
+
+/**
+ * Serialize a layout for download. Same shape as the modules in this folder.
+ */
+export function arenaToJson(arena) {
+  return JSON.stringify(arena, null, 2);
+}
+
+/**
+ * Parse an uploaded layout.
+ * @param {string} text
+ * @returns {{ arena: object|null, errors: string[] }} arena is null when the
+ *   text is not JSON; otherwise errors come from validateArena()
+ */
+export function parseArenaJson(text) {
+  let arena = null;
+  let errors;
+  try {
+    arena = JSON.parse(text);
+    errors = validateArena(arena);
+  } catch (err) {
+    errors = [`Not valid JSON: ${err.message}`];
+  }
+  return { arena, errors };
+}
+
+/**
+ * A single knight flying the draft arena with the game's own physics
+ * (PhysicsSystem.applyInput, same lava line and edge handling as
+ * GameSimulation). Lava sends the knight to the next spawn point so each
+ * one can be tried in turn.
+ */
+export class TestFlight {
+  /**
+   * @param {object} arena - a layout that passes validateArena()
+   */
+  constructor(arena) {
+    const errors = validateArena(arena);
+    if (errors.length > 0) {
+      throw new Error(`Arena is not valid: ${errors[0]}`);
+    }
+    this._arena = buildArenaFP(arena);
+    this._platforms = this._arena.platformsFull;
+    this._spawnIndex = 0;
+    this.trollArrived = false;
+    this.lavaDeaths = 0;
+    this.char = {
+      positionX: 0, positionY: 0,
+      velocityX: 0, velocityY: 0,
+      prevPositionX: 0, prevPositionY: 0,
+      playerState: 'GROUNDED',
+      facingDir: 1,
+      isTurning: false, turnTimer: 0,
+      isFlapping: false, flapTimer: 0,
+      hitLava: false,
+      currentPlatform: null,
+      platformIndex: -1,
+      bounceCount: 0,
+      edgeBumpCount: 0,
+    };
+    this.respawn(0);
+  }
+
+  /**
+   * Place the knight on a human spawn point (wraps around the list).
+   */
+  respawn(index) {
+    const spawnPoints = this._arena.spawnPoints;
+    this._spawnIndex = ((index % spawnPoints.length) + spawnPoints.length) % spawnPoints.length;
+    const spawn = spawnPoints[this._spawnIndex];
+    const platform = this._platforms.find(p => p.id === spawn.platformId);
+    const char = this.char;
+
+    char.positionX = spawn.x;
+    char.positionY = platform.top + FP_FEET_OFFSET;
+    char.prevPositionX = char.positionX;
+    char.prevPositionY = char.positionY;
+    char.velocityX = 0;
+    char.velocityY = 0;
+    char.playerState = 'GROUNDED';
+    char.currentPlatform = platform;
+    char.platformIndex = this._platforms.indexOf(platform);
+    char.facingDir = 1;
+    char.isFlapping = false;
+    char.hitLava = false;
+  }
+
+  /**
+   * Switch between the full platforms and the post-troll remnants.
+   */
+  setTrollArrived(arrived) {
+    this.trollArrived = arrived;
+    this._platforms = arrived ? this._arena.platformsReduced : this._arena.platformsFull;
+    // Re-land on the new collision data rather than keep a stale platform ref
+    this.char.playerState = 'AIRBORNE';
+    this.char.currentPlatform = null;
+    this.char.platformIndex = -1;
+  }
+
+  /**
+   * Advance one 60fps frame.
+   * @param {{ left: boolean, right: boolean, flap: boolean }} input
+   */
+  step(input) {
+    const char = this.char;
+    char.prevPositionX = char.positionX;
+    char.prevPositionY = char.positionY;
+    char.isFlapping = false;
+    applyInput(char, input, this._platforms, FP_ORTHO_TOP, this._arena.lavaFloor, this._arena.wrapEdges);
+
+    if (char.hitLava) {
+      this.lavaDeaths++;
+      this.respawn(this._spawnIndex + 1);
+    }
+  }
+
+  /**
+   * @returns {{ x: number, y: number, facingDir: number, airborne: boolean }}
+   *   knight position in world units for rendering
+   */
+  getView() {
+    return {
+      x: fromFP(this.char.positionX),
+      y: fromFP(this.char.positionY),
+      facingDir: this.char.facingDir,
+      airborne: this.char.playerState === 'AIRBORNE',
+    };
+  }
+}
@@ -0,0 +1,37 @@
+// Classic — the Joust Level 1 layout.
+// Three tiers over a lava pit; the base sections crumble to spawn pillars
+// when the Lava Troll arrives. Upper-middle L/R hang past the screen edges
+// so the wrap-around reads as one continuous ledge.
+
+export const CLASSIC_ARENA = {
+  id: 'classic',
+  name: 'Classic',
+  lavaTop: -3.6,
+  wrapEdges: true,
+  platforms: [
+    // Base tier — two sections with lava gap in center
+    { id: 'baseLeft', x: -5.5, y: -3.8, width: 9.0, height: 0.35, remnant: { x: -6.0, width: 2.5 } },
+    { id: 'baseRight', x: 5.5, y: -3.8, width: 9.0, height: 0.35, remnant: { x: 6.0, width: 2.5 } },
+    // Lower-middle tier
+    { id: 'midLowL', x: -5.0, y: -1.5, width: 4.5, height: 0.3 },
+    { id: 'midLowR', x: 5.0, y: -1.5, width: 4.5, height: 0.3 },
+    // Upper-middle tier
+    { id: 'midUpL', x: -8.0, y: 0.8, width: 4.5, height: 0.3 },
+    { id: 'midUpC', x: 0.0, y: 0.8, width: 5.0, height: 0.3 },
+    { id: 'midUpR', x: 8.0, y: 0.8, width: 4.5, height: 0.3 },
+    // Top tier
+    { id: 'top', x: 0.0, y: 3.2, width: 12.0, height: 0.3 },
+  ],
+  spawnPoints: [
+    { x: -6.0, platformId: 'baseLeft' },
+    { x: 6.0, platformId: 'baseRight' },
+    { x: -5.0, platformId: 'midLowL' },
+    { x: 5.0, platformId: 'midLowR' },
+  ],
+  enemySpawnPoints: [
+    { x: -8.0, platformId: 'midUpL' },   // top-left
+    { x: 8.0, platformId: 'midUpR' },    // top-right
+    { x: -5.0, platformId: 'midLowL' },  // mid-left
+    { x: 5.0, platformId: 'midLowR' },   // mid-right
+  ],
+};
@@ -0,0 +1,32 @@
+// Gauntlet — walled arena with no screen wrap.
+// The screen edges are solid, so there is no escaping a chase off the side;
+// players start in the outer corners and work inward and upward.
+
+export const GAUNTLET_ARENA = {
+  id: 'gauntlet',
+  name: 'Gauntlet',
+  lavaTop: -3.6,
+  wrapEdges: false,
+  platforms: [
+    { id: 'baseLeft', x: -6.5, y: -3.8, width: 7.0, height: 0.35, remnant: { x: -7.5, width: 2.5 } },
+    { id: 'baseRight', x: 6.5, y: -3.8, width: 7.0, height: 0.35, remnant: { x: 7.5, width: 2.5 } },
+    { id: 'midL', x: -7.5, y: -1.2, width: 4.0, height: 0.3 },
+    { id: 'midC', x: 0.0, y: -0.6, width: 3.5, height: 0.3 },
+    { id: 'midR', x: 7.5, y: -1.2, width: 4.0, height: 0.3 },
+    { id: 'upL', x: -3.5, y: 1.4, width: 4.0, height: 0.3 },
+    { id: 'upR', x: 3.5, y: 1.4, width: 4.0, height: 0.3 },
+    { id: 'top', x: 0.0, y: 3.2, width: 6.0, height: 0.3 },
+  ],
+  spawnPoints: [
+    { x: -7.5, platformId: 'baseLeft' },
+    { x: 7.5, platformId: 'baseRight' },
+    { x: -7.5, platformId: 'midL' },
+    { x: 7.5, platformId: 'midR' },
+  ],
+  enemySpawnPoints: [
+    { x: -3.5, platformId: 'upL' },
+    { x: 3.5, platformId: 'upR' },
+    { x: 0.0, platformId: 'midC' },
+    { x: 0.0, platformId: 'top' },
+  ],
+};
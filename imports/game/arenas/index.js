@@ -0,0 +1,153 @@
+// Arena registry — data-driven platform layouts.
+//
+// An arena is plain JSON-compatible data (world units, origin at screen centre):
+//   id, name
+//   lavaTop          — visible lava surface; the kill line and the Lava Troll's
+//                      reach are measured from here (see buildArenaFP)
+//   wrapEdges        — true: left/right screen edges wrap; false: solid walls
+//   platforms        — [{ id, x, y, width, height, remnant? }]
+//                      remnant { x, width } marks a troll-destructible platform:
+//                      when the Lava Troll arrives it shrinks to the remnant
+//   spawnPoints      — human spawns [{ x, platformId }]
+//   enemySpawnPoints — enemy spawns [{ x, platformId }]
+//
+// Arenas live in their own modules (not .json files) so the Meteor bundle
+// and the plain Node test runner can both import them.
+
+import { CLASSIC_ARENA } from './classic.js';
+import { SPIRE_ARENA } from './spire.js';
+import { GAUNTLET_ARENA } from './gauntlet.js';
+import { OPEN_SKY_ARENA } from './openSky.js';
+import {
+  ORTHO_LEFT, ORTHO_RIGHT, ORTHO_TOP, LEDGE_HEIGHT,
+} from '../physics/constants.js';
+
+export { CLASSIC_ARENA };
+
+// Order matters: the simulation stores an arena as its index in this list
+// (rules.arena), so new arenas are only ever appended.
+export const ARENA_IDS = ['classic', 'spire', 'gauntlet', 'open-sky'];
+
+const ARENAS = {
+  'classic': CLASSIC_ARENA,
+  'spire': SPIRE_ARENA,
+  'gauntlet': GAUNTLET_ARENA,
+  'open-sky': OPEN_SKY_ARENA,
+};
+
+export const ARENA_LIMITS = Object.freeze({
+  maxPlatforms: 16,
+  maxSpawnPoints: 8,
+  lavaTop: [-4.6, -2.0],
+  platformY: [-5.0, ORTHO_TOP - 1.5],
+  platformWidth: [0.5, 24],
+  platformHeight: [0.1, 1.0],
+});
+
+/**
+ * @param {string} id
+ * @returns {object|null} the arena definition, or null for an unknown id
+ */
+export function getArena(id) {
+  return ARENAS[id] || null;
+}
+
+/**
+ * @param {number} index - position in ARENA_IDS
+ * @returns {object} the arena definition (classic for an unknown index)
+ */
+export function getArenaByIndex(index) {
+  return ARENAS[ARENA_IDS[index]] || CLASSIC_ARENA;
+}
+
+// Slack for edge-of-platform comparisons, so a spawn placed exactly on an
+// edge isn't rejected over float noise (-1.7 - -2.6 = 0.9000000000000001)
+const EDGE_TOLERANCE = 1e-6;
+
+function isNumberIn(value, [min, max]) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+function checkSpawnPoints(points, label, platformsById, errors) {
+  if (!Array.isArray(points) || points.length < 1 || points.length > ARENA_LIMITS.maxSpawnPoints) {
+    errors.push(`${label} needs 1–${ARENA_LIMITS.maxSpawnPoints} entries`);
+    points = [];
+  }
+  points.forEach((point, index) => {
+    const platform = point && platformsById.get(point.platformId);
+    if (!platform) {
+      errors.push(`${label}[${index}] is not on a known platform`);
+    } else if (typeof point.x !== 'number' || !Number.isFinite(point.x) ||
+               Math.abs(point.x - platform.x) > platform.width / 2 + EDGE_TOLERANCE) {
+      errors.push(`${label}[${index}] is off the edge of ${platform.id}`);
+    } else if (platform.remnant &&
+               Math.abs(point.x - platform.remnant.x) > platform.remnant.width / 2 + EDGE_TOLERANCE) {
+      // The platform shrinks when the troll arrives; spawns must survive that
+      errors.push(`${label}[${index}] is off the troll remnant of ${platform.id}`);
+    }
+  });
+}
+
+/**
+ * Check an arena definition (e.g. one imported from JSON).
+ * @param {object} arena
+ * @returns {string[]} problems found — empty when the arena is usable
+ */
+export function validateArena(arena) {
+  if (!arena || typeof arena !== 'object') {
+    return ['Arena must be an object'];
+  }
+
+  const errors = [];
+  if (typeof arena.id !== 'string' || !/^[a-z0-9-]{1,32}$/.test(arena.id)) {
+    errors.push('id must be 1–32 lowercase letters, digits or dashes');
+  }
+  if (typeof arena.name !== 'string' || arena.name.length < 1 || arena.name.length > 40) {
+    errors.push('name must be 1–40 characters');
+  }
+  if (!isNumberIn(arena.lavaTop, ARENA_LIMITS.lavaTop)) {
+    errors.push(`lavaTop must be between ${ARENA_LIMITS.lavaTop[0]} and ${ARENA_LIMITS.lavaTop[1]}`);
+  }
+  if (typeof arena.wrapEdges !== 'boolean') {
+    errors.push('wrapEdges must be true or false');
+  }
+
+  const platformsById = new Map();
+  if (!Array.isArray(arena.platforms) || arena.platforms.length < 1 ||
+      arena.platforms.length > ARENA_LIMITS.maxPlatforms) {
+    errors.push(`platforms needs 1–${ARENA_LIMITS.maxPlatforms} entries`);
+  } else {
+    arena.platforms.forEach((platform, index) => {
+      const label = `platforms[${index}]`;
+      if (!platform || typeof platform.id !== 'string' || platform.id.length < 1) {
+        errors.push(`${label} needs an id`);
+        return;
+      }
+      if (platformsById.has(platform.id)) {
+        errors.push(`${label} reuses id ${platform.id}`);
+      }
+      if (!isNumberIn(platform.x, [ORTHO_LEFT, ORTHO_RIGHT]) ||
+          !isNumberIn(platform.y, ARENA_LIMITS.platformY) ||
+          !isNumberIn(platform.width, ARENA_LIMITS.platformWidth) ||
+          !isNumberIn(platform.height, ARENA_LIMITS.platformHeight)) {
+        errors.push(`${label} (${platform.id}) has an out-of-range position or size`);
+      } else if (platform.y + platform.height / 2 + LEDGE_HEIGHT <= arena.lavaTop) {
+        errors.push(`${label} (${platform.id}) is under the lava`);
+      }
+      if (platform.remnant !== undefined) {
+        const remnant = platform.remnant;
+        const slack = remnant && (platform.width - remnant.width) / 2 + EDGE_TOLERANCE;
+        const fits = remnant && isNumberIn(remnant.width, [ARENA_LIMITS.platformWidth[0], platform.width]) &&
+          isNumberIn(remnant.x, [platform.x - slack, platform.x + slack]);
+        if (!fits) {
+          errors.push(`${label} (${platform.id}) remnant must fit inside the platform`);
+        }
+      }
+      platformsById.set(platform.id, platform);
+    });
+  }
+
+  checkSpawnPoints(arena.spawnPoints, 'spawnPoints', platformsById, errors);
+  checkSpawnPoints(arena.enemySpawnPoints, 'enemySpawnPoints', platformsById, errors);
+  return errors;
+}
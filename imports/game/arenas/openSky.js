@@ -0,0 +1,34 @@
+// Open Sky — small floating islands over low lava.
+// Lots of air between perches and short ledges to land on; the lava sits
+// lower than classic so there is more room to recover from a fall.
+
+export const OPEN_SKY_ARENA = {
+  id: 'open-sky',
+  name: 'Open Sky',
+  lavaTop: -4.2,
+  wrapEdges: true,
+  platforms: [
+    { id: 'baseLeft', x: -4.0, y: -4.4, width: 5.0, height: 0.35, remnant: { x: -4.0, width: 2.0 } },
+    { id: 'baseRight', x: 4.0, y: -4.4, width: 5.0, height: 0.35, remnant: { x: 4.0, width: 2.0 } },
+    { id: 'islandL', x: -8.0, y: -2.0, width: 3.0, height: 0.3 },
+    { id: 'islandC', x: 0.0, y: -1.8, width: 2.5, height: 0.3 },
+    { id: 'islandR', x: 8.0, y: -2.0, width: 3.0, height: 0.3 },
+    { id: 'perchL', x: -4.0, y: 0.6, width: 3.0, height: 0.3 },
+    { id: 'perchR', x: 4.0, y: 0.6, width: 3.0, height: 0.3 },
+    { id: 'skyL', x: -7.5, y: 3.0, width: 3.0, height: 0.3 },
+    { id: 'skyC', x: 0.0, y: 3.0, width: 3.0, height: 0.3 },
+    { id: 'skyR', x: 7.5, y: 3.0, width: 3.0, height: 0.3 },
+  ],
+  spawnPoints: [
+    { x: -4.0, platformId: 'baseLeft' },
+    { x: 4.0, platformId: 'baseRight' },
+    { x: -8.0, platformId: 'islandL' },
+    { x: 8.0, platformId: 'islandR' },
+  ],
+  enemySpawnPoints: [
+    { x: -7.5, platformId: 'skyL' },
+    { x: 7.5, platformId: 'skyR' },
+    { x: -4.0, platformId: 'perchL' },
+    { x: 4.0, platformId: 'perchR' },
+  ],
+};
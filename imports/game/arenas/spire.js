@@ -0,0 +1,33 @@
+// The Spire — a narrow column of ledges up the middle over high lava.
+// Less floor and a shorter drop into the lava; the fight funnels toward
+// the centre column and the wrap-around ledges at mid height.
+
+export const SPIRE_ARENA = {
+  id: 'spire',
+  name: 'The Spire',
+  lavaTop: -3.0,
+  wrapEdges: true,
+  platforms: [
+    { id: 'baseLeft', x: -7.0, y: -3.2, width: 5.0, height: 0.35, remnant: { x: -7.0, width: 2.5 } },
+    { id: 'baseRight', x: 7.0, y: -3.2, width: 5.0, height: 0.35, remnant: { x: 7.0, width: 2.5 } },
+    { id: 'spireLow', x: 0.0, y: -1.6, width: 3.0, height: 0.3 },
+    { id: 'ledgeL', x: -8.5, y: -0.4, width: 3.5, height: 0.3 },
+    { id: 'ledgeR', x: 8.5, y: -0.4, width: 3.5, height: 0.3 },
+    { id: 'spireMid', x: 0.0, y: 0.6, width: 2.5, height: 0.3 },
+    { id: 'highL', x: -5.5, y: 1.8, width: 3.0, height: 0.3 },
+    { id: 'highR', x: 5.5, y: 1.8, width: 3.0, height: 0.3 },
+    { id: 'spireTop', x: 0.0, y: 2.8, width: 2.0, height: 0.3 },
+  ],
+  spawnPoints: [
+    { x: -7.0, platformId: 'baseLeft' },
+    { x: 7.0, platformId: 'baseRight' },
+    { x: -8.5, platformId: 'ledgeL' },
+    { x: 8.5, platformId: 'ledgeR' },
+  ],
+  enemySpawnPoints: [
+    { x: -5.5, platformId: 'highL' },
+    { x: 5.5, platformId: 'highR' },
+    { x: 0.0, platformId: 'spireTop' },
+    { x: 0.0, platformId: 'spireLow' },
+  ],
+};
@@ -0,0 +1,247 @@
+// DesyncForensics — Turns a checksum mismatch into something debuggable.
+// When RollbackSession reports a desync, both peers swap their full state for
+// the mismatched frame (STATE_DUMP) and diff it field by field (stateDiff.js).
+// The report also carries the previous checksum frame's state and the replay
+// ops between the two, so reproduceDesyncReport() can re-run that stretch
+// under SyncTestSession and show which side the simulation agrees with.
+// Reports are plain JSON (states base64-encoded) so they survive
+// localStorage and the diagnostics export.
+
+import { GameSimulation } from '../GameSimulation.js';
+import { SyncTestSession } from '../../netcode/SyncTestSession.js';
+import { computeChecksum } from '../../netcode/StateBuffer.js';
+import { ReplayOp } from '../replay/ReplayFile.js';
+import { diffStates } from '../physics/stateDiff.js';
+
+export const REPORT_VERSION = 1;
+const DUMP_COOLDOWN_MS = 5000; // at most one state exchange per peer this often
+const MAX_PENDING = 4; // reports still waiting for the peer's dump
+
+/**
+ * @param {ArrayBuffer} buffer
+ * @returns {string} base64
+ */
+export function encodeState(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
+
+/**
+ * @param {string} text - base64 from encodeState()
+ * @returns {ArrayBuffer}
+ */
+export function decodeState(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes.buffer;
+}
+
+/**
+ * Replay ops that take the state saved at `startFrame` to the state saved at
+ * `endFrame`: ticks for startFrame..endFrame-1, plus activations after
+ * startFrame up to endFrame (a saved state already includes activations
+ * recorded at its own frame). Checksum markers are left out.
+ * @returns {object[]|null} null when a STATE_SYNC landed in between, since
+ *   that state came from outside and can't be replayed
+ */
+export function opsBetween(ops, startFrame, endFrame) {
+  const result = [];
+  let replayable = true;
+  for (const entry of ops) {
+    if (entry.op === ReplayOp.TICK) {
+      if (entry.frame >= startFrame && entry.frame < endFrame) {
+        result.push({ op: entry.op, frame: entry.frame, inputs: entry.inputs.slice() });
+      }
+    } else if (entry.op !== ReplayOp.CHECKSUM && entry.frame > startFrame && entry.frame <= endFrame) {
+      replayable = replayable && entry.op !== ReplayOp.STATE;
+      result.push({ ...entry });
+    }
+  }
+  return replayable ? result : null;
+}
+
+export class DesyncForensics {
+  /**
+   * @param {{ onReport?: function }} [config]
+   *   onReport(report) is called once the peer's state has arrived and been diffed
+   */
+  constructor({ onReport = null } = {}) {
+    this.onReport = onReport;
+    this._pending = new Map(); // `${peer}:${frame}` -> { report, localState }
+    this._lastDumpTime = new Map(); // peer slot -> ms
+  }
+
+  /**
+   * Start a report for a local DesyncDetected event.
+   * @param {{ frame: number, peer: number, remoteChecksum: number }} event
+   * @param {RollbackSession} session
+   * @param {ReplayRecorder|null} recorder
+   * @param {number} [now]
+   * @returns {ArrayBuffer|null} our state to send the peer as a STATE_DUMP, or
+   *   null when rate-limited or the state for that frame is no longer kept
+   */
+  begin(event, session, recorder, now = Date.now()) {
+    let dump = null;
+    const key = `${event.peer}:${event.frame}`;
+    const lastDump = this._lastDumpTime.get(event.peer);
+    if (!this._pending.has(key) && (lastDump === undefined || now - lastDump >= DUMP_COOLDOWN_MS)) {
+      const entry = this._startReport(event.frame, event.peer, session, recorder);
+      if (entry) {
+        entry.report.remoteChecksum = event.remoteChecksum;
+        this._lastDumpTime.set(event.peer, now);
+        this._pending.set(key, entry);
+        for (const oldKey of this._pending.keys()) {
+          if (this._pending.size <= MAX_PENDING) {
+            break;
+          }
+          this._pending.delete(oldKey);
+        }
+        dump = entry.localState;
+      }
+    }
+    return dump;
+  }
+
+  /**
+   * A peer's STATE_DUMP arrived. Completes the matching report. If we hadn't
+   * flagged this frame ourselves (the peer noticed first), starts one too and
+   * returns our state so the peer gets its side of the diff.
+   * @param {number} peer - sender's slot
+   * @param {number} frame
+   * @param {ArrayBuffer} remoteState
+   * @param {RollbackSession} session
+   * @param {ReplayRecorder|null} recorder
+   * @returns {ArrayBuffer|null} state to send back, if any
+   */
+  receive(peer, frame, remoteState, session, recorder) {
+    let reply = null;
+    const key = `${peer}:${frame}`;
+    let entry = this._pending.get(key) || null;
+    if (entry) {
+      this._pending.delete(key);
+    } else {
+      entry = this._startReport(frame, peer, session, recorder);
+      reply = entry ? entry.localState : null;
+    }
+
+    if (entry) {
+      const { report, localState } = entry;
+      report.remoteChecksum = computeChecksum(remoteState);
+      report.remoteState = encodeState(remoteState);
+      report.diffs = diffStates(localState, remoteState);
+      if (this.onReport) {
+        this.onReport(report);
+      }
+    }
+    return reply;
+  }
+
+  // --- Private ---
+
+  _startReport(frame, peer, session, recorder) {
+    let entry = null;
+    const localState = session.checksumStates.get(frame);
+    if (localState) {
+      // The previous kept checksum frame is where a reproduction starts
+      let startFrame = -1;
+      for (const kept of session.checksumStates.keys()) {
+        if (kept < frame && kept > startFrame) {
+          startFrame = kept;
+        }
+      }
+      const ops = startFrame >= 0 && recorder ? opsBetween(recorder.ops, startFrame, frame) : null;
+
+      entry = {
+        localState,
+        report: {
+          version: REPORT_VERSION,
+          createdAt: Date.now(),
+          frame,
+          localSlot: session.localPlayerIndex,
+          peer,
+          localChecksum: computeChecksum(localState),
+          remoteChecksum: null,
+          diffs: [],
+          localState: encodeState(localState),
+          remoteState: null,
+          startFrame: ops ? startFrame : null,
+          startState: ops ? encodeState(session.checksumStates.get(startFrame)) : null,
+          ops,
+        },
+      };
+    }
+    return entry;
+  }
+}
+
+/**
+ * Re-run a report's ops from its start state under SyncTestSession (forced
+ * rollbacks every frame) and compare the result with both peers' states.
+ * A sync error points at state the rollback doesn't restore; matching the
+ * remote state rather than the local one means this machine simulated the
+ * same inputs differently at the time.
+ * @param {object} report - from DesyncForensics (needs startState and ops)
+ * @param {{ rollbackDepth?: number }} [options]
+ * @returns {{ syncErrors: object[], matchesLocal: boolean, matchesRemote: boolean,
+ *   diffs: object[] }} diffs are reproduced vs local state
+ */
+export function reproduceDesyncReport(report, { rollbackDepth = 2 } = {}) {
+  if (!report.startState || !report.ops) {
+    throw new Error(`Desync report for frame ${report.frame} has no replayable ops`);
+  }
+
+  const game = new GameSimulation({ seed: 0 });
+  game.deserialize(decodeState(report.startState));
+  let syncTest = new SyncTestSession({ rollbackDepth });
+  const syncErrors = [];
+
+  for (const entry of report.ops) {
+    switch (entry.op) {
+      case ReplayOp.TICK:
+        for (const request of syncTest.advanceFrame(entry.inputs)) {
+          if (request.type === 'SaveGameState') {
+            request.cell.save(game.serialize());
+          } else if (request.type === 'LoadGameState') {
+            game.deserialize(request.cell.load());
+          } else {
+            game.tick(request.inputs);
+          }
+        }
+        syncTest.verify();
+        break;
+      case ReplayOp.ACTIVATE:
+        game.activatePlayer(entry.slot, entry.paletteIndex);
+        break;
+      case ReplayOp.DEACTIVATE:
+        game.deactivatePlayer(entry.slot);
+        break;
+      case ReplayOp.START:
+        game.startGame();
+        break;
+    }
+    // Activations happen between ticks, outside anything SyncTestSession
+    // could roll back over; start its history fresh after one
+    if (entry.op !== ReplayOp.TICK) {
+      syncErrors.push(...syncTest.getErrors());
+      syncTest = new SyncTestSession({ rollbackDepth });
+    }
+  }
+  syncErrors.push(...syncTest.getErrors());
+
+  const finalState = game.serialize();
+  const localState = decodeState(report.localState);
+  const finalChecksum = computeChecksum(finalState);
+  return {
+    syncErrors,
+    matchesLocal: finalChecksum === computeChecksum(localState),
+    matchesRemote: report.remoteState !== null && finalChecksum === computeChecksum(decodeState(report.remoteState)),
+    diffs: diffStates(localState, finalState),
+  };
+}
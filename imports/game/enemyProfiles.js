@@ -0,0 +1,352 @@
+// Enemy behavior profiles — what makes one enemy type play differently from another.
+// Each knight type registers a profile: plain data (name, voxel palette, what its
+// egg hatches into, patrol and attack timing) plus an attack() function that
+// EnemyAI calls every frame of its ATTACK phase. EnemyAI owns the shared
+// PATROL → ATTACK → RETURN machine, ceiling avoidance and landing.
+// The pterodactyl keeps its own state machine in EnemyAI; its profile is data only.
+//
+// attack(ai, enemy, world, rng) returns { left, right, flap }, where world is
+// { player, orthoBottomFP, chars }. To stay deterministic under rollback it
+// may only draw randomness from rng and may only keep state in the AI fields
+// that are serialized (_dirTimer, _currentDir, _flapAccum); the patrol machine
+// owns the rest. Kill points live in scoring.js (getKillPoints).
+// All timers are frame counts (integers). All thresholds are FP integers.
+
+import {
+  ENEMY_TYPE_BOUNDER, ENEMY_TYPE_HUNTER, ENEMY_TYPE_SHADOW_LORD,
+  ENEMY_TYPE_PTERODACTYL, ENEMY_TYPE_COWARD, ENEMY_TYPE_SWARM,
+} from './scoring.js';
+import { FP_SCALE, MAX_HUMANS, idiv10 } from './physics/stateLayout.js';
+import {
+  FP_LAVA_AVOID, FP_FALL_SPEED_THRESHOLD, FP_FALL_SPEED_FAST,
+  PATROL_MIN_BOUNDER, PATROL_RANGE_BOUNDER,
+  PATROL_MIN_HUNTER, PATROL_RANGE_HUNTER,
+  PATROL_MIN_SHADOW, PATROL_RANGE_SHADOW,
+  PATROL_MIN_COWARD, PATROL_RANGE_COWARD,
+  PATROL_MIN_SWARM, PATROL_RANGE_SWARM,
+  ATTACK_MIN_BOUNDER, ATTACK_RANGE_BOUNDER,
+  ATTACK_MIN_HUNTER, ATTACK_RANGE_HUNTER,
+  ATTACK_MIN_SHADOW, ATTACK_RANGE_SHADOW,
+  ATTACK_MIN_COWARD, ATTACK_RANGE_COWARD,
+  ATTACK_MIN_SWARM, ATTACK_RANGE_SWARM,
+} from './physics/constants.js';
+
+// FP thresholds (precomputed)
+const FP_DX_THRESHOLD = Math.round(0.5 * FP_SCALE);       // 128
+const FP_DX_THRESHOLD_SMALL = Math.round(0.3 * FP_SCALE);  // 77
+const FP_DY_THRESHOLD = Math.round(0.5 * FP_SCALE);        // 128
+const FP_DY_ABOVE_THRESHOLD = Math.round(2.0 * FP_SCALE);  // 512
+const FP_DY_NEAR_THRESHOLD = Math.round(0.5 * FP_SCALE);   // 128
+const FP_COWARD_FLINCH = Math.round(0.25 * FP_SCALE);      // 64 — a rider this much higher is a threat
+const FP_COWARD_FLEE_RANGE = Math.round(6.0 * FP_SCALE);   // 1536 — ...when this close horizontally
+const FP_SWARM_FLANK = Math.round(2.5 * FP_SCALE);         // 640 — gather this far to either side
+const FP_SWARM_ABOVE = Math.round(1.0 * FP_SCALE);         // 256 — height to hold while gathering
+
+// Frame-count timer intervals (attack phase)
+const DIR_CHANGE_FRAMES = 90;          // 1.5s * 60
+const BOUNDER_FLAP_INTERVAL = 12;     // 0.2s * 60
+const HUNTER_FLAP_INTERVAL = 9;       // 0.15s * 60
+const SHADOW_FLAP_INTERVAL = 7;       // 0.12s * 60
+const COWARD_FLAP_INTERVAL = 10;
+const SWARM_FLAP_INTERVAL = 8;
+const SWARM_STRIKE_FRAMES = 45;       // a flank in position dives in for 0.75s
+
+const PROFILES = [];
+
+/**
+ * Register (or replace) the behavior profile for an enemy type.
+ * Types are small integers stored in C_ENEMY_TYPE / AI_ENEMY_TYPE, so every
+ * peer must register the same profiles before a game starts.
+ * @param {number} enemyType — ENEMY_TYPE_* from scoring.js
+ * @param {{ name: string, palette: number, hatchesInto: number,
+ *   patrolMin: number, patrolRange: number, attackMin: number, attackRange: number,
+ *   attack: Function|null }} profile
+ */
+export function registerEnemyProfile(enemyType, profile) {
+  PROFILES[enemyType] = Object.freeze({ enemyType, ...profile });
+}
+
+/**
+ * Look up the behavior profile for an enemy type.
+ * @param {number} enemyType
+ * @returns {Object|null} null for humans (-1) and unregistered types
+ */
+export function getEnemyProfile(enemyType) {
+  return PROFILES[enemyType] || null;
+}
+
+// ---- Shared attack helpers ----
+
+// Count toward a flap check; true on the frame one is due
+function flapCheckDue(ai, interval) {
+  ai._flapAccum += 1;
+  let due = false;
+  if (ai._flapAccum > interval) {
+    ai._flapAccum = 0;
+    due = true;
+  }
+  return due;
+}
+
+// Flap out of the lava and out of a fall faster than fallSpeed
+function selfPreserve(result, enemy, world, fallSpeed) {
+  if (enemy.positionY < world.orthoBottomFP + FP_LAVA_AVOID) {
+    result.flap = true;
+  }
+  if (enemy.velocityY < -fallSpeed) {
+    result.flap = true;
+  }
+  return result;
+}
+
+// Steer toward an FP x position, holding still within tolerance
+function steerToward(result, fromX, toX, tolerance) {
+  const dx = toX - fromX;
+  if (dx > tolerance) {
+    result.right = true;
+  } else if (dx < -tolerance) {
+    result.left = true;
+  }
+  return result;
+}
+
+// ---- Attack behaviors ----
+
+/**
+ * Bounder — Wanderer: random movement, occasional flaps, avoids lava.
+ * Also the fallback for trackers with nobody to track.
+ */
+function wanderAttack(ai, enemy, world, rng) {
+  const result = { left: false, right: false, flap: false };
+
+  // Random direction changes (frame count)
+  ai._dirTimer -= 1;
+  if (ai._dirTimer <= 0) {
+    ai._dirTimer = DIR_CHANGE_FRAMES + rng.nextInt(90);
+    ai._currentDir = rng.nextInt(2) === 1 ? 1 : -1;
+  }
+
+  if (ai._currentDir > 0) {
+    result.right = true;
+  } else {
+    result.left = true;
+  }
+
+  // Occasional flapping (20% chance per check, checked every 12 frames)
+  if (flapCheckDue(ai, BOUNDER_FLAP_INTERVAL) && rng.nextInt(100) < 20) {
+    result.flap = true;
+  }
+
+  return selfPreserve(result, enemy, world, FP_FALL_SPEED_THRESHOLD);
+}
+
+/**
+ * Hunter — Tracker: seeks player horizontally, tries to gain height advantage.
+ */
+function hunterAttack(ai, enemy, world, rng) {
+  const player = world.player;
+  let result;
+  if (!player) {
+    result = wanderAttack(ai, enemy, world, rng);
+  } else {
+    result = steerToward({ left: false, right: false, flap: false },
+      enemy.positionX, player.positionX, FP_DX_THRESHOLD);
+
+    // Try to gain height advantage: flap more when below the player
+    const dy = player.positionY - enemy.positionY;
+    if (flapCheckDue(ai, HUNTER_FLAP_INTERVAL)) {
+      const chance = dy > FP_DY_THRESHOLD ? 55 : 20;
+      if (rng.nextInt(100) < chance) {
+        result.flap = true;
+      }
+    }
+    result = selfPreserve(result, enemy, world, FP_FALL_SPEED_FAST);
+  }
+  return result;
+}
+
+/**
+ * Shadow Lord — Predator: aggressively hunts player from above, leads target.
+ */
+function shadowLordAttack(ai, enemy, world, rng) {
+  const player = world.player;
+  let result;
+  if (!player) {
+    result = wanderAttack(ai, enemy, world, rng);
+  } else {
+    // Lead the player's movement: predictedX = playerX + playerVelX * 0.3
+    // In FP: idiv10(velX * 3) — reciprocal-multiply, no float intermediates
+    const predictedX = player.positionX + idiv10(player.velocityX * 3);
+    result = steerToward({ left: false, right: false, flap: false },
+      enemy.positionX, predictedX, FP_DX_THRESHOLD_SMALL);
+
+    // Aggressively stay above player
+    const dy = player.positionY - enemy.positionY;
+    if (flapCheckDue(ai, SHADOW_FLAP_INTERVAL)) {
+      let chance = 35;
+      if (dy > -FP_DY_NEAR_THRESHOLD) {
+        chance = 70;          // below or near player — flap aggressively
+      } else if (dy < -FP_DY_ABOVE_THRESHOLD) {
+        chance = 10;          // well above player — can dive
+      }
+      if (rng.nextInt(100) < chance) {
+        result.flap = true;
+      }
+    }
+    result = selfPreserve(result, enemy, world, FP_FALL_SPEED_FAST);
+  }
+  return result;
+}
+
+/**
+ * Coward — Bully: flees any rider above it, chases from above otherwise.
+ * Flees by running away and letting itself drop, so it is hard to pin down.
+ */
+function cowardAttack(ai, enemy, world, rng) {
+  const player = world.player;
+  let result;
+  if (!player) {
+    result = wanderAttack(ai, enemy, world, rng);
+  } else {
+    result = { left: false, right: false, flap: false };
+    const dx = player.positionX - enemy.positionX;
+    const dy = player.positionY - enemy.positionY;
+    const threatened = dy > FP_COWARD_FLINCH && Math.abs(dx) < FP_COWARD_FLEE_RANGE;
+    const flapDue = flapCheckDue(ai, COWARD_FLAP_INTERVAL);
+    if (threatened) {
+      if (dx > 0) {
+        result.left = true;
+      } else {
+        result.right = true;
+      }
+      if (flapDue && rng.nextInt(100) < 15) {
+        result.flap = true;
+      }
+    } else {
+      steerToward(result, enemy.positionX, player.positionX, FP_DX_THRESHOLD);
+      if (flapDue && rng.nextInt(100) < (dy > -FP_DY_ABOVE_THRESHOLD ? 60 : 20)) {
+        result.flap = true;
+      }
+    }
+    result = selfPreserve(result, enemy, world, FP_FALL_SPEED_FAST);
+  }
+  return result;
+}
+
+// Living swarm riders in enemy slots before this one — splits the swarm into flanks
+function swarmRank(enemy, chars) {
+  let rank = 0;
+  for (let i = MAX_HUMANS; i < chars.length && chars[i] !== enemy; i++) {
+    const char = chars[i];
+    if (char.active && !char.dead && char.enemyType === ENEMY_TYPE_SWARM) {
+      rank++;
+    }
+  }
+  return rank;
+}
+
+/**
+ * Swarm — Pack hunter: riders split into alternating flanks either side of
+ * the player, gather there just above, then dive in together.
+ * _dirTimer counts down an attack run once a rider reaches its flank; the
+ * longer timer a rider spawns with means it gathers first.
+ */
+function swarmAttack(ai, enemy, world, rng) {
+  const player = world.player;
+  let result;
+  if (!player) {
+    result = wanderAttack(ai, enemy, world, rng);
+  } else {
+    const side = (swarmRank(enemy, world.chars) & 1) === 0 ? -1 : 1;
+    const flankX = player.positionX + side * FP_SWARM_FLANK;
+    let goalX = flankX;
+    let goalY = player.positionY + FP_SWARM_ABOVE;
+    if (ai._dirTimer > 0 && ai._dirTimer <= SWARM_STRIKE_FRAMES) {
+      ai._dirTimer -= 1;
+      goalX = player.positionX;
+      goalY = player.positionY;
+    } else if (Math.abs(flankX - enemy.positionX) <= FP_DX_THRESHOLD) {
+      ai._dirTimer = SWARM_STRIKE_FRAMES;
+    }
+
+    result = steerToward({ left: false, right: false, flap: false },
+      enemy.positionX, goalX, FP_DX_THRESHOLD_SMALL);
+    if (flapCheckDue(ai, SWARM_FLAP_INTERVAL)) {
+      const chance = goalY > enemy.positionY ? 60 : 15;
+      if (rng.nextInt(100) < chance) {
+        result.flap = true;
+      }
+    }
+    result = selfPreserve(result, enemy, world, FP_FALL_SPEED_FAST);
+  }
+  return result;
+}
+
+// ---- Built-in profiles ----
+// palette indexes EVIL_KNIGHT_PALETTES in voxels/models/evilKnightPalettes.js
+
+registerEnemyProfile(ENEMY_TYPE_BOUNDER, {
+  name: 'Bounder',
+  palette: 0,
+  hatchesInto: ENEMY_TYPE_HUNTER,
+  patrolMin: PATROL_MIN_BOUNDER,
+  patrolRange: PATROL_RANGE_BOUNDER,
+  attackMin: ATTACK_MIN_BOUNDER,
+  attackRange: ATTACK_RANGE_BOUNDER,
+  attack: wanderAttack,
+});
+
+registerEnemyProfile(ENEMY_TYPE_HUNTER, {
+  name: 'Hunter',
+  palette: 1,
+  hatchesInto: ENEMY_TYPE_SHADOW_LORD,
+  patrolMin: PATROL_MIN_HUNTER,
+  patrolRange: PATROL_RANGE_HUNTER,
+  attackMin: ATTACK_MIN_HUNTER,
+  attackRange: ATTACK_RANGE_HUNTER,
+  attack: hunterAttack,
+});
+
+registerEnemyProfile(ENEMY_TYPE_SHADOW_LORD, {
+  name: 'Shadow Lord',
+  palette: 2,
+  hatchesInto: ENEMY_TYPE_SHADOW_LORD,
+  patrolMin: PATROL_MIN_SHADOW,
+  patrolRange: PATROL_RANGE_SHADOW,
+  attackMin: ATTACK_MIN_SHADOW,
+  attackRange: ATTACK_RANGE_SHADOW,
+  attack: shadowLordAttack,
+});
+
+registerEnemyProfile(ENEMY_TYPE_PTERODACTYL, {
+  name: 'Pterodactyl',
+  palette: -1,
+  hatchesInto: -1,
+  patrolMin: 0,
+  patrolRange: 0,
+  attackMin: 0,
+  attackRange: 0,
+  attack: null,
+});
+
+registerEnemyProfile(ENEMY_TYPE_COWARD, {
+  name: 'Coward',
+  palette: 3,
+  hatchesInto: ENEMY_TYPE_HUNTER,
+  patrolMin: PATROL_MIN_COWARD,
+  patrolRange: PATROL_RANGE_COWARD,
+  attackMin: ATTACK_MIN_COWARD,
+  attackRange: ATTACK_RANGE_COWARD,
+  attack: cowardAttack,
+});
+
+registerEnemyProfile(ENEMY_TYPE_SWARM, {
+  name: 'Swarm Rider',
+  palette: 4,
+  hatchesInto: ENEMY_TYPE_SWARM,
+  patrolMin: PATROL_MIN_SWARM,
+  patrolRange: PATROL_RANGE_SWARM,
+  attackMin: ATTACK_MIN_SWARM,
+  attackRange: ATTACK_RANGE_SWARM,
+  attack: swarmAttack,
+});
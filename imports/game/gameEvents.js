@@ -0,0 +1,48 @@
+// Gameplay events returned by GameSimulation.tick().
+// Each event is a plain object { type, frame, ...fields } describing something
+// that happened during that frame, so renderers (sounds, banners, effects) don't
+// have to work it out by diffing render states. Slots are character indices
+// (0-3 humans, 4-11 enemies); egg is an egg slot.
+//
+//   JOUST_KILL     winner, loser, enemyType (loser's, -1 for a player)
+//   BOUNCE         a, b — lances met and both riders bounced off
+//   EGG_SPAWNED    egg, slot — the rider it fell from
+//   EGG_COLLECTED  egg, slot, midAir, hatchling
+//   EGG_HATCHED    egg — cracked open into a hatchling
+//   EGG_LAVA       egg
+//   LAVA_DEATH     slot
+//   TROLL_GRAB     slot — the troll's grip closed on it
+//   TROLL_ESCAPE   slot — the troll let go of or lost a living target
+//   WAVE_START     wave
+//   WAVE_COMPLETE  wave
+//   EXTRA_LIFE     slot, lives
+//   GAME_OVER      (no fields)
+//
+// Only tick() reports events, so the first wave's start (from startGame())
+// has none. Events are not part of the serialized state: a rollback
+// re-simulation returns them again, and GameEventLog decides which of those
+// to deliver.
+
+export const GameEvent = {
+  JOUST_KILL: 'JoustKill',
+  BOUNCE: 'Bounce',
+  EGG_SPAWNED: 'EggSpawned',
+  EGG_COLLECTED: 'EggCollected',
+  EGG_HATCHED: 'EggHatched',
+  EGG_LAVA: 'EggLava',
+  LAVA_DEATH: 'LavaDeath',
+  TROLL_GRAB: 'TrollGrab',
+  TROLL_ESCAPE: 'TrollEscape',
+  WAVE_START: 'WaveStart',
+  WAVE_COMPLETE: 'WaveComplete',
+  EXTRA_LIFE: 'ExtraLife',
+  GAME_OVER: 'GameOver',
+};
+
+// Events that change the course of the game. They are delivered however late
+// a rollback turns them up; the rest are cosmetic and go stale.
+export const PROGRESSION_EVENTS = new Set([
+  GameEvent.WAVE_START,
+  GameEvent.WAVE_COMPLETE,
+  GameEvent.GAME_OVER,
+]);
@@ -0,0 +1,124 @@
+// Game rules — the knobs a room can turn away from classic arcade play.
+// Rules are plain integers so they fit in the serialized global state block
+// (G_RULE_* in stateLayout.js; the bot rules sit in their own BR_* block and
+// the team rules in the TM_* block);
+// rollback peers and late joiners pick them up from STATE_SYNC along with
+// the rest of the simulation state.
+
+import { STARTING_LIVES, EXTRA_LIFE_THRESHOLD } from './scoring.js';
+import { TROLL_WAVE_START } from './physics/constants.js';
+import { ARENA_IDS } from './arenas/index.js';
+import { MAX_HUMANS } from './physics/stateLayout.js';
+import { BOT_EASY, BOT_NORMAL, BOT_HARD } from './BotAI.js';
+
+export const CLASSIC_RULES = Object.freeze({
+  startingLives: STARTING_LIVES,
+  extraLifeThreshold: EXTRA_LIFE_THRESHOLD, // 0 = no extra lives
+  enemyCountPercent: 100,                    // scales regular enemies per wave
+  startingWave: 1,
+  trollStartWave: TROLL_WAVE_START,
+  arena: 0,                                  // index into ARENA_IDS (0 = classic)
+  bots: 0,                                   // empty player slots a bot fills at the start
+  botLevel: BOT_NORMAL,                      // BOT_EASY..BOT_HARD (see BotAI.js)
+  sharedLives: 0,                            // 1 = team mode players pool their lives
+  friendlyFire: 0,                           // 1 = team mode players can unhorse each other
+  newEnemies: 0,                             // 1 = cowards and swarms join the waves
+});
+
+// Inclusive [min, max] for each rule
+export const RULE_LIMITS = Object.freeze({
+  startingLives: [1, 99],
+  extraLifeThreshold: [0, 1000000],
+  enemyCountPercent: [10, 300],
+  startingWave: [1, 99],
+  trollStartWave: [1, 999],
+  arena: [0, ARENA_IDS.length - 1],
+  bots: [0, MAX_HUMANS - 1],
+  botLevel: [BOT_EASY, BOT_HARD],
+  sharedLives: [0, 1],
+  friendlyFire: [0, 1],
+  newEnemies: [0, 1],
+});
+
+// Lobby "npcBuzzards" value that means classic enemy counts
+// (keep in sync with DEFAULT_SETTINGS.npcBuzzards in gameRooms.js)
+const CLASSIC_NPC_BUZZARDS = 5;
+
+/**
+ * Fill in missing rules from CLASSIC_RULES and clamp everything to RULE_LIMITS.
+ * @param {object} [rules]
+ * @returns {object} a complete rules object
+ */
+export function normalizeRules(rules = {}) {
+  const normalized = {};
+  for (const name of Object.keys(CLASSIC_RULES)) {
+    const [min, max] = RULE_LIMITS[name];
+    const value = Number.isInteger(rules[name]) ? rules[name] : CLASSIC_RULES[name];
+    normalized[name] = Math.min(Math.max(value, min), max);
+  }
+  return normalized;
+}
+
+/**
+ * botLevel is ignored when there are no bots to play at that level.
+ * @param {object} rules
+ * @returns {boolean} true when every rule matches classic play
+ */
+export function isClassicRules(rules) {
+  const normalized = normalizeRules(rules);
+  return Object.keys(CLASSIC_RULES).every(name =>
+    normalized[name] === CLASSIC_RULES[name] || (name === 'botLevel' && normalized.bots === 0));
+}
+
+/**
+ * Translate lobby room settings ({ lives, npcBuzzards, map, bots, botLevel, sharedLives, friendlyFire,
+ * newEnemies }) into rules.
+ * An empty settings object (matchmaking rooms) gives classic rules.
+ * @param {object} [settings]
+ * @returns {object}
+ */
+export function rulesFromRoomSettings(settings = {}) {
+  let enemyCountPercent;
+  if (Number.isInteger(settings.npcBuzzards)) {
+    enemyCountPercent = Math.round(settings.npcBuzzards * 100 / CLASSIC_NPC_BUZZARDS);
+  }
+  const arenaIndex = ARENA_IDS.indexOf(settings.map);
+  return normalizeRules({
+    startingLives: settings.lives,
+    enemyCountPercent,
+    arena: arenaIndex >= 0 ? arenaIndex : undefined,
+    bots: settings.bots,
+    botLevel: settings.botLevel,
+    sharedLives: settings.sharedLives === true ? 1 : undefined,
+    friendlyFire: settings.friendlyFire === true ? 1 : undefined,
+    newEnemies: settings.newEnemies === true ? 1 : undefined,
+  });
+}
+
+// Regular (non-pterodactyl) wave counts, in the order a scaled-away wave keeps one back
+const REGULAR_ENEMY_KEYS = ['bounders', 'hunters', 'shadowLords', 'cowards', 'swarm'];
+
+/**
+ * Scale a wave's regular enemy counts by a percentage (integer math only).
+ * A wave that had enemies keeps at least one. Pterodactyls are not scaled.
+ * @param {{ bounders: number, hunters: number, shadowLords: number, cowards: number, swarm: number, pterodactyls: number }} composition
+ * @param {number} percent
+ * @returns {{ bounders: number, hunters: number, shadowLords: number, cowards: number, swarm: number, pterodactyls: number }}
+ */
+export function scaleWaveComposition(composition, percent) {
+  const scale = (count) => Math.floor((count * percent + 50) / 100);
+  const scaled = { pterodactyls: composition.pterodactyls };
+  let hadEnemies = false;
+  let hasEnemies = false;
+  for (const key of REGULAR_ENEMY_KEYS) {
+    scaled[key] = scale(composition[key]);
+    hadEnemies = hadEnemies || composition[key] > 0;
+    hasEnemies = hasEnemies || scaled[key] > 0;
+  }
+
+  if (hadEnemies && !hasEnemies) {
+    const keep = REGULAR_ENEMY_KEYS.find(key => composition[key] > 0);
+    scaled[keep] = 1;
+  }
+  return scaled;
+}
@@ -0,0 +1,213 @@
+// Leaderboards — which HighScores rows make up each board, and in what order.
+// HighScores keeps one row per user, game mode and period: all time, the
+// current UTC day and the current UTC week (from Monday). Each row holds the
+// best score of its period (with the wave that run reached) and, separately,
+// the highest wave of the period. Day and week rows carry an expiresAt for
+// the TTL index once their boards are long gone.
+//
+//   daily    today's best scores
+//   weekly   this week's best scores
+//   allTime  best scores ever
+//   waves    highest waves ever
+//
+// Ties go to whoever got there first.
+
+export const Leaderboard = {
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+  ALL_TIME: 'allTime',
+  WAVES: 'waves',
+};
+
+// In the order the menu's tabs show them
+export const LEADERBOARDS = [Leaderboard.DAILY, Leaderboard.WEEKLY, Leaderboard.ALL_TIME, Leaderboard.WAVES];
+
+export const LEADERBOARD_PAGE_SIZE = 10;
+export const MAX_LEADERBOARD_PAGE = 99;
+
+export const ScoreWindow = {
+  ALL: 'all',
+  DAY: 'day',
+  WEEK: 'week',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAY_ROW_KEEP_MS = 8 * DAY_MS;
+const WEEK_ROW_KEEP_MS = 5 * 7 * DAY_MS;
+
+const BOARDS = {
+  [Leaderboard.DAILY]: { window: ScoreWindow.DAY, rankBy: 'score' },
+  [Leaderboard.WEEKLY]: { window: ScoreWindow.WEEK, rankBy: 'score' },
+  [Leaderboard.ALL_TIME]: { window: ScoreWindow.ALL, rankBy: 'score' },
+  [Leaderboard.WAVES]: { window: ScoreWindow.ALL, rankBy: 'wave' },
+};
+
+// Value field, and when the row reached it (the tie-break)
+const RANK_FIELDS = {
+  score: ['score', 'createdAt'],
+  wave: ['bestWave', 'bestWaveAt'],
+};
+
+function isoDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Midnight UTC starting the day / the week (Monday) that `date` falls in
+function startOfDay(date) {
+  return new Date(Math.floor(date.getTime() / DAY_MS) * DAY_MS);
+}
+
+function startOfWeek(date) {
+  const day = startOfDay(date);
+  const sinceMonday = (day.getUTCDay() + 6) % 7;
+  return new Date(day.getTime() - sinceMonday * DAY_MS);
+}
+
+/**
+ * Period key of the current row for a window: 'all', 'day:2026-10-18' or
+ * 'week:2026-10-12' (the Monday).
+ * @param {string} window — ScoreWindow.*
+ * @param {Date} now
+ * @returns {string}
+ */
+export function periodKey(window, now) {
+  if (window === ScoreWindow.DAY) {
+    return 'day:' + isoDay(startOfDay(now));
+  }
+  if (window === ScoreWindow.WEEK) {
+    return 'week:' + isoDay(startOfWeek(now));
+  }
+  return ScoreWindow.ALL;
+}
+
+/**
+ * The rows a score submitted at `now` goes into.
+ * @param {Date} now
+ * @returns {Array<{ window: string, period: string, expiresAt?: Date }>}
+ */
+export function scorePeriods(now) {
+  return [
+    { window: ScoreWindow.ALL, period: periodKey(ScoreWindow.ALL, now) },
+    {
+      window: ScoreWindow.DAY,
+      period: periodKey(ScoreWindow.DAY, now),
+      expiresAt: new Date(startOfDay(now).getTime() + DAY_ROW_KEEP_MS),
+    },
+    {
+      window: ScoreWindow.WEEK,
+      period: periodKey(ScoreWindow.WEEK, now),
+      expiresAt: new Date(startOfWeek(now).getTime() + WEEK_ROW_KEEP_MS),
+    },
+  ];
+}
+
+/**
+ * What a verified submission changes in one period's row: the fields to
+ * $set, or null when it beats neither the row's score nor its wave. With no
+ * row yet, the fields of a new one.
+ * @param {object|undefined} existing — the HighScores row
+ * @param {{ score: number, waveReached: number }} submission
+ * @param {Date} now
+ * @returns {object|null}
+ */
+export function scoreRowUpdate(existing, { score, waveReached }, now) {
+  if (!existing) {
+    return { score, waveReached, createdAt: now, bestWave: waveReached, bestWaveAt: now };
+  }
+  const fields = {};
+  if (score > existing.score) {
+    Object.assign(fields, { score, waveReached, createdAt: now });
+  }
+  if (waveReached > (existing.bestWave ?? existing.waveReached)) {
+    Object.assign(fields, { bestWave: waveReached, bestWaveAt: now });
+  }
+  return Object.keys(fields).length > 0 ? fields : null;
+}
+
+/**
+ * The writes that file a verified submission into one period's row. Each is
+ * safe against another submission for the same row landing in between: an
+ * upsert on the row's key starts it if there is none, then each update only
+ * matches while the row's score or wave is still lower, so the best one wins
+ * along with the fields that go with it.
+ * @param {{ userId: string, gameMode: string, username: string }} player
+ * @param {{ window: string, period: string, expiresAt?: Date }} entry — from scorePeriods
+ * @param {{ score: number, waveReached: number }} submission
+ * @param {Date} now
+ * @returns {{ key: object, insert: object, updates: Array<{ selector: object, modifier: object }> }}
+ */
+export function scoreRowWrites({ userId, gameMode, username }, entry, submission, now) {
+  const { period, ...rowFields } = entry;
+  const key = { userId, gameMode, period };
+  const { score, waveReached } = submission;
+  return {
+    key,
+    insert: { $setOnInsert: { username, ...rowFields, ...scoreRowUpdate(undefined, submission, now) } },
+    updates: [
+      {
+        selector: { ...key, score: { $lt: score } },
+        modifier: { $set: { score, waveReached, createdAt: now, username } },
+      },
+      {
+        selector: { ...key, bestWave: { $lt: waveReached } },
+        modifier: { $set: { bestWave: waveReached, bestWaveAt: now, username } },
+      },
+    ],
+  };
+}
+
+/**
+ * Selector for a board's rows. Without `now` it matches the board's window
+ * rather than its current period, for the client, which only holds the rows
+ * the server published.
+ * @param {string} board — Leaderboard.*
+ * @param {{ now?: Date, gameMode?: string }} [options]
+ * @returns {object}
+ */
+export function boardQuery(board, { now, gameMode } = {}) {
+  const { window } = BOARDS[board];
+  const query = now ? { period: periodKey(window, now) } : { window };
+  if (gameMode) {
+    query.gameMode = gameMode;
+  }
+  return query;
+}
+
+/**
+ * Best first, earliest first on a tie.
+ * @param {string} board
+ * @returns {object} Mongo sort specifier
+ */
+export function boardSort(board) {
+  const [value, reachedAt] = RANK_FIELDS[BOARDS[board].rankBy];
+  return { [value]: -1, [reachedAt]: 1 };
+}
+
+/**
+ * Selector for the rows ranked above `row` on a board; counting them gives
+ * the row's rank.
+ * @param {string} board
+ * @param {object} row — a HighScores row on the board
+ * @param {{ now?: Date, gameMode?: string }} [options]
+ * @returns {object}
+ */
+export function rankedAboveQuery(board, row, options = {}) {
+  const [value, reachedAt] = RANK_FIELDS[BOARDS[board].rankBy];
+  return {
+    ...boardQuery(board, options),
+    $or: [
+      { [value]: { $gt: row[value] } },
+      { [value]: row[value], [reachedAt]: { $lt: row[reachedAt] } },
+    ],
+  };
+}
+
+/**
+ * The value a board ranks a row by.
+ * @param {string} board
+ * @param {object} row
+ * @returns {number}
+ */
+export function boardValue(board, row) {
+  return BOARDS[board].rankBy === 'wave' ? row.bestWave : row.score;
+}
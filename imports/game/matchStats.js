@@ -0,0 +1,182 @@
+// Match stats — per-player counters for the whole game.
+// GameSimulation keeps them as ST_* ints in the serialized state (see
+// stateLayout.js), so they roll back and resync with everything else. This
+// module names them and turns them into the results rooms.reportResult stores
+// and the match history it writes.
+//
+//   kills        enemies unhorsed, by type (the player the points went to)
+//   playerKills  players unhorsed (PvP)
+//   deaths       by cause: joust, lava, pterodactyl, troll (pulled under)
+//   eggs         eggs and hatchlings collected
+//   eggsMidAir   eggs caught before they landed
+//   trollEscapes times the troll's hand let go of or lost the player
+//   highestWave  last wave completed with lives left
+//   framesAlive  frames on the field, not dead (60 per second)
+
+import {
+  ST_KILLS, ST_PLAYER_KILLS, ST_DEATHS_JOUST, ST_DEATHS_LAVA,
+  ST_DEATHS_PTERODACTYL, ST_DEATHS_TROLL, ST_EGGS_MID_AIR, ST_TROLL_ESCAPES,
+  ST_HIGHEST_WAVE, ST_FRAMES_ALIVE, ST_EGGS_COLLECTED,
+} from './physics/stateLayout.js';
+import { GAME_MODE_PVP } from './physics/constants.js';
+
+// Key under stats.kills for each enemy type (ENEMY_TYPE_* in scoring.js)
+export const KILL_STAT_KEYS = ['bounder', 'hunter', 'shadowLord', 'pterodactyl', 'coward', 'swarm'];
+
+/**
+ * Named stats from one slot's ST_* counters.
+ * @param {Int32Array|number[]} block — STAT_SIZE ints
+ * @returns {object}
+ */
+export function matchStatsFromBlock(block) {
+  const kills = {};
+  KILL_STAT_KEYS.forEach((key, enemyType) => {
+    kills[key] = block[ST_KILLS + enemyType];
+  });
+  return {
+    kills,
+    playerKills: block[ST_PLAYER_KILLS],
+    deaths: {
+      joust: block[ST_DEATHS_JOUST],
+      lava: block[ST_DEATHS_LAVA],
+      pterodactyl: block[ST_DEATHS_PTERODACTYL],
+      troll: block[ST_DEATHS_TROLL],
+    },
+    eggs: block[ST_EGGS_COLLECTED],
+    eggsMidAir: block[ST_EGGS_MID_AIR],
+    trollEscapes: block[ST_TROLL_ESCAPES],
+    highestWave: block[ST_HIGHEST_WAVE],
+    framesAlive: block[ST_FRAMES_ALIVE],
+  };
+}
+
+/**
+ * Everything a player unhorsed, enemies and players alike.
+ * @param {object} stats — from matchStatsFromBlock / GameSimulation.getMatchStats
+ * @returns {number}
+ */
+export function totalKills(stats) {
+  return Object.values(stats.kills).reduce((sum, n) => sum + n, 0) + stats.playerKills;
+}
+
+/**
+ * @param {object} stats
+ * @returns {number}
+ */
+export function totalDeaths(stats) {
+  return Object.values(stats.deaths).reduce((sum, n) => sum + n, 0);
+}
+
+/**
+ * Results for rooms.reportResult: one score per seated player or local
+ * guest (bots have no seat and are left out), and the wave the game ended on.
+ * In PvP the top scorer is the winner, the lowest slot on a tie.
+ * @param {GameSimulation} sim — at game over
+ * @param {Array<{ slot: number, userId: string }>} seats — room players and local guests
+ * @returns {{ winnerId?: string, waveReached: number, scores: object[] }}
+ */
+export function buildMatchResults(sim, seats) {
+  const state = sim.getState();
+  const scores = [...seats]
+    .sort((a, b) => a.slot - b.slot)
+    .map(seat => {
+      const stats = sim.getMatchStats(seat.slot);
+      return {
+        userId: seat.userId,
+        slot: seat.slot,
+        score: state.humans[seat.slot].score,
+        kills: totalKills(stats),
+        deaths: totalDeaths(stats),
+        stats,
+      };
+    });
+
+  const results = { waveReached: state.waveNumber, scores };
+  if (state.gameMode === GAME_MODE_PVP && scores.length > 0) {
+    const winner = scores.reduce((best, entry) => (entry.score > best.score ? entry : best));
+    results.winnerId = winner.userId;
+  }
+  return results;
+}
+
+/**
+ * The matchHistory document for a room's finished game. Only the room's
+ * players are taken from the reported scores; a score for another seat of a
+ * player (a local guest) is marked as such. The scores and stats are the
+ * host's word, not checked against a replay, so the match is marked
+ * selfReported: profiles show them as such and nothing ranked reads them.
+ * @param {object} room — the GameRooms document, as the game ended
+ * @param {{ winnerId?: string, waveReached?: number, scores?: object[] }} results — as reported
+ * @param {Date} finishedAt
+ * @returns {object}
+ */
+export function buildMatchHistory(room, results, finishedAt) {
+  const players = new Map(room.players.map(player => [player.userId, player]));
+  const participants = (results.scores || [])
+    .filter(entry => players.has(entry.userId))
+    .map(entry => {
+      const player = players.get(entry.userId);
+      const slot = entry.slot ?? player.slot;
+      return {
+        userId: entry.userId,
+        username: player.username,
+        slot,
+        guest: slot !== player.slot,
+        score: entry.score,
+        kills: entry.kills,
+        deaths: entry.deaths,
+        stats: entry.stats ?? null,
+      };
+    })
+    .sort((a, b) => a.slot - b.slot);
+
+  const match = {
+    roomId: room._id,
+    round: room.round || 0,
+    gameMode: room.gameMode,
+    seed: room.gameSeed,
+    settings: room.settings,
+    startedAt: room.startedAt ?? null,
+    finishedAt,
+    durationMs: room.startedAt ? finishedAt - room.startedAt : 0,
+    waveReached: results.waveReached ?? Math.max(0, ...participants.map(entry => entry.stats?.highestWave ?? 0)),
+    participants,
+    selfReported: true,
+  };
+  if (results.winnerId && players.has(results.winnerId)) {
+    match.winnerId = results.winnerId;
+  }
+  return match;
+}
+
+/**
+ * Rows for the post-game results screen, best score first (lowest slot on a
+ * tie). The local player's row is a personal best when its score beats the
+ * best they had before this game.
+ * @param {object[]} humans — render state humans (GameSimulation.getState())
+ * @param {{ localSlot?: number, previousBest?: number|null }} [options]
+ *   previousBest: highScores.myBest at the start of the game, null if unknown
+ * @returns {Array<{ slot: number, label: string, score: number, kills: number,
+ *   deaths: number, eggs: number, waves: number, isLocal: boolean, isBot: boolean,
+ *   personalBest: boolean }>}
+ */
+export function buildResultsRows(humans, { localSlot = -1, previousBest = null } = {}) {
+  return humans
+    .filter(human => human.active)
+    .map(human => {
+      const isLocal = human.slotIndex === localSlot;
+      return {
+        slot: human.slotIndex,
+        label: `P${human.slotIndex + 1}`,
+        score: human.score,
+        kills: totalKills(human.stats),
+        deaths: totalDeaths(human.stats),
+        eggs: human.stats.eggs,
+        waves: human.stats.highestWave,
+        isLocal,
+        isBot: human.isBot,
+        personalBest: isLocal && previousBest !== null && human.score > previousBest,
+      };
+    })
+    .sort((a, b) => b.score - a.score || a.slot - b.slot);
+}
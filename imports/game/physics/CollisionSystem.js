@@ -98,9 +98,10 @@ export function checkPlatformCollisions(char, prevX, prevY, platforms) {
  * Resolve a joust collision between two characters.
  * All positions are FP integers.
  * Returns { type: 'bounce' | 'kill', winner, loser, winnerIdx, loserIdx, pushDir }
- * or null if no collision.
+ * or null if no collision. Team play humans always bounce unless friendlyFire
+ * (the rule of that name) is on.
  */
-export function resolveJoust(charA, charB, idxA, idxB, gameMode, numHumanSlots) {
+export function resolveJoust(charA, charB, idxA, idxB, gameMode, numHumanSlots, friendlyFire = false) {
   if (!charA || !charB) {
     return null;
   }
@@ -168,7 +169,7 @@ export function resolveJoust(charA, charB, idxA, idxB, gameMode, numHumanSlots)
   const aIsHuman = idxA < numHumanSlots;
   const bIsHuman = idxB < numHumanSlots;
   const bothEnemies = !aIsHuman && !bIsHuman;
-  const bothHumanTeam = aIsHuman && bIsHuman && gameMode === GAME_MODE_TEAM;
+  const bothHumanTeam = aIsHuman && bIsHuman && gameMode === GAME_MODE_TEAM && !friendlyFire;
   const forceBounce = bothEnemies || bothHumanTeam;
 
   if (forceBounce || Math.abs(heightDiff) < FP_JOUST_DEADZONE) {
@@ -247,6 +248,24 @@ export function applyScreenWrap(char, orthoLeftFP, orthoRightFP) {
   }
 }
 
+/**
+ * Stop a character at solid side walls (arenas without screen wrap).
+ * FP integers. Mutates in place.
+ */
+export function applyEdgeWalls(char, orthoLeftFP, orthoRightFP) {
+  if (char.positionX > orthoRightFP - FP_CHAR_HALF_WIDTH) {
+    char.positionX = orthoRightFP - FP_CHAR_HALF_WIDTH;
+    if (char.velocityX > 0) {
+      char.velocityX = 0;
+    }
+  } else if (char.positionX < orthoLeftFP + FP_CHAR_HALF_WIDTH) {
+    char.positionX = orthoLeftFP + FP_CHAR_HALF_WIDTH;
+    if (char.velocityX < 0) {
+      char.velocityX = 0;
+    }
+  }
+}
+
 /**
  * Resolve a pterodactyl collision with a player.
  * Pterodactyl is an instant-kill threat — killable only by lancing its open mouth head-on.
@@ -9,7 +9,7 @@ import {
   FP_FEET_OFFSET, FP_HEAD_OFFSET, FP_CEILING_GAP,
   FP_ORTHO_LEFT, FP_ORTHO_RIGHT,
 } from './constants.js';
-import { checkPlatformCollisions, checkLavaKill, applyScreenWrap } from './CollisionSystem.js';
+import { checkPlatformCollisions, checkLavaKill, applyScreenWrap, applyEdgeWalls } from './CollisionSystem.js';
 import { velPerFrame } from './stateLayout.js';
 
 /**
@@ -22,8 +22,9 @@ import { velPerFrame } from './stateLayout.js';
  * @param {Array} platforms - platform collision data (FP integers)
  * @param {number} orthoTopFP - top of view (FP)
  * @param {number} orthoBottomFP - bottom of view (FP)
+ * @param {boolean} [wrapEdges] - false for arenas with solid side walls
  */
-export function applyInput(char, input, platforms, orthoTopFP, orthoBottomFP) {
+export function applyInput(char, input, platforms, orthoTopFP, orthoBottomFP, wrapEdges = true) {
   let inputDir = 0;
   if (input.right && !input.left) {
     inputDir = 1;
@@ -81,19 +82,19 @@ export function applyInput(char, input, platforms, orthoTopFP, orthoBottomFP) {
   applyGravity(char);
 
   // Update positions and resolve collisions
-  applyPositionAndCollisions(char, platforms, orthoTopFP, orthoBottomFP);
+  applyPositionAndCollisions(char, platforms, orthoTopFP, orthoBottomFP, wrapEdges);
 }
 
 /**
  * Apply idle physics (no input) — friction + gravity + position.
  * All values are FP integers.
  */
-export function applyIdle(char, platforms, orthoTopFP, orthoBottomFP) {
+export function applyIdle(char, platforms, orthoTopFP, orthoBottomFP, wrapEdges = true) {
   const isAirborne = char.playerState === 'AIRBORNE';
   const friction = isAirborne ? FP_AIR_FRICTION_PF : FP_FRICTION_PF;
   applyFriction(char, friction);
   applyGravity(char);
-  applyPositionAndCollisions(char, platforms, orthoTopFP, orthoBottomFP);
+  applyPositionAndCollisions(char, platforms, orthoTopFP, orthoBottomFP, wrapEdges);
 }
 
 /**
@@ -127,19 +128,25 @@ export function applyGravity(char) {
 }
 
 /**
- * Update position, run platform collisions, ceiling clamp, lava check, screen wrap.
+ * Update position, run platform collisions, ceiling clamp, lava check, screen wrap
+ * (or side walls when wrapEdges is false).
  * Sets char.hitLava if character enters lava zone.
  * All values are FP integers. Mutates in place.
  */
-export function applyPositionAndCollisions(char, platforms, orthoTopFP, orthoBottomFP) {
+export function applyPositionAndCollisions(char, platforms, orthoTopFP, orthoBottomFP, wrapEdges = true) {
   // Position update: vel is FP/sec, divide by 60 for per-frame (integer-only)
   char.positionX += velPerFrame(char.velocityX);
   char.positionY += velPerFrame(char.velocityY);
 
-  // Screen wrap BEFORE collision so checks always use an in-bounds position
+  // Screen wrap (or side walls) BEFORE collision so checks always use an in-bounds position
   const prevX = char.positionX;
-  applyScreenWrap(char, FP_ORTHO_LEFT, FP_ORTHO_RIGHT);
-  const wrapDelta = char.positionX - prevX;
+  let wrapDelta = 0;
+  if (wrapEdges) {
+    applyScreenWrap(char, FP_ORTHO_LEFT, FP_ORTHO_RIGHT);
+    wrapDelta = char.positionX - prevX;
+  } else {
+    applyEdgeWalls(char, FP_ORTHO_LEFT, FP_ORTHO_RIGHT);
+  }
 
   // Adjust prevPositionX so side-collision checks don't false-trigger across wrap
   const adjustedPrevX = wrapDelta !== 0 ? char.prevPositionX + wrapDelta : char.prevPositionX;
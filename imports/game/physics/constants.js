@@ -62,37 +62,9 @@ export const EGG_RADIUS = 2 * VOXEL_SIZE;
 export const SPAWN_GROUP_INTERVAL = 2.0;
 export const WAVE_TRANSITION_DELAY = 2.0;
 
-// ---- Platform layout (Joust Level 1) ----
-export const PLATFORM_DEFS = [
-  // Base tier — two sections with lava gap in center
-  { id: 'baseLeft',  x: -5.5, y: -3.8, width: 9.0, height: 0.35 },
-  { id: 'baseRight', x:  5.5, y: -3.8, width: 9.0, height: 0.35 },
-  // Lower-middle tier
-  { id: 'midLowL',   x: -5.0, y: -1.5, width: 4.5, height: 0.3 },
-  { id: 'midLowR',   x:  5.0, y: -1.5, width: 4.5, height: 0.3 },
-  // Upper-middle tier (L and R extend past screen edges for wrap-around)
-  { id: 'midUpL',    x: -8.0, y:  0.8, width: 4.5, height: 0.3 },
-  { id: 'midUpC',    x:  0.0, y:  0.8, width: 5.0, height: 0.3 },
-  { id: 'midUpR',    x:  8.0, y:  0.8, width: 4.5, height: 0.3 },
-  // Top tier
-  { id: 'top',       x:  0.0, y:  3.2, width: 12.0, height: 0.3 },
-];
-
-// ---- Spawn points ----
-export const SPAWN_POINTS = [
-  { x: -6.0, platformId: 'baseLeft' },
-  { x:  6.0, platformId: 'baseRight' },
-  { x: -5.0, platformId: 'midLowL' },
-  { x:  5.0, platformId: 'midLowR' },
-];
-
-// ---- Enemy spawn points ----
-export const ENEMY_SPAWN_POINTS = [
-  { x: -8.0, platformId: 'midUpL' },   // top-left
-  { x:  8.0, platformId: 'midUpR' },   // top-right
-  { x: -5.0, platformId: 'midLowL' },  // mid-left
-  { x:  5.0, platformId: 'midLowR' },  // mid-right
-];
+// ---- Platform layout ----
+// Platforms, spawn points, lava height and edge wrap come from the arena
+// definitions in ../arenas/ (classic = Joust Level 1).
 
 // ---- Pterodactyl physics ----
 export const PTERO_SWOOP_SPEED = 14.0;       // Faster than MAX_SPEED
@@ -125,10 +97,6 @@ export const TROLL_GRAB_RADIUS_FP = toFP(1.0); // how close hand must be to grab
 export const TROLL_PUNCH_RISE_FRAMES = 40;   // intro: fist rises
 export const TROLL_PUNCH_TOTAL_FRAMES = 120; // intro: total sequence
 
-// Spawn pillars replace base platforms after troll destruction
-export const SPAWN_PILLAR_LEFT = { id: 'baseLeft', x: -6.0, y: -3.8, width: 2.5, height: 0.35 };
-export const SPAWN_PILLAR_RIGHT = { id: 'baseRight', x: 6.0, y: -3.8, width: 2.5, height: 0.35 };
-
 // ---- Game modes ----
 export const GAME_MODE_TEAM = 'team';
 export const GAME_MODE_PVP = 'pvp';
@@ -136,9 +104,10 @@ export const GAME_MODE_PVP = 'pvp';
 /**
  * Build collision data for platforms (pre-compute edges) — float version.
  * Used by the renderer (Level1Scene) for visual positioning.
+ * @param {object} [arena] - arena definition (see ../arenas/index.js)
  */
-export function buildPlatformCollisionData() {
-  return PLATFORM_DEFS.map(def => ({
+export function buildPlatformCollisionData(arena = CLASSIC_ARENA) {
+  return arena.platforms.map(def => ({
     id: def.id,
     x: def.x,
     y: def.y,
@@ -157,6 +126,7 @@ export function buildPlatformCollisionData() {
 // ========================================================================
 
 import { FP_SCALE, toFP } from './stateLayout.js';
+import { CLASSIC_ARENA } from '../arenas/classic.js';
 
 const FP = FP_SCALE;
 
@@ -233,6 +203,10 @@ export const PATROL_MIN_HUNTER = 120;     // 2s
 export const PATROL_RANGE_HUNTER = 120;   // +0-2s random
 export const PATROL_MIN_SHADOW = 90;      // 1.5s
 export const PATROL_RANGE_SHADOW = 90;    // +0-1.5s random
+export const PATROL_MIN_COWARD = 150;     // 2.5s
+export const PATROL_RANGE_COWARD = 120;   // +0-2s random
+export const PATROL_MIN_SWARM = 90;       // 1.5s
+export const PATROL_RANGE_SWARM = 60;     // +0-1s random — swarms take off close together
 
 // Attack: fight player before returning to a platform
 export const ATTACK_MIN_BOUNDER = 180;    // 3s
@@ -241,6 +215,10 @@ export const ATTACK_MIN_HUNTER = 180;     // 3s
 export const ATTACK_RANGE_HUNTER = 120;   // +0-2s random
 export const ATTACK_MIN_SHADOW = 120;     // 2s
 export const ATTACK_RANGE_SHADOW = 120;   // +0-2s random
+export const ATTACK_MIN_COWARD = 180;     // 3s
+export const ATTACK_RANGE_COWARD = 180;   // +0-3s random
+export const ATTACK_MIN_SWARM = 240;      // 4s
+export const ATTACK_RANGE_SWARM = 120;    // +0-2s random
 
 // Return: navigate back to a platform (safety timeout)
 export const RETURN_TIMEOUT = 300;        // 5s
@@ -248,6 +226,11 @@ export const RETURN_TIMEOUT = 300;        // 5s
 // Ceiling avoidance — suppress flaps above this Y (just above top platform at y=3.2)
 export const FP_CEILING_AVOID = toFP(3.5);
 
+// Enemy self-preservation — flap when this close to the lava or falling this fast
+export const FP_LAVA_AVOID = toFP(2.5);
+export const FP_FALL_SPEED_THRESHOLD = toFP(4.0);
+export const FP_FALL_SPEED_FAST = toFP(5.0);
+
 // Return navigation thresholds
 export const FP_RETURN_X_TOLERANCE = toFP(1.5);
 export const FP_RETURN_ABOVE_MARGIN = toFP(0.5);
@@ -266,23 +249,25 @@ export const FP_EGG_HATCH_LIFT = Math.round(0.5 * FP);
 export const FP_KILL_KNOCK_VX = Math.round(2 * FP);
 
 // ---- Lava Troll FP constants ----
-// Lava visual top matches Level1Scene._createLava() lavaTop
-const LAVA_VISUAL_TOP = -3.6;
-export const FP_TROLL_REACH_ZONE = toFP(LAVA_VISUAL_TOP + 25 * VOXEL_SIZE);  // ~25 voxels above lava top
 export const FP_TROLL_RISE_SPEED = Math.round(15.0 * FP / 60);  // per-frame rise speed
 export const FP_TROLL_PULL_ACCEL = Math.round(1.5 * FP / 60);  // tug-of-war: pull-down per frame (~6 FP)
 export const FP_TROLL_FLAP_IMPULSE = Math.round(0.4 * FP);     // tug-of-war: flap kick (~102 FP)
 export const FP_TROLL_ESCAPE_DIST = toFP(1.5);                 // escape when 1.5 world units above grab point
 export const FP_TROLL_ESCAPE_IMPULSE = Math.round(5.0 * FP);   // upward velocity on escape
 export const FP_TROLL_START_Y = toFP(-7.0);       // below viewport for hidden position
-export const FP_TROLL_LAVA_Y = FP_ORTHO_BOTTOM + FP_LAVA_OFFSET; // death threshold
+
+// ---- Arena lava ----
+// Classic kills at FP_ORTHO_BOTTOM + FP_LAVA_OFFSET; every arena keeps that
+// same depth below its own visible lava surface.
+const FP_LAVA_KILL_DEPTH = toFP(CLASSIC_ARENA.lavaTop) - (FP_ORTHO_BOTTOM + FP_LAVA_OFFSET);
 
 /**
  * Build platform collision data in fixed-point units.
  * Used by GameSimulation for deterministic physics.
+ * @param {object} [arena] - arena definition (see ../arenas/index.js)
  */
-export function buildPlatformCollisionDataFP() {
-  return PLATFORM_DEFS.map(def => ({
+export function buildPlatformCollisionDataFP(arena = CLASSIC_ARENA) {
+  return arena.platforms.map(def => ({
     id: def.id,
     top: toFP(def.y + def.height / 2 + LEDGE_HEIGHT),
     bottom: toFP(def.y - def.height / 2),
@@ -292,32 +277,36 @@ export function buildPlatformCollisionDataFP() {
 }
 
 /**
- * Build reduced platform collision data in FP — replaces baseLeft/baseRight
- * with smaller spawn pillars after the Lava Troll destroys them.
+ * Build reduced platform collision data in FP — destructible platforms are
+ * replaced by their remnant (spawn pillars) after the Lava Troll destroys them.
+ * Indices line up with buildPlatformCollisionDataFP().
+ * @param {object} [arena] - arena definition (see ../arenas/index.js)
  */
-export function buildReducedPlatformCollisionDataFP() {
-  const pillars = [SPAWN_PILLAR_LEFT, SPAWN_PILLAR_RIGHT];
-  return PLATFORM_DEFS.map(def => {
-    const pillar = pillars.find(p => p.id === def.id);
-    const src = pillar || def;
-    return {
-      id: src.id,
-      top: toFP(src.y + src.height / 2 + LEDGE_HEIGHT),
-      bottom: toFP(src.y - src.height / 2),
-      left: toFP(src.x - src.width / 2),
-      right: toFP(src.x + src.width / 2),
-    };
-  });
+export function buildReducedPlatformCollisionDataFP(arena = CLASSIC_ARENA) {
+  const reduced = arena.platforms.map(def => (def.remnant
+    ? { ...def, x: def.remnant.x, width: def.remnant.width }
+    : def));
+  return buildPlatformCollisionDataFP({ platforms: reduced });
 }
 
-/** Spawn points in FP */
-export const SPAWN_POINTS_FP = SPAWN_POINTS.map(sp => ({
-  x: toFP(sp.x),
-  platformId: sp.platformId,
-}));
-
-/** Enemy spawn points in FP */
-export const ENEMY_SPAWN_POINTS_FP = ENEMY_SPAWN_POINTS.map(sp => ({
-  x: toFP(sp.x),
-  platformId: sp.platformId,
-}));
+/**
+ * Everything GameSimulation needs from an arena, in FP.
+ * lavaFloor stands in for FP_ORTHO_BOTTOM in the lava checks
+ * (checkLavaKill, EnemyAI lava avoidance), which add FP_LAVA_OFFSET to it.
+ * @param {object} [arena] - arena definition (see ../arenas/index.js)
+ */
+export function buildArenaFP(arena = CLASSIC_ARENA) {
+  const lavaKillY = toFP(arena.lavaTop) - FP_LAVA_KILL_DEPTH;
+  const toSpawnFP = sp => ({ x: toFP(sp.x), platformId: sp.platformId });
+  return {
+    id: arena.id,
+    wrapEdges: arena.wrapEdges,
+    platformsFull: buildPlatformCollisionDataFP(arena),
+    platformsReduced: buildReducedPlatformCollisionDataFP(arena),
+    spawnPoints: arena.spawnPoints.map(toSpawnFP),
+    enemySpawnPoints: arena.enemySpawnPoints.map(toSpawnFP),
+    lavaKillY,
+    lavaFloor: lavaKillY - FP_LAVA_OFFSET,
+    trollReachZone: toFP(arena.lavaTop + 25 * VOXEL_SIZE),  // ~25 voxels above lava top
+  };
+}
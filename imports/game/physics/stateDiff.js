@@ -0,0 +1,166 @@
+// Field-aware comparison of serialized GameSimulation states.
+// Names every Int32 in the stateLayout.js buffer after its constant
+// (e.g. "enemy[3].C_POS_X"), so a desync report can say what diverged
+// instead of just that two checksums differ.
+
+import {
+  TOTAL_INTS, GLOBAL_OFFSET,
+  HUMANS_OFFSET, ENEMIES_OFFSET, ENEMY_AI_OFFSET, EGGS_OFFSET, LAVA_TROLL_OFFSET,
+  BOT_RULES_OFFSET, BOTS_OFFSET, TEAM_OFFSET, BONUSES_OFFSET, STATS_OFFSET,
+  CHAR_SIZE, AI_SIZE, EGG_SIZE, BOT_SIZE, BONUS_SIZE, STAT_SIZE,
+  G_FRAME, G_RNG_SEED, G_WAVE_NUMBER, G_WAVE_STATE, G_SPAWN_TIMER,
+  G_WAVE_TRANSITION_TIMER, G_GAME_MODE, G_GAME_OVER, G_SPAWN_QUEUE_LEN,
+  G_SPAWN_QUEUE_START, G_SPAWN_QUEUE_MAX, G_IDLE_TIMER,
+  G_RULE_STARTING_LIVES, G_RULE_EXTRA_LIFE_THRESHOLD, G_RULE_ENEMY_COUNT_PERCENT,
+  G_RULE_STARTING_WAVE, G_RULE_TROLL_START_WAVE, G_RULE_ARENA, G_RULE_NEW_ENEMIES,
+  C_ACTIVE, C_POS_X, C_POS_Y, C_VEL_X, C_VEL_Y, C_STATE, C_FACING_DIR,
+  C_IS_TURNING, C_TURN_TIMER, C_STRIDE_PHASE, C_IS_FLAPPING, C_FLAP_TIMER,
+  C_DEAD, C_RESPAWN_TIMER, C_INVINCIBLE, C_INVINCIBLE_TIMER, C_JOUST_COOLDOWN,
+  C_MATERIALIZING, C_MATERIALIZE_TIMER, C_MATERIALIZE_DURATION, C_MATERIALIZE_QUICK_END,
+  C_SCORE, C_LIVES, C_EGGS_COLLECTED, C_PREV_POS_X, C_PREV_POS_Y,
+  C_NEXT_LIFE_SCORE, C_PALETTE_INDEX, C_PLAYER_DIED_WAVE, C_ENEMY_TYPE,
+  C_HIT_LAVA, C_PLATFORM_INDEX, C_BOUNCE_COUNT, C_EDGE_BUMP_COUNT,
+  AI_DIR_TIMER, AI_CURRENT_DIR, AI_FLAP_ACCUM, AI_ENEMY_TYPE, AI_JAW_TIMER,
+  AI_PTERO_PHASE, AI_PHASE_TIMER, AI_TARGET_PLATFORM, AI_PATROL_PHASE,
+  E_ACTIVE, E_POS_X, E_POS_Y, E_VEL_X, E_VEL_Y, E_ON_PLATFORM, E_ENEMY_TYPE,
+  E_HATCH_STATE, E_HATCH_TIMER, E_BOUNCE_COUNT, E_PREV_POS_Y, E_HIT_LAVA,
+  LT_ACTIVE, LT_STATE, LT_TARGET_SLOT, LT_TARGET_TYPE, LT_POS_X, LT_POS_Y,
+  LT_TIMER, LT_COOLDOWN, LT_ESCAPE_PROGRESS, LT_ESCAPE_THRESHOLD, LT_SIDE,
+  LT_PLATFORMS_DESTROYED, LT_INTRO_DONE,
+  BR_COUNT, BR_LEVEL,
+  B_LEVEL, B_DIR_TIMER, B_CURRENT_DIR, B_FLAP_ACCUM, B_TARGET, B_MODE, B_PHASE_TIMER,
+  TM_RULE_SHARED_LIVES, TM_RULE_FRIENDLY_FIRE, TM_PLAYER_KILLS, BN_SURVIVAL, BN_TEAM, BN_GLADIATOR,
+  ST_KILLS, ST_KILL_TYPES, ST_PLAYER_KILLS, ST_DEATHS_JOUST, ST_DEATHS_LAVA,
+  ST_DEATHS_PTERODACTYL, ST_DEATHS_TROLL, ST_EGGS_MID_AIR, ST_TROLL_ESCAPES,
+  ST_HIGHEST_WAVE, ST_FRAMES_ALIVE, ST_EGGS_COLLECTED,
+} from './stateLayout.js';
+
+// Offset -> name within each block. Fields that share an offset (AI slots
+// mean different things for pterodactyls) get both names.
+function fieldNames(fields) {
+  const names = [];
+  for (const [name, offset] of Object.entries(fields)) {
+    names[offset] = names[offset] ? `${names[offset]}/${name}` : name;
+  }
+  return names;
+}
+
+const GLOBAL_NAMES = fieldNames({
+  G_FRAME, G_RNG_SEED, G_WAVE_NUMBER, G_WAVE_STATE, G_SPAWN_TIMER,
+  G_WAVE_TRANSITION_TIMER, G_GAME_MODE, G_GAME_OVER, G_SPAWN_QUEUE_LEN, G_IDLE_TIMER,
+  G_RULE_STARTING_LIVES, G_RULE_EXTRA_LIFE_THRESHOLD, G_RULE_ENEMY_COUNT_PERCENT,
+  G_RULE_STARTING_WAVE, G_RULE_TROLL_START_WAVE, G_RULE_ARENA, G_RULE_NEW_ENEMIES,
+});
+for (let i = 0; i < G_SPAWN_QUEUE_MAX; i++) {
+  GLOBAL_NAMES[G_SPAWN_QUEUE_START + i] = `G_SPAWN_QUEUE[${i}]`;
+}
+
+const CHAR_NAMES = fieldNames({
+  C_ACTIVE, C_POS_X, C_POS_Y, C_VEL_X, C_VEL_Y, C_STATE, C_FACING_DIR,
+  C_IS_TURNING, C_TURN_TIMER, C_STRIDE_PHASE, C_IS_FLAPPING, C_FLAP_TIMER,
+  C_DEAD, C_RESPAWN_TIMER, C_INVINCIBLE, C_INVINCIBLE_TIMER, C_JOUST_COOLDOWN,
+  C_MATERIALIZING, C_MATERIALIZE_TIMER, C_MATERIALIZE_DURATION, C_MATERIALIZE_QUICK_END,
+  C_SCORE, C_LIVES, C_EGGS_COLLECTED, C_PREV_POS_X, C_PREV_POS_Y,
+  C_NEXT_LIFE_SCORE, C_PALETTE_INDEX, C_PLAYER_DIED_WAVE, C_ENEMY_TYPE,
+  C_HIT_LAVA, C_PLATFORM_INDEX, C_BOUNCE_COUNT, C_EDGE_BUMP_COUNT,
+});
+
+const AI_NAMES = fieldNames({
+  AI_DIR_TIMER, AI_CURRENT_DIR, AI_FLAP_ACCUM, AI_ENEMY_TYPE, AI_JAW_TIMER,
+  AI_PTERO_PHASE, AI_PHASE_TIMER, AI_TARGET_PLATFORM, AI_PATROL_PHASE,
+});
+
+const EGG_NAMES = fieldNames({
+  E_ACTIVE, E_POS_X, E_POS_Y, E_VEL_X, E_VEL_Y, E_ON_PLATFORM, E_ENEMY_TYPE,
+  E_HATCH_STATE, E_HATCH_TIMER, E_BOUNCE_COUNT, E_PREV_POS_Y, E_HIT_LAVA,
+});
+
+const TROLL_NAMES = fieldNames({
+  LT_ACTIVE, LT_STATE, LT_TARGET_SLOT, LT_TARGET_TYPE, LT_POS_X, LT_POS_Y,
+  LT_TIMER, LT_COOLDOWN, LT_ESCAPE_PROGRESS, LT_ESCAPE_THRESHOLD, LT_SIDE,
+  LT_PLATFORMS_DESTROYED, LT_INTRO_DONE,
+});
+
+const BOT_RULE_NAMES = fieldNames({ BR_COUNT, BR_LEVEL });
+
+const BOT_NAMES = fieldNames({
+  B_LEVEL, B_DIR_TIMER, B_CURRENT_DIR, B_FLAP_ACCUM, B_TARGET, B_MODE, B_PHASE_TIMER,
+});
+
+const TEAM_NAMES = fieldNames({ TM_RULE_SHARED_LIVES, TM_RULE_FRIENDLY_FIRE, TM_PLAYER_KILLS });
+
+const BONUS_NAMES = fieldNames({ BN_SURVIVAL, BN_TEAM, BN_GLADIATOR });
+
+const STAT_NAMES = fieldNames({
+  ST_PLAYER_KILLS, ST_DEATHS_JOUST, ST_DEATHS_LAVA, ST_DEATHS_PTERODACTYL,
+  ST_DEATHS_TROLL, ST_EGGS_MID_AIR, ST_TROLL_ESCAPES, ST_HIGHEST_WAVE, ST_FRAMES_ALIVE,
+  ST_EGGS_COLLECTED,
+});
+for (let i = 0; i < ST_KILL_TYPES; i++) {
+  STAT_NAMES[ST_KILLS + i] = `ST_KILLS[${i}]`;
+}
+
+// [start offset, group name, entry size (0 = single block), field names], in buffer order
+const BLOCKS = [
+  [GLOBAL_OFFSET, 'global', 0, GLOBAL_NAMES],
+  [HUMANS_OFFSET, 'human', CHAR_SIZE, CHAR_NAMES],
+  [ENEMIES_OFFSET, 'enemy', CHAR_SIZE, CHAR_NAMES],
+  [ENEMY_AI_OFFSET, 'ai', AI_SIZE, AI_NAMES],
+  [EGGS_OFFSET, 'egg', EGG_SIZE, EGG_NAMES],
+  [LAVA_TROLL_OFFSET, 'troll', 0, TROLL_NAMES],
+  [BOT_RULES_OFFSET, 'botRules', 0, BOT_RULE_NAMES],
+  [BOTS_OFFSET, 'bot', BOT_SIZE, BOT_NAMES],
+  [TEAM_OFFSET, 'team', 0, TEAM_NAMES],
+  [BONUSES_OFFSET, 'bonus', BONUS_SIZE, BONUS_NAMES],
+  [STATS_OFFSET, 'stats', STAT_SIZE, STAT_NAMES],
+];
+
+/**
+ * Name of one Int32 in a serialized state, e.g. "human[1].C_SCORE" or
+ * "global.G_RNG_SEED". Unnamed (spare) ints come out as "field_<n>".
+ * @param {number} index
+ * @returns {string}
+ */
+export function describeStateIndex(index) {
+  let block = BLOCKS[0];
+  for (const candidate of BLOCKS) {
+    if (index >= candidate[0]) {
+      block = candidate;
+    }
+  }
+  const [start, group, size, names] = block;
+  const rel = index - start;
+  const entry = size > 0 ? `${group}[${Math.floor(rel / size)}]` : group;
+  const field = size > 0 ? rel % size : rel;
+  return `${entry}.${names[field] || `field_${field}`}`;
+}
+
+/**
+ * Every Int32 that differs between two serialized states.
+ * @param {ArrayBuffer|Int32Array} stateA
+ * @param {ArrayBuffer|Int32Array} stateB
+ * @returns {Array<{ index: number, name: string, a: number, b: number }>}
+ */
+export function diffStates(stateA, stateB) {
+  const bufA = stateA instanceof Int32Array ? stateA : new Int32Array(stateA);
+  const bufB = stateB instanceof Int32Array ? stateB : new Int32Array(stateB);
+  const diffs = [];
+  for (let i = 0; i < TOTAL_INTS; i++) {
+    if (bufA[i] !== bufB[i]) {
+      diffs.push({ index: i, name: describeStateIndex(i), a: bufA[i], b: bufB[i] });
+    }
+  }
+  return diffs;
+}
+
+/**
+ * One line per differing field ("enemy[3].C_POS_X differs: 1200 vs 1216"),
+ * capped at `limit` lines plus a count of the rest.
+ */
+export function formatStateDiff(diffs, limit = 30) {
+  const lines = diffs.slice(0, limit).map(diff => `${diff.name} differs: ${diff.a} vs ${diff.b}`);
+  if (diffs.length > limit) {
+    lines.push(`... and ${diffs.length - limit} more`);
+  }
+  return lines.join('\n');
+}
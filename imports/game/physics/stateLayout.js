@@ -11,7 +11,7 @@ export const MAX_EGGS = 8;
 
 // ---- Global state ----
 export const GLOBAL_OFFSET = 0;
-export const GLOBAL_SIZE = 20;
+export const GLOBAL_SIZE = 27;
 // Indices within global block:
 export const G_FRAME = 0;
 export const G_RNG_SEED = 1;
@@ -26,6 +26,14 @@ export const G_SPAWN_QUEUE_LEN = 8;
 export const G_SPAWN_QUEUE_START = 9;
 export const G_SPAWN_QUEUE_MAX = 10;
 export const G_IDLE_TIMER = 19;  // frame counter for hurry-up pterodactyl mechanic
+// Game rules (see gameRules.js) — constant for a match, carried so STATE_SYNC restores them
+export const G_RULE_STARTING_LIVES = 20;
+export const G_RULE_EXTRA_LIFE_THRESHOLD = 21;
+export const G_RULE_ENEMY_COUNT_PERCENT = 22;
+export const G_RULE_STARTING_WAVE = 23;
+export const G_RULE_TROLL_START_WAVE = 24;
+export const G_RULE_ARENA = 25;
+export const G_RULE_NEW_ENEMIES = 26;
 
 // ---- Character slot (shared between humans and enemies) ----
 export const CHAR_SIZE = 34;
@@ -122,14 +130,61 @@ export const LT_PULLING = 3;
 export const LT_RETREATING = 4;
 export const LT_PUNCH_INTRO = 5;
 
+// ---- Bot players (see BotAI.js) ----
+// Bot rules (constant for a match, like G_RULE_*):
+export const BOT_RULES_SIZE = 2;
+export const BR_COUNT = 0;           // rules.bots — empty slots filled at startGame
+export const BR_LEVEL = 1;           // rules.botLevel
+// One bot slot per human slot; B_LEVEL 0 means a player (or nobody) is in it
+export const BOT_SIZE = 7;
+export const B_LEVEL = 0;            // 0 = not a bot, 1..3 = easy/normal/hard
+export const B_DIR_TIMER = 1;        // frames until the bot rethinks (reaction time)
+export const B_CURRENT_DIR = 2;      // -1, 0 or 1 — held horizontal input
+export const B_FLAP_ACCUM = 3;       // frames since the last flap
+export const B_TARGET = 4;           // char, egg or platform index for the current mode
+export const B_MODE = 5;             // 0=WANDER, 1=JOUST, 2=EGG, 3=EVADE
+export const B_PHASE_TIMER = 6;      // frames left committed to the current target
+
+// ---- Team play (see gameRules.js and the wave bonuses in scoring.js) ----
+export const TEAM_SIZE = 3;
+export const TM_RULE_SHARED_LIVES = 0; // rules.sharedLives — 0 or 1, team mode only
+export const TM_PLAYER_KILLS = 1;      // players unhorsed by other players this wave
+export const TM_RULE_FRIENDLY_FIRE = 2; // rules.friendlyFire — 0 or 1, team mode only
+// Wave bonus totals per human slot, for the end-of-game breakdown
+export const BONUS_SIZE = 3;
+export const BN_SURVIVAL = 0;
+export const BN_TEAM = 1;
+export const BN_GLADIATOR = 2;
+
+// ---- Match stats (see matchStats.js) ----
+// One block per human slot, counted over the whole game
+export const STAT_SIZE = 16;
+export const ST_KILLS = 0;              // + enemy type (ENEMY_TYPE_* in scoring.js), 6 counters
+export const ST_KILL_TYPES = 6;
+export const ST_PLAYER_KILLS = 6;       // players unhorsed (PvP)
+export const ST_DEATHS_JOUST = 7;       // unhorsed by an enemy or a player
+export const ST_DEATHS_LAVA = 8;
+export const ST_DEATHS_PTERODACTYL = 9;
+export const ST_DEATHS_TROLL = 10;      // pulled into the lava
+export const ST_EGGS_MID_AIR = 11;
+export const ST_TROLL_ESCAPES = 12;
+export const ST_HIGHEST_WAVE = 13;      // last wave completed with lives left
+export const ST_FRAMES_ALIVE = 14;      // frames spent on the field, not dead
+export const ST_EGGS_COLLECTED = 15;    // every egg and hatchling caught, mid-air ones included
+
 // ---- Compute total size and section offsets ----
 export const HUMANS_OFFSET = GLOBAL_OFFSET + GLOBAL_SIZE;
 export const ENEMIES_OFFSET = HUMANS_OFFSET + MAX_HUMANS * CHAR_SIZE;
 export const ENEMY_AI_OFFSET = ENEMIES_OFFSET + MAX_ENEMIES * CHAR_SIZE;
 export const EGGS_OFFSET = ENEMY_AI_OFFSET + MAX_ENEMIES * AI_SIZE;
 export const LAVA_TROLL_OFFSET = EGGS_OFFSET + MAX_EGGS * EGG_SIZE;
-export const TOTAL_INTS = LAVA_TROLL_OFFSET + LAVA_TROLL_SIZE;
-// ~596 ints = ~2384 bytes (AI_SIZE=7 adds 8 ints for MAX_ENEMIES=8)
+export const BOT_RULES_OFFSET = LAVA_TROLL_OFFSET + LAVA_TROLL_SIZE;
+export const BOTS_OFFSET = BOT_RULES_OFFSET + BOT_RULES_SIZE;
+export const TEAM_OFFSET = BOTS_OFFSET + MAX_HUMANS * BOT_SIZE;
+export const BONUSES_OFFSET = TEAM_OFFSET + TEAM_SIZE;
+export const STATS_OFFSET = BONUSES_OFFSET + MAX_HUMANS * BONUS_SIZE;
+export const TOTAL_INTS = STATS_OFFSET + MAX_HUMANS * STAT_SIZE;
+// ~712 ints = ~2848 bytes (AI_SIZE=7 adds 8 ints for MAX_ENEMIES=8)
 
 // ---- Wave state enum ----
 export const WAVE_SPAWNING = 0;
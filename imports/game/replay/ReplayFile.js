@@ -0,0 +1,265 @@
+// Binary replay file format.
+// A replay is the room seed + game mode followed by an ordered op stream that
+// mirrors every mutation made to the GameSimulation: player activation, game
+// start, per-frame encoded inputs (the same bytes InputEncoder.encodeInput
+// produces, plus DISCONNECT_BIT), full-state loads (STATE_SYNC) and periodic
+// checksum markers used to detect drift after sim changes.
+//
+// Header: [magic 'TLRP'(4B), version(1B), gameMode(1B), numSlots(1B),
+//          checksumInterval(2B), seed(4B),
+//          rulesLength(2B), rules JSON (UTF-8) — GameSimulation rules (see gameRules.js),
+//          startFrame(4B) — frame of the first op; non-zero for a game started
+//          on a running session's timeline (a rematch)]  — all little-endian
+// Ops:    [op(1B), payload...] repeated until end of buffer
+//   TICKS      count(2B), inputs(numSlots B) — run of identical input rows
+//   ACTIVATE   slot(1B), paletteIndex(1B)
+//   DEACTIVATE slot(1B)
+//   START      (no payload)
+//   STATE      frame(4B), byteLength(4B), state bytes
+//   CHECKSUM   frame(4B), checksum(4B)
+
+import { GAME_MODE_TEAM, GAME_MODE_PVP } from '../physics/constants.js';
+import { MAX_HUMANS } from '../physics/stateLayout.js';
+
+export const REPLAY_VERSION = 1;
+export const DEFAULT_CHECKSUM_INTERVAL = 60;
+
+const MAGIC = [0x54, 0x4C, 0x52, 0x50]; // 'TLRP'
+const HEADER_SIZE = 13;
+const MAX_RUN_LENGTH = 0xFFFF;
+
+export const ReplayOp = {
+  TICK: 0x01,
+  ACTIVATE: 0x02,
+  DEACTIVATE: 0x03,
+  START: 0x04,
+  STATE: 0x05,
+  CHECKSUM: 0x06,
+};
+
+const GAME_MODE_CODES = [GAME_MODE_TEAM, GAME_MODE_PVP];
+
+// Thrown by decode() for a replay with more frames than the caller allows,
+// before any of them are run
+export class ReplayTooLongError extends Error {}
+
+export class ReplayFile {
+  /**
+   * Encode a replay into a compact ArrayBuffer.
+   * Consecutive TICK ops with identical inputs are collapsed into one run
+   * (a decoded TICK op's `count` frames count toward its run).
+   * @param {{ gameMode: string, seed: number, numSlots: number,
+   *   checksumInterval: number, rules?: object, startFrame?: number, ops: object[] }} replay
+   * @returns {ArrayBuffer}
+   */
+  static encode(replay) {
+    const { gameMode, seed, numSlots, checksumInterval, ops } = replay;
+    const rulesBytes = new TextEncoder().encode(JSON.stringify(replay.rules || {}));
+    const bytes = [];
+
+    for (const value of MAGIC) {
+      bytes.push(value);
+    }
+    bytes.push(REPLAY_VERSION);
+    bytes.push(Math.max(0, GAME_MODE_CODES.indexOf(gameMode)));
+    bytes.push(numSlots);
+    pushUint16(bytes, checksumInterval);
+    pushUint32(bytes, seed);
+    pushUint16(bytes, rulesBytes.length);
+    for (let i = 0; i < rulesBytes.length; i++) {
+      bytes.push(rulesBytes[i]);
+    }
+    pushUint32(bytes, replay.startFrame || 0);
+
+    let i = 0;
+    while (i < ops.length) {
+      const entry = ops[i];
+      if (entry.op === ReplayOp.TICK) {
+        let runLength = 0;
+        while (i < ops.length &&
+               ops[i].op === ReplayOp.TICK &&
+               sameInputs(ops[i].inputs, entry.inputs, numSlots)) {
+          runLength += ops[i].count || 1;
+          i++;
+        }
+        while (runLength > 0) {
+          const count = Math.min(runLength, MAX_RUN_LENGTH);
+          bytes.push(ReplayOp.TICK);
+          pushUint16(bytes, count);
+          for (let slot = 0; slot < numSlots; slot++) {
+            bytes.push(entry.inputs[slot] & 0xFF);
+          }
+          runLength -= count;
+        }
+      } else {
+        encodeOp(bytes, entry);
+        i++;
+      }
+    }
+
+    const out = new Uint8Array(bytes.length);
+    out.set(bytes);
+    return out.buffer;
+  }
+
+  /**
+   * Decode a replay buffer. Every op is tagged with the sim frame it applies
+   * to; a TICK op stays one run of `count` frames with the same inputs, so a
+   * small file can't decode into millions of ops.
+   * @param {ArrayBuffer} buffer
+   * @param {{ maxFrames?: number }} [options] — most TICK frames to accept;
+   *   more throws ReplayTooLongError
+   * @returns {{ version: number, gameMode: string, seed: number, numSlots: number,
+   *   checksumInterval: number, rules: object, startFrame: number, ops: object[] }}
+   */
+  static decode(buffer, { maxFrames = Infinity } = {}) {
+    const view = new DataView(buffer);
+    if (buffer.byteLength < HEADER_SIZE) {
+      throw new Error('Replay too short');
+    }
+    for (let i = 0; i < MAGIC.length; i++) {
+      if (view.getUint8(i) !== MAGIC[i]) {
+        throw new Error('Not a replay file');
+      }
+    }
+    const version = view.getUint8(4);
+    if (version !== REPLAY_VERSION) {
+      throw new Error('Unsupported replay version ' + version);
+    }
+
+    const gameMode = GAME_MODE_CODES[view.getUint8(5)] || GAME_MODE_TEAM;
+    const numSlots = view.getUint8(6);
+    if (numSlots !== MAX_HUMANS) {
+      throw new Error('Unsupported replay slot count ' + numSlots);
+    }
+    const checksumInterval = view.getUint16(7, true);
+    const seed = view.getUint32(9, true);
+
+    let offset = HEADER_SIZE;
+    const rulesLength = view.getUint16(offset, true);
+    offset += 2;
+    const rulesBytes = new Uint8Array(buffer, offset, Math.min(rulesLength, buffer.byteLength - offset));
+    const rules = JSON.parse(new TextDecoder().decode(rulesBytes));
+    offset += rulesLength;
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+      throw new Error('Invalid replay rules');
+    }
+    const startFrame = view.getUint32(offset, true);
+    offset += 4;
+
+    const ops = [];
+    let frame = startFrame;
+    let tickFrames = 0;
+    while (offset < buffer.byteLength) {
+      const op = view.getUint8(offset);
+      offset += 1;
+      switch (op) {
+        case ReplayOp.TICK: {
+          const count = view.getUint16(offset, true);
+          offset += 2;
+          if (count === 0 || offset + numSlots > buffer.byteLength) {
+            throw new Error('Bad tick run at byte ' + (offset - 3));
+          }
+          tickFrames += count;
+          if (tickFrames > maxFrames) {
+            throw new ReplayTooLongError('Replay longer than ' + maxFrames + ' frames');
+          }
+          const inputs = Array.from(new Uint8Array(buffer.slice(offset, offset + numSlots)));
+          offset += numSlots;
+          ops.push({ op, frame, count, inputs });
+          frame += count;
+          break;
+        }
+        case ReplayOp.ACTIVATE:
+          ops.push({
+            op,
+            frame,
+            slot: view.getUint8(offset),
+            paletteIndex: view.getUint8(offset + 1),
+          });
+          offset += 2;
+          break;
+        case ReplayOp.DEACTIVATE:
+          ops.push({ op, frame, slot: view.getUint8(offset) });
+          offset += 1;
+          break;
+        case ReplayOp.START:
+          ops.push({ op, frame });
+          break;
+        case ReplayOp.STATE: {
+          frame = view.getUint32(offset, true);
+          const byteLength = view.getUint32(offset + 4, true);
+          offset += 8;
+          ops.push({ op, frame, state: buffer.slice(offset, offset + byteLength) });
+          offset += byteLength;
+          break;
+        }
+        case ReplayOp.CHECKSUM:
+          ops.push({
+            op,
+            frame: view.getUint32(offset, true),
+            checksum: view.getUint32(offset + 4, true),
+          });
+          offset += 8;
+          break;
+        default:
+          throw new Error('Unknown replay op ' + op + ' at byte ' + (offset - 1));
+      }
+    }
+
+    return { version, gameMode, seed, numSlots, checksumInterval, rules, startFrame, ops };
+  }
+}
+
+// --- Private helpers ---
+
+function encodeOp(bytes, entry) {
+  bytes.push(entry.op);
+  switch (entry.op) {
+    case ReplayOp.ACTIVATE:
+      bytes.push(entry.slot);
+      bytes.push(entry.paletteIndex);
+      break;
+    case ReplayOp.DEACTIVATE:
+      bytes.push(entry.slot);
+      break;
+    case ReplayOp.START:
+      break;
+    case ReplayOp.STATE: {
+      const stateBytes = new Uint8Array(entry.state);
+      pushUint32(bytes, entry.frame);
+      pushUint32(bytes, stateBytes.length);
+      for (let i = 0; i < stateBytes.length; i++) {
+        bytes.push(stateBytes[i]);
+      }
+      break;
+    }
+    case ReplayOp.CHECKSUM:
+      pushUint32(bytes, entry.frame);
+      pushUint32(bytes, entry.checksum);
+      break;
+  }
+}
+
+function sameInputs(a, b, numSlots) {
+  let same = true;
+  for (let slot = 0; slot < numSlots; slot++) {
+    if (a[slot] !== b[slot]) {
+      same = false;
+      break;
+    }
+  }
+  return same;
+}
+
+function pushUint16(bytes, value) {
+  bytes.push(value & 0xFF);
+  bytes.push((value >>> 8) & 0xFF);
+}
+
+function pushUint32(bytes, value) {
+  bytes.push(value & 0xFF);
+  bytes.push((value >>> 8) & 0xFF);
+  bytes.push((value >>> 16) & 0xFF);
+  bytes.push((value >>> 24) & 0xFF);
+}
@@ -0,0 +1,322 @@
+// ReplayPlayer — Re-runs a recorded match through a fresh GameSimulation and
+// feeds the result to a renderer (Level1Scene.draw). Runs its own fixed-timestep
+// loop like GameLoop, scaled by a playback speed, with pause and frame-step.
+// Checksum markers in the replay are compared against the re-simulated state;
+// any mismatch means the sim has changed since recording and is reported.
+
+import { GameSimulation } from '../GameSimulation.js';
+import { computeChecksum } from '../../netcode/StateBuffer.js';
+import { ReplayFile, ReplayOp } from './ReplayFile.js';
+import { GameEventLog } from '../GameEventLog.js';
+
+const TICK_MS = 1000 / 60;
+const MAX_TICKS_PER_FRAME = 10;
+const SPEEDS = [0.25, 0.5, 1, 2, 4];
+const DEFAULT_SPEED_INDEX = 2;
+
+export class ReplayPlayer {
+  /**
+   * @param {{
+   *   replay: ArrayBuffer|object,
+   *   renderer?: { draw: function },
+   *   onDrift?: function,
+   *   onFinished?: function,
+   * }} config
+   */
+  constructor({ replay, renderer = null, onDrift = null, onFinished = null }) {
+    this.replay = replay instanceof ArrayBuffer ? ReplayFile.decode(replay) : replay;
+    this.renderer = renderer;
+    this.onDrift = onDrift;
+    this.onFinished = onFinished;
+
+    this.game = new GameSimulation({
+      gameMode: this.replay.gameMode,
+      seed: this.replay.seed,
+      rules: this.replay.rules,
+      startFrame: this.replay.startFrame || 0,
+    });
+
+    this.paused = false;
+    this.finished = false;
+    this.drifts = []; // [{ frame, expected, actual }]
+    this.events = new GameEventLog();
+    this._speedIndex = DEFAULT_SPEED_INDEX;
+    this._cursor = 0;
+    this._runFrame = 0; // frames of the TICK run at _cursor already played
+
+    this.accumulator = 0;
+    this.lastTime = 0;
+    this.running = false;
+    this.animationFrameId = null;
+
+    this._keyHandler = null;
+    this._statusUI = null;
+    this._statusText = null;
+
+    this._loop = this._loop.bind(this);
+  }
+
+  get frame() {
+    return this.game._frame;
+  }
+
+  get speed() {
+    return SPEEDS[this._speedIndex];
+  }
+
+  // Start the playback loop
+  start() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+    this.lastTime = performance.now();
+    this.accumulator = 0;
+    this.animationFrameId = requestAnimationFrame(this._loop);
+  }
+
+  // Stop the playback loop
+  stop() {
+    this.running = false;
+    if (this.animationFrameId !== null) {
+      cancelAnimationFrame(this.animationFrameId);
+      this.animationFrameId = null;
+    }
+  }
+
+  pause() {
+    this.paused = true;
+    this._updateStatus();
+  }
+
+  resume() {
+    this.paused = false;
+    this.accumulator = 0;
+    this._updateStatus();
+  }
+
+  togglePause() {
+    if (this.paused) {
+      this.resume();
+    } else {
+      this.pause();
+    }
+  }
+
+  faster() {
+    this._speedIndex = Math.min(this._speedIndex + 1, SPEEDS.length - 1);
+    this._updateStatus();
+  }
+
+  slower() {
+    this._speedIndex = Math.max(this._speedIndex - 1, 0);
+    this._updateStatus();
+  }
+
+  /**
+   * Advance exactly one simulation frame, applying any activation, state or
+   * checksum ops scheduled before it.
+   * @returns {boolean} false once the end of the replay has been reached
+   */
+  stepFrame() {
+    const ops = this.replay.ops;
+    let ticked = false;
+
+    while (!ticked && this._cursor < ops.length) {
+      const entry = ops[this._cursor];
+      if (entry.op !== ReplayOp.TICK) {
+        this._cursor++;
+      }
+      switch (entry.op) {
+        case ReplayOp.TICK:
+          this.events.record(this.game.frame, this.game.tick(entry.inputs));
+          ticked = true;
+          // Decoded runs cover `count` frames; recorder ops are one frame each
+          this._runFrame++;
+          if (this._runFrame >= (entry.count || 1)) {
+            this._runFrame = 0;
+            this._cursor++;
+          }
+          break;
+        case ReplayOp.ACTIVATE:
+          this.game.activatePlayer(entry.slot, entry.paletteIndex);
+          break;
+        case ReplayOp.DEACTIVATE:
+          this.game.deactivatePlayer(entry.slot);
+          break;
+        case ReplayOp.START:
+          this.game.startGame();
+          break;
+        case ReplayOp.STATE:
+          this.game.deserialize(entry.state);
+          break;
+        case ReplayOp.CHECKSUM:
+          this._verifyChecksum(entry);
+          break;
+      }
+    }
+
+    if (!ticked && !this.finished) {
+      this.finished = true;
+      this.paused = true;
+      this._updateStatus();
+      if (this.onFinished) {
+        this.onFinished();
+      }
+    }
+    return ticked;
+  }
+
+  /**
+   * Run the replay to the end without rendering (headless verification).
+   * @returns {{ frame: number, drifts: object[] }}
+   */
+  runToEnd() {
+    while (this.stepFrame()) {
+      // keep stepping
+    }
+    return { frame: this.frame, drifts: this.drifts };
+  }
+
+  /**
+   * Keyboard controls + a small status line:
+   * Space/P = pause, Right/. = step (while paused), Up/] = faster, Down/[ = slower
+   */
+  attachControls(scene) {
+    this._keyHandler = (event) => {
+      // Holding the step key scrubs forward; everything else is one press = one action
+      const isStepKey = event.code === 'ArrowRight' || event.code === 'Period';
+      const code = event.repeat && !isStepKey ? null : event.code;
+      switch (code) {
+        case 'Space':
+        case 'KeyP':
+          this.togglePause();
+          event.preventDefault();
+          break;
+        case 'ArrowRight':
+        case 'Period':
+          if (this.paused && !this.finished) {
+            this.stepFrame();
+            this._draw();
+          }
+          event.preventDefault();
+          break;
+        case 'ArrowUp':
+        case 'BracketRight':
+          this.faster();
+          event.preventDefault();
+          break;
+        case 'ArrowDown':
+        case 'BracketLeft':
+          this.slower();
+          event.preventDefault();
+          break;
+      }
+    };
+    window.addEventListener('keydown', this._keyHandler);
+
+    import('@babylonjs/gui/2D/advancedDynamicTexture').then(({ AdvancedDynamicTexture }) => {
+      import('@babylonjs/gui/2D/controls').then(({ TextBlock }) => {
+        if (!this._keyHandler || scene.isDisposed) {
+          return;
+        }
+        const ui = AdvancedDynamicTexture.CreateFullscreenUI('replayUI', true, scene);
+        this._statusUI = ui;
+
+        const statusText = new TextBlock('replayStatus', '');
+        statusText.color = '#FFD700';
+        statusText.fontSize = 18;
+        statusText.fontFamily = 'monospace';
+        statusText.textHorizontalAlignment = 2; // center
+        statusText.textVerticalAlignment = 1; // bottom
+        statusText.top = '-12px';
+        statusText.horizontalAlignment = 2; // center
+        statusText.verticalAlignment = 1; // bottom
+        ui.addControl(statusText);
+        this._statusText = statusText;
+        this._updateStatus();
+      });
+    });
+  }
+
+  detachControls() {
+    if (this._keyHandler) {
+      window.removeEventListener('keydown', this._keyHandler);
+      this._keyHandler = null;
+    }
+    if (this._statusUI) {
+      this._statusUI.dispose();
+      this._statusUI = null;
+      this._statusText = null;
+    }
+  }
+
+  destroy() {
+    this.stop();
+    this.detachControls();
+    this.renderer = null;
+  }
+
+  // --- Private ---
+
+  _loop(now) {
+    if (!this.running) {
+      return;
+    }
+
+    const delta = now - this.lastTime;
+    this.lastTime = now;
+
+    if (!this.paused) {
+      this.accumulator += delta * this.speed;
+      let ticksThisFrame = 0;
+      const maxTicks = MAX_TICKS_PER_FRAME * Math.max(1, this.speed);
+      while (this.accumulator >= TICK_MS && ticksThisFrame < maxTicks && !this.finished) {
+        this.stepFrame();
+        this.accumulator -= TICK_MS;
+        ticksThisFrame++;
+      }
+      // Don't bank time we couldn't spend (tab backgrounding)
+      if (ticksThisFrame >= maxTicks) {
+        this.accumulator = 0;
+      }
+      this._updateStatus();
+    }
+
+    this._draw();
+    this.animationFrameId = requestAnimationFrame(this._loop);
+  }
+
+  _draw() {
+    if (this.renderer && this.game.state) {
+      this.renderer.draw(this.game.state, this.events.drain());
+    }
+  }
+
+  _verifyChecksum(entry) {
+    const actual = computeChecksum(this.game.serialize());
+    if (actual !== entry.checksum || this.game._frame !== entry.frame) {
+      const drift = { frame: entry.frame, expected: entry.checksum, actual };
+      this.drifts.push(drift);
+      console.warn('[ReplayPlayer] Replay drift at frame', entry.frame,
+        'expected:', entry.checksum.toString(16),
+        'actual:', actual.toString(16),
+        'sim frame:', this.game._frame);
+      if (this.onDrift) {
+        this.onDrift(drift);
+      }
+    }
+  }
+
+  _updateStatus() {
+    if (this._statusText) {
+      let label = this.paused ? 'PAUSED' : 'PLAYING';
+      if (this.finished) {
+        label = 'END';
+      }
+      const driftLabel = this.drifts.length > 0 ? '  DRIFT @' + this.drifts[0].frame : '';
+      this._statusText.text = 'REPLAY  ' + label + '  x' + this.speed +
+        '  frame ' + this.frame + driftLabel;
+    }
+  }
+}
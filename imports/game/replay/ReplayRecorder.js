@@ -0,0 +1,126 @@
+// ReplayRecorder — Captures everything needed to reproduce a match exactly.
+// Owners call the record* hooks right next to the GameSimulation mutation they
+// mirror (activatePlayer, startGame, deserialize, tick). Rollback re-simulation
+// is handled by truncating the op log back to the loaded frame, so the final
+// log always matches the timeline the sim actually settled on.
+
+import { computeChecksum } from '../../netcode/StateBuffer.js';
+import { MAX_HUMANS } from '../physics/stateLayout.js';
+import { ReplayFile, ReplayOp, DEFAULT_CHECKSUM_INTERVAL } from './ReplayFile.js';
+
+export class ReplayRecorder {
+  /**
+   * @param {{
+   *   game: GameSimulation,
+   *   gameMode: string,
+   *   seed: number,
+   *   checksumInterval?: number,
+   * }} config
+   */
+  constructor({ game, gameMode, seed, checksumInterval = DEFAULT_CHECKSUM_INTERVAL }) {
+    this._game = game;
+    this.gameMode = gameMode;
+    this.seed = seed >>> 0;
+    this.rules = { ...game._rules };
+    this.startFrame = game._frame; // a rematch's game starts on the session's running frame count
+    this.checksumInterval = checksumInterval;
+    this.ops = [];
+  }
+
+  recordActivate(slot, paletteIndex) {
+    this.ops.push({ op: ReplayOp.ACTIVATE, frame: this._game._frame, slot, paletteIndex });
+  }
+
+  recordDeactivate(slot) {
+    this.ops.push({ op: ReplayOp.DEACTIVATE, frame: this._game._frame, slot });
+  }
+
+  recordStart() {
+    this.ops.push({ op: ReplayOp.START, frame: this._game._frame });
+  }
+
+  /**
+   * Whether the server can re-simulate this recording from its seed alone.
+   * A STATE load (joining mid-match) injects state it can't reproduce, so
+   * such a recording can't prove a high score.
+   * @returns {boolean}
+   */
+  get verifiable() {
+    return !this.ops.some(entry => entry.op === ReplayOp.STATE);
+  }
+
+  /**
+   * Record an authoritative state load (STATE_SYNC). Call after deserialize().
+   * Later ops from the abandoned timeline are dropped.
+   */
+  recordState(stateBuffer) {
+    const frame = this._game._frame;
+    this._truncateAfter(frame, true);
+    this.ops.push({ op: ReplayOp.STATE, frame, state: stateBuffer.slice(0) });
+  }
+
+  /**
+   * Record a rollback (LoadGameState). Call after deserialize(). Ticks from
+   * the loaded frame onward will be re-recorded during re-simulation.
+   */
+  recordRollback() {
+    this._truncateAfter(this._game._frame, false);
+  }
+
+  /**
+   * Record the inputs for the frame about to be simulated. Call before tick().
+   * @param {number[]} inputs - encoded input bytes per human slot
+   */
+  recordTick(inputs) {
+    const frame = this._game._frame;
+    if (this.checksumInterval > 0 && frame % this.checksumInterval === 0) {
+      this.ops.push({
+        op: ReplayOp.CHECKSUM,
+        frame,
+        checksum: computeChecksum(this._game.serialize()),
+      });
+    }
+    const row = new Array(MAX_HUMANS);
+    for (let slot = 0; slot < MAX_HUMANS; slot++) {
+      row[slot] = inputs[slot] || 0;
+    }
+    this.ops.push({ op: ReplayOp.TICK, frame, inputs: row });
+  }
+
+  /**
+   * Encode the recording as a replay file.
+   * @returns {ArrayBuffer}
+   */
+  toBuffer() {
+    return ReplayFile.encode({
+      gameMode: this.gameMode,
+      seed: this.seed,
+      numSlots: MAX_HUMANS,
+      checksumInterval: this.checksumInterval,
+      rules: this.rules,
+      startFrame: this.startFrame,
+      ops: this.ops,
+    });
+  }
+
+  // --- Private ---
+
+  // Drop ops that the sim no longer reflects after jumping to `frame`.
+  // Ticks and checksum markers AT `frame` are gone (they describe simulating
+  // that frame). Activations at `frame` happened before the state was saved,
+  // so a rollback keeps them; a STATE_SYNC replaces them.
+  _truncateAfter(frame, includeFrame) {
+    let end = this.ops.length;
+    while (end > 0) {
+      const entry = this.ops[end - 1];
+      const isFrameWork = entry.op === ReplayOp.TICK || entry.op === ReplayOp.CHECKSUM;
+      const dropsAtFrame = entry.frame === frame && (includeFrame || isFrameWork);
+      if (entry.frame > frame || dropsAtFrame) {
+        end--;
+      } else {
+        break;
+      }
+    }
+    this.ops.length = end;
+  }
+}
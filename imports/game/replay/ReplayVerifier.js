@@ -0,0 +1,80 @@
+// ReplayVerifier — Headless re-simulation of a replay to check a claimed result.
+// Used by the server before accepting a high score: the score and wave only
+// count if a fresh GameSimulation fed the same seed + inputs lands on exactly
+// the same numbers at the claimed frame.
+
+import { ReplayFile, ReplayOp, ReplayTooLongError } from './ReplayFile.js';
+import { ReplayPlayer } from './ReplayPlayer.js';
+import { MAX_HUMANS } from '../physics/stateLayout.js';
+import { isClassicRules } from '../gameRules.js';
+
+// Yield to the event loop periodically so a long replay doesn't stall the server
+const YIELD_INTERVAL_FRAMES = 600;
+
+/**
+ * Re-run a replay up to `claim.frame` and compare the result with the claim.
+ * @param {ArrayBuffer} buffer - encoded replay (see ReplayFile)
+ * @param {{ gameMode: string, frame: number, playerSlot: number,
+ *   score: number, waveReached: number }} claim
+ * @param {{ maxFrames?: number }} [options] — most frames to re-simulate
+ * @returns {Promise<{ valid: boolean, reason: string|null }>}
+ */
+export async function verifyReplay(buffer, claim, { maxFrames = Infinity } = {}) {
+  let reason = null;
+  let replay = null;
+
+  // Decoding stops at maxFrames, so an upload of huge tick runs costs nothing
+  try {
+    replay = ReplayFile.decode(buffer, { maxFrames });
+  } catch (err) {
+    reason = err instanceof ReplayTooLongError ? 'replay-too-long' : 'malformed-replay: ' + err.message;
+  }
+
+  if (!reason && replay.gameMode !== claim.gameMode) {
+    reason = 'game-mode-mismatch';
+  }
+  // High scores are only comparable under classic rules
+  if (!reason && !isClassicRules(replay.rules)) {
+    reason = 'custom-rules';
+  }
+  if (!reason && (claim.playerSlot < 0 || claim.playerSlot >= MAX_HUMANS)) {
+    reason = 'invalid-player-slot';
+  }
+  // A STATE op injects state the server can't reproduce from the seed
+  if (!reason && replay.ops.some(entry => entry.op === ReplayOp.STATE)) {
+    reason = 'unverifiable-state-load';
+  }
+  // Frames are counted from the replay's start frame (non-zero for a rematch)
+  if (!reason) {
+    const frames = claim.frame - replay.startFrame;
+    const tickCount = replay.ops.reduce((sum, entry) => sum + (entry.op === ReplayOp.TICK ? entry.count : 0), 0);
+    if (frames < 1 || tickCount < frames) {
+      reason = 'replay-too-short';
+    } else if (frames > maxFrames) {
+      reason = 'replay-too-long';
+    }
+  }
+
+  if (!reason) {
+    const player = new ReplayPlayer({ replay });
+    while (player.frame < claim.frame && player.stepFrame()) {
+      if (player.frame % YIELD_INTERVAL_FRAMES === 0) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+    }
+
+    const state = player.game.getState();
+    const human = state ? state.humans[claim.playerSlot] : null;
+    if (player.drifts.length > 0) {
+      reason = 'checksum-drift at frame ' + player.drifts[0].frame;
+    } else if (player.frame !== claim.frame || !human || !human.active) {
+      reason = 'player-not-in-replay';
+    } else if (human.score !== claim.score) {
+      reason = `score-mismatch (claimed ${claim.score}, simulated ${human.score})`;
+    } else if (state.waveNumber !== claim.waveReached) {
+      reason = `wave-mismatch (claimed ${claim.waveReached}, simulated ${state.waveNumber})`;
+    }
+  }
+
+  return { valid: reason === null, reason };
+}
@@ -0,0 +1,761 @@
+// ArenaEditorScene — drag-and-drop editor for arena layouts (see ../arenas/index.js).
+// Same orthographic view as Level1Scene so layouts look the way they play.
+// Edits go through ../arenas/arenaEditing.js; "Test Fly" hands the draft to a
+// TestFlight, which runs the game's own physics for a single knight.
+// Receives Engine/Scene from BabylonPage — does not own them.
+
+import { FreeCamera } from '@babylonjs/core/Cameras/freeCamera';
+import { Camera } from '@babylonjs/core/Cameras/camera';
+import { HemisphericLight } from '@babylonjs/core/Lights/hemisphericLight';
+import { DirectionalLight } from '@babylonjs/core/Lights/directionalLight';
+import { Vector3 } from '@babylonjs/core/Maths/math.vector';
+import { Color3, Color4 } from '@babylonjs/core/Maths/math.color';
+import { MeshBuilder } from '@babylonjs/core/Meshes/meshBuilder';
+import { StandardMaterial } from '@babylonjs/core/Materials/standardMaterial';
+import { PointerEventTypes } from '@babylonjs/core/Events/pointerEvents';
+import { AdvancedDynamicTexture } from '@babylonjs/gui/2D/advancedDynamicTexture';
+import { Button } from '@babylonjs/gui/2D/controls/button';
+import { TextBlock } from '@babylonjs/gui/2D/controls/textBlock';
+import { StackPanel } from '@babylonjs/gui/2D/controls/stackPanel';
+import { Control } from '@babylonjs/gui/2D/controls/control';
+import { Rectangle } from '@babylonjs/gui/2D/controls/rectangle';
+
+import { InputReader } from '../InputReader.js';
+import {
+  VOXEL_SIZE, ORTHO_WIDTH, ORTHO_LEFT, ORTHO_RIGHT, LEDGE_HEIGHT,
+} from '../physics/constants.js';
+import { ARENA_IDS, ARENA_LIMITS, getArena, validateArena } from '../arenas/index.js';
+import {
+  cloneArena, createBlankArena, platformTop, findPlatformAt,
+  addPlatform, movePlatform, resizePlatform, removePlatform, toggleRemnant,
+  placeSpawnPoint, moveSpawnPoint, removeSpawnPoint,
+  arenaToJson, parseArenaJson, snapToGrid, TestFlight,
+} from '../arenas/arenaEditing.js';
+import { buildRig } from '../voxels/VoxelBuilder.js';
+import { knightModel } from '../voxels/models/knightModel.js';
+import { ostrichModel } from '../voxels/models/ostrichModel.js';
+import { buildKnightPalette } from '../voxels/models/knightPalettes.js';
+
+// Grab a platform end within this distance to resize instead of move
+const EDGE_GRAB_WIDTH = 0.3;
+// Click radius for picking a spawn marker
+const SPAWN_PICK_RADIUS = 0.4;
+const SPAWN_MARKER_HEIGHT = 0.6;
+const LAVA_STEP = 0.2;
+const MAX_STATUS_ERRORS = 3;
+const TICK_MS = 1000 / 60;
+const MAX_TICKS = 10;
+
+const TOOLS = [
+  { id: 'select', label: 'Select' },
+  { id: 'platform', label: '+ Platform' },
+  { id: 'spawn', label: '+ Spawn' },
+  { id: 'enemy', label: '+ Enemy' },
+];
+
+export class ArenaEditorScene {
+  /**
+   * @param {{ audioManager: AudioManager, paletteIndex: number, onQuitToMenu: function }} config
+   */
+  constructor({ audioManager, paletteIndex, onQuitToMenu }) {
+    this._audioManager = audioManager;
+    this._paletteIndex = paletteIndex;
+    this._onQuitToMenu = onQuitToMenu || null;
+
+    this.engine = null;
+    this.scene = null;
+    this.canvas = null;
+
+    // Ortho bounds (Y computed from aspect ratio)
+    this._orthoBottom = 0;
+    this._orthoTop = 0;
+
+    // Draft layout and editing state
+    this._arena = cloneArena(getArena(ARENA_IDS[0]));
+    this._presetIndex = 0;
+    this._tool = 'select';
+    this._selection = null;  // { platform } | { kind, point }
+    this._drag = null;       // { mode: 'move'|'left'|'right'|'spawn', offsetX, offsetY }
+
+    // Meshes rebuilt on every edit; materials shared across rebuilds
+    this._arenaMeshes = [];
+    this._materials = null;
+
+    // Test flight
+    this._flight = null;
+    this._flightAccumulator = 0;
+    this._inputReader = null;
+    this._birdRig = null;
+    this._knightRig = null;
+
+    // GUI references
+    this._gui = null;
+    this._toolButtons = {};
+    this._wrapBtn = null;
+    this._presetBtn = null;
+    this._flyBtn = null;
+    this._trollBtn = null;
+    this._statusText = null;
+
+    this._pointerObserver = null;
+    this._keyHandler = null;
+  }
+
+  /**
+   * Build all scene content into the provided Scene.
+   * @param {Scene} scene
+   * @param {Engine} engine
+   * @param {HTMLCanvasElement} canvas
+   */
+  create(scene, engine, canvas) {
+    this.scene = scene;
+    this.engine = engine;
+    this.canvas = canvas;
+    this.scene.clearColor = new Color4(0.08, 0.08, 0.12, 1);
+
+    this._setupCamera();
+    this._setupLighting();
+    this._createMaterials();
+    this._createToolbar();
+    this._rebuildArena();
+
+    this._pointerObserver = this.scene.onPointerObservable.add((pointerInfo) => {
+      this._onPointer(pointerInfo);
+    });
+
+    this._keyHandler = (event) => {
+      this._onKeyDown(event);
+    };
+    window.addEventListener('keydown', this._keyHandler);
+
+    this.scene.onBeforeRenderObservable.add(() => {
+      this._update(engine.getDeltaTime() / 1000);
+    });
+  }
+
+  dispose() {
+    // Drop the flight first so stopping it doesn't redraw a scene being torn down
+    this._flight = null;
+    this._stopTestFlight();
+    if (this._keyHandler) {
+      window.removeEventListener('keydown', this._keyHandler);
+      this._keyHandler = null;
+    }
+    if (this._pointerObserver) {
+      this.scene?.onPointerObservable?.remove(this._pointerObserver);
+      this._pointerObserver = null;
+    }
+    if (this._gui) {
+      this._gui.dispose();
+      this._gui = null;
+    }
+    this._arenaMeshes = [];
+    this._materials = null;
+    this.scene = null;
+    this.engine = null;
+    this.canvas = null;
+  }
+
+  // ---- Setup ----
+
+  _setupCamera() {
+    const camera = new FreeCamera('editorCamera', new Vector3(0, 0, -10), this.scene);
+    camera.setTarget(new Vector3(0, 0, 0));
+    camera.mode = Camera.ORTHOGRAPHIC_CAMERA;
+
+    const aspect = this.canvas.width / this.canvas.height;
+    const orthoHalfHeight = (ORTHO_WIDTH / 2) / aspect;
+
+    camera.orthoLeft = ORTHO_LEFT;
+    camera.orthoRight = ORTHO_RIGHT;
+    camera.orthoBottom = -orthoHalfHeight;
+    camera.orthoTop = orthoHalfHeight;
+
+    this._orthoBottom = -orthoHalfHeight;
+    this._orthoTop = orthoHalfHeight;
+  }
+
+  _setupLighting() {
+    const ambient = new HemisphericLight('editorAmbient', new Vector3(0, 1, 0), this.scene);
+    ambient.intensity = 0.7;
+    ambient.groundColor = new Color3(0.2, 0.2, 0.3);
+
+    const dirLight = new DirectionalLight('editorDirLight', new Vector3(-1, -2, 1), this.scene);
+    dirLight.intensity = 0.6;
+  }
+
+  _createMaterials() {
+    const make = (name, diffuse, emissive, alpha = 1) => {
+      const mat = new StandardMaterial(name, this.scene);
+      mat.diffuseColor = diffuse;
+      mat.emissiveColor = emissive;
+      mat.specularColor = new Color3(0.1, 0.1, 0.1);
+      mat.alpha = alpha;
+      return mat;
+    };
+
+    this._materials = {
+      platform: make('edPlatformMat', new Color3(0.45, 0.40, 0.35), new Color3(0.05, 0.04, 0.03)),
+      ledge: make('edLedgeMat', new Color3(0.6, 0.58, 0.55), new Color3(0.08, 0.07, 0.06)),
+      selected: make('edSelectedMat', new Color3(0.9, 0.75, 0.3), new Color3(0.35, 0.25, 0.05)),
+      remnant: make('edRemnantMat', new Color3(0.3, 0.7, 0.9), new Color3(0.05, 0.2, 0.3), 0.6),
+      spawn: make('edSpawnMat', new Color3(0.3, 0.9, 0.4), new Color3(0.1, 0.4, 0.1)),
+      enemySpawn: make('edEnemySpawnMat', new Color3(0.9, 0.3, 0.3), new Color3(0.4, 0.1, 0.1)),
+      lava: make('edLavaMat', new Color3(0.9, 0.35, 0.1), new Color3(0.8, 0.25, 0.05)),
+      wall: make('edWallMat', new Color3(0.7, 0.7, 0.8), new Color3(0.3, 0.3, 0.35)),
+    };
+    this._materials.lava.backFaceCulling = false;
+  }
+
+  // ---- Toolbar ----
+
+  _createToolbar() {
+    const gui = AdvancedDynamicTexture.CreateFullscreenUI('editorUI', true, this.scene);
+    gui.idealWidth = 1280;
+    this._gui = gui;
+
+    const bar = new Rectangle('editorBar');
+    bar.heightInPixels = 84;
+    bar.thickness = 0;
+    bar.background = 'rgba(0, 0, 0, 0.6)';
+    bar.verticalAlignment = Control.VERTICAL_ALIGNMENT_TOP;
+    bar.isPointerBlocker = true;
+    gui.addControl(bar);
+
+    const rows = new StackPanel('editorRows');
+    rows.verticalAlignment = Control.VERTICAL_ALIGNMENT_TOP;
+    rows.paddingTop = '4px';
+    bar.addControl(rows);
+
+    // Row 1 — tools and edits on the selection
+    const editRow = this._createRow('editRow');
+    rows.addControl(editRow);
+    editRow.addControl(this._createButton('Menu', () => {
+      this._audioManager?.playSfx('ui-cancel');
+      if (this._onQuitToMenu) {
+        this._onQuitToMenu();
+      }
+    }));
+    for (const tool of TOOLS) {
+      const btn = this._createButton(tool.label, () => {
+        this._setTool(tool.id);
+      });
+      this._toolButtons[tool.id] = btn;
+      editRow.addControl(btn);
+    }
+    editRow.addControl(this._createButton('Remnant', () => {
+      this._toggleSelectedRemnant();
+    }));
+    editRow.addControl(this._createButton('Delete', () => {
+      this._deleteSelection();
+    }));
+    this._wrapBtn = this._createButton('', () => {
+      this._edit(() => {
+        this._arena.wrapEdges = !this._arena.wrapEdges;
+      });
+    });
+    editRow.addControl(this._wrapBtn);
+    editRow.addControl(this._createButton('Lava +', () => {
+      this._nudgeLava(LAVA_STEP);
+    }));
+    editRow.addControl(this._createButton('Lava -', () => {
+      this._nudgeLava(-LAVA_STEP);
+    }));
+
+    // Row 2 — layouts in and out, and test flight
+    const fileRow = this._createRow('fileRow');
+    rows.addControl(fileRow);
+    this._presetBtn = this._createButton('', () => {
+      this._loadPreset(this._presetIndex + 1);
+    });
+    this._presetBtn.widthInPixels = 180;
+    fileRow.addControl(this._presetBtn);
+    fileRow.addControl(this._createButton('New', () => {
+      this._loadArena(createBlankArena());
+    }));
+    fileRow.addControl(this._createButton('Import', () => {
+      this._importJson();
+    }));
+    fileRow.addControl(this._createButton('Export', () => {
+      this._exportJson();
+    }));
+    this._flyBtn = this._createButton('Test Fly', () => {
+      if (this._flight) {
+        this._stopTestFlight();
+      } else {
+        this._startTestFlight();
+      }
+    });
+    fileRow.addControl(this._flyBtn);
+    this._trollBtn = this._createButton('', () => {
+      if (this._flight) {
+        this._flight.setTrollArrived(!this._flight.trollArrived);
+        this._rebuildArena();
+      }
+    });
+    fileRow.addControl(this._trollBtn);
+
+    const status = new TextBlock('editorStatus', '');
+    status.fontSize = 16;
+    status.fontFamily = 'monospace';
+    status.heightInPixels = 70;
+    status.textWrapping = true;
+    status.textHorizontalAlignment = Control.HORIZONTAL_ALIGNMENT_LEFT;
+    status.verticalAlignment = Control.VERTICAL_ALIGNMENT_BOTTOM;
+    status.paddingLeft = '12px';
+    status.paddingBottom = '8px';
+    status.isHitTestVisible = false;
+    gui.addControl(status);
+    this._statusText = status;
+  }
+
+  _createRow(name) {
+    const row = new StackPanel(name);
+    row.isVertical = false;
+    row.heightInPixels = 38;
+    row.spacing = 6;
+    return row;
+  }
+
+  _createButton(label, onClick) {
+    const btn = Button.CreateSimpleButton(`edBtn_${label || 'toggle'}`, label);
+    btn.widthInPixels = 110;
+    btn.heightInPixels = 34;
+    btn.cornerRadius = 8;
+    btn.fontSize = 16;
+    btn.fontFamily = 'monospace';
+    btn.color = '#FFD740';
+    btn.background = '#2A2520';
+    btn.thickness = 1;
+    btn.onPointerClickObservable.add(() => {
+      onClick();
+    });
+    return btn;
+  }
+
+  _setButtonText(btn, text) {
+    if (btn.textBlock) {
+      btn.textBlock.text = text;
+    }
+  }
+
+  _refreshToolbar() {
+    for (const tool of TOOLS) {
+      const btn = this._toolButtons[tool.id];
+      btn.background = tool.id === this._tool ? '#6A5520' : '#2A2520';
+    }
+    this._setButtonText(this._wrapBtn, this._arena.wrapEdges ? 'Wrap: On' : 'Wrap: Off');
+    this._setButtonText(this._presetBtn, `Load: ${getArena(ARENA_IDS[this._presetIndex]).name}`);
+    this._setButtonText(this._flyBtn, this._flight ? 'Stop' : 'Test Fly');
+    this._setButtonText(this._trollBtn, this._flight?.trollArrived ? 'Troll: On' : 'Troll: Off');
+    this._trollBtn.isVisible = !!this._flight;
+  }
+
+  _refreshStatus() {
+    const errors = validateArena(this._arena);
+    let text;
+    let color;
+
+    if (this._flight) {
+      text = 'Test flight — arrows or A/D to move, any other key flaps, Esc stops. ' +
+        `Lava dips: ${this._flight.lavaDeaths}`;
+      color = '#FFD740';
+    } else if (errors.length > 0) {
+      const shown = errors.slice(0, MAX_STATUS_ERRORS).join('; ');
+      const more = errors.length > MAX_STATUS_ERRORS ? ` (+${errors.length - MAX_STATUS_ERRORS} more)` : '';
+      text = `${this._arena.name} — ${shown}${more}`;
+      color = '#FF7060';
+    } else {
+      text = `${this._arena.name} — valid: ${this._arena.platforms.length} platforms, ` +
+        `${this._arena.spawnPoints.length} spawns, ${this._arena.enemySpawnPoints.length} enemy spawns, ` +
+        `lava at ${this._arena.lavaTop}. ${this._describeSelection()}`;
+      color = '#90E090';
+    }
+    this._statusText.text = text;
+    this._statusText.color = color;
+  }
+
+  _describeSelection() {
+    let text = 'Drag platforms to move, drag their ends to resize, Delete removes.';
+    if (this._selection?.platform) {
+      const p = this._selection.platform;
+      text = `Selected ${p.id}: x ${p.x}, y ${p.y}, width ${p.width}` +
+        (p.remnant ? `, troll remnant ${p.remnant.width} wide` : '');
+    } else if (this._selection?.point) {
+      const kind = this._selection.kind === 'spawnPoints' ? 'spawn' : 'enemy spawn';
+      text = `Selected ${kind} on ${this._selection.point.platformId} at x ${this._selection.point.x}`;
+    }
+    return text;
+  }
+
+  // ---- Editing ----
+
+  _setTool(tool) {
+    this._audioManager?.playSfx('ui-select');
+    this._tool = tool;
+    this._refreshToolbar();
+  }
+
+  /**
+   * Run an edit against the draft (ignored during a test flight) and redraw.
+   */
+  _edit(fn) {
+    if (!this._flight) {
+      fn();
+      this._rebuildArena();
+    }
+  }
+
+  _nudgeLava(delta) {
+    this._edit(() => {
+      const [min, max] = ARENA_LIMITS.lavaTop;
+      this._arena.lavaTop = Math.min(max, Math.max(min, snapToGrid(this._arena.lavaTop + delta)));
+    });
+  }
+
+  _toggleSelectedRemnant() {
+    this._edit(() => {
+      if (this._selection?.platform) {
+        toggleRemnant(this._arena, this._selection.platform);
+      }
+    });
+  }
+
+  _deleteSelection() {
+    this._edit(() => {
+      if (this._selection?.platform) {
+        removePlatform(this._arena, this._selection.platform);
+      } else if (this._selection?.point) {
+        removeSpawnPoint(this._arena, this._selection.kind, this._selection.point);
+      }
+      this._selection = null;
+    });
+  }
+
+  _loadPreset(index) {
+    this._presetIndex = index % ARENA_IDS.length;
+    this._loadArena(cloneArena(getArena(ARENA_IDS[this._presetIndex])));
+  }
+
+  _loadArena(arena) {
+    this._stopTestFlight();
+    this._arena = arena;
+    this._selection = null;
+    this._drag = null;
+    this._rebuildArena();
+  }
+
+  // ---- Pointer ----
+
+  _pointerToWorld() {
+    const width = this.canvas.clientWidth || this.canvas.width;
+    const height = this.canvas.clientHeight || this.canvas.height;
+    return {
+      x: ORTHO_LEFT + (this.scene.pointerX / width) * ORTHO_WIDTH,
+      y: this._orthoTop - (this.scene.pointerY / height) * (this._orthoTop - this._orthoBottom),
+    };
+  }
+
+  _onPointer(pointerInfo) {
+    if (!this._flight) {
+      const { x, y } = this._pointerToWorld();
+      if (pointerInfo.type === PointerEventTypes.POINTERDOWN) {
+        this._onPointerDown(x, y);
+      } else if (pointerInfo.type === PointerEventTypes.POINTERMOVE && this._drag) {
+        this._onPointerDrag(x, y);
+      } else if (pointerInfo.type === PointerEventTypes.POINTERUP) {
+        this._drag = null;
+      }
+    }
+  }
+
+  _onPointerDown(x, y) {
+    if (this._tool === 'platform') {
+      const platform = addPlatform(this._arena, x, y);
+      this._selection = platform ? { platform } : this._selection;
+      this._tool = 'select';
+    } else if (this._tool === 'spawn' || this._tool === 'enemy') {
+      const kind = this._tool === 'spawn' ? 'spawnPoints' : 'enemySpawnPoints';
+      const point = placeSpawnPoint(this._arena, kind, x, y);
+      this._selection = point ? { kind, point } : this._selection;
+    } else {
+      this._selection = this._pickAt(x, y);
+      this._drag = this._startDrag(x, y);
+    }
+    this._rebuildArena();
+  }
+
+  _pickAt(x, y) {
+    let picked = null;
+    for (const kind of ['spawnPoints', 'enemySpawnPoints']) {
+      for (const point of this._arena[kind]) {
+        const platform = this._arena.platforms.find(p => p.id === point.platformId);
+        const markerY = platform ? platformTop(platform) + SPAWN_MARKER_HEIGHT / 2 : 0;
+        if (platform && Math.abs(x - point.x) <= SPAWN_PICK_RADIUS &&
+            Math.abs(y - markerY) <= SPAWN_MARKER_HEIGHT) {
+          picked = { kind, point };
+        }
+      }
+    }
+    if (!picked) {
+      const platform = findPlatformAt(this._arena, x, y);
+      picked = platform ? { platform } : null;
+    }
+    return picked;
+  }
+
+  _startDrag(x, y) {
+    let drag = null;
+    if (this._selection?.point) {
+      drag = { mode: 'spawn', offsetX: 0, offsetY: 0 };
+    } else if (this._selection?.platform) {
+      const p = this._selection.platform;
+      let mode = 'move';
+      if (x <= p.x - p.width / 2 + EDGE_GRAB_WIDTH) {
+        mode = 'left';
+      } else if (x >= p.x + p.width / 2 - EDGE_GRAB_WIDTH) {
+        mode = 'right';
+      }
+      drag = { mode, offsetX: p.x - x, offsetY: p.y - y };
+    }
+    return drag;
+  }
+
+  _onPointerDrag(x, y) {
+    const drag = this._drag;
+    if (drag.mode === 'spawn') {
+      moveSpawnPoint(this._arena, this._selection.point, x, y);
+    } else if (drag.mode === 'move') {
+      movePlatform(this._arena, this._selection.platform, x + drag.offsetX, y + drag.offsetY);
+    } else {
+      resizePlatform(this._arena, this._selection.platform, drag.mode, x);
+    }
+    this._rebuildArena();
+  }
+
+  _onKeyDown(event) {
+    if (event.code === 'Escape' && this._flight) {
+      this._stopTestFlight();
+    } else if ((event.code === 'Delete' || event.code === 'Backspace') && !this._flight) {
+      event.preventDefault();
+      this._deleteSelection();
+    }
+  }
+
+  // ---- Drawing ----
+
+  _rebuildArena() {
+    for (const mesh of this._arenaMeshes) {
+      mesh.dispose();
+    }
+    this._arenaMeshes = [];
+
+    const troll = !!this._flight?.trollArrived;
+    for (const def of this._arena.platforms) {
+      const shown = troll && def.remnant ? { ...def, x: def.remnant.x, width: def.remnant.width } : def;
+      const selected = this._selection?.platform === def;
+      this._createPlatformMeshes(shown, selected);
+      if (def.remnant && !troll) {
+        this._createRemnantMarker(def);
+      }
+    }
+    for (const point of this._arena.spawnPoints) {
+      this._createSpawnMarker(point, this._materials.spawn);
+    }
+    for (const point of this._arena.enemySpawnPoints) {
+      this._createSpawnMarker(point, this._materials.enemySpawn);
+    }
+    this._createLava();
+    if (!this._arena.wrapEdges) {
+      this._createWalls();
+    }
+
+    this._refreshToolbar();
+    this._refreshStatus();
+  }
+
+  _createPlatformMeshes(def, selected) {
+    const body = MeshBuilder.CreateBox(`edPlat_${def.id}`, {
+      width: def.width,
+      height: def.height,
+      depth: 2,
+    }, this.scene);
+    body.position = new Vector3(def.x, def.y, 0);
+    body.material = this._materials.platform;
+
+    const ledge = MeshBuilder.CreateBox(`edLedge_${def.id}`, {
+      width: def.width + 0.1,
+      height: LEDGE_HEIGHT,
+      depth: 2,
+    }, this.scene);
+    ledge.position = new Vector3(def.x, def.y + def.height / 2 + LEDGE_HEIGHT / 2, -0.01);
+    ledge.material = selected ? this._materials.selected : this._materials.ledge;
+
+    this._arenaMeshes.push(body, ledge);
+  }
+
+  // Strip along the ledge showing what is left after the Lava Troll
+  _createRemnantMarker(def) {
+    const marker = MeshBuilder.CreateBox(`edRemnant_${def.id}`, {
+      width: def.remnant.width,
+      height: LEDGE_HEIGHT,
+      depth: 0.1,
+    }, this.scene);
+    marker.position = new Vector3(def.remnant.x, def.y + def.height / 2 + LEDGE_HEIGHT / 2, -1.1);
+    marker.material = this._materials.remnant;
+    this._arenaMeshes.push(marker);
+  }
+
+  _createSpawnMarker(point, material) {
+    const platform = this._arena.platforms.find(p => p.id === point.platformId);
+    if (platform) {
+      const selected = this._selection?.point === point;
+      const marker = MeshBuilder.CreateBox(`edSpawn_${point.platformId}`, {
+        width: selected ? 0.5 : 0.3,
+        height: SPAWN_MARKER_HEIGHT,
+        depth: 0.3,
+      }, this.scene);
+      marker.position = new Vector3(point.x, platformTop(platform) + SPAWN_MARKER_HEIGHT / 2, -1.2);
+      marker.material = material;
+      this._arenaMeshes.push(marker);
+    }
+  }
+
+  _createLava() {
+    const lavaHeight = this._arena.lavaTop - this._orthoBottom;
+    const lava = MeshBuilder.CreatePlane('edLava', {
+      width: ORTHO_WIDTH + 4,
+      height: lavaHeight,
+    }, this.scene);
+    lava.position = new Vector3(0, this._orthoBottom + lavaHeight / 2, 0.5);
+    lava.material = this._materials.lava;
+    this._arenaMeshes.push(lava);
+  }
+
+  _createWalls() {
+    for (const x of [ORTHO_LEFT, ORTHO_RIGHT]) {
+      const wall = MeshBuilder.CreateBox(`edWall_${x}`, {
+        width: 0.1,
+        height: this._orthoTop - this._orthoBottom,
+        depth: 0.1,
+      }, this.scene);
+      wall.position = new Vector3(x, 0, -1);
+      wall.material = this._materials.wall;
+      this._arenaMeshes.push(wall);
+    }
+  }
+
+  // ---- Import / export ----
+
+  _exportJson() {
+    const errors = validateArena(this._arena);
+    if (errors.length > 0) {
+      this._statusText.text = `Fix the layout before exporting — ${errors[0]}`;
+    } else {
+      const blob = new Blob([arenaToJson(this._arena)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${this._arena.id}.arena.json`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+  }
+
+  _importJson() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.addEventListener('change', () => {
+      const file = input.files?.[0];
+      if (file) {
+        file.text().then((text) => this._applyImport(file.name, text));
+      }
+    });
+    input.click();
+  }
+
+  _applyImport(fileName, text) {
+    const { arena, errors } = parseArenaJson(text);
+    if (!this.scene) {
+      // Editor was closed while the file was being read
+    } else if (errors.length > 0) {
+      this._statusText.text = `Could not import ${fileName} — ${errors.slice(0, MAX_STATUS_ERRORS).join('; ')}`;
+      this._statusText.color = '#FF7060';
+    } else {
+      this._loadArena(arena);
+    }
+  }
+
+  // ---- Test flight ----
+
+  _startTestFlight() {
+    const errors = validateArena(this._arena);
+    if (errors.length > 0) {
+      this._statusText.text = `Fix the layout before flying — ${errors[0]}`;
+    } else {
+      this._audioManager?.playSfx('ui-select');
+      this._flight = new TestFlight(cloneArena(this._arena));
+      this._flightAccumulator = 0;
+      this._drag = null;
+
+      this._inputReader = new InputReader();
+      this._inputReader.attach(this.scene);
+
+      this._birdRig = buildRig(this.scene, ostrichModel, VOXEL_SIZE, true);
+      const palette = buildKnightPalette(this._paletteIndex);
+      this._knightRig = buildRig(this.scene, { ...knightModel, palette }, VOXEL_SIZE, true);
+      const body = this._birdRig.parts.body;
+      if (this._knightRig.root && body) {
+        this._knightRig.root.parent = body.mesh;
+        this._knightRig.root.rotation.y = -Math.PI / 2;
+        this._knightRig.root.position = new Vector3(-1 * VOXEL_SIZE, 5 * VOXEL_SIZE, 0);
+      }
+      this._syncFlyer();
+      this._rebuildArena();
+    }
+  }
+
+  _stopTestFlight() {
+    if (this._inputReader) {
+      this._inputReader.detach();
+      this._inputReader = null;
+    }
+    for (const rig of [this._knightRig, this._birdRig]) {
+      if (rig?.root) {
+        rig.root.dispose(false, true);
+      }
+    }
+    this._knightRig = null;
+    this._birdRig = null;
+    if (this._flight) {
+      this._flight = null;
+      this._rebuildArena();
+    }
+  }
+
+  _syncFlyer() {
+    if (this._birdRig?.root) {
+      const view = this._flight.getView();
+      this._birdRig.root.position.x = view.x;
+      this._birdRig.root.position.y = view.y;
+      this._birdRig.root.rotation.y = view.facingDir === 1 ? 0 : Math.PI;
+    }
+  }
+
+  _update(dt) {
+    if (this._flight) {
+      // Fixed timestep like Level1Scene's solo loop
+      this._flightAccumulator = Math.min(this._flightAccumulator + dt * 1000, TICK_MS * MAX_TICKS);
+      const deaths = this._flight.lavaDeaths;
+      while (this._flightAccumulator >= TICK_MS) {
+        this._flight.step(this._inputReader.sample());
+        this._flightAccumulator -= TICK_MS;
+      }
+      this._syncFlyer();
+      if (this._flight.lavaDeaths !== deaths) {
+        this._refreshStatus();
+      }
+    }
+  }
+}
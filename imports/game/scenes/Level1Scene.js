@@ -21,6 +21,8 @@ import { SolidParticleSystem } from '@babylonjs/core/Particles/solidParticleSyst
 import { InputReader } from '../InputReader.js';
 import { GameSimulation } from '../GameSimulation.js';
 import { HighScoreTracker } from '../HighScoreTracker.js';
+import { ReplayRecorder } from '../replay/ReplayRecorder.js';
+import { HISTORY_SECONDS } from '../../netcode/NetDiagnostics.js';
 import {
   VOXEL_SIZE, ORTHO_WIDTH, ORTHO_LEFT, ORTHO_RIGHT,
   MAX_SPEED, GRAVITY, LEDGE_HEIGHT,
@@ -29,12 +31,10 @@ import {
   SWEEP_FORWARD_ANGLE, SWEEP_BACKWARD_ANGLE, SWEEP_GLIDE_ANGLE,
   HATCH_TIME, WOBBLE_START, LOOK_AROUND_TIME, BIRD_ARRIVE_TIME,
   WAVE_TRANSITION_DELAY,
-  PLATFORM_DEFS, SPAWN_POINTS,
   buildPlatformCollisionData,
   GAME_MODE_TEAM,
   EGG_RADIUS,
   IDLE_TIMER_WARNING,
-  SPAWN_PILLAR_LEFT, SPAWN_PILLAR_RIGHT,
   TROLL_GRAB_FRAMES,
 } from '../physics/constants.js';
 
@@ -53,10 +53,14 @@ const IDLE_LANCE_ADJUST_DURATION = 0.8;
 const IDLE_YAW_AMOUNT = 0.8;
 const IDLE_YAW_EASE_RATE = 3.0;
 
+// Lava splashes and bursts start just under the visible lava surface
+const LAVA_EFFECT_DEPTH = 0.825;
+
 import {
   ENEMY_TYPE_BOUNDER, ENEMY_TYPE_PTERODACTYL,
 } from '../scoring.js';
 import { DeterministicRNG } from '../physics/mulberry32.js';
+import { CLASSIC_ARENA, getArena } from '../arenas/index.js';
 import { SkyBackground } from './SkyBackground.js';
 import { buildRig, buildPart } from '../voxels/VoxelBuilder.js';
 import { knightModel } from '../voxels/models/knightModel.js';
@@ -69,9 +73,12 @@ import { eggModel } from '../voxels/models/eggModel.js';
 import { trollHandModel } from '../voxels/models/trollHandModel.js';
 import { buildKnightPalette } from '../voxels/models/knightPalettes.js';
 import { buildEvilKnightPalette } from '../voxels/models/evilKnightPalettes.js';
+import { getEnemyProfile } from '../enemyProfiles.js';
+import { GameEvent } from '../gameEvents.js';
+import { buildResultsRows } from '../matchStats.js';
 import {
-  MAX_HUMANS, MAX_ENEMIES, MAX_EGGS,
-  HATCH_WOBBLING, HATCH_HATCHLING, WAVE_PLAYING, WAVE_TRANSITION,
+  MAX_HUMANS, MAX_ENEMIES,
+  HATCH_WOBBLING, HATCH_HATCHLING,
   LT_IDLE, LT_REACHING, LT_GRABBING, LT_PULLING, LT_RETREATING, LT_PUNCH_INTRO,
 } from '../physics/stateLayout.js';
 
@@ -95,15 +102,103 @@ function hexToColor4(hex) {
   return new Color4(r, g, b, 1);
 }
 
+/**
+ * One line per active player ("P2  000750  x3"), local player marked with '>'
+ * and bots with "CPU".
+ * Empty in single-player games unless spectating.
+ */
+function formatScoreboard(humans, localSlot, spectating) {
+  const active = humans.filter(human => human.active);
+  let text = '';
+  if (spectating || active.length > 1) {
+    text = active.map(human => {
+      const marker = human.slotIndex === localSlot ? '>' : ' ';
+      const bot = human.isBot ? '  CPU' : '';
+      return `${marker}P${human.slotIndex + 1}  ${String(human.score).padStart(6, '0')}  x${human.lives}${bot}`;
+    }).join('\n');
+  }
+  return text;
+}
+
+/**
+ * End-of-game breakdown, one line per player: final score and the wave
+ * bonuses that went into it ("P1  012500  survival 6000  team 3000  gladiator 0").
+ */
+function formatBonusBreakdown(humans) {
+  return humans.filter(human => human.active).map(human =>
+    `P${human.slotIndex + 1}  ${String(human.score).padStart(6, '0')}` +
+    `  survival ${human.survivalBonus}  team ${human.teamBonus}  gladiator ${human.gladiatorBonus}`
+  ).join('\n');
+}
+
+// Seconds the GAME OVER banner (and bonus breakdown) stays up before the
+// results screen replaces it
+const GAME_OVER_BANNER_SECONDS = 6;
+
+const RESULTS_HEADER = '   PLAYER   SCORE  KILLS  DEATHS  EGGS  WAVE';
+
+/**
+ * One results screen line ("> P1     012500     14       3     9     6  BEST"),
+ * in the columns of RESULTS_HEADER.
+ */
+function formatResultsRow(row) {
+  const marker = row.isLocal ? '>' : ' ';
+  const name = (row.label + (row.isBot ? ' CPU' : '')).padEnd(7);
+  const best = row.personalBest ? '  BEST' : '';
+  return `${marker}  ${name}  ${String(row.score).padStart(6, '0')}  ${String(row.kills).padStart(5)}` +
+    `  ${String(row.deaths).padStart(6)}  ${String(row.eggs).padStart(4)}  ${String(row.waves).padStart(4)}${best}`;
+}
+
+// Diagnostics overlay graph geometry and refresh rate
+const NET_GRAPH_BAR_WIDTH = 4;
+const NET_GRAPH_HEIGHT = 36;
+const NET_OVERLAY_REFRESH = 0.25; // seconds
+
+/**
+ * Text block for the netcode diagnostics overlay (F3).
+ * @param {import('../../netcode/NetDiagnostics.js').NetDiagnostics} diagnostics
+ */
+function formatNetDiagnostics(diagnostics) {
+  const { frame, inputDelay, totals, peers, latest } = diagnostics;
+  const lines = [`NETCODE  frame ${frame}  delay ${inputDelay}f`];
+  if (peers.length === 0) {
+    lines.push('no peers connected');
+  }
+  for (const peer of peers) {
+    const advantage = peer.frameAdvantage > 0 ? `+${peer.frameAdvantage}` : String(peer.frameAdvantage);
+    lines.push(`P${peer.slot + 1}  ${peer.transport.padEnd(5)}  rtt ${String(peer.ping).padStart(4)}ms  adv ${advantage}`);
+  }
+  if (latest) {
+    lines.push(`rollbacks ${latest.rollbacks}/s  max depth ${totals.maxRollbackDepth}`);
+    lines.push(`skipped ${latest.skippedFrames}/s  stalled ${latest.stalledFrames}/s`);
+  }
+  lines.push(`checksum mismatches ${totals.checksumMismatches}`);
+  return lines.join('\n');
+}
+
 
 export class Level1Scene {
   /**
-   * @param {{ audioManager: AudioManager, paletteIndex: number }} config
+   * @param {{ audioManager: AudioManager, paletteIndex: number, onSaveReplay?: Function,
+   *   getNetDiagnostics?: () => NetDiagnostics, onRematch?: () => Promise,
+   *   getPersonalBest?: () => number|null, getUnrankedReason?: () => string|null }} config
+   * onRematch: offered on the results screen of a network game; the scene
+   * hides the results when the state it is given starts over.
+   * getPersonalBest: the local player's best score before this game.
+   * getUnrankedReason: why a network game's score won't be ranked, or null.
    */
-  constructor({ audioManager, paletteIndex, onQuitToMenu, rendererOnly }) {
+  constructor({
+    audioManager, paletteIndex, onQuitToMenu, rendererOnly, onSaveReplay, getNetDiagnostics,
+    onRematch, getPersonalBest, getUnrankedReason,
+  }) {
     this._audioManager = audioManager;
     this._paletteIndex = paletteIndex;
     this._onQuitToMenu = onQuitToMenu || null;
+    this._onSaveReplay = onSaveReplay || null;
+    this._getNetDiagnostics = getNetDiagnostics || null;
+    this._onRematch = onRematch || null;
+    this._getPersonalBest = getPersonalBest || null;
+    this._getUnrankedReason = getUnrankedReason || null;
     this._rendererOnly = rendererOnly || false;
 
     this.engine = null;
@@ -114,6 +209,7 @@ export class Level1Scene {
 
     // Solo mode simulation (created in create() for non-rendererOnly mode)
     this._soloSimulation = null;
+    this._soloRecorder = null;
     this._soloAccumulator = 0;
 
     // Escape overlay
@@ -121,6 +217,20 @@ export class Level1Scene {
     this._escapeVisible = false;
     this._escapeKeyHandler = null;
 
+    // Netcode diagnostics overlay (F3, multiplayer only)
+    this._netOverlay = null;
+    this._netOverlayVisible = false;
+    this._netOverlayText = null;
+    this._netGraphs = null; // { ping: Rectangle[], rollbacks: Rectangle[] }
+    this._netOverlayTimer = 0;
+
+    // Post-game results screen
+    this._finalHumans = null; // render state humans at GAME_OVER, until the game starts over
+    this._resultsOverlay = null;
+    this._resultsVisible = false;
+    this._resultsStatusText = null;
+    this._rematchPending = false;
+
     // Banner system
     this._waveTextTimer = 0;
     this._waveBannerActive = false;
@@ -131,11 +241,18 @@ export class Level1Scene {
     this._hudLivesText = null;
     this._hudWaveText = null;
     this._hudBannerText = null;
+    this._hudBannerDetailText = null; // smaller lines under the banner (game over breakdown)
+    this._hudScoreboardText = null; // every player's score, for multiplayer and spectators
+    this._hudSpectatorText = null;
 
     // Ortho bounds (Y computed from aspect ratio)
     this._orthoBottom = 0;
     this._orthoTop = 0;
 
+    // Arena being drawn — switched by _syncArena() when the sim's arena differs
+    this._arena = CLASSIC_ARENA;
+    this._arenaMeshes = [];
+
     // Platform collision data (populated in _createPlatforms)
     this._platforms = [];
 
@@ -167,6 +284,9 @@ export class Level1Scene {
     this._prevState = null;
     this._localPlayerSlot = 0;
 
+    // Spectator view (setSpectating): no local player, camera driven by SpectatorCamera
+    this._spectatorCamera = null;
+
     // Visual palette map: maps human slot index → visual palette index
     // Used to resolve color conflicts (multiple players picking the same color)
     this._visualPaletteMap = [0, 1, 2, 3];
@@ -220,7 +340,7 @@ export class Level1Scene {
     this._trollFingerPivots = null;
     this._trollHandCreated = false;
     this._trollPlatformsDestroyed = false;
-    this._trollPlatformMeshes = { baseLeft: [], baseRight: [] };
+    this._trollPlatformMeshes = {};  // destructible platform id → [body, ledge]
     this._trollPillarMeshes = [];
     this._trollPrevState = null;
   }
@@ -241,9 +361,7 @@ export class Level1Scene {
       this.scene, ORTHO_LEFT, ORTHO_RIGHT, this._orthoBottom, this._orthoTop
     );
 
-    this._createPlatforms();
-    this._createSpawnPads();
-    this._createLava();
+    this._buildArena(this._arena);
 
     // Load game SFX and start lava ambient
     if (this._audioManager) {
@@ -257,34 +375,20 @@ export class Level1Scene {
       this._inputReader = new InputReader();
       this._inputReader.attach(this.scene);
       this.scene.attachControl();
-
-      // Create internal GameSimulation for solo play
-      const soloSeed = Date.now() >>> 0;
-      this._soloSimulation = new GameSimulation({
-        gameMode: GAME_MODE_TEAM,
-        seed: soloSeed,
-      });
-      this._soloSimulation.activatePlayer(0, this._paletteIndex);
-      this._soloSimulation.startGame();
-
-      // Initialize deterministic environment from solo seed
-      this.setEnvironmentSeed((soloSeed ^ 0xA5A5A5A5) >>> 0);
-
-      this._highScoreTracker = new HighScoreTracker({
-        gameMode: GAME_MODE_TEAM,
-        getScore: () => this._soloSimulation?.getState()?.humans?.[0]?.score ?? 0,
-        getWave: () => this._soloSimulation?.getState()?.waveNumber ?? 1,
-      });
-      this._highScoreTracker.start().catch(() => {});
+      this._startSoloGame();
     }
 
     // HUD
     this._createHUD();
 
-    // Escape key — works in both solo and renderer modes
+    // Escape key — works in both solo and renderer modes.
+    // F3 toggles the netcode diagnostics overlay when there is a network game.
     this._escapeKeyHandler = (event) => {
       if (event.code === 'Escape' && !event.repeat) {
         this._toggleEscapeOverlay();
+      } else if (event.code === 'F3' && !event.repeat && this._getNetDiagnostics) {
+        event.preventDefault();
+        this._toggleNetOverlay();
       }
     };
     window.addEventListener('keydown', this._escapeKeyHandler);
@@ -296,12 +400,53 @@ export class Level1Scene {
     });
   }
 
+  // Solo play: a fresh GameSimulation with its own recorder and high score
+  // tracker. Also how the results screen's Rematch restarts a solo game.
+  _startSoloGame() {
+    if (this._highScoreTracker) {
+      this._highScoreTracker.stop();
+    }
+
+    const soloSeed = Date.now() >>> 0;
+    this._soloSimulation = new GameSimulation({
+      gameMode: GAME_MODE_TEAM,
+      seed: soloSeed,
+    });
+    this._soloRecorder = new ReplayRecorder({
+      game: this._soloSimulation,
+      gameMode: GAME_MODE_TEAM,
+      seed: soloSeed,
+    });
+    this._soloSimulation.activatePlayer(0, this._paletteIndex);
+    this._soloRecorder.recordActivate(0, this._paletteIndex);
+    this._soloSimulation.startGame();
+    this._soloRecorder.recordStart();
+
+    // Initialize deterministic environment from solo seed
+    this.setEnvironmentSeed((soloSeed ^ 0xA5A5A5A5) >>> 0);
+
+    this._highScoreTracker = new HighScoreTracker({
+      gameMode: GAME_MODE_TEAM,
+      getScore: () => this._soloSimulation?.getState()?.humans?.[0]?.score ?? 0,
+      getWave: () => this._soloSimulation?.getState()?.waveNumber ?? 1,
+      getProof: () => ({
+        replay: new Uint8Array(this._soloRecorder.toBuffer()),
+        frame: this._soloSimulation._frame,
+        playerSlot: 0,
+      }),
+    });
+    this._highScoreTracker.start().catch(() => {});
+    this._soloAccumulator = 0;
+  }
+
   /**
    * Renderer interface for GameLoop integration.
    * Accepts GameSimulation render state and updates all visuals.
    * On first call, activates renderer mode and disables internal physics loop.
+   * @param {object} gameState
+   * @param {object[]} [events] — gameplay events since the last draw (GameEventLog.drain())
    */
-  draw(gameState) {
+  draw(gameState, events = []) {
     if (!gameState || !this.scene) {
       return;
     }
@@ -336,14 +481,21 @@ export class Level1Scene {
     // Sync HUD
     this._syncHUD(gameState);
 
+    // Spectators steer their own camera
+    if (this._spectatorCamera) {
+      this._spectatorCamera.update(gameState.humans, dt);
+      this._spectatorCamera.apply(this._camera);
+    }
+
     // Sync banners (wave transitions, game over)
-    this._syncBanners(gameState);
+    this._syncBanners(gameState, events);
 
-    // Sync lava troll
+    // Sync arena layout, then lava troll
+    this._syncArena(gameState);
     this._syncLavaTroll(gameState, dt);
 
     // Sync sounds
-    this._syncSounds(gameState);
+    this._syncSounds(gameState, events);
 
     // Capture frame count for environment sync
     this._lastGameFrame = gameState.frame;
@@ -376,6 +528,31 @@ export class Level1Scene {
     }
   }
 
+  /**
+   * Switch to spectator view: no local player, the HUD lists every player,
+   * and the camera follows the given SpectatorCamera. Pass null to go back.
+   * @param {?SpectatorCamera} spectatorCamera
+   */
+  setSpectating(spectatorCamera) {
+    this._spectatorCamera = spectatorCamera;
+    this._localPlayerSlot = spectatorCamera ? -1 : 0;
+    if (!spectatorCamera && this._camera) {
+      this._camera.orthoLeft = ORTHO_LEFT;
+      this._camera.orthoRight = ORTHO_RIGHT;
+      this._camera.orthoBottom = this._orthoBottom;
+      this._camera.orthoTop = this._orthoTop;
+    }
+    this._syncSpectatorHUD();
+  }
+
+  /**
+   * Ortho bounds that show the whole arena (the default camera view).
+   * @returns {{ left: number, right: number, bottom: number, top: number }}
+   */
+  getArenaView() {
+    return { left: ORTHO_LEFT, right: ORTHO_RIGHT, bottom: this._orthoBottom, top: this._orthoTop };
+  }
+
   /**
    * Snapshot enough of gameState for next-frame diffing.
    */
@@ -659,7 +836,7 @@ export class Level1Scene {
     };
     const charIdx = type === 'human' ? 0 : 1;
     const x = charState.positionX;
-    const lavaY = this._orthoBottom + 1.2;
+    const lavaY = this._arena.lavaTop - LAVA_EFFECT_DEPTH;
 
     this._burnCharacter(fakeChar, charIdx, lavaY);
     this._spawnLavaDeathSplash(x);
@@ -807,7 +984,7 @@ export class Level1Scene {
   _createHatchlingMeshes(eggSlot, egg) {
     const VS = VOXEL_SIZE;
     const notLit = true;
-    const evilPalette = buildEvilKnightPalette(egg.enemyType);
+    const evilPalette = buildEvilKnightPalette(getEnemyProfile(egg.enemyType).palette);
 
     eggSlot.hatchlingKnightRig = buildRig(this.scene, { ...evilKnightModel, palette: evilPalette }, VS, notLit);
     eggSlot.hatchlingLanceRig = buildRig(this.scene, lanceModel, VS, notLit);
@@ -1022,40 +1199,58 @@ export class Level1Scene {
     if (this._hudWaveText) {
       this._hudWaveText.text = 'WAVE ' + gameState.waveNumber;
     }
+    if (this._hudScoreboardText) {
+      this._hudScoreboardText.text = formatScoreboard(gameState.humans, this._localPlayerSlot, !!this._spectatorCamera);
+    }
   }
 
   /**
-   * Detect wave transitions and game over to show banners (renderer mode).
+   * Show or hide the HUD pieces that differ between playing and spectating.
    */
-  _syncBanners(gameState) {
-    if (!this._prevState) {
-      return;
+  _syncSpectatorHUD() {
+    const spectating = !!this._spectatorCamera;
+    if (this._hudScoreText) {
+      this._hudScoreText.isVisible = !spectating;
+      this._hudLivesText.isVisible = !spectating;
+      this._hudSpectatorText.isVisible = spectating;
+      this._hudScoreboardText.top = spectating ? '10px' : '44px';
     }
+  }
 
-    // Wave number changed → show wave banner
-    if (gameState.waveNumber !== this._prevState.waveNumber) {
-      this._showBanner('WAVE ' + gameState.waveNumber, WAVE_TRANSITION_DELAY, null);
+  /**
+   * Show banners for wave starts and game over, and for the local player
+   * running out of lives while others play on. The game over banner gives
+   * way to the results screen, which goes again when the game starts over
+   * (a rematch) or a rollback takes the game over back.
+   */
+  _syncBanners(gameState, events) {
+    if (this._finalHumans && !gameState.gameOver) {
+      this._finalHumans = null;
+      this._hideResults();
+    }
+
+    for (const event of events) {
+      if (event.type === GameEvent.WAVE_START) {
+        this._showBanner('WAVE ' + event.wave, WAVE_TRANSITION_DELAY, null);
+      } else if (event.type === GameEvent.GAME_OVER) {
+        this._finalHumans = gameState.humans;
+        this._showBanner('GAME OVER', GAME_OVER_BANNER_SECONDS, () => {
+          this._showResults();
+        }, formatBonusBreakdown(gameState.humans));
+      }
     }
 
-    // Game over transition (all players eliminated)
-    if (gameState.gameOver && !this._prevState.gameOver) {
-      this._showBanner('GAME OVER', 3, () => {
-        if (this._onQuitToMenu) {
-          this._onQuitToMenu();
-        }
-      });
+    if (!this._prevState) {
+      return;
     }
 
-    // Local player eliminated in multiplayer (other players still alive)
+    // Local player eliminated in multiplayer (other players still alive).
+    // They stay to watch, for the results and a rematch.
     if (this._rendererMode && !gameState.gameOver) {
       const localHuman = gameState.humans[this._localPlayerSlot];
       const prevLocal = this._findPrevChar(this._localPlayerSlot, 'human');
       if (localHuman && prevLocal && localHuman.dead && !prevLocal.dead && localHuman.lives <= 0) {
-        this._showBanner('GAME OVER', 3, () => {
-          if (this._onQuitToMenu) {
-            this._onQuitToMenu();
-          }
-        });
+        this._showBanner('GAME OVER', 3, null);
       }
     }
   }
@@ -1063,11 +1258,20 @@ export class Level1Scene {
   // ---- Sound trigger system ----
 
   /**
-   * Diff current vs previous game state and trigger appropriate SFX.
+   * Play SFX for this frame's gameplay events, then diff current vs previous
+   * game state for the animation sounds (flaps, landings, materializing...).
    * Called once per visual frame after _syncBanners, before _snapshotState.
    */
-  _syncSounds(gameState) {
-    if (!this._prevState || !this._audioManager) {
+  _syncSounds(gameState, events) {
+    if (!this._audioManager) {
+      return;
+    }
+
+    for (const event of events) {
+      this._playEventSound(event, gameState);
+    }
+
+    if (!this._prevState) {
       return;
     }
 
@@ -1092,6 +1296,61 @@ export class Level1Scene {
     this._syncProgressionSounds(gameState);
   }
 
+  _playEventSound(event, gameState) {
+    switch (event.type) {
+      case GameEvent.JOUST_KILL:
+        if (event.enemyType === ENEMY_TYPE_PTERODACTYL) {
+          this._audioManager.playSfx('ptero-death');
+        }
+        this._audioManager.playSfx('death-explode');
+        this._audioManager.playSfx('joust-kill');
+        break;
+      case GameEvent.LAVA_DEATH:
+        this._audioManager.playSfx('lava-death');
+        break;
+      case GameEvent.BOUNCE:
+        this._audioManager.playSfx('joust-bounce', 2);
+        break;
+      case GameEvent.EGG_SPAWNED:
+        this._audioManager.playSfx('egg-drop');
+        break;
+      case GameEvent.EGG_COLLECTED:
+        this._audioManager.playSfx(event.midAir ? 'egg-catch-air' : 'egg-collect');
+        break;
+      case GameEvent.EGG_HATCHED:
+        this._audioManager.playSfx('egg-hatch');
+        break;
+      case GameEvent.EGG_LAVA:
+        this._audioManager.playSfx('egg-lava');
+        break;
+      case GameEvent.TROLL_GRAB:
+        this._audioManager.playSfx('troll-grab');
+        break;
+      case GameEvent.TROLL_ESCAPE:
+        this._audioManager.playSfx('troll-escape');
+        break;
+      case GameEvent.WAVE_START:
+        this._audioManager.playSfx('wave-start');
+        break;
+      case GameEvent.WAVE_COMPLETE: {
+        this._audioManager.playSfx('wave-complete');
+        this._audioManager.playSfx('crowd-cheer');
+        // Survival bonus for local player
+        const localPlayer = gameState.humans[this._localPlayerSlot];
+        if (localPlayer && localPlayer.active && !localPlayer.dead) {
+          this._audioManager.playSfx('survival-bonus');
+        }
+        break;
+      }
+      case GameEvent.EXTRA_LIFE:
+        this._audioManager.playSfx('extra-life');
+        break;
+      case GameEvent.GAME_OVER:
+        this._audioManager.playSfx('game-over');
+        break;
+    }
+  }
+
   _syncCharSounds(char, prev, type) {
     // Pterodactyl entrance screech
     if (char.active && !prev.active && char.enemyType === ENEMY_TYPE_PTERODACTYL) {
@@ -1107,20 +1366,6 @@ export class Level1Scene {
       }
     }
 
-    // Death
-    if (char.dead && !prev.dead) {
-      if (char.hitLava) {
-        this._audioManager.playSfx('lava-death');
-      } else if (char.enemyType === ENEMY_TYPE_PTERODACTYL) {
-        this._audioManager.playSfx('ptero-death');
-        this._audioManager.playSfx('death-explode');
-        this._audioManager.playSfx('joust-kill');
-      } else {
-        this._audioManager.playSfx('death-explode');
-        this._audioManager.playSfx('joust-kill');
-      }
-    }
-
     // Vortex leave (human became inactive while alive — disconnected player)
     if (!char.active && prev.active && !prev.dead && type === 'human') {
       this._audioManager.playSfx('vortex-suck');
@@ -1151,11 +1396,6 @@ export class Level1Scene {
       this._audioManager.playSfx('skid');
     }
 
-    // Joust bounce
-    if (char.bounceCount > prev.bounceCount) {
-      this._audioManager.playSfx('joust-bounce', 2);
-    }
-
     // Edge bump (platform side collision, with cooldown to prevent overlap)
     if (char.edgeBumpCount > prev.edgeBumpCount) {
       const now = performance.now();
@@ -1180,11 +1420,6 @@ export class Level1Scene {
       }
     }
 
-    // Extra life (humans only)
-    if (type === 'human' && char.lives > prev.lives) {
-      this._audioManager.playSfx('extra-life');
-    }
-
     // Score tick (humans only)
     if (type === 'human' && char.score > prev.score) {
       this._audioManager.playSfx('score-tick');
@@ -1229,38 +1464,10 @@ export class Level1Scene {
   }
 
   _syncEggSounds(eggs) {
-    // Build set of active egg slots this frame
-    const currentEggs = {};
-    for (const egg of eggs) {
-      currentEggs[egg.slotIndex] = egg;
-    }
-
-    // Check for eggs that disappeared
-    for (let i = 0; i < MAX_EGGS; i++) {
-      const prevEgg = this._prevState.eggs[i];
-      if (prevEgg && prevEgg.active && !currentEggs[i]) {
-        if (prevEgg.hitLava) {
-          this._audioManager.playSfx('egg-lava');
-        } else if (prevEgg.hatchState === HATCH_WOBBLING) {
-          this._audioManager.playSfx('egg-hatch');
-        } else if (prevEgg.hatchState === HATCH_HATCHLING) {
-          // Hatchling collected or mounted — collect sound for collection
-          this._audioManager.playSfx('egg-collect');
-        } else if (!prevEgg.onPlatform) {
-          this._audioManager.playSfx('egg-catch-air');
-        } else {
-          this._audioManager.playSfx('egg-collect');
-        }
-      }
-    }
-
-    // Check for new eggs and state changes
+    // Drops, catches, hatches and lava come from events; this is egg motion
     for (const egg of eggs) {
       const prevEgg = this._prevState.eggs[egg.slotIndex];
-
-      // New egg appeared
       if (!prevEgg) {
-        this._audioManager.playSfx('egg-drop');
         continue;
       }
 
@@ -1277,27 +1484,6 @@ export class Level1Scene {
   }
 
   _syncProgressionSounds(gameState) {
-    // Wave number changed
-    if (gameState.waveNumber !== this._prevState.waveNumber) {
-      this._audioManager.playSfx('wave-start');
-    }
-
-    // Wave completed (PLAYING -> TRANSITION)
-    if (gameState.waveState === WAVE_TRANSITION && this._prevState.waveState === WAVE_PLAYING) {
-      this._audioManager.playSfx('wave-complete');
-      this._audioManager.playSfx('crowd-cheer');
-      // Survival bonus for local player
-      const localPlayer = gameState.humans[this._localPlayerSlot];
-      if (localPlayer && localPlayer.active && !localPlayer.dead) {
-        this._audioManager.playSfx('survival-bonus');
-      }
-    }
-
-    // Game over
-    if (gameState.gameOver && !this._prevState.gameOver) {
-      this._audioManager.playSfx('game-over');
-    }
-
     // Pterodactyl idle warning (5 seconds before spawn)
     if (gameState.idleTimer >= IDLE_TIMER_WARNING &&
         (this._prevState.idleTimer || 0) < IDLE_TIMER_WARNING) {
@@ -1355,12 +1541,15 @@ export class Level1Scene {
       this._highScoreTracker = null;
     }
     this._soloSimulation = null;
+    this._soloRecorder = null;
     this._soloAccumulator = 0;
     if (this._skyBackground) {
       this._skyBackground.dispose();
       this._skyBackground = null;
     }
     this._hideEscapeOverlay();
+    this._hideNetOverlay();
+    this._hideResults();
     if (this._hudUI) {
       this._hudUI.dispose();
       this._hudUI = null;
@@ -1411,6 +1600,7 @@ export class Level1Scene {
     this._trollPillarMeshes = [];
 
     this._platforms = [];
+    this._arenaMeshes = [];
     this._lavaMaterial = null;
     this._lavaTexture = null;
     this._lavaLight = null;
@@ -1470,49 +1660,88 @@ export class Level1Scene {
     }
   }
 
+  // ---- Arena ----
+
+  /**
+   * Rebuild platforms, spawn pads and lava when the simulation's arena
+   * differs from the one on screen (lobby maps, late joiners, replays).
+   */
+  _syncArena(gameState) {
+    if (gameState.arenaId && gameState.arenaId !== this._arena.id) {
+      this._buildArena(getArena(gameState.arenaId) || CLASSIC_ARENA);
+    }
+  }
+
+  _buildArena(arena) {
+    for (const mesh of this._arenaMeshes) {
+      mesh.dispose(false, true);
+    }
+    for (const mesh of this._trollPillarMeshes) {
+      mesh.dispose(false, true);
+    }
+    this._arenaMeshes = [];
+    this._trollPillarMeshes = [];
+    this._trollPlatformMeshes = {};
+    this._trollPlatformsDestroyed = false;
+
+    this._arena = arena;
+    this._createPlatforms();
+    this._createSpawnPads();
+    this._createLava();
+  }
+
   // ---- Platforms ----
 
   _createPlatforms() {
-    this._platforms = buildPlatformCollisionData();
+    this._platforms = buildPlatformCollisionData(this._arena);
 
-    for (const def of PLATFORM_DEFS) {
-      // Main platform body
-      const body = MeshBuilder.CreateBox(`plat_${def.id}`, {
-        width: def.width,
-        height: def.height,
-        depth: 2,
-      }, this.scene);
-      body.position = new Vector3(def.x, def.y, 0);
-
-      const mat = new StandardMaterial(`plat_${def.id}_mat`, this.scene);
-      mat.diffuseColor = new Color3(0.45, 0.40, 0.35);
-      mat.specularColor = new Color3(0.1, 0.1, 0.1);
-      mat.emissiveColor = new Color3(0.05, 0.04, 0.03);
-      body.material = mat;
-
-      // Thin metallic ledge/lip on top
-      const ledge = MeshBuilder.CreateBox(`ledge_${def.id}`, {
-        width: def.width + 0.1,
-        height: LEDGE_HEIGHT,
-        depth: 2,
-      }, this.scene);
-      ledge.position = new Vector3(def.x, def.y + def.height / 2 + LEDGE_HEIGHT / 2, -0.01);
+    for (const def of this._arena.platforms) {
+      const [body, ledge] = this._createPlatformMeshes(`plat_${def.id}`, `ledge_${def.id}`, def);
+      this._arenaMeshes.push(body, ledge);
 
-      const ledgeMat = new StandardMaterial(`ledge_${def.id}_mat`, this.scene);
-      ledgeMat.diffuseColor = new Color3(0.6, 0.58, 0.55);
-      ledgeMat.specularColor = new Color3(0.3, 0.3, 0.3);
-      ledgeMat.emissiveColor = new Color3(0.08, 0.07, 0.06);
-      ledge.material = ledgeMat;
-
-      // Track base platform meshes for troll destruction
-      if (def.id === 'baseLeft' || def.id === 'baseRight') {
-        this._trollPlatformMeshes[def.id].push(body, ledge);
+      // Track destructible platform meshes for troll destruction
+      if (def.remnant) {
+        this._trollPlatformMeshes[def.id] = [body, ledge];
       }
     }
   }
 
+  /**
+   * Rock body plus thin metallic ledge/lip on top.
+   * @returns {Mesh[]} [body, ledge]
+   */
+  _createPlatformMeshes(bodyName, ledgeName, def) {
+    const body = MeshBuilder.CreateBox(bodyName, {
+      width: def.width,
+      height: def.height,
+      depth: 2,
+    }, this.scene);
+    body.position = new Vector3(def.x, def.y, 0);
+
+    const mat = new StandardMaterial(`${bodyName}_mat`, this.scene);
+    mat.diffuseColor = new Color3(0.45, 0.40, 0.35);
+    mat.specularColor = new Color3(0.1, 0.1, 0.1);
+    mat.emissiveColor = new Color3(0.05, 0.04, 0.03);
+    body.material = mat;
+
+    const ledge = MeshBuilder.CreateBox(ledgeName, {
+      width: def.width + 0.1,
+      height: LEDGE_HEIGHT,
+      depth: 2,
+    }, this.scene);
+    ledge.position = new Vector3(def.x, def.y + def.height / 2 + LEDGE_HEIGHT / 2, -0.01);
+
+    const ledgeMat = new StandardMaterial(`${ledgeName}_mat`, this.scene);
+    ledgeMat.diffuseColor = new Color3(0.6, 0.58, 0.55);
+    ledgeMat.specularColor = new Color3(0.3, 0.3, 0.3);
+    ledgeMat.emissiveColor = new Color3(0.08, 0.07, 0.06);
+    ledge.material = ledgeMat;
+
+    return [body, ledge];
+  }
+
   _createSpawnPads() {
-    for (const sp of SPAWN_POINTS) {
+    for (const sp of this._arena.spawnPoints) {
       const platform = this._platforms.find(p => p.id === sp.platformId);
       if (!platform) {
         continue;
@@ -1531,6 +1760,7 @@ export class Level1Scene {
       mat.specularColor = new Color3(0.2, 0.2, 0.2);
       mat.emissiveColor = new Color3(0.08, 0.07, 0.05);
       pad.material = mat;
+      this._arenaMeshes.push(pad);
     }
   }
 
@@ -1538,7 +1768,7 @@ export class Level1Scene {
 
   _createLava() {
     const lavaWidth = ORTHO_WIDTH + 4;
-    const lavaTop = -3.6;  // just below base platform tops (-3.565)
+    const lavaTop = this._arena.lavaTop;  // just below the base platform tops
     const lavaHeight = lavaTop - this._orthoBottom;
     const lavaY = this._orthoBottom + lavaHeight / 2;
 
@@ -1566,6 +1796,7 @@ export class Level1Scene {
     this._lavaMaterial = lavaMat;
     this._lavaTexture = lavaTexture;
     this._lavaBurstTimer = 0.5;
+    this._arenaMeshes.push(lava);
   }
 
   _drawLavaPattern(ctx, size) {
@@ -1616,7 +1847,7 @@ export class Level1Scene {
     const rand1 = this._lavaBurstRng ? this._lavaBurstRng.next() : Math.random();
     const rand2 = this._lavaBurstRng ? this._lavaBurstRng.next() : Math.random();
     const x = (rand1 - 0.5) * (ORTHO_WIDTH + 2);
-    const lavaY = this._orthoBottom + 1.2;
+    const lavaY = this._arena.lavaTop - LAVA_EFFECT_DEPTH;
     ps.emitter = new Vector3(x, lavaY, 0.4);
 
     // Particles shoot upward
@@ -1918,46 +2149,24 @@ export class Level1Scene {
   _destroyBasePlatforms() {
     this._trollPlatformsDestroyed = true;
 
-    // Dispose original base platform meshes
-    for (const key of ['baseLeft', 'baseRight']) {
-      for (const mesh of this._trollPlatformMeshes[key]) {
+    // Dispose original destructible platform meshes
+    for (const id of Object.keys(this._trollPlatformMeshes)) {
+      for (const mesh of this._trollPlatformMeshes[id]) {
         // Spawn debris at platform position before disposing
         this._spawnPlatformDebris(mesh.position.x, mesh.position.y);
-        mesh.dispose();
+        this._arenaMeshes = this._arenaMeshes.filter(m => m !== mesh);
+        mesh.dispose(false, true);
       }
-      this._trollPlatformMeshes[key] = [];
     }
+    this._trollPlatformMeshes = {};
 
-    // Create smaller pillar meshes at spawn point locations
-    const pillars = [SPAWN_PILLAR_LEFT, SPAWN_PILLAR_RIGHT];
-    for (const pillar of pillars) {
-      const body = MeshBuilder.CreateBox(`pillar_${pillar.id}`, {
-        width: pillar.width,
-        height: pillar.height,
-        depth: 2,
-      }, this.scene);
-      body.position = new Vector3(pillar.x, pillar.y, 0);
-
-      const mat = new StandardMaterial(`pillar_${pillar.id}_mat`, this.scene);
-      mat.diffuseColor = new Color3(0.45, 0.40, 0.35);
-      mat.specularColor = new Color3(0.1, 0.1, 0.1);
-      mat.emissiveColor = new Color3(0.05, 0.04, 0.03);
-      body.material = mat;
-
-      const ledge = MeshBuilder.CreateBox(`pillarLedge_${pillar.id}`, {
-        width: pillar.width + 0.1,
-        height: LEDGE_HEIGHT,
-        depth: 2,
-      }, this.scene);
-      ledge.position = new Vector3(pillar.x, pillar.y + pillar.height / 2 + LEDGE_HEIGHT / 2, -0.01);
-
-      const ledgeMat = new StandardMaterial(`pillarLedge_${pillar.id}_mat`, this.scene);
-      ledgeMat.diffuseColor = new Color3(0.6, 0.58, 0.55);
-      ledgeMat.specularColor = new Color3(0.3, 0.3, 0.3);
-      ledgeMat.emissiveColor = new Color3(0.08, 0.07, 0.06);
-      ledge.material = ledgeMat;
-
-      this._trollPillarMeshes.push(body, ledge);
+    // Create the smaller remnant (spawn pillar) meshes
+    for (const def of this._arena.platforms) {
+      if (def.remnant) {
+        const pillar = { ...def, x: def.remnant.x, width: def.remnant.width };
+        const meshes = this._createPlatformMeshes(`pillar_${def.id}`, `pillarLedge_${def.id}`, pillar);
+        this._trollPillarMeshes.push(...meshes);
+      }
     }
   }
 
@@ -2049,21 +2258,8 @@ export class Level1Scene {
           troll.state === LT_PUNCH_INTRO) {
         this._audioManager.playSfx('troll-emerge');
       }
-      // Grab
-      if (troll.state === LT_GRABBING && prev.state === LT_REACHING) {
-        this._audioManager.playSfx('troll-grab');
-      }
-      // Retreat
+      // Retreat (grab and escape sounds come from events)
       if (troll.state === LT_RETREATING) {
-        // Check if target escaped (was grabbed during reaching/grabbing/pulling)
-        if (prev.state === LT_REACHING || prev.state === LT_GRABBING || prev.state === LT_PULLING) {
-          const targetSlot = prev.targetSlot;
-          const chars = [...gameState.humans, ...gameState.enemies];
-          const target = chars.find(c => c.slotIndex === targetSlot);
-          if (target && target.active && !target.dead) {
-            this._audioManager.playSfx('troll-escape');
-          }
-        }
         this._audioManager.playSfx('troll-retreat');
       }
     }
@@ -2317,7 +2513,7 @@ export class Level1Scene {
       slot.lanceRig = null;
     } else {
       slot.birdRig = buildRig(this.scene, buzzardModel, VS, notLit);
-      const evilPalette = buildEvilKnightPalette(charState.enemyType);
+      const evilPalette = buildEvilKnightPalette(getEnemyProfile(charState.enemyType).palette);
       slot.knightRig = buildRig(this.scene, { ...evilKnightModel, palette: evilPalette }, VS, notLit);
       slot.lanceRig = buildRig(this.scene, lanceModel, VS, notLit);
     }
@@ -2425,6 +2621,7 @@ export class Level1Scene {
     }
     this._animateLava(dt, gameTime);
     this._updateBanner(dt);
+    this._updateNetOverlay(dt);
 
     // Solo mode: tick internal simulation at fixed 60fps, sync rendering every frame
     if (this._soloSimulation) {
@@ -2439,12 +2636,14 @@ export class Level1Scene {
       }
 
       // Fixed timestep: tick at 60fps regardless of display refresh rate
+      const events = [];
       while (this._soloAccumulator >= TICK_MS) {
         const input = this._inputReader
           ? this._inputReader.sample()
           : { left: false, right: false, flap: false };
         const encoded = (input.left ? 0x01 : 0) | (input.right ? 0x02 : 0) | (input.flap ? 0x04 : 0);
-        this._soloSimulation.tick([encoded]);
+        this._soloRecorder.recordTick([encoded]);
+        events.push(...this._soloSimulation.tick([encoded]));
         this._soloAccumulator -= TICK_MS;
       }
 
@@ -2460,9 +2659,10 @@ export class Level1Scene {
         }
         this._syncEggs(state.eggs, state.humans, dt);
         this._syncHUD(state);
-        this._syncBanners(state);
+        this._syncBanners(state, events);
+        this._syncArena(state);
         this._syncLavaTroll(state, dt);
-        this._syncSounds(state);
+        this._syncSounds(state, events);
         this._prevState = this._snapshotState(state);
       }
     }
@@ -3049,6 +3249,23 @@ export class Level1Scene {
         });
         panel.addControl(resumeBtn);
 
+        // Save Replay button (only when the owner records replays)
+        if (this._onSaveReplay) {
+          const replayBtn = Button.CreateSimpleButton('replayBtn', 'Save Replay');
+          replayBtn.width = '200px';
+          replayBtn.height = '50px';
+          replayBtn.color = 'white';
+          replayBtn.background = '#258';
+          replayBtn.cornerRadius = 8;
+          replayBtn.fontSize = 20;
+          replayBtn.fontFamily = 'monospace';
+          replayBtn.paddingTop = '10px';
+          replayBtn.onPointerUpObservable.add(() => {
+            this._onSaveReplay();
+          });
+          panel.addControl(replayBtn);
+        }
+
         // Quit button
         const quitBtn = Button.CreateSimpleButton('quitBtn', 'Quit to Menu');
         quitBtn.width = '200px';
@@ -3078,6 +3295,323 @@ export class Level1Scene {
     }
   }
 
+  // ---- Results screen ----
+
+  // Every player's score, kills, deaths, eggs and waves from the game that
+  // just ended, with Rematch (solo, or when the page offers one) and Back to Menu
+  _showResults() {
+    if (this._resultsVisible || !this._finalHumans || !this.scene) {
+      return;
+    }
+    this._resultsVisible = true;
+    this._rematchPending = false;
+
+    const rows = buildResultsRows(this._finalHumans, {
+      localSlot: this._spectatorCamera ? -1 : this._localPlayerSlot,
+      previousBest: this._previousBest(),
+    });
+    const canRematch = !!this._soloSimulation || !!this._onRematch;
+    const unranked = !this._soloSimulation && !this._spectatorCamera && this._getUnrankedReason
+      ? this._getUnrankedReason()
+      : null;
+
+    import('@babylonjs/gui/2D/advancedDynamicTexture').then(({ AdvancedDynamicTexture }) => {
+      import('@babylonjs/gui/2D/controls').then(({ Rectangle, TextBlock, StackPanel, Button }) => {
+        if (!this._resultsVisible || !this.scene) {
+          return;
+        }
+
+        const ui = AdvancedDynamicTexture.CreateFullscreenUI('resultsUI', true, this.scene);
+        this._resultsOverlay = ui;
+
+        const bg = new Rectangle('resultsBg');
+        bg.width = 1;
+        bg.height = 1;
+        bg.background = 'rgba(0, 0, 0, 0.7)';
+        bg.thickness = 0;
+        ui.addControl(bg);
+
+        const panel = new StackPanel('resultsPanel');
+        panel.width = '560px';
+        panel.verticalAlignment = 1; // center
+        bg.addControl(panel);
+
+        const title = new TextBlock('resultsTitle', 'RESULTS');
+        title.color = '#FFD700';
+        title.fontSize = 36;
+        title.fontFamily = 'monospace';
+        title.height = '60px';
+        panel.addControl(title);
+
+        if (unranked) {
+          const note = new TextBlock('resultsUnranked', `UNRANKED: ${unranked}`);
+          note.color = '#aaa';
+          note.fontSize = 14;
+          note.fontFamily = 'monospace';
+          note.height = '26px';
+          panel.addControl(note);
+        }
+
+        const lines = [RESULTS_HEADER, ...rows.map(formatResultsRow)];
+        lines.forEach((line, index) => {
+          const row = rows[index - 1];
+          const text = new TextBlock(`resultsRow${index}`, line);
+          text.color = row?.personalBest ? '#FFD700' : (row?.isLocal ? '#fff' : '#aaa');
+          text.fontSize = 16;
+          text.fontFamily = 'monospace';
+          text.height = '26px';
+          text.textHorizontalAlignment = 0; // left
+          panel.addControl(text);
+        });
+
+        if (canRematch) {
+          const rematchBtn = Button.CreateSimpleButton('rematchBtn', 'Rematch');
+          rematchBtn.width = '200px';
+          rematchBtn.height = '50px';
+          rematchBtn.color = 'white';
+          rematchBtn.background = '#285';
+          rematchBtn.cornerRadius = 8;
+          rematchBtn.fontSize = 20;
+          rematchBtn.fontFamily = 'monospace';
+          rematchBtn.paddingTop = '10px';
+          rematchBtn.onPointerUpObservable.add(() => {
+            this._requestRematch();
+          });
+          panel.addControl(rematchBtn);
+        }
+
+        const menuBtn = Button.CreateSimpleButton('resultsMenuBtn', 'Back to Menu');
+        menuBtn.width = '200px';
+        menuBtn.height = '50px';
+        menuBtn.color = 'white';
+        menuBtn.background = '#444';
+        menuBtn.cornerRadius = 8;
+        menuBtn.fontSize = 20;
+        menuBtn.fontFamily = 'monospace';
+        menuBtn.paddingTop = '10px';
+        menuBtn.onPointerUpObservable.add(() => {
+          this._hideResults();
+          if (this._onQuitToMenu) {
+            this._onQuitToMenu();
+          }
+        });
+        panel.addControl(menuBtn);
+
+        const status = new TextBlock('resultsStatus', '');
+        status.color = '#aaa';
+        status.fontSize = 14;
+        status.fontFamily = 'monospace';
+        status.height = '30px';
+        panel.addControl(status);
+        this._resultsStatusText = status;
+      });
+    });
+  }
+
+  _hideResults() {
+    this._resultsVisible = false;
+    this._rematchPending = false;
+    this._resultsStatusText = null;
+    if (this._resultsOverlay) {
+      this._resultsOverlay.dispose();
+      this._resultsOverlay = null;
+    }
+  }
+
+  // A solo game restarts on the spot. A network game casts this player's vote,
+  // and the results stay up until every player has agreed and the new game arrives.
+  _requestRematch() {
+    if (this._rematchPending) {
+      return;
+    }
+    if (this._soloSimulation) {
+      this._finalHumans = null;
+      this._hideResults();
+      this._startSoloGame();
+      return;
+    }
+    this._rematchPending = true;
+    this._setResultsStatus('Waiting for the other players...');
+    Promise.resolve(this._onRematch()).catch((err) => {
+      this._rematchPending = false;
+      this._setResultsStatus(err.reason || 'Rematch failed');
+    });
+  }
+
+  _setResultsStatus(text) {
+    if (this._resultsStatusText) {
+      this._resultsStatusText.text = text;
+    }
+  }
+
+  // The local player's best score before this game, null when unknown
+  _previousBest() {
+    if (this._soloSimulation) {
+      return this._highScoreTracker ? this._highScoreTracker.previousBest : null;
+    }
+    return this._getPersonalBest ? this._getPersonalBest() : null;
+  }
+
+  // ---- Netcode diagnostics overlay ----
+
+  _toggleNetOverlay() {
+    if (this._netOverlayVisible) {
+      this._hideNetOverlay();
+    } else {
+      this._showNetOverlay();
+    }
+  }
+
+  _showNetOverlay() {
+    if (this._netOverlayVisible || !this.scene) {
+      return;
+    }
+    this._netOverlayVisible = true;
+
+    import('@babylonjs/gui/2D/advancedDynamicTexture').then(({ AdvancedDynamicTexture }) => {
+      import('@babylonjs/gui/2D/controls').then(({ Rectangle, TextBlock, StackPanel, Button }) => {
+        if (!this._netOverlayVisible || !this.scene) {
+          return;
+        }
+
+        const ui = AdvancedDynamicTexture.CreateFullscreenUI('netUI', true, this.scene);
+        this._netOverlay = ui;
+        const graphWidth = HISTORY_SECONDS * NET_GRAPH_BAR_WIDTH;
+
+        // Panel — bottom left, clear of the lives counter and spectator hint
+        const bg = new Rectangle('netBg');
+        bg.width = `${graphWidth + 20}px`;
+        bg.adaptHeightToChildren = true;
+        bg.background = 'rgba(0, 0, 0, 0.7)';
+        bg.thickness = 0;
+        bg.cornerRadius = 6;
+        bg.left = '15px';
+        bg.top = '-40px';
+        bg.horizontalAlignment = 0; // left
+        bg.verticalAlignment = 1; // bottom
+        ui.addControl(bg);
+
+        const panel = new StackPanel('netPanel');
+        panel.paddingTop = '8px';
+        panel.paddingBottom = '8px';
+        bg.addControl(panel);
+
+        const text = new TextBlock('netText', '');
+        text.color = '#FFFFFF';
+        text.fontSize = 13;
+        text.fontFamily = 'monospace';
+        text.height = '120px';
+        text.textHorizontalAlignment = 0; // left
+        text.textVerticalAlignment = 0; // top
+        text.paddingLeft = '10px';
+        panel.addControl(text);
+        this._netOverlayText = text;
+
+        // One bar per second of history, oldest on the left
+        const buildGraph = (name, label, color) => {
+          const caption = new TextBlock(`${name}Caption`, label);
+          caption.color = color;
+          caption.fontSize = 11;
+          caption.fontFamily = 'monospace';
+          caption.height = '16px';
+          caption.textHorizontalAlignment = 0; // left
+          caption.paddingLeft = '10px';
+          panel.addControl(caption);
+
+          const graph = new Rectangle(`${name}Graph`);
+          graph.width = `${graphWidth}px`;
+          graph.height = `${NET_GRAPH_HEIGHT}px`;
+          graph.thickness = 1;
+          graph.color = '#444';
+          panel.addControl(graph);
+
+          const bars = [];
+          for (let i = 0; i < HISTORY_SECONDS; i++) {
+            const bar = new Rectangle(`${name}Bar${i}`);
+            bar.width = `${NET_GRAPH_BAR_WIDTH - 1}px`;
+            bar.height = '0px';
+            bar.left = `${i * NET_GRAPH_BAR_WIDTH}px`;
+            bar.thickness = 0;
+            bar.background = color;
+            bar.horizontalAlignment = 0; // left
+            bar.verticalAlignment = 1; // bottom
+            graph.addControl(bar);
+            bars.push(bar);
+          }
+          return bars;
+        };
+        this._netGraphs = {
+          ping: buildGraph('netPing', 'RTT (ms)', '#4CF'),
+          rollbacks: buildGraph('netRollbacks', 'rollbacks/s', '#FA4'),
+        };
+
+        const exportBtn = Button.CreateSimpleButton('netExportBtn', 'Export JSON');
+        exportBtn.width = '140px';
+        exportBtn.height = '34px';
+        exportBtn.color = 'white';
+        exportBtn.background = '#258';
+        exportBtn.cornerRadius = 6;
+        exportBtn.fontSize = 14;
+        exportBtn.fontFamily = 'monospace';
+        exportBtn.paddingTop = '8px';
+        exportBtn.onPointerUpObservable.add(() => {
+          this._exportNetDiagnostics();
+        });
+        panel.addControl(exportBtn);
+
+        this._netOverlayTimer = NET_OVERLAY_REFRESH; // refresh on the next frame
+      });
+    });
+  }
+
+  _hideNetOverlay() {
+    this._netOverlayVisible = false;
+    this._netOverlayText = null;
+    this._netGraphs = null;
+    if (this._netOverlay) {
+      this._netOverlay.dispose();
+      this._netOverlay = null;
+    }
+  }
+
+  _updateNetOverlay(dt) {
+    this._netOverlayTimer += dt;
+    if (this._netOverlayText && this._netOverlayTimer >= NET_OVERLAY_REFRESH) {
+      this._netOverlayTimer = 0;
+      const diagnostics = this._getNetDiagnostics();
+      if (diagnostics) {
+        this._netOverlayText.text = formatNetDiagnostics(diagnostics);
+        this._drawNetGraph(this._netGraphs.ping, diagnostics.history.map(sample => sample.ping), 100);
+        this._drawNetGraph(this._netGraphs.rollbacks, diagnostics.history.map(sample => sample.rollbacks), 10);
+      }
+    }
+  }
+
+  // Right-align the values so the newest second is always the last bar.
+  // The scale grows past `minScale` to fit the largest value shown.
+  _drawNetGraph(bars, values, minScale) {
+    const scale = Math.max(minScale, ...values);
+    const offset = bars.length - values.length;
+    for (let i = 0; i < bars.length; i++) {
+      const value = i >= offset ? values[i - offset] : 0;
+      bars[i].height = `${Math.round((value / scale) * NET_GRAPH_HEIGHT)}px`;
+    }
+  }
+
+  _exportNetDiagnostics() {
+    const diagnostics = this._getNetDiagnostics?.();
+    if (diagnostics) {
+      const json = JSON.stringify({ exportedAt: new Date().toISOString(), ...diagnostics.toJSON() }, null, 2);
+      const blob = new Blob([json], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `talon-lance-netcode-${Date.now()}.json`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+  }
+
   // ---- HUD ----
 
   _createHUD() {
@@ -3141,11 +3675,52 @@ export class Level1Scene {
         banner.alpha = 0;
         ui.addControl(banner);
         this._hudBannerText = banner;
+
+        // Banner detail — smaller lines under the banner (game over breakdown)
+        const bannerDetail = new TextBlock('bannerDetail', '');
+        bannerDetail.color = '#FFFFFF';
+        bannerDetail.fontSize = 18;
+        bannerDetail.fontFamily = 'monospace';
+        bannerDetail.textHorizontalAlignment = 2;
+        bannerDetail.textVerticalAlignment = 0; // top
+        bannerDetail.top = '50%';
+        bannerDetail.paddingTop = '40px';
+        bannerDetail.alpha = 0;
+        ui.addControl(bannerDetail);
+        this._hudBannerDetailText = bannerDetail;
+
+        // Scoreboard — every active player, under the score (top right)
+        const scoreboardText = new TextBlock('scoreboard', '');
+        scoreboardText.color = '#FFFFFF';
+        scoreboardText.fontSize = 18;
+        scoreboardText.fontFamily = 'monospace';
+        scoreboardText.textHorizontalAlignment = 1; // right
+        scoreboardText.textVerticalAlignment = 0; // top
+        scoreboardText.left = '-15px';
+        scoreboardText.horizontalAlignment = 1; // right
+        scoreboardText.verticalAlignment = 0; // top
+        ui.addControl(scoreboardText);
+        this._hudScoreboardText = scoreboardText;
+
+        // Spectator controls hint — bottom center
+        const spectatorText = new TextBlock('spectating', 'SPECTATING  C: camera  Tab/1-4: follow  +/-: zoom');
+        spectatorText.color = '#FFD700';
+        spectatorText.fontSize = 16;
+        spectatorText.fontFamily = 'monospace';
+        spectatorText.textHorizontalAlignment = 2; // center
+        spectatorText.textVerticalAlignment = 1; // bottom
+        spectatorText.top = '-12px';
+        spectatorText.horizontalAlignment = 2; // center
+        spectatorText.verticalAlignment = 1; // bottom
+        ui.addControl(spectatorText);
+        this._hudSpectatorText = spectatorText;
+
+        this._syncSpectatorHUD();
       });
     });
   }
 
-  _showBanner(text, duration, callback) {
+  _showBanner(text, duration, callback, detail = '') {
     if (!this._hudBannerText) {
       if (callback) {
         setTimeout(callback, duration * 1000);
@@ -3154,6 +3729,10 @@ export class Level1Scene {
     }
     this._hudBannerText.text = text;
     this._hudBannerText.alpha = 1;
+    if (this._hudBannerDetailText) {
+      this._hudBannerDetailText.text = detail;
+      this._hudBannerDetailText.alpha = 1;
+    }
     this._waveBannerActive = true;
     this._waveTextTimer = duration;
     this._bannerCallback = callback || null;
@@ -3167,12 +3746,18 @@ export class Level1Scene {
     // Fade out in last 0.5s
     if (this._waveTextTimer < 0.5 && this._hudBannerText) {
       this._hudBannerText.alpha = Math.max(0, this._waveTextTimer / 0.5);
+      if (this._hudBannerDetailText) {
+        this._hudBannerDetailText.alpha = this._hudBannerText.alpha;
+      }
     }
     if (this._waveTextTimer <= 0) {
       this._waveBannerActive = false;
       if (this._hudBannerText) {
         this._hudBannerText.alpha = 0;
       }
+      if (this._hudBannerDetailText) {
+        this._hudBannerDetailText.alpha = 0;
+      }
       if (this._bannerCallback) {
         this._bannerCallback();
         this._bannerCallback = null;
@@ -3330,8 +3915,8 @@ export class Level1Scene {
         knightPalette = buildKnightPalette(char.paletteIndex);
       } else {
         knightModelDef = evilKnightModel;
-        const paletteIdx = char.enemyType !== undefined ? char.enemyType : ENEMY_TYPE_BOUNDER;
-        knightPalette = buildEvilKnightPalette(paletteIdx);
+        const enemyType = char.enemyType !== undefined ? char.enemyType : ENEMY_TYPE_BOUNDER;
+        knightPalette = buildEvilKnightPalette(getEnemyProfile(enemyType).palette);
       }
       rigSources.push(
         { rig: char.knightRig, modelDef: knightModelDef, palette: knightPalette },
@@ -3600,7 +4185,7 @@ export class Level1Scene {
     tex.update(false);
     tex.hasAlpha = true;
 
-    const lavaY = this._orthoBottom + 1.2;
+    const lavaY = this._arena.lavaTop - LAVA_EFFECT_DEPTH;
     const ps = new ParticleSystem('lavaDeathSplash', 60, this.scene);
     ps.particleTexture = tex;
     ps.emitter = new Vector3(x, lavaY, 0.4);
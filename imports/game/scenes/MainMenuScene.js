@@ -22,6 +22,10 @@ import { ParticleSystem } from '@babylonjs/core/Particles/particleSystem';
 import { Meteor } from 'meteor/meteor';
 import { Tracker } from 'meteor/tracker';
 import { HighScores } from '../../lib/collections/highScores.js';
+import {
+  Leaderboard, LEADERBOARDS, LEADERBOARD_PAGE_SIZE, MAX_LEADERBOARD_PAGE,
+  boardQuery, boardSort, boardValue,
+} from '../leaderboards.js';
 
 import { TransformNode } from '@babylonjs/core/Meshes/transformNode';
 import { buildRig } from '../voxels/VoxelBuilder.js';
@@ -32,13 +36,25 @@ import { KNIGHT_PALETTES, buildKnightPalette } from '../voxels/models/knightPale
 
 const VOXEL_SIZE = 0.18;
 
+// High scores panel tab labels
+const BOARD_TAB_LABELS = {
+  [Leaderboard.DAILY]: 'DAY',
+  [Leaderboard.WEEKLY]: 'WEEK',
+  [Leaderboard.ALL_TIME]: 'ALL',
+  [Leaderboard.WAVES]: 'WAVE',
+};
+
 export class MainMenuScene {
   /**
-   * @param {{ audioManager: AudioManager, paletteIndex: number, onPlay: function }} config
+   * @param {{ audioManager: AudioManager, paletteIndex: number, onPlay: function,
+   *   onPrivateGame?: function, onArenaEditor?: function, onProfile?: function }} config
    */
-  constructor({ audioManager, paletteIndex, onPlay }) {
+  constructor({ audioManager, paletteIndex, onPlay, onPrivateGame, onArenaEditor, onProfile }) {
     this._audioManager = audioManager;
     this._onPlay = onPlay;
+    this._onPrivateGame = onPrivateGame;
+    this._onArenaEditor = onArenaEditor;
+    this._onProfile = onProfile;
 
     this.engine = null;
     this.scene = null;
@@ -61,11 +77,18 @@ export class MainMenuScene {
     // Menu state machine
     this._menuState = 'main';   // 'main' | 'modeSelect' | 'highScores' | 'instructions'
     this._selectedMode = null;  // 'team' | 'pvp'
+    this._localCoop = false;    // true when entered through Local Co-op
 
     // High scores panel refs
     this._highScoresBackdrop = null;
     this._highScoresPanel = null;
     this._highScoresSub = null;
+    this._board = Leaderboard.ALL_TIME;
+    this._boardPage = 0;
+    this._boardHasMore = false;
+    this._boardMyRank = null; // from highScores.myRank, highlighted when on the page
+    this._boardTabs = null;   // board -> tab Button
+    this._boardPageLabel = null;
     this._paletteIndex = paletteIndex;
 
     // GUI references
@@ -158,14 +181,7 @@ export class MainMenuScene {
    */
   dispose() {
     this._audioManager?.stopLavaAmbient();
-    if (this._highScoresSub) {
-      this._highScoresSub.stop();
-      this._highScoresSub = null;
-    }
-    if (this._highScoresComputation) {
-      this._highScoresComputation.stop();
-      this._highScoresComputation = null;
-    }
+    this._stopWatchingBoard();
     if (this._instructionsKeyHandler) {
       window.removeEventListener('keydown', this._instructionsKeyHandler);
       this._instructionsKeyHandler = null;
@@ -519,7 +535,7 @@ export class MainMenuScene {
   _createMainPanel(gui) {
     const backdrop = new Rectangle('mainBackdrop');
     backdrop.widthInPixels = 240;
-    backdrop.heightInPixels = 260;
+    backdrop.heightInPixels = 520;
     backdrop.cornerRadius = 10;
     backdrop.thickness = 0;
     backdrop.background = 'rgba(0, 0, 0, 0.5)';
@@ -556,6 +572,7 @@ export class MainMenuScene {
     teamBtn.onPointerClickObservable.add(() => {
       this._audioManager.playSfx('ui-select');
       this._selectedMode = 'team';
+      this._localCoop = false;
       this._showModeSelect();
     });
     panel.addControl(teamBtn);
@@ -566,10 +583,31 @@ export class MainMenuScene {
     pvpBtn.onPointerClickObservable.add(() => {
       this._audioManager.playSfx('ui-select');
       this._selectedMode = 'pvp';
+      this._localCoop = false;
       this._showModeSelect();
     });
     panel.addControl(pvpBtn);
 
+    // Local Co-op — Team Play with up to 4 players on this machine
+    const coopBtn = this._createMenuButton('Local Co-op', false);
+    this._coopBtn = coopBtn;
+    coopBtn.onPointerClickObservable.add(() => {
+      this._audioManager.playSfx('ui-select');
+      this._selectedMode = 'team';
+      this._localCoop = true;
+      this._showModeSelect();
+    });
+    panel.addControl(coopBtn);
+
+    // Private Game — opens the lobby page (create or join by code)
+    const privateBtn = this._createMenuButton('Private Game', false);
+    this._privateBtn = privateBtn;
+    privateBtn.onPointerClickObservable.add(() => {
+      this._audioManager.playSfx('ui-select');
+      this._openPrivateGame();
+    });
+    panel.addControl(privateBtn);
+
     // High Scores
     const scoresBtn = this._createMenuButton('High Scores', false);
     this._scoresBtn = scoresBtn;
@@ -578,6 +616,24 @@ export class MainMenuScene {
       this._showHighScores();
     });
     panel.addControl(scoresBtn);
+
+    // Profile — opens the profile page (match history, totals)
+    const profileBtn = this._createMenuButton('Profile', false);
+    this._profileBtn = profileBtn;
+    profileBtn.onPointerClickObservable.add(() => {
+      this._audioManager.playSfx('ui-select');
+      this._openProfile();
+    });
+    panel.addControl(profileBtn);
+
+    // Arena Editor — author platform layouts
+    const editorBtn = this._createMenuButton('Arena Editor', false);
+    this._editorBtn = editorBtn;
+    editorBtn.onPointerClickObservable.add(() => {
+      this._audioManager.playSfx('ui-select');
+      this._openArenaEditor();
+    });
+    panel.addControl(editorBtn);
   }
 
   // ---- Mode select sub-menu ----
@@ -710,14 +766,7 @@ export class MainMenuScene {
       window.removeEventListener('keydown', this._instructionsKeyHandler);
       this._instructionsKeyHandler = null;
     }
-    if (this._highScoresSub) {
-      this._highScoresSub.stop();
-      this._highScoresSub = null;
-    }
-    if (this._highScoresComputation) {
-      this._highScoresComputation.stop();
-      this._highScoresComputation = null;
-    }
+    this._stopWatchingBoard();
     this._applyInitialFocus();
   }
 
@@ -754,20 +803,16 @@ export class MainMenuScene {
     }
     this._highScoresBackdrop.isVisible = true;
     this._highScoresPanel.isVisible = true;
-
-    // Subscribe and reactively update
-    this._highScoresSub = Meteor.subscribe('highScores.top10');
-    this._highScoresComputation = Tracker.autorun(() => {
-      const scores = HighScores.find({}, { sort: { score: -1 }, limit: 10 }).fetch();
-      this._updateHighScoresDisplay(scores);
-    });
+    this._boardPage = 0;
+    this._boardMyRank = null;
+    this._watchBoard();
     this._applyInitialFocus();
   }
 
   _createHighScoresPanel(gui) {
     const backdrop = new Rectangle('scoresBackdrop');
     backdrop.widthInPixels = 340;
-    backdrop.heightInPixels = 450;
+    backdrop.heightInPixels = 610;
     backdrop.cornerRadius = 10;
     backdrop.thickness = 0;
     backdrop.background = 'rgba(0, 0, 0, 0.7)';
@@ -797,45 +842,215 @@ export class MainMenuScene {
     title.textHorizontalAlignment = Control.HORIZONTAL_ALIGNMENT_CENTER;
     panel.addControl(title);
 
-    // Score entries (10 placeholder rows)
+    // Board tabs — the selected one is outlined
+    const tabsRow = new StackPanel('scoresTabs');
+    tabsRow.isVertical = false;
+    tabsRow.widthInPixels = 320;
+    tabsRow.heightInPixels = 40;
+    panel.addControl(tabsRow);
+    this._boardTabs = {};
+    for (const board of LEADERBOARDS) {
+      const tab = this._createArrowButton(`scoresTab_${board}`, BOARD_TAB_LABELS[board]);
+      tab.widthInPixels = 78;
+      tab.heightInPixels = 36;
+      tab.fontSize = 16;
+      tab.paddingLeftInPixels = 2;
+      tab.paddingRightInPixels = 2;
+      tab.onPointerClickObservable.add(() => {
+        this._selectBoard(board);
+      });
+      tabsRow.addControl(tab);
+      this._boardTabs[board] = tab;
+    }
+
+    // Score entries (one page of placeholder rows)
     this._scoreRows = [];
-    for (let i = 0; i < 10; i++) {
+    for (let i = 0; i < LEADERBOARD_PAGE_SIZE; i++) {
       const row = new TextBlock(`scoreRow_${i}`, `${i + 1}. ---`);
       row.heightInPixels = 28;
       row.fontSize = 18;
       row.fontFamily = 'monospace';
-      row.color = i < 3 ? '#FFD740' : '#FFFFFF';
+      row.color = '#FFFFFF';
       row.textHorizontalAlignment = Control.HORIZONTAL_ALIGNMENT_LEFT;
       row.paddingLeftInPixels = 10;
       panel.addControl(row);
       this._scoreRows.push(row);
     }
 
+    // Page selector row, with the player's rank once Find Me has looked it up
+    const pagerRow = new StackPanel('scoresPager');
+    pagerRow.isVertical = false;
+    pagerRow.widthInPixels = 260;
+    pagerRow.heightInPixels = 55;
+    panel.addControl(pagerRow);
+
+    const pageLeftArrow = this._createArrowButton('pageArrowLeft', '\u25C0');
+    pageLeftArrow.onPointerClickObservable.add(() => {
+      this._changeBoardPage(-1);
+    });
+    pagerRow.addControl(pageLeftArrow);
+
+    const pageLabel = new TextBlock('pageLabel', 'PAGE 1');
+    pageLabel.widthInPixels = 180;
+    pageLabel.heightInPixels = 55;
+    pageLabel.fontSize = 18;
+    pageLabel.fontFamily = 'monospace';
+    pageLabel.color = '#FFD740';
+    pageLabel.textHorizontalAlignment = Control.HORIZONTAL_ALIGNMENT_CENTER;
+    pageLabel.textVerticalAlignment = Control.VERTICAL_ALIGNMENT_CENTER;
+    pagerRow.addControl(pageLabel);
+    this._boardPageLabel = pageLabel;
+
+    const pageRightArrow = this._createArrowButton('pageArrowRight', '\u25B6');
+    pageRightArrow.onPointerClickObservable.add(() => {
+      this._changeBoardPage(1);
+    });
+    pagerRow.addControl(pageRightArrow);
+
+    // Find Me — jump to the page the player is on
+    const findMeBtn = this._createMenuButton('Find Me', false);
+    findMeBtn.onPointerClickObservable.add(() => {
+      this._audioManager.playSfx('ui-select');
+      this._findMyRank();
+    });
+    panel.addControl(findMeBtn);
+
     // Back button
     const scoresBackBtn = this._createMenuButton('Back', false);
     this._scoresBackBtn = scoresBackBtn;
-    this._navMap.highScores = [
-      { control: scoresBackBtn, onConfirm: () => { this._showMainMenu(); } }
-    ];
     scoresBackBtn.onPointerClickObservable.add(() => {
       this._audioManager.playSfx('ui-cancel');
       this._showMainMenu();
     });
     panel.addControl(scoresBackBtn);
+
+    this._navMap.highScores = [
+      {
+        control: tabsRow,
+        onConfirm: () => { this._cycleBoard(1); },
+        onLeft: () => { this._cycleBoard(-1); },
+        onRight: () => { this._cycleBoard(1); }
+      },
+      {
+        control: pagerRow,
+        onConfirm: () => { this._changeBoardPage(1); },
+        onLeft: () => { this._changeBoardPage(-1); },
+        onRight: () => { this._changeBoardPage(1); }
+      },
+      { control: findMeBtn, onConfirm: () => { this._findMyRank(); } },
+      { control: scoresBackBtn, onConfirm: () => { this._showMainMenu(); } }
+    ];
   }
 
-  _updateHighScoresDisplay(scores) {
+  // Subscribe to the selected board's page and redraw its rows as they change
+  _watchBoard() {
+    this._stopWatchingBoard();
+    this._updateBoardControls();
+    const board = this._board;
+    const subscription = Meteor.subscribe('highScores.board', board, this._boardPage);
+    this._highScoresSub = subscription;
+    this._highScoresComputation = Tracker.autorun(() => {
+      // Until then the previous board's rows may still be in the collection
+      if (!subscription.ready()) {
+        return;
+      }
+      const rows = HighScores.find(boardQuery(board), { sort: boardSort(board) }).fetch();
+      this._boardHasMore = rows.length > LEADERBOARD_PAGE_SIZE;
+      this._updateHighScoresDisplay(rows.slice(0, LEADERBOARD_PAGE_SIZE));
+    });
+  }
+
+  _stopWatchingBoard() {
+    if (this._highScoresSub) {
+      this._highScoresSub.stop();
+      this._highScoresSub = null;
+    }
+    if (this._highScoresComputation) {
+      this._highScoresComputation.stop();
+      this._highScoresComputation = null;
+    }
+  }
+
+  _selectBoard(board) {
+    if (board === this._board) {
+      return;
+    }
+    this._board = board;
+    this._boardPage = 0;
+    this._boardMyRank = null;
+    this._boardHasMore = false;
+    this._watchBoard();
+  }
+
+  _cycleBoard(direction) {
+    const index = LEADERBOARDS.indexOf(this._board);
+    this._selectBoard(LEADERBOARDS[(index + direction + LEADERBOARDS.length) % LEADERBOARDS.length]);
+  }
+
+  _changeBoardPage(direction) {
+    const page = this._boardPage + direction;
+    if (page < 0 || page > MAX_LEADERBOARD_PAGE || (direction > 0 && !this._boardHasMore)) {
+      return;
+    }
+    this._boardPage = page;
+    this._boardHasMore = false;
+    this._watchBoard();
+  }
+
+  async _findMyRank() {
+    const board = this._board;
+    let result = null;
+    try {
+      result = await Meteor.callAsync('highScores.myRank', board);
+    } catch (err) {
+      // Not logged in or rate limited — nothing to show
+    }
+    if (board !== this._board || this._menuState !== 'highScores') {
+      return;
+    }
+    if (!result) {
+      this._boardPageLabel.text = 'NOT RANKED';
+      return;
+    }
+    this._boardMyRank = result.rank;
+    if (result.page <= MAX_LEADERBOARD_PAGE) {
+      this._boardPage = result.page;
+    }
+    this._watchBoard();
+  }
+
+  _updateBoardControls() {
+    if (!this._boardTabs) {
+      return;
+    }
+    for (const board of LEADERBOARDS) {
+      this._boardTabs[board].thickness = board === this._board ? 2 : 0;
+    }
+    const rank = this._boardMyRank ? `  YOU #${this._boardMyRank}` : '';
+    this._boardPageLabel.text = `PAGE ${this._boardPage + 1}${rank}`;
+  }
+
+  _updateHighScoresDisplay(rows) {
     if (!this._scoreRows) {
       return;
     }
-    for (let i = 0; i < 10; i++) {
-      if (i < scores.length) {
-        const s = scores[i];
-        const name = (s.username || 'Anon').substring(0, 12).padEnd(12);
-        const pts = String(s.score).padStart(7);
-        this._scoreRows[i].text = `${i + 1}. ${name} ${pts}`;
+    const waves = this._board === Leaderboard.WAVES;
+    for (let i = 0; i < LEADERBOARD_PAGE_SIZE; i++) {
+      const rank = this._boardPage * LEADERBOARD_PAGE_SIZE + i + 1;
+      const label = `${String(rank).padStart(3)}.`;
+      const row = this._scoreRows[i];
+      if (i < rows.length) {
+        const name = (rows[i].username || 'Anon').substring(0, 12).padEnd(12);
+        const value = boardValue(this._board, rows[i]);
+        const shown = (waves ? `W${value}` : String(value)).padStart(7);
+        row.text = `${label} ${name} ${shown}`;
+      } else {
+        row.text = `${label} ---`;
+      }
+      if (rank === this._boardMyRank) {
+        row.color = '#7FDBFF';
       } else {
-        this._scoreRows[i].text = `${i + 1}. ---`;
+        row.color = rank <= 3 ? '#FFD740' : '#FFFFFF';
       }
     }
   }
@@ -1042,7 +1257,7 @@ export class MainMenuScene {
     panel.addControl(modeHead);
 
     const modeBody = new TextBlock('modeBody', '');
-    modeBody.heightInPixels = 45;
+    modeBody.heightInPixels = 65;
     modeBody.fontSize = 16;
     modeBody.fontFamily = 'monospace';
     modeBody.color = '#FFFFFF';
@@ -1080,7 +1295,10 @@ export class MainMenuScene {
     }
 
     // Update mode description
-    if (this._selectedMode === 'team') {
+    if (this._localCoop) {
+      this._instrModeBody.text = 'Local Co-op — P1 A/D + W, P2 Arrows + Up, P3 J/L + I, ' +
+        'P4 Numpad 4/6 + 8, or one gamepad each. Press your flap key to join.';
+    } else if (this._selectedMode === 'team') {
       this._instrModeBody.text = 'Team Play — work together with up to 4 players to defeat waves of enemy knights.';
     } else {
       this._instrModeBody.text = 'PvP Arena — up to 4 players battle each other. Last knight standing wins!';
@@ -1125,7 +1343,25 @@ export class MainMenuScene {
       this._instructionsPanel.isVisible = false;
     }
     if (this._onPlay) {
-      this._onPlay(this._paletteIndex, this._selectedMode);
+      this._onPlay(this._paletteIndex, this._selectedMode, { localCoop: this._localCoop });
+    }
+  }
+
+  _openPrivateGame() {
+    if (this._onPrivateGame) {
+      this._onPrivateGame();
+    }
+  }
+
+  _openArenaEditor() {
+    if (this._onArenaEditor) {
+      this._onArenaEditor();
+    }
+  }
+
+  _openProfile() {
+    if (this._onProfile) {
+      this._onProfile();
     }
   }
 
@@ -1155,6 +1391,7 @@ export class MainMenuScene {
         control: this._teamBtn,
         onConfirm: () => {
           this._selectedMode = 'team';
+          this._localCoop = false;
           this._showModeSelect();
         }
       },
@@ -1162,14 +1399,41 @@ export class MainMenuScene {
         control: this._pvpBtn,
         onConfirm: () => {
           this._selectedMode = 'pvp';
+          this._localCoop = false;
+          this._showModeSelect();
+        }
+      },
+      {
+        control: this._coopBtn,
+        onConfirm: () => {
+          this._selectedMode = 'team';
+          this._localCoop = true;
           this._showModeSelect();
         }
       },
+      {
+        control: this._privateBtn,
+        onConfirm: () => {
+          this._openPrivateGame();
+        }
+      },
       {
         control: this._scoresBtn,
         onConfirm: () => {
           this._showHighScores();
         }
+      },
+      {
+        control: this._profileBtn,
+        onConfirm: () => {
+          this._openProfile();
+        }
+      },
+      {
+        control: this._editorBtn,
+        onConfirm: () => {
+          this._openArenaEditor();
+        }
       }
     ];
     this._navMap.modeSelect = [
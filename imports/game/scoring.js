@@ -7,6 +7,8 @@ export const POINTS_KILL_BOUNDER = 500;
 export const POINTS_KILL_HUNTER = 750;
 export const POINTS_KILL_SHADOW_LORD = 1000;
 export const POINTS_KILL_PTERODACTYL = 1000;
+export const POINTS_KILL_COWARD = 600;
+export const POINTS_KILL_SWARM = 400;
 export const POINTS_KILL_PLAYER = 750;
 
 // ---- Egg collection (progressive per wave) ----
@@ -30,6 +32,8 @@ export const ENEMY_TYPE_BOUNDER = 0;
 export const ENEMY_TYPE_HUNTER = 1;
 export const ENEMY_TYPE_SHADOW_LORD = 2;
 export const ENEMY_TYPE_PTERODACTYL = 3;
+export const ENEMY_TYPE_COWARD = 4;
+export const ENEMY_TYPE_SWARM = 5;
 
 // ---- Wave progression ----
 export const WAVE_HUNTER_INTRO = 4;
@@ -37,6 +41,10 @@ export const WAVE_SHADOW_LORD_INTRO = 16;
 export const WAVE_SHADOW_LORD_ONLY = 22;
 export const WAVE_PTERO_INTRO = 8;
 export const WAVE_PTERO_INTERVAL = 5;
+export const WAVE_COWARD_INTRO = 6;
+export const WAVE_COWARD_PAIR = 12;
+export const WAVE_SWARM_INTRO = 10;
+export const WAVE_SWARM_INTERVAL = 5;
 
 /**
  * Get the kill points for a given enemy type.
@@ -51,6 +59,12 @@ export function getKillPoints(enemyType) {
   if (enemyType === ENEMY_TYPE_PTERODACTYL) {
     return POINTS_KILL_PTERODACTYL;
   }
+  if (enemyType === ENEMY_TYPE_COWARD) {
+    return POINTS_KILL_COWARD;
+  }
+  if (enemyType === ENEMY_TYPE_SWARM) {
+    return POINTS_KILL_SWARM;
+  }
   return POINTS_KILL_SHADOW_LORD;
 }
 
@@ -73,12 +87,17 @@ export function getEggPoints(eggsCollected) {
 
 /**
  * Get the enemy composition for a given wave number.
- * Returns { bounders, hunters, shadowLords } counts.
+ * Returns { bounders, hunters, shadowLords, cowards, swarm, pterodactyls } counts.
+ * Classic waves have no cowards or swarms; the newEnemies rule brings them in.
+ * @param {number} waveNumber
+ * @param {{ newEnemies?: boolean }} [options]
  */
-export function getWaveComposition(waveNumber) {
+export function getWaveComposition(waveNumber, { newEnemies = false } = {}) {
   let bounders = 0;
   let hunters = 0;
   let shadowLords = 0;
+  let cowards = 0;
+  let swarm = 0;
   let pterodactyls = 0;
 
   if (waveNumber >= WAVE_SHADOW_LORD_ONLY) {
@@ -98,10 +117,23 @@ export function getWaveComposition(waveNumber) {
     bounders = waveNumber + 2; // 3, 4, 5
   }
 
+  // Cowards take a bounder's place from wave 6 (two from wave 12)
+  if (newEnemies && waveNumber >= WAVE_COWARD_INTRO && waveNumber < WAVE_SHADOW_LORD_ONLY) {
+    cowards = Math.min(bounders, waveNumber >= WAVE_COWARD_PAIR ? 2 : 1);
+    bounders -= cowards;
+  }
+
+  // Every 5 waves from wave 10 the hunters arrive as a swarm
+  if (newEnemies && waveNumber >= WAVE_SWARM_INTRO && waveNumber < WAVE_SHADOW_LORD_ONLY &&
+      (waveNumber - WAVE_SWARM_INTRO) % WAVE_SWARM_INTERVAL === 0) {
+    swarm = hunters;
+    hunters = 0;
+  }
+
   // Pterodactyls appear every 5 waves starting at wave 8
   if (waveNumber >= WAVE_PTERO_INTRO && (waveNumber - WAVE_PTERO_INTRO) % WAVE_PTERO_INTERVAL === 0) {
     pterodactyls = waveNumber >= 23 ? 2 : 1;
   }
 
-  return { bounders, hunters, shadowLords, pterodactyls };
+  return { bounders, hunters, shadowLords, cowards, swarm, pterodactyls };
 }
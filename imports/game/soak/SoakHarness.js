@@ -0,0 +1,466 @@
+// SoakHarness — Headless multi-peer rollback soak test.
+// Runs N peers, each a GameSimulation + RollbackSession exchanging real
+// INPUT / INPUT_ACK / CHECKSUM messages (InputEncoder, InputWindow) through a
+// NetworkConditioner on a virtual clock, so a run is reproducible from its
+// seed alone. Peers join and leave at random or scripted frames.
+//
+// Joins and leaves go through the control plane MultiplayerManager uses for
+// drop-in: the resync authority (lowest active slot) activates or deactivates
+// the slot and every peer loads its state (STATE_SYNC), delivered instantly.
+// Abrupt disconnects (DISCONNECT_BIT) are covered by MultiplayerConnectivity.
+//
+// Every frame a peer confirms (all inputs known) is checksummed from its
+// rollback snapshots and compared with the other peers; the first frame two
+// peers disagree on is reported with a field-level diff.
+//
+// One kind of divergence is expected: INPUTs still in flight from before a state sync
+// can land on frames of the new timeline, and the session suppresses checksums
+// for a while after resetToFrame. A mismatch inside that window only counts
+// if the checksum exchange fails to trigger a resync that repairs it within
+// RECOVERY_FRAMES — the recovery production relies on.
+
+import { GameSimulation } from '../GameSimulation.js';
+import { GAME_MODE_TEAM } from '../physics/constants.js';
+import { MAX_HUMANS } from '../physics/stateLayout.js';
+import { DeterministicRNG } from '../physics/mulberry32.js';
+import { diffStates, formatStateDiff } from '../physics/stateDiff.js';
+import { InputEncoder, MessageType } from '../../netcode/InputEncoder.js';
+import { InputSendWindow, InputAckTracker } from '../../netcode/InputWindow.js';
+import { RollbackSession } from '../../netcode/RollbackSession.js';
+import { NetworkConditioner } from '../../netcode/transport/NetworkConditioner.js';
+
+const TICK_MS = 1000 / 60;
+const COMPARE_HISTORY = 240; // frames of confirmed checksums kept for comparison
+// A mismatch after a state sync must be repaired within this: worst case it is
+// found at the checksum after the 3s resync cooldown, plus the sync itself
+const RECOVERY_FRAMES = 360;
+const RESYNC_COOLDOWN_FRAMES = 180; // MultiplayerManager resyncs at most every 3 seconds
+
+// Random inputs held for a few frames at a time, one stream per slot
+export function randomInputs(seed) {
+  const streams = new Map();
+  return (slot) => {
+    if (!streams.has(slot)) {
+      streams.set(slot, { rng: new DeterministicRNG(seed + slot * 7919), input: 0, heldFor: 0 });
+    }
+    const stream = streams.get(slot);
+    if (stream.heldFor <= 0) {
+      stream.input = stream.rng.nextInt(8);
+      stream.heldFor = 1 + stream.rng.nextInt(20);
+    }
+    stream.heldFor--;
+    return stream.input;
+  };
+}
+
+// Manual clock for NetworkConditioner: timers fire in order as time advances
+function createClock() {
+  const clock = { time: 0, timers: [], nextId: 0 };
+  clock.now = () => clock.time;
+  clock.setTimeout = (fn, ms) => {
+    const timer = { due: clock.time + ms, id: clock.nextId++, fn };
+    clock.timers.push(timer);
+    return timer;
+  };
+  clock.clearTimeout = (timer) => {
+    clock.timers = clock.timers.filter(entry => entry !== timer);
+  };
+  clock.advance = (ms) => {
+    const end = clock.time + ms;
+    clock.timers.sort((a, b) => a.due - b.due || a.id - b.id);
+    while (clock.timers.length > 0 && clock.timers[0].due <= end) {
+      const timer = clock.timers.shift();
+      clock.time = timer.due;
+      timer.fn();
+    }
+    clock.time = end;
+  };
+  return clock;
+}
+
+export class SoakHarness {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.seed] - drives the game, inputs, faults and churn
+   * @param {number} [options.peers] - slots in play, 2-4
+   * @param {number} [options.startPeers] - peers active at frame 0 (default all)
+   * @param {object} [options.network] - NetworkConditioner defaults for every link
+   * @param {number} [options.churnInterval] - mean frames between random joins/leaves (0 = none)
+   * @param {Array<{ frame: number, type: 'join'|'leave', slot: number }>} [options.events] - scripted churn
+   * @param {Array<{ frame: number, slot: number }>} [options.corrupt] - nudge a peer's
+   *   state on a frame, to check that divergence is caught
+   * @param {function} [options.inputs] - (slot, frame) => encoded input; default randomInputs(seed)
+   * @param {number} [options.inputDelay]
+   * @param {boolean} [options.stopOnDivergence] - default true
+   */
+  constructor(options = {}) {
+    const {
+      seed = 1, peers = 4, startPeers = peers, network = {}, churnInterval = 0, events = [],
+      corrupt = [], inputs = null, inputDelay = 2, stopOnDivergence = true,
+    } = options;
+    if (peers < 2 || peers > MAX_HUMANS) {
+      throw new Error(`Soak needs 2-${MAX_HUMANS} peers, got ${peers}`);
+    }
+
+    this.seed = seed;
+    this.numPeers = peers;
+    this.churnInterval = churnInterval;
+    this.events = events.slice().sort((a, b) => a.frame - b.frame);
+    this.corrupt = corrupt;
+    this.inputs = inputs || randomInputs(seed);
+    this.inputDelay = inputDelay;
+    this.stopOnDivergence = stopOnDivergence;
+
+    this._rng = new DeterministicRNG(seed ^ 0x5EED);
+    this._clock = createClock();
+    this._conditioner = new NetworkConditioner({ defaults: network }, {
+      random: () => this._rng.next(),
+      now: this._clock.now,
+      setTimeout: this._clock.setTimeout,
+      clearTimeout: this._clock.clearTimeout,
+    });
+
+    this.peers = new Array(MAX_HUMANS).fill(null);
+    this._nextPeerId = 0;
+    this._confirmed = new Map(); // frame -> { slot, checksum, matches, state } first peer to confirm it
+    this.frame = 0;
+    this.divergence = null;
+    this._settleUntil = -1; // checksums are suppressed before this frame after a state sync
+    this._recovering = null; // { deadline, lastMismatch, divergence } mismatch waiting on a resync
+    this._resyncCooldownUntil = 0;
+    this.stats = {
+      ticks: 0, joins: 0, leaves: 0, resyncs: 0, desyncEvents: 0, compared: 0, rollbacks: 0, recovered: 0,
+    };
+
+    this._start(startPeers);
+  }
+
+  /**
+   * Run until the authority has simulated `frames` frames (or a divergence).
+   * @returns {{ ok: boolean, seed: number, frames: number, divergence: object|null,
+   *   stalled: boolean, stats: object, network: object }}
+   */
+  run(frames) {
+    const maxTicks = frames * 4; // stalls and waits take ticks without frames
+    while (this.frame < frames && !(this.divergence && this.stopOnDivergence) && this.stats.ticks < maxTicks) {
+      this.tick();
+    }
+    for (const peer of this._activePeers()) {
+      this.stats.rollbacks += peer.session.stats.rollbacks;
+    }
+    return {
+      ok: this.divergence === null && this.frame >= frames,
+      seed: this.seed,
+      frames: this.frame,
+      divergence: this.divergence,
+      stalled: this.divergence === null && this.frame < frames,
+      stats: { ...this.stats },
+      network: { ...this._conditioner.stats },
+    };
+  }
+
+  /** One 60Hz tick on every peer, in GameLoop order. */
+  tick() {
+    this._clock.advance(TICK_MS);
+    this._applyChurn();
+
+    for (const peer of this._activePeers()) {
+      this._drain(peer);
+    }
+    for (const peer of this._activePeers()) {
+      this._advance(peer);
+    }
+    for (const peer of this._activePeers()) {
+      this._send(peer);
+      for (const event of peer.session.pollEvents()) {
+        if (event.type === 'DesyncDetected') {
+          this.stats.desyncEvents++;
+          if (peer.slot === this._authoritySlot() && this.frame >= this._resyncCooldownUntil) {
+            this._resync();
+          }
+        }
+      }
+    }
+
+    this.frame = this.peers[this._authoritySlot()].sim._frame;
+    if (this._recovering && this.frame > this._recovering.deadline && !this.divergence) {
+      this.divergence = { ...this._recovering.divergence, unrecovered: true };
+    }
+    this.stats.ticks++;
+  }
+
+  // --- Private ---
+
+  _activePeers() {
+    return this.peers.filter(peer => peer !== null);
+  }
+
+  _authoritySlot() {
+    return this.peers.findIndex(peer => peer !== null);
+  }
+
+  _start(count) {
+    const sim = this._createSim();
+    for (let slot = 0; slot < count; slot++) {
+      sim.activatePlayer(slot, slot);
+    }
+    sim.startGame();
+    const state = sim.serialize();
+    for (let slot = 0; slot < count; slot++) {
+      this.peers[slot] = this._createPeer(slot, state);
+    }
+    for (const peer of this._activePeers()) {
+      this._syncSlots(peer);
+    }
+  }
+
+  _createSim() {
+    return new GameSimulation({ gameMode: GAME_MODE_TEAM, seed: this.seed });
+  }
+
+  _createPeer(slot, state) {
+    const sim = this._createSim();
+    sim.deserialize(state.slice(0));
+    const peer = {
+      slot,
+      id: this._nextPeerId++,
+      sim,
+      session: null,
+      inbox: [],
+      sendWindow: new InputSendWindow(),
+      inputAcks: new InputAckTracker(),
+      lastCompared: sim._frame - 1,
+    };
+    peer.session = new RollbackSession({
+      numPlayers: MAX_HUMANS,
+      localPlayerIndex: slot,
+      inputDelay: this.inputDelay,
+      startFrame: sim._frame,
+      autoInputSlots: new Set(),
+      disconnectTimeout: Infinity, // wall clock means nothing on a virtual clock
+    });
+    peer.session.running = true;
+    return peer;
+  }
+
+  // Session bookkeeping for who is playing, after every join/leave/resync
+  _syncSlots(peer) {
+    const { session } = peer;
+    for (let slot = 0; slot < MAX_HUMANS; slot++) {
+      if (slot !== peer.slot) {
+        const playing = this.peers[slot] !== null;
+        session.setPeerConnected(slot, playing);
+        session.peerSynchronized[slot] = playing;
+        session.peerDisconnected[slot] = false;
+        if (playing) {
+          session.autoInputSlots.delete(slot);
+        } else {
+          session.autoInputSlots.add(slot);
+        }
+      }
+    }
+  }
+
+  _applyChurn() {
+    const churn = [];
+    while (this.events.length > 0 && this.events[0].frame <= this.frame) {
+      churn.push(this.events.shift());
+    }
+    if (this.churnInterval > 0 && this._rng.nextInt(this.churnInterval) === 0) {
+      const slot = this._rng.nextInt(this.numPeers);
+      churn.push({ type: this.peers[slot] ? 'leave' : 'join', slot });
+    }
+
+    for (const { type, slot } of churn) {
+      const active = this._activePeers().length;
+      if (type === 'join' && !this.peers[slot] && slot < this.numPeers) {
+        this._stateSync(sim => sim.activatePlayer(slot, slot), slot);
+        this.stats.joins++;
+      } else if (type === 'leave' && this.peers[slot] && active > 2) {
+        this.stats.rollbacks += this.peers[slot].session.stats.rollbacks;
+        this.peers[slot] = null;
+        this._stateSync(sim => sim.deactivatePlayer(slot));
+        this.stats.leaves++;
+      }
+    }
+  }
+
+  // A desync resync: unlike a join or leave the authority carries on as it was
+  _resync() {
+    this._stateSync(() => {}, -1, false);
+    this._resyncCooldownUntil = this.frame + RESYNC_COOLDOWN_FRAMES;
+    this.stats.resyncs++;
+  }
+
+  // The authority changes its state and every peer (a joiner included) loads it
+  _stateSync(change, joiningSlot = -1, resetAuthority = true) {
+    const authority = this.peers[this._authoritySlot()];
+    change(authority.sim);
+    const state = authority.sim.serialize();
+    const frame = authority.sim._frame;
+
+    if (joiningSlot >= 0) {
+      this.peers[joiningSlot] = this._createPeer(joiningSlot, state);
+    }
+    for (const peer of this._activePeers()) {
+      if (peer !== authority || resetAuthority) {
+        if (peer.slot !== joiningSlot) {
+          peer.sim.deserialize(state.slice(0));
+          peer.session.resetToFrame(frame);
+        }
+        peer.sendWindow.reset();
+        peer.inputAcks.reset();
+        peer.lastCompared = frame - 1;
+        this._settleUntil = Math.max(this._settleUntil, peer.session.checksumSuppressUntilFrame);
+      }
+      this._syncSlots(peer);
+    }
+    if (this._recovering) {
+      this._recovering = null;
+      this.stats.recovered++;
+    }
+    // Confirmations from the old timeline no longer apply
+    for (const confirmedFrame of this._confirmed.keys()) {
+      if (confirmedFrame >= frame) {
+        this._confirmed.delete(confirmedFrame);
+      }
+    }
+  }
+
+  // MultiplayerManager.drainMessages: apply inputs, ack them, note checksums
+  _drain(peer) {
+    const acks = new Map();
+    for (const { from, data } of peer.inbox) {
+      const msg = InputEncoder.decode(data);
+      if (msg.type === MessageType.INPUT) {
+        for (let i = msg.inputs.length - 1; i >= 0; i--) {
+          peer.session.addRemoteInput(msg.playerIndex, msg.inputs[i].frame, msg.inputs[i].input);
+        }
+        const oldest = msg.frame - msg.inputs.length + 1;
+        acks.set(from, peer.inputAcks.receive(from, msg.playerIndex, oldest, msg.frame));
+      } else if (msg.type === MessageType.INPUT_ACK) {
+        peer.sendWindow.ack(from, msg.frame);
+      } else if (msg.type === MessageType.CHECKSUM) {
+        peer.session.addRemoteChecksum(this._slotOfPeerId(from), msg.frame, msg.checksum);
+      }
+    }
+    peer.inbox = [];
+    for (const [to, frame] of acks) {
+      this._post(peer, to, InputEncoder.encodeInputAck(frame, peer.slot));
+    }
+  }
+
+  // GameLoop._tick: local input, rollback requests, then record what is confirmed
+  _advance(peer) {
+    const { sim, session } = peer;
+    session.addLocalInput(this.inputs(peer.slot, session.currentFrame));
+    for (const request of session.advanceFrame()) {
+      if (request.type === 'SaveGameState') {
+        request.cell.save(sim.serialize());
+      } else if (request.type === 'LoadGameState') {
+        sim.deserialize(request.cell.load());
+      } else {
+        sim.tick(request.inputs);
+      }
+    }
+
+    for (const { frame, slot } of this.corrupt) {
+      if (slot === peer.slot && sim._frame === frame + 1) {
+        sim._chars[slot].score += 1;
+      }
+    }
+
+    // The snapshot saved at frame f only depends on inputs before f
+    const settled = Math.min(session.syncFrame + 1, session.currentFrame - 1);
+    for (let frame = peer.lastCompared + 1; frame <= settled; frame++) {
+      const checksum = session.stateBuffer.getChecksum(frame);
+      if (checksum !== null) {
+        this._compare(peer, frame, checksum);
+      }
+    }
+    peer.lastCompared = Math.max(peer.lastCompared, settled);
+  }
+
+  _compare(peer, frame, checksum) {
+    const first = this._confirmed.get(frame);
+    if (!first) {
+      this._confirmed.set(frame, {
+        slot: peer.slot, checksum, matches: 0, state: peer.session.stateBuffer.load(frame),
+      });
+      this._confirmed.delete(frame - COMPARE_HISTORY);
+    } else if (first.slot !== peer.slot) {
+      this.stats.compared++;
+      if (first.checksum === checksum) {
+        first.matches++;
+        this._checkRecovered(frame, first);
+      } else if (this._recovering) {
+        this._recovering.lastMismatch = frame;
+      } else if (!this.divergence || frame < this.divergence.frame) {
+        const diffs = diffStates(first.state, peer.session.stateBuffer.load(frame));
+        const divergence = { frame, peers: [first.slot, peer.slot], diffs, summary: formatStateDiff(diffs) };
+        if (frame < this._settleUntil) {
+          this._recovering = { deadline: frame + RECOVERY_FRAMES, lastMismatch: frame, divergence };
+        } else {
+          this.divergence = divergence;
+        }
+      }
+    }
+  }
+
+  // States can also converge by themselves (a velocity difference that ends
+  // when both copies land): one later frame every peer agrees on will do
+  _checkRecovered(frame, first) {
+    const agreed = first.matches === this._activePeers().length - 1;
+    if (this._recovering && agreed && frame > this._recovering.lastMismatch) {
+      this._recovering = null;
+      this.stats.recovered++;
+    }
+  }
+
+  // GameLoop._sendLocalInput and the periodic checksum
+  _send(peer) {
+    for (const { frame, input } of peer.session.getNewLocalInputs()) {
+      peer.sendWindow.push(frame, input);
+    }
+    for (const other of this._activePeers()) {
+      if (other !== peer) {
+        const batch = peer.sendWindow.unackedFor(other.id);
+        if (batch) {
+          this._post(peer, other.id, InputEncoder.encodeInputMessage(batch.frame, peer.slot, batch.inputs));
+        }
+      }
+    }
+
+    const checksum = peer.session.getCurrentChecksum();
+    if (checksum) {
+      const message = InputEncoder.encodeChecksumMessage(checksum.frame, checksum.checksum);
+      for (const other of this._activePeers()) {
+        if (other !== peer) {
+          this._post(peer, other.id, message);
+        }
+      }
+    }
+  }
+
+  _post(from, toId, message) {
+    this._conditioner.outgoing(`${from.id}>${toId}`, message, (link, data) => {
+      const to = this._activePeers().find(peer => peer.id === toId);
+      if (to) {
+        to.inbox.push({ from: from.id, data });
+      }
+    });
+  }
+
+  _slotOfPeerId(id) {
+    const peer = this._activePeers().find(candidate => candidate.id === id);
+    return peer ? peer.slot : -1;
+  }
+}
+
+/**
+ * Run one soak and return its result (see SoakHarness.run).
+ * @param {object} options - SoakHarness options plus `frames`
+ */
+export function runSoak({ frames = 3600, ...options } = {}) {
+  return new SoakHarness(options).run(frames);
+}
@@ -0,0 +1,82 @@
+// soakCli — Run the rollback soak harness from the command line.
+//
+//   npm run soak -- --seed 7 --frames 20000 --latency 120 --jitter 30 --loss 5 --churn 900
+//
+// Flags (rates in percent, as in the in-game URL flags):
+//   --seed N       run seed (default: random, printed so a failure can be replayed)
+//   --runs N       consecutive seeds to run, starting at --seed (default 1)
+//   --frames N     frames per run (default 3600)
+//   --peers N      slots in play, 2-4 (default 4)
+//   --start N      peers active at frame 0 (default all)
+//   --latency, --jitter, --loss, --dup, --reorder, --kbps   network faults
+//   --churn N      mean frames between random joins/leaves (default 0, none)
+//   --delay N      input delay in frames (default 2)
+// Exits 1 on the first run whose peers diverge, after printing the frame and
+// a field-level diff of the two states.
+
+import { runSoak } from './SoakHarness.js';
+import { parseNetworkConditions } from '../../netcode/transport/NetworkConditioner.js';
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+}
+
+function intArg(args, name, fallback) {
+  const value = parseInt(args[name], 10);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const networkParams = new URLSearchParams();
+  for (const name of ['latency', 'jitter', 'loss', 'dup', 'reorder', 'kbps']) {
+    if (args[name] !== undefined) {
+      networkParams.set(name, args[name]);
+    }
+  }
+  const network = parseNetworkConditions(networkParams);
+  const firstSeed = intArg(args, 'seed', Math.floor(Math.random() * 0x7fffffff));
+  const runs = intArg(args, 'runs', 1);
+  const peers = intArg(args, 'peers', 4);
+
+  let failed = false;
+  for (let run = 0; run < runs && !failed; run++) {
+    const seed = firstSeed + run;
+    const result = runSoak({
+      seed,
+      frames: intArg(args, 'frames', 3600),
+      peers,
+      startPeers: intArg(args, 'start', peers),
+      network: network ? network.defaults : {},
+      churnInterval: intArg(args, 'churn', 0),
+      inputDelay: intArg(args, 'delay', 2),
+    });
+    const { stats } = result;
+    console.log(
+      `seed ${seed}: ${result.ok ? 'ok' : 'FAILED'} — ${result.frames} frames, ` +
+      `${stats.compared} checksums compared, ${stats.rollbacks} rollbacks, ` +
+      `${stats.joins} joins, ${stats.leaves} leaves, ${stats.resyncs} resyncs ` +
+      `(${stats.recovered} post-sync mismatches repaired), ` +
+      `${result.network.lost} messages lost`
+    );
+    if (result.divergence) {
+      const { frame, peers: slots, summary, unrecovered } = result.divergence;
+      const note = unrecovered ? ', just after a state sync and never repaired' : '';
+      console.log(`First divergent frame: ${frame} (slot ${slots[0]} vs slot ${slots[1]}${note})`);
+      console.log(summary);
+    } else if (result.stalled) {
+      console.log('Peers stopped advancing');
+    }
+    failed = !result.ok;
+  }
+  process.exit(failed ? 1 : 0);
+}
+
+main();
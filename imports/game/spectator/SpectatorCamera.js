@@ -0,0 +1,201 @@
+// SpectatorCamera — Free or follow view for spectators, applied to the
+// Level1Scene orthographic camera by moving its ortho bounds.
+// Free: whole arena by default; arrow keys/WASD pan and +/- zoom.
+// Follow: zoomed in on one player, eased towards them every frame.
+// Keys: C = switch mode, Tab = next player, 1-4 = follow that player's slot.
+
+import { MAX_HUMANS } from '../physics/stateLayout.js';
+
+export const CameraMode = {
+  FREE: 'free',
+  FOLLOW: 'follow',
+};
+
+const MIN_ZOOM = 1;
+const MAX_ZOOM = 3;
+const ZOOM_STEP = 1.25;
+const FOLLOW_ZOOM = 2;
+const PAN_SPEED = 0.8; // view widths per second
+const FOLLOW_EASE = 6; // per second
+
+const PAN_KEYS = {
+  ArrowLeft: [-1, 0],
+  KeyA: [-1, 0],
+  ArrowRight: [1, 0],
+  KeyD: [1, 0],
+  ArrowUp: [0, 1],
+  KeyW: [0, 1],
+  ArrowDown: [0, -1],
+  KeyS: [0, -1],
+};
+
+export class SpectatorCamera {
+  /**
+   * @param {{ left: number, right: number, bottom: number, top: number }} bounds - full arena view
+   */
+  constructor(bounds) {
+    this.bounds = { ...bounds };
+    this.mode = CameraMode.FREE;
+    this.zoom = MIN_ZOOM;
+    this.centerX = (bounds.left + bounds.right) / 2;
+    this.centerY = (bounds.bottom + bounds.top) / 2;
+    this.followSlot = -1;
+
+    this._heldKeys = new Set();
+    this._keyDownHandler = null;
+    this._keyUpHandler = null;
+  }
+
+  toggleMode() {
+    if (this.mode === CameraMode.FREE) {
+      this.mode = CameraMode.FOLLOW;
+      this.zoom = FOLLOW_ZOOM;
+    } else {
+      this.mode = CameraMode.FREE;
+      this.zoom = MIN_ZOOM;
+    }
+  }
+
+  /**
+   * Follow the next active player after the current one.
+   * @param {object[]} humans - GameSimulation render state humans
+   */
+  followNext(humans) {
+    for (let step = 1; step <= MAX_HUMANS; step++) {
+      const slot = (this.followSlot + step + MAX_HUMANS) % MAX_HUMANS;
+      if (humans[slot]?.active) {
+        this.follow(slot);
+        break;
+      }
+    }
+  }
+
+  follow(slot) {
+    this.followSlot = slot;
+    if (this.mode !== CameraMode.FOLLOW) {
+      this.mode = CameraMode.FOLLOW;
+      this.zoom = FOLLOW_ZOOM;
+    }
+  }
+
+  zoomBy(factor) {
+    this.zoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, this.zoom * factor));
+  }
+
+  /**
+   * Move the view centre for one rendered frame.
+   * @param {object[]} humans - GameSimulation render state humans
+   * @param {number} dt - seconds since the last update
+   */
+  update(humans, dt) {
+    if (this.mode === CameraMode.FOLLOW) {
+      if (!humans[this.followSlot]?.active) {
+        this.followNext(humans);
+      }
+      const target = humans[this.followSlot];
+      if (target?.active) {
+        const ease = Math.min(1, FOLLOW_EASE * dt);
+        this.centerX += (target.positionX - this.centerX) * ease;
+        this.centerY += (target.positionY - this.centerY) * ease;
+      }
+    } else {
+      const viewWidth = (this.bounds.right - this.bounds.left) / this.zoom;
+      for (const code of this._heldKeys) {
+        const [dx, dy] = PAN_KEYS[code];
+        this.centerX += dx * viewWidth * PAN_SPEED * dt;
+        this.centerY += dy * viewWidth * PAN_SPEED * dt;
+      }
+    }
+    this._clampCenter();
+  }
+
+  /**
+   * Ortho bounds for the current mode, zoom and centre (never outside the arena).
+   * @returns {{ left: number, right: number, bottom: number, top: number }}
+   */
+  getView() {
+    const halfWidth = (this.bounds.right - this.bounds.left) / (2 * this.zoom);
+    const halfHeight = (this.bounds.top - this.bounds.bottom) / (2 * this.zoom);
+    return {
+      left: this.centerX - halfWidth,
+      right: this.centerX + halfWidth,
+      bottom: this.centerY - halfHeight,
+      top: this.centerY + halfHeight,
+    };
+  }
+
+  /**
+   * Copy the view onto a Babylon orthographic camera.
+   */
+  apply(camera) {
+    const view = this.getView();
+    camera.orthoLeft = view.left;
+    camera.orthoRight = view.right;
+    camera.orthoBottom = view.bottom;
+    camera.orthoTop = view.top;
+  }
+
+  /**
+   * @param {function(): object[]} getHumans - current render state humans (for Tab)
+   */
+  attachControls(getHumans) {
+    this._keyDownHandler = (event) => {
+      if (PAN_KEYS[event.code]) {
+        this._heldKeys.add(event.code);
+        event.preventDefault();
+      } else if (!event.repeat) {
+        this._handleKey(event, getHumans);
+      }
+    };
+    this._keyUpHandler = (event) => {
+      this._heldKeys.delete(event.code);
+    };
+    window.addEventListener('keydown', this._keyDownHandler);
+    window.addEventListener('keyup', this._keyUpHandler);
+  }
+
+  detachControls() {
+    if (this._keyDownHandler) {
+      window.removeEventListener('keydown', this._keyDownHandler);
+      window.removeEventListener('keyup', this._keyUpHandler);
+      this._keyDownHandler = null;
+      this._keyUpHandler = null;
+    }
+    this._heldKeys.clear();
+  }
+
+  // --- Private ---
+
+  _handleKey(event, getHumans) {
+    switch (event.code) {
+      case 'KeyC':
+        this.toggleMode();
+        break;
+      case 'Tab':
+        this.followNext(getHumans() || []);
+        event.preventDefault();
+        break;
+      case 'Digit1':
+      case 'Digit2':
+      case 'Digit3':
+      case 'Digit4':
+        this.follow(Number(event.code.slice(-1)) - 1);
+        break;
+      case 'Equal':
+      case 'NumpadAdd':
+        this.zoomBy(ZOOM_STEP);
+        break;
+      case 'Minus':
+      case 'NumpadSubtract':
+        this.zoomBy(1 / ZOOM_STEP);
+        break;
+    }
+  }
+
+  _clampCenter() {
+    const halfWidth = (this.bounds.right - this.bounds.left) / (2 * this.zoom);
+    const halfHeight = (this.bounds.top - this.bounds.bottom) / (2 * this.zoom);
+    this.centerX = Math.min(this.bounds.right - halfWidth, Math.max(this.bounds.left + halfWidth, this.centerX));
+    this.centerY = Math.min(this.bounds.top - halfHeight, Math.max(this.bounds.bottom + halfHeight, this.centerY));
+  }
+}
@@ -0,0 +1,373 @@
+// SpectatorFeed — Streams a live match to spectators.
+// The resync authority's ReplayRecorder already holds the settled timeline
+// (every tick's inputs plus activations made between ticks). SpectatorHost
+// sends the part of it that can no longer change — frames up to the session's
+// syncFrame — as SPECTATOR_INPUTS messages, and a confirmed STATE_SYNC snapshot
+// whenever a spectator needs a starting point. SpectatorPlayback runs those on
+// the spectator's own GameSimulation, which never predicts or rolls back.
+//
+// SPECTATOR_INPUTS wire format (little-endian):
+//   [type(1B), frame(4B), opCount(2B), ops...]
+//   TICK       op(1B), inputs(MAX_HUMANS B)   — advances the frame by one
+//   ACTIVATE   op(1B), slot(1B), paletteIndex(1B)
+//   DEACTIVATE op(1B), slot(1B)
+//   START      op(1B)
+// Op codes are the ReplayOp values; `frame` is the frame of the first op.
+
+import { InputEncoder, MessageType } from '../../netcode/InputEncoder.js';
+import { MAX_HUMANS } from '../physics/stateLayout.js';
+import { ReplayOp } from '../replay/ReplayFile.js';
+import { GameEventLog } from '../GameEventLog.js';
+
+// Frames re-sent in every message so a lost packet doesn't stall playback
+export const SPECTATOR_REDUNDANCY = 10;
+
+// Frames per message (keeps SPECTATOR_INPUTS under the relay's size cap)
+export const MAX_FEED_FRAMES = 60;
+
+// A backlog this large is cheaper to replace with a fresh snapshot
+const MAX_CATCH_UP_FRAMES = 180;
+
+const HEADER_SIZE = 7;
+
+const STREAMED_OPS = new Set([ReplayOp.TICK, ReplayOp.ACTIVATE, ReplayOp.DEACTIVATE, ReplayOp.START]);
+
+/**
+ * @param {number} frame - frame of the first op
+ * @param {object[]} ops - recorder ops (TICK/ACTIVATE/DEACTIVATE/START)
+ * @returns {ArrayBuffer}
+ */
+export function encodeSpectatorInputs(frame, ops) {
+  let size = HEADER_SIZE;
+  for (const entry of ops) {
+    size += opSize(entry.op);
+  }
+
+  const buffer = new ArrayBuffer(size);
+  const view = new DataView(buffer);
+  view.setUint8(0, MessageType.SPECTATOR_INPUTS);
+  view.setUint32(1, frame, true);
+  view.setUint16(5, ops.length, true);
+
+  let offset = HEADER_SIZE;
+  for (const entry of ops) {
+    view.setUint8(offset, entry.op);
+    if (entry.op === ReplayOp.TICK) {
+      for (let slot = 0; slot < MAX_HUMANS; slot++) {
+        view.setUint8(offset + 1 + slot, entry.inputs[slot] & 0xFF);
+      }
+    } else if (entry.op === ReplayOp.ACTIVATE) {
+      view.setUint8(offset + 1, entry.slot);
+      view.setUint8(offset + 2, entry.paletteIndex);
+    } else if (entry.op === ReplayOp.DEACTIVATE) {
+      view.setUint8(offset + 1, entry.slot);
+    }
+    offset += opSize(entry.op);
+  }
+  return buffer;
+}
+
+/**
+ * Decode a SPECTATOR_INPUTS message. Every op is tagged with its frame.
+ * @param {ArrayBuffer} buffer
+ * @returns {{ frame: number, ops: object[] }}
+ */
+export function decodeSpectatorInputs(buffer) {
+  const view = new DataView(buffer);
+  const frame = view.getUint32(1, true);
+  const opCount = view.getUint16(5, true);
+  const ops = [];
+
+  let offset = HEADER_SIZE;
+  let opFrame = frame;
+  for (let i = 0; i < opCount; i++) {
+    const op = view.getUint8(offset);
+    switch (op) {
+      case ReplayOp.TICK: {
+        const inputs = new Array(MAX_HUMANS);
+        for (let slot = 0; slot < MAX_HUMANS; slot++) {
+          inputs[slot] = view.getUint8(offset + 1 + slot);
+        }
+        ops.push({ op, frame: opFrame, inputs });
+        opFrame++;
+        break;
+      }
+      case ReplayOp.ACTIVATE:
+        ops.push({
+          op,
+          frame: opFrame,
+          slot: view.getUint8(offset + 1),
+          paletteIndex: view.getUint8(offset + 2),
+        });
+        break;
+      case ReplayOp.DEACTIVATE:
+        ops.push({ op, frame: opFrame, slot: view.getUint8(offset + 1) });
+        break;
+      case ReplayOp.START:
+        ops.push({ op, frame: opFrame });
+        break;
+      default:
+        throw new Error('Unknown spectator op ' + op);
+    }
+    offset += opSize(op);
+  }
+  return { frame, ops };
+}
+
+/**
+ * Player side: tracks connected spectators and, while this peer is the resync
+ * authority, streams confirmed frames to them.
+ */
+export class SpectatorHost {
+  /**
+   * @param {{ send: function(string, ArrayBuffer) }} config
+   */
+  constructor({ send }) {
+    this._send = send;
+    this.spectators = new Set(); // peerIds
+    this._needsState = new Set(); // spectators waiting for a snapshot
+    this._streaming = false;
+    this._sentFrame = -1; // newest frame already streamed
+  }
+
+  has(peerId) {
+    return this.spectators.has(peerId);
+  }
+
+  add(peerId) {
+    this.spectators.add(peerId);
+    this._needsState.add(peerId);
+  }
+
+  remove(peerId) {
+    this.spectators.delete(peerId);
+    this._needsState.delete(peerId);
+  }
+
+  // A spectator lost track (gap in the stream) and asked for a new snapshot
+  requestState(peerId) {
+    if (this.spectators.has(peerId)) {
+      this._needsState.add(peerId);
+    }
+  }
+
+  // Call after mutating the simulation outside a tick (player activation):
+  // a snapshot taken earlier in the same frame would not include it
+  resendState() {
+    this._markAllNeedState();
+  }
+
+  /**
+   * Call once per game loop iteration, after the ticks.
+   * @param {?{
+   *   recorder: ReplayRecorder,
+   *   confirmedFrame: number,
+   *   getConfirmedState: function(number): ?ArrayBuffer,
+   * }} source - null unless this peer is the resync authority
+   */
+  update(source) {
+    if (!source || this.spectators.size === 0) {
+      this._streaming = false;
+      this._sentFrame = -1;
+    } else {
+      // Becoming the authority (or falling far behind) restarts everyone
+      // from a snapshot instead of trusting what a previous authority sent
+      if (!this._streaming || source.confirmedFrame - this._sentFrame > MAX_CATCH_UP_FRAMES) {
+        this._streaming = true;
+        this._sentFrame = source.confirmedFrame;
+        this._markAllNeedState();
+      }
+
+      this._streamConfirmedFrames(source.recorder, source.confirmedFrame);
+      this._sendSnapshots(source.getConfirmedState);
+    }
+  }
+
+  // --- Private ---
+
+  _markAllNeedState() {
+    for (const peerId of this.spectators) {
+      this._needsState.add(peerId);
+    }
+  }
+
+  _streamConfirmedFrames(recorder, confirmedFrame) {
+    const newestFrame = Math.min(confirmedFrame, this._sentFrame + MAX_FEED_FRAMES);
+    if (newestFrame > this._sentFrame) {
+      const oldestFrame = Math.max(this._sentFrame - SPECTATOR_REDUNDANCY, newestFrame - MAX_FEED_FRAMES) + 1;
+      const ops = collectOps(recorder.ops, oldestFrame, newestFrame);
+
+      if (ops === null) {
+        // The recorder loaded a STATE_SYNC inside this window — resend state
+        this._markAllNeedState();
+      } else if (ops.length > 0) {
+        const message = encodeSpectatorInputs(ops[0].frame, ops);
+        for (const peerId of this.spectators) {
+          if (!this._needsState.has(peerId)) {
+            this._send(peerId, message);
+          }
+        }
+      }
+      this._sentFrame = newestFrame;
+    }
+  }
+
+  _sendSnapshots(getConfirmedState) {
+    if (this._needsState.size > 0) {
+      // The next frame to be streamed is the one the snapshot must start at
+      const frame = this._sentFrame + 1;
+      const state = getConfirmedState(frame);
+      if (state) {
+        const message = InputEncoder.encodeStateSyncMessage(frame, state);
+        for (const peerId of this._needsState) {
+          this._send(peerId, message);
+        }
+        this._needsState.clear();
+      }
+    }
+  }
+}
+
+/**
+ * Spectator side: applies confirmed frames to a GameSimulation in order.
+ */
+export class SpectatorPlayback {
+  /**
+   * @param {{ game: GameSimulation }} config
+   */
+  constructor({ game }) {
+    this.game = game;
+    this.hasState = false;
+    this.nextFrame = -1; // frame the next tick will simulate
+    this._stateFrame = -1;
+    this._pending = new Map(); // frame -> ops for that frame (TICK last)
+    this._newestFrame = -1;
+    this.events = new GameEventLog();
+  }
+
+  // Confirmed frames received but not yet simulated
+  get bufferedFrames() {
+    let count = 0;
+    while (this._pending.has(this.nextFrame + count)) {
+      count++;
+    }
+    return count;
+  }
+
+  /**
+   * Load a STATE_SYNC snapshot. Ops already reflected in it (same frame,
+   * before the tick) are skipped when that frame is played. Buffered frames
+   * are dropped: the stream that follows a snapshot re-sends what it needs.
+   */
+  loadState(frame, stateBuffer) {
+    this.game.deserialize(stateBuffer);
+    this.hasState = true;
+    this.nextFrame = frame;
+    this._stateFrame = frame;
+    this._pending.clear();
+    this._newestFrame = frame - 1;
+  }
+
+  /**
+   * Buffer the frames from a decoded SPECTATOR_INPUTS message. Frames that
+   * were already played or buffered (redundant copies) are ignored.
+   */
+  addInputs({ ops }) {
+    let frameOps = [];
+    for (const entry of ops) {
+      frameOps.push(entry);
+      if (entry.op === ReplayOp.TICK) {
+        const isNew = this.hasState && entry.frame >= this.nextFrame && !this._pending.has(entry.frame);
+        if (isNew) {
+          this._pending.set(entry.frame, frameOps);
+          this._newestFrame = Math.max(this._newestFrame, entry.frame);
+        }
+        frameOps = [];
+      }
+    }
+  }
+
+  /**
+   * Simulate the next frame if its inputs have arrived.
+   * @returns {boolean} false when waiting for more of the stream
+   */
+  stepFrame() {
+    const frameOps = this._pending.get(this.nextFrame);
+    let stepped = false;
+    if (frameOps) {
+      this._pending.delete(this.nextFrame);
+      for (const entry of frameOps) {
+        const supersededBySnapshot = entry.frame === this._stateFrame && entry.op !== ReplayOp.TICK;
+        if (!supersededBySnapshot) {
+          this._applyOp(entry);
+        }
+      }
+      this.nextFrame++;
+      stepped = true;
+    }
+    return stepped;
+  }
+
+  /**
+   * True when later frames arrived but the next one is missing even from the
+   * redundant copies — only a fresh snapshot can recover.
+   */
+  hasGap() {
+    return this.hasState &&
+      !this._pending.has(this.nextFrame) &&
+      this._newestFrame - this.nextFrame >= SPECTATOR_REDUNDANCY;
+  }
+
+  // --- Private ---
+
+  _applyOp(entry) {
+    switch (entry.op) {
+      case ReplayOp.TICK:
+        this.events.record(this.game.frame, this.game.tick(entry.inputs));
+        break;
+      case ReplayOp.ACTIVATE:
+        this.game.activatePlayer(entry.slot, entry.paletteIndex);
+        break;
+      case ReplayOp.DEACTIVATE:
+        this.game.deactivatePlayer(entry.slot);
+        break;
+      case ReplayOp.START:
+        this.game.startGame();
+        break;
+    }
+  }
+}
+
+// --- Private helpers ---
+
+function opSize(op) {
+  let size = 1;
+  if (op === ReplayOp.TICK) {
+    size += MAX_HUMANS;
+  } else if (op === ReplayOp.ACTIVATE) {
+    size += 2;
+  } else if (op === ReplayOp.DEACTIVATE) {
+    size += 1;
+  }
+  return size;
+}
+
+// Ops for frames oldestFrame..newestFrame in recorder order, or null if a
+// STATE load falls inside that range. Recorder ops are sorted by frame.
+function collectOps(recorderOps, oldestFrame, newestFrame) {
+  let start = recorderOps.length;
+  while (start > 0 && recorderOps[start - 1].frame >= oldestFrame) {
+    start--;
+  }
+
+  let ops = [];
+  for (let i = start; i < recorderOps.length && ops !== null && recorderOps[i].frame <= newestFrame; i++) {
+    const entry = recorderOps[i];
+    if (entry.op === ReplayOp.STATE) {
+      ops = null;
+    } else if (STREAMED_OPS.has(entry.op)) {
+      ops.push(entry);
+    }
+  }
+  return ops;
+}
@@ -0,0 +1,272 @@
+// SpectatorManager — Watches a live room without taking a player slot.
+// Registers as a spectator (rooms.spectate), connects to every player through
+// TransportManager and plays the confirmed stream the resync authority sends
+// (see SpectatorFeed) on a local GameSimulation. Nothing is predicted or
+// rolled back, and the players' RollbackSessions never see this peer, so
+// watching has no effect on their input delay. Playback runs a few frames
+// behind the stream to absorb network jitter.
+
+import { Meteor } from 'meteor/meteor';
+import { Tracker } from 'meteor/tracker';
+import { GameSimulation } from '../GameSimulation.js';
+import { InputEncoder, MessageType } from '../../netcode/InputEncoder.js';
+import { TransportManager } from '../../netcode/transport/TransportManager.js';
+import { parseNetworkConditions } from '../../netcode/transport/NetworkConditioner.js';
+import { GameRooms, RoomStatus } from '../../lib/collections/gameRooms.js';
+import { rulesFromRoomSettings } from '../gameRules.js';
+import { SpectatorPlayback, decodeSpectatorInputs } from './SpectatorFeed.js';
+import { SpectatorCamera } from './SpectatorCamera.js';
+
+const TICK_MS = 1000 / 60;
+const MAX_TICKS_PER_FRAME = 10;
+
+// Jitter buffer: start (and restart after a stall) once this many frames are
+// queued; play faster while more than MAX_BUFFERED_FRAMES are queued
+const TARGET_BUFFERED_FRAMES = 6;
+const MAX_BUFFERED_FRAMES = 30;
+
+// Ask the players for a snapshot when the stream is broken or silent this long
+const FEED_TIMEOUT_MS = 5000;
+const RESYNC_INTERVAL_MS = 2000;
+
+export class SpectatorManager {
+  /**
+   * @param {{
+   *   roomId: string,
+   *   joinCode?: string,
+   *   renderer: Level1Scene,
+   *   onQuitToMenu: Function,
+   * }} config
+   */
+  constructor(config) {
+    this._roomId = config.roomId;
+    this._joinCode = config.joinCode; // private lobby rooms are watched with their code
+    this._renderer = config.renderer;
+    this._onQuitToMenu = config.onQuitToMenu;
+
+    this._simulation = null;
+    this._playback = null;
+    this._camera = null;
+    this._transport = null;
+    this._roomSubscription = null;
+    this._roomComputation = null;
+    this._playerPeers = new Set(); // players' peerIds we have asked to connect to
+    this._sourcePeerId = null; // player whose stream we are playing
+    this._lastFeedTime = 0;
+    this._lastResyncTime = 0;
+    this._buffering = true;
+    this._heartbeatInterval = null;
+    this._beforeUnloadHandler = null;
+    this._destroyed = false;
+
+    this._accumulator = 0;
+    this._lastTime = 0;
+    this._animationFrameId = null;
+    this._loop = this._loop.bind(this);
+  }
+
+  /**
+   * Register as a spectator, then connect to the players and wait for a snapshot.
+   */
+  async start() {
+    const result = await Meteor.callAsync('rooms.spectate', this._roomId, this._joinCode);
+    if (this._destroyed) {
+      return;
+    }
+
+    this._simulation = new GameSimulation({
+      gameMode: result.gameMode,
+      seed: result.gameSeed,
+      rules: rulesFromRoomSettings(result.settings),
+    });
+    this._playback = new SpectatorPlayback({ game: this._simulation });
+
+    this._renderer.setEnvironmentSeed((result.gameSeed ^ 0xA5A5A5A5) >>> 0);
+    this._camera = new SpectatorCamera(this._renderer.getArenaView());
+    this._renderer.setSpectating(this._camera);
+    this._camera.attachControls(() => this._simulation?.getState()?.humans);
+
+    this._transport = new TransportManager();
+    const localPeerId = await this._transport.initialize(Meteor.absoluteUrl(), this._roomId, Meteor.userId(), {
+      networkConditions: parseNetworkConditions(new URL(window.location.href).searchParams),
+      getRelayToken: () => Meteor.callAsync('rooms.relayToken', this._roomId),
+    });
+    if (this._destroyed) {
+      return;
+    }
+    await Meteor.callAsync('rooms.setPeerJsId', this._roomId, localPeerId);
+
+    this._transport.onReceive((peerId, data) => {
+      this._handleTransportMessage(peerId, data);
+    });
+
+    this._subscribeToRoom();
+    this._startRoomHeartbeat();
+
+    this._lastFeedTime = Date.now();
+    this._lastTime = performance.now();
+    this._animationFrameId = requestAnimationFrame(this._loop);
+  }
+
+  /**
+   * Clean up everything and leave the room's spectator list.
+   */
+  destroy() {
+    this._destroyed = true;
+
+    if (this._animationFrameId !== null) {
+      cancelAnimationFrame(this._animationFrameId);
+      this._animationFrameId = null;
+    }
+    if (this._heartbeatInterval) {
+      clearInterval(this._heartbeatInterval);
+      this._heartbeatInterval = null;
+    }
+    if (this._beforeUnloadHandler) {
+      window.removeEventListener('beforeunload', this._beforeUnloadHandler);
+      this._beforeUnloadHandler = null;
+    }
+    if (this._camera) {
+      this._camera.detachControls();
+      this._camera = null;
+    }
+    if (this._transport) {
+      this._transport.destroy();
+      this._transport = null;
+    }
+    if (this._roomComputation) {
+      this._roomComputation.stop();
+      this._roomComputation = null;
+    }
+    if (this._roomSubscription) {
+      this._roomSubscription.stop();
+      this._roomSubscription = null;
+    }
+    if (this._roomId) {
+      Meteor.callAsync('rooms.leave', this._roomId).catch(() => {});
+      this._roomId = null;
+    }
+
+    this._simulation = null;
+    this._playback = null;
+    this._playerPeers.clear();
+  }
+
+  // ---- Private ----
+
+  _startRoomHeartbeat() {
+    this._heartbeatInterval = setInterval(() => {
+      if (this._roomId && !this._destroyed) {
+        Meteor.callAsync('rooms.touch', this._roomId).catch(() => {});
+      }
+    }, 2 * 60 * 1000); // every 2 minutes
+
+    this._beforeUnloadHandler = () => {
+      if (this._roomId) {
+        Meteor.callAsync('rooms.leave', this._roomId).catch(() => {});
+      }
+    };
+    window.addEventListener('beforeunload', this._beforeUnloadHandler);
+  }
+
+  _subscribeToRoom() {
+    this._roomSubscription = Meteor.subscribe('rooms.current', this._roomId);
+
+    this._roomComputation = Tracker.autorun(() => {
+      if (this._destroyed || !this._roomSubscription.ready()) {
+        return;
+      }
+
+      const room = GameRooms.findOne(this._roomId);
+      const stillSpectating = room && room.status !== RoomStatus.FINISHED &&
+        (room.spectators || []).some(spectator => spectator.userId === Meteor.userId());
+      if (!stillSpectating) {
+        Tracker.afterFlush(() => this._onQuitToMenu());
+        return;
+      }
+
+      const newPeerIds = [];
+      for (const player of room.players) {
+        if (player.peerJsId && !this._playerPeers.has(player.peerJsId)) {
+          this._playerPeers.add(player.peerJsId);
+          newPeerIds.push(player.peerJsId);
+        }
+      }
+      if (newPeerIds.length > 0) {
+        this._transport.connectToPeers(newPeerIds);
+      }
+    });
+  }
+
+  _handleTransportMessage(peerId, data) {
+    if (this._destroyed || !this._playerPeers.has(peerId)) {
+      return;
+    }
+
+    const type = InputEncoder.getMessageType(data);
+    if (type === MessageType.STATE_SYNC) {
+      // Only the resync authority sends us snapshots; whoever sent the latest is the source
+      const { frame, stateData } = InputEncoder.decodeStateSyncMessage(data);
+      this._playback.loadState(frame, stateData);
+      this._sourcePeerId = peerId;
+      this._lastFeedTime = Date.now();
+      this._buffering = true;
+    } else if (type === MessageType.SPECTATOR_INPUTS && peerId === this._sourcePeerId) {
+      this._playback.addInputs(decodeSpectatorInputs(data));
+      this._lastFeedTime = Date.now();
+    }
+  }
+
+  _loop(now) {
+    if (this._destroyed) {
+      return;
+    }
+
+    this._accumulator = Math.min(this._accumulator + (now - this._lastTime), TICK_MS * MAX_TICKS_PER_FRAME);
+    this._lastTime = now;
+
+    while (this._accumulator >= TICK_MS) {
+      this._accumulator -= TICK_MS;
+      this._stepPlayback();
+    }
+
+    this._requestResyncIfStuck();
+
+    if (this._playback.hasState) {
+      this._renderer.draw(this._simulation.getState(), this._playback.events.drain());
+    }
+    this._animationFrameId = requestAnimationFrame(this._loop);
+  }
+
+  _stepPlayback() {
+    const buffered = this._playback.bufferedFrames;
+    if (buffered === 0) {
+      this._buffering = true;
+    } else if (buffered >= TARGET_BUFFERED_FRAMES) {
+      this._buffering = false;
+    }
+
+    if (!this._buffering) {
+      this._playback.stepFrame();
+      // Fell behind the stream (tab in background, hitch) — catch up gradually
+      if (buffered > MAX_BUFFERED_FRAMES) {
+        this._playback.stepFrame();
+      }
+    }
+  }
+
+  _requestResyncIfStuck() {
+    const now = Date.now();
+    const stuck = !this._playback.hasState ||
+      this._playback.hasGap() ||
+      now - this._lastFeedTime > FEED_TIMEOUT_MS;
+
+    if (stuck && now - this._lastResyncTime > RESYNC_INTERVAL_MS) {
+      this._lastResyncTime = now;
+      const request = InputEncoder.encodeResyncRequest(Math.max(0, this._playback.nextFrame));
+      for (const peerId of this._playerPeers) {
+        this._transport.send(peerId, request);
+      }
+    }
+  }
+}
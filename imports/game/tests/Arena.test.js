@@ -0,0 +1,282 @@
+import assert from 'assert';
+import { GameSimulation } from '../GameSimulation.js';
+import {
+  GAME_MODE_TEAM, VOXEL_SIZE,
+  FP_ORTHO_LEFT, FP_ORTHO_RIGHT, FP_ORTHO_BOTTOM, FP_LAVA_OFFSET, FP_FEET_OFFSET, FP_CHAR_HALF_WIDTH,
+  buildArenaFP,
+} from '../physics/constants.js';
+import { MAX_HUMANS, toFP } from '../physics/stateLayout.js';
+import {
+  ARENA_IDS, CLASSIC_ARENA, getArena, getArenaByIndex, validateArena,
+} from '../arenas/index.js';
+import { rulesFromRoomSettings, isClassicRules } from '../gameRules.js';
+import {
+  createBlankArena, snapToGrid, addPlatform, movePlatform, resizePlatform, removePlatform,
+  toggleRemnant, placeSpawnPoint, moveSpawnPoint, arenaToJson, parseArenaJson, TestFlight,
+} from '../arenas/arenaEditing.js';
+
+const TEST_SEED = 42;
+
+function createSim(arenaId) {
+  return new GameSimulation({
+    gameMode: GAME_MODE_TEAM,
+    seed: TEST_SEED,
+    rules: { arena: ARENA_IDS.indexOf(arenaId) },
+  });
+}
+
+function cloneArena(arena) {
+  return JSON.parse(JSON.stringify(arena));
+}
+
+describe('Arenas', function () {
+  describe('registry', function () {
+    it('ships at least three arenas besides classic, all valid', function () {
+      assert.strictEqual(ARENA_IDS[0], 'classic');
+      assert.ok(ARENA_IDS.length >= 4);
+      for (const id of ARENA_IDS) {
+        const arena = getArena(id);
+        assert.ok(arena, id);
+        assert.strictEqual(arena.id, id);
+        assert.deepStrictEqual(validateArena(arena), [], id);
+      }
+    });
+
+    it('falls back to classic for an unknown index', function () {
+      assert.strictEqual(getArenaByIndex(99), CLASSIC_ARENA);
+      assert.strictEqual(getArena('nope'), null);
+    });
+
+    it('round-trips through JSON', function () {
+      for (const id of ARENA_IDS) {
+        assert.deepStrictEqual(JSON.parse(JSON.stringify(getArena(id))), getArena(id));
+      }
+    });
+  });
+
+  describe('validateArena', function () {
+    it('rejects a spawn point off the edge of its platform', function () {
+      const arena = cloneArena(CLASSIC_ARENA);
+      arena.spawnPoints[2].x = 9;
+      const errors = validateArena(arena);
+      assert.strictEqual(errors.length, 1);
+      assert.match(errors[0], /spawnPoints\[2\] is off the edge of midLowL/);
+    });
+
+    it('rejects a spawn point that the Lava Troll would leave hanging', function () {
+      const arena = cloneArena(CLASSIC_ARENA);
+      arena.spawnPoints[0].x = -9.5; // on baseLeft but outside its remnant
+      assert.match(validateArena(arena).join('\n'), /off the troll remnant of baseLeft/);
+    });
+
+    it('rejects unknown platforms, duplicate ids and platforms under the lava', function () {
+      const arena = cloneArena(CLASSIC_ARENA);
+      arena.enemySpawnPoints[0].platformId = 'missing';
+      arena.platforms[3].id = 'midLowL';
+      arena.platforms.push({ id: 'sunk', x: 0, y: -4.5, width: 2, height: 0.3 });
+      const errors = validateArena(arena).join('\n');
+      assert.match(errors, /enemySpawnPoints\[0\] is not on a known platform/);
+      assert.match(errors, /reuses id midLowL/);
+      assert.match(errors, /\(sunk\) is under the lava/);
+    });
+
+    it('rejects a remnant wider than its platform', function () {
+      const arena = cloneArena(CLASSIC_ARENA);
+      arena.platforms[0].remnant.width = 12;
+      assert.match(validateArena(arena).join('\n'), /remnant must fit inside the platform/);
+    });
+  });
+
+  describe('buildArenaFP', function () {
+    it('keeps the classic lava and troll heights', function () {
+      const classic = buildArenaFP(CLASSIC_ARENA);
+      assert.strictEqual(classic.lavaFloor, FP_ORTHO_BOTTOM);
+      assert.strictEqual(classic.lavaKillY, FP_ORTHO_BOTTOM + FP_LAVA_OFFSET);
+      assert.strictEqual(classic.trollReachZone, toFP(-3.6 + 25 * VOXEL_SIZE));
+    });
+
+    it('moves the kill line with the lava surface', function () {
+      const classic = buildArenaFP(CLASSIC_ARENA);
+      const spire = buildArenaFP(getArena('spire'));
+      assert.ok(spire.lavaKillY > classic.lavaKillY);
+      assert.strictEqual(spire.lavaKillY - classic.lavaKillY, toFP(-3.0) - toFP(-3.6));
+    });
+
+    it('shrinks destructible platforms to their remnant', function () {
+      const classic = buildArenaFP(CLASSIC_ARENA);
+      const full = classic.platformsFull.find(p => p.id === 'baseLeft');
+      const reduced = classic.platformsReduced.find(p => p.id === 'baseLeft');
+      assert.strictEqual(classic.platformsReduced.indexOf(reduced), classic.platformsFull.indexOf(full));
+      assert.strictEqual(reduced.left, toFP(-7.25));
+      assert.strictEqual(reduced.right, toFP(-4.75));
+      assert.strictEqual(reduced.top, full.top);
+    });
+  });
+
+  describe('simulation', function () {
+    it('spawns players on the chosen arena', function () {
+      for (const id of ARENA_IDS) {
+        const sim = createSim(id);
+        sim.activatePlayer(0, 0);
+        const arena = getArena(id);
+        const char = sim._chars[0];
+        assert.ok(arena.spawnPoints.some(sp => toFP(sp.x) === char.positionX), id);
+        assert.strictEqual(char.positionY, char.currentPlatform.top + FP_FEET_OFFSET);
+        assert.strictEqual(sim._arena.id, id);
+      }
+    });
+
+    it('runs every arena deterministically', function () {
+      for (const id of ARENA_IDS) {
+        const simA = createSim(id);
+        const simB = createSim(id);
+        for (const sim of [simA, simB]) {
+          sim.activatePlayer(0, 0);
+          sim.startGame();
+        }
+        for (let f = 0; f < 600; f++) {
+          const input = (f % 20 === 0 ? 0x04 : 0) | (f % 300 < 150 ? 0x02 : 0x01);
+          simA.tick([input, 0, 0, 0]);
+          simB.tick([input, 0, 0, 0]);
+        }
+        assert.deepStrictEqual(simA.serialize(), simB.serialize(), id);
+        assert.ok(simA._chars.slice(MAX_HUMANS).some(c => c.active), id + ' spawned enemies');
+      }
+    });
+
+    it('late joiners pick up the arena from serialized state', function () {
+      const host = createSim('open-sky');
+      host.activatePlayer(0, 0);
+      host.startGame();
+      host.tick([0, 0, 0, 0]);
+
+      const joiner = createSim('classic');
+      joiner.deserialize(host.serialize());
+      assert.strictEqual(joiner._arena.id, 'open-sky');
+      assert.strictEqual(joiner.getState().arenaId, 'open-sky');
+      assert.deepStrictEqual(joiner._platforms, host._platforms);
+      joiner.tick([0, 0, 0, 0]);
+      host.tick([0, 0, 0, 0]);
+      assert.deepStrictEqual(joiner.serialize(), host.serialize());
+    });
+
+    it('wraps around the screen edge only when the arena wraps', function () {
+      function runOffRightEdge(arenaId) {
+        const sim = createSim(arenaId);
+        sim.activatePlayer(0, 0);
+        const char = sim._chars[0];
+        char.materializing = false;
+        char.playerState = 'AIRBORNE';
+        char.currentPlatform = null;
+        char.platformIndex = -1;
+        char.positionX = FP_ORTHO_RIGHT - toFP(0.5);
+        char.positionY = toFP(4.0);
+        char.velocityX = toFP(8);
+        char.velocityY = 0;
+        for (let f = 0; f < 10; f++) {
+          sim.tick([0x02, 0, 0, 0]);
+        }
+        return char;
+      }
+
+      const wrapped = runOffRightEdge('classic');
+      assert.ok(wrapped.positionX < FP_ORTHO_LEFT + toFP(1));
+
+      const walled = runOffRightEdge('gauntlet');
+      assert.strictEqual(walled.positionX, FP_ORTHO_RIGHT - FP_CHAR_HALF_WIDTH);
+      assert.strictEqual(walled.velocityX, 0);
+    });
+  });
+
+  describe('room settings', function () {
+    it('maps the room map onto the arena rule', function () {
+      assert.strictEqual(rulesFromRoomSettings({ map: 'spire' }).arena, ARENA_IDS.indexOf('spire'));
+      assert.strictEqual(rulesFromRoomSettings({ map: 'classic' }).arena, 0);
+      assert.strictEqual(rulesFromRoomSettings({ map: 'bogus' }).arena, 0);
+      // High scores stay comparable: only the classic arena counts
+      assert.strictEqual(isClassicRules(rulesFromRoomSettings({ lives: 5, npcBuzzards: 5, map: 'gauntlet' })), false);
+    });
+  });
+
+  describe('editor', function () {
+    it('keeps layouts valid while platforms are added, moved and resized', function () {
+      const arena = createBlankArena();
+      assert.deepStrictEqual(validateArena(arena), []);
+
+      const ledge = addPlatform(arena, 3.04, 0.97);
+      assert.deepStrictEqual([ledge.x, ledge.y], [3, 1]);
+      const spawn = placeSpawnPoint(arena, 'spawnPoints', 4.2, 3);
+      assert.deepStrictEqual(spawn, { x: 4.2, platformId: ledge.id });
+
+      movePlatform(arena, ledge, -2.01, 2.0);
+      assert.strictEqual(spawn.x, -0.8);
+
+      // Shrinking the platform under the spawn pulls the spawn back on
+      resizePlatform(arena, ledge, 'right', -1.73);
+      assert.strictEqual(ledge.width, 1.8);
+      assert.strictEqual(spawn.x, -1.7);
+      assert.deepStrictEqual(validateArena(arena), []);
+
+      toggleRemnant(arena, ledge);
+      assert.ok(ledge.remnant);
+      assert.deepStrictEqual(validateArena(arena), []);
+
+      removePlatform(arena, ledge);
+      assert.ok(!arena.spawnPoints.includes(spawn));
+      assert.deepStrictEqual(validateArena(arena), []);
+    });
+
+    it('only drops spawn points onto a platform', function () {
+      const arena = createBlankArena();
+      assert.strictEqual(placeSpawnPoint(arena, 'enemySpawnPoints', 0, -5), null);
+      assert.strictEqual(placeSpawnPoint(arena, 'enemySpawnPoints', 9.5, 4), null);
+
+      const point = arena.spawnPoints[0];
+      assert.strictEqual(moveSpawnPoint(arena, point, 9.5, 4), false);
+      assert.strictEqual(point.x, -2);
+      assert.strictEqual(snapToGrid(0.1 + 0.2), 0.3);
+    });
+
+    it('round-trips layouts through JSON and reports bad imports', function () {
+      const { arena, errors } = parseArenaJson(arenaToJson(getArena('gauntlet')));
+      assert.deepStrictEqual(errors, []);
+      assert.deepStrictEqual(arena, getArena('gauntlet'));
+
+      assert.match(parseArenaJson('{ nope').errors[0], /Not valid JSON/);
+
+      const broken = cloneArena(CLASSIC_ARENA);
+      broken.spawnPoints[0].platformId = 'midUpC';
+      assert.match(parseArenaJson(JSON.stringify(broken)).errors.join('\n'), /off the edge of midUpC/);
+    });
+
+    it('test-flies a knight with the game physics', function () {
+      const arena = createBlankArena();
+      const flight = new TestFlight(arena);
+      const start = flight.getView();
+      assert.strictEqual(start.x, -2);
+      assert.strictEqual(start.airborne, false);
+
+      flight.step({ left: false, right: false, flap: true });
+      for (let f = 0; f < 10; f++) {
+        flight.step({ left: false, right: true, flap: false });
+      }
+      const view = flight.getView();
+      assert.ok(view.y > start.y);
+      assert.ok(view.x > start.x);
+      assert.strictEqual(view.airborne, true);
+
+      assert.throws(() => new TestFlight({ ...arena, spawnPoints: [] }), /not valid/);
+    });
+
+    it('respawns at the next spawn point after falling in the lava', function () {
+      const arena = createBlankArena();
+      placeSpawnPoint(arena, 'spawnPoints', 3, 0);
+      const flight = new TestFlight(arena);
+      for (let f = 0; f < 600 && flight.lavaDeaths === 0; f++) {
+        flight.step({ left: true, right: false, flap: false });
+      }
+      assert.strictEqual(flight.lavaDeaths, 1);
+      assert.strictEqual(flight.getView().x, 3);
+    });
+  });
+});
@@ -0,0 +1,172 @@
+// Bot player tests.
+// Bots play from simulation state alone, so two peers (or a peer that rolls
+// back) must produce the same bot inputs, whatever arrives for the bot's slot.
+
+import assert from 'assert';
+import { GameSimulation } from '../GameSimulation.js';
+import { BOT_EASY, BOT_HARD } from '../BotAI.js';
+import { GAME_MODE_TEAM, GAME_MODE_PVP } from '../physics/constants.js';
+import { DeterministicRNG } from '../physics/mulberry32.js';
+import { isClassicRules, rulesFromRoomSettings } from '../gameRules.js';
+
+function createSim(rules = {}, gameMode = GAME_MODE_TEAM, seed = 7) {
+  return new GameSimulation({ gameMode, seed, rules });
+}
+
+function run(sim, frames, inputsFor = () => [0, 0, 0, 0]) {
+  for (let f = 0; f < frames && !sim._gameOver; f++) {
+    sim.tick(inputsFor(f));
+  }
+}
+
+function statesEqual(a, b) {
+  return Buffer.from(a.serialize()).equals(Buffer.from(b.serialize()));
+}
+
+describe('Bots', function () {
+  this.timeout(20000);
+
+  describe('filling slots', function () {
+    it('fills empty slots at the start in unused palettes', function () {
+      const sim = createSim({ bots: 2 });
+      sim.activatePlayer(1, 0);
+      sim.startGame();
+      assert.deepStrictEqual([0, 1, 2, 3].map(slot => sim.isBot(slot)), [true, false, true, false]);
+      assert.strictEqual(sim._chars[3].active, false);
+      assert.deepStrictEqual([0, 1, 2].map(slot => sim._chars[slot].paletteIndex), [1, 0, 2]);
+      sim.tick([0, 0, 0, 0]);
+      assert.strictEqual(sim.getState().humans[0].isBot, true);
+    });
+
+    it('hands the slot to a player who drops in', function () {
+      const sim = createSim({ bots: 1 });
+      sim.activatePlayer(0, 0);
+      sim.startGame();
+      run(sim, 600);
+      sim.activatePlayer(1, 3);
+      assert.strictEqual(sim.isBot(1), false);
+      assert.strictEqual(sim._chars[1].score, 0);
+      assert.strictEqual(sim._chars[1].paletteIndex, 3);
+    });
+
+    it('adds no bots under classic rules', function () {
+      const sim = createSim();
+      sim.activatePlayer(0, 0);
+      sim.startGame();
+      assert.ok([0, 1, 2, 3].every(slot => !sim.isBot(slot)));
+    });
+  });
+
+  describe('playing', function () {
+    for (const [name, level] of [['easy', BOT_EASY], ['hard', BOT_HARD]]) {
+      it(`scores on ${name} without any input`, function () {
+        const sim = createSim({ bots: 3, botLevel: level });
+        sim.startGame();
+        run(sim, 60 * 60);
+        const scores = sim._chars.slice(0, 3).map(char => char.score);
+        assert.ok(scores.every(score => score > 0), `scores ${scores}`);
+        assert.ok(sim._waveNumber > 1, `still on wave ${sim._waveNumber}`);
+      });
+    }
+
+    it('stays out of the lava', function () {
+      const sim = createSim({ bots: 3 });
+      sim.startGame();
+      let lavaDeaths = 0;
+      const wasDead = [false, false, false];
+      for (let f = 0; f < 60 * 60 && !sim._gameOver; f++) {
+        sim.tick([0, 0, 0, 0]);
+        for (let slot = 0; slot < 3; slot++) {
+          const char = sim._chars[slot];
+          if (char.dead && !wasDead[slot] && char.hitLava) {
+            lavaDeaths++;
+          }
+          wasDead[slot] = char.dead;
+        }
+      }
+      assert.strictEqual(lavaDeaths, 0);
+    });
+
+    it('plays PvP against enemies and other players', function () {
+      const sim = createSim({ bots: 3 }, GAME_MODE_PVP);
+      sim.startGame();
+      run(sim, 60 * 60);
+      assert.ok(sim._chars.slice(0, 3).some(char => char.score > 0));
+    });
+  });
+
+  describe('determinism', function () {
+    it('ignores whatever input arrives for a bot slot', function () {
+      const rng = new DeterministicRNG(99);
+      const quiet = createSim({ bots: 2 });
+      const noisy = createSim({ bots: 2 });
+      for (const sim of [quiet, noisy]) {
+        sim.activatePlayer(0, 0);
+        sim.startGame();
+      }
+      run(quiet, 900);
+      run(noisy, 900, () => [0, rng.nextInt(8), rng.nextInt(8), 0]);
+      assert.ok(statesEqual(quiet, noisy));
+    });
+
+    it('resumes identically from a saved state', function () {
+      const straight = createSim({ bots: 3, botLevel: BOT_HARD });
+      straight.startGame();
+      run(straight, 700);
+      const saved = straight.serialize();
+      run(straight, 700);
+
+      const restored = createSim();
+      restored.deserialize(saved);
+      assert.strictEqual(restored.isBot(2), true);
+      assert.strictEqual(restored._bots[2].level, BOT_HARD);
+      run(restored, 700);
+      assert.ok(statesEqual(straight, restored));
+    });
+
+    it('rolls back over its own decisions', function () {
+      const sim = createSim({ bots: 2 });
+      sim.activatePlayer(0, 0);
+      sim.startGame();
+      run(sim, 300);
+      const saved = sim.serialize();
+      run(sim, 120, f => [f % 3 === 0 ? 4 : 1, 0, 0, 0]);
+      const predicted = sim.serialize();
+
+      sim.deserialize(saved);
+      run(sim, 120, f => [f % 3 === 0 ? 4 : 1, 0, 0, 0]);
+      assert.ok(Buffer.from(predicted).equals(Buffer.from(sim.serialize())));
+    });
+  });
+
+  describe('game over', function () {
+    it('ends once the players are out, whatever the bots have left', function () {
+      const sim = createSim({ bots: 1, startingLives: 1 });
+      sim.activatePlayer(0, 0);
+      sim.startGame();
+      sim._chars[1].lives = 9;
+      sim._lavaDeath(sim._chars[0], 0);
+      assert.strictEqual(sim._gameOver, true);
+    });
+
+    it('lets bots play on in a game no player is in', function () {
+      const sim = createSim({ bots: 2, startingLives: 1 });
+      sim.startGame();
+      sim._lavaDeath(sim._chars[0], 0);
+      assert.strictEqual(sim._gameOver, false);
+      sim._lavaDeath(sim._chars[1], 1);
+      assert.strictEqual(sim._gameOver, true);
+    });
+  });
+
+  describe('rules', function () {
+    it('maps lobby settings onto bot rules', function () {
+      const rules = rulesFromRoomSettings({ bots: 2, botLevel: BOT_EASY });
+      assert.strictEqual(rules.bots, 2);
+      assert.strictEqual(rules.botLevel, BOT_EASY);
+      assert.strictEqual(isClassicRules(rules), false);
+      assert.strictEqual(isClassicRules({ bots: 0, botLevel: BOT_HARD }), true);
+      assert.strictEqual(createSim({ bots: 9 })._rules.bots, 3);
+    });
+  });
+});
@@ -0,0 +1,186 @@
+// Unit tests for desync forensics.
+// Two simulations run the same inputs while one is nudged off course; the
+// peers' forensics exchange states as MultiplayerManager would and the
+// resulting reports must name the diverged field and replay under
+// SyncTestSession to the state the honest side saw.
+
+import assert from 'assert';
+import { GameSimulation } from '../GameSimulation.js';
+import { ReplayRecorder } from '../replay/ReplayRecorder.js';
+import { ReplayOp } from '../replay/ReplayFile.js';
+import { RollbackSession } from '../../netcode/RollbackSession.js';
+import { computeChecksum } from '../../netcode/StateBuffer.js';
+import { DesyncForensics, opsBetween, reproduceDesyncReport } from '../desync/DesyncForensics.js';
+import { describeStateIndex, diffStates, formatStateDiff } from '../physics/stateDiff.js';
+import { GAME_MODE_TEAM } from '../physics/constants.js';
+import { processRequests } from './testHelpers.js';
+import {
+  GLOBAL_OFFSET, HUMANS_OFFSET, ENEMIES_OFFSET, CHAR_SIZE,
+  G_RNG_SEED, C_POS_X, C_SCORE,
+} from '../physics/stateLayout.js';
+
+const CHECKSUM_FRAMES = [0, 60, 120];
+
+// Run a two-player match to frame 120, keeping the states at each checksum
+// frame the way RollbackSession.checksumStates does. `tamper(game)` runs
+// before each tick.
+function runPeer(localSlot, tamper = () => {}) {
+  const game = new GameSimulation({ gameMode: GAME_MODE_TEAM, seed: 42 });
+  const recorder = new ReplayRecorder({ game, gameMode: GAME_MODE_TEAM, seed: 42 });
+  game.activatePlayer(0, 0);
+  recorder.recordActivate(0, 0);
+  game.activatePlayer(1, 1);
+  recorder.recordActivate(1, 1);
+  recorder.recordStart();
+  game.startGame();
+
+  const checksumStates = new Map();
+  while (game._frame < 120) {
+    if (CHECKSUM_FRAMES.includes(game._frame)) {
+      checksumStates.set(game._frame, game.serialize());
+    }
+    tamper(game);
+    const frame = game._frame;
+    const inputs = [(frame >> 3) & 0x05, (frame >> 2) & 0x06, 0, 0];
+    recorder.recordTick(inputs);
+    game.tick(inputs);
+  }
+  checksumStates.set(120, game.serialize());
+
+  return { session: { checksumStates, localPlayerIndex: localSlot }, recorder };
+}
+
+// Peer 1 picks up 50 points out of nowhere on frame 90
+function runTamperedPeer() {
+  return runPeer(1, (game) => {
+    if (game._frame === 90) {
+      game._chars[0].score += 50;
+    }
+  });
+}
+
+describe('Desync forensics', function () {
+  describe('stateDiff', function () {
+    it('names ints after their stateLayout.js fields', function () {
+      assert.strictEqual(describeStateIndex(ENEMIES_OFFSET + 3 * CHAR_SIZE + C_POS_X), 'enemy[3].C_POS_X');
+      assert.strictEqual(describeStateIndex(HUMANS_OFFSET + CHAR_SIZE + C_SCORE), 'human[1].C_SCORE');
+      assert.strictEqual(describeStateIndex(GLOBAL_OFFSET + G_RNG_SEED), 'global.G_RNG_SEED');
+    });
+
+    it('lists exactly the fields that differ', function () {
+      const game = new GameSimulation({ gameMode: GAME_MODE_TEAM, seed: 42 });
+      game.activatePlayer(0, 0);
+      game.startGame();
+      const before = game.serialize();
+      const after = before.slice(0);
+      new Int32Array(after)[HUMANS_OFFSET + C_SCORE] += 250;
+
+      const diffs = diffStates(before, after);
+      assert.strictEqual(diffs.length, 1);
+      assert.strictEqual(diffs[0].name, 'human[0].C_SCORE');
+      assert.strictEqual(formatStateDiff(diffs), `human[0].C_SCORE differs: ${diffs[0].a} vs ${diffs[0].a + 250}`);
+      assert.deepStrictEqual(diffStates(before, before.slice(0)), []);
+    });
+  });
+
+  describe('DesyncForensics', function () {
+    it('swaps states between peers and reports the diverged fields on both sides', function () {
+      const honest = runPeer(0);
+      const tampered = runTamperedPeer();
+      const reports = [[], []];
+      const forensics = [0, 1].map(slot => new DesyncForensics({ onReport: report => reports[slot].push(report) }));
+
+      // Peer 0 notices first and sends its state; peer 1 answers with its own
+      const event = { frame: 120, peer: 1, localChecksum: 1, remoteChecksum: 2 };
+      const dump = forensics[0].begin(event, honest.session, honest.recorder, 0);
+      assert.ok(dump);
+      const reply = forensics[1].receive(0, 120, dump, tampered.session, tampered.recorder);
+      assert.ok(reply, 'the peer that did not notice replies with its state');
+      assert.strictEqual(forensics[0].receive(1, 120, reply, honest.session, honest.recorder), null);
+
+      for (const [slot, [report]] of reports.entries()) {
+        assert.strictEqual(report.frame, 120);
+        assert.strictEqual(report.peer, 1 - slot);
+        assert.strictEqual(report.startFrame, 60);
+        assert.ok(report.diffs.some(diff => diff.name === 'human[0].C_SCORE'));
+        assert.notStrictEqual(report.localChecksum, report.remoteChecksum);
+      }
+    });
+
+    it('RollbackSession keeps the last few checksum-frame states across a resync', function () {
+      const session = new RollbackSession({ numPlayers: 2, localPlayerIndex: 0, inputDelay: 2 });
+      session.setPeerConnected(1, true);
+      session.peerSynchronized[1] = true;
+      session.running = true;
+      const game = new GameSimulation({ gameMode: GAME_MODE_TEAM, seed: 42 });
+      game.activatePlayer(0, 0);
+      game.activatePlayer(1, 1);
+      game.startGame();
+
+      const sent = [];
+      for (let tick = 0; tick < 310; tick++) {
+        session.addRemoteInput(1, tick, 0);
+        session.addLocalInput(0);
+        processRequests(game, session.advanceFrame());
+        const checksum = session.getCurrentChecksum();
+        if (checksum) {
+          sent.push(checksum);
+        }
+      }
+
+      assert.deepStrictEqual([...session.checksumStates.keys()], [180, 240, 300]);
+      for (const { frame, checksum } of sent.slice(-3)) {
+        assert.strictEqual(computeChecksum(session.checksumStates.get(frame)), checksum);
+      }
+      session.resetToFrame(400);
+      assert.strictEqual(session.checksumStates.size, 3);
+    });
+
+    it('rate-limits exchanges per peer', function () {
+      const honest = runPeer(0);
+      const forensics = new DesyncForensics();
+      const event = { frame: 120, peer: 1, localChecksum: 1, remoteChecksum: 2 };
+      assert.ok(forensics.begin(event, honest.session, honest.recorder, 0));
+      assert.strictEqual(forensics.begin({ ...event, frame: 60 }, honest.session, honest.recorder, 1000), null);
+      assert.ok(forensics.begin({ ...event, frame: 60 }, honest.session, honest.recorder, 6000));
+      // A frame we no longer keep a state for can't be reported
+      assert.strictEqual(forensics.begin({ ...event, frame: 30 }, honest.session, honest.recorder, 20000), null);
+    });
+
+    it('leaves out ops it cannot replay', function () {
+      const { recorder } = runPeer(0);
+      const ops = opsBetween(recorder.ops, 60, 120);
+      assert.strictEqual(ops.length, 60);
+      assert.ok(ops.every(entry => entry.op === ReplayOp.TICK));
+
+      recorder.ops.push({ op: ReplayOp.STATE, frame: 100, state: new ArrayBuffer(4) });
+      assert.strictEqual(opsBetween(recorder.ops, 60, 120), null);
+    });
+  });
+
+  describe('reproduceDesyncReport', function () {
+    it('replays a saved report and shows which side the simulation agrees with', function () {
+      const honest = runPeer(0);
+      const tampered = runTamperedPeer();
+      const reports = [];
+      const forensics = [0, 1].map(() => new DesyncForensics({ onReport: report => reports.push(report) }));
+      const dump = forensics[0].begin({ frame: 120, peer: 1, remoteChecksum: 0 }, honest.session, honest.recorder, 0);
+      const reply = forensics[1].receive(0, 120, dump, tampered.session, tampered.recorder);
+      forensics[0].receive(1, 120, reply, honest.session, honest.recorder);
+
+      // Reports go through localStorage as JSON
+      const [tamperedReport, honestReport] = reports.map(report => JSON.parse(JSON.stringify(report)));
+
+      const honestResult = reproduceDesyncReport(honestReport);
+      assert.deepStrictEqual(honestResult.syncErrors, []);
+      assert.strictEqual(honestResult.matchesLocal, true);
+      assert.strictEqual(honestResult.matchesRemote, false);
+
+      // The tampered peer's own inputs don't lead to the state it reported
+      const tamperedResult = reproduceDesyncReport(tamperedReport);
+      assert.strictEqual(tamperedResult.matchesLocal, false);
+      assert.strictEqual(tamperedResult.matchesRemote, true);
+      assert.ok(tamperedResult.diffs.some(diff => diff.name === 'human[0].C_SCORE'));
+    });
+  });
+});
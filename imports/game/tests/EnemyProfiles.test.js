@@ -0,0 +1,184 @@
+// Enemy behavior profile tests.
+// Built-in types must keep their data and hatch chain, classic waves must stay
+// as they were, new types must show up in waves when the newEnemies rule asks
+// for them, with their own points and palettes, and any profile's decisions
+// must replay exactly from serialized state.
+
+import assert from 'assert';
+import { EnemyAI } from '../EnemyAI.js';
+import { GameSimulation } from '../GameSimulation.js';
+import { registerEnemyProfile, getEnemyProfile } from '../enemyProfiles.js';
+import {
+  ENEMY_TYPE_BOUNDER, ENEMY_TYPE_HUNTER, ENEMY_TYPE_SHADOW_LORD, ENEMY_TYPE_PTERODACTYL,
+  ENEMY_TYPE_COWARD, ENEMY_TYPE_SWARM,
+  POINTS_KILL_COWARD, POINTS_KILL_SWARM,
+  getKillPoints, getWaveComposition,
+} from '../scoring.js';
+import { scaleWaveComposition, isClassicRules } from '../gameRules.js';
+import { EVIL_KNIGHT_PALETTES } from '../voxels/models/evilKnightPalettes.js';
+import { DeterministicRNG } from '../physics/mulberry32.js';
+import { FP_SCALE, MAX_HUMANS } from '../physics/stateLayout.js';
+import { GAME_MODE_TEAM } from '../physics/constants.js';
+
+const KNIGHT_TYPES = [
+  ENEMY_TYPE_BOUNDER, ENEMY_TYPE_HUNTER, ENEMY_TYPE_SHADOW_LORD, ENEMY_TYPE_COWARD, ENEMY_TYPE_SWARM,
+];
+const PHASE_ATTACK = 1;
+const NEW_ENEMIES = { newEnemies: true };
+
+// Classic waves 1-25 as [bounders, hunters, shadowLords, pterodactyls], as
+// they were before cowards and swarms existed
+const CLASSIC_WAVES = [
+  [3, 0, 0, 0], [4, 0, 0, 0], [5, 0, 0, 0], [5, 2, 0, 0], [5, 2, 0, 0],
+  [5, 3, 0, 0], [4, 3, 0, 0], [4, 4, 0, 1], [4, 4, 0, 0], [3, 5, 0, 0],
+  [3, 5, 0, 0], [3, 6, 0, 0], [2, 6, 0, 1], [2, 7, 0, 0], [2, 7, 0, 0],
+  [3, 2, 1, 0], [2, 2, 1, 0], [1, 2, 2, 1], [0, 2, 2, 0], [0, 2, 3, 0],
+  [0, 2, 3, 0], [0, 0, 3, 0], [0, 0, 4, 2], [0, 0, 5, 0], [0, 0, 6, 0],
+];
+const LAVA_FP = -10 * FP_SCALE;
+
+function rider(x, y, extra = {}) {
+  return {
+    active: true, dead: false, positionX: x * FP_SCALE, positionY: y * FP_SCALE,
+    velocityX: 0, velocityY: 0, playerState: 'AIRBORNE', ...extra,
+  };
+}
+
+// An AI already in its ATTACK phase with plenty of time left
+function attackingAI(enemyType) {
+  const ai = new EnemyAI(enemyType, 200, 1);
+  ai._pteroPhase = PHASE_ATTACK;
+  ai._phaseTimer = 600;
+  return ai;
+}
+
+describe('Enemy profiles', function () {
+  describe('registry', function () {
+    it('has a profile with a palette for every knight type', function () {
+      for (const type of KNIGHT_TYPES) {
+        const profile = getEnemyProfile(type);
+        assert.ok(profile && typeof profile.attack === 'function', `type ${type}`);
+        assert.ok(EVIL_KNIGHT_PALETTES[profile.palette], `palette for ${profile.name}`);
+        assert.ok(getEnemyProfile(profile.hatchesInto), `${profile.name} hatches into a knight`);
+      }
+      assert.strictEqual(getEnemyProfile(ENEMY_TYPE_PTERODACTYL).attack, null);
+      assert.strictEqual(getEnemyProfile(-1), null);
+    });
+
+    it('keeps the arcade hatch chain', function () {
+      assert.strictEqual(getEnemyProfile(ENEMY_TYPE_BOUNDER).hatchesInto, ENEMY_TYPE_HUNTER);
+      assert.strictEqual(getEnemyProfile(ENEMY_TYPE_HUNTER).hatchesInto, ENEMY_TYPE_SHADOW_LORD);
+      assert.strictEqual(getEnemyProfile(ENEMY_TYPE_SHADOW_LORD).hatchesInto, ENEMY_TYPE_SHADOW_LORD);
+    });
+
+    it('gives the new types their own kill points', function () {
+      assert.strictEqual(getKillPoints(ENEMY_TYPE_COWARD), POINTS_KILL_COWARD);
+      assert.strictEqual(getKillPoints(ENEMY_TYPE_SWARM), POINTS_KILL_SWARM);
+    });
+
+    it('runs a registered profile for its type', function () {
+      const CUSTOM_TYPE = 40;
+      registerEnemyProfile(CUSTOM_TYPE, {
+        ...getEnemyProfile(ENEMY_TYPE_BOUNDER),
+        name: 'Test Charger',
+        attack: () => ({ left: false, right: true, flap: false }),
+      });
+      const decision = attackingAI(CUSTOM_TYPE).decide(rider(0, 0), null, LAVA_FP, new DeterministicRNG(1), []);
+      assert.deepStrictEqual(decision, { left: false, right: true, flap: false });
+    });
+  });
+
+  describe('waves', function () {
+    it('leaves classic waves 1-25 unchanged', function () {
+      CLASSIC_WAVES.forEach(([bounders, hunters, shadowLords, pterodactyls], index) => {
+        assert.deepStrictEqual(getWaveComposition(index + 1), {
+          bounders, hunters, shadowLords, cowards: 0, swarm: 0, pterodactyls,
+        }, `wave ${index + 1}`);
+      });
+    });
+
+    it('only brings the new types in under the newEnemies rule, which is not classic', function () {
+      assert.strictEqual(isClassicRules({ newEnemies: 1 }), false);
+      const rules = { newEnemies: 1, startingWave: 10 };
+      const sim = new GameSimulation({ gameMode: GAME_MODE_TEAM, seed: 3, rules });
+      sim.activatePlayer(0, 0);
+      sim.startGame();
+      assert.ok(sim._spawnQueue.includes(ENEMY_TYPE_SWARM), `queue ${sim._spawnQueue}`);
+
+      const classic = new GameSimulation({ gameMode: GAME_MODE_TEAM, seed: 3, rules: { startingWave: 10 } });
+      classic.activatePlayer(0, 0);
+      classic.startGame();
+      assert.ok(!classic._spawnQueue.some(type => type === ENEMY_TYPE_SWARM || type === ENEMY_TYPE_COWARD));
+    });
+
+    it('brings in cowards from wave 6 in place of bounders', function () {
+      assert.strictEqual(getWaveComposition(5, NEW_ENEMIES).cowards, 0);
+      const wave6 = getWaveComposition(6, NEW_ENEMIES);
+      assert.strictEqual(wave6.cowards, 1);
+      assert.strictEqual(wave6.bounders + wave6.cowards, 5);
+      assert.strictEqual(getWaveComposition(12, NEW_ENEMIES).cowards, 2);
+      assert.strictEqual(getWaveComposition(22, NEW_ENEMIES).cowards, 0);
+    });
+
+    it('turns the hunters into a swarm every 5 waves from wave 10', function () {
+      for (const wave of [10, 15, 20]) {
+        const composition = getWaveComposition(wave, NEW_ENEMIES);
+        assert.ok(composition.swarm > 0 && composition.hunters === 0, `wave ${wave}`);
+      }
+      assert.strictEqual(getWaveComposition(11, NEW_ENEMIES).swarm, 0);
+      assert.strictEqual(getWaveComposition(25, NEW_ENEMIES).swarm, 0);
+    });
+
+    it('scales the new types like the others', function () {
+      const scaled = scaleWaveComposition({ bounders: 0, hunters: 0, shadowLords: 0, cowards: 0, swarm: 2, pterodactyls: 0 }, 10);
+      assert.strictEqual(scaled.swarm, 1);
+      const wave10 = getWaveComposition(10, NEW_ENEMIES);
+      assert.strictEqual(scaleWaveComposition(wave10, 200).swarm, wave10.swarm * 2);
+    });
+  });
+
+  describe('behaviors', function () {
+    it('coward runs from a higher rider and chases a lower one', function () {
+      const rng = new DeterministicRNG(4);
+      const coward = rider(0, 0);
+      const fled = attackingAI(ENEMY_TYPE_COWARD).decide(coward, rider(2, 2), LAVA_FP, rng, []);
+      assert.strictEqual(fled.left, true);
+      const chased = attackingAI(ENEMY_TYPE_COWARD).decide(coward, rider(2, -2), LAVA_FP, rng, []);
+      assert.strictEqual(chased.right, true);
+    });
+
+    it('swarm riders take opposite flanks', function () {
+      const rng = new DeterministicRNG(4);
+      const player = rider(0, 0);
+      const first = rider(0, 1, { enemyType: ENEMY_TYPE_SWARM });
+      const second = rider(0, 1, { enemyType: ENEMY_TYPE_SWARM });
+      const chars = [player, rider(0, 0), rider(0, 0), rider(0, 0), first, second];
+      const firstMove = attackingAI(ENEMY_TYPE_SWARM).decide(first, player, LAVA_FP, rng, [], true, chars);
+      const secondMove = attackingAI(ENEMY_TYPE_SWARM).decide(second, player, LAVA_FP, rng, [], true, chars);
+      assert.strictEqual(firstMove.left, true);
+      assert.strictEqual(secondMove.right, true);
+    });
+  });
+
+  describe('determinism', function () {
+    it('resumes a coward and swarm wave identically from a saved state', function () {
+      const straight = new GameSimulation({ gameMode: GAME_MODE_TEAM, seed: 3, rules: { startingWave: 10, newEnemies: 1 } });
+      straight.activatePlayer(0, 0);
+      straight.startGame();
+      for (let f = 0; f < 900; f++) {
+        straight.tick([f % 40 < 20 ? 5 : 2, 0, 0, 0]);
+      }
+      const enemyTypes = straight._chars.slice(MAX_HUMANS).filter(char => char.active).map(char => char.enemyType);
+      assert.ok(enemyTypes.includes(ENEMY_TYPE_SWARM) && enemyTypes.includes(ENEMY_TYPE_COWARD), `types ${enemyTypes}`);
+
+      const restored = new GameSimulation({ gameMode: GAME_MODE_TEAM, seed: 99 });
+      restored.deserialize(straight.serialize());
+      for (let f = 0; f < 900; f++) {
+        const input = f % 40 < 20 ? 5 : 2;
+        straight.tick([input, 0, 0, 0]);
+        restored.tick([input, 0, 0, 0]);
+      }
+      assert.ok(Buffer.from(straight.serialize()).equals(Buffer.from(restored.serialize())));
+    });
+  });
+});
@@ -0,0 +1,220 @@
+// Gameplay event tests.
+// tick() must report what happened on its frame, with the slots involved, and
+// the same inputs must produce the same events. GameEventLog must deliver each
+// event once however often rollback re-simulates its frame.
+
+import assert from 'assert';
+import { GameSimulation } from '../GameSimulation.js';
+import { GameEventLog } from '../GameEventLog.js';
+import { GameEvent } from '../gameEvents.js';
+import { GAME_MODE_TEAM, TROLL_WAVE_START, FP_TROLL_START_Y } from '../physics/constants.js';
+import { DeterministicRNG } from '../physics/mulberry32.js';
+import { LT_PULLING, LT_REACHING, LT_RETREATING, toFP } from '../physics/stateLayout.js';
+
+function botGame(rules = {}) {
+  const sim = new GameSimulation({ gameMode: GAME_MODE_TEAM, seed: 5, rules: { bots: 3, ...rules } });
+  sim.activatePlayer(0, 0);
+  sim.startGame();
+  return sim;
+}
+
+// Random inputs for slot 0, held 8 frames at a time; a function of the frame
+// alone so re-simulated frames get the same ones
+function inputStream(seed) {
+  return (frame) => [new DeterministicRNG(seed + (frame >> 3)).nextInt(8), 0, 0, 0];
+}
+
+function run(sim, frames, inputsFor) {
+  const events = [];
+  for (let f = 0; f < frames; f++) {
+    events.push(...sim.tick(inputsFor(sim.frame)));
+  }
+  return events;
+}
+
+// Slot 0 held by the troll over the lava, as in LavaTroll.test.js
+function grabbedByTroll() {
+  const sim = new GameSimulation({ gameMode: GAME_MODE_TEAM, seed: 42 });
+  sim.activatePlayer(0, 0);
+  sim.startGame();
+  run(sim, 200, () => [0, 0, 0, 0]);
+  sim._waveNumber = TROLL_WAVE_START;
+  sim._trollIntroDone = 1;
+  sim._trollActive = 1;
+  sim._trollPosY = FP_TROLL_START_Y;
+  const char = sim._chars[0];
+  char.positionX = 0;
+  char.positionY = toFP(-3.5);
+  char.playerState = 'GRABBED';
+  char.velocityY = 0;
+  char.currentPlatform = null;
+  char.platformIndex = -1;
+  sim._trollState = LT_PULLING;
+  sim._trollTargetSlot = 0;
+  sim._trollTargetType = 0;
+  sim._trollPosX = 0;
+  sim._trollPosY = char.positionY;
+  return sim;
+}
+
+function event(type, frame, fields = {}) {
+  return { type, frame, ...fields };
+}
+
+describe('Game events', function () {
+  this.timeout(20000);
+
+  describe('tick()', function () {
+    it('reports a game of jousting frame by frame', function () {
+      const sim = botGame({ extraLifeThreshold: 5000 });
+      const seen = new Set();
+      for (let f = 0; f < 60 * 60; f++) {
+        const frame = sim.frame;
+        const events = sim.tick([0, 0, 0, 0]);
+        for (const entry of events) {
+          assert.strictEqual(entry.frame, frame);
+          seen.add(entry.type);
+        }
+
+        // Every egg drops from the rider unhorsed on the same frame
+        for (const spawned of events.filter(entry => entry.type === GameEvent.EGG_SPAWNED)) {
+          assert.ok(events.some(entry => entry.type === GameEvent.JOUST_KILL && entry.loser === spawned.slot));
+        }
+        for (const kill of events.filter(entry => entry.type === GameEvent.JOUST_KILL)) {
+          assert.strictEqual(sim._chars[kill.loser].dead || !sim._chars[kill.loser].active, true);
+        }
+      }
+      for (const type of [
+        GameEvent.JOUST_KILL, GameEvent.EGG_SPAWNED, GameEvent.EGG_COLLECTED,
+        GameEvent.WAVE_COMPLETE, GameEvent.WAVE_START, GameEvent.EXTRA_LIFE,
+      ]) {
+        assert.ok(seen.has(type), `no ${type} in ${[...seen]}`);
+      }
+    });
+
+    it('reports the troll letting go', function () {
+      const sim = grabbedByTroll();
+      const events = run(sim, 60, () => [0x04, 0, 0, 0]);
+      assert.deepStrictEqual(events.filter(entry => entry.type === GameEvent.TROLL_ESCAPE).map(entry => entry.slot), [0]);
+    });
+
+    it('reports no escape for a player who dies in the troll\'s grip', function () {
+      const sim = grabbedByTroll();
+      sim._chars[0].lives = 9;
+      sim._killCharacter(sim._chars[0], 0, 1, 4);
+      const events = run(sim, 60, () => [0x04, 0, 0, 0]);
+      assert.ok(!events.some(entry => entry.type === GameEvent.TROLL_ESCAPE));
+      assert.strictEqual(sim.getMatchStats(0).trollEscapes, 0);
+    });
+
+    it('reports no escape when the troll gives up on an enemy', function () {
+      const sim = grabbedByTroll();
+      const enemy = sim._chars[4];
+      Object.assign(enemy, { active: true, dead: false, positionX: 0, positionY: toFP(5), enemyType: 0 });
+      sim._chars[0].playerState = 'AIRBORNE';
+      sim._trollState = LT_REACHING;
+      sim._trollTargetSlot = 4;
+      sim._trollTargetType = 1;
+      sim._trollPosY = FP_TROLL_START_Y;
+      const events = run(sim, 1, () => [0, 0, 0, 0]);
+      assert.strictEqual(sim._trollState, LT_RETREATING);
+      assert.ok(!events.some(entry => entry.type === GameEvent.TROLL_ESCAPE));
+    });
+
+    it('reports a player pulled into the lava and the game ending', function () {
+      const sim = grabbedByTroll();
+      sim._chars[0].lives = 1;
+      const events = run(sim, 200, () => [0, 0, 0, 0]);
+      const types = events.map(entry => entry.type);
+      assert.strictEqual(events.find(entry => entry.type === GameEvent.LAVA_DEATH).slot, 0);
+      assert.ok(types.indexOf(GameEvent.GAME_OVER) > types.indexOf(GameEvent.LAVA_DEATH));
+      assert.deepStrictEqual(sim.tick([0, 0, 0, 0]), []);
+    });
+
+    it('reports the same events when resumed from a saved state', function () {
+      const inputsFor = inputStream(8);
+      const straight = botGame();
+      run(straight, 900, inputsFor);
+      const saved = straight.serialize();
+      const expected = run(straight, 900, inputsFor);
+      assert.ok(expected.length > 0);
+
+      const restored = new GameSimulation({ gameMode: GAME_MODE_TEAM, seed: 1 });
+      restored.deserialize(saved);
+      assert.deepStrictEqual(run(restored, 900, inputsFor), expected);
+    });
+  });
+
+  describe('GameEventLog', function () {
+    it('delivers a frame once however often it is re-simulated', function () {
+      const log = new GameEventLog();
+      const bounce = event(GameEvent.BOUNCE, 10, { a: 0, b: 4 });
+      assert.deepStrictEqual(log.record(10, [bounce]).delivered, [bounce]);
+      assert.deepStrictEqual(log.record(10, [{ ...bounce }]), { delivered: [], cancelled: [] });
+      assert.deepStrictEqual(log.drain(), [bounce]);
+      assert.deepStrictEqual(log.drain(), []);
+    });
+
+    it('delivers what a re-simulation adds and reports what it takes away', function () {
+      const log = new GameEventLog();
+      const predicted = event(GameEvent.JOUST_KILL, 20, { winner: 0, loser: 5, enemyType: 0 });
+      const actual = event(GameEvent.BOUNCE, 20, { a: 0, b: 5 });
+      log.record(20, [predicted]);
+      log.record(21, []);
+      assert.deepStrictEqual(log.record(20, [actual]), { delivered: [actual], cancelled: [predicted] });
+    });
+
+    it('counts repeats of the same event within a frame', function () {
+      const log = new GameEventLog();
+      const collect = event(GameEvent.EGG_COLLECTED, 3, { egg: 1, slot: 0, midAir: false, hatchling: false });
+      log.record(3, [collect]);
+      assert.deepStrictEqual(log.record(3, [collect, collect]).delivered, [collect]);
+    });
+
+    it('drops stale cosmetic events but never progression', function () {
+      const log = new GameEventLog({ maxLateFrames: 4 });
+      log.record(100, []);
+      const lateBounce = event(GameEvent.BOUNCE, 90, { a: 1, b: 6 });
+      const lateWave = event(GameEvent.WAVE_START, 90, { wave: 3 });
+      const recentBounce = event(GameEvent.BOUNCE, 97, { a: 1, b: 6 });
+      assert.deepStrictEqual(log.record(90, [lateBounce, lateWave]).delivered, [lateWave]);
+      assert.deepStrictEqual(log.record(97, [recentBounce]).delivered, [recentBounce]);
+    });
+
+    it('delivers the settled timeline plus what rollbacks cancelled', function () {
+      const inputsFor = inputStream(12);
+      const reference = botGame();
+      const expected = run(reference, 1200, inputsFor);
+
+      // Predict 8 frames with the wrong inputs for slot 0, then roll back and replay them for real
+      const mispredicted = inputStream(99);
+      const sim = botGame();
+      const log = new GameEventLog({ maxLateFrames: 60 });
+      const delivered = [];
+      const cancelled = [];
+      while (sim.frame < reference.frame) {
+        const saved = sim.serialize();
+        for (let f = 0; f < 8; f++) {
+          const result = log.record(sim.frame, sim.tick(mispredicted(sim.frame)));
+          cancelled.push(...result.cancelled);
+        }
+        sim.deserialize(saved);
+        for (let f = 0; f < 8; f++) {
+          const result = log.record(sim.frame, sim.tick(inputsFor(sim.frame)));
+          cancelled.push(...result.cancelled);
+        }
+        delivered.push(...log.drain());
+      }
+
+      const keyOf = entry => JSON.stringify(entry);
+      const settled = delivered.map(keyOf);
+      for (const entry of cancelled) {
+        const index = settled.indexOf(keyOf(entry));
+        assert.ok(index >= 0, `cancelled ${keyOf(entry)} was never delivered`);
+        settled.splice(index, 1);
+      }
+      assert.ok(cancelled.length > 0, 'the predictions should have been wrong at least once');
+      assert.deepStrictEqual(settled.sort(), expected.map(keyOf).sort());
+    });
+  });
+});
@@ -1,7 +1,8 @@
 import assert from 'assert';
 import { GameSimulation } from '../GameSimulation.js';
 import { GAME_MODE_TEAM, GAME_MODE_PVP } from '../physics/constants.js';
-import { MAX_HUMANS, MAX_ENEMIES, MAX_EGGS, TOTAL_INTS } from '../physics/stateLayout.js';
+import { MAX_HUMANS, MAX_ENEMIES, MAX_EGGS, TOTAL_INTS, GLOBAL_OFFSET, G_FRAME } from '../physics/stateLayout.js';
+import { CLASSIC_RULES, rulesFromRoomSettings, isClassicRules } from '../gameRules.js';
 
 const ORTHO_BOTTOM = -5.2;
 const ORTHO_TOP = 5.2;
@@ -292,6 +293,34 @@ describe('GameSimulation', function () {
     });
   });
 
+  describe('startFrame', function () {
+    it('plays the same game whatever frame it starts on', function () {
+      const run = (startFrame) => {
+        const sim = createSim({ startFrame, rules: { bots: 2 } });
+        sim.activatePlayer(0, 0);
+        sim.startGame();
+        const events = [];
+        for (let i = 0; i < 600; i++) {
+          events.push(...sim.tick([i % 40 < 20 ? 0x05 : 0x02, 0, 0, 0]));
+        }
+        const state = new Int32Array(sim.serialize());
+        return { sim, state, events };
+      };
+
+      const fromZero = run(0);
+      const later = run(5000);
+      assert.strictEqual(later.sim.frame, 5600);
+      assert.strictEqual(later.state[GLOBAL_OFFSET + G_FRAME], 5600);
+      later.state[GLOBAL_OFFSET + G_FRAME] = fromZero.state[GLOBAL_OFFSET + G_FRAME];
+      assert.deepStrictEqual(later.state, fromZero.state);
+      assert.ok(fromZero.events.length > 0);
+      assert.deepStrictEqual(
+        later.events.map(entry => ({ ...entry, frame: entry.frame - 5000 })),
+        fromZero.events
+      );
+    });
+  });
+
   describe('game over', function () {
     it('sets gameOver flag when all humans are out of lives', function () {
       const sim = createSim();
@@ -341,6 +370,101 @@ describe('GameSimulation', function () {
     });
   });
 
+  describe('rules', function () {
+    function queuedEnemyCount(sim) {
+      const spawned = sim._chars.slice(MAX_HUMANS).filter(c => c.active).length;
+      return spawned + sim._spawnQueue.length;
+    }
+
+    it('uses classic rules when none are given', function () {
+      const sim = createSim();
+      sim.activatePlayer(0, 0);
+      sim.startGame();
+      assert.deepStrictEqual(sim._rules, CLASSIC_RULES);
+      assert.strictEqual(sim._chars[0].lives, 5);
+      assert.strictEqual(sim._waveNumber, 1);
+      assert.strictEqual(queuedEnemyCount(sim), 3);
+    });
+
+    it('applies starting lives and extra-life threshold to activated players', function () {
+      const sim = createSim({ rules: { startingLives: 2, extraLifeThreshold: 5000 } });
+      sim.activatePlayer(0, 0);
+      sim.activatePlayer(1, 1);
+      assert.strictEqual(sim._chars[0].lives, 2);
+      assert.strictEqual(sim._chars[1].lives, 2);
+
+      sim._addScore(0, 5000);
+      assert.strictEqual(sim._chars[0].lives, 3);
+      assert.strictEqual(sim._chars[0].nextLifeScore, 10000);
+    });
+
+    it('awards no extra lives with a zero threshold', function () {
+      const sim = createSim({ rules: { extraLifeThreshold: 0 } });
+      sim.activatePlayer(0, 0);
+      sim._addScore(0, 100000);
+      assert.strictEqual(sim._chars[0].lives, 5);
+    });
+
+    it('scales regular enemies per wave by the enemy count percent', function () {
+      const fewer = createSim({ rules: { enemyCountPercent: 20 } });
+      fewer.activatePlayer(0, 0);
+      fewer.startGame();
+
+      const more = createSim({ rules: { enemyCountPercent: 200 } });
+      more.activatePlayer(0, 0);
+      more.startGame();
+
+      assert.strictEqual(queuedEnemyCount(fewer), 1);
+      assert.strictEqual(queuedEnemyCount(more), 6);
+    });
+
+    it('starts on the starting wave and wakes the troll at the troll start wave', function () {
+      const sim = createSim({ rules: { startingWave: 3, trollStartWave: 3 } });
+      sim.activatePlayer(0, 0);
+      sim.startGame();
+      assert.strictEqual(sim._waveNumber, 3);
+      assert.strictEqual(sim._trollActive, 1);
+
+      const classic = createSim({ rules: { startingWave: 3 } });
+      classic.activatePlayer(0, 0);
+      classic.startGame();
+      assert.strictEqual(classic._trollActive, 0);
+    });
+
+    it('clamps out-of-range rules', function () {
+      const sim = createSim({ rules: { startingLives: 0, enemyCountPercent: 5000, startingWave: 2.5 } });
+      assert.strictEqual(sim._rules.startingLives, 1);
+      assert.strictEqual(sim._rules.enemyCountPercent, 300);
+      assert.strictEqual(sim._rules.startingWave, 1);
+    });
+
+    it('carries rules through serialize/deserialize', function () {
+      const rules = {
+        startingLives: 7, extraLifeThreshold: 12000, enemyCountPercent: 150, startingWave: 4, trollStartWave: 9, arena: 2,
+        bots: 1, botLevel: 3, sharedLives: 1, friendlyFire: 1, newEnemies: 1,
+      };
+      const sim = createSim({ rules });
+      sim.activatePlayer(0, 0);
+      sim.startGame();
+      sim.tick([0, 0, 0, 0]);
+
+      const joiner = createSim(); // late joiner built with classic rules
+      joiner.deserialize(sim.serialize());
+      assert.deepStrictEqual(joiner._rules, rules);
+      joiner.activatePlayer(1, 1);
+      assert.strictEqual(joiner._chars[1].lives, 7);
+    });
+
+    it('maps lobby room settings onto rules', function () {
+      assert.deepStrictEqual(rulesFromRoomSettings({}), CLASSIC_RULES);
+      const rules = rulesFromRoomSettings({ lives: 3, npcBuzzards: 8, map: 'classic' });
+      assert.strictEqual(rules.startingLives, 3);
+      assert.strictEqual(rules.enemyCountPercent, 160);
+      assert.strictEqual(isClassicRules(rules), false);
+      assert.strictEqual(isClassicRules(rulesFromRoomSettings({ lives: 5, npcBuzzards: 5 })), true);
+    });
+  });
+
   describe('input decoding', function () {
     it('responds to flap input (bit 2)', function () {
       const sim = createSim();
@@ -0,0 +1,177 @@
+// Leaderboard tests.
+// Scores go into all-time, UTC day and UTC week rows; each board picks its
+// rows and orders them, and a player's rank is the number of rows ranked
+// above theirs plus one, matching that order.
+
+import assert from 'assert';
+import {
+  Leaderboard, LEADERBOARDS, ScoreWindow, periodKey, scorePeriods, scoreRowUpdate,
+  scoreRowWrites, boardQuery, boardSort, rankedAboveQuery, boardValue,
+} from '../leaderboards.js';
+
+// Just enough of Mongo's selectors and sort for the queries above
+function matches(row, query) {
+  return Object.entries(query).every(([key, condition]) => {
+    if (key === '$or') {
+      return condition.some(branch => matches(row, branch));
+    }
+    if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+      return ('$gt' in condition ? row[key] > condition.$gt : true) &&
+        ('$lt' in condition ? row[key] < condition.$lt : true);
+    }
+    return condition instanceof Date ? row[key].getTime() === condition.getTime() : row[key] === condition;
+  });
+}
+
+// scoreRowWrites applied to in-memory rows: the upsert, then the updates
+function fileScore(rows, writes) {
+  if (!rows.some(row => matches(row, writes.key))) {
+    rows.push({ ...writes.key, ...writes.insert.$setOnInsert });
+  }
+  for (const { selector, modifier } of writes.updates) {
+    rows.filter(row => matches(row, selector)).forEach(row => Object.assign(row, modifier.$set));
+  }
+}
+
+function sortRows(rows, sort) {
+  return [...rows].sort((a, b) => {
+    for (const [key, direction] of Object.entries(sort)) {
+      if (a[key] < b[key]) {
+        return -direction;
+      }
+      if (a[key] > b[key]) {
+        return direction;
+      }
+    }
+    return 0;
+  });
+}
+
+describe('Leaderboards', function () {
+  describe('periods', function () {
+    it('keys days and Monday-based weeks in UTC', function () {
+      const sunday = new Date('2026-10-18T23:59:59Z');
+      assert.strictEqual(periodKey(ScoreWindow.DAY, sunday), 'day:2026-10-18');
+      assert.strictEqual(periodKey(ScoreWindow.WEEK, sunday), 'week:2026-10-12');
+      const monday = new Date('2026-10-19T00:00:00Z');
+      assert.strictEqual(periodKey(ScoreWindow.DAY, monday), 'day:2026-10-19');
+      assert.strictEqual(periodKey(ScoreWindow.WEEK, monday), 'week:2026-10-19');
+      assert.strictEqual(periodKey(ScoreWindow.ALL, monday), 'all');
+    });
+
+    it('files a score in all three rows, expiring the day and week ones', function () {
+      const periods = scorePeriods(new Date('2026-10-14T12:00:00Z'));
+      assert.deepStrictEqual(periods.map(entry => entry.period), ['all', 'day:2026-10-14', 'week:2026-10-12']);
+      assert.strictEqual(periods[0].expiresAt, undefined);
+      assert.ok(periods[1].expiresAt > new Date('2026-10-15T00:00:00Z'));
+      assert.ok(periods[2].expiresAt > new Date('2026-10-19T00:00:00Z'));
+    });
+  });
+
+  describe('scoreRowUpdate', function () {
+    const then = new Date('2026-10-14T12:00:00Z');
+    const now = new Date('2026-10-14T13:00:00Z');
+    const row = { score: 5000, waveReached: 4, createdAt: then, bestWave: 6, bestWaveAt: then };
+
+    it('starts a row with the score and its wave', function () {
+      assert.deepStrictEqual(scoreRowUpdate(undefined, { score: 100, waveReached: 2 }, now), {
+        score: 100, waveReached: 2, createdAt: now, bestWave: 2, bestWaveAt: now,
+      });
+    });
+
+    it('takes a better score with the wave that run reached', function () {
+      assert.deepStrictEqual(scoreRowUpdate(row, { score: 6000, waveReached: 5 }, now), {
+        score: 6000, waveReached: 5, createdAt: now,
+      });
+    });
+
+    it('takes a higher wave on its own', function () {
+      assert.deepStrictEqual(scoreRowUpdate(row, { score: 4000, waveReached: 7 }, now), {
+        bestWave: 7, bestWaveAt: now,
+      });
+    });
+
+    it('leaves the row alone when nothing improves', function () {
+      assert.strictEqual(scoreRowUpdate(row, { score: 5000, waveReached: 6 }, now), null);
+    });
+  });
+
+  describe('scoreRowWrites', function () {
+    const then = new Date('2026-10-14T12:00:00Z');
+    const now = new Date('2026-10-14T13:00:00Z');
+    const player = { userId: 'u1', gameMode: 'team', username: 'ann' };
+    const [allTime, day] = scorePeriods(then);
+
+    it('starts a row under the user, mode and period key', function () {
+      const rows = [];
+      fileScore(rows, scoreRowWrites(player, day, { score: 100, waveReached: 2 }, then));
+      assert.deepStrictEqual(rows, [{
+        userId: 'u1', gameMode: 'team', period: day.period, username: 'ann', window: 'day',
+        expiresAt: day.expiresAt, score: 100, waveReached: 2, createdAt: then, bestWave: 2, bestWaveAt: then,
+      }]);
+    });
+
+    it('keeps the best score and the best wave whatever order two submissions land in', function () {
+      const high = scoreRowWrites(player, allTime, { score: 6000, waveReached: 4 }, then);
+      const deep = scoreRowWrites(player, allTime, { score: 3000, waveReached: 9 }, now);
+      for (const order of [[high, deep], [deep, high]]) {
+        const rows = [];
+        order.forEach(writes => fileScore(rows, writes));
+        assert.strictEqual(rows.length, 1);
+        assert.deepStrictEqual(
+          [rows[0].score, rows[0].waveReached, rows[0].createdAt, rows[0].bestWave, rows[0].bestWaveAt],
+          [6000, 4, then, 9, now]
+        );
+      }
+    });
+
+    it('leaves a better row alone', function () {
+      const rows = [];
+      fileScore(rows, scoreRowWrites(player, allTime, { score: 6000, waveReached: 9 }, then));
+      fileScore(rows, scoreRowWrites({ ...player, username: 'renamed' }, allTime, { score: 6000, waveReached: 9 }, now));
+      assert.deepStrictEqual([rows[0].username, rows[0].createdAt, rows[0].bestWaveAt], ['ann', then, then]);
+    });
+  });
+
+  describe('boards', function () {
+    const now = new Date('2026-10-14T12:00:00Z');
+    const at = (minutes) => new Date(now.getTime() - minutes * 60000);
+    const rows = [
+      { username: 'ann', gameMode: 'team', window: 'all', period: 'all', score: 900, createdAt: at(50), bestWave: 3, bestWaveAt: at(50) },
+      { username: 'bo', gameMode: 'team', window: 'all', period: 'all', score: 1200, createdAt: at(40), bestWave: 9, bestWaveAt: at(30) },
+      { username: 'cy', gameMode: 'pvp', window: 'all', period: 'all', score: 900, createdAt: at(60), bestWave: 9, bestWaveAt: at(35) },
+      { username: 'di', gameMode: 'team', window: 'day', period: 'day:2026-10-14', score: 300, createdAt: at(5), bestWave: 2, bestWaveAt: at(5) },
+      { username: 'ed', gameMode: 'team', window: 'day', period: 'day:2026-10-13', score: 8000, createdAt: at(1500), bestWave: 12, bestWaveAt: at(1500) },
+    ];
+
+    function board(name, options = {}) {
+      return sortRows(rows.filter(row => matches(row, boardQuery(name, { now, ...options }))), boardSort(name));
+    }
+
+    it('shows the current period only', function () {
+      assert.deepStrictEqual(board(Leaderboard.DAILY).map(row => row.username), ['di']);
+      assert.deepStrictEqual(board(Leaderboard.WEEKLY), []);
+    });
+
+    it('ranks scores and waves, earliest first on a tie', function () {
+      assert.deepStrictEqual(board(Leaderboard.ALL_TIME).map(row => row.username), ['bo', 'cy', 'ann']);
+      assert.deepStrictEqual(board(Leaderboard.WAVES).map(row => row.username), ['cy', 'bo', 'ann']);
+      assert.deepStrictEqual(board(Leaderboard.WAVES).map(row => boardValue(Leaderboard.WAVES, row)), [9, 9, 3]);
+      assert.deepStrictEqual(board(Leaderboard.ALL_TIME, { gameMode: 'team' }).map(row => row.username), ['bo', 'ann']);
+    });
+
+    it('agrees with the board order when counting the rows above', function () {
+      for (const name of LEADERBOARDS) {
+        board(name).forEach((row, index) => {
+          const above = rows.filter(other => matches(other, rankedAboveQuery(name, row, { now })));
+          assert.strictEqual(above.length, index, `${name} ${row.username}`);
+        });
+      }
+    });
+
+    it('matches a board by window without a clock, for the client', function () {
+      assert.deepStrictEqual(boardQuery(Leaderboard.DAILY, { gameMode: 'pvp' }), { window: 'day', gameMode: 'pvp' });
+      assert.deepStrictEqual(boardQuery(Leaderboard.WAVES), { window: 'all' });
+    });
+  });
+});
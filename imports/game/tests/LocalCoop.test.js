@@ -0,0 +1,152 @@
+// Couch co-op tests.
+// GameLoop drives one human slot per local player: directly in solo mode,
+// and through RollbackSession local guest slots in a mixed room where one
+// peer has a couch guest and the other is remote. Every sim must end up
+// bit-identical to a reference that saw the same inputs.
+
+import assert from 'assert';
+import { DeterministicRNG } from '../physics/mulberry32.js';
+import { GameLoop } from '../GameLoop.js';
+import { InputEncoder, MessageType } from '../../netcode/InputEncoder.js';
+import { RollbackSession } from '../../netcode/RollbackSession.js';
+import { createSim, generateInput, compareStates, NUM_PLAYERS, INPUT_DELAY } from './testHelpers.js';
+
+const LATENCY_TICKS = 3;
+
+// Stand-in for InputReader: random raw inputs until idle() is called
+function createReader(seed) {
+  const rng = new DeterministicRNG(seed);
+  const reader = {
+    history: [],
+    idle: false,
+    sample() {
+      const encoded = reader.idle ? 0 : generateInput(rng);
+      reader.history.push(encoded);
+      return { ...InputEncoder.decodeInput(encoded), escape: false };
+    },
+  };
+  return reader;
+}
+
+function createStartedSim(slots) {
+  const sim = createSim();
+  for (const slot of slots) {
+    sim.activatePlayer(slot, slot);
+  }
+  sim.startGame();
+  return sim;
+}
+
+// Delivers each peer's broadcasts LATENCY_TICKS ticks later
+function createLink() {
+  const link = { tick: 0, inFlight: [], sentBySlot: new Map() };
+  link.transportFor = (from, to) => ({
+    getConnectionInfo: () => ({ [to]: {} }),
+    send(peerId, message) {
+      if (InputEncoder.getMessageType(message) === MessageType.INPUT) {
+        const { playerIndex } = InputEncoder.decodeInputMessage(message);
+        link.sentBySlot.set(playerIndex, (link.sentBySlot.get(playerIndex) || 0) + 1);
+      }
+      link.inFlight.push({ to: peerId, due: link.tick + LATENCY_TICKS, message });
+    },
+  });
+  link.deliver = (sessions) => {
+    const due = link.inFlight.filter(entry => entry.due <= link.tick);
+    link.inFlight = link.inFlight.filter(entry => entry.due > link.tick);
+    for (const { to, message } of due) {
+      if (InputEncoder.getMessageType(message) === MessageType.INPUT) {
+        const msg = InputEncoder.decodeInputMessage(message);
+        for (let i = msg.inputs.length - 1; i >= 0; i--) {
+          sessions[to].addRemoteInput(msg.playerIndex, msg.inputs[i].frame, msg.inputs[i].input);
+        }
+      }
+    }
+  };
+  return link;
+}
+
+function createSession(localPlayerIndex, localGuestSlots) {
+  const session = new RollbackSession({
+    numPlayers: NUM_PLAYERS,
+    localPlayerIndex,
+    inputDelay: INPUT_DELAY,
+    autoInputSlots: new Set([3]),
+    localGuestSlots: new Set(localGuestSlots),
+    maxPredictionWindow: 8,
+    disconnectTimeout: 60000,
+  });
+  for (let i = 0; i < NUM_PLAYERS; i++) {
+    session.setPeerConnected(i, true);
+    session.peerSynchronized[i] = true;
+  }
+  session.running = true;
+  return session;
+}
+
+function assertSameState(simA, simB, label) {
+  const report = compareStates(new Int32Array(simA.serialize()), new Int32Array(simB.serialize()), label);
+  assert.strictEqual(report, null, report || `${label} should match`);
+}
+
+describe('Local co-op', function () {
+  it('solo mode ticks every local player with their own reader', function () {
+    const sim = createStartedSim([0, 1]);
+    const reference = createStartedSim([0, 1]);
+    const playerOne = createReader(3);
+    const playerTwo = createReader(4);
+
+    const loop = new GameLoop({ game: sim, renderer: null, inputReader: playerOne, localPlayerIndex: 0 });
+    loop.addLocalPlayer(1, playerTwo);
+
+    for (let tick = 0; tick < 600; tick++) {
+      loop._tick();
+      reference.tick([playerOne.history[tick], playerTwo.history[tick], 0, 0]);
+    }
+
+    assert.strictEqual(sim.getState().humans[1].active, true);
+    assertSameState(sim, reference, 'couch sim vs reference');
+  });
+
+  it('keeps a couch guest in sync with a remote peer', function () {
+    // Peer 0 plays slot 0 with a couch guest in slot 2; peer 1 plays slot 1
+    const slots = [0, 1, 2];
+    const sims = [createStartedSim(slots), createStartedSim(slots)];
+    const sessions = [createSession(0, [2]), createSession(1, [])];
+    const readers = { 0: createReader(10), 1: createReader(11), 2: createReader(12) };
+    const link = createLink();
+
+    const loops = [0, 1].map(peer => {
+      const loop = new GameLoop({ game: sims[peer], renderer: null, inputReader: readers[peer], localPlayerIndex: peer });
+      loop.transitionToMultiplayer(sessions[peer], link.transportFor(peer, 1 - peer));
+      return loop;
+    });
+    loops[0].addLocalPlayer(2, readers[2]);
+
+    const runTicks = (count) => {
+      for (let i = 0; i < count; i++) {
+        link.deliver(sessions);
+        loops[0]._tick();
+        loops[1]._tick();
+        link.tick++;
+      }
+    };
+
+    runTicks(600);
+    // Go idle so the last predictions (repeat of idle input) are right on both sides
+    for (const reader of Object.values(readers)) {
+      reader.idle = true;
+    }
+    runTicks(60);
+
+    assert.ok(link.sentBySlot.get(2) > 0, 'guest inputs should be sent');
+    assert.strictEqual(sims[0]._frame, sims[1]._frame);
+    assert.strictEqual(sims[1].getState().humans[2].active, true);
+    assertSameState(sims[0], sims[1], 'host with guest vs remote peer');
+  });
+
+  it('does not accept remote inputs for a local guest slot', function () {
+    const session = createSession(0, [2]);
+    assert.strictEqual(session.addRemoteInput(2, 0, 0x04), undefined);
+    assert.strictEqual(session.inputQueues[2].getConfirmedFrame(), -1);
+  });
+});
@@ -0,0 +1,308 @@
+// Match stats tests.
+// GameSimulation counts kills, deaths by cause, eggs, troll escapes, the
+// highest wave survived and time alive per human slot, in the serialized
+// state. buildMatchResults turns them into what rooms.reportResult stores,
+// buildMatchHistory into the match history it keeps, buildResultsRows into the
+// lines of the post-game results screen.
+
+import assert from 'assert';
+import { GameSimulation } from '../GameSimulation.js';
+import { GameEvent } from '../gameEvents.js';
+import { buildMatchResults, buildMatchHistory, buildResultsRows, totalKills, totalDeaths } from '../matchStats.js';
+import { GAME_MODE_TEAM, GAME_MODE_PVP, TROLL_WAVE_START } from '../physics/constants.js';
+import { ENEMY_TYPE_HUNTER, ENEMY_TYPE_PTERODACTYL } from '../scoring.js';
+import { MAX_HUMANS, LT_PULLING, toFP } from '../physics/stateLayout.js';
+import { diffStates } from '../physics/stateDiff.js';
+
+function startSim(gameMode, players, rules = {}) {
+  const sim = new GameSimulation({ gameMode, seed: 33, rules });
+  for (let slot = 0; slot < players; slot++) {
+    sim.activatePlayer(slot, slot);
+  }
+  sim.startGame();
+  return sim;
+}
+
+// An enemy of `enemyType` in the first enemy slot, right next to slot 0
+function enemyBeside(sim, enemyType) {
+  const enemy = sim._chars[MAX_HUMANS];
+  enemy.active = true;
+  enemy.dead = false;
+  enemy.enemyType = enemyType;
+  enemy.positionX = sim._chars[0].positionX;
+  enemy.positionY = sim._chars[0].positionY;
+  return enemy;
+}
+
+// Slot 0 held by the troll over the lava, as in LavaTroll.test.js
+function grabbedByTroll() {
+  const sim = startSim(GAME_MODE_TEAM, 1);
+  for (let f = 0; f < 200; f++) {
+    sim.tick([0, 0, 0, 0]);
+  }
+  sim._waveNumber = TROLL_WAVE_START;
+  sim._trollIntroDone = 1;
+  sim._trollActive = 1;
+  const char = sim._chars[0];
+  char.positionX = 0;
+  char.positionY = toFP(-3.5);
+  char.playerState = 'GRABBED';
+  char.velocityY = 0;
+  char.currentPlatform = null;
+  char.platformIndex = -1;
+  sim._trollState = LT_PULLING;
+  sim._trollTargetSlot = 0;
+  sim._trollTargetType = 0;
+  sim._trollPosX = 0;
+  sim._trollPosY = char.positionY;
+  sim._trollGrabY = char.positionY;
+  return sim;
+}
+
+describe('Match stats', function () {
+  this.timeout(20000);
+
+  describe('counting', function () {
+    it('credits an enemy kill by type to the player the points went to', function () {
+      const sim = startSim(GAME_MODE_TEAM, 1);
+      sim._killCharacter(enemyBeside(sim, ENEMY_TYPE_HUNTER), MAX_HUMANS, 1, 0);
+      const stats = sim.getMatchStats(0);
+      assert.strictEqual(stats.kills.hunter, 1);
+      assert.strictEqual(totalKills(stats), 1);
+    });
+
+    it('credits the joust winner named in the event, not the closest player', function () {
+      const sim = startSim(GAME_MODE_TEAM, 2);
+      sim._chars[1].positionX = sim._chars[0].positionX + toFP(6);
+      const enemy = enemyBeside(sim, ENEMY_TYPE_HUNTER);
+      sim._events = [];
+      sim._killCharacter(enemy, MAX_HUMANS, 1, 1);
+      const kill = sim._events.find(entry => entry.type === GameEvent.JOUST_KILL);
+      assert.strictEqual(kill.winner, 1);
+      assert.strictEqual(sim.getMatchStats(1).kills.hunter, 1);
+      assert.strictEqual(sim.getMatchStats(0).kills.hunter, 0);
+      assert.ok(sim._chars[1].score > 0);
+      assert.strictEqual(sim._chars[0].score, 0);
+    });
+
+    it('tells joust, pterodactyl and lava deaths apart', function () {
+      const sim = startSim(GAME_MODE_TEAM, 1, { startingLives: 9 });
+      sim._killCharacter(sim._chars[0], 0, 1, MAX_HUMANS);
+      sim._chars[0].dead = false;
+      enemyBeside(sim, ENEMY_TYPE_PTERODACTYL);
+      sim._killCharacter(sim._chars[0], 0, 1, MAX_HUMANS);
+      sim._chars[0].dead = false;
+      sim._lavaDeath(sim._chars[0], 0);
+      const stats = sim.getMatchStats(0);
+      assert.deepStrictEqual(stats.deaths, { joust: 1, lava: 1, pterodactyl: 1, troll: 0 });
+      assert.strictEqual(totalDeaths(stats), 3);
+    });
+
+    it('counts player kills in PvP', function () {
+      const sim = startSim(GAME_MODE_PVP, 2, { startingLives: 9 });
+      sim._killCharacter(sim._chars[1], 1, 1, 0);
+      assert.strictEqual(sim.getMatchStats(0).playerKills, 1);
+      assert.strictEqual(sim.getMatchStats(1).deaths.joust, 1);
+    });
+
+    it('counts a troll escape, and a pull into the lava as a troll death', function () {
+      const escaped = grabbedByTroll();
+      for (let f = 0; f < 60; f++) {
+        escaped.tick([0x04, 0, 0, 0]);
+      }
+      assert.strictEqual(escaped.getMatchStats(0).trollEscapes, 1);
+
+      const pulled = grabbedByTroll();
+      for (let f = 0; f < 200 && !pulled._chars[0].dead; f++) {
+        pulled.tick([0, 0, 0, 0]);
+      }
+      assert.deepStrictEqual(pulled.getMatchStats(0).deaths, { joust: 0, lava: 0, pterodactyl: 0, troll: 1 });
+    });
+
+    it('agrees with the events of a bot game', function () {
+      const sim = new GameSimulation({ gameMode: GAME_MODE_TEAM, seed: 5, rules: { bots: 3 } });
+      sim.activatePlayer(0, 0);
+      sim.startGame();
+      const events = [];
+      const frames = 60 * 60;
+      for (let f = 0; f < frames; f++) {
+        events.push(...sim.tick([0, 0, 0, 0]));
+      }
+
+      const stats = [0, 1, 2, 3].map(slot => sim.getMatchStats(slot));
+      const enemyKills = events.filter(entry => entry.type === GameEvent.JOUST_KILL && entry.loser >= MAX_HUMANS);
+      assert.ok(enemyKills.length > 0);
+      assert.strictEqual(stats.reduce((sum, slotStats) => sum + totalKills(slotStats), 0), enemyKills.length);
+
+      const waves = events.filter(entry => entry.type === GameEvent.WAVE_COMPLETE).map(entry => entry.wave);
+      for (let slot = 0; slot < MAX_HUMANS; slot++) {
+        const deaths = events.filter(entry =>
+          (entry.type === GameEvent.JOUST_KILL && entry.loser === slot) ||
+          (entry.type === GameEvent.LAVA_DEATH && entry.slot === slot));
+        assert.strictEqual(totalDeaths(stats[slot]), deaths.length);
+        const eggs = events.filter(entry => entry.type === GameEvent.EGG_COLLECTED && entry.slot === slot);
+        assert.strictEqual(stats[slot].eggs, eggs.length);
+        assert.strictEqual(stats[slot].eggsMidAir, eggs.filter(entry => entry.midAir).length);
+        if (sim._chars[slot].lives > 0) {
+          assert.strictEqual(stats[slot].highestWave, Math.max(...waves));
+        }
+        assert.ok(stats[slot].framesAlive > 0 && stats[slot].framesAlive <= frames);
+      }
+    });
+  });
+
+  describe('state', function () {
+    it('carries the counters through serialize/deserialize', function () {
+      const sim = startSim(GAME_MODE_PVP, 2, { startingLives: 9 });
+      sim._killCharacter(sim._chars[1], 1, 1, 0);
+      sim._lavaDeath(sim._chars[0], 0);
+      const saved = sim.serialize();
+
+      const restored = new GameSimulation({ gameMode: GAME_MODE_TEAM, seed: 1 });
+      restored.deserialize(saved);
+      assert.deepStrictEqual(restored.getMatchStats(0), sim.getMatchStats(0));
+      assert.deepStrictEqual(restored.getMatchStats(1), sim.getMatchStats(1));
+
+      restored._lavaDeath(restored._chars[1], 1);
+      const diff = diffStates(saved, restored.serialize());
+      assert.ok(diff.some(entry => entry.name === 'stats[1].ST_DEATHS_LAVA'), JSON.stringify(diff));
+    });
+
+    it('shows each player\'s counters in the render state', function () {
+      const sim = startSim(GAME_MODE_TEAM, 1, { startingLives: 9 });
+      sim._lavaDeath(sim._chars[0], 0);
+      sim.tick([0, 0, 0, 0]);
+      assert.deepStrictEqual(sim.getState().humans[0].stats, sim.getMatchStats(0));
+    });
+
+    it('starts over for a player taking the slot', function () {
+      const sim = startSim(GAME_MODE_TEAM, 1, { startingLives: 9 });
+      sim._lavaDeath(sim._chars[0], 0);
+      sim.activatePlayer(0, 0);
+      assert.strictEqual(totalDeaths(sim.getMatchStats(0)), 0);
+    });
+  });
+
+  describe('buildMatchResults', function () {
+    it('scores every seat, guests included, and names the PvP winner', function () {
+      const sim = startSim(GAME_MODE_PVP, 3, { startingLives: 9 });
+      sim._killCharacter(sim._chars[1], 1, 1, 2);
+      sim._chars[2].score = 5000;
+      sim.tick([0, 0, 0, 0]);
+      const results = buildMatchResults(sim, [
+        { slot: 2, userId: 'ann' },
+        { slot: 0, userId: 'bo' },
+        { slot: 1, userId: 'bo' },
+      ]);
+
+      assert.deepStrictEqual(results.scores.map(entry => entry.slot), [0, 1, 2]);
+      assert.strictEqual(results.winnerId, 'ann');
+      const ann = results.scores[2];
+      assert.strictEqual(ann.score, 5000);
+      assert.strictEqual(ann.kills, 1);
+      assert.strictEqual(ann.stats.playerKills, 1);
+      assert.strictEqual(results.scores[1].deaths, 1);
+    });
+
+    it('leaves bots out and has no winner in team play', function () {
+      const sim = new GameSimulation({ gameMode: GAME_MODE_TEAM, seed: 5, rules: { bots: 2 } });
+      sim.activatePlayer(0, 0);
+      sim.startGame();
+      sim.tick([0, 0, 0, 0]);
+      const results = buildMatchResults(sim, [{ slot: 0, userId: 'ann' }]);
+      assert.strictEqual(results.scores.length, 1);
+      assert.strictEqual(results.winnerId, undefined);
+    });
+  });
+
+  describe('buildMatchHistory', function () {
+    const room = {
+      _id: 'room1',
+      round: 2,
+      gameMode: GAME_MODE_PVP,
+      gameSeed: 1234,
+      settings: { lives: 3 },
+      startedAt: new Date(1000),
+      players: [{ userId: 'ann', username: 'Ann', slot: 0 }, { userId: 'bo', username: 'Bo', slot: 1 }],
+    };
+
+    function reported() {
+      const sim = startSim(GAME_MODE_PVP, 3, { startingLives: 9 });
+      sim._killCharacter(sim._chars[1], 1, 1, 0);
+      sim.tick([0, 0, 0, 0]);
+      return buildMatchResults(sim, [
+        { slot: 0, userId: 'ann' },
+        { slot: 1, userId: 'bo' },
+        { slot: 2, userId: 'bo' },
+      ]);
+    }
+
+    it('keeps the game and every seat\'s stats', function () {
+      const results = reported();
+      const match = buildMatchHistory(room, results, new Date(61000));
+      assert.strictEqual(match.roomId, 'room1');
+      assert.strictEqual(match.round, 2);
+      assert.strictEqual(match.seed, 1234);
+      assert.strictEqual(match.durationMs, 60000);
+      assert.strictEqual(match.waveReached, results.waveReached);
+      assert.strictEqual(match.winnerId, results.winnerId);
+      assert.deepStrictEqual(
+        match.participants.map(entry => [entry.username, entry.slot, entry.guest]),
+        [['Ann', 0, false], ['Bo', 1, false], ['Bo', 2, true]]
+      );
+      assert.deepStrictEqual(match.participants[0].stats, results.scores[0].stats);
+      assert.strictEqual(match.participants[1].deaths, 1);
+    });
+
+    it('marks the host\'s stats as self-reported', function () {
+      const match = buildMatchHistory(room, reported(), new Date(61000));
+      assert.strictEqual(match.selfReported, true);
+    });
+
+    it('leaves out scores for anyone not in the room', function () {
+      const results = reported();
+      results.scores[0].userId = 'mallory';
+      results.winnerId = 'mallory';
+      const match = buildMatchHistory(room, results, new Date(61000));
+      assert.deepStrictEqual(match.participants.map(entry => entry.userId), ['bo', 'bo']);
+      assert.strictEqual(match.winnerId, undefined);
+    });
+  });
+
+  describe('buildResultsRows', function () {
+    function finishedGame() {
+      const sim = new GameSimulation({ gameMode: GAME_MODE_PVP, seed: 5, rules: { bots: 1, startingLives: 9 } });
+      sim.activatePlayer(0, 0);
+      sim.activatePlayer(2, 2);
+      sim.startGame();
+      sim._killCharacter(sim._chars[0], 0, 1, 2);
+      sim._chars[0].score = 1500;
+      sim._chars[2].score = 4000;
+      sim.tick([0, 0, 0, 0]);
+      return sim.getState().humans;
+    }
+
+    it('lists the players in the game, best score first', function () {
+      const rows = buildResultsRows(finishedGame(), { localSlot: 0 });
+      assert.deepStrictEqual(rows.map(row => row.label), ['P3', 'P1', 'P2']);
+      const [winner, local, bot] = rows;
+      assert.deepStrictEqual(
+        [winner.kills, winner.deaths, local.kills, local.deaths],
+        [1, 0, 0, 1]
+      );
+      assert.strictEqual(local.isLocal, true);
+      assert.strictEqual(winner.isLocal, false);
+      assert.strictEqual(bot.isBot, true);
+    });
+
+    it('marks a personal best only on the local row and only when it beats the old one', function () {
+      const humans = finishedGame();
+      const personalBests = (options) => buildResultsRows(humans, options)
+        .filter(row => row.personalBest).map(row => row.label);
+      assert.deepStrictEqual(personalBests({ localSlot: 0, previousBest: 1000 }), ['P1']);
+      assert.deepStrictEqual(personalBests({ localSlot: 0, previousBest: 1500 }), []);
+      assert.deepStrictEqual(personalBests({ localSlot: 0, previousBest: null }), []);
+      assert.deepStrictEqual(personalBests({ previousBest: 0 }), []);
+    });
+  });
+});
@@ -972,6 +972,32 @@ describe('Multiplayer Connectivity', function () {
       assert.ok(host.session.peerDisconnected[1], 'peerDisconnected flag should be set');
     });
 
+    it('stops waiting for a peer that left while behind', function () {
+      const session = new RollbackSession({
+        numPlayers: NUM_PLAYERS,
+        localPlayerIndex: 0,
+        autoInputSlots: new Set([2, 3]),
+      });
+      session.setPeerConnected(1, true);
+      session.peerSynchronized[1] = true;
+      session.running = true;
+
+      // Peer 1 falls behind: its last input is 8 frames older than ours
+      session.addRemoteInput(1, 0, 0);
+      for (let i = 0; i < 8; i++) {
+        session.addLocalInput(0);
+        session.advanceFrame();
+      }
+      session.addRemoteInput(1, 1, 0);
+      session.addLocalInput(0);
+      assert.strictEqual(session.advanceFrame().length, 0, 'Waits for the slow peer');
+
+      // It leaves: its advantage never updates again, so it must not count
+      session.autoInputSlots.add(1);
+      session.addLocalInput(0);
+      assert.ok(session.advanceFrame().length > 0, 'Advances without it');
+    });
+
     it('DISCONNECT_BIT fed produces deterministic deactivation', function () {
       const sim = createSim();
       sim.activatePlayer(0, 0);
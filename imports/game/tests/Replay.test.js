@@ -0,0 +1,429 @@
+// Replay recording/playback tests.
+// Records matches through ReplayRecorder exactly as GameLoop/MultiplayerManager
+// drive it (ticks, rollbacks, STATE_SYNC loads), then re-simulates the encoded
+// file with ReplayPlayer and checks the final state is bit-identical.
+
+import assert from 'assert';
+import { DeterministicRNG } from '../physics/mulberry32.js';
+import { GAME_MODE_TEAM, GAME_MODE_PVP } from '../physics/constants.js';
+import { ReplayRecorder } from '../replay/ReplayRecorder.js';
+import { ReplayPlayer } from '../replay/ReplayPlayer.js';
+import { ReplayFile, ReplayOp } from '../replay/ReplayFile.js';
+import { verifyReplay } from '../replay/ReplayVerifier.js';
+import { GameSimulation } from '../GameSimulation.js';
+import { createSim, generateInput, compareStates, GAME_SEED } from './testHelpers.js';
+
+function startRecordedSim(paletteBySlot = [0]) {
+  const sim = createSim();
+  const recorder = new ReplayRecorder({ game: sim, gameMode: sim._gameMode, seed: GAME_SEED });
+  for (let slot = 0; slot < paletteBySlot.length; slot++) {
+    sim.activatePlayer(slot, paletteBySlot[slot]);
+    recorder.recordActivate(slot, paletteBySlot[slot]);
+  }
+  sim.startGame();
+  recorder.recordStart();
+  return { sim, recorder };
+}
+
+function recordTicks(sim, recorder, rng, frames, numPlayers = 1) {
+  for (let i = 0; i < frames; i++) {
+    const inputs = [0, 0, 0, 0];
+    for (let slot = 0; slot < numPlayers; slot++) {
+      inputs[slot] = generateInput(rng);
+    }
+    recorder.recordTick(inputs);
+    sim.tick(inputs);
+  }
+}
+
+function replayToEnd(buffer) {
+  const player = new ReplayPlayer({ replay: buffer });
+  const result = player.runToEnd();
+  return { player, result };
+}
+
+describe('Replay', function () {
+  describe('file format', function () {
+    it('round-trips header and ops', function () {
+      const state = new Int32Array([1, 2, 3, -4]).buffer;
+      const replay = {
+        gameMode: GAME_MODE_PVP,
+        seed: 0xDEADBEEF,
+        numSlots: 4,
+        checksumInterval: 30,
+        ops: [
+          { op: ReplayOp.ACTIVATE, frame: 0, slot: 2, paletteIndex: 5 },
+          { op: ReplayOp.START, frame: 0 },
+          { op: ReplayOp.CHECKSUM, frame: 0, checksum: 0x12345678 },
+          { op: ReplayOp.TICK, frame: 0, inputs: [1, 0, 4, 8] },
+          { op: ReplayOp.TICK, frame: 1, inputs: [1, 0, 4, 8] },
+          { op: ReplayOp.TICK, frame: 2, inputs: [2, 0, 0, 0] },
+          { op: ReplayOp.STATE, frame: 500, state },
+          { op: ReplayOp.DEACTIVATE, frame: 500, slot: 2 },
+          { op: ReplayOp.TICK, frame: 500, inputs: [0, 0, 0, 0] },
+        ],
+      };
+
+      const decoded = ReplayFile.decode(ReplayFile.encode(replay));
+
+      assert.strictEqual(decoded.gameMode, GAME_MODE_PVP);
+      assert.strictEqual(decoded.seed, 0xDEADBEEF);
+      assert.strictEqual(decoded.numSlots, 4);
+      assert.strictEqual(decoded.checksumInterval, 30);
+      // Ticks decode as runs: the two identical frames come back as one
+      const expectedOps = [
+        replay.ops[0],
+        replay.ops[1],
+        replay.ops[2],
+        { op: ReplayOp.TICK, frame: 0, count: 2, inputs: [1, 0, 4, 8] },
+        { op: ReplayOp.TICK, frame: 2, count: 1, inputs: [2, 0, 0, 0] },
+        replay.ops[6],
+        replay.ops[7],
+        { op: ReplayOp.TICK, frame: 500, count: 1, inputs: [0, 0, 0, 0] },
+      ];
+      assert.strictEqual(decoded.ops.length, expectedOps.length);
+      for (let i = 0; i < expectedOps.length; i++) {
+        const expected = expectedOps[i];
+        const actual = decoded.ops[i];
+        if (expected.op === ReplayOp.STATE) {
+          assert.deepStrictEqual(new Int32Array(actual.state), new Int32Array(expected.state));
+          assert.strictEqual(actual.frame, expected.frame);
+        } else {
+          assert.deepStrictEqual(actual, expected, `op ${i} mismatch`);
+        }
+      }
+    });
+
+    it('collapses held inputs into runs', function () {
+      const { sim, recorder } = startRecordedSim();
+      const headerBytes = recorder.toBuffer().byteLength;
+      for (let i = 0; i < 600; i++) {
+        const inputs = [0x02, 0, 0, 0];
+        recorder.recordTick(inputs);
+        sim.tick(inputs);
+      }
+      const tickBytes = recorder.toBuffer().byteLength - headerBytes;
+      // 600 identical frames split only by 10 checksum markers
+      assert.ok(tickBytes < 230, `expected compact file, got ${tickBytes} bytes of ticks`);
+    });
+
+    it('round-trips rules', function () {
+      const replay = {
+        gameMode: GAME_MODE_TEAM,
+        seed: 7,
+        numSlots: 4,
+        checksumInterval: 60,
+        rules: { startingLives: 2, enemyCountPercent: 80 },
+        ops: [{ op: ReplayOp.START, frame: 0 }],
+      };
+      const buffer = ReplayFile.encode(replay);
+      assert.deepStrictEqual(ReplayFile.decode(buffer).rules, { startingLives: 2, enemyCountPercent: 80 });
+    });
+
+    it('round-trips the frame a recording starts on', function () {
+      const buffer = ReplayFile.encode({
+        gameMode: GAME_MODE_TEAM,
+        seed: 7,
+        numSlots: 4,
+        checksumInterval: 60,
+        startFrame: 5000,
+        ops: [{ op: ReplayOp.ACTIVATE, frame: 5000, slot: 0, paletteIndex: 0 }, { op: ReplayOp.START, frame: 5000 }],
+      });
+      const decoded = ReplayFile.decode(buffer);
+      assert.strictEqual(decoded.startFrame, 5000);
+      assert.deepStrictEqual(decoded.ops.map(op => op.frame), [5000, 5000]);
+    });
+
+    it('rejects files that are not replays', function () {
+      assert.throws(() => ReplayFile.decode(new ArrayBuffer(32)), /Not a replay/);
+    });
+
+    it('rejects a header with a slot count other than MAX_HUMANS', function () {
+      const buffer = ReplayFile.encode({
+        gameMode: GAME_MODE_TEAM, seed: 7, numSlots: 0, checksumInterval: 60, ops: [],
+      });
+      assert.throws(() => ReplayFile.decode(buffer), /slot count 0/);
+    });
+  });
+
+  describe('playback', function () {
+    it('reproduces a solo match bit-for-bit with no drift', function () {
+      const { sim, recorder } = startRecordedSim([3]);
+      recordTicks(sim, recorder, new DeterministicRNG(7), 1200);
+
+      const { player, result } = replayToEnd(recorder.toBuffer());
+
+      assert.strictEqual(result.frame, sim._frame);
+      assert.strictEqual(result.drifts.length, 0);
+      const report = compareStates(new Int32Array(player.game.serialize()), new Int32Array(sim.serialize()), 'replay');
+      assert.strictEqual(report, null, report);
+    });
+
+    it('keeps only the settled timeline after rollbacks', function () {
+      const { sim, recorder } = startRecordedSim([0, 1]);
+      const rng = new DeterministicRNG(11);
+      recordTicks(sim, recorder, rng, 118, 2);
+
+      // Predict 8 frames (crossing a checksum marker), then roll back and correct
+      const saved = sim.serialize();
+      recordTicks(sim, recorder, new DeterministicRNG(999), 8, 2);
+      sim.deserialize(saved);
+      recorder.recordRollback();
+      recordTicks(sim, recorder, rng, 300, 2);
+
+      const { player, result } = replayToEnd(recorder.toBuffer());
+
+      assert.strictEqual(result.drifts.length, 0);
+      const report = compareStates(new Int32Array(player.game.serialize()), new Int32Array(sim.serialize()), 'rollback replay');
+      assert.strictEqual(report, null, report);
+    });
+
+    it('resumes from STATE_SYNC loads and late activations', function () {
+      // Host plays alone for a while, then a joiner adopts its state
+      const host = createSim();
+      host.activatePlayer(0, 0);
+      host.startGame();
+      const hostRng = new DeterministicRNG(21);
+      for (let i = 0; i < 400; i++) {
+        host.tick([generateInput(hostRng), 0, 0, 0]);
+      }
+      host.activatePlayer(1, 2);
+
+      const { sim, recorder } = startRecordedSim([0]);
+      recordTicks(sim, recorder, new DeterministicRNG(5), 90);
+      const syncState = host.serialize();
+      sim.deserialize(syncState);
+      recorder.recordState(syncState);
+      recordTicks(sim, recorder, new DeterministicRNG(6), 240, 2);
+
+      const { player, result } = replayToEnd(recorder.toBuffer());
+
+      assert.strictEqual(result.drifts.length, 0);
+      assert.strictEqual(result.frame, 640);
+      const report = compareStates(new Int32Array(player.game.serialize()), new Int32Array(sim.serialize()), 'state sync replay');
+      assert.strictEqual(report, null, report);
+    });
+
+    it('re-simulates with the recorded rules', function () {
+      const rules = { startingLives: 2, enemyCountPercent: 40, startingWave: 3 };
+      const sim = new GameSimulation({ gameMode: GAME_MODE_TEAM, seed: GAME_SEED, rules });
+      const recorder = new ReplayRecorder({ game: sim, gameMode: GAME_MODE_TEAM, seed: GAME_SEED });
+      sim.activatePlayer(0, 0);
+      recorder.recordActivate(0, 0);
+      sim.startGame();
+      recorder.recordStart();
+      recordTicks(sim, recorder, new DeterministicRNG(4), 600);
+
+      const { player, result } = replayToEnd(recorder.toBuffer());
+
+      assert.strictEqual(result.drifts.length, 0);
+      const report = compareStates(new Int32Array(player.game.serialize()), new Int32Array(sim.serialize()), 'rules replay');
+      assert.strictEqual(report, null, report);
+    });
+
+    it('reports drift when a checksum marker no longer matches', function () {
+      const { sim, recorder } = startRecordedSim();
+      recordTicks(sim, recorder, new DeterministicRNG(3), 300);
+
+      const replay = ReplayFile.decode(recorder.toBuffer());
+      const marker = replay.ops.find(entry => entry.op === ReplayOp.CHECKSUM && entry.frame === 180);
+      marker.checksum = (marker.checksum ^ 1) >>> 0;
+
+      const drifts = [];
+      const player = new ReplayPlayer({ replay, onDrift: (drift) => drifts.push(drift) });
+      const originalWarn = console.warn;
+      console.warn = () => {};
+      try {
+        player.runToEnd();
+      } finally {
+        console.warn = originalWarn;
+      }
+
+      assert.strictEqual(drifts.length, 1);
+      assert.strictEqual(drifts[0].frame, 180);
+    });
+
+    it('steps one frame at a time and stops at the end', function () {
+      const { sim, recorder } = startRecordedSim();
+      recordTicks(sim, recorder, new DeterministicRNG(8), 3);
+
+      let finishedCount = 0;
+      const player = new ReplayPlayer({
+        replay: recorder.toBuffer(),
+        onFinished: () => finishedCount++,
+      });
+
+      assert.strictEqual(player.stepFrame(), true);
+      assert.strictEqual(player.frame, 1);
+      assert.strictEqual(player.stepFrame(), true);
+      assert.strictEqual(player.stepFrame(), true);
+      assert.strictEqual(player.frame, 3);
+      assert.strictEqual(player.stepFrame(), false);
+      assert.strictEqual(player.finished, true);
+      assert.strictEqual(player.paused, true);
+      assert.strictEqual(finishedCount, 1);
+    });
+
+    it('clamps playback speed to the supported range', function () {
+      const player = new ReplayPlayer({
+        replay: startRecordedSim().recorder.toBuffer(),
+      });
+      assert.strictEqual(player.speed, 1);
+      for (let i = 0; i < 10; i++) {
+        player.faster();
+      }
+      assert.strictEqual(player.speed, 4);
+      for (let i = 0; i < 10; i++) {
+        player.slower();
+      }
+      assert.strictEqual(player.speed, 0.25);
+      assert.ok(player.game instanceof GameSimulation);
+    });
+  });
+
+  describe('score verification', function () {
+    function recordClaim() {
+      const { sim, recorder } = startRecordedSim([0, 1]);
+      recordTicks(sim, recorder, new DeterministicRNG(13), 900, 2);
+      const state = sim.getState();
+      return {
+        buffer: recorder.toBuffer(),
+        sim,
+        recorder,
+        claim: {
+          gameMode: GAME_MODE_TEAM,
+          frame: sim._frame,
+          playerSlot: 1,
+          score: state.humans[1].score,
+          waveReached: state.waveNumber,
+        },
+      };
+    }
+
+    it('accepts a claim that matches the re-simulated result', async function () {
+      const { buffer, claim } = recordClaim();
+      const result = await verifyReplay(buffer, claim);
+      assert.deepStrictEqual(result, { valid: true, reason: null });
+    });
+
+    it('verifies against an earlier claimed frame', async function () {
+      const { buffer } = recordClaim();
+      const earlyState = new ReplayPlayer({ replay: buffer });
+      while (earlyState.frame < 300) {
+        earlyState.stepFrame();
+      }
+      const claim = {
+        gameMode: GAME_MODE_TEAM,
+        frame: 300,
+        playerSlot: 0,
+        score: earlyState.game.getState().humans[0].score,
+        waveReached: earlyState.game.getState().waveNumber,
+      };
+      const result = await verifyReplay(buffer, claim);
+      assert.strictEqual(result.valid, true, result.reason);
+    });
+
+    it('rejects an inflated score', async function () {
+      const { buffer, claim } = recordClaim();
+      const result = await verifyReplay(buffer, { ...claim, score: claim.score + 500 });
+      assert.strictEqual(result.valid, false);
+      assert.match(result.reason, /^score-mismatch/);
+    });
+
+    it('rejects a wrong wave', async function () {
+      const { buffer, claim } = recordClaim();
+      const result = await verifyReplay(buffer, { ...claim, waveReached: claim.waveReached + 3 });
+      assert.strictEqual(result.valid, false);
+      assert.match(result.reason, /^wave-mismatch/);
+    });
+
+    it('rejects a claim past the end of the replay', async function () {
+      const { buffer, claim } = recordClaim();
+      const result = await verifyReplay(buffer, { ...claim, frame: claim.frame + 1 });
+      assert.strictEqual(result.reason, 'replay-too-short');
+    });
+
+    it('verifies a rematch recorded from the middle of a session', async function () {
+      const sim = new GameSimulation({ gameMode: GAME_MODE_TEAM, seed: GAME_SEED, startFrame: 10000 });
+      const recorder = new ReplayRecorder({ game: sim, gameMode: GAME_MODE_TEAM, seed: GAME_SEED });
+      sim.activatePlayer(0, 0);
+      recorder.recordActivate(0, 0);
+      sim.startGame();
+      recorder.recordStart();
+      recordTicks(sim, recorder, new DeterministicRNG(21), 600);
+
+      const { player } = replayToEnd(recorder.toBuffer());
+      const report = compareStates(new Int32Array(player.game.serialize()), new Int32Array(sim.serialize()), 'rematch replay');
+      assert.strictEqual(report, null, report);
+      const claim = {
+        gameMode: GAME_MODE_TEAM,
+        frame: sim._frame,
+        playerSlot: 0,
+        score: sim.getState().humans[0].score,
+        waveReached: sim.getState().waveNumber,
+      };
+      assert.deepStrictEqual(await verifyReplay(recorder.toBuffer(), claim), { valid: true, reason: null });
+      const tooLong = await verifyReplay(recorder.toBuffer(), claim, { maxFrames: 599 });
+      assert.strictEqual(tooLong.reason, 'replay-too-long');
+    });
+
+    it('rejects a mismatched game mode', async function () {
+      const { buffer, claim } = recordClaim();
+      const result = await verifyReplay(buffer, { ...claim, gameMode: GAME_MODE_PVP });
+      assert.strictEqual(result.reason, 'game-mode-mismatch');
+    });
+
+    it('rejects replays that load external state, which the recorder flags', async function () {
+      const { sim, recorder, claim } = recordClaim();
+      assert.strictEqual(recorder.verifiable, true);
+      const forged = sim.serialize();
+      sim.deserialize(forged);
+      recorder.recordState(forged);
+      assert.strictEqual(recorder.verifiable, false);
+      const result = await verifyReplay(recorder.toBuffer(), claim);
+      assert.strictEqual(result.reason, 'unverifiable-state-load');
+    });
+
+    it('rejects games played with custom rules', async function () {
+      const sim = new GameSimulation({ gameMode: GAME_MODE_TEAM, seed: GAME_SEED, rules: { startingLives: 9 } });
+      const recorder = new ReplayRecorder({ game: sim, gameMode: GAME_MODE_TEAM, seed: GAME_SEED });
+      sim.activatePlayer(0, 0);
+      recorder.recordActivate(0, 0);
+      sim.startGame();
+      recorder.recordStart();
+      recordTicks(sim, recorder, new DeterministicRNG(9), 120);
+
+      const result = await verifyReplay(recorder.toBuffer(), {
+        gameMode: GAME_MODE_TEAM, frame: 120, playerSlot: 0, score: 0, waveReached: 1,
+      });
+      assert.strictEqual(result.reason, 'custom-rules');
+    });
+
+    it('rejects huge tick runs before simulating or expanding them', async function () {
+      // ~100 million frames in under 100 KB
+      const { recorder } = startRecordedSim();
+      const header = new Uint8Array(recorder.toBuffer());
+      const runs = 1500;
+      const bytes = new Uint8Array(header.length + runs * 7);
+      bytes.set(header);
+      for (let i = 0; i < runs; i++) {
+        bytes.set([ReplayOp.TICK, 0xFF, 0xFF, 0, 0, 0, 0], header.length + i * 7);
+      }
+
+      const startedAt = Date.now();
+      const result = await verifyReplay(bytes.buffer, {
+        gameMode: GAME_MODE_TEAM, frame: 1000, playerSlot: 0, score: 0, waveReached: 1,
+      }, { maxFrames: 60 * 60 * 60 });
+      assert.deepStrictEqual(result, { valid: false, reason: 'replay-too-long' });
+      assert.ok(Date.now() - startedAt < 500, 'rejected quickly');
+    });
+
+    it('rejects garbage uploads', async function () {
+      const result = await verifyReplay(new Uint8Array([1, 2, 3]).buffer, {
+        gameMode: GAME_MODE_TEAM, frame: 1, playerSlot: 0, score: 0, waveReached: 1,
+      });
+      assert.strictEqual(result.valid, false);
+      assert.match(result.reason, /^malformed-replay/);
+    });
+  });
+});
@@ -0,0 +1,76 @@
+// Soak tests for the headless multi-peer harness.
+// Short runs of the same harness CI fuzzes from the command line: every peer
+// must agree on every confirmed frame through faults and churn, and a peer
+// nudged off course must be reported at the frame it diverged.
+
+import assert from 'assert';
+import { SoakHarness, runSoak, randomInputs } from '../soak/SoakHarness.js';
+
+const BAD_NETWORK = { latencyMs: 120, jitterMs: 30, lossRate: 0.05, duplicateRate: 0.02, reorderRate: 0.03 };
+
+describe('Soak harness', function () {
+  this.timeout(30000);
+
+  it('keeps four peers in agreement over a bad network', function () {
+    const result = runSoak({ seed: 11, frames: 1500, network: BAD_NETWORK });
+    assert.strictEqual(result.ok, true, result.divergence && result.divergence.summary);
+    assert.ok(result.stats.compared > 3000, `${result.stats.compared} frames compared`);
+    assert.ok(result.stats.rollbacks > 0);
+    assert.ok(result.network.lost > 0 && result.network.duplicated > 0 && result.network.reordered > 0);
+  });
+
+  it('keeps peers in agreement as they join and leave', function () {
+    const result = runSoak({
+      seed: 5,
+      frames: 2400,
+      startPeers: 2,
+      network: BAD_NETWORK,
+      events: [
+        { frame: 200, type: 'join', slot: 2 },
+        { frame: 500, type: 'join', slot: 3 },
+        { frame: 900, type: 'leave', slot: 0 },
+        { frame: 1300, type: 'join', slot: 0 },
+        { frame: 1700, type: 'leave', slot: 2 },
+      ],
+    });
+    assert.strictEqual(result.ok, true, result.divergence && result.divergence.summary);
+    assert.strictEqual(result.stats.joins, 3);
+    assert.strictEqual(result.stats.leaves, 2);
+  });
+
+  it('survives random churn', function () {
+    const result = runSoak({ seed: 3, frames: 3000, startPeers: 2, churnInterval: 300, network: BAD_NETWORK });
+    assert.strictEqual(result.ok, true, result.divergence && result.divergence.summary);
+    assert.ok(result.stats.joins + result.stats.leaves > 4);
+  });
+
+  it('reports the first divergent frame', function () {
+    const result = runSoak({ seed: 11, frames: 1000, corrupt: [{ frame: 400, slot: 2 }] });
+    assert.strictEqual(result.ok, false);
+    assert.strictEqual(result.divergence.frame, 401);
+    assert.ok(result.divergence.peers.includes(2));
+    assert.ok(result.divergence.summary.includes('human[2].C_SCORE'), result.divergence.summary);
+    assert.ok(result.frames < 1000, 'stops at the divergence');
+  });
+
+  it('is reproducible from its seed', function () {
+    const options = { seed: 8, startPeers: 3, churnInterval: 200, network: BAD_NETWORK };
+    const first = new SoakHarness(options).run(600);
+    const second = new SoakHarness(options).run(600);
+    assert.deepStrictEqual(first.stats, second.stats);
+    assert.deepStrictEqual(first.network, second.network);
+  });
+
+  it('holds random inputs for a while, per slot', function () {
+    const inputs = randomInputs(1);
+    const stream = Array.from({ length: 200 }, (_, frame) => inputs(0, frame));
+    let changes = 0;
+    for (let i = 1; i < stream.length; i++) {
+      if (stream[i] !== stream[i - 1]) {
+        changes++;
+      }
+    }
+    assert.ok(changes > 5 && changes < 60, `${changes} changes`);
+    assert.ok(stream.every(input => input >= 0 && input < 8));
+  });
+});
@@ -0,0 +1,206 @@
+// Spectator stream tests.
+// A player-side SpectatorHost streams a recorded match to a SpectatorPlayback
+// over an in-memory link; the spectator's simulation must end up bit-identical
+// to the player's, including after lost packets and late activations.
+
+import assert from 'assert';
+import { DeterministicRNG } from '../physics/mulberry32.js';
+import { InputEncoder, MessageType } from '../../netcode/InputEncoder.js';
+import { ReplayRecorder } from '../replay/ReplayRecorder.js';
+import { ReplayOp } from '../replay/ReplayFile.js';
+import {
+  SpectatorHost, SpectatorPlayback, encodeSpectatorInputs, decodeSpectatorInputs, SPECTATOR_REDUNDANCY,
+} from '../spectator/SpectatorFeed.js';
+import { SpectatorCamera, CameraMode } from '../spectator/SpectatorCamera.js';
+import { createSim, generateInput, compareStates, GAME_SEED } from './testHelpers.js';
+
+const SPECTATOR = 'spectator-peer';
+
+// Player sim + recorder + host, with the spectator on the other end of a
+// link that can be told to drop messages
+function createMatch() {
+  const sim = createSim();
+  const recorder = new ReplayRecorder({ game: sim, gameMode: sim._gameMode, seed: GAME_SEED });
+  sim.activatePlayer(0, 0);
+  recorder.recordActivate(0, 0);
+  sim.startGame();
+  recorder.recordStart();
+
+  const spectator = new SpectatorPlayback({ game: createSim() });
+  const link = { dropNext: 0, sent: 0 };
+  const host = new SpectatorHost({
+    send(peerId, data) {
+      link.sent++;
+      if (link.dropNext > 0) {
+        link.dropNext--;
+      } else if (InputEncoder.getMessageType(data) === MessageType.STATE_SYNC) {
+        const { frame, stateData } = InputEncoder.decodeStateSyncMessage(data);
+        spectator.loadState(frame, stateData);
+      } else {
+        spectator.addInputs(decodeSpectatorInputs(data));
+      }
+    },
+  });
+
+  // No rollbacks here, so everything simulated is confirmed
+  const source = {
+    recorder,
+    get confirmedFrame() {
+      return sim._frame - 1;
+    },
+    getConfirmedState: frame => (frame === sim._frame ? sim.serialize() : null),
+  };
+
+  return { sim, recorder, host, spectator, link, source };
+}
+
+function playFrames(match, rng, frames, numPlayers = 1) {
+  for (let i = 0; i < frames; i++) {
+    const inputs = [0, 0, 0, 0];
+    for (let slot = 0; slot < numPlayers; slot++) {
+      inputs[slot] = generateInput(rng);
+    }
+    match.recorder.recordTick(inputs);
+    match.sim.tick(inputs);
+    match.host.update(match.source);
+  }
+}
+
+function assertInSync(match) {
+  const playerBuf = new Int32Array(match.sim.serialize());
+  const spectatorBuf = new Int32Array(match.spectator.game.serialize());
+  const report = compareStates(playerBuf, spectatorBuf, 'spectator vs player');
+  assert.strictEqual(report, null, report || 'Spectator should match the player');
+}
+
+function catchUp(spectator) {
+  while (spectator.stepFrame()) {
+    // keep stepping
+  }
+}
+
+describe('Spectator', function () {
+  describe('SPECTATOR_INPUTS encoding', function () {
+    it('round-trips ticks, activations and start', function () {
+      const ops = [
+        { op: ReplayOp.TICK, frame: 40, inputs: [1, 2, 4, 0] },
+        { op: ReplayOp.ACTIVATE, frame: 41, slot: 2, paletteIndex: 5 },
+        { op: ReplayOp.DEACTIVATE, frame: 41, slot: 1 },
+        { op: ReplayOp.TICK, frame: 41, inputs: [0, 0, 7, 0] },
+        { op: ReplayOp.START, frame: 42 },
+        { op: ReplayOp.TICK, frame: 42, inputs: [3, 0, 0, 0] },
+      ];
+      const message = encodeSpectatorInputs(40, ops);
+      assert.strictEqual(InputEncoder.getMessageType(message), MessageType.SPECTATOR_INPUTS);
+      assert.deepStrictEqual(decodeSpectatorInputs(message), { frame: 40, ops });
+    });
+  });
+
+  describe('host to playback', function () {
+    it('keeps the spectator identical to the player', function () {
+      const match = createMatch();
+      const rng = new DeterministicRNG(7);
+      playFrames(match, rng, 30);
+
+      match.host.add(SPECTATOR);
+      playFrames(match, rng, 600);
+      catchUp(match.spectator);
+
+      assert.strictEqual(match.spectator.nextFrame, match.sim._frame);
+      assertInSync(match);
+    });
+
+    it('plays activations that happen mid-match', function () {
+      const match = createMatch();
+      const rng = new DeterministicRNG(11);
+      match.host.add(SPECTATOR);
+      playFrames(match, rng, 120);
+
+      match.sim.activatePlayer(1, 3);
+      match.recorder.recordActivate(1, 3);
+      match.host.resendState();
+      playFrames(match, rng, 300, 2);
+      catchUp(match.spectator);
+
+      assert.strictEqual(match.spectator.game.getState().humans[1].active, true);
+      assertInSync(match);
+    });
+
+    it('rides out lost packets using the redundant frames', function () {
+      const match = createMatch();
+      const rng = new DeterministicRNG(13);
+      match.host.add(SPECTATOR);
+      playFrames(match, rng, 60);
+
+      match.link.dropNext = SPECTATOR_REDUNDANCY - 1;
+      playFrames(match, rng, 240);
+      catchUp(match.spectator);
+
+      assert.strictEqual(match.spectator.hasGap(), false);
+      assertInSync(match);
+    });
+
+    it('reports a gap it cannot fill and recovers from a fresh snapshot', function () {
+      const match = createMatch();
+      const rng = new DeterministicRNG(17);
+      match.host.add(SPECTATOR);
+      playFrames(match, rng, 60);
+      catchUp(match.spectator);
+
+      match.link.dropNext = SPECTATOR_REDUNDANCY + 5;
+      playFrames(match, rng, 60);
+      catchUp(match.spectator);
+      assert.strictEqual(match.spectator.hasGap(), true);
+      assert.ok(match.spectator.nextFrame < match.sim._frame);
+
+      match.host.requestState(SPECTATOR);
+      playFrames(match, rng, 120);
+      catchUp(match.spectator);
+
+      assert.strictEqual(match.spectator.hasGap(), false);
+      assertInSync(match);
+    });
+
+    it('sends nothing while this peer is not the authority', function () {
+      const match = createMatch();
+      match.host.add(SPECTATOR);
+      match.host.update(null);
+      assert.strictEqual(match.link.sent, 0);
+      assert.strictEqual(match.spectator.hasState, false);
+    });
+  });
+
+  describe('camera', function () {
+    const arena = { left: -10, right: 10, bottom: -5, top: 5 };
+    const humans = [
+      { active: true, positionX: 9.5, positionY: 4.5 },
+      { active: false, positionX: 0, positionY: 0 },
+      { active: true, positionX: -3, positionY: 0 },
+      { active: false, positionX: 0, positionY: 0 },
+    ];
+
+    it('shows the whole arena in free mode', function () {
+      const camera = new SpectatorCamera(arena);
+      camera.update(humans, 1 / 60);
+      assert.deepStrictEqual(camera.getView(), arena);
+    });
+
+    it('follows active players without leaving the arena', function () {
+      const camera = new SpectatorCamera(arena);
+      camera.followNext(humans);
+      assert.strictEqual(camera.mode, CameraMode.FOLLOW);
+      assert.strictEqual(camera.followSlot, 0);
+
+      for (let i = 0; i < 120; i++) {
+        camera.update(humans, 1 / 60);
+      }
+      const view = camera.getView();
+      assert.strictEqual(view.right, arena.right);
+      assert.strictEqual(view.top, arena.top);
+      assert.ok(view.left > arena.left && view.bottom > arena.bottom);
+
+      camera.followNext(humans);
+      assert.strictEqual(camera.followSlot, 2);
+    });
+  });
+});
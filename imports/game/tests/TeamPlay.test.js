@@ -0,0 +1,191 @@
+// Team play tests — wave bonuses and shared lives.
+// Team bonus: in team mode, everyone scores when no teammate unhorsed another
+// this wave, which only the friendlyFire rule allows.
+// Gladiator bonus: the first player to unhorse another in a PvP wave.
+// Shared lives: in team mode a player out of lives takes one from a teammate.
+
+import assert from 'assert';
+import { GameSimulation } from '../GameSimulation.js';
+import { GAME_MODE_TEAM, GAME_MODE_PVP } from '../physics/constants.js';
+import { MAX_HUMANS, MAX_ENEMIES, MAX_EGGS, toFP } from '../physics/stateLayout.js';
+import { resolveJoust } from '../physics/CollisionSystem.js';
+import { POINTS_SURVIVAL_WAVE, POINTS_TEAM_WAVE, POINTS_GLADIATOR_WAVE } from '../scoring.js';
+import { isClassicRules, rulesFromRoomSettings } from '../gameRules.js';
+import { diffStates } from '../physics/stateDiff.js';
+
+function startSim(gameMode, players, rules = {}) {
+  const sim = new GameSimulation({ gameMode, seed: 21, rules });
+  for (let slot = 0; slot < players; slot++) {
+    sim.activatePlayer(slot, slot);
+  }
+  sim.startGame();
+  return sim;
+}
+
+// An airborne knight that can joust right now
+const JOUSTER = {
+  positionX: 0, positionY: 0, prevPositionX: 0, prevPositionY: 0, playerState: 'AIRBORNE',
+  dead: false, materializing: false, invincible: false, joustCooldown: 0,
+};
+
+function clearEnemies(sim) {
+  sim._spawnQueue = [];
+  for (let i = 0; i < MAX_ENEMIES; i++) {
+    sim._chars[MAX_HUMANS + i].active = false;
+  }
+}
+
+// Clear the arena so the next tick completes the wave
+function finishWave(sim) {
+  clearEnemies(sim);
+  for (let i = 0; i < MAX_EGGS; i++) {
+    sim._eggs[i].active = false;
+  }
+  sim.tick([0, 0, 0, 0]);
+}
+
+describe('Team play', function () {
+  describe('team wave bonus', function () {
+    it('goes to every player when no teammate unhorsed another', function () {
+      const sim = startSim(GAME_MODE_TEAM, 2);
+      finishWave(sim);
+      for (const slot of [0, 1]) {
+        assert.strictEqual(sim._chars[slot].teamBonus, POINTS_TEAM_WAVE);
+        assert.strictEqual(sim._chars[slot].score, POINTS_SURVIVAL_WAVE + POINTS_TEAM_WAVE);
+      }
+    });
+
+    it('needs a teammate', function () {
+      const sim = startSim(GAME_MODE_TEAM, 1);
+      finishWave(sim);
+      assert.strictEqual(sim._chars[0].teamBonus, 0);
+      assert.strictEqual(sim._chars[0].survivalBonus, POINTS_SURVIVAL_WAVE);
+    });
+
+    it('survives a teammate dying to the lava or an enemy', function () {
+      const sim = startSim(GAME_MODE_TEAM, 2, { startingLives: 9 });
+      sim._lavaDeath(sim._chars[1], 1);
+      sim._killCharacter(sim._chars[0], 0, 1, MAX_HUMANS);
+      finishWave(sim);
+      assert.ok([0, 1].every(slot => sim._chars[slot].teamBonus === POINTS_TEAM_WAVE));
+      assert.ok([0, 1].every(slot => sim._chars[slot].survivalBonus === 0));
+    });
+
+    it('is missed when a teammate unhorses another under friendly fire', function () {
+      const sim = startSim(GAME_MODE_TEAM, 3, { startingLives: 9, friendlyFire: 1 });
+      clearEnemies(sim);
+      const [high, low] = [sim._chars[0], sim._chars[1]];
+      Object.assign(high, JOUSTER, { positionX: toFP(-3), positionY: toFP(2) });
+      Object.assign(low, JOUSTER, { positionX: toFP(-3), positionY: toFP(1.5) });
+      sim._checkJoustCollisions();
+      assert.strictEqual(low.dead, true);
+      assert.strictEqual(sim._playerKillsThisWave, 1);
+      assert.strictEqual(high.gladiatorBonus, 0);
+      finishWave(sim);
+      assert.ok([0, 1, 2].every(slot => sim._chars[slot].teamBonus === 0));
+    });
+
+    it('cannot be missed without friendly fire: teammates bounce', function () {
+      assert.strictEqual(resolveJoust(
+        { ...JOUSTER, positionY: toFP(0.5) }, { ...JOUSTER }, 0, 1, GAME_MODE_TEAM, MAX_HUMANS
+      ).type, 'bounce');
+      assert.strictEqual(resolveJoust(
+        { ...JOUSTER, positionY: toFP(0.5) }, { ...JOUSTER }, 0, 1, GAME_MODE_TEAM, MAX_HUMANS, true
+      ).type, 'kill');
+    });
+
+    it('comes from the lobby setting and is not classic', function () {
+      const rules = rulesFromRoomSettings({ friendlyFire: true });
+      assert.strictEqual(rules.friendlyFire, 1);
+      assert.strictEqual(isClassicRules(rules), false);
+    });
+
+    it('is not awarded in PvP', function () {
+      const sim = startSim(GAME_MODE_PVP, 2);
+      finishWave(sim);
+      for (const slot of [0, 1]) {
+        assert.strictEqual(sim._chars[slot].teamBonus, 0);
+        assert.strictEqual(sim._chars[slot].score, POINTS_SURVIVAL_WAVE);
+      }
+    });
+  });
+
+  describe('gladiator bonus', function () {
+    it('goes to the first player to unhorse another', function () {
+      const sim = startSim(GAME_MODE_PVP, 3, { startingLives: 9 });
+      sim._killCharacter(sim._chars[1], 1, 1, 0);
+      sim._killCharacter(sim._chars[2], 2, 1, 1);
+      assert.strictEqual(sim._chars[0].gladiatorBonus, POINTS_GLADIATOR_WAVE);
+      assert.strictEqual(sim._chars[1].gladiatorBonus, 0);
+      finishWave(sim);
+      assert.ok([0, 1, 2].every(slot => sim._chars[slot].teamBonus === 0));
+    });
+
+    it('is up for grabs again next wave', function () {
+      const sim = startSim(GAME_MODE_PVP, 2, { startingLives: 9 });
+      sim._killCharacter(sim._chars[1], 1, 1, 0);
+      finishWave(sim);
+      for (let f = 0; f < 300 && sim._waveNumber === 1; f++) {
+        sim.tick([0, 0, 0, 0]);
+      }
+      assert.strictEqual(sim._waveNumber, 2);
+      sim._chars[0].dead = false;
+      sim._killCharacter(sim._chars[0], 0, -1, 1);
+      assert.strictEqual(sim._chars[1].gladiatorBonus, POINTS_GLADIATOR_WAVE);
+    });
+  });
+
+  describe('shared lives', function () {
+    it('takes a life from the teammate with the most to spare', function () {
+      const sim = startSim(GAME_MODE_TEAM, 3, { startingLives: 1, sharedLives: 1 });
+      sim._chars[1].lives = 3;
+      sim._chars[2].lives = 4;
+      sim._lavaDeath(sim._chars[0], 0);
+      assert.deepStrictEqual([0, 1, 2].map(slot => sim._chars[slot].lives), [1, 3, 3]);
+      assert.strictEqual(sim._gameOver, false);
+    });
+
+    it('ends the game once the pool is empty', function () {
+      const sim = startSim(GAME_MODE_TEAM, 2, { startingLives: 1, sharedLives: 1 });
+      sim._lavaDeath(sim._chars[0], 0);
+      assert.strictEqual(sim._gameOver, false);
+      sim._lavaDeath(sim._chars[1], 1);
+      assert.strictEqual(sim._gameOver, true);
+    });
+
+    it('is off in PvP', function () {
+      const sim = startSim(GAME_MODE_PVP, 2, { startingLives: 1, sharedLives: 1 });
+      sim._chars[1].lives = 5;
+      sim._lavaDeath(sim._chars[0], 0);
+      assert.strictEqual(sim._chars[0].lives, 0);
+      assert.strictEqual(sim._chars[1].lives, 5);
+    });
+
+    it('comes from the lobby setting and is not classic', function () {
+      const rules = rulesFromRoomSettings({ sharedLives: true });
+      assert.strictEqual(rules.sharedLives, 1);
+      assert.strictEqual(isClassicRules(rules), false);
+      assert.strictEqual(rulesFromRoomSettings({ sharedLives: false }).sharedLives, 0);
+    });
+  });
+
+  describe('state', function () {
+    it('carries bonus totals and wave kills through serialize/deserialize', function () {
+      const sim = startSim(GAME_MODE_PVP, 2, { startingLives: 9 });
+      sim._killCharacter(sim._chars[1], 1, 1, 0);
+      finishWave(sim);
+      const saved = sim.serialize();
+
+      const restored = new GameSimulation({ gameMode: GAME_MODE_TEAM, seed: 1 });
+      restored.deserialize(saved);
+      assert.strictEqual(restored._chars[0].gladiatorBonus, POINTS_GLADIATOR_WAVE);
+      assert.strictEqual(restored._chars[0].survivalBonus, POINTS_SURVIVAL_WAVE);
+      assert.strictEqual(restored._playerKillsThisWave, 1);
+      assert.strictEqual(restored.getState().humans[0].gladiatorBonus, POINTS_GLADIATOR_WAVE);
+
+      restored._chars[1].teamBonus = 1;
+      const diff = diffStates(saved, restored.serialize());
+      assert.ok(diff.some(entry => entry.name === 'bonus[1].BN_TEAM'), JSON.stringify(diff));
+    });
+  });
+});
@@ -7,8 +7,8 @@ import { DeterministicRNG } from '../physics/mulberry32.js';
 import { GAME_MODE_TEAM } from '../physics/constants.js';
 import {
   TOTAL_INTS, GLOBAL_OFFSET, GLOBAL_SIZE,
-  HUMANS_OFFSET, ENEMIES_OFFSET, ENEMY_AI_OFFSET, EGGS_OFFSET,
-  CHAR_SIZE, AI_SIZE, EGG_SIZE,
+  HUMANS_OFFSET, ENEMIES_OFFSET, EGGS_OFFSET,
+  CHAR_SIZE, EGG_SIZE,
   MAX_HUMANS, MAX_ENEMIES, MAX_EGGS,
   G_FRAME, G_RNG_SEED, G_WAVE_NUMBER, G_WAVE_STATE,
   C_ACTIVE, C_POS_X, C_POS_Y, C_VEL_X, C_VEL_Y,
@@ -16,6 +16,7 @@ import {
   E_ACTIVE, E_POS_X, E_POS_Y,
   fromFP,
 } from '../physics/stateLayout.js';
+import { describeStateIndex } from '../physics/stateDiff.js';
 
 // ---- Constants ----
 
@@ -104,61 +105,9 @@ export function generateInput(rng) {
 }
 
 // ---- State description utilities ----
+// Field names come from the production diff used by desync reports
 
-export const GLOBAL_FIELD_NAMES = [
-  'FRAME', 'RNG_SEED', 'WAVE_NUMBER', 'WAVE_STATE', 'SPAWN_TIMER',
-  'WAVE_TRANSITION_TIMER', 'GAME_MODE', 'GAME_OVER', 'SPAWN_QUEUE_LEN',
-  'SPAWN[0]', 'SPAWN[1]', 'SPAWN[2]', 'SPAWN[3]', 'SPAWN[4]',
-  'SPAWN[5]', 'SPAWN[6]', 'SPAWN[7]', 'SPAWN[8]', 'SPAWN[9]',
-];
-
-export const CHAR_FIELD_NAMES = [
-  'ACTIVE', 'POS_X', 'POS_Y', 'VEL_X', 'VEL_Y', 'STATE',
-  'FACING_DIR', 'IS_TURNING', 'TURN_TIMER', 'STRIDE_PHASE',
-  'IS_FLAPPING', 'FLAP_TIMER', 'DEAD', 'RESPAWN_TIMER',
-  'INVINCIBLE', 'INVINCIBLE_TIMER', 'JOUST_COOLDOWN',
-  'MATERIALIZING', 'MATERIALIZE_TIMER', 'MATERIALIZE_DURATION',
-  'MATERIALIZE_QUICK_END', 'SCORE', 'LIVES', 'EGGS_COLLECTED',
-  'PREV_POS_X', 'PREV_POS_Y', 'NEXT_LIFE_SCORE', 'PALETTE_INDEX',
-  'PLAYER_DIED_WAVE', 'ENEMY_TYPE', 'HIT_LAVA', 'PLATFORM_INDEX',
-];
-
-export const AI_FIELD_NAMES = ['DIR_TIMER', 'CURRENT_DIR', 'FLAP_ACCUM', 'ENEMY_TYPE'];
-
-export const EGG_FIELD_NAMES = [
-  'ACTIVE', 'POS_X', 'POS_Y', 'VEL_X', 'VEL_Y', 'ON_PLATFORM',
-  'ENEMY_TYPE', 'HATCH_STATE', 'HATCH_TIMER', 'BOUNCE_COUNT',
-  'PREV_POS_Y', 'HIT_LAVA',
-];
-
-export function describeStateIndex(index) {
-  if (index < HUMANS_OFFSET) {
-    const field = index - GLOBAL_OFFSET;
-    return `GLOBAL.${GLOBAL_FIELD_NAMES[field] || `field_${field}`}`;
-  }
-  if (index < ENEMIES_OFFSET) {
-    const rel = index - HUMANS_OFFSET;
-    const slot = Math.floor(rel / CHAR_SIZE);
-    const field = rel % CHAR_SIZE;
-    return `HUMAN[${slot}].${CHAR_FIELD_NAMES[field] || `field_${field}`}`;
-  }
-  if (index < ENEMY_AI_OFFSET) {
-    const rel = index - ENEMIES_OFFSET;
-    const slot = Math.floor(rel / CHAR_SIZE);
-    const field = rel % CHAR_SIZE;
-    return `ENEMY[${slot}].${CHAR_FIELD_NAMES[field] || `field_${field}`}`;
-  }
-  if (index < EGGS_OFFSET) {
-    const rel = index - ENEMY_AI_OFFSET;
-    const slot = Math.floor(rel / AI_SIZE);
-    const field = rel % AI_SIZE;
-    return `AI[${slot}].${AI_FIELD_NAMES[field] || `field_${field}`}`;
-  }
-  const rel = index - EGGS_OFFSET;
-  const slot = Math.floor(rel / EGG_SIZE);
-  const field = rel % EGG_SIZE;
-  return `EGG[${slot}].${EGG_FIELD_NAMES[field] || `field_${field}`}`;
-}
+export { describeStateIndex };
 
 // Compare two serialized state buffers and return a diagnostic report (or null if in sync).
 
@@ -1,4 +1,5 @@
-// Evil Knight color palettes — three enemy tiers from Joust
+// Evil Knight color palettes — the three enemy tiers from Joust, then our own types
+// Enemy profiles (enemyProfiles.js) pick their entry by index
 // Each entry overrides palette keys 4 (horns/plume), 7 (primary), 8 (accent), 9 (shield)
 
 import { evilKnightModel } from './evilKnightModel.js';
@@ -31,11 +32,29 @@ export const EVIL_KNIGHT_PALETTES = [
       9: '#2A0A3A',   // Shield — near-black
     },
   },
+  {
+    name: 'Coward',
+    overrides: {
+      4: '#F4D03F',   // Horns/plume — yellow streak
+      7: '#B7950B',   // Primary — mustard
+      8: '#7D6608',   // Accent — dark ochre
+      9: '#5D4E2A',   // Shield — scuffed leather
+    },
+  },
+  {
+    name: 'Swarm Rider',
+    overrides: {
+      4: '#58D68D',   // Horns/plume — venom green
+      7: '#1E8449',   // Primary — deep green
+      8: '#145A32',   // Accent — dark moss
+      9: '#1B2631',   // Shield — black chitin
+    },
+  },
 ];
 
 /**
  * Build a full palette by merging a palette entry's overrides with the base evil knight palette.
- * @param {number} index — 0–2 palette index
+ * @param {number} index — palette index (an enemy profile's palette)
  * @returns {Object} Complete palette object for buildRig
  */
 export function buildEvilKnightPalette(index) {
@@ -1,4 +1,5 @@
 import { Mongo } from 'meteor/mongo';
+import { ARENA_IDS } from '../../game/arenas/index.js';
 
 export const GameRooms = new Mongo.Collection('gameRooms');
 
@@ -19,9 +20,61 @@ export const GameMode = {
 // Maximum players per room
 export const MAX_PLAYERS = 4;
 
+// Couch co-op: extra players sharing another player's machine and connection.
+// They take a human slot (and count against maxPlayers) but have no
+// peerJsId of their own; see rooms.addLocalGuest.
+export const MAX_LOCAL_GUESTS = MAX_PLAYERS - 1;
+
+// Slots taken by players and their local guests
+export function occupiedSlots(room) {
+  return [...room.players, ...(room.localGuests || [])].map(seat => seat.slot);
+}
+
+// Lowest free human slot in a room
+export function nextFreeSlot(room) {
+  const used = occupiedSlots(room);
+  let slot = 0;
+  while (used.includes(slot)) {
+    slot++;
+  }
+  return slot;
+}
+
+// Mongo $expr: the room still has a free seat (players + local guests < limit)
+export function hasFreeSeatExpr(limit) {
+  return {
+    $lt: [{ $add: [{ $size: '$players' }, { $size: { $ifNull: ['$localGuests', []] } }] }, limit],
+  };
+}
+
+// Maximum spectators per room. The resync authority streams to every one of
+// them, so this bounds its upload.
+export const MAX_SPECTATORS = 8;
+
 // Default game settings
 export const DEFAULT_SETTINGS = {
   npcBuzzards: 5,
   lives: 3,
   map: 'classic',
+  bots: 0,     // empty player slots filled by bots (see imports/game/BotAI.js)
+  botLevel: 2, // 1 = easy, 2 = normal, 3 = hard
+  sharedLives: false, // team play: a player out of lives takes one from a teammate
+  friendlyFire: false, // team play: teammates can unhorse each other (and lose the team bonus)
+  newEnemies: false,  // cowards and swarms join the waves (see imports/game/enemyProfiles.js)
 };
+
+// Maps a room can be created with (arena ids, see imports/game/arenas)
+export const MAPS = ARENA_IDS;
+
+// Allowed ranges for lobby settings (inclusive)
+export const SETTINGS_LIMITS = {
+  npcBuzzards: { min: 1, max: 8 },
+  lives: { min: 1, max: 9 },
+  bots: { min: 0, max: 3 },
+  botLevel: { min: 1, max: 3 },
+  maxPlayers: { min: 2, max: MAX_PLAYERS },
+};
+
+// Join codes skip look-alike characters (0/O, 1/I/L)
+export const JOIN_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+export const JOIN_CODE_LENGTH = 6;
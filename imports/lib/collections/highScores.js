@@ -1,4 +1,7 @@
 import { Mongo } from 'meteor/mongo';
 
 export const HighScores = new Mongo.Collection('highScores');
-// Schema: { userId, username, score, gameMode, waveReached, createdAt }
+// Schema: { userId, username, score, gameMode, waveReached, createdAt,
+//   window, period, bestWave, bestWaveAt, expiresAt? }
+// One row per user, mode and period (all time, UTC day, UTC week); see
+// imports/game/leaderboards.js
@@ -0,0 +1,15 @@
+import { Mongo } from 'meteor/mongo';
+
+// One document per finished game, written by rooms.reportResult (see
+// buildMatchHistory in imports/game/matchStats.js). Unlike the room it outlives
+// roomCleanup; a rematch adds another document with the next round.
+export const MatchHistory = new Mongo.Collection('matchHistory');
+// Schema: { roomId, round, gameMode, seed, settings, startedAt, finishedAt,
+//   durationMs, waveReached, winnerId?, selfReported,
+//   participants: [{ userId, username, slot, guest, score, kills, deaths, stats }] }
+// A guest is a local co-op seat; it carries its owner's userId but is left out
+// of the owner's totals. Everything in participants comes from the host's
+// report unchecked (selfReported), so it stays out of the leaderboards.
+
+// Matches per page of a profile's history (matchHistory.forUser)
+export const MATCH_HISTORY_PAGE_SIZE = 10;
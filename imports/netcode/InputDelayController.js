@@ -0,0 +1,51 @@
+// Hysteresis for adaptive input delay
+// Turns a stream of recommended delays (TimeSync, one sample per quality
+// report round) into occasional one-frame steps. Rising latency is followed
+// quickly, falling latency only once it has clearly settled, so a connection
+// hovering around a frame boundary doesn't flap between two delays.
+
+export const MIN_INPUT_DELAY = 2;
+export const MAX_INPUT_DELAY = 8;
+
+const RAISE_SAMPLES = 3;    // consecutive samples above the delay before raising (~1s)
+const LOWER_SAMPLES = 15;   // consecutive samples well below it before lowering (~5s)
+const LOWER_MARGIN = 2;     // "well below": at least this many frames under the delay
+const COOLDOWN_SAMPLES = 6; // samples to wait after any change (~2s)
+
+export class InputDelayController {
+  constructor(delay) {
+    this.delay = delay;
+    this._above = 0;
+    this._below = 0;
+    this._cooldown = 0;
+  }
+
+  // Feed one recommended delay; returns the new delay, or null for no change
+  sample(recommended) {
+    const target = Math.max(MIN_INPUT_DELAY, Math.min(recommended, MAX_INPUT_DELAY));
+    this._above = target > this.delay ? this._above + 1 : 0;
+    this._below = target <= this.delay - LOWER_MARGIN ? this._below + 1 : 0;
+
+    let next = null;
+    if (this._cooldown > 0) {
+      this._cooldown--;
+    } else if (this._above >= RAISE_SAMPLES) {
+      next = this.delay + 1;
+    } else if (this._below >= LOWER_SAMPLES) {
+      next = this.delay - 1;
+    }
+
+    if (next !== null) {
+      this.reset(next);
+      this._cooldown = COOLDOWN_SAMPLES;
+    }
+    return next;
+  }
+
+  // Adopt a delay decided elsewhere (e.g. by the previous resync authority)
+  reset(delay) {
+    this.delay = delay;
+    this._above = 0;
+    this._below = 0;
+  }
+}
@@ -12,6 +12,11 @@ export const MessageType = {
   STATE_SYNC: 0x07,
   CHECKSUM: 0x08,
   RESYNC_REQUEST: 0x09,
+  SPECTATOR_INPUTS: 0x0A, // confirmed frames for spectators (see game/spectator/SpectatorFeed.js)
+  INPUT_DELAY: 0x0B, // resync authority's scheduled input delay change
+  STATE_DUMP: 0x0C, // our state at a mismatched checksum frame (see game/desync/DesyncForensics.js)
+  STATE_DELTA: 0x0D, // packed, chunked STATE_SYNC against an acknowledged baseline (see StateDelta.js)
+  STATE_ACK: 0x0E, // a STATE_SYNC was loaded; its frame can be a delta baseline
 };
 
 // Input bits
@@ -20,6 +25,8 @@ const INPUT_RIGHT = 0x02;
 const INPUT_FLAP = 0x04;
 export const DISCONNECT_BIT = 0x08;
 
+const MAX_INPUT_RUN = 16; // frames per run byte in INPUT messages
+
 export class InputEncoder {
   // Encode a game input object { left, right, flap } into a single byte
   static encodeInput(input) {
@@ -40,23 +47,31 @@ export class InputEncoder {
   }
 
   // Encode an input message with redundancy:
-  // [type(1B), frame(4B), playerIndex(1B), count(1B), input0(1B), ..., inputN-1(1B)]
-  // input0 = input for `frame`, input1 = input for `frame-1`, etc.
+  // [type(1B), frame(4B), playerIndex(1B), count(1B), run0(1B), ..., runK(1B)]
+  // `count` inputs for frames `frame`, `frame-1`, ... (newest first), run-length
+  // encoded: each run byte is (length - 1) << 4 | input, covering 1-16 frames.
   // Accepts a single input (number/object) or an array of inputs (newest first).
   static encodeInputMessage(frame, playerIndex, inputs) {
     const inputArray = Array.isArray(inputs) ? inputs : [inputs];
-    const count = inputArray.length;
-    const buffer = new ArrayBuffer(7 + count);
+    const encoded = inputArray.map(input => (typeof input === 'number' ? input : InputEncoder.encodeInput(input)));
+    const runs = [];
+    let i = 0;
+    while (i < encoded.length) {
+      let length = 1;
+      while (length < MAX_INPUT_RUN && i + length < encoded.length && encoded[i + length] === encoded[i]) {
+        length++;
+      }
+      runs.push(((length - 1) << 4) | encoded[i]);
+      i += length;
+    }
+
+    const buffer = new ArrayBuffer(7 + runs.length);
     const view = new DataView(buffer);
     view.setUint8(0, MessageType.INPUT);
     view.setUint32(1, frame, true); // little-endian
     view.setUint8(5, playerIndex);
-    view.setUint8(6, count);
-    for (let i = 0; i < count; i++) {
-      view.setUint8(7 + i, typeof inputArray[i] === 'number'
-        ? inputArray[i]
-        : InputEncoder.encodeInput(inputArray[i]));
-    }
+    view.setUint8(6, encoded.length);
+    new Uint8Array(buffer).set(runs, 7);
     return buffer;
   }
 
@@ -64,32 +79,37 @@ export class InputEncoder {
   // IMPORTANT: The decoder assumes inputs are for contiguous descending frames:
   // [frame, frame-1, frame-2, ...]. The encoder does not enforce this — it
   // trusts the caller to provide inputs in newest-first order from consecutive
-  // frames. The single caller (GameLoop._tick) builds from _recentLocalInputs
-  // which stores one input per frame, satisfying this contract.
+  // frames. The single caller (GameLoop._sendLocalInput) builds from an
+  // InputSendWindow, which stores one input per frame, satisfying this contract.
   static decodeInputMessage(buffer) {
     const view = new DataView(buffer);
     const frame = view.getUint32(1, true);
     const playerIndex = view.getUint8(5);
     const count = view.getUint8(6);
     const inputs = [];
-    for (let i = 0; i < count; i++) {
-      inputs.push({ frame: frame - i, input: view.getUint8(7 + i) });
+    for (let offset = 7; offset < buffer.byteLength && inputs.length < count; offset++) {
+      const run = view.getUint8(offset);
+      for (let i = 0; i <= run >> 4 && inputs.length < count; i++) {
+        inputs.push({ frame: frame - inputs.length, input: run & 0x0F });
+      }
     }
     return {
       type: view.getUint8(0),
       frame,
       playerIndex,
-      input: view.getUint8(7), // backward compat: first input
+      input: inputs.length > 0 ? inputs[0].input : 0, // backward compat: first input
       inputs,
     };
   }
 
-  // Encode an input ack: [type(1B), frame(4B)]
-  static encodeInputAck(frame) {
-    const buffer = new ArrayBuffer(5);
+  // Encode an input ack: [type(1B), frame(4B), playerIndex(1B)]
+  // `frame` is the newest frame up to which we hold every input for the slot
+  static encodeInputAck(frame, playerIndex) {
+    const buffer = new ArrayBuffer(6);
     const view = new DataView(buffer);
     view.setUint8(0, MessageType.INPUT_ACK);
     view.setUint32(1, frame, true);
+    view.setUint8(5, playerIndex);
     return buffer;
   }
 
@@ -179,6 +199,37 @@ export class InputEncoder {
     return buffer;
   }
 
+  // Encode an input delay change: [type(1B), frame(4B), delay(1B)]
+  static encodeInputDelayMessage(frame, delay) {
+    const buffer = new ArrayBuffer(6);
+    const view = new DataView(buffer);
+    view.setUint8(0, MessageType.INPUT_DELAY);
+    view.setUint32(1, frame, true);
+    view.setUint8(5, delay);
+    return buffer;
+  }
+
+  // Encode a state sync acknowledgement: [type(1B), frame(4B)]
+  static encodeStateAck(frame) {
+    const buffer = new ArrayBuffer(5);
+    const view = new DataView(buffer);
+    view.setUint8(0, MessageType.STATE_ACK);
+    view.setUint32(1, frame, true);
+    return buffer;
+  }
+
+  // Encode a desync state dump: [type(1B), frame(4B), stateData(NB)]
+  // Same layout as STATE_SYNC, but the receiver only compares it, never loads it
+  static encodeStateDumpMessage(frame, stateBuffer) {
+    const stateBytes = new Uint8Array(stateBuffer);
+    const buffer = new ArrayBuffer(5 + stateBytes.length);
+    const view = new DataView(buffer);
+    view.setUint8(0, MessageType.STATE_DUMP);
+    view.setUint32(1, frame, true);
+    new Uint8Array(buffer).set(stateBytes, 5);
+    return buffer;
+  }
+
   // Get message type from any buffer
   static getMessageType(buffer) {
     const view = new DataView(buffer);
@@ -195,7 +246,7 @@ export class InputEncoder {
         return InputEncoder.decodeInputMessage(buffer);
 
       case MessageType.INPUT_ACK:
-        return { type, frame: view.getUint32(1, true) };
+        return { type, frame: view.getUint32(1, true), playerIndex: view.getUint8(5) };
 
       case MessageType.SYNC_REQUEST:
         return { type, randomValue: view.getUint32(1, true) };
@@ -223,6 +274,15 @@ export class InputEncoder {
       case MessageType.RESYNC_REQUEST:
         return { type, frame: view.getUint32(1, true) };
 
+      case MessageType.INPUT_DELAY:
+        return { type, frame: view.getUint32(1, true), delay: view.getUint8(5) };
+
+      case MessageType.STATE_DUMP:
+        return { type, frame: view.getUint32(1, true), stateData: buffer.slice(5) };
+
+      case MessageType.STATE_ACK:
+        return { type, frame: view.getUint32(1, true) };
+
       default:
         return { type };
     }
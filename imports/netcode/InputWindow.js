@@ -0,0 +1,97 @@
+// Ack-based input redundancy.
+// Every INPUT message carries all of a slot's inputs the receiving peer hasn't
+// acknowledged yet, so a loss burst of any length (up to MAX_UNACKED_INPUTS)
+// is repaired by the next packet that gets through. Receivers answer with
+// INPUT_ACK: the newest frame up to which they hold every input from us.
+//
+// InputSendWindow — sender side, one per local slot (GameLoop)
+// InputAckTracker — receiver side, one per session (MultiplayerManager)
+
+// Inputs kept per slot (2 seconds), for peers that stop acknowledging. Also
+// bounds an INPUT message: with run-length encoding at most 7 + 120 bytes.
+export const MAX_UNACKED_INPUTS = 120;
+
+export class InputSendWindow {
+  constructor() {
+    this.inputs = []; // [{ frame, input }], consecutive frames, oldest first
+    this._acked = new Map(); // peerId -> frame
+  }
+
+  push(frame, input) {
+    this.inputs.push({ frame, input });
+    if (this.inputs.length > MAX_UNACKED_INPUTS) {
+      this.inputs.shift();
+    }
+  }
+
+  /**
+   * Record a peer's INPUT_ACK. The latest ack wins, even if it is lower than
+   * an earlier one: after a resync a stale ack from the old timeline would
+   * otherwise stop us sending frames the peer no longer has. Acks for frames
+   * we haven't sent yet are ignored for the same reason.
+   */
+  ack(peerId, frame) {
+    const newest = this.inputs.length > 0 ? this.inputs[this.inputs.length - 1].frame : -1;
+    if (frame <= newest) {
+      this._acked.set(peerId, frame);
+    }
+  }
+
+  reset() {
+    this.inputs = [];
+    this._acked.clear();
+  }
+
+  /**
+   * What to send `peerId` this tick: every input after its last ack, and
+   * always at least the newest one so a peer that has everything keeps
+   * acknowledging (and an ack we lost gets repeated).
+   * @returns {{ frame: number, inputs: number[] }|null} frame is the newest;
+   *   inputs are newest first, as InputEncoder.encodeInputMessage expects
+   */
+  unackedFor(peerId) {
+    let batch = null;
+    if (this.inputs.length > 0) {
+      const newest = this.inputs[this.inputs.length - 1].frame;
+      const acked = this._acked.get(peerId) ?? -1;
+      const count = Math.max(1, Math.min(newest - acked, this.inputs.length));
+      const inputs = [];
+      for (let i = this.inputs.length - 1; i >= this.inputs.length - count; i--) {
+        inputs.push(this.inputs[i].input);
+      }
+      batch = { frame: newest, inputs };
+    }
+    return batch;
+  }
+}
+
+export class InputAckTracker {
+  constructor() {
+    this._received = new Map(); // `${peerId}:${slot}` -> newest frame with no gap before it
+  }
+
+  /**
+   * Record an INPUT message covering oldestFrame..newestFrame.
+   * The sender starts each message right after our last ack (or at its first
+   * input), so a message that reaches back to what we hold — or the first one
+   * we see — extends the run; one that leaves a gap doesn't.
+   * @returns {number} frame to acknowledge
+   */
+  receive(peerId, slot, oldestFrame, newestFrame) {
+    const key = `${peerId}:${slot}`;
+    const held = this._received.get(key);
+    let frame = held;
+    if (held === undefined) {
+      frame = newestFrame;
+    } else if (oldestFrame <= held + 1) {
+      frame = Math.max(held, newestFrame);
+    }
+    this._received.set(key, frame);
+    return frame;
+  }
+
+  // After a resync every peer restarts its inputs from the new frame
+  reset() {
+    this._received.clear();
+  }
+}
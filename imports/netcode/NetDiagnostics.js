@@ -0,0 +1,95 @@
+// NetDiagnostics — rolling netcode health numbers for the diagnostics overlay
+// Fed a snapshot every frame: RollbackSession's running totals plus one entry
+// per remote peer. Once a second it turns the totals into per-second rates
+// and appends a sample to a fixed-length history the overlay graphs.
+// toJSON() is the bug-report export, including any desync reports.
+
+export const HISTORY_SECONDS = 60;
+export const MAX_DESYNC_REPORTS = 3;
+const SAMPLE_INTERVAL_MS = 1000;
+
+const COUNTERS = ['rollbacks', 'rollbackFrames', 'skippedFrames', 'stalledFrames', 'checksumMismatches'];
+
+export class NetDiagnostics {
+  constructor() {
+    this.history = []; // oldest first, at most HISTORY_SECONDS samples
+    this.totals = { maxRollbackDepth: 0 };
+    for (const name of COUNTERS) {
+      this.totals[name] = 0;
+    }
+    this.peers = []; // latest per-peer snapshot
+    this.frame = 0;
+    this.inputDelay = 0;
+    this.desyncReports = []; // oldest first (see game/desync/DesyncForensics.js)
+
+    this._lastCounters = null;
+    this._lastSampleTime = -1;
+  }
+
+  /**
+   * @param {number} now - current time (ms)
+   * @param {{ frame: number, inputDelay: number, counters: object,
+   *   peers: Array<{ slot: number, peerId: string, transport: string, ping: number, frameAdvantage: number }> }} snapshot
+   *   counters are RollbackSession.stats
+   */
+  update(now, { frame, inputDelay, counters, peers }) {
+    this.frame = frame;
+    this.inputDelay = inputDelay;
+    this.peers = peers;
+
+    if (this._lastSampleTime < 0) {
+      this._lastSampleTime = now;
+      this._lastCounters = { ...counters };
+    } else if (now - this._lastSampleTime >= SAMPLE_INTERVAL_MS) {
+      const seconds = (now - this._lastSampleTime) / 1000;
+      const sample = { time: now, frame, inputDelay, ping: 0 };
+      for (const name of COUNTERS) {
+        const delta = this._delta(counters, name);
+        this.totals[name] += delta;
+        sample[name] = Math.round((delta / seconds) * 10) / 10;
+      }
+      for (const peer of peers) {
+        sample.ping = Math.max(sample.ping, peer.ping);
+      }
+      this.totals.maxRollbackDepth = Math.max(this.totals.maxRollbackDepth, counters.maxRollbackDepth);
+
+      this.history.push(sample);
+      if (this.history.length > HISTORY_SECONDS) {
+        this.history.shift();
+      }
+      this._lastSampleTime = now;
+      this._lastCounters = { ...counters };
+    }
+  }
+
+  /** Keep a finished desync report for the export, dropping the oldest. */
+  addDesyncReport(report) {
+    this.desyncReports.push(report);
+    if (this.desyncReports.length > MAX_DESYNC_REPORTS) {
+      this.desyncReports.shift();
+    }
+  }
+
+  /** Most recent one-second sample, or null before the first one. */
+  get latest() {
+    return this.history.length > 0 ? this.history[this.history.length - 1] : null;
+  }
+
+  toJSON() {
+    return {
+      frame: this.frame,
+      inputDelay: this.inputDelay,
+      totals: { ...this.totals },
+      peers: this.peers.map(peer => ({ ...peer })),
+      history: this.history.map(sample => ({ ...sample })),
+      desyncReports: this.desyncReports,
+    };
+  }
+
+  // A new RollbackSession (e.g. after dropping back to solo and rejoining)
+  // starts its totals from zero; count from there rather than going negative
+  _delta(counters, name) {
+    const previous = this._lastCounters[name];
+    return counters[name] >= previous ? counters[name] - previous : counters[name];
+  }
+}
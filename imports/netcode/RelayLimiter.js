@@ -0,0 +1,146 @@
+// Per-channel flood protection for the geckos.io relay (server/relay/geckosBridge.js).
+// Each relay channel gets a RelayLimiter that checks every packet it sends:
+// the payload must be a known MessageType (or a heartbeat) within that type's
+// size cap, and the channel must have packet and byte budget left in its
+// token buckets. Rejected packets are dropped and counted by reason.
+// Pure module (no Meteor/geckos dependency) so it can be unit tested.
+
+import { MessageType } from './InputEncoder.js';
+
+// Transports send a lone 0xFF byte as a keep-alive (see GeckosTransport)
+export const HEARTBEAT_BYTE = 0xFF;
+
+// Largest legitimate payload per message type, in bytes
+export const MAX_PAYLOAD_BYTES = {
+  [MessageType.INPUT]: 7 + 255,          // header + up to 255 run bytes
+  [MessageType.INPUT_ACK]: 6,
+  [MessageType.SYNC_REQUEST]: 5,
+  [MessageType.SYNC_RESPONSE]: 5,
+  [MessageType.QUALITY_REPORT]: 8,
+  [MessageType.QUALITY_REPLY]: 3,
+  [MessageType.STATE_SYNC]: 8192,        // header + serialized GameSimulation (~2.4 KB today)
+  [MessageType.CHECKSUM]: 9,
+  [MessageType.RESYNC_REQUEST]: 5,
+  [MessageType.SPECTATOR_INPUTS]: 1024,  // header + up to 60 frames of inputs and (de)activations
+  [MessageType.INPUT_DELAY]: 6,
+  [MessageType.STATE_DUMP]: 8192,        // same shape as STATE_SYNC
+  [MessageType.STATE_DELTA]: 15 + 1024,  // header + MAX_CHUNK_PAYLOAD
+  [MessageType.STATE_ACK]: 5,
+  [HEARTBEAT_BYTE]: 1,
+};
+
+// A 4-player game sends roughly 60 inputs + 60 acks per second to each of
+// three peers, plus quality reports, checksums and heartbeats. Bursts cover
+// join-time STATE_SYNCs and catching up after a stall.
+export const RELAY_LIMITS = {
+  packetsPerSecond: 500,
+  packetBurst: 250,
+  bytesPerSecond: 64 * 1024,
+  byteBurst: 32 * 1024,
+};
+
+export const DropReason = {
+  MALFORMED: 'malformed',
+  UNKNOWN_TYPE: 'unknownType',
+  OVERSIZE: 'oversize',
+  PACKET_RATE: 'packetRate',
+  BYTE_RATE: 'byteRate',
+};
+
+/**
+ * Classic token bucket: holds up to `burst` tokens, refilled at `ratePerSecond`.
+ */
+export class TokenBucket {
+  constructor(ratePerSecond, burst, now = Date.now()) {
+    this.ratePerSecond = ratePerSecond;
+    this.burst = burst;
+    this.tokens = burst;
+    this.lastRefill = now;
+  }
+
+  /**
+   * Take `amount` tokens if available.
+   * @returns {boolean} false (and nothing taken) when the bucket is short
+   */
+  take(amount, now = Date.now()) {
+    const elapsed = Math.max(0, now - this.lastRefill);
+    this.tokens = Math.min(this.burst, this.tokens + (elapsed / 1000) * this.ratePerSecond);
+    this.lastRefill = now;
+
+    const allowed = this.tokens >= amount;
+    if (allowed) {
+      this.tokens -= amount;
+    }
+    return allowed;
+  }
+}
+
+export function createDropCounters() {
+  const counters = {};
+  for (const reason of Object.values(DropReason)) {
+    counters[reason] = 0;
+  }
+  return counters;
+}
+
+export class RelayLimiter {
+  /**
+   * @param {Object} [limits] - overrides for RELAY_LIMITS
+   * @param {number} [now] - clock start (ms), for tests
+   */
+  constructor(limits = {}, now = Date.now()) {
+    const config = { ...RELAY_LIMITS, ...limits };
+    this._packets = new TokenBucket(config.packetsPerSecond, config.packetBurst, now);
+    this._bytes = new TokenBucket(config.bytesPerSecond, config.byteBurst, now);
+
+    this.forwarded = 0;
+    this.forwardedBytes = 0;
+    this.dropped = createDropCounters();
+  }
+
+  /**
+   * Decide whether a payload (relay header already stripped) may be forwarded.
+   * Updates the forwarded/dropped counters either way.
+   * @param {ArrayBuffer} payload
+   * @param {number} [now] - current time (ms)
+   * @returns {string|null} a DropReason, or null when the packet may pass
+   */
+  check(payload, now = Date.now()) {
+    let reason = null;
+    const size = payload?.byteLength ?? 0;
+
+    if (size < 1) {
+      reason = DropReason.MALFORMED;
+    } else {
+      const maxBytes = MAX_PAYLOAD_BYTES[new Uint8Array(payload, 0, 1)[0]];
+      if (maxBytes === undefined) {
+        reason = DropReason.UNKNOWN_TYPE;
+      } else if (size > maxBytes) {
+        reason = DropReason.OVERSIZE;
+      } else if (!this._packets.take(1, now)) {
+        reason = DropReason.PACKET_RATE;
+      } else if (!this._bytes.take(size, now)) {
+        reason = DropReason.BYTE_RATE;
+      }
+    }
+
+    if (reason) {
+      this.dropped[reason]++;
+    } else {
+      this.forwarded++;
+      this.forwardedBytes += size;
+    }
+    return reason;
+  }
+
+  /**
+   * @returns {number} total packets dropped for any reason
+   */
+  get droppedTotal() {
+    let total = 0;
+    for (const count of Object.values(this.dropped)) {
+      total += count;
+    }
+    return total;
+  }
+}
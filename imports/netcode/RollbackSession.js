@@ -10,11 +10,14 @@
 import { InputQueue } from './InputQueue.js';
 import { StateBuffer } from './StateBuffer.js';
 import { TimeSync } from './TimeSync.js';
+import { InputDelayController, MIN_INPUT_DELAY, MAX_INPUT_DELAY } from './InputDelayController.js';
 
 const DEFAULT_MAX_PREDICTION = 30;
 const DEFAULT_INPUT_DELAY = 3;
 const DEFAULT_DISCONNECT_TIMEOUT = 5000;
 const CHECKSUM_INTERVAL = 60; // frames between checksum exchanges
+const INPUT_DELAY_LEAD_FRAMES = 30; // how far ahead input delay changes are scheduled
+const CHECKSUM_STATE_HISTORY = 3; // checksum-frame states kept for desync reports
 
 export class RollbackSession {
   constructor(config) {
@@ -26,6 +29,7 @@ export class RollbackSession {
       disconnectTimeout = DEFAULT_DISCONNECT_TIMEOUT,
       startFrame = 0,
       autoInputSlots = new Set(),
+      localGuestSlots = new Set(),
     } = config;
 
     this.numPlayers = numPlayers;
@@ -36,6 +40,9 @@ export class RollbackSession {
     this.disconnectFrameThreshold = 300; // 5 seconds at 60fps
     this.autoInputSlots = autoInputSlots; // Set of slot indices that always return input=0
     this.disconnectedSlots = new Set(); // Set of slot indices that receive DISCONNECT_BIT (0x08)
+    // Extra slots driven from this machine (couch co-op guests). Their inputs
+    // are added locally alongside localPlayerIndex and never wait on the network.
+    this.localGuestSlots = localGuestSlots;
 
     // Per-player input queues (confirmedFrame starts at startFrame-1 so
     // prediction gap begins at 0 for drop-in sessions that start mid-game)
@@ -72,9 +79,18 @@ export class RollbackSession {
 
     // Local input for this frame (set via addLocalInput)
     this.pendingLocalInput = null;
+    this.pendingGuestInputs = new Map(); // guest slot -> input
 
     // Track the frame of the last local input added (for getLocalInput)
     this.lastLocalInputFrame = -1;
+    // Frames given a local input by the latest advanceFrame (for getNewLocalInputs)
+    this.newLocalInputFrames = [];
+
+    // Adaptive input delay: changes are agreed at a frame (scheduleInputDelay)
+    // so every peer switches together
+    this.inputDelayFrame = startFrame; // frame the current inputDelay took effect
+    this.pendingInputDelay = null; // { frame, delay }
+    this.inputDelayController = new InputDelayController(inputDelay);
 
     // Misprediction-driven rollback tracking
     this.needsRollback = false;
@@ -85,16 +101,37 @@ export class RollbackSession {
     this._pendingChecksumFrame = -1; // deferred until syncFrame catches up
     this.remoteChecksums = new Map(); // frame -> { peerIndex -> checksum }
     this.checksumSuppressUntilFrame = -1;
+    // Copies of the last few states we exchanged checksums for (frame -> state),
+    // oldest first. A desync report needs the mismatched state and the one
+    // before it; they survive resetToFrame because the resync that follows a
+    // mismatch would otherwise wipe the evidence.
+    this.checksumStates = new Map();
+
+    // Running totals for diagnostics (NetDiagnostics turns them into rates).
+    // Survive resetToFrame so a resync doesn't hide what led up to it.
+    this.stats = {
+      rollbacks: 0,
+      rollbackFrames: 0,     // frames re-simulated across all rollbacks
+      maxRollbackDepth: 0,
+      skippedFrames: 0,      // ticks skipped on TimeSync's wait recommendation
+      stalledFrames: 0,      // ticks stalled at the prediction window
+      checksumMismatches: 0,
+    };
   }
 
-  // Add local input for the current frame
-  addLocalInput(input) {
-    this.pendingLocalInput = input;
+  // Add local input for the current frame (slot defaults to localPlayerIndex;
+  // pass a local guest slot for the other couch players)
+  addLocalInput(input, slot = this.localPlayerIndex) {
+    if (slot === this.localPlayerIndex) {
+      this.pendingLocalInput = input;
+    } else if (this.localGuestSlots.has(slot)) {
+      this.pendingGuestInputs.set(slot, input);
+    }
   }
 
   // Called when a remote input arrives from the transport layer
   addRemoteInput(peerIndex, frame, input) {
-    if (peerIndex === this.localPlayerIndex) {
+    if (this._isLocalSlot(peerIndex)) {
       return;
     }
 
@@ -144,11 +181,13 @@ export class RollbackSession {
     }
 
     const requests = [];
+    this.newLocalInputFrames = [];
 
     // Check frame wait recommendation
-    const waitFrames = this.timeSync.recommendFrameWait();
+    const waitFrames = this.timeSync.recommendFrameWait(this.autoInputSlots);
     if (waitFrames > 0) {
       this.events.push({ type: 'WaitRecommendation', skipFrames: waitFrames });
+      this.stats.skippedFrames++;
       return requests; // skip this tick
     }
 
@@ -163,20 +202,44 @@ export class RollbackSession {
       // break the deadlock.
       this._checkDisconnectsWallClock();
 
+      this.stats.stalledFrames++;
       return requests; // wait for remote inputs to catch up
     }
 
-    // Add local input with delay
+    // Switch to a scheduled input delay once its frame comes up
+    if (this.pendingInputDelay !== null && this.currentFrame >= this.pendingInputDelay.frame) {
+      this.inputDelay = this.pendingInputDelay.delay;
+      this.inputDelayFrame = this.currentFrame;
+      this.pendingInputDelay = null;
+      this.events.push({ type: 'InputDelayChanged', inputDelay: this.inputDelay });
+    }
+
+    // Add local input with delay. Every frame must get exactly one local
+    // input, so after the delay grows the skipped frames repeat this input,
+    // and after it shrinks inputs are dropped until the delay catches up.
     const inputFrame = this.currentFrame + this.inputDelay;
-    if (this.pendingLocalInput !== null) {
-      this.inputQueues[this.localPlayerIndex].addInput(inputFrame, this.pendingLocalInput, false);
+    if (this.pendingLocalInput !== null && inputFrame > this.lastLocalInputFrame) {
+      const firstFrame = this.lastLocalInputFrame < 0 ? inputFrame : this.lastLocalInputFrame + 1;
+      for (let frame = firstFrame; frame <= inputFrame; frame++) {
+        this.inputQueues[this.localPlayerIndex].addInput(frame, this.pendingLocalInput, false);
+        for (const [slot, input] of this.pendingGuestInputs) {
+          this.inputQueues[slot].addInput(frame, input, false);
+        }
+        this.newLocalInputFrames.push(frame);
+      }
       this.lastLocalInputFrame = inputFrame;
-      this.pendingLocalInput = null;
     }
+    this.pendingLocalInput = null;
+    this.pendingGuestInputs.clear();
 
     // Check if we need a rollback
     const rollbackFrame = this._findRollbackFrame();
     if (rollbackFrame >= 0) {
+      const depth = this.currentFrame - rollbackFrame;
+      this.stats.rollbacks++;
+      this.stats.rollbackFrames += depth;
+      this.stats.maxRollbackDepth = Math.max(this.stats.maxRollbackDepth, depth);
+
       // Load state from the rollback point
       requests.push({
         type: 'LoadGameState',
@@ -258,17 +321,73 @@ export class RollbackSession {
   }
 
   // Get the local input that should be sent to remote peers this frame
-  getLocalInput() {
+  // (slot defaults to localPlayerIndex; guest slots share its input frame)
+  getLocalInput(slot = this.localPlayerIndex) {
     if (this.lastLocalInputFrame < 0) {
       return null;
     }
-    const result = this.inputQueues[this.localPlayerIndex].getInput(this.lastLocalInputFrame);
+    const result = this.inputQueues[slot].getInput(this.lastLocalInputFrame);
     return {
       frame: this.lastLocalInputFrame,
       input: result.input,
     };
   }
 
+  // Local inputs added by the latest advanceFrame, oldest first: usually one,
+  // several right after the input delay grows, none while stalled or while
+  // a shrunk delay catches up. These are what must be sent to peers.
+  getNewLocalInputs(slot = this.localPlayerIndex) {
+    return this.newLocalInputFrames.map(frame => ({
+      frame,
+      input: this.inputQueues[slot].getInput(frame).input,
+    }));
+  }
+
+  // Switch to `delay` frames of input delay at `frame`. Called on every peer
+  // with the same values (the resync authority broadcasts INPUT_DELAY); a
+  // peer that hears about it late switches on its next frame, which is still
+  // deterministic because getNewLocalInputs covers every frame either way.
+  scheduleInputDelay(frame, delay) {
+    const clamped = Math.max(MIN_INPUT_DELAY, Math.min(delay, MAX_INPUT_DELAY));
+    const upcoming = this.pendingInputDelay ? this.pendingInputDelay.delay : this.inputDelay;
+    if (clamped !== upcoming) {
+      this.pendingInputDelay = { frame, delay: clamped };
+      this.inputDelayController.reset(clamped);
+    }
+  }
+
+  // The latest agreed input delay, pending or in effect: { frame, delay }
+  getInputDelaySchedule() {
+    return this.pendingInputDelay || { frame: this.inputDelayFrame, delay: this.inputDelay };
+  }
+
+  // Resync authority only: feed TimeSync's recommendation for the slowest
+  // remote peer into the hysteresis controller. Returns { frame, delay } to
+  // schedule and broadcast, or null while the current delay is still right.
+  proposeInputDelay() {
+    let recommended = 0;
+    for (let i = 0; i < this.numPlayers; i++) {
+      if (this._isLocalSlot(i) || this.autoInputSlots.has(i)) {
+        continue;
+      }
+      if (!this.peerConnected[i] || this.peerDisconnected[i]) {
+        continue;
+      }
+      if (this.timeSync.hasRoundTripTime(i)) {
+        recommended = Math.max(recommended, this.timeSync.getRecommendedInputDelay(i));
+      }
+    }
+
+    let proposal = null;
+    if (recommended > 0 && this.pendingInputDelay === null) {
+      const delay = this.inputDelayController.sample(recommended);
+      if (delay !== null) {
+        proposal = { frame: this.currentFrame + INPUT_DELAY_LEAD_FRAMES, delay };
+      }
+    }
+    return proposal;
+  }
+
   // Get the checksum for the current frame (for sending to peers).
   // Checksums are deferred until syncFrame catches up to the checksum frame,
   // ensuring we only send checksums computed from fully-confirmed state.
@@ -290,6 +409,7 @@ export class RollbackSession {
       const checksum = this.stateBuffer.getChecksum(this._pendingChecksumFrame);
       if (checksum !== null) {
         this.lastChecksumFrame = this._pendingChecksumFrame;
+        this._retainChecksumState(this._pendingChecksumFrame);
         return { frame: this._pendingChecksumFrame, checksum };
       }
     }
@@ -304,6 +424,7 @@ export class RollbackSession {
       ping: this.timeSync.getPing(peerIndex),
       frameAdvantage: this.timeSync.getFrameAdvantage(peerIndex),
       predictionGap: this.currentFrame - this._getMinConfirmedFrame(),
+      inputDelay: this.inputDelay,
     };
   }
 
@@ -367,7 +488,7 @@ export class RollbackSession {
     let minFrame = Infinity;
 
     for (let i = 0; i < this.numPlayers; i++) {
-      if (i === this.localPlayerIndex) {
+      if (this._isLocalSlot(i)) {
         continue;
       }
       if (this.peerDisconnected[i]) {
@@ -415,6 +536,8 @@ export class RollbackSession {
 
       for (const [peerIndex, remoteChecksum] of peerChecksums) {
         if (localChecksum !== remoteChecksum) {
+          this.stats.checksumMismatches++;
+          this._retainChecksumState(frame);
           this.events.push({
             type: 'DesyncDetected',
             frame,
@@ -434,7 +557,7 @@ export class RollbackSession {
   // Check if any peer has timed out (frame-based for determinism)
   _checkDisconnects() {
     for (let i = 0; i < this.numPlayers; i++) {
-      if (i === this.localPlayerIndex) {
+      if (this._isLocalSlot(i)) {
         continue;
       }
       if (this.peerDisconnected[i]) {
@@ -468,7 +591,7 @@ export class RollbackSession {
   _checkDisconnectsWallClock() {
     const now = Date.now();
     for (let i = 0; i < this.numPlayers; i++) {
-      if (i === this.localPlayerIndex) {
+      if (this._isLocalSlot(i)) {
         continue;
       }
       if (this.peerDisconnected[i]) {
@@ -492,7 +615,7 @@ export class RollbackSession {
   // Check if all non-local peers are synchronized
   _allPeersSynchronized() {
     for (let i = 0; i < this.numPlayers; i++) {
-      if (i === this.localPlayerIndex) {
+      if (this._isLocalSlot(i)) {
         continue;
       }
       if (!this.peerSynchronized[i]) {
@@ -502,6 +625,24 @@ export class RollbackSession {
     return true;
   }
 
+  _retainChecksumState(frame) {
+    const state = this.checksumStates.has(frame) ? null : this.stateBuffer.load(frame);
+    if (state) {
+      this.checksumStates.set(frame, state);
+      for (const oldFrame of this.checksumStates.keys()) {
+        if (this.checksumStates.size <= CHECKSUM_STATE_HISTORY) {
+          break;
+        }
+        this.checksumStates.delete(oldFrame);
+      }
+    }
+  }
+
+  // True for the local player and any couch co-op guest slots
+  _isLocalSlot(slot) {
+    return slot === this.localPlayerIndex || this.localGuestSlots.has(slot);
+  }
+
   // Reset frame-related state to a specific frame (used when receiving authoritative state from host).
   // Preserves running, peer connection state, and autoInputSlots.
   resetToFrame(frame) {
@@ -511,7 +652,9 @@ export class RollbackSession {
     this.needsRollback = false;
     this.rollbackTargetFrame = -1;
     this.pendingLocalInput = null;
+    this.pendingGuestInputs.clear();
     this.lastLocalInputFrame = -1;
+    this.newLocalInputFrames = [];
     this.remoteChecksums.clear();
     this.checksumSuppressUntilFrame = frame + CHECKSUM_INTERVAL;
     this._pendingChecksumFrame = -1;
@@ -530,6 +673,9 @@ export class RollbackSession {
     this.lastSavedFrame = -1;
     this.events = [];
     this.pendingLocalInput = null;
+    this.pendingGuestInputs.clear();
+    this.newLocalInputFrames = [];
+    this.pendingInputDelay = null;
     this.running = false;
     this.needsRollback = false;
     this.rollbackTargetFrame = -1;
@@ -537,13 +683,14 @@ export class RollbackSession {
     this._pendingChecksumFrame = -1;
     this.remoteChecksums.clear();
     this.checksumSuppressUntilFrame = -1;
+    this.checksumStates.clear();
 
     for (let i = 0; i < this.numPlayers; i++) {
       this.inputQueues[i].reset();
-      this.peerConnected[i] = i === this.localPlayerIndex;
+      this.peerConnected[i] = this._isLocalSlot(i);
       this.peerLastRecvTime[i] = 0;
       this.peerDisconnected[i] = false;
-      this.peerSynchronized[i] = i === this.localPlayerIndex;
+      this.peerSynchronized[i] = this._isLocalSlot(i);
       this.syncState[i] = 0;
     }
 
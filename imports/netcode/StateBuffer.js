@@ -3,6 +3,20 @@
 
 const BUFFER_SIZE = 64;
 
+// FNV-1a hash of an ArrayBuffer. Shared with replay checksum markers so a
+// replay and a live session agree on what "same state" means.
+export function computeChecksum(buffer) {
+  const view = new Uint8Array(buffer);
+  let hash = 0x811c9dc5; // FNV offset basis
+
+  for (let i = 0; i < view.length; i++) {
+    hash ^= view[i];
+    hash = Math.imul(hash, 0x01000193); // FNV prime
+  }
+
+  return hash >>> 0; // ensure unsigned 32-bit
+}
+
 export class StateBuffer {
   constructor() {
     this.slots = new Array(BUFFER_SIZE);
@@ -67,15 +81,7 @@ export class StateBuffer {
 
   // FNV-1a hash of an ArrayBuffer for desync detection
   _computeChecksum(buffer) {
-    const view = new Uint8Array(buffer);
-    let hash = 0x811c9dc5; // FNV offset basis
-
-    for (let i = 0; i < view.length; i++) {
-      hash ^= view[i];
-      hash = Math.imul(hash, 0x01000193); // FNV prime
-    }
-
-    return hash >>> 0; // ensure unsigned 32-bit
+    return computeChecksum(buffer);
   }
 
   // Reset all slots
@@ -0,0 +1,272 @@
+// StateDelta — Compact, chunked STATE_SYNC between players.
+// A state is sent as the Int32 difference from a baseline both sides already
+// hold: the last STATE_SYNC the receiver acknowledged with STATE_ACK. Most of
+// the layout is unchanged between syncs (and mostly zero in a fresh one), so
+// the difference is packed as zero runs plus zigzag varints. With no shared
+// baseline the state is packed against all zeros — a full sync, just smaller.
+// The packed bytes are split into chunks that each fit one datagram, since
+// both transports are unreliable DataChannels and the relay caps packet size.
+//
+// STATE_DELTA wire format (little-endian):
+//   [type(1B), frame(4B), baselineFrame(4B), checksum(4B), chunkIndex(1B), chunkCount(1B), payload]
+//   baselineFrame is NO_BASELINE for a full sync; checksum is computeChecksum()
+//   of the resulting state, so a wrong baseline is caught rather than loaded.
+// Packed payload (after joining the chunks):
+//   intCount(varint), then repeated [zeroRun(varint), literalCount(varint),
+//   literals(zigzag varint each)] until intCount ints are covered.
+
+import { MessageType } from './InputEncoder.js';
+import { computeChecksum } from './StateBuffer.js';
+
+export const NO_BASELINE = 0xFFFFFFFF;
+
+// Packed bytes per STATE_DELTA message; with the header this stays well under
+// a typical 1200-byte DataChannel datagram
+export const MAX_CHUNK_PAYLOAD = 1024;
+
+const HEADER_SIZE = 15;
+const BASELINE_HISTORY = 8; // states remembered per side for baselines
+
+function writeVarint(bytes, value) {
+  let remaining = value >>> 0;
+  while (remaining >= 0x80) {
+    bytes.push((remaining & 0x7F) | 0x80);
+    remaining >>>= 7;
+  }
+  bytes.push(remaining);
+}
+
+function readVarint(bytes, cursor) {
+  let value = 0;
+  let shift = 0;
+  let byte = 0x80;
+  while (byte & 0x80) {
+    if (cursor.offset >= bytes.length) {
+      throw new Error('Packed state ends mid-varint');
+    }
+    byte = bytes[cursor.offset++];
+    value += (byte & 0x7F) * 2 ** shift;
+    shift += 7;
+  }
+  return value;
+}
+
+/**
+ * Pack `state` as its difference from `baseline` (or from zeros).
+ * @param {ArrayBuffer} state
+ * @param {ArrayBuffer|null} [baseline] - same length as state
+ * @returns {Uint8Array}
+ */
+export function packState(state, baseline = null) {
+  const ints = new Int32Array(state);
+  const base = baseline ? new Int32Array(baseline) : null;
+  const bytes = [];
+  writeVarint(bytes, ints.length);
+
+  let i = 0;
+  while (i < ints.length) {
+    const runStart = i;
+    while (i < ints.length && ints[i] === (base ? base[i] : 0)) {
+      i++;
+    }
+    const literalStart = i;
+    while (i < ints.length && ints[i] !== (base ? base[i] : 0)) {
+      i++;
+    }
+    writeVarint(bytes, literalStart - runStart);
+    writeVarint(bytes, i - literalStart);
+    for (let j = literalStart; j < i; j++) {
+      const delta = (ints[j] - (base ? base[j] : 0)) | 0;
+      writeVarint(bytes, (delta << 1) ^ (delta >> 31)); // zigzag
+    }
+  }
+  return new Uint8Array(bytes);
+}
+
+/**
+ * Inverse of packState().
+ * @param {Uint8Array} packed
+ * @param {ArrayBuffer|null} [baseline]
+ * @returns {ArrayBuffer}
+ */
+export function unpackState(packed, baseline = null) {
+  const cursor = { offset: 0 };
+  const count = readVarint(packed, cursor);
+  const base = baseline ? new Int32Array(baseline) : null;
+  if (base && base.length !== count) {
+    throw new Error(`Baseline has ${base.length} ints, packed state has ${count}`);
+  }
+  const ints = base ? base.slice(0) : new Int32Array(count);
+
+  let i = 0;
+  while (i < count) {
+    i += readVarint(packed, cursor);
+    const literals = readVarint(packed, cursor);
+    if (i + literals > count) {
+      throw new Error('Packed state overruns its int count');
+    }
+    for (let j = 0; j < literals; j++, i++) {
+      const zigzag = readVarint(packed, cursor);
+      ints[i] = (ints[i] + ((zigzag >>> 1) ^ -(zigzag & 1))) | 0;
+    }
+  }
+  return ints.buffer;
+}
+
+/**
+ * Encode a STATE_SYNC as one or more STATE_DELTA messages.
+ * @param {number} frame
+ * @param {ArrayBuffer} state
+ * @param {{ frame: number, state: ArrayBuffer }|null} [baseline] - null for a full sync
+ * @returns {ArrayBuffer[]}
+ */
+export function encodeStateDelta(frame, state, baseline = null) {
+  const packed = packState(state, baseline ? baseline.state : null);
+  const chunkCount = Math.max(1, Math.ceil(packed.length / MAX_CHUNK_PAYLOAD));
+  if (chunkCount > 255) {
+    throw new Error(`State of ${packed.length} packed bytes needs too many chunks`);
+  }
+  const checksum = computeChecksum(state);
+
+  const messages = [];
+  for (let index = 0; index < chunkCount; index++) {
+    const payload = packed.subarray(index * MAX_CHUNK_PAYLOAD, (index + 1) * MAX_CHUNK_PAYLOAD);
+    const buffer = new ArrayBuffer(HEADER_SIZE + payload.length);
+    const view = new DataView(buffer);
+    view.setUint8(0, MessageType.STATE_DELTA);
+    view.setUint32(1, frame, true);
+    view.setUint32(5, baseline ? baseline.frame : NO_BASELINE, true);
+    view.setUint32(9, checksum, true);
+    view.setUint8(13, index);
+    view.setUint8(14, chunkCount);
+    new Uint8Array(buffer).set(payload, HEADER_SIZE);
+    messages.push(buffer);
+  }
+  return messages;
+}
+
+/**
+ * @param {ArrayBuffer} buffer - one STATE_DELTA message
+ * @returns {{ type: number, frame: number, baselineFrame: number, checksum: number,
+ *   chunkIndex: number, chunkCount: number, payload: Uint8Array }}
+ */
+export function decodeStateDelta(buffer) {
+  const view = new DataView(buffer);
+  return {
+    type: MessageType.STATE_DELTA,
+    frame: view.getUint32(1, true),
+    baselineFrame: view.getUint32(5, true),
+    checksum: view.getUint32(9, true),
+    chunkIndex: view.getUint8(13),
+    chunkCount: view.getUint8(14),
+    payload: new Uint8Array(buffer, HEADER_SIZE),
+  };
+}
+
+/**
+ * Rebuild the state from a complete STATE_DELTA.
+ * @param {{ baselineFrame: number, checksum: number, payload: Uint8Array }} delta
+ * @param {ArrayBuffer|null} baseline - the state at delta.baselineFrame (null for a full sync)
+ * @returns {ArrayBuffer|null} null if the result doesn't match the sender's checksum
+ */
+export function applyStateDelta(delta, baseline) {
+  let state = null;
+  try {
+    state = unpackState(delta.payload, delta.baselineFrame === NO_BASELINE ? null : baseline);
+  } catch (err) {
+    state = null;
+  }
+  return state && computeChecksum(state) === delta.checksum ? state : null;
+}
+
+/**
+ * Collects one peer's STATE_DELTA chunks. Only the newest sync is kept: chunks
+ * for an older frame are ignored, and a newer frame discards a partial one.
+ */
+export class StateDeltaAssembler {
+  constructor() {
+    this._frame = -1;
+    this._chunks = [];
+    this._received = 0;
+  }
+
+  /**
+   * @param {object} chunk - from decodeStateDelta()
+   * @returns {{ frame: number, baselineFrame: number, checksum: number, payload: Uint8Array }|null}
+   *   the joined message once every chunk has arrived
+   */
+  add(chunk) {
+    let complete = null;
+    if (chunk.frame > this._frame) {
+      this._frame = chunk.frame;
+      this._chunks = new Array(chunk.chunkCount);
+      this._received = 0;
+    }
+    const fits = chunk.frame === this._frame && chunk.chunkIndex < this._chunks.length;
+    if (fits && !this._chunks[chunk.chunkIndex]) {
+      this._chunks[chunk.chunkIndex] = chunk.payload;
+      this._received++;
+      if (this._received === this._chunks.length) {
+        let length = 0;
+        for (const part of this._chunks) {
+          length += part.length;
+        }
+        const payload = new Uint8Array(length);
+        let offset = 0;
+        for (const part of this._chunks) {
+          payload.set(part, offset);
+          offset += part.length;
+        }
+        complete = { frame: chunk.frame, baselineFrame: chunk.baselineFrame, checksum: chunk.checksum, payload };
+        this._chunks = [];
+      }
+    }
+    return complete;
+  }
+}
+
+/**
+ * The states a STATE_DELTA can be based on. The sender remembers what it sent
+ * and which frame each peer last acknowledged; the receiver remembers what it
+ * loaded. Both keep only the last few frames.
+ */
+export class StateBaselines {
+  constructor() {
+    this._states = new Map(); // frame -> state, oldest first
+    this._acked = new Map(); // peerId -> newest acknowledged frame
+  }
+
+  remember(frame, state) {
+    this._states.delete(frame);
+    this._states.set(frame, state);
+    for (const oldFrame of this._states.keys()) {
+      if (this._states.size <= BASELINE_HISTORY) {
+        break;
+      }
+      this._states.delete(oldFrame);
+    }
+  }
+
+  /** @returns {ArrayBuffer|null} */
+  get(frame) {
+    return this._states.get(frame) || null;
+  }
+
+  ack(peerId, frame) {
+    if (frame > (this._acked.get(peerId) ?? -1)) {
+      this._acked.set(peerId, frame);
+    }
+  }
+
+  /** Fall back to full syncs for this peer until it acknowledges another one. */
+  forget(peerId) {
+    this._acked.delete(peerId);
+  }
+
+  /** @returns {{ frame: number, state: ArrayBuffer }|null} */
+  baselineFor(peerId) {
+    const frame = this._acked.get(peerId);
+    const state = frame === undefined ? null : this.get(frame);
+    return state ? { frame, state } : null;
+  }
+}
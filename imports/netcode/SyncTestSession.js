@@ -109,6 +109,7 @@ export class SyncTestSession {
         };
         this.errors.push(error);
         console.error('[SyncTest]', error.message);
+        this._pendingVerification = null;
         return false;
       }
 
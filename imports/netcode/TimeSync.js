@@ -69,14 +69,22 @@ export class TimeSync {
     return Math.max(1, Math.min(oneWayFrames, 15)); // clamp 1-15
   }
 
+  // True once at least one RTT sample has been recorded for a peer
+  hasRoundTripTime(peerIndex) {
+    return this.rttHistoryIndex[peerIndex] > 0;
+  }
+
   // Check if we should wait (skip frames) to let remote peers catch up
-  // Returns number of frames to wait, or 0 if no wait needed
-  recommendFrameWait() {
+  // Returns number of frames to wait, or 0 if no wait needed.
+  // ignoredSlots are peers we no longer wait on (left or never joined): their
+  // last advantage stops updating when their inputs do, and would otherwise
+  // keep us waiting for good.
+  recommendFrameWait(ignoredSlots = new Set()) {
     let maxAdvantage = 0;
     let maxAllowedAdvantage = 2; // default for low latency
 
     for (let i = 0; i < this.numPlayers; i++) {
-      if (i === this.localPlayerIndex) {
+      if (i === this.localPlayerIndex || ignoredSlots.has(i)) {
         continue;
       }
 
@@ -0,0 +1,131 @@
+// Unit tests for adaptive input delay.
+// The controller must follow rising latency quickly but not flap around a
+// frame boundary; the session must give every frame exactly one local input
+// while the delay grows and shrinks, so peers confirm identical inputs.
+
+import assert from 'assert';
+import { InputEncoder, MessageType } from '../InputEncoder.js';
+import { InputDelayController, MIN_INPUT_DELAY, MAX_INPUT_DELAY } from '../InputDelayController.js';
+import { RollbackSession } from '../RollbackSession.js';
+
+function sampleTimes(controller, recommended, count) {
+  const changes = [];
+  for (let i = 0; i < count; i++) {
+    const next = controller.sample(recommended);
+    if (next !== null) {
+      changes.push(next);
+    }
+  }
+  return changes;
+}
+
+function createPair() {
+  return [0, 1].map(localPlayerIndex => {
+    const session = new RollbackSession({ numPlayers: 2, localPlayerIndex, inputDelay: 3 });
+    session.setPeerConnected(1 - localPlayerIndex, true);
+    session.peerSynchronized[1 - localPlayerIndex] = true;
+    session.running = true;
+    return session;
+  });
+}
+
+describe('Adaptive input delay', function () {
+  describe('InputDelayController', function () {
+    it('raises one frame at a time once latency stays high', function () {
+      const controller = new InputDelayController(3);
+      assert.deepStrictEqual(sampleTimes(controller, 6, 2), []);
+      assert.deepStrictEqual(sampleTimes(controller, 6, 1), [4]);
+      // Cooldown, then another step
+      assert.deepStrictEqual(sampleTimes(controller, 6, 9), [5]);
+    });
+
+    it('does not flap when the recommendation hovers around the delay', function () {
+      const controller = new InputDelayController(3);
+      for (let i = 0; i < 50; i++) {
+        assert.strictEqual(controller.sample(i % 2 === 0 ? 4 : 3), null);
+        assert.strictEqual(controller.sample(2), null);
+      }
+      assert.strictEqual(controller.delay, 3);
+    });
+
+    it('lowers only after a long run well below the delay', function () {
+      const controller = new InputDelayController(5);
+      assert.deepStrictEqual(sampleTimes(controller, 3, 14), []);
+      assert.deepStrictEqual(sampleTimes(controller, 3, 1), [4]);
+    });
+
+    it('stays within the allowed range', function () {
+      const high = new InputDelayController(MAX_INPUT_DELAY);
+      assert.deepStrictEqual(sampleTimes(high, 15, 40), []);
+      const low = new InputDelayController(MIN_INPUT_DELAY);
+      assert.deepStrictEqual(sampleTimes(low, 1, 40), []);
+    });
+  });
+
+  describe('INPUT_DELAY encoding', function () {
+    it('round-trips frame and delay', function () {
+      const message = InputEncoder.encodeInputDelayMessage(123456, 5);
+      assert.deepStrictEqual(InputEncoder.decode(message), { type: MessageType.INPUT_DELAY, frame: 123456, delay: 5 });
+    });
+  });
+
+  describe('RollbackSession', function () {
+    it('gives every frame exactly one input while the delay changes', function () {
+      const sessions = createPair();
+      const sent = [new Map(), new Map()]; // frame -> input, per sender
+      const schedule = [{ frame: 100, delay: 6 }, { frame: 200, delay: 2 }, { frame: 300, delay: 4 }];
+
+      for (let tick = 0; tick < 400; tick++) {
+        for (const change of schedule) {
+          if (tick === change.frame - 30) {
+            sessions.forEach(session => session.scheduleInputDelay(change.frame, change.delay));
+          }
+        }
+        for (const [peer, session] of sessions.entries()) {
+          session.addLocalInput((tick * 7 + peer) & 0x07);
+          session.advanceFrame();
+          for (const { frame, input } of session.getNewLocalInputs()) {
+            assert.ok(!sent[peer].has(frame), `frame ${frame} sent twice`);
+            sent[peer].set(frame, input);
+            sessions[1 - peer].addRemoteInput(peer, frame, input);
+          }
+        }
+      }
+
+      for (const [peer, session] of sessions.entries()) {
+        assert.strictEqual(session.getStats(1 - peer).inputDelay, 4);
+        const frames = [...sent[peer].keys()];
+        const first = frames[0];
+        assert.deepStrictEqual(frames, frames.map((_, i) => first + i), 'frames should be contiguous');
+        // What the peer confirmed is what this session simulates with
+        for (let frame = session.currentFrame - 20; frame < session.currentFrame; frame++) {
+          assert.strictEqual(sessions[1 - peer].inputQueues[peer].getInput(frame).input, sent[peer].get(frame));
+        }
+      }
+    });
+
+    it('proposes a change from the slowest measured peer', function () {
+      const session = new RollbackSession({ numPlayers: 3, localPlayerIndex: 0, inputDelay: 3 });
+      session.setPeerConnected(1, true);
+      session.setPeerConnected(2, true);
+      session.timeSync.updateRoundTripTime(1, 40);
+      // Peer 2 has no RTT samples yet and must not count
+      assert.strictEqual(session.proposeInputDelay(), null);
+      assert.strictEqual(session.proposeInputDelay(), null);
+      assert.strictEqual(session.proposeInputDelay(), null);
+
+      session.timeSync.updateRoundTripTime(2, 200);
+      session.timeSync.updateRoundTripTime(2, 200);
+      let proposal = null;
+      for (let i = 0; i < 3 && !proposal; i++) {
+        proposal = session.proposeInputDelay();
+      }
+      assert.deepStrictEqual(proposal, { frame: session.currentFrame + 30, delay: 4 });
+
+      session.scheduleInputDelay(proposal.frame, proposal.delay);
+      assert.deepStrictEqual(session.getInputDelaySchedule(), proposal);
+      // Nothing new while a change is pending
+      assert.strictEqual(session.proposeInputDelay(), null);
+    });
+  });
+});
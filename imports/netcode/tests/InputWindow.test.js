@@ -0,0 +1,221 @@
+// Unit tests for run-length encoded INPUT messages and ack-based redundancy.
+// The end-to-end case runs two GameLoops over a link that loses every packet
+// for longer than the old fixed five-input window covered; the acks must
+// steer the senders into repairing the gap.
+
+import assert from 'assert';
+import { InputEncoder, MessageType, DISCONNECT_BIT } from '../InputEncoder.js';
+import { InputSendWindow, InputAckTracker, MAX_UNACKED_INPUTS } from '../InputWindow.js';
+import { RollbackSession } from '../RollbackSession.js';
+import { MAX_PAYLOAD_BYTES } from '../RelayLimiter.js';
+import { GameLoop } from '../../game/GameLoop.js';
+import { DeterministicRNG } from '../../game/physics/mulberry32.js';
+import { createSim, generateInput, compareStates, NUM_PLAYERS, INPUT_DELAY } from '../../game/tests/testHelpers.js';
+
+const LATENCY_TICKS = 3;
+
+function pushFrames(window, firstFrame, inputs) {
+  inputs.forEach((input, i) => window.push(firstFrame + i, input));
+}
+
+// Random inputs, held for a few frames at a time like a real player
+function createReader(seed) {
+  const rng = new DeterministicRNG(seed);
+  const reader = {
+    held: 0,
+    heldFor: 0,
+    idle: false,
+    sample() {
+      if (reader.heldFor <= 0) {
+        reader.held = generateInput(rng);
+        reader.heldFor = 1 + rng.nextInt(12);
+      }
+      reader.heldFor--;
+      return { ...InputEncoder.decodeInput(reader.idle ? 0 : reader.held), escape: false };
+    },
+  };
+  return reader;
+}
+
+// Two peers; INPUTs are applied and acked the way MultiplayerManager does,
+// INPUT_ACKs go back through GameLoop.ackInputs. `lost(tick)` drops everything.
+function createPeers(lost) {
+  const link = { tick: 0, inFlight: [], inputBytes: 0, longestInput: 0 };
+  const sims = [0, 1].map(() => {
+    const sim = createSim();
+    sim.activatePlayer(0, 0);
+    sim.activatePlayer(1, 1);
+    sim.startGame();
+    return sim;
+  });
+  const sessions = [0, 1].map(peer => {
+    const session = new RollbackSession({
+      numPlayers: NUM_PLAYERS,
+      localPlayerIndex: peer,
+      inputDelay: INPUT_DELAY,
+      autoInputSlots: new Set([2, 3]),
+      maxPredictionWindow: 40,
+      disconnectTimeout: 60000,
+    });
+    session.setPeerConnected(1 - peer, true);
+    session.peerSynchronized[1 - peer] = true;
+    session.running = true;
+    return session;
+  });
+  const readers = [createReader(1), createReader(2)];
+  const trackers = [new InputAckTracker(), new InputAckTracker()];
+
+  const loops = [0, 1].map(peer => {
+    const loop = new GameLoop({ game: sims[peer], renderer: null, inputReader: readers[peer], localPlayerIndex: peer });
+    loop.transitionToMultiplayer(sessions[peer], {
+      getConnectionInfo: () => ({ [`peer-${1 - peer}`]: {} }),
+      send(peerId, message) {
+        if (InputEncoder.getMessageType(message) === MessageType.INPUT) {
+          link.inputBytes += message.byteLength;
+          link.longestInput = Math.max(link.longestInput, InputEncoder.decodeInputMessage(message).inputs.length);
+        }
+        if (!lost(link.tick)) {
+          link.inFlight.push({ from: `peer-${peer}`, to: 1 - peer, due: link.tick + LATENCY_TICKS, message });
+        }
+      },
+    });
+    return loop;
+  });
+
+  link.deliver = () => {
+    const due = link.inFlight.filter(entry => entry.due <= link.tick);
+    link.inFlight = link.inFlight.filter(entry => entry.due > link.tick);
+    for (const { from, to, message } of due) {
+      const msg = InputEncoder.decode(message);
+      if (msg.type === MessageType.INPUT) {
+        for (let i = msg.inputs.length - 1; i >= 0; i--) {
+          sessions[to].addRemoteInput(msg.playerIndex, msg.inputs[i].frame, msg.inputs[i].input);
+        }
+        const ackFrame = trackers[to].receive(from, msg.playerIndex, msg.frame - msg.inputs.length + 1, msg.frame);
+        loops[to].transport.send(from, InputEncoder.encodeInputAck(ackFrame, msg.playerIndex));
+      } else if (msg.type === MessageType.INPUT_ACK) {
+        loops[to].ackInputs(from, msg.playerIndex, msg.frame);
+      }
+    }
+  };
+
+  link.run = (count) => {
+    for (let i = 0; i < count; i++) {
+      link.deliver();
+      loops[0]._tick();
+      loops[1]._tick();
+      link.tick++;
+    }
+  };
+
+  return { link, sims, readers };
+}
+
+describe('Input redundancy', function () {
+  describe('INPUT encoding', function () {
+    it('round-trips inputs as runs, newest first', function () {
+      const inputs = [5, 5, 5, 0, 0, 1, 2, 2, 5 | DISCONNECT_BIT];
+      const message = InputEncoder.encodeInputMessage(400, 1, inputs);
+      assert.strictEqual(message.byteLength, 7 + 5);
+
+      const msg = InputEncoder.decodeInputMessage(message);
+      assert.strictEqual(msg.frame, 400);
+      assert.strictEqual(msg.playerIndex, 1);
+      assert.strictEqual(msg.input, 5);
+      assert.deepStrictEqual(msg.inputs, inputs.map((input, i) => ({ frame: 400 - i, input })));
+    });
+
+    it('packs a held input into one byte per 16 frames', function () {
+      const inputs = new Array(MAX_UNACKED_INPUTS).fill(4);
+      const message = InputEncoder.encodeInputMessage(1000, 0, inputs);
+      assert.strictEqual(message.byteLength, 7 + Math.ceil(MAX_UNACKED_INPUTS / 16));
+      assert.deepStrictEqual(InputEncoder.decodeInputMessage(message).inputs.map(entry => entry.input), inputs);
+    });
+
+    it('worst case stays under the relay cap', function () {
+      const inputs = Array.from({ length: MAX_UNACKED_INPUTS }, (_, i) => i % 2);
+      const message = InputEncoder.encodeInputMessage(1000, 0, inputs);
+      assert.ok(message.byteLength <= MAX_PAYLOAD_BYTES[MessageType.INPUT]);
+      assert.strictEqual(InputEncoder.decodeInputMessage(message).inputs.length, MAX_UNACKED_INPUTS);
+    });
+
+    it('carries the slot in INPUT_ACK', function () {
+      const ack = InputEncoder.decode(InputEncoder.encodeInputAck(1234, 2));
+      assert.deepStrictEqual(ack, { type: MessageType.INPUT_ACK, frame: 1234, playerIndex: 2 });
+    });
+  });
+
+  describe('InputSendWindow', function () {
+    it('sends each peer everything after its last ack', function () {
+      const window = new InputSendWindow();
+      pushFrames(window, 10, [1, 2, 3, 4, 5]);
+      assert.deepStrictEqual(window.unackedFor('a'), { frame: 14, inputs: [5, 4, 3, 2, 1] });
+
+      window.ack('a', 12);
+      assert.deepStrictEqual(window.unackedFor('a'), { frame: 14, inputs: [5, 4] });
+      assert.strictEqual(window.unackedFor('b').inputs.length, 5);
+
+      // Fully acknowledged: the newest input still goes out to keep acks coming
+      window.ack('a', 14);
+      assert.deepStrictEqual(window.unackedFor('a'), { frame: 14, inputs: [5] });
+    });
+
+    it('takes the latest ack, and ignores acks for frames not sent yet', function () {
+      const window = new InputSendWindow();
+      pushFrames(window, 100, [0, 0, 0, 0]);
+      window.ack('a', 103);
+      window.ack('a', 101); // the peer resynced and lost frames 102-103
+      assert.strictEqual(window.unackedFor('a').inputs.length, 2);
+      window.ack('a', 500);
+      assert.strictEqual(window.unackedFor('a').inputs.length, 2);
+    });
+
+    it('keeps at most MAX_UNACKED_INPUTS for a silent peer', function () {
+      const window = new InputSendWindow();
+      pushFrames(window, 0, new Array(MAX_UNACKED_INPUTS + 30).fill(1));
+      assert.strictEqual(window.unackedFor('a').inputs.length, MAX_UNACKED_INPUTS);
+      window.reset();
+      assert.strictEqual(window.unackedFor('a'), null);
+    });
+  });
+
+  describe('InputAckTracker', function () {
+    it('acknowledges only contiguous inputs', function () {
+      const tracker = new InputAckTracker();
+      assert.strictEqual(tracker.receive('a', 0, 10, 14), 14);
+      assert.strictEqual(tracker.receive('a', 0, 15, 16), 16);
+      // Frames 17-19 went missing: hold the ack until a message reaches back
+      assert.strictEqual(tracker.receive('a', 0, 20, 20), 16);
+      assert.strictEqual(tracker.receive('a', 0, 17, 21), 21);
+      // A late, older message doesn't move the ack backwards
+      assert.strictEqual(tracker.receive('a', 0, 15, 16), 21);
+      // Slots are tracked separately
+      assert.strictEqual(tracker.receive('a', 1, 30, 31), 31);
+      tracker.reset();
+      assert.strictEqual(tracker.receive('a', 0, 50, 50), 50);
+    });
+  });
+
+  describe('two peers', function () {
+    it('stay in sync through a loss burst longer than the old window', function () {
+      const { link, sims, readers } = createPeers(tick => tick >= 200 && tick < 230);
+      link.run(400);
+      for (const reader of readers) {
+        reader.idle = true;
+      }
+      link.run(60);
+
+      assert.ok(link.longestInput > 30, `longest INPUT carried ${link.longestInput} inputs`);
+      assert.strictEqual(sims[0]._frame, sims[1]._frame);
+      const report = compareStates(new Int32Array(sims[0].serialize()), new Int32Array(sims[1].serialize()), 'peer 0 vs peer 1');
+      assert.strictEqual(report, null, report);
+    });
+
+    it('sends fewer input bytes than always resending five raw inputs', function () {
+      const { link } = createPeers(() => false);
+      link.run(600);
+      // Old format: 7-byte header + 5 inputs, every tick, from both peers
+      assert.ok(link.inputBytes < 600 * 2 * 12, `${link.inputBytes} bytes`);
+    });
+  });
+});
@@ -0,0 +1,110 @@
+// Unit tests for the diagnostics overlay's data.
+// RollbackSession keeps running totals; NetDiagnostics samples them once a
+// second into rates and a bounded history. Driven with an explicit clock.
+
+import assert from 'assert';
+import { NetDiagnostics, HISTORY_SECONDS } from '../NetDiagnostics.js';
+import { RollbackSession } from '../RollbackSession.js';
+
+function counters(overrides = {}) {
+  return {
+    rollbacks: 0,
+    rollbackFrames: 0,
+    maxRollbackDepth: 0,
+    skippedFrames: 0,
+    stalledFrames: 0,
+    checksumMismatches: 0,
+    ...overrides,
+  };
+}
+
+const PEERS = [
+  { slot: 1, peerId: 'peer-b', transport: 'p2p', ping: 40, frameAdvantage: 1 },
+  { slot: 2, peerId: 'peer-c', transport: 'relay', ping: 120, frameAdvantage: -2 },
+];
+
+function snapshot(overrides) {
+  return { frame: 600, inputDelay: 3, counters: counters(overrides), peers: PEERS };
+}
+
+describe('NetDiagnostics', function () {
+  it('turns running totals into per-second samples', function () {
+    const diagnostics = new NetDiagnostics();
+    diagnostics.update(0, snapshot());
+    diagnostics.update(500, snapshot({ rollbacks: 3 }));
+    assert.strictEqual(diagnostics.latest, null);
+
+    diagnostics.update(2000, snapshot({ rollbacks: 8, rollbackFrames: 20, maxRollbackDepth: 5, checksumMismatches: 1 }));
+    const sample = diagnostics.latest;
+    assert.strictEqual(sample.rollbacks, 4);
+    assert.strictEqual(sample.rollbackFrames, 10);
+    assert.strictEqual(sample.ping, 120, 'graphs the slowest peer');
+    assert.strictEqual(diagnostics.totals.rollbacks, 8);
+    assert.strictEqual(diagnostics.totals.maxRollbackDepth, 5);
+    assert.strictEqual(diagnostics.totals.checksumMismatches, 1);
+  });
+
+  it('keeps a bounded history, oldest first', function () {
+    const diagnostics = new NetDiagnostics();
+    for (let second = 0; second <= HISTORY_SECONDS + 10; second++) {
+      diagnostics.update(second * 1000, snapshot({ rollbacks: second }));
+    }
+    assert.strictEqual(diagnostics.history.length, HISTORY_SECONDS);
+    assert.strictEqual(diagnostics.history[0].time, 11000);
+    assert.strictEqual(diagnostics.latest.time, (HISTORY_SECONDS + 10) * 1000);
+  });
+
+  it('counts on from zero when a new session resets the totals', function () {
+    const diagnostics = new NetDiagnostics();
+    diagnostics.update(0, snapshot({ rollbacks: 50 }));
+    diagnostics.update(1000, snapshot({ rollbacks: 60 }));
+    diagnostics.update(2000, snapshot({ rollbacks: 2 }));
+    assert.strictEqual(diagnostics.latest.rollbacks, 2);
+    assert.strictEqual(diagnostics.totals.rollbacks, 12);
+  });
+
+  it('exports plain JSON for bug reports', function () {
+    const diagnostics = new NetDiagnostics();
+    diagnostics.update(0, snapshot());
+    diagnostics.update(1000, snapshot({ stalledFrames: 6 }));
+    for (let frame = 60; frame <= 300; frame += 60) {
+      diagnostics.addDesyncReport({ frame, diffs: [] });
+    }
+    const exported = JSON.parse(JSON.stringify(diagnostics));
+    assert.strictEqual(exported.frame, 600);
+    assert.strictEqual(exported.inputDelay, 3);
+    assert.deepStrictEqual(exported.peers, PEERS);
+    assert.strictEqual(exported.history.length, 1);
+    assert.strictEqual(exported.history[0].stalledFrames, 6);
+    assert.deepStrictEqual(exported.desyncReports.map(report => report.frame), [180, 240, 300]);
+  });
+
+  it('RollbackSession counts rollbacks and their depth', function () {
+    const session = new RollbackSession({ numPlayers: 2, localPlayerIndex: 0, inputDelay: 2 });
+    session.setPeerConnected(1, true);
+    session.peerSynchronized[1] = true;
+    session.running = true;
+    // No game here: save a stand-in state so there is something to roll back to
+    const advance = () => {
+      session.addLocalInput(0);
+      for (const request of session.advanceFrame()) {
+        if (request.type === 'SaveGameState') {
+          request.cell.save(new ArrayBuffer(4));
+        }
+      }
+    };
+    for (let frame = 0; frame < 6; frame++) {
+      advance();
+    }
+
+    // Peer 1 actually held flap from frame 2: predicted 0, so frames 2-5 re-run
+    for (let frame = 0; frame < 6; frame++) {
+      session.addRemoteInput(1, frame, frame >= 2 ? 0x04 : 0);
+    }
+    advance();
+
+    assert.strictEqual(session.stats.rollbacks, 1);
+    assert.strictEqual(session.stats.rollbackFrames, 4);
+    assert.strictEqual(session.stats.maxRollbackDepth, 4);
+  });
+});
@@ -0,0 +1,217 @@
+// Unit tests for the network condition simulator.
+// A manual clock stands in for setTimeout and a seeded PRNG for Math.random,
+// so every delay, drop and duplicate is reproducible.
+
+import assert from 'assert';
+import {
+  NetworkConditioner, ConditionedTransport, parseNetworkConditions,
+} from '../transport/NetworkConditioner.js';
+import { DeterministicRNG } from '../../game/physics/mulberry32.js';
+
+function createClock(seed = 1) {
+  const rng = new DeterministicRNG(seed);
+  const clock = { time: 0, timers: [], nextId: 0 };
+  clock.environment = {
+    random: () => rng.next(),
+    now: () => clock.time,
+    setTimeout: (fn, ms) => {
+      const timer = { due: clock.time + ms, id: clock.nextId++, fn };
+      clock.timers.push(timer);
+      return timer;
+    },
+    clearTimeout: (timer) => {
+      clock.timers = clock.timers.filter(entry => entry !== timer);
+    },
+  };
+  clock.advance = (ms) => {
+    const end = clock.time + ms;
+    let due = clock.timers.filter(timer => timer.due <= end);
+    while (due.length > 0) {
+      const next = due.reduce((a, b) => (b.due < a.due || (b.due === a.due && b.id < a.id) ? b : a));
+      clock.timers = clock.timers.filter(timer => timer !== next);
+      clock.time = next.due;
+      next.fn();
+      due = clock.timers.filter(timer => timer.due <= end);
+    }
+    clock.time = end;
+  };
+  return clock;
+}
+
+function message(id, bytes = 8) {
+  const buffer = new ArrayBuffer(bytes);
+  new DataView(buffer).setUint32(0, id, true);
+  return buffer;
+}
+
+function idOf(buffer) {
+  return new DataView(buffer).getUint32(0, true);
+}
+
+// Sends `count` messages to peer 'b', one every `intervalMs`; records arrivals
+function sendStream(conditioner, clock, count, intervalMs, bytes = 8) {
+  const arrivals = [];
+  for (let id = 0; id < count; id++) {
+    const sentAt = clock.time;
+    conditioner.outgoing('b', message(id, bytes), (peerId, data) => {
+      arrivals.push({ peerId, id: idOf(data), sentAt, at: clock.time });
+    });
+    clock.advance(intervalMs);
+  }
+  clock.advance(10000);
+  return arrivals;
+}
+
+describe('NetworkConditioner', function () {
+  it('delays each direction by half the latency, in order', function () {
+    const clock = createClock();
+    const conditioner = new NetworkConditioner({ defaults: { latencyMs: 100 } }, clock.environment);
+    const arrivals = sendStream(conditioner, clock, 10, 5);
+    assert.deepStrictEqual(arrivals.map(entry => entry.id), [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    assert.ok(arrivals.every(entry => entry.at - entry.sentAt === 50 && entry.peerId === 'b'));
+
+    const received = [];
+    conditioner.incoming('b', message(42), (peerId, data) => received.push(idOf(data)));
+    clock.advance(49);
+    assert.deepStrictEqual(received, []);
+    clock.advance(1);
+    assert.deepStrictEqual(received, [42]);
+  });
+
+  it('varies delays within the jitter without reordering', function () {
+    const clock = createClock();
+    const conditioner = new NetworkConditioner({ defaults: { latencyMs: 100, jitterMs: 30 } }, clock.environment);
+    const arrivals = sendStream(conditioner, clock, 300, 4);
+    const delays = arrivals.map(entry => entry.at - entry.sentAt);
+    assert.ok(Math.min(...delays) >= 20);
+    assert.ok(Math.max(...delays) > 70, 'some messages are late');
+    assert.ok(new Set(delays).size > 10, 'delays vary');
+    assert.deepStrictEqual(arrivals.map(entry => entry.id), arrivals.map((_, i) => i));
+  });
+
+  it('drops and duplicates messages at the configured rates', function () {
+    const clock = createClock();
+    const conditioner = new NetworkConditioner({ defaults: { lossRate: 0.1, duplicateRate: 0.05 } }, clock.environment);
+    const arrivals = sendStream(conditioner, clock, 4000, 1);
+    const lost = conditioner.stats.lost;
+    const duplicated = conditioner.stats.duplicated;
+    assert.ok(lost > 320 && lost < 480, `${lost} lost`);
+    assert.ok(duplicated > 120 && duplicated < 260, `${duplicated} duplicated`);
+    assert.strictEqual(arrivals.length, 4000 - lost + duplicated);
+    assert.strictEqual(new Set(arrivals.map(entry => entry.id)).size, 4000 - lost);
+  });
+
+  it('lets later messages overtake reordered ones', function () {
+    const clock = createClock();
+    const conditioner = new NetworkConditioner({ defaults: { latencyMs: 40, reorderRate: 0.1 } }, clock.environment);
+    const arrivals = sendStream(conditioner, clock, 500, 5);
+    assert.strictEqual(arrivals.length, 500);
+    let overtaken = 0;
+    for (let i = 1; i < arrivals.length; i++) {
+      if (arrivals[i].id < arrivals[i - 1].id) {
+        overtaken++;
+      }
+    }
+    assert.ok(overtaken > 20, `${overtaken} overtaken`);
+    assert.ok(conditioner.stats.reordered > 20);
+  });
+
+  it('queues behind a bandwidth cap and drops past the queue limit', function () {
+    const clock = createClock();
+    const conditioner = new NetworkConditioner(
+      { defaults: { bandwidthBps: 1000, queueLimitMs: 500 } }, clock.environment
+    );
+    // Ten 100-byte messages at once: 100ms each on the wire
+    const arrivals = [];
+    for (let id = 0; id < 10; id++) {
+      conditioner.outgoing('b', message(id, 100), (peerId, data) => arrivals.push({ id: idOf(data), at: clock.time }));
+    }
+    clock.advance(2000);
+    assert.deepStrictEqual(arrivals.map(entry => entry.at), [100, 200, 300, 400, 500]);
+    assert.strictEqual(conditioner.stats.overflowed, 5);
+  });
+
+  it('applies per-peer overrides on top of the defaults', function () {
+    const clock = createClock();
+    const conditioner = new NetworkConditioner(
+      { defaults: { latencyMs: 100 }, peers: { c: { lossRate: 1 } } }, clock.environment
+    );
+    assert.deepStrictEqual(
+      [conditioner.conditionsFor('c').latencyMs, conditioner.conditionsFor('c').lossRate], [100, 1]
+    );
+    const delivered = [];
+    conditioner.outgoing('b', message(1), (peerId) => delivered.push(peerId));
+    conditioner.outgoing('c', message(2), (peerId) => delivered.push(peerId));
+    conditioner.setPeerConditions('b', { latencyMs: 400 });
+    conditioner.setPeerConditions('c', null);
+    conditioner.outgoing('b', message(3), (peerId) => delivered.push(peerId));
+    conditioner.outgoing('c', message(4), (peerId) => delivered.push(peerId));
+    clock.advance(60);
+    assert.deepStrictEqual(delivered, ['b', 'c']);
+    clock.advance(200);
+    assert.deepStrictEqual(delivered, ['b', 'c', 'b']);
+  });
+
+  it('forgets everything in flight when destroyed', function () {
+    const clock = createClock();
+    const conditioner = new NetworkConditioner({ defaults: { latencyMs: 100 } }, clock.environment);
+    const delivered = [];
+    conditioner.outgoing('b', message(1), () => delivered.push(1));
+    conditioner.destroy();
+    clock.advance(1000);
+    assert.deepStrictEqual(delivered, []);
+  });
+
+  describe('parseNetworkConditions', function () {
+    it('reads conditions and per-peer overrides from URL parameters', function () {
+      const conditions = parseNetworkConditions(
+        new URLSearchParams('latency=150&jitter=20&loss=5&dup=1&reorder=2&kbps=64&netsim.abc123.loss=30&room=x')
+      );
+      assert.deepStrictEqual(conditions, {
+        defaults: {
+          latencyMs: 150, jitterMs: 20, lossRate: 0.05, duplicateRate: 0.01, reorderRate: 0.02, bandwidthBps: 8000,
+        },
+        peers: { abc123: { lossRate: 0.3 } },
+      });
+    });
+
+    it('returns null without any simulator parameter', function () {
+      assert.strictEqual(parseNetworkConditions(new URLSearchParams('room=x&latency=abc&loss=-1')), null);
+    });
+  });
+
+  describe('ConditionedTransport', function () {
+    it('conditions both directions and passes everything else through', function () {
+      const clock = createClock();
+      const sent = [];
+      let deliverToUs = null;
+      const inner = {
+        send: (peerId, data) => sent.push({ peerId, id: idOf(data), at: clock.time }),
+        onReceive: (callback) => {
+          deliverToUs = callback;
+        },
+        isConnected: peerId => peerId === 'b',
+        getConnectionInfo: () => ({ b: { type: 'p2p', connected: true } }),
+        destroy: () => sent.push('destroyed'),
+      };
+      const transport = new ConditionedTransport(
+        inner, new NetworkConditioner({ defaults: { latencyMs: 60 } }, clock.environment)
+      );
+      const received = [];
+      transport.onReceive((peerId, data) => received.push({ peerId, id: idOf(data), at: clock.time }));
+
+      transport.send('b', message(7));
+      deliverToUs('b', message(8));
+      clock.advance(100);
+      assert.deepStrictEqual(sent, [{ peerId: 'b', id: 7, at: 30 }]);
+      assert.deepStrictEqual(received, [{ peerId: 'b', id: 8, at: 30 }]);
+      assert.strictEqual(transport.isConnected('b'), true);
+      assert.deepStrictEqual(Object.keys(transport.getConnectionInfo()), ['b']);
+
+      transport.send('b', message(9));
+      transport.destroy();
+      clock.advance(100);
+      assert.deepStrictEqual(sent.slice(1), ['destroyed']);
+    });
+  });
+});
@@ -0,0 +1,106 @@
+// Unit tests for the relay's per-channel flood protection.
+// The limiter is driven with an explicit clock so bucket refills are exact.
+
+import assert from 'assert';
+import { InputEncoder, MessageType } from '../InputEncoder.js';
+import {
+  RelayLimiter, TokenBucket, DropReason, MAX_PAYLOAD_BYTES, HEARTBEAT_BYTE,
+} from '../RelayLimiter.js';
+import { GameSimulation } from '../../game/GameSimulation.js';
+import { GAME_MODE_TEAM } from '../../game/physics/constants.js';
+import { encodeSpectatorInputs, MAX_FEED_FRAMES } from '../../game/spectator/SpectatorFeed.js';
+import { ReplayOp } from '../../game/replay/ReplayFile.js';
+import { encodeStateDelta } from '../StateDelta.js';
+
+function heartbeat() {
+  return new Uint8Array([HEARTBEAT_BYTE]).buffer;
+}
+
+describe('RelayLimiter', function () {
+  describe('payload validation', function () {
+    it('forwards every legitimate message type', function () {
+      const limiter = new RelayLimiter({}, 0);
+      const messages = [
+        InputEncoder.encodeInputMessage(10, 0, [0, 1, 2, 3]),
+        InputEncoder.encodeInputAck(10, 1),
+        InputEncoder.encodeSyncRequest(7),
+        InputEncoder.encodeSyncResponse(7),
+        InputEncoder.encodeQualityReport(10, 40, 1),
+        InputEncoder.encodeQualityReply(40),
+        InputEncoder.encodeChecksumMessage(10, 0x1234),
+        InputEncoder.encodeResyncRequest(10),
+        InputEncoder.encodeInputDelayMessage(10, 4),
+        InputEncoder.encodeStateAck(10),
+        ...encodeStateDelta(10, new GameSimulation({ gameMode: GAME_MODE_TEAM, seed: 42 }).serialize()),
+        encodeSpectatorInputs(10, Array.from({ length: MAX_FEED_FRAMES }, (_, i) => (
+          { op: ReplayOp.TICK, frame: 10 + i, inputs: [1, 2, 4, 0] }
+        ))),
+        heartbeat(),
+      ];
+      for (const message of messages) {
+        assert.strictEqual(limiter.check(message, 0), null);
+      }
+      assert.strictEqual(limiter.forwarded, messages.length);
+      assert.strictEqual(limiter.droppedTotal, 0);
+    });
+
+    it('fits a full GameSimulation STATE_SYNC and STATE_DUMP under their caps', function () {
+      const sim = new GameSimulation({ gameMode: GAME_MODE_TEAM, seed: 42 });
+      const message = InputEncoder.encodeStateSyncMessage(0, sim.serialize());
+      assert.ok(message.byteLength <= MAX_PAYLOAD_BYTES[MessageType.STATE_SYNC]);
+      assert.strictEqual(new RelayLimiter({}, 0).check(message, 0), null);
+      const dump = InputEncoder.encodeStateDumpMessage(0, sim.serialize());
+      assert.ok(dump.byteLength <= MAX_PAYLOAD_BYTES[MessageType.STATE_DUMP]);
+      assert.strictEqual(new RelayLimiter({}, 0).check(dump, 0), null);
+    });
+
+    it('drops empty, unknown and oversized payloads', function () {
+      const limiter = new RelayLimiter({}, 0);
+      const oversizedAck = new Uint8Array(64);
+      oversizedAck[0] = MessageType.INPUT_ACK;
+
+      assert.strictEqual(limiter.check(new ArrayBuffer(0), 0), DropReason.MALFORMED);
+      assert.strictEqual(limiter.check(new Uint8Array([0x7E, 0, 0]).buffer, 0), DropReason.UNKNOWN_TYPE);
+      assert.strictEqual(limiter.check(oversizedAck.buffer, 0), DropReason.OVERSIZE);
+
+      assert.strictEqual(limiter.dropped[DropReason.MALFORMED], 1);
+      assert.strictEqual(limiter.dropped[DropReason.UNKNOWN_TYPE], 1);
+      assert.strictEqual(limiter.dropped[DropReason.OVERSIZE], 1);
+      assert.strictEqual(limiter.forwarded, 0);
+    });
+  });
+
+  describe('rate limits', function () {
+    it('drops packets beyond the burst and recovers as the bucket refills', function () {
+      const limiter = new RelayLimiter({ packetsPerSecond: 100, packetBurst: 10 }, 0);
+      for (let i = 0; i < 10; i++) {
+        assert.strictEqual(limiter.check(heartbeat(), 0), null);
+      }
+      assert.strictEqual(limiter.check(heartbeat(), 0), DropReason.PACKET_RATE);
+
+      // 50ms at 100/s refills 5 packets
+      for (let i = 0; i < 5; i++) {
+        assert.strictEqual(limiter.check(heartbeat(), 50), null);
+      }
+      assert.strictEqual(limiter.check(heartbeat(), 50), DropReason.PACKET_RATE);
+      assert.strictEqual(limiter.dropped[DropReason.PACKET_RATE], 2);
+    });
+
+    it('drops packets once the byte budget is spent', function () {
+      const limiter = new RelayLimiter({ bytesPerSecond: 1000, byteBurst: 24 }, 0);
+      const ack = InputEncoder.encodeInputAck(1, 0);
+      for (let i = 0; i < 4; i++) {
+        assert.strictEqual(limiter.check(ack, 0), null);
+      }
+      assert.strictEqual(limiter.check(ack, 0), DropReason.BYTE_RATE);
+      assert.strictEqual(limiter.check(ack, 6), null);
+      assert.strictEqual(limiter.forwardedBytes, 30);
+    });
+
+    it('never holds more than the burst', function () {
+      const bucket = new TokenBucket(100, 3, 0);
+      assert.strictEqual(bucket.take(3, 60000), true);
+      assert.strictEqual(bucket.take(1, 60000), false);
+    });
+  });
+});
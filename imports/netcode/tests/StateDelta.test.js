@@ -0,0 +1,174 @@
+// Unit tests for delta-compressed STATE_SYNC.
+// States come from a real GameSimulation so the packing is measured on the
+// actual Int32 layout; chunking is exercised with an incompressible state.
+
+import assert from 'assert';
+import { MessageType } from '../InputEncoder.js';
+import {
+  packState, unpackState, encodeStateDelta, decodeStateDelta, applyStateDelta,
+  StateDeltaAssembler, StateBaselines, NO_BASELINE, MAX_CHUNK_PAYLOAD,
+} from '../StateDelta.js';
+import { MAX_PAYLOAD_BYTES } from '../RelayLimiter.js';
+import { GameSimulation } from '../../game/GameSimulation.js';
+import { GAME_MODE_TEAM } from '../../game/physics/constants.js';
+import { DeterministicRNG } from '../../game/physics/mulberry32.js';
+
+function createGame() {
+  const game = new GameSimulation({ gameMode: GAME_MODE_TEAM, seed: 42 });
+  game.activatePlayer(0, 0);
+  game.activatePlayer(1, 1);
+  game.startGame();
+  return game;
+}
+
+function runFrames(game, count) {
+  for (let i = 0; i < count; i++) {
+    game.tick([(game._frame >> 3) & 0x05, 0x04, 0, 0]);
+  }
+}
+
+// Every int random: packs worse than raw, so it needs several chunks
+function noiseState(byteLength) {
+  const rng = new DeterministicRNG(7);
+  const ints = new Int32Array(byteLength / 4);
+  for (let i = 0; i < ints.length; i++) {
+    ints[i] = rng.nextInt(0x7FFFFFFF) - 0x40000000;
+  }
+  return ints.buffer;
+}
+
+function assembleAll(messages) {
+  const assembler = new StateDeltaAssembler();
+  let complete = null;
+  for (const message of messages) {
+    complete = assembler.add(decodeStateDelta(message)) || complete;
+  }
+  return complete;
+}
+
+describe('StateDelta', function () {
+  describe('packing', function () {
+    it('round-trips a full state much smaller than raw', function () {
+      const game = createGame();
+      runFrames(game, 300);
+      const state = game.serialize();
+      const packed = packState(state);
+      assert.ok(packed.length < state.byteLength / 3, `packed ${packed.length} of ${state.byteLength} bytes`);
+      assert.deepStrictEqual(new Int32Array(unpackState(packed)), new Int32Array(state));
+    });
+
+    it('packs only what changed since the baseline', function () {
+      const game = createGame();
+      runFrames(game, 300);
+      const baseline = game.serialize();
+      runFrames(game, 30);
+      const state = game.serialize();
+
+      const delta = packState(state, baseline);
+      assert.ok(delta.length < packState(state).length / 2);
+      assert.deepStrictEqual(new Int32Array(unpackState(delta, baseline)), new Int32Array(state));
+    });
+
+    it('handles extreme values', function () {
+      const state = new Int32Array([0, -1, 0x7FFFFFFF, -0x80000000, 0, 0, 5]).buffer;
+      const baseline = new Int32Array([-0x80000000, 1, -1, 0x7FFFFFFF, 0, 3, 5]).buffer;
+      assert.deepStrictEqual(new Int32Array(unpackState(packState(state, baseline), baseline)), new Int32Array(state));
+      assert.deepStrictEqual(new Int32Array(unpackState(packState(state))), new Int32Array(state));
+    });
+  });
+
+  describe('STATE_DELTA messages', function () {
+    it('sends a full sync as a single chunk under the relay cap', function () {
+      const game = createGame();
+      runFrames(game, 300);
+      const state = game.serialize();
+      const messages = encodeStateDelta(300, state);
+      assert.strictEqual(messages.length, 1);
+      assert.ok(messages[0].byteLength <= MAX_PAYLOAD_BYTES[MessageType.STATE_DELTA]);
+
+      const delta = assembleAll(messages);
+      assert.strictEqual(delta.baselineFrame, NO_BASELINE);
+      assert.deepStrictEqual(new Int32Array(applyStateDelta(delta, null)), new Int32Array(state));
+    });
+
+    it('splits a large state into chunks and reassembles them in any order', function () {
+      const state = noiseState(4096);
+      const messages = encodeStateDelta(500, state);
+      assert.ok(messages.length > 1);
+      for (const message of messages) {
+        assert.ok(message.byteLength <= MAX_PAYLOAD_BYTES[MessageType.STATE_DELTA]);
+        assert.ok(decodeStateDelta(message).payload.length <= MAX_CHUNK_PAYLOAD);
+      }
+
+      const assembler = new StateDeltaAssembler();
+      const reversed = messages.slice().reverse();
+      for (const message of reversed.slice(0, -1)) {
+        assert.strictEqual(assembler.add(decodeStateDelta(message)), null);
+      }
+      // A duplicate doesn't complete the set early
+      assert.strictEqual(assembler.add(decodeStateDelta(reversed[0])), null);
+      const delta = assembler.add(decodeStateDelta(reversed[reversed.length - 1]));
+      assert.deepStrictEqual(new Int32Array(applyStateDelta(delta, null)), new Int32Array(state));
+    });
+
+    it('drops a partial sync once a newer one starts, and ignores older chunks', function () {
+      const older = encodeStateDelta(100, noiseState(4096));
+      const newer = encodeStateDelta(160, noiseState(4096));
+      const assembler = new StateDeltaAssembler();
+      assembler.add(decodeStateDelta(older[0]));
+      assert.strictEqual(assembler.add(decodeStateDelta(newer[0])), null);
+      for (const message of older.slice(1)) {
+        assert.strictEqual(assembler.add(decodeStateDelta(message)), null);
+      }
+      let delta = null;
+      for (const message of newer.slice(1)) {
+        delta = assembler.add(decodeStateDelta(message));
+      }
+      assert.strictEqual(delta.frame, 160);
+    });
+
+    it('refuses a delta without the right baseline', function () {
+      const game = createGame();
+      runFrames(game, 120);
+      const baseline = game.serialize();
+      runFrames(game, 60);
+      const otherBaseline = game.serialize();
+      runFrames(game, 60);
+      const state = game.serialize();
+
+      const delta = assembleAll(encodeStateDelta(240, state, { frame: 120, state: baseline }));
+      assert.strictEqual(delta.baselineFrame, 120);
+      assert.strictEqual(applyStateDelta(delta, null), null);
+      assert.strictEqual(applyStateDelta(delta, otherBaseline), null);
+      assert.deepStrictEqual(new Int32Array(applyStateDelta(delta, baseline)), new Int32Array(state));
+    });
+  });
+
+  describe('StateBaselines', function () {
+    it('bases syncs on the newest frame a peer acknowledged', function () {
+      const baselines = new StateBaselines();
+      const states = [new ArrayBuffer(8), new ArrayBuffer(8)];
+      baselines.remember(100, states[0]);
+      baselines.remember(200, states[1]);
+      assert.strictEqual(baselines.baselineFor('peer-b'), null);
+
+      baselines.ack('peer-b', 200);
+      baselines.ack('peer-b', 100); // late ack for an older sync
+      assert.deepStrictEqual(baselines.baselineFor('peer-b'), { frame: 200, state: states[1] });
+
+      baselines.forget('peer-b');
+      assert.strictEqual(baselines.baselineFor('peer-b'), null);
+    });
+
+    it('falls back to a full sync once the acknowledged state is gone', function () {
+      const baselines = new StateBaselines();
+      baselines.remember(0, new ArrayBuffer(8));
+      baselines.ack('peer-b', 0);
+      for (let frame = 60; frame <= 600; frame += 60) {
+        baselines.remember(frame, new ArrayBuffer(8));
+      }
+      assert.strictEqual(baselines.get(0), null);
+      assert.strictEqual(baselines.baselineFor('peer-b'), null);
+    });
+  });
+});
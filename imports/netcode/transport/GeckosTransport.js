@@ -2,6 +2,7 @@
 // Same interface as PeerJSTransport — rollback engine doesn't know the difference
 // Messages are routed through the server to the target peer
 // Message format: [targetPeerId(16B), payload] — server strips peerId and routes
+// The server only accepts a channel that presents a relay token (rooms.relayToken)
 
 import { Transport } from './Transport.js';
 
@@ -19,11 +20,11 @@ export class GeckosTransport extends Transport {
     this.lastHeartbeat = new Map(); // peerId -> timestamp
     this.heartbeatInterval = null;
     this.serverUrl = null;
-    this.simulatedLatencyMs = 0; // artificial one-way latency for testing
   }
 
   // Connect to the geckos.io server relay
-  async initialize(serverUrl, roomId, userId) {
+  // relayToken: short-lived token from rooms.relayToken naming our room and peer ID
+  async initialize(serverUrl, relayToken) {
     const geckos = (await import('@geckos.io/client')).default;
 
     this.serverUrl = serverUrl;
@@ -32,7 +33,7 @@ export class GeckosTransport extends Transport {
       this.channel = geckos({
         url: serverUrl,
         port: null, // uses the HTTP server port
-        authorization: JSON.stringify({ roomId, userId }),
+        authorization: relayToken,
       });
 
       this.channel.onConnect((error) => {
@@ -55,7 +56,7 @@ export class GeckosTransport extends Transport {
 
         // Extract sender peer ID from header
         const headerView = new Uint8Array(data, 0, PEER_ID_LENGTH);
-        const senderPeerId = this._decodePeerId(headerView);
+        const senderPeerId = this._resolvePeerId(this._decodePeerId(headerView));
 
         // Extract payload
         const payload = data.slice(PEER_ID_LENGTH);
@@ -73,12 +74,7 @@ export class GeckosTransport extends Transport {
         this.lastHeartbeat.set(senderPeerId, Date.now());
 
         if (this.receiveCallback) {
-          if (this.simulatedLatencyMs > 0) {
-            const delay = this.simulatedLatencyMs / 2;
-            setTimeout(() => this.receiveCallback(senderPeerId, payload), delay);
-          } else {
-            this.receiveCallback(senderPeerId, payload);
-          }
+          this.receiveCallback(senderPeerId, payload);
         }
       });
 
@@ -101,12 +97,7 @@ export class GeckosTransport extends Transport {
     messageView.set(peerIdBytes, 0);
     messageView.set(new Uint8Array(data), PEER_ID_LENGTH);
 
-    if (this.simulatedLatencyMs > 0) {
-      const delay = this.simulatedLatencyMs / 2;
-      setTimeout(() => this.channel.raw.emit(message), delay);
-    } else {
-      this.channel.raw.emit(message);
-    }
+    this.channel.raw.emit(message);
   }
 
   onReceive(callback) {
@@ -183,6 +174,18 @@ export class GeckosTransport extends Transport {
     return bytes;
   }
 
+  // Header IDs are cut to PEER_ID_LENGTH bytes; map one back to the full
+  // peer ID we connected to so callers see the same ID as over P2P
+  _resolvePeerId(headerPeerId) {
+    let resolved = headerPeerId;
+    for (const peerId of this.connectedPeers) {
+      if (this._decodePeerId(this._encodePeerId(peerId)) === headerPeerId) {
+        resolved = peerId;
+      }
+    }
+    return resolved;
+  }
+
   // Decode fixed-length bytes back into a peer ID string
   _decodePeerId(bytes) {
     let str = '';
@@ -0,0 +1,228 @@
+// NetworkConditioner — Simulated bad connections for local testing
+// Applies latency, jitter, packet loss, duplication, reordering and a
+// bandwidth cap to messages on their way out and on their way in, so two
+// browser tabs on one machine behave like players on a poor link.
+// TransportManager runs its data path through one when the URL asks for it
+// (parseNetworkConditions); ConditionedTransport wraps any other Transport,
+// which is how tests use it.
+//
+// Conditions describe the link as seen from this client:
+//   latencyMs      — added round trip, split evenly between the two directions
+//   jitterMs       — each message's delay varies by up to ± this much
+//   lossRate       — chance (0-1) a message is dropped, per direction
+//   duplicateRate  — chance a message is delivered twice
+//   reorderRate    — chance a message is held back reorderDelayMs so later ones overtake it
+//   bandwidthBps   — bytes per second per direction (0 = unlimited); messages
+//                    queue behind each other and are dropped once the queue
+//                    is more than queueLimitMs deep
+// Without reordering, messages to one peer arrive in the order they were sent.
+
+import { Transport } from './Transport.js';
+
+export const DEFAULT_CONDITIONS = {
+  latencyMs: 0,
+  jitterMs: 0,
+  lossRate: 0,
+  duplicateRate: 0,
+  reorderRate: 0,
+  reorderDelayMs: 40,
+  bandwidthBps: 0,
+  queueLimitMs: 500,
+};
+
+// URL parameter -> [condition, scale]; rates are given in percent
+const URL_PARAMS = {
+  latency: ['latencyMs', 1],
+  jitter: ['jitterMs', 1],
+  loss: ['lossRate', 0.01],
+  dup: ['duplicateRate', 0.01],
+  reorder: ['reorderRate', 0.01],
+  kbps: ['bandwidthBps', 1000 / 8],
+};
+
+/**
+ * Read simulated network conditions from URL parameters, e.g.
+ * `?latency=150&jitter=20&loss=5&dup=1&reorder=2&kbps=64`. A `netsim.<peerId>`
+ * prefix (`?netsim.abc123.loss=30`) applies a value to one peer only.
+ * @param {URLSearchParams} searchParams
+ * @returns {{ defaults: object, peers: object }|null} null when no parameter is set
+ */
+export function parseNetworkConditions(searchParams) {
+  const defaults = {};
+  const peers = {};
+  let found = false;
+  for (const [key, text] of searchParams) {
+    const parts = key.split('.');
+    const name = parts[parts.length - 1];
+    const value = parseFloat(text);
+    const isPeerParam = parts.length === 3 && parts[0] === 'netsim';
+    if (URL_PARAMS[name] && Number.isFinite(value) && value >= 0 && (parts.length === 1 || isPeerParam)) {
+      const [condition, scale] = URL_PARAMS[name];
+      let target = defaults;
+      if (isPeerParam) {
+        peers[parts[1]] = peers[parts[1]] || {};
+        target = peers[parts[1]];
+      }
+      target[condition] = value * scale;
+      found = true;
+    }
+  }
+  return found ? { defaults, peers } : null;
+}
+
+export class NetworkConditioner {
+  /**
+   * @param {{ defaults?: object, peers?: object }} [conditions] - partial
+   *   DEFAULT_CONDITIONS for every peer, plus overrides keyed by peerId
+   * @param {{ random?: function, now?: function, setTimeout?: function,
+   *   clearTimeout?: function }} [environment] - injectable for tests
+   */
+  constructor({ defaults = {}, peers = {} } = {}, environment = {}) {
+    this.defaults = { ...DEFAULT_CONDITIONS, ...defaults };
+    this._peerConditions = new Map(Object.entries(peers));
+    this._random = environment.random || Math.random;
+    this._now = environment.now || (() => Date.now());
+    this._setTimeout = environment.setTimeout || ((fn, ms) => setTimeout(fn, ms));
+    this._clearTimeout = environment.clearTimeout || (handle => clearTimeout(handle));
+
+    this._lanes = new Map(); // `${direction}:${peerId}` -> { busyUntil, lastDelivery }
+    this._timers = new Set();
+    this.stats = { delivered: 0, lost: 0, duplicated: 0, reordered: 0, overflowed: 0 };
+  }
+
+  /** Conditions in effect for one peer (defaults plus its overrides). */
+  conditionsFor(peerId) {
+    return { ...this.defaults, ...this._peerConditions.get(peerId) };
+  }
+
+  /** Override some conditions for one peer; null clears its overrides. */
+  setPeerConditions(peerId, conditions) {
+    if (conditions) {
+      this._peerConditions.set(peerId, { ...this._peerConditions.get(peerId), ...conditions });
+    } else {
+      this._peerConditions.delete(peerId);
+    }
+  }
+
+  /** Condition a message we send; deliver(peerId, data) puts it on the wire. */
+  outgoing(peerId, data, deliver) {
+    this._condition('out', peerId, data, deliver);
+  }
+
+  /** Condition a message we received; deliver(peerId, data) hands it on. */
+  incoming(peerId, data, deliver) {
+    this._condition('in', peerId, data, deliver);
+  }
+
+  /** Drop everything still in flight. */
+  destroy() {
+    for (const handle of this._timers) {
+      this._clearTimeout(handle);
+    }
+    this._timers.clear();
+    this._lanes.clear();
+  }
+
+  // --- Private ---
+
+  _condition(direction, peerId, data, deliver) {
+    const conditions = this.conditionsFor(peerId);
+    const laneKey = `${direction}:${peerId}`;
+    if (!this._lanes.has(laneKey)) {
+      this._lanes.set(laneKey, { busyUntil: 0, lastDelivery: 0 });
+    }
+    const lane = this._lanes.get(laneKey);
+    const now = this._now();
+
+    // Bandwidth: the message leaves once everything queued before it has
+    let departure = now;
+    if (conditions.bandwidthBps > 0) {
+      departure = Math.max(now, lane.busyUntil) + (data.byteLength * 1000) / conditions.bandwidthBps;
+    }
+
+    if (departure - now > conditions.queueLimitMs) {
+      this.stats.overflowed++;
+    } else if (this._random() < conditions.lossRate) {
+      lane.busyUntil = departure;
+      this.stats.lost++;
+    } else {
+      lane.busyUntil = departure;
+      const copies = this._random() < conditions.duplicateRate ? 2 : 1;
+      if (copies === 2) {
+        this.stats.duplicated++;
+      }
+      for (let copy = 0; copy < copies; copy++) {
+        this._schedule(lane, conditions, departure, now, () => deliver(peerId, data));
+      }
+    }
+  }
+
+  _schedule(lane, conditions, departure, now, deliver) {
+    const jitter = (this._random() * 2 - 1) * conditions.jitterMs;
+    let arrival = departure + Math.max(0, conditions.latencyMs / 2 + jitter);
+    if (this._random() < conditions.reorderRate) {
+      // Held back without holding up the messages behind it
+      arrival = Math.max(arrival, lane.lastDelivery) + conditions.reorderDelayMs;
+      this.stats.reordered++;
+    } else {
+      arrival = Math.max(arrival, lane.lastDelivery);
+      lane.lastDelivery = arrival;
+    }
+
+    const handle = this._setTimeout(() => {
+      this._timers.delete(handle);
+      this.stats.delivered++;
+      deliver();
+    }, arrival - now);
+    this._timers.add(handle);
+  }
+}
+
+/**
+ * A Transport whose traffic goes through a NetworkConditioner. Everything
+ * other than sending and receiving is passed straight to the wrapped transport.
+ */
+export class ConditionedTransport extends Transport {
+  /**
+   * @param {Transport} inner
+   * @param {NetworkConditioner} conditioner
+   */
+  constructor(inner, conditioner) {
+    super();
+    this.inner = inner;
+    this.conditioner = conditioner;
+  }
+
+  send(peerId, data) {
+    this.conditioner.outgoing(peerId, data, (to, message) => this.inner.send(to, message));
+  }
+
+  onReceive(callback) {
+    this.inner.onReceive((peerId, data) => this.conditioner.incoming(peerId, data, callback));
+  }
+
+  connect(peerId) {
+    this.inner.connect(peerId);
+  }
+
+  disconnect(peerId) {
+    this.inner.disconnect(peerId);
+  }
+
+  getStats(peerId) {
+    return this.inner.getStats(peerId);
+  }
+
+  isConnected(peerId) {
+    return this.inner.isConnected(peerId);
+  }
+
+  getConnectionInfo() {
+    return this.inner.getConnectionInfo ? this.inner.getConnectionInfo() : {};
+  }
+
+  destroy() {
+    this.conditioner.destroy();
+    this.inner.destroy();
+  }
+}
@@ -20,7 +20,6 @@ export class PeerJSTransport extends Transport {
     this.lastHeartbeat = new Map(); // peerId -> timestamp
     this.heartbeatInterval = null;
     this.localPeerId = null;
-    this.simulatedLatencyMs = 0; // artificial one-way latency for testing
   }
 
   // Initialize PeerJS with a specific ID (or let it auto-generate)
@@ -58,12 +57,7 @@ export class PeerJSTransport extends Transport {
   send(peerId, data) {
     const connection = this.connections.get(peerId);
     if (connection && connection.open) {
-      if (this.simulatedLatencyMs > 0) {
-        const delay = this.simulatedLatencyMs / 2;
-        setTimeout(() => connection.send(data), delay);
-      } else {
-        connection.send(data);
-      }
+      connection.send(data);
     }
   }
 
@@ -200,12 +194,7 @@ export class PeerJSTransport extends Transport {
       this.lastHeartbeat.set(peerId, Date.now());
 
       if (this.receiveCallback && data instanceof ArrayBuffer) {
-        if (this.simulatedLatencyMs > 0) {
-          const delay = this.simulatedLatencyMs / 2;
-          setTimeout(() => this.receiveCallback(peerId, data), delay);
-        } else {
-          this.receiveCallback(peerId, data);
-        }
+        this.receiveCallback(peerId, data);
       }
     });
 
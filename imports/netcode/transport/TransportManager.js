@@ -4,6 +4,7 @@
 
 import { PeerJSTransport } from './PeerJSTransport.js';
 import { GeckosTransport } from './GeckosTransport.js';
+import { NetworkConditioner } from './NetworkConditioner.js';
 
 const P2P_TIMEOUT = 3000; // 3 seconds to establish P2P before falling back
 
@@ -28,6 +29,8 @@ export class TransportManager {
     this.serverUrl = null;
     this.roomId = null;
     this.userId = null;
+    this._getRelayToken = null; // async () => relay token, fetched when the relay is first needed
+    this.conditioner = null; // NetworkConditioner when simulating a bad connection
 
     // Wire up P2P fallback
     this.p2pTransport.onFallbackNeeded = (peerId) => {
@@ -50,24 +53,24 @@ export class TransportManager {
 
     // Wire up P2P receive handler
     this.p2pTransport.onReceive((peerId, data) => {
-      if (this.receiveCallback) {
-        this.receiveCallback(peerId, data);
-      }
+      this._receive(peerId, data);
     });
   }
 
   // Initialize the transport manager
   // Returns the local PeerJS ID for sharing with other players
+  // options.getRelayToken: async () => token from rooms.relayToken (required for relay fallback)
+  // options.networkConditions: NetworkConditioner conditions to simulate a bad
+  //   connection on both transports (see parseNetworkConditions)
   async initialize(serverUrl, roomId, userId, options = {}) {
     this.serverUrl = serverUrl;
     this.roomId = roomId;
     this.userId = userId;
+    this._getRelayToken = options.getRelayToken || null;
 
-    // Apply simulated latency to transports if specified
-    if (options.simulatedLatencyMs > 0) {
-      this.p2pTransport.simulatedLatencyMs = options.simulatedLatencyMs;
+    if (options.networkConditions) {
+      this.conditioner = new NetworkConditioner(options.networkConditions);
     }
-    this._simulatedLatencyMs = options.simulatedLatencyMs || 0;
 
     const localPeerId = await this.p2pTransport.initialize();
     return localPeerId;
@@ -75,12 +78,10 @@ export class TransportManager {
 
   // Send data to a specific peer, using whichever transport is active for them
   send(peerId, data) {
-    const transportType = this.peerTransports.get(peerId);
-
-    if (transportType === 'relay' && this.relayTransport) {
-      this.relayTransport.send(peerId, data);
-    } else if (transportType === 'p2p') {
-      this.p2pTransport.send(peerId, data);
+    if (this.conditioner) {
+      this.conditioner.outgoing(peerId, data, (to, message) => this._sendNow(to, message));
+    } else {
+      this._sendNow(peerId, data);
     }
   }
 
@@ -170,6 +171,9 @@ export class TransportManager {
     if (this.relayTransport) {
       this.relayTransport.destroy();
     }
+    if (this.conditioner) {
+      this.conditioner.destroy();
+    }
 
     this.peerTransports.clear();
     this.connectedPeers.clear();
@@ -178,6 +182,30 @@ export class TransportManager {
 
   // --- Private ---
 
+  _sendNow(peerId, data) {
+    const transportType = this.peerTransports.get(peerId);
+
+    if (transportType === 'relay' && this.relayTransport) {
+      this.relayTransport.send(peerId, data);
+    } else if (transportType === 'p2p') {
+      this.p2pTransport.send(peerId, data);
+    }
+  }
+
+  _receive(peerId, data) {
+    if (this.conditioner) {
+      this.conditioner.incoming(peerId, data, (from, message) => this._deliver(from, message));
+    } else {
+      this._deliver(peerId, data);
+    }
+  }
+
+  _deliver(peerId, data) {
+    if (this.receiveCallback) {
+      this.receiveCallback(peerId, data);
+    }
+  }
+
   _connectToPeer(peerId) {
     // Try P2P first
     this.p2pTransport.connect(peerId);
@@ -227,22 +255,24 @@ export class TransportManager {
     // Initialize relay transport if not yet done
     if (!this.relayTransport) {
       this.relayTransport = new GeckosTransport();
-      if (this._simulatedLatencyMs > 0) {
-        this.relayTransport.simulatedLatencyMs = this._simulatedLatencyMs;
-      }
 
       try {
-        await this.relayTransport.initialize(this.serverUrl, this.roomId, this.userId);
+        if (!this._getRelayToken) {
+          throw new Error('No relay token provider');
+        }
+        const relayToken = await this._getRelayToken();
+        await this.relayTransport.initialize(this.serverUrl, relayToken);
       } catch (err) {
         console.error('[TransportManager] Failed to initialize relay transport:', err);
+        // Drop it so the next fallback retries with a fresh token
+        this.relayTransport.destroy();
+        this.relayTransport = null;
         return;
       }
 
       // Wire up relay receive handler
       this.relayTransport.onReceive((fromPeerId, data) => {
-        if (this.receiveCallback) {
-          this.receiveCallback(fromPeerId, data);
-        }
+        this._receive(fromPeerId, data);
       });
     }
 
@@ -17,7 +17,7 @@ export const MainLayout = {
           isLoggingIn ? 
             m('span', 'Loading...') :
           user ? [
-            m('span.username', user.username || 'User'),
+            m('a.username[href=/profile]', { oncreate: m.route.link }, user.username || 'User'),
             m('a', { href: hubUrl }, 'Hub'),
             m('button.outline.secondary', {
               onclick() {
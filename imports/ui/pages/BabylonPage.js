@@ -1,5 +1,8 @@
 // BabylonPage — Mithril component that owns the Babylon Engine, render loop,
 // canvas resize, and AudioManager. Orchestrates scene transitions.
+// With a `roomId` attr (route /room/:roomId) it skips the main menu and enters
+// a private lobby room's game that the host has started. With a
+// `spectateRoomId` attr (route /watch/:roomId) it watches a live room instead.
 
 import m from 'mithril';
 import { Engine } from '@babylonjs/core/Engines/engine';
@@ -7,7 +10,11 @@ import { Scene } from '@babylonjs/core/scene';
 import { AudioManager } from '../../game/audio/AudioManager.js';
 import { MainMenuScene } from '../../game/scenes/MainMenuScene.js';
 import { Level1Scene } from '../../game/scenes/Level1Scene.js';
+import { ArenaEditorScene } from '../../game/scenes/ArenaEditorScene.js';
 import { MultiplayerManager } from '../../game/MultiplayerManager.js';
+import { SpectatorManager } from '../../game/spectator/SpectatorManager.js';
+import { ReplayPlayer } from '../../game/replay/ReplayPlayer.js';
+import { ReplayOp } from '../../game/replay/ReplayFile.js';
 
 const ASPECT = 16 / 9;
 
@@ -19,7 +26,11 @@ export const BabylonPage = {
     this.audioManager = null;
     this._currentScene = null;
     this._multiplayerManager = null;
+    this._spectatorManager = null;
+    this._replayPlayer = null;
     this._resizeHandler = null;
+    this._dragOverHandler = null;
+    this._dropHandler = null;
     this._alreadyPlayingOverlay = null;
     this._paletteIndex = parseInt(localStorage.getItem('talon-lance:paletteIndex'), 10) || 0;
   },
@@ -45,9 +56,29 @@ export const BabylonPage = {
     window.addEventListener('resize', this._resizeHandler);
     this._resizeCanvas();
 
-    // Boot AudioManager then show main menu
+    // Dropping a replay file onto the game starts playback
+    this._dragOverHandler = (event) => {
+      event.preventDefault();
+    };
+    this._dropHandler = (event) => {
+      event.preventDefault();
+      const file = event.dataTransfer?.files?.[0];
+      if (file) {
+        file.arrayBuffer().then((buffer) => this._startReplay(buffer));
+      }
+    };
+    this.canvas.addEventListener('dragover', this._dragOverHandler);
+    this.canvas.addEventListener('drop', this._dropHandler);
+
+    // Boot AudioManager then show main menu (or go straight into a lobby game)
     this.audioManager = new AudioManager();
-    this._bootMainMenu();
+    if (vnode.attrs.roomId) {
+      this._bootLobbyGame(vnode.attrs.roomId);
+    } else if (vnode.attrs.spectateRoomId) {
+      this._bootSpectator(vnode.attrs.spectateRoomId, vnode.attrs.spectateCode);
+    } else {
+      this._bootMainMenu();
+    }
   },
 
   onremove() {
@@ -55,11 +86,15 @@ export const BabylonPage = {
       window.removeEventListener('resize', this._resizeHandler);
       this._resizeHandler = null;
     }
-    this._dismissAlreadyPlayingDialog();
-    if (this._multiplayerManager) {
-      this._multiplayerManager.destroy();
-      this._multiplayerManager = null;
+    if (this._dropHandler) {
+      this.canvas.removeEventListener('dragover', this._dragOverHandler);
+      this.canvas.removeEventListener('drop', this._dropHandler);
+      this._dragOverHandler = null;
+      this._dropHandler = null;
     }
+    this._dismissAlreadyPlayingDialog();
+    this._cleanupReplay();
+    this._cleanupMultiplayer();
     if (this._currentScene) {
       this._currentScene.dispose();
       this._currentScene = null;
@@ -93,14 +128,106 @@ export const BabylonPage = {
     this._transitionTo(new MainMenuScene({
       audioManager: this.audioManager,
       paletteIndex: this._paletteIndex,
-      onPlay: (paletteIndex, gameMode) => {
+      onPlay: (paletteIndex, gameMode, options) => {
         this._paletteIndex = paletteIndex;
-        this._startLevel(paletteIndex, gameMode);
+        this._startLevel(paletteIndex, gameMode, options);
+      },
+      onPrivateGame: () => {
+        m.route.set('/lobby');
+      },
+      onArenaEditor: () => {
+        this._openArenaEditor();
+      },
+      onProfile: () => {
+        m.route.set('/profile');
+      },
+    }));
+  },
+
+  _openArenaEditor() {
+    this._transitionTo(new ArenaEditorScene({
+      audioManager: this.audioManager,
+      paletteIndex: this._paletteIndex,
+      onQuitToMenu: () => {
+        this._bootMainMenu();
       },
     }));
   },
 
-  _startLevel(paletteIndex, gameMode) {
+  async _bootLobbyGame(roomId) {
+    await this.audioManager.init();
+    const returnToMenu = () => {
+      this._cleanupMultiplayer();
+      m.route.set('/');
+    };
+    const levelScene = new Level1Scene({
+      audioManager: this.audioManager,
+      paletteIndex: this._paletteIndex,
+      onQuitToMenu: returnToMenu,
+      rendererOnly: true,
+      onSaveReplay: () => this._multiplayerManager?.downloadReplay(),
+      getNetDiagnostics: () => this._multiplayerManager?.getNetDiagnostics() ?? null,
+      onRematch: () => this._multiplayerManager?.requestRematch(),
+      getPersonalBest: () => this._multiplayerManager?.getPreviousBest() ?? null,
+      getUnrankedReason: () => this._multiplayerManager?.getUnrankedReason() ?? null,
+    });
+    this._transitionTo(levelScene);
+
+    this._multiplayerManager = new MultiplayerManager({
+      roomId,
+      paletteIndex: this._paletteIndex,
+      localCoop: localStorage.getItem('talon-lance:localCoop') === '1',
+      renderer: levelScene,
+      scene: this.scene,
+      engine: this.engine,
+      canvas: this.canvas,
+      onQuitToMenu: returnToMenu,
+      onGameOver: async () => {
+        if (this._multiplayerManager) {
+          await this._multiplayerManager.submitScore();
+        }
+      },
+    });
+
+    try {
+      await this._multiplayerManager.start();
+    } catch (err) {
+      console.error('[BabylonPage] Failed to enter lobby game:', err);
+      this._cleanupMultiplayer();
+      m.route.set('/lobby');
+    }
+  },
+
+  async _bootSpectator(roomId, joinCode) {
+    await this.audioManager.init();
+    const returnToLobby = () => {
+      this._cleanupMultiplayer();
+      m.route.set('/lobby');
+    };
+    const levelScene = new Level1Scene({
+      audioManager: this.audioManager,
+      paletteIndex: this._paletteIndex,
+      onQuitToMenu: returnToLobby,
+      rendererOnly: true,
+    });
+    this._transitionTo(levelScene);
+
+    this._spectatorManager = new SpectatorManager({
+      roomId,
+      joinCode,
+      renderer: levelScene,
+      onQuitToMenu: returnToLobby,
+    });
+
+    try {
+      await this._spectatorManager.start();
+    } catch (err) {
+      console.error('[BabylonPage] Failed to spectate room:', err);
+      returnToLobby();
+    }
+  },
+
+  _startLevel(paletteIndex, gameMode, { localCoop = false } = {}) {
     const levelScene = new Level1Scene({
       audioManager: this.audioManager,
       paletteIndex,
@@ -109,20 +236,36 @@ export const BabylonPage = {
         this._bootMainMenu();
       },
       rendererOnly: !!gameMode,
+      onSaveReplay: gameMode
+        ? () => this._multiplayerManager?.downloadReplay()
+        : null,
+      getNetDiagnostics: gameMode
+        ? () => this._multiplayerManager?.getNetDiagnostics() ?? null
+        : null,
+      onRematch: gameMode
+        ? () => this._multiplayerManager?.requestRematch()
+        : null,
+      getPersonalBest: gameMode
+        ? () => this._multiplayerManager?.getPreviousBest() ?? null
+        : null,
+      getUnrankedReason: gameMode
+        ? () => this._multiplayerManager?.getUnrankedReason() ?? null
+        : null,
     });
 
     this._transitionTo(levelScene);
 
     // Start multiplayer manager if we have a game mode and user is logged in
     if (gameMode) {
-      this._startMultiplayer(gameMode, paletteIndex, levelScene);
+      this._startMultiplayer(gameMode, paletteIndex, levelScene, localCoop);
     }
   },
 
-  async _startMultiplayer(gameMode, paletteIndex, renderer) {
+  async _startMultiplayer(gameMode, paletteIndex, renderer, localCoop) {
     this._multiplayerManager = new MultiplayerManager({
       gameMode,
       paletteIndex,
+      localCoop,
       renderer,
       scene: this.scene,
       engine: this.engine,
@@ -145,7 +288,7 @@ export const BabylonPage = {
         // Clean up the not-yet-started manager before showing dialog
         this._multiplayerManager.destroy();
         this._multiplayerManager = null;
-        this._showAlreadyPlayingDialog(gameMode, paletteIndex, renderer);
+        this._showAlreadyPlayingDialog(gameMode, paletteIndex, renderer, localCoop);
       } else {
         console.error('[BabylonPage] Failed to start multiplayer:', err);
         // Fall back to solo play — Level1Scene already handles its own game loop
@@ -153,7 +296,7 @@ export const BabylonPage = {
     }
   },
 
-  _showAlreadyPlayingDialog(gameMode, paletteIndex, renderer) {
+  _showAlreadyPlayingDialog(gameMode, paletteIndex, renderer, localCoop) {
     if (!this.scene) {
       return;
     }
@@ -210,7 +353,7 @@ export const BabylonPage = {
         takeoverBtn.paddingTop = '10px';
         takeoverBtn.onPointerUpObservable.add(() => {
           this._dismissAlreadyPlayingDialog();
-          this._takeoverAndPlay(gameMode, paletteIndex, renderer);
+          this._takeoverAndPlay(gameMode, paletteIndex, renderer, localCoop);
         });
         panel.addControl(takeoverBtn);
 
@@ -241,10 +384,11 @@ export const BabylonPage = {
     }
   },
 
-  async _takeoverAndPlay(gameMode, paletteIndex, renderer) {
+  async _takeoverAndPlay(gameMode, paletteIndex, renderer, localCoop) {
     this._multiplayerManager = new MultiplayerManager({
       gameMode,
       paletteIndex,
+      localCoop,
       renderer,
       scene: this.scene,
       engine: this.engine,
@@ -273,11 +417,55 @@ export const BabylonPage = {
       this._multiplayerManager.destroy();
       this._multiplayerManager = null;
     }
+    if (this._spectatorManager) {
+      this._spectatorManager.destroy();
+      this._spectatorManager = null;
+    }
+  },
+
+  _startReplay(buffer) {
+    let replayPlayer = null;
+    try {
+      replayPlayer = new ReplayPlayer({ replay: buffer });
+    } catch (err) {
+      console.error('[BabylonPage] Invalid replay file:', err.message);
+    }
+
+    if (replayPlayer) {
+      const levelScene = new Level1Scene({
+        audioManager: this.audioManager,
+        paletteIndex: this._paletteIndex,
+        onQuitToMenu: () => {
+          this._cleanupReplay();
+          this._bootMainMenu();
+        },
+        rendererOnly: true,
+      });
+      this._transitionTo(levelScene);
+
+      // Follow whoever started the recording for HUD + banners
+      const firstActivation = replayPlayer.replay.ops.find(entry => entry.op === ReplayOp.ACTIVATE);
+      levelScene._localPlayerSlot = firstActivation ? firstActivation.slot : 0;
+      levelScene.setEnvironmentSeed((replayPlayer.replay.seed ^ 0xA5A5A5A5) >>> 0);
+
+      replayPlayer.renderer = levelScene;
+      replayPlayer.attachControls(this.scene);
+      replayPlayer.start();
+      this._replayPlayer = replayPlayer;
+    }
+  },
+
+  _cleanupReplay() {
+    if (this._replayPlayer) {
+      this._replayPlayer.destroy();
+      this._replayPlayer = null;
+    }
   },
 
   _transitionTo(sceneInstance) {
-    // Clean up multiplayer
+    // Clean up multiplayer and any replay in progress
     this._cleanupMultiplayer();
+    this._cleanupReplay();
 
     // Dispose old scene content
     if (this._currentScene) {
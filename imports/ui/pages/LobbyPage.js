@@ -0,0 +1,440 @@
+// LobbyPage — Pre-game lobby for private rooms.
+// Create a room with custom settings or join one by code, share the code,
+// toggle ready, and (as host) start. Once the room leaves WAITING every
+// player is sent to /room/:roomId, where BabylonPage enters the game.
+
+import m from 'mithril';
+import { Meteor } from 'meteor/meteor';
+import { Tracker } from 'meteor/tracker';
+import {
+  GameRooms, RoomStatus, GameMode, DEFAULT_SETTINGS, MAPS, SETTINGS_LIMITS,
+} from '../../lib/collections/gameRooms.js';
+import { KNIGHT_PALETTES } from '../../game/voxels/models/knightPalettes.js';
+import { getArena } from '../../game/arenas/index.js';
+import { RequireAuth } from '../components/RequireAuth.js';
+
+const HEARTBEAT_MS = 2 * 60 * 1000;
+
+// Room settings botLevel 1-3 (BOT_EASY..BOT_HARD in imports/game/BotAI.js)
+const BOT_LEVEL_NAMES = ['Easy', 'Normal', 'Hard'];
+
+function rangeOptions(name) {
+  const { min, max } = SETTINGS_LIMITS[name];
+  const options = [];
+  for (let value = min; value <= max; value++) {
+    options.push(m('option', { value }, value));
+  }
+  return options;
+}
+
+const LobbyContent = {
+  oninit(vnode) {
+    const storedPalette = parseInt(localStorage.getItem('talon-lance:paletteIndex'), 10) || 0;
+    vnode.state.form = {
+      gameMode: GameMode.TEAM_PLAY,
+      paletteIndex: storedPalette,
+      lives: DEFAULT_SETTINGS.lives,
+      npcBuzzards: DEFAULT_SETTINGS.npcBuzzards,
+      map: DEFAULT_SETTINGS.map,
+      bots: DEFAULT_SETTINGS.bots,
+      botLevel: DEFAULT_SETTINGS.botLevel,
+      sharedLives: DEFAULT_SETTINGS.sharedLives,
+      friendlyFire: DEFAULT_SETTINGS.friendlyFire,
+      newEnemies: DEFAULT_SETTINGS.newEnemies,
+      maxPlayers: SETTINGS_LIMITS.maxPlayers.max,
+    };
+    vnode.state.localCoop = localStorage.getItem('talon-lance:localCoop') === '1';
+    vnode.state.codeInput = vnode.attrs.code || '';
+    vnode.state.roomId = null;
+    vnode.state.room = null;
+    vnode.state.busy = false;
+    vnode.state.error = null;
+    vnode.state.watchableRoomId = null; // full or started room the last join attempt hit
+    vnode.state.watchableCode = null; // and the code it was tried with, to watch a private room
+    vnode.state.copied = false;
+    vnode.state.enteringGame = false;
+    vnode.state.subscription = null;
+    vnode.state.computation = null;
+    vnode.state.heartbeat = null;
+  },
+
+  oncreate(vnode) {
+    // Opening a share link joins straight away
+    if (vnode.attrs.code) {
+      LobbyContent.joinByCode(vnode);
+    }
+  },
+
+  onremove(vnode) {
+    LobbyContent.stopWatching(vnode);
+    if (vnode.state.roomId && !vnode.state.enteringGame) {
+      Meteor.callAsync('rooms.leave', vnode.state.roomId).catch(() => {});
+    }
+  },
+
+  async createRoom(vnode) {
+    const { form } = vnode.state;
+    await LobbyContent.run(vnode, async () => {
+      localStorage.setItem('talon-lance:paletteIndex', form.paletteIndex);
+      const result = await Meteor.callAsync('rooms.create', form.gameMode, form.paletteIndex, {
+        lives: form.lives,
+        npcBuzzards: form.npcBuzzards,
+        map: form.map,
+        bots: form.bots,
+        botLevel: form.botLevel,
+        sharedLives: form.sharedLives,
+        friendlyFire: form.friendlyFire,
+        newEnemies: form.newEnemies,
+        maxPlayers: form.maxPlayers,
+      });
+      LobbyContent.watchRoom(vnode, result.roomId, result.joinCode);
+    });
+  },
+
+  async joinByCode(vnode) {
+    const code = vnode.state.codeInput.trim().toUpperCase();
+    if (code) {
+      vnode.state.watchableRoomId = null;
+      await LobbyContent.run(vnode, async () => {
+        const paletteIndex = vnode.state.form.paletteIndex;
+        localStorage.setItem('talon-lance:paletteIndex', paletteIndex);
+        const roomId = await Meteor.callAsync('rooms.joinByCode', code, paletteIndex).catch((error) => {
+          // A full or started game can still be watched
+          if (typeof error.details === 'string') {
+            vnode.state.watchableRoomId = error.details;
+            vnode.state.watchableCode = code;
+          }
+          throw error;
+        });
+        LobbyContent.watchRoom(vnode, roomId, code);
+      });
+    }
+  },
+
+  async toggleReady(vnode, ready) {
+    await LobbyContent.run(vnode, () => Meteor.callAsync('rooms.setReady', vnode.state.roomId, ready));
+  },
+
+  async startGame(vnode) {
+    await LobbyContent.run(vnode, () => Meteor.callAsync('rooms.start', vnode.state.roomId));
+  },
+
+  async leaveRoom(vnode) {
+    const roomId = vnode.state.roomId;
+    LobbyContent.stopWatching(vnode);
+    vnode.state.roomId = null;
+    vnode.state.room = null;
+    await LobbyContent.run(vnode, () => Meteor.callAsync('rooms.leave', roomId));
+    m.route.set('/lobby', null, { replace: true });
+  },
+
+  // Wrap a method call with busy/error handling
+  async run(vnode, action) {
+    if (vnode.state.busy) {
+      return;
+    }
+    vnode.state.busy = true;
+    vnode.state.error = null;
+    m.redraw();
+
+    try {
+      await action();
+    } catch (error) {
+      console.error('[LobbyPage] Lobby action failed:', error);
+      vnode.state.error = error.reason || error.message || 'Something went wrong';
+    } finally {
+      vnode.state.busy = false;
+      m.redraw();
+    }
+  },
+
+  watchRoom(vnode, roomId, joinCode) {
+    vnode.state.roomId = roomId;
+
+    // Put the share link in the address bar
+    if (m.route.param('code') !== joinCode) {
+      m.route.set('/lobby/:code', { code: joinCode }, { replace: true });
+    }
+
+    vnode.state.subscription = Meteor.subscribe('rooms.current', roomId);
+    vnode.state.computation = Tracker.autorun(() => {
+      const room = GameRooms.findOne(roomId);
+      const subscriptionReady = vnode.state.subscription.ready();
+      vnode.state.room = room || null;
+      if (room && (room.status === RoomStatus.STARTING || room.status === RoomStatus.PLAYING)) {
+        vnode.state.enteringGame = true;
+        m.route.set('/room/:roomId', { roomId });
+      } else if (!room && subscriptionReady) {
+        // Room closed (idle cleanup) or we were removed from it
+        Tracker.nonreactive(() => LobbyContent.stopWatching(vnode));
+        vnode.state.roomId = null;
+        vnode.state.error = 'That room is no longer available';
+      }
+      m.redraw();
+    });
+
+    vnode.state.heartbeat = setInterval(() => {
+      Meteor.callAsync('rooms.touch', roomId).catch(() => {});
+    }, HEARTBEAT_MS);
+  },
+
+  stopWatching(vnode) {
+    if (vnode.state.computation) {
+      vnode.state.computation.stop();
+      vnode.state.computation = null;
+    }
+    if (vnode.state.subscription) {
+      vnode.state.subscription.stop();
+      vnode.state.subscription = null;
+    }
+    if (vnode.state.heartbeat) {
+      clearInterval(vnode.state.heartbeat);
+      vnode.state.heartbeat = null;
+    }
+  },
+
+  copyShareLink(vnode) {
+    const link = window.location.origin + '/lobby/' + vnode.state.room.joinCode;
+    navigator.clipboard.writeText(link).then(() => {
+      vnode.state.copied = true;
+      m.redraw();
+    }).catch(() => {});
+  },
+
+  // ---- Views ----
+
+  viewSetup(vnode) {
+    const { form, codeInput, busy } = vnode.state;
+    const bindSelect = (key, parse) => ({
+      value: form[key],
+      disabled: busy,
+      onchange(e) {
+        form[key] = parse ? parseInt(e.target.value, 10) : e.target.value;
+      },
+    });
+
+    return [
+      m('label', [
+        'Knight color',
+        m('select', bindSelect('paletteIndex', true),
+          KNIGHT_PALETTES.map((palette, index) => m('option', { value: index }, palette.name))
+        ),
+      ]),
+
+      m('article', [
+        m('header', m('h2', 'Join a room')),
+        m('form', {
+          onsubmit(e) {
+            e.preventDefault();
+            LobbyContent.joinByCode(vnode);
+          }
+        }, m('div', { role: 'group' }, [
+          m('input.lobby-code-input[type=text]', {
+            placeholder: 'Join code',
+            maxlength: 16,
+            value: codeInput,
+            disabled: busy,
+            oninput(e) {
+              vnode.state.codeInput = e.target.value;
+            }
+          }),
+          m('button[type=submit]', { disabled: busy || !codeInput.trim() }, 'Join'),
+        ])),
+      ]),
+
+      m('article', [
+        m('header', m('h2', 'Create a room')),
+        m('form', {
+          onsubmit(e) {
+            e.preventDefault();
+            LobbyContent.createRoom(vnode);
+          }
+        }, [
+          m('div.grid', [
+            m('label', [
+              'Mode',
+              m('select', bindSelect('gameMode'), [
+                m('option', { value: GameMode.TEAM_PLAY }, 'Team Play'),
+                m('option', { value: GameMode.PVP }, 'PvP Arena'),
+              ]),
+            ]),
+            m('label', [
+              'Map',
+              m('select', bindSelect('map'), MAPS.map(map => m('option', { value: map }, getArena(map).name))),
+            ]),
+          ]),
+          m('div.grid', [
+            m('label', ['Lives', m('select', bindSelect('lives', true), rangeOptions('lives'))]),
+            m('label', ['Enemy count (5 = classic)', m('select', bindSelect('npcBuzzards', true), rangeOptions('npcBuzzards'))]),
+            m('label', ['Max players', m('select', bindSelect('maxPlayers', true), rangeOptions('maxPlayers'))]),
+          ]),
+          m('div.grid', [
+            m('label', ['Bots (fill empty seats)', m('select', bindSelect('bots', true), rangeOptions('bots'))]),
+            m('label', [
+              'Bot skill',
+              m('select', bindSelect('botLevel', true), BOT_LEVEL_NAMES.map((name, index) =>
+                m('option', { value: index + 1 }, name))),
+            ]),
+          ]),
+          m('label', [
+            m('input[type=checkbox][role=switch]', {
+              checked: form.sharedLives && form.gameMode === GameMode.TEAM_PLAY,
+              disabled: busy || form.gameMode !== GameMode.TEAM_PLAY,
+              onchange(e) {
+                form.sharedLives = e.target.checked;
+              }
+            }),
+            ' Shared lives — in Team Play, a player out of lives takes one from a teammate',
+          ]),
+          m('label', [
+            m('input[type=checkbox][role=switch]', {
+              checked: form.friendlyFire && form.gameMode === GameMode.TEAM_PLAY,
+              disabled: busy || form.gameMode !== GameMode.TEAM_PLAY,
+              onchange(e) {
+                form.friendlyFire = e.target.checked;
+              }
+            }),
+            ' Friendly fire — in Team Play, teammates can unhorse each other and lose the team bonus',
+          ]),
+          m('label', [
+            m('input[type=checkbox][role=switch]', {
+              checked: form.newEnemies,
+              disabled: busy,
+              onchange(e) {
+                form.newEnemies = e.target.checked;
+              }
+            }),
+            ' New enemies — cowards and swarms join the waves',
+          ]),
+          m('button[type=submit]', { disabled: busy, 'aria-busy': busy ? 'true' : 'false' }, 'Create Room'),
+        ]),
+      ]),
+    ];
+  },
+
+  viewRoom(vnode) {
+    const { room, busy, copied, localCoop } = vnode.state;
+    const userId = Meteor.userId();
+    const isHost = room.hostId === userId;
+    const me = room.players.find(p => p.userId === userId);
+    const everyoneReady = room.players.every(p => p.userId === room.hostId || p.ready);
+    const canStart = (room.players.length >= 2 || room.settings.bots > 0) && everyoneReady;
+    const players = [...room.players].sort((a, b) => a.slot - b.slot);
+
+    return m('article', [
+      m('header', [
+        m('h2', 'Room ' + room.joinCode),
+        m('p', [
+          'Share this code with your friends. ',
+          m('button.outline.secondary', {
+            onclick() {
+              LobbyContent.copyShareLink(vnode);
+            }
+          }, copied ? 'Link copied' : 'Copy invite link'),
+        ]),
+      ]),
+
+      m('p.lobby-settings', [
+        room.gameMode === GameMode.PVP ? 'PvP Arena' : 'Team Play',
+        ' • ', room.settings.lives + ' lives',
+        ' • ', 'enemy count ' + room.settings.npcBuzzards + ' / 5',
+        ' • ', getArena(room.settings.map)?.name ?? room.settings.map,
+        room.settings.bots > 0
+          ? [' • ', 'bots ' + room.settings.bots + ' (' + (BOT_LEVEL_NAMES[room.settings.botLevel - 1] ?? 'Normal') + ')']
+          : null,
+        room.settings.sharedLives ? [' • ', 'shared lives'] : null,
+        room.settings.friendlyFire ? [' • ', 'friendly fire'] : null,
+        room.settings.newEnemies ? [' • ', 'new enemies'] : null,
+      ]),
+
+      m('table.lobby-players', [
+        m('thead', m('tr', [
+          m('th', 'Player'),
+          m('th', 'Color'),
+          m('th', 'Status'),
+        ])),
+        m('tbody', players.map(player => m('tr', { key: player.userId }, [
+          m('td', [
+            player.username,
+            player.userId === room.hostId ? m('small.lobby-host-tag', ' (host)') : null,
+          ]),
+          m('td', KNIGHT_PALETTES[player.paletteIndex]?.name ?? '—'),
+          m('td', player.userId === room.hostId || player.ready
+            ? m('ins', 'Ready')
+            : m('span.lobby-waiting', 'Not ready')),
+        ]))),
+      ]),
+      m('p.lobby-slots', `${room.players.length} / ${room.maxPlayers} players`),
+
+      // Read by BabylonPage when the game starts (see MultiplayerManager localCoop)
+      m('label.lobby-couch', [
+        m('input[type=checkbox][role=switch]', {
+          checked: localCoop,
+          onchange(e) {
+            vnode.state.localCoop = e.target.checked;
+            localStorage.setItem('talon-lance:localCoop', e.target.checked ? '1' : '0');
+          }
+        }),
+        ' Local co-op — friends on this computer join in-game with their own keys or gamepad',
+      ]),
+
+      m('footer.lobby-actions', [
+        isHost
+          ? m('button', {
+            disabled: busy || !canStart,
+            onclick() {
+              LobbyContent.startGame(vnode);
+            }
+          }, canStart ? 'Start Game' : 'Waiting for players…')
+          : m('button', {
+            class: me?.ready ? 'secondary' : '',
+            disabled: busy,
+            onclick() {
+              LobbyContent.toggleReady(vnode, !me?.ready);
+            }
+          }, me?.ready ? 'Not Ready' : 'Ready'),
+        m('button.outline.secondary', {
+          disabled: busy,
+          onclick() {
+            LobbyContent.leaveRoom(vnode);
+          }
+        }, 'Leave Room'),
+      ]),
+    ]);
+  },
+
+  view(vnode) {
+    const { roomId, room, error, watchableRoomId, watchableCode } = vnode.state;
+    let body = null;
+    if (room) {
+      body = LobbyContent.viewRoom(vnode);
+    } else if (roomId) {
+      body = m('div.loading');
+    } else {
+      body = LobbyContent.viewSetup(vnode);
+    }
+
+    return m('div.lobby', [
+      m('hgroup', [
+        m('h1', 'Private Game'),
+        m('p', [
+          'Play with friends using a join code. ',
+          m('a[href=/]', { oncreate: m.route.link }, 'Back to the game'),
+        ]),
+      ]),
+      error && m('div.error-message', error),
+      watchableRoomId && !room && m('p.lobby-watch', m('button.outline', {
+        onclick() {
+          m.route.set('/watch/:roomId', { roomId: watchableRoomId, code: watchableCode });
+        }
+      }, 'Watch this game')),
+      body,
+    ]);
+  }
+};
+
+export const LobbyPage = {
+  view(vnode) {
+    return m(RequireAuth, m(LobbyContent, { code: vnode.attrs.code }));
+  }
+};
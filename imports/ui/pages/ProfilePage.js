@@ -0,0 +1,222 @@
+// ProfilePage — A player's match history.
+// Totals and per-match averages over every game they finished in a room
+// (matchHistory.profile), then their recent matches a page at a time
+// (matchHistory.forUser). /profile is your own, /profile/:userId anyone's.
+// The numbers are each game's host's report, unchecked, and labelled so.
+
+import m from 'mithril';
+import { Meteor } from 'meteor/meteor';
+import { Tracker } from 'meteor/tracker';
+import { MatchHistory, MATCH_HISTORY_PAGE_SIZE } from '../../lib/collections/matchHistory.js';
+import { GameMode } from '../../lib/collections/gameRooms.js';
+import { RequireAuth } from '../components/RequireAuth.js';
+
+// "4:05" for a game, "3h 20m" once it runs to hours
+function formatDuration(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor(totalSeconds / 60) % 60;
+  if (hours > 0) {
+    return `${hours}h ${minutes}m`;
+  }
+  return `${minutes}:${String(totalSeconds % 60).padStart(2, '0')}`;
+}
+
+function formatAverage(value) {
+  return value.toFixed(1);
+}
+
+function stat(label, value) {
+  return m('div.profile-stat', [m('small', label), m('strong', value)]);
+}
+
+// Header for a section built from match history (see MatchHistory's schema)
+function selfReportedHeader(title) {
+  return m('header', [
+    m('h2', title),
+    m('small.profile-self-reported', 'Self-reported by each game\'s host, not verified and not ranked'),
+  ]);
+}
+
+const ProfileContent = {
+  oninit(vnode) {
+    vnode.state.userId = vnode.attrs.userId || Meteor.userId();
+    vnode.state.profile = null;
+    vnode.state.error = null;
+    vnode.state.page = 0;
+    vnode.state.matches = [];
+    vnode.state.hasOlder = false;
+    vnode.state.loading = true;
+    vnode.state.subscription = null;
+    vnode.state.computation = null;
+    ProfileContent.loadProfile(vnode);
+    ProfileContent.watchPage(vnode, 0);
+  },
+
+  onremove(vnode) {
+    ProfileContent.stopWatching(vnode);
+  },
+
+  async loadProfile(vnode) {
+    try {
+      vnode.state.profile = await Meteor.callAsync('matchHistory.profile', vnode.state.userId);
+    } catch (error) {
+      console.error('[ProfilePage] Failed to load profile:', error);
+      vnode.state.error = error.reason || error.message || 'Could not load this profile';
+    } finally {
+      m.redraw();
+    }
+  },
+
+  // Subscribe to one page of matches; the publication sends one extra to
+  // tell us there is an older page
+  watchPage(vnode, page) {
+    ProfileContent.stopWatching(vnode);
+    const { userId } = vnode.state;
+    vnode.state.page = page;
+    vnode.state.loading = true;
+    vnode.state.subscription = Meteor.subscribe('matchHistory.forUser', userId, page);
+    vnode.state.computation = Tracker.autorun(() => {
+      const ready = vnode.state.subscription.ready();
+      const matches = MatchHistory.find({ 'participants.userId': userId }, { sort: { finishedAt: -1 } }).fetch();
+      vnode.state.loading = !ready;
+      vnode.state.matches = matches.slice(0, MATCH_HISTORY_PAGE_SIZE);
+      vnode.state.hasOlder = matches.length > MATCH_HISTORY_PAGE_SIZE;
+      m.redraw();
+    });
+  },
+
+  stopWatching(vnode) {
+    if (vnode.state.computation) {
+      vnode.state.computation.stop();
+      vnode.state.computation = null;
+    }
+    if (vnode.state.subscription) {
+      vnode.state.subscription.stop();
+      vnode.state.subscription = null;
+    }
+  },
+
+  // ---- Views ----
+
+  viewTotals(profile) {
+    const { totals, averages } = profile;
+    return m('article', [
+      selfReportedHeader('Totals'),
+      m('div.grid.profile-stats', [
+        stat('Matches', totals.matches),
+        stat('PvP wins', totals.wins),
+        stat('Best score', totals.bestScore),
+        stat('Best wave', totals.bestWave),
+        stat('Time played', formatDuration(totals.durationMs)),
+      ]),
+      m('div.grid.profile-stats', [
+        stat('Kills', totals.kills),
+        stat('Deaths', totals.deaths),
+        stat('Eggs', totals.eggs),
+      ]),
+      m('h3', 'Per match'),
+      m('div.grid.profile-stats', [
+        stat('Score', formatAverage(averages.score)),
+        stat('Kills', formatAverage(averages.kills)),
+        stat('Deaths', formatAverage(averages.deaths)),
+        stat('Eggs', formatAverage(averages.eggs)),
+        stat('Wave', formatAverage(averages.wave)),
+      ]),
+    ]);
+  },
+
+  viewMatchRow(userId, match) {
+    const own = match.participants.find(entry => entry.userId === userId && !entry.guest);
+    const others = match.participants.filter(entry => entry.userId !== userId && !entry.guest);
+    const guests = match.participants.filter(entry => entry.guest).length;
+    let result = '—';
+    if (match.gameMode === GameMode.PVP) {
+      result = match.winnerId === userId ? m('ins', 'Won') : 'Lost';
+    }
+
+    return m('tr', { key: match._id }, [
+      m('td', match.finishedAt.toLocaleString()),
+      m('td', match.gameMode === GameMode.PVP ? 'PvP' : 'Team'),
+      m('td', formatDuration(match.durationMs)),
+      m('td', match.waveReached),
+      m('td', own ? own.score : '—'),
+      m('td', own ? own.kills : '—'),
+      m('td', own ? own.deaths : '—'),
+      m('td', own?.stats ? own.stats.eggs : '—'),
+      m('td', result),
+      m('td', [
+        others.map((entry, index) => [
+          index > 0 ? ', ' : null,
+          m('a', { href: '/profile/' + entry.userId, oncreate: m.route.link }, entry.username),
+        ]),
+        guests > 0 ? m('small.profile-guests', ` +${guests} guest${guests > 1 ? 's' : ''}`) : null,
+      ]),
+    ]);
+  },
+
+  viewMatches(vnode) {
+    const { userId, page, matches, hasOlder, loading } = vnode.state;
+    let body = null;
+    if (loading) {
+      body = m('div.loading');
+    } else if (matches.length === 0) {
+      body = m('p', page === 0 ? 'No finished games yet. Games played in a room show up here.' : 'No older games.');
+    } else {
+      body = m('table.profile-matches', [
+        m('thead', m('tr', [
+          m('th', 'Finished'),
+          m('th', 'Mode'),
+          m('th', 'Length'),
+          m('th', 'Wave'),
+          m('th', 'Score'),
+          m('th', 'Kills'),
+          m('th', 'Deaths'),
+          m('th', 'Eggs'),
+          m('th', 'Result'),
+          m('th', 'With'),
+        ])),
+        m('tbody', matches.map(match => ProfileContent.viewMatchRow(userId, match))),
+      ]);
+    }
+
+    return m('article', [
+      selfReportedHeader('Recent matches'),
+      body,
+      m('footer.profile-pages', [
+        m('button.outline.secondary', {
+          disabled: loading || page === 0,
+          onclick() {
+            ProfileContent.watchPage(vnode, page - 1);
+          }
+        }, 'Newer'),
+        m('span', 'Page ' + (page + 1)),
+        m('button.outline.secondary', {
+          disabled: loading || !hasOlder,
+          onclick() {
+            ProfileContent.watchPage(vnode, page + 1);
+          }
+        }, 'Older'),
+      ]),
+    ]);
+  },
+
+  view(vnode) {
+    const { profile, error } = vnode.state;
+    return m('div.profile', [
+      m('hgroup', [
+        m('h1', profile ? profile.username : 'Profile'),
+        m('p', m('a[href=/]', { oncreate: m.route.link }, 'Back to the game')),
+      ]),
+      error && m('div.error-message', error),
+      profile ? ProfileContent.viewTotals(profile) : (!error && m('div.loading')),
+      !error && ProfileContent.viewMatches(vnode),
+    ]);
+  }
+};
+
+export const ProfilePage = {
+  view(vnode) {
+    return m(RequireAuth, m(ProfileContent, { userId: vnode.attrs.userId }));
+  }
+};
@@ -2,6 +2,7 @@ import { Meteor } from 'meteor/meteor';
 import { UsedNonces, SubscriptionCache } from '../imports/api/collections.js';
 import { GameRooms } from '../imports/lib/collections/gameRooms.js';
 import { HighScores } from '../imports/lib/collections/highScores.js';
+import { MatchHistory } from '../imports/lib/collections/matchHistory.js';
 
 Meteor.startup(async () => {
   // SSO user lookup index
@@ -25,8 +26,16 @@ Meteor.startup(async () => {
   await GameRooms.createIndexAsync({ hostId: 1 });
   await GameRooms.createIndexAsync({ gameMode: 1, status: 1 });
   await GameRooms.createIndexAsync({ lastActiveAt: 1, status: 1 });
+  await GameRooms.createIndexAsync({ joinCode: 1, status: 1 });
 
-  // HighScores indexes
+  // HighScores indexes: a user's row per mode and period, the boards, and a
+  // TTL index dropping past days' and weeks' rows
   await HighScores.createIndexAsync({ score: -1 });
-  await HighScores.createIndexAsync({ userId: 1, gameMode: 1 });
+  await HighScores.createIndexAsync({ userId: 1, gameMode: 1, period: 1 }, { unique: true });
+  await HighScores.createIndexAsync({ period: 1, score: -1, createdAt: 1 });
+  await HighScores.createIndexAsync({ period: 1, bestWave: -1, bestWaveAt: 1 });
+  await HighScores.createIndexAsync({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+  // MatchHistory indexes: a player's matches, newest first
+  await MatchHistory.createIndexAsync({ 'participants.userId': 1, finishedAt: -1 });
 });
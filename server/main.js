@@ -12,8 +12,11 @@ import './migrations/0_steps.js';
 import './methods/roomMethods.js';
 import './methods/matchmakingMethods.js';
 import './methods/highScoreMethods.js';
+import './methods/matchHistoryMethods.js';
+import './methods/relayMethods.js';
 import './publications/roomPublications.js';
 import './publications/highScorePublications.js';
+import './publications/matchHistoryPublications.js';
 
 // Import geckos.io relay bridge
 import { initGeckosRelay } from './relay/geckosBridge.js';
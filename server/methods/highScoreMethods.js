@@ -2,19 +2,28 @@ import { Meteor } from 'meteor/meteor';
 import { check, Match } from 'meteor/check';
 import { HighScores } from '../../imports/lib/collections/highScores.js';
 import { GameMode } from '../../imports/lib/collections/gameRooms.js';
+import { verifyReplay } from '../../imports/game/replay/ReplayVerifier.js';
+import {
+  LEADERBOARDS, LEADERBOARD_PAGE_SIZE, ScoreWindow, periodKey, scorePeriods, scoreRowUpdate,
+  scoreRowWrites, boardQuery, boardSort, rankedAboveQuery,
+} from '../../imports/game/leaderboards.js';
 
 const MAX_REASONABLE_SCORE = 10000000; // anti-cheat sanity check
+const MAX_REPLAY_BYTES = 2 * 1024 * 1024;
+const MAX_VERIFY_FRAMES = 60 * 60 * 60; // one hour of play at 60fps
+
+const GameModePattern = Match.Where((val) => val === GameMode.TEAM_PLAY || val === GameMode.PVP);
 
 Meteor.methods({
   /**
-   * Return the user's current best score for a game mode.
+   * Return the user's all-time best score for a game mode.
    * Returns 0 if not logged in or no score exists.
    *
    * @param {string} gameMode - 'team' or 'pvp'
    * @returns {number}
    */
   async 'highScores.myBest'(gameMode) {
-    check(gameMode, Match.Where((val) => val === GameMode.TEAM_PLAY || val === GameMode.PVP));
+    check(gameMode, GameModePattern);
 
     if (!this.userId) {
       return 0;
@@ -23,22 +32,86 @@ Meteor.methods({
     const existing = await HighScores.findOneAsync({
       userId: this.userId,
       gameMode,
+      period: ScoreWindow.ALL,
     });
 
     return existing ? existing.score : 0;
   },
 
   /**
-   * Submit a high score. Only saves if higher than existing for this user+mode.
+   * Return the user's best score and highest wave today (UTC) for a game
+   * mode: a game that beats neither has nothing to submit.
+   * Returns zeros if not logged in or no score exists.
+   *
+   * @param {string} gameMode - 'team' or 'pvp'
+   * @returns {{ score: number, wave: number }}
+   */
+  async 'highScores.myDailyBest'(gameMode) {
+    check(gameMode, GameModePattern);
+
+    if (!this.userId) {
+      return { score: 0, wave: 0 };
+    }
+
+    const existing = await HighScores.findOneAsync({
+      userId: this.userId,
+      gameMode,
+      period: periodKey(ScoreWindow.DAY, new Date()),
+    });
+
+    return existing ? { score: existing.score, wave: existing.bestWave } : { score: 0, wave: 0 };
+  },
+
+  /**
+   * Where the user stands on a leaderboard: their rank and the page it is
+   * on. With no game mode, their best row across modes. Returns null if not
+   * logged in or not on the board.
+   *
+   * @param {string} board - a Leaderboard (imports/game/leaderboards.js)
+   * @param {string} [gameMode] - 'team' or 'pvp'
+   * @returns {{ rank: number, page: number }|null}
+   */
+  async 'highScores.myRank'(board, gameMode) {
+    check(board, Match.Where((val) => LEADERBOARDS.includes(val)));
+    check(gameMode, Match.Optional(GameModePattern));
+
+    if (!this.userId) {
+      return null;
+    }
+
+    const options = { now: new Date(), gameMode };
+    const [row] = await HighScores.find(
+      { ...boardQuery(board, options), userId: this.userId },
+      { sort: boardSort(board), limit: 1 }
+    ).fetchAsync();
+    if (!row) {
+      return null;
+    }
+
+    const rank = await HighScores.find(rankedAboveQuery(board, row, options)).countAsync() + 1;
+    return { rank, page: Math.floor((rank - 1) / LEADERBOARD_PAGE_SIZE) };
+  },
+
+  /**
+   * Submit a high score. It goes into the user's all-time, daily and weekly
+   * rows for the mode wherever it beats the row's score or wave.
+   * The score must be backed by a replay: the server re-simulates it up to
+   * proof.frame and rejects the submission unless score and wave match.
    *
    * @param {number} score - the player's score
    * @param {string} gameMode - 'team' or 'pvp'
    * @param {number} waveReached - highest wave reached
+   * @param {{ replay: Uint8Array, frame: number, playerSlot: number }} proof
    */
-  async 'highScores.submit'(score, gameMode, waveReached) {
+  async 'highScores.submit'(score, gameMode, waveReached, proof) {
     check(score, Match.Integer);
-    check(gameMode, Match.Where((val) => val === GameMode.TEAM_PLAY || val === GameMode.PVP));
+    check(gameMode, GameModePattern);
     check(waveReached, Match.Integer);
+    check(proof, {
+      replay: Uint8Array,
+      frame: Match.Integer,
+      playerSlot: Match.Integer,
+    });
 
     if (!this.userId) {
       throw new Meteor.Error('not-authorized', 'You must be logged in to submit scores');
@@ -52,6 +125,10 @@ Meteor.methods({
       throw new Meteor.Error('invalid-wave', 'Wave number is out of valid range');
     }
 
+    if (proof.replay.byteLength > MAX_REPLAY_BYTES || proof.frame < 1) {
+      throw new Meteor.Error('invalid-replay', 'Replay is out of valid range');
+    }
+
     const user = await Meteor.users.findOneAsync(this.userId);
     if (!user) {
       throw new Meteor.Error('not-found', 'User not found');
@@ -59,33 +136,49 @@ Meteor.methods({
 
     const username = user.username || 'Anonymous';
 
-    // Check existing score for this user + mode
-    const existing = await HighScores.findOneAsync({
+    // The user's current rows for this mode, and which of them the score
+    // would improve. Only decides whether to verify: the writes below re-check
+    // against the row as it is then.
+    const now = new Date();
+    const periods = scorePeriods(now);
+    const rows = await HighScores.find({
       userId: this.userId,
       gameMode,
+      period: { $in: periods.map(entry => entry.period) },
+    }).fetchAsync();
+    const changes = periods.filter(entry => {
+      const existing = rows.find(row => row.period === entry.period);
+      return scoreRowUpdate(existing, { score, waveReached }, now);
     });
 
-    if (existing) {
-      // Only update if new score is higher
-      if (score > existing.score) {
-        await HighScores.updateAsync(existing._id, {
-          $set: {
-            score,
-            username,
-            waveReached,
-            createdAt: new Date(),
-          },
-        });
+    // Re-simulating is expensive — only do it for scores that would be saved
+    if (changes.length === 0) {
+      return;
+    }
+    this.unblock();
+    const replayBuffer = proof.replay.buffer.slice(
+      proof.replay.byteOffset,
+      proof.replay.byteOffset + proof.replay.byteLength
+    );
+    const result = await verifyReplay(replayBuffer, {
+      gameMode,
+      frame: proof.frame,
+      playerSlot: proof.playerSlot,
+      score,
+      waveReached,
+    }, { maxFrames: MAX_VERIFY_FRAMES });
+    if (!result.valid) {
+      console.warn(`[highScores] Rejected score ${score} (wave ${waveReached}, ${gameMode}) from user ${this.userId}: ${result.reason}`);
+      throw new Meteor.Error('score-rejected', 'Score could not be verified');
+    }
+
+    const player = { userId: this.userId, gameMode, username };
+    for (const entry of changes) {
+      const { key, insert, updates } = scoreRowWrites(player, entry, { score, waveReached }, now);
+      await HighScores.upsertAsync(key, insert);
+      for (const { selector, modifier } of updates) {
+        await HighScores.updateAsync(selector, modifier);
       }
-    } else {
-      await HighScores.insertAsync({
-        userId: this.userId,
-        username,
-        score,
-        gameMode,
-        waveReached,
-        createdAt: new Date(),
-      });
     }
   },
 });
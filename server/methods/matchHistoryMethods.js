@@ -0,0 +1,65 @@
+import { Meteor } from 'meteor/meteor';
+import { check } from 'meteor/check';
+import { MatchHistory } from '../../imports/lib/collections/matchHistory.js';
+
+Meteor.methods({
+  /**
+   * A player's name, and their totals and per-match averages over their
+   * whole match history. Only their own seat counts, not their local guests'.
+   * Wins are PvP wins; team games have no winner.
+   *
+   * @param {string} userId
+   * @returns {{ username: string, totals: Object, averages: Object }}
+   */
+  async 'matchHistory.profile'(userId) {
+    check(userId, String);
+
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    const user = await Meteor.users.findOneAsync(userId, { fields: { username: 1 } });
+    if (!user) {
+      throw new Meteor.Error('not-found', 'Player not found');
+    }
+
+    const [totals] = await MatchHistory.rawCollection().aggregate([
+      { $match: { 'participants.userId': userId } },
+      { $unwind: '$participants' },
+      { $match: { 'participants.userId': userId, 'participants.guest': false } },
+      {
+        $group: {
+          _id: null,
+          matches: { $sum: 1 },
+          wins: { $sum: { $cond: [{ $eq: ['$winnerId', userId] }, 1, 0] } },
+          score: { $sum: '$participants.score' },
+          bestScore: { $max: '$participants.score' },
+          kills: { $sum: '$participants.kills' },
+          deaths: { $sum: '$participants.deaths' },
+          eggs: { $sum: '$participants.stats.eggs' },
+          waves: { $sum: '$waveReached' },
+          bestWave: { $max: '$waveReached' },
+          durationMs: { $sum: '$durationMs' },
+        },
+      },
+      { $project: { _id: 0 } },
+    ]).toArray();
+
+    const played = totals || {
+      matches: 0, wins: 0, score: 0, bestScore: 0, kills: 0, deaths: 0,
+      eggs: 0, waves: 0, bestWave: 0, durationMs: 0,
+    };
+    const perMatch = (total) => (played.matches > 0 ? total / played.matches : 0);
+    return {
+      username: user.username || 'Anonymous',
+      totals: played,
+      averages: {
+        score: perMatch(played.score),
+        kills: perMatch(played.kills),
+        deaths: perMatch(played.deaths),
+        eggs: perMatch(played.eggs),
+        wave: perMatch(played.waves),
+      },
+    };
+  },
+});
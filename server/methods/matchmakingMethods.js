@@ -1,6 +1,8 @@
 import { Meteor } from 'meteor/meteor';
 import { check, Match } from 'meteor/check';
-import { GameRooms, RoomStatus, GameMode, MAX_PLAYERS } from '../../imports/lib/collections/gameRooms.js';
+import {
+  GameRooms, RoomStatus, GameMode, MAX_PLAYERS, nextFreeSlot, hasFreeSeatExpr,
+} from '../../imports/lib/collections/gameRooms.js';
 
 Meteor.methods({
   /**
@@ -38,19 +40,16 @@ Meteor.methods({
     // Find a joinable room with same game mode
     const openRoom = await GameRooms.findOneAsync({
       gameMode,
+      isPrivate: { $ne: true }, // lobby rooms are invite-only
       status: { $in: [RoomStatus.WAITING, RoomStatus.PLAYING] },
-      $expr: { $lt: [{ $size: '$players' }, MAX_PLAYERS] },
+      $expr: hasFreeSeatExpr(MAX_PLAYERS),
     }, {
       sort: { createdAt: -1 }, // prefer newest rooms
     });
 
     if (openRoom) {
       // Join existing room
-      const usedSlots = openRoom.players.map(p => p.slot);
-      let nextSlot = 0;
-      while (usedSlots.includes(nextSlot)) {
-        nextSlot++;
-      }
+      const nextSlot = nextFreeSlot(openRoom);
 
       await GameRooms.updateAsync(openRoom._id, {
         $push: {
@@ -82,6 +81,8 @@ Meteor.methods({
         slot: 0,
         paletteIndex: paletteIndex,
       }],
+      spectators: [],
+      localGuests: [],
       status: RoomStatus.PLAYING, // starts immediately (arcade drop-in)
       maxPlayers: MAX_PLAYERS,
       settings: {},
@@ -133,11 +134,11 @@ Meteor.methods({
       } else if (room.hostId === this.userId) {
         await GameRooms.updateAsync(room._id, {
           $set: { hostId: remainingPlayers[0].userId },
-          $pull: { players: { userId: this.userId } },
+          $pull: { players: { userId: this.userId }, localGuests: { userId: this.userId } },
         });
       } else {
         await GameRooms.updateAsync(room._id, {
-          $pull: { players: { userId: this.userId } },
+          $pull: { players: { userId: this.userId }, localGuests: { userId: this.userId } },
         });
       }
     }
@@ -145,18 +146,15 @@ Meteor.methods({
     // Now find a joinable room or create a new one (same logic as findOrCreate)
     const openRoom = await GameRooms.findOneAsync({
       gameMode,
+      isPrivate: { $ne: true }, // lobby rooms are invite-only
       status: { $in: [RoomStatus.WAITING, RoomStatus.PLAYING] },
-      $expr: { $lt: [{ $size: '$players' }, MAX_PLAYERS] },
+      $expr: hasFreeSeatExpr(MAX_PLAYERS),
     }, {
       sort: { createdAt: -1 },
     });
 
     if (openRoom) {
-      const usedSlots = openRoom.players.map(p => p.slot);
-      let nextSlot = 0;
-      while (usedSlots.includes(nextSlot)) {
-        nextSlot++;
-      }
+      const nextSlot = nextFreeSlot(openRoom);
 
       await GameRooms.updateAsync(openRoom._id, {
         $push: {
@@ -187,6 +185,8 @@ Meteor.methods({
         slot: 0,
         paletteIndex: paletteIndex,
       }],
+      spectators: [],
+      localGuests: [],
       status: RoomStatus.PLAYING,
       maxPlayers: MAX_PLAYERS,
       settings: {},
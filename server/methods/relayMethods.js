@@ -0,0 +1,28 @@
+import { Meteor } from 'meteor/meteor';
+import { getRelayStats } from '../relay/geckosBridge.js';
+
+// Operators are listed by user ID in settings.private.adminUserIds
+function isAdmin(userId) {
+  const adminUserIds = Meteor.settings.private?.adminUserIds || [];
+  return adminUserIds.includes(userId);
+}
+
+Meteor.methods({
+  /**
+   * Relay statistics for operators: lifetime totals plus forwarded and
+   * dropped counts for every open relay channel (see geckosBridge.js).
+   *
+   * @returns {{ totals: Object, rooms: Object<string, Array> }}
+   */
+  async 'relay.stats'() {
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    if (!isAdmin(this.userId)) {
+      throw new Meteor.Error('forbidden', 'Relay statistics are for admins only');
+    }
+
+    return getRelayStats();
+  },
+});
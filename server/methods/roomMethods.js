@@ -1,15 +1,167 @@
+import crypto from 'crypto';
 import { Meteor } from 'meteor/meteor';
 import { check, Match } from 'meteor/check';
-import { GameRooms, RoomStatus, MAX_PLAYERS, DEFAULT_SETTINGS } from '../../imports/lib/collections/gameRooms.js';
+import {
+  GameRooms, RoomStatus, GameMode, DEFAULT_SETTINGS, MAPS, SETTINGS_LIMITS,
+  JOIN_CODE_ALPHABET, JOIN_CODE_LENGTH, MAX_SPECTATORS, MAX_LOCAL_GUESTS, occupiedSlots, nextFreeSlot,
+} from '../../imports/lib/collections/gameRooms.js';
+import { MatchHistory } from '../../imports/lib/collections/matchHistory.js';
+import { KILL_STAT_KEYS, buildMatchHistory } from '../../imports/game/matchStats.js';
+import { KNIGHT_PALETTES } from '../../imports/game/voxels/models/knightPalettes.js';
+import { issueRelayToken } from '../relay/relayTokens.js';
+
+const ACTIVE_STATUSES = [RoomStatus.WAITING, RoomStatus.STARTING, RoomStatus.PLAYING];
+
+// Spectators touch the room every 2 minutes; entries older than this are
+// dropped when someone else wants their seat
+const SPECTATOR_STALE_MS = 5 * 60 * 1000;
+
+function inRange(name) {
+  const { min, max } = SETTINGS_LIMITS[name];
+  return Match.Where((val) => Match.test(val, Match.Integer) && val >= min && val <= max);
+}
+
+const PaletteIndex = Match.Where((val) => Match.test(val, Match.Integer) && val >= 0 && val < KNIGHT_PALETTES.length);
+
+// Per-player counters from imports/game/matchStats.js
+const MatchStatsPattern = {
+  kills: Object.fromEntries(KILL_STAT_KEYS.map(key => [key, Match.Integer])),
+  playerKills: Match.Integer,
+  deaths: { joust: Match.Integer, lava: Match.Integer, pterodactyl: Match.Integer, troll: Match.Integer },
+  eggs: Match.Integer,
+  eggsMidAir: Match.Integer,
+  trollEscapes: Match.Integer,
+  highestWave: Match.Integer,
+  framesAlive: Match.Integer,
+};
+
+// A finished room plays again once every seated player has voted for a
+// rematch (rooms.rematch): same room and peers, a fresh seed, the next round.
+// Clients watch `round` and reset their game when it moves on.
+async function startRematchIfAgreed(roomId) {
+  const room = await GameRooms.findOneAsync(roomId);
+  if (!room || room.status !== RoomStatus.FINISHED || room.players.length === 0) {
+    return false;
+  }
+  const votes = room.rematchVotes || [];
+  if (!room.players.every(p => votes.includes(p.userId))) {
+    return false;
+  }
+  const updated = await GameRooms.updateAsync(
+    { _id: roomId, status: RoomStatus.FINISHED },
+    {
+      $set: {
+        status: RoomStatus.PLAYING,
+        gameSeed: (Date.now() ^ Math.floor(Math.random() * 0x7FFFFFFF)) >>> 0,
+        round: (room.round || 0) + 1,
+        rematchVotes: [],
+        startedAt: new Date(),
+        finishedAt: null,
+        lastActiveAt: new Date(),
+      },
+      $unset: { results: '' },
+    }
+  );
+  return updated > 0;
+}
+
+async function generateJoinCode() {
+  let code = null;
+  for (let attempt = 0; attempt < 10 && !code; attempt++) {
+    let candidate = '';
+    for (let i = 0; i < JOIN_CODE_LENGTH; i++) {
+      candidate += JOIN_CODE_ALPHABET[crypto.randomInt(JOIN_CODE_ALPHABET.length)];
+    }
+    const clash = await GameRooms.findOneAsync({ joinCode: candidate, status: { $in: ACTIVE_STATUSES } });
+    if (!clash) {
+      code = candidate;
+    }
+  }
+  if (!code) {
+    throw new Meteor.Error('join-code-failed', 'Could not allocate a join code, please try again');
+  }
+  return code;
+}
+
+// Shared by rooms.join and rooms.joinByCode: validate and append the player
+async function addPlayerToRoom(userId, room, paletteIndex) {
+  const user = await Meteor.users.findOneAsync(userId);
+  if (!user) {
+    throw new Meteor.Error('not-found', 'User not found');
+  }
+
+  // A game in progress can still be watched, so tell the client which room it was
+  const inProgress = room.status === RoomStatus.STARTING || room.status === RoomStatus.PLAYING;
+  const watchableId = inProgress ? room._id : undefined;
+
+  if (room.status !== RoomStatus.WAITING && room.status !== RoomStatus.PLAYING) {
+    throw new Meteor.Error('room-not-joinable', 'This room is no longer accepting players', watchableId);
+  }
+
+  if (occupiedSlots(room).length >= room.maxPlayers) {
+    throw new Meteor.Error('room-full', 'This room is full', watchableId);
+  }
+
+  // Check if already in this room
+  const alreadyInRoom = room.players.some(p => p.userId === userId);
+  if (alreadyInRoom) {
+    throw new Meteor.Error('already-in-room', 'You are already in this room');
+  }
+
+  // Check user isn't in another room
+  const existingRoom = await GameRooms.findOneAsync({
+    _id: { $ne: room._id },
+    'players.userId': userId,
+    status: { $in: ACTIVE_STATUSES },
+  });
+
+  if (existingRoom) {
+    throw new Meteor.Error('already-in-room', 'You are already in another game room');
+  }
+
+  // Find next available slot
+  const nextSlot = nextFreeSlot(room);
+
+  await GameRooms.updateAsync(room._id, {
+    $push: {
+      players: {
+        userId,
+        username: user.username || 'Anonymous',
+        peerJsId: null,
+        ready: false,
+        slot: nextSlot,
+        paletteIndex,
+      },
+    },
+    $pull: { spectators: { userId } }, // a spectator taking a free slot stops watching
+    $set: { lastActiveAt: new Date() },
+  });
+
+  return room._id;
+}
 
 Meteor.methods({
-  // Create a new game room
-  async 'rooms.create'(settings) {
+  /**
+   * Create a private lobby room. Other players join with the returned code.
+   *
+   * @param {string} gameMode - 'team' or 'pvp'
+   * @param {number} paletteIndex - host's chosen color palette (0-3)
+   * @param {Object} [settings] - { npcBuzzards, lives, map, bots, botLevel, sharedLives, friendlyFire, newEnemies, maxPlayers }
+   * @returns {{ roomId: string, joinCode: string }}
+   */
+  async 'rooms.create'(gameMode, paletteIndex, settings) {
+    check(gameMode, Match.Where((val) => val === GameMode.TEAM_PLAY || val === GameMode.PVP));
+    check(paletteIndex, PaletteIndex);
     check(settings, Match.Optional({
-      npcBuzzards: Match.Optional(Match.Integer),
-      lives: Match.Optional(Match.Integer),
-      map: Match.Optional(String),
-      maxPlayers: Match.Optional(Match.Integer),
+      npcBuzzards: Match.Optional(inRange('npcBuzzards')),
+      lives: Match.Optional(inRange('lives')),
+      map: Match.Optional(Match.Where((val) => MAPS.includes(val))),
+      bots: Match.Optional(inRange('bots')),
+      botLevel: Match.Optional(inRange('botLevel')),
+      sharedLives: Match.Optional(Boolean),
+      friendlyFire: Match.Optional(Boolean),
+      newEnemies: Match.Optional(Boolean),
+      maxPlayers: Match.Optional(inRange('maxPlayers')),
     }));
 
     if (!this.userId) {
@@ -24,7 +176,7 @@ Meteor.methods({
     // Check user isn't already in a room
     const existingRoom = await GameRooms.findOneAsync({
       'players.userId': this.userId,
-      status: { $in: [RoomStatus.WAITING, RoomStatus.STARTING, RoomStatus.PLAYING] },
+      status: { $in: ACTIVE_STATUSES },
     });
 
     if (existingRoom) {
@@ -35,95 +187,96 @@ Meteor.methods({
       npcBuzzards: settings?.npcBuzzards ?? DEFAULT_SETTINGS.npcBuzzards,
       lives: settings?.lives ?? DEFAULT_SETTINGS.lives,
       map: settings?.map ?? DEFAULT_SETTINGS.map,
+      bots: settings?.bots ?? DEFAULT_SETTINGS.bots,
+      botLevel: settings?.botLevel ?? DEFAULT_SETTINGS.botLevel,
+      sharedLives: gameMode === GameMode.TEAM_PLAY && (settings?.sharedLives ?? DEFAULT_SETTINGS.sharedLives),
+      friendlyFire: gameMode === GameMode.TEAM_PLAY && (settings?.friendlyFire ?? DEFAULT_SETTINGS.friendlyFire),
+      newEnemies: settings?.newEnemies ?? DEFAULT_SETTINGS.newEnemies,
     };
 
-    const maxPlayers = Math.min(Math.max(settings?.maxPlayers || 2, 2), MAX_PLAYERS);
+    const maxPlayers = settings?.maxPlayers ?? SETTINGS_LIMITS.maxPlayers.max;
+    const joinCode = await generateJoinCode();
+    const gameSeed = (Date.now() ^ Math.floor(Math.random() * 0x7FFFFFFF)) >>> 0;
 
     const roomId = await GameRooms.insertAsync({
       hostId: this.userId,
+      gameMode,
+      isPrivate: true, // lobby room — hidden from matchmaking and the public room list
+      joinCode,
       players: [{
         userId: this.userId,
         username: user.username || 'Anonymous',
         peerJsId: null,
         ready: false,
         slot: 0,
+        paletteIndex,
       }],
+      spectators: [],
+      localGuests: [],
       status: RoomStatus.WAITING,
       maxPlayers,
       settings: gameSettings,
+      gameSeed,
       createdAt: new Date(),
       lastActiveAt: new Date(),
       startedAt: null,
       finishedAt: null,
     });
 
-    return roomId;
+    return { roomId, joinCode };
   },
 
-  // Join an existing room
-  async 'rooms.join'(roomId) {
+  // Join an existing public room; private lobby rooms take rooms.joinByCode
+  async 'rooms.join'(roomId, paletteIndex) {
     check(roomId, String);
+    check(paletteIndex, Match.Optional(PaletteIndex));
 
     if (!this.userId) {
       throw new Meteor.Error('not-authorized', 'You must be logged in to join a room');
     }
 
-    const user = await Meteor.users.findOneAsync(this.userId);
-    if (!user) {
-      throw new Meteor.Error('not-found', 'User not found');
-    }
-
     const room = await GameRooms.findOneAsync(roomId);
     if (!room) {
       throw new Meteor.Error('not-found', 'Room not found');
     }
 
-    if (room.status !== RoomStatus.WAITING && room.status !== RoomStatus.PLAYING) {
-      throw new Meteor.Error('room-not-joinable', 'This room is no longer accepting players');
+    if (room.isPrivate) {
+      throw new Meteor.Error('join-code-required', 'This room can only be joined with its code');
     }
 
-    if (room.players.length >= room.maxPlayers) {
-      throw new Meteor.Error('room-full', 'This room is full');
-    }
+    return await addPlayerToRoom(this.userId, room, paletteIndex ?? 0);
+  },
 
-    // Check if already in this room
-    const alreadyInRoom = room.players.some(p => p.userId === this.userId);
-    if (alreadyInRoom) {
-      throw new Meteor.Error('already-in-room', 'You are already in this room');
+  /**
+   * Join a private lobby room by the code its host shared.
+   *
+   * @param {string} code - join code (case-insensitive)
+   * @param {number} paletteIndex - player's chosen color palette (0-3)
+   * @returns {string} roomId
+   */
+  async 'rooms.joinByCode'(code, paletteIndex) {
+    check(code, Match.Where((val) => typeof val === 'string' && val.length <= 16));
+    check(paletteIndex, PaletteIndex);
+
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in to join a room');
     }
 
-    // Check user isn't in another room
-    const existingRoom = await GameRooms.findOneAsync({
-      _id: { $ne: roomId },
-      'players.userId': this.userId,
-      status: { $in: [RoomStatus.WAITING, RoomStatus.STARTING, RoomStatus.PLAYING] },
+    const room = await GameRooms.findOneAsync({
+      joinCode: code.trim().toUpperCase(),
+      status: { $in: ACTIVE_STATUSES },
     });
-
-    if (existingRoom) {
-      throw new Meteor.Error('already-in-room', 'You are already in another game room');
+    if (!room) {
+      throw new Meteor.Error('not-found', 'No open room with that code');
     }
 
-    // Find next available slot
-    const usedSlots = room.players.map(p => p.slot);
-    let nextSlot = 0;
-    while (usedSlots.includes(nextSlot)) {
-      nextSlot++;
+    // Re-opening the share link (e.g. after a reload) returns to the same room
+    const alreadyInRoom = room.players.some(p => p.userId === this.userId);
+    if (alreadyInRoom) {
+      return room._id;
     }
 
-    await GameRooms.updateAsync(roomId, {
-      $push: {
-        players: {
-          userId: this.userId,
-          username: user.username || 'Anonymous',
-          peerJsId: null,
-          ready: false,
-          slot: nextSlot,
-        },
-      },
-      $set: { lastActiveAt: new Date() },
-    });
-
-    return roomId;
+    return await addPlayerToRoom(this.userId, room, paletteIndex);
   },
 
   // Leave a room
@@ -140,13 +293,19 @@ Meteor.methods({
     }
 
     const playerInRoom = room.players.some(p => p.userId === this.userId);
-    if (!playerInRoom) {
+    const spectating = (room.spectators || []).some(s => s.userId === this.userId);
+    if (!playerInRoom && !spectating) {
       throw new Meteor.Error('not-in-room', 'You are not in this room');
     }
 
     const remainingPlayers = room.players.filter(p => p.userId !== this.userId);
 
-    if (remainingPlayers.length === 0) {
+    if (!playerInRoom) {
+      // Spectators leave without affecting the game
+      await GameRooms.updateAsync(roomId, {
+        $pull: { spectators: { userId: this.userId } },
+      });
+    } else if (remainingPlayers.length === 0) {
       // No players left — mark room as finished
       await GameRooms.updateAsync(roomId, {
         $set: { status: RoomStatus.FINISHED, finishedAt: new Date() },
@@ -155,23 +314,30 @@ Meteor.methods({
       // Host leaving — migrate host to next player (works in any status)
       await GameRooms.updateAsync(roomId, {
         $set: { hostId: remainingPlayers[0].userId },
-        $pull: { players: { userId: this.userId } },
+        $pull: { players: { userId: this.userId }, localGuests: { userId: this.userId } },
       });
     } else {
       // Non-host leaves
       await GameRooms.updateAsync(roomId, {
-        $pull: { players: { userId: this.userId } },
+        $pull: { players: { userId: this.userId }, localGuests: { userId: this.userId } },
       });
     }
+
+    // The players still waiting on a rematch may only have been waiting for us
+    if (playerInRoom && remainingPlayers.length > 0 && room.status === RoomStatus.FINISHED) {
+      await GameRooms.updateAsync(roomId, { $pull: { rematchVotes: this.userId } });
+      await startRematchIfAgreed(roomId);
+    }
   },
 
-  // Heartbeat — update room's lastActiveAt timestamp
+  // Heartbeat — update room's lastActiveAt timestamp (players) or the
+  // spectator's lastSeenAt (spectators don't keep an abandoned room alive)
   async 'rooms.touch'(roomId) {
     check(roomId, String);
     if (!this.userId) {
       throw new Meteor.Error('not-authorized', 'You must be logged in');
     }
-    const result = await GameRooms.updateAsync(
+    let result = await GameRooms.updateAsync(
       {
         _id: roomId,
         'players.userId': this.userId,
@@ -179,6 +345,16 @@ Meteor.methods({
       },
       { $set: { lastActiveAt: new Date() } }
     );
+    if (result === 0) {
+      result = await GameRooms.updateAsync(
+        {
+          _id: roomId,
+          'spectators.userId': this.userId,
+          status: { $in: ACTIVE_STATUSES },
+        },
+        { $set: { 'spectators.$.lastSeenAt': new Date() } }
+      );
+    }
     if (result === 0) {
       throw new Meteor.Error('room-not-found', 'Room not found or no longer active');
     }
@@ -228,14 +404,54 @@ Meteor.methods({
     }
 
     const playerInRoom = room.players.some(p => p.userId === this.userId);
-    if (!playerInRoom) {
+    const spectating = (room.spectators || []).some(s => s.userId === this.userId);
+    if (!playerInRoom && !spectating) {
       throw new Meteor.Error('not-in-room', 'You are not in this room');
     }
 
-    await GameRooms.updateAsync(
-      { _id: roomId, 'players.userId': this.userId },
-      { $set: { 'players.$.peerJsId': peerJsId } }
-    );
+    if (playerInRoom) {
+      await GameRooms.updateAsync(
+        { _id: roomId, 'players.userId': this.userId },
+        { $set: { 'players.$.peerJsId': peerJsId } }
+      );
+    } else {
+      await GameRooms.updateAsync(
+        { _id: roomId, 'spectators.userId': this.userId },
+        { $set: { 'spectators.$.peerJsId': peerJsId } }
+      );
+    }
+  },
+
+  /**
+   * Issue a short-lived token for the geckos.io relay. Only players and
+   * spectators listed in an active room get one, bound to the PeerJS ID they
+   * registered.
+   *
+   * @param {string} roomId
+   * @returns {string} signed relay token
+   */
+  async 'rooms.relayToken'(roomId) {
+    check(roomId, String);
+
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    const room = await GameRooms.findOneAsync({ _id: roomId, status: { $in: ACTIVE_STATUSES } });
+    if (!room) {
+      throw new Meteor.Error('not-found', 'Room not found');
+    }
+
+    const member = room.players.find(p => p.userId === this.userId)
+      ?? (room.spectators || []).find(s => s.userId === this.userId);
+    if (!member) {
+      throw new Meteor.Error('not-in-room', 'You are not in this room');
+    }
+    if (!member.peerJsId) {
+      throw new Meteor.Error('no-peer-id', 'Register a PeerJS ID before using the relay');
+    }
+
+    return issueRelayToken({ roomId, userId: this.userId, peerId: member.peerJsId });
   },
 
   // Host starts the game (all players must be ready)
@@ -259,8 +475,9 @@ Meteor.methods({
       throw new Meteor.Error('room-not-waiting', 'Room is not in waiting state');
     }
 
-    if (room.players.length < 2) {
-      throw new Meteor.Error('not-enough-players', 'Need at least 2 players to start');
+    // Bots make up the numbers for a host playing alone
+    if (room.players.length < 2 && !(room.settings?.bots > 0)) {
+      throw new Meteor.Error('not-enough-players', 'Need at least 2 players (or some bots) to start');
     }
 
     // Check all non-host players are ready
@@ -269,11 +486,8 @@ Meteor.methods({
       throw new Meteor.Error('players-not-ready', 'All players must be ready before starting');
     }
 
-    // Check all players have PeerJS IDs
-    const allHavePeerIds = room.players.every(p => p.peerJsId);
-    if (!allHavePeerIds) {
-      throw new Meteor.Error('peers-not-ready', 'Not all players have established peer connections');
-    }
+    // No PeerJS check here: lobby players only open WebRTC connections once they
+    // enter the game, where the drop-in path (STATE_SYNC from the authority) syncs them.
 
     await GameRooms.updateAsync(roomId, {
       $set: {
@@ -283,16 +497,199 @@ Meteor.methods({
     });
   },
 
-  // Report game results when finished
+  /**
+   * Enter a started lobby room's game. The first player in flips the room to
+   * PLAYING; the lowest slot starts the simulation and everyone else drops in.
+   *
+   * @param {string} roomId
+   * @returns {{ roomId: string, playerSlot: number, gameSeed: number, gameMode: string,
+   *   settings: Object, isNewRoom: boolean, authoritySlot: number }}
+   */
+  async 'rooms.enter'(roomId) {
+    check(roomId, String);
+
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    const room = await GameRooms.findOneAsync(roomId);
+    if (!room) {
+      throw new Meteor.Error('not-found', 'Room not found');
+    }
+
+    const player = room.players.find(p => p.userId === this.userId);
+    if (!player) {
+      throw new Meteor.Error('not-in-room', 'You are not in this room');
+    }
+
+    if (room.status !== RoomStatus.STARTING && room.status !== RoomStatus.PLAYING) {
+      throw new Meteor.Error('room-not-started', 'The host has not started this game yet');
+    }
+
+    if (room.status === RoomStatus.STARTING) {
+      await GameRooms.updateAsync(
+        { _id: roomId, status: RoomStatus.STARTING },
+        { $set: { status: RoomStatus.PLAYING, lastActiveAt: new Date() } }
+      );
+    }
+
+    const authoritySlot = Math.min(...room.players.map(p => p.slot));
+
+    return {
+      roomId,
+      playerSlot: player.slot,
+      paletteIndex: player.paletteIndex ?? 0,
+      gameSeed: room.gameSeed,
+      gameMode: room.gameMode,
+      settings: room.settings,
+      isNewRoom: player.slot === authoritySlot,
+      authoritySlot,
+    };
+  },
+
+  /**
+   * Watch a game in progress. Spectators get no slot: they connect to the
+   * players, receive STATE_SYNC plus the confirmed input stream from the
+   * resync authority and run the simulation read-only. Calling again for the
+   * same room (e.g. after a reload) keeps the existing seat. A private lobby
+   * room can only be watched with its join code, as with rooms.joinByCode.
+   *
+   * @param {string} roomId
+   * @param {string} [code] - join code, required for a private room
+   * @returns {{ roomId: string, gameSeed: number, gameMode: string, settings: Object }}
+   */
+  async 'rooms.spectate'(roomId, code) {
+    check(roomId, String);
+    check(code, Match.Optional(String));
+
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in to watch a game');
+    }
+
+    const user = await Meteor.users.findOneAsync(this.userId);
+    if (!user) {
+      throw new Meteor.Error('not-found', 'User not found');
+    }
+
+    const room = await GameRooms.findOneAsync(roomId);
+    if (!room) {
+      throw new Meteor.Error('not-found', 'Room not found');
+    }
+
+    if (room.isPrivate && (code || '').trim().toUpperCase() !== room.joinCode) {
+      throw new Meteor.Error('join-code-required', 'This room can only be watched with its code');
+    }
+
+    if (room.status !== RoomStatus.STARTING && room.status !== RoomStatus.PLAYING) {
+      throw new Meteor.Error('room-not-started', 'This game is not in progress');
+    }
+
+    if (room.players.some(p => p.userId === this.userId)) {
+      throw new Meteor.Error('already-in-room', 'You are playing in this room');
+    }
+
+    const spectators = room.spectators || [];
+    const alreadyWatching = spectators.some(s => s.userId === this.userId);
+    if (!alreadyWatching) {
+      const staleBefore = new Date(Date.now() - SPECTATOR_STALE_MS);
+      const activeSpectators = spectators.filter(s => s.lastSeenAt >= staleBefore);
+      if (activeSpectators.length >= MAX_SPECTATORS) {
+        throw new Meteor.Error('spectators-full', 'This game already has the maximum number of spectators');
+      }
+      if (activeSpectators.length < spectators.length) {
+        await GameRooms.updateAsync(roomId, {
+          $pull: { spectators: { lastSeenAt: { $lt: staleBefore } } },
+        });
+      }
+
+      await GameRooms.updateAsync(roomId, {
+        $push: {
+          spectators: {
+            userId: this.userId,
+            username: user.username || 'Anonymous',
+            peerJsId: null,
+            lastSeenAt: new Date(),
+          },
+        },
+      });
+    }
+
+    return {
+      roomId,
+      gameSeed: room.gameSeed,
+      gameMode: room.gameMode,
+      settings: room.settings,
+    };
+  },
+
+  /**
+   * Seat a couch co-op guest on the caller's machine. The guest takes the
+   * next free human slot and shares the caller's connection; it leaves the
+   * room when the caller does.
+   *
+   * @param {string} roomId
+   * @param {number} paletteIndex - guest's color palette
+   * @returns {{ slot: number }}
+   */
+  async 'rooms.addLocalGuest'(roomId, paletteIndex) {
+    check(roomId, String);
+    check(paletteIndex, PaletteIndex);
+
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    const room = await GameRooms.findOneAsync(roomId);
+    if (!room) {
+      throw new Meteor.Error('not-found', 'Room not found');
+    }
+
+    if (!room.players.some(p => p.userId === this.userId)) {
+      throw new Meteor.Error('not-in-room', 'You are not in this room');
+    }
+
+    if (room.status !== RoomStatus.STARTING && room.status !== RoomStatus.PLAYING) {
+      throw new Meteor.Error('room-not-started', 'This game is not in progress');
+    }
+
+    const localGuests = room.localGuests || [];
+    if (localGuests.filter(g => g.userId === this.userId).length >= MAX_LOCAL_GUESTS) {
+      throw new Meteor.Error('too-many-guests', 'No more local players can join from this machine');
+    }
+
+    if (occupiedSlots(room).length >= room.maxPlayers) {
+      throw new Meteor.Error('room-full', 'This room is full');
+    }
+
+    // Only take the slot if nobody grabbed it since we read the room
+    const slot = nextFreeSlot(room);
+    const updated = await GameRooms.updateAsync(
+      { _id: roomId, 'players.slot': { $ne: slot }, 'localGuests.slot': { $ne: slot } },
+      {
+        $push: { localGuests: { userId: this.userId, slot, paletteIndex } },
+        $set: { lastActiveAt: new Date() },
+      }
+    );
+    if (updated === 0) {
+      throw new Meteor.Error('room-full', 'This room is full');
+    }
+
+    return { slot };
+  },
+
+  // Report game results when finished, and keep them in the match history
   async 'rooms.reportResult'(roomId, results) {
     check(roomId, String);
     check(results, {
       winnerId: Match.Optional(String),
+      waveReached: Match.Optional(Match.Integer),
       scores: Match.Optional([{
         userId: String,
+        slot: Match.Optional(Match.Integer),
         score: Match.Integer,
         kills: Match.Integer,
         deaths: Match.Integer,
+        stats: Match.Optional(MatchStatsPattern),
       }]),
     });
 
@@ -314,12 +711,49 @@ Meteor.methods({
       throw new Meteor.Error('invalid-state', 'Game is not in progress');
     }
 
+    // Only the report that finishes the game goes into the history
+    const finishedAt = new Date();
+    const updated = await GameRooms.updateAsync(
+      { _id: roomId, status: { $in: [RoomStatus.STARTING, RoomStatus.PLAYING] } },
+      {
+        $set: {
+          status: RoomStatus.FINISHED,
+          finishedAt,
+          results,
+        },
+      }
+    );
+    if (updated > 0) {
+      await MatchHistory.insertAsync(buildMatchHistory(room, results, finishedAt));
+    }
+  },
+
+  // Vote to play the finished game again with the same room and peers.
+  // Returns { started: true } for the vote that completes the rematch.
+  async 'rooms.rematch'(roomId) {
+    check(roomId, String);
+
+    if (!this.userId) {
+      throw new Meteor.Error('not-authorized', 'You must be logged in');
+    }
+
+    const room = await GameRooms.findOneAsync(roomId);
+    if (!room) {
+      throw new Meteor.Error('not-found', 'Room not found');
+    }
+
+    if (!room.players.some(p => p.userId === this.userId)) {
+      throw new Meteor.Error('not-in-room', 'You are not in this room');
+    }
+
+    if (room.status !== RoomStatus.FINISHED) {
+      throw new Meteor.Error('invalid-state', 'The game is not over');
+    }
+
     await GameRooms.updateAsync(roomId, {
-      $set: {
-        status: RoomStatus.FINISHED,
-        finishedAt: new Date(),
-        results,
-      },
+      $addToSet: { rematchVotes: this.userId },
+      $set: { lastActiveAt: new Date() },
     });
+    return { started: await startRematchIfAgreed(roomId) };
   },
 });
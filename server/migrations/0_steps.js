@@ -2,6 +2,7 @@ import { Migrations } from 'meteor/quave:migrations';
 
 // Import migration steps
 import './1_create_used_nonces_ttl_index.js';
+import './2_high_score_periods.js';
 
 // Run migrations on startup
 Migrations.migrateTo('latest');
@@ -0,0 +1,25 @@
+import { Migrations } from 'meteor/quave:migrations';
+import { HighScores } from '../../imports/lib/collections/highScores.js';
+
+Migrations.add({
+  version: 2,
+  name: 'Make existing HighScores rows the all-time leaderboard rows',
+  async up() {
+    const rawCollection = HighScores.rawCollection();
+
+    // Rows from before daily/weekly boards are one per user and mode: their
+    // all-time best, whose wave is also the best wave we know of
+    const result = await rawCollection.updateMany(
+      { period: { $exists: false } },
+      [{ $set: { window: 'all', period: 'all', bestWave: '$waveReached', bestWaveAt: '$createdAt' } }]
+    );
+
+    console.log(`Marked ${result.modifiedCount} HighScores row(s) as all-time`);
+  },
+  async down() {
+    const rawCollection = HighScores.rawCollection();
+    await rawCollection.deleteMany({ period: { $ne: 'all' } });
+    await rawCollection.updateMany({}, { $unset: { window: '', period: '', bestWave: '', bestWaveAt: '' } });
+    console.log('Dropped daily/weekly HighScores rows');
+  }
+});
@@ -1,12 +1,27 @@
 import { Meteor } from 'meteor/meteor';
 import { check, Match } from 'meteor/check';
 import { HighScores } from '../../imports/lib/collections/highScores.js';
+import {
+  LEADERBOARDS, LEADERBOARD_PAGE_SIZE, MAX_LEADERBOARD_PAGE, ScoreWindow, boardQuery, boardSort,
+} from '../../imports/game/leaderboards.js';
 
-// Publish top 10 high scores, optionally filtered by game mode
+// Fields a leaderboard row shows (no userId)
+const BOARD_FIELDS = {
+  username: 1,
+  score: 1,
+  gameMode: 1,
+  waveReached: 1,
+  createdAt: 1,
+  window: 1,
+  bestWave: 1,
+  bestWaveAt: 1,
+};
+
+// Publish top 10 all-time high scores, optionally filtered by game mode
 Meteor.publish('highScores.top10', function (gameMode) {
   check(gameMode, Match.Optional(String));
 
-  const query = {};
+  const query = { period: ScoreWindow.ALL };
   if (gameMode) {
     query.gameMode = gameMode;
   }
@@ -23,3 +38,19 @@ Meteor.publish('highScores.top10', function (gameMode) {
     },
   });
 });
+
+// Publish one page of a leaderboard (imports/game/leaderboards.js), best
+// first, optionally filtered by game mode. One row past the page comes along
+// so the client knows whether there is another page.
+Meteor.publish('highScores.board', function (board, page, gameMode) {
+  check(board, Match.Where((val) => LEADERBOARDS.includes(val)));
+  check(page, Match.Where((val) => Match.test(val, Match.Integer) && val >= 0 && val <= MAX_LEADERBOARD_PAGE));
+  check(gameMode, Match.Optional(String));
+
+  return HighScores.find(boardQuery(board, { now: new Date(), gameMode }), {
+    sort: boardSort(board),
+    skip: page * LEADERBOARD_PAGE_SIZE,
+    limit: LEADERBOARD_PAGE_SIZE + 1,
+    fields: BOARD_FIELDS,
+  });
+});
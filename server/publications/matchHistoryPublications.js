@@ -0,0 +1,33 @@
+import { Meteor } from 'meteor/meteor';
+import { check, Match } from 'meteor/check';
+import { MatchHistory, MATCH_HISTORY_PAGE_SIZE } from '../../imports/lib/collections/matchHistory.js';
+
+// Publish one page of a player's match history, newest first. One match past
+// the page comes along so the client knows whether there is an older page.
+Meteor.publish('matchHistory.forUser', function (userId, page) {
+  check(userId, String);
+  check(page, Match.Where((val) => Match.test(val, Match.Integer) && val >= 0));
+
+  if (!this.userId) {
+    return this.ready();
+  }
+
+  return MatchHistory.find(
+    { 'participants.userId': userId },
+    {
+      sort: { finishedAt: -1 },
+      skip: page * MATCH_HISTORY_PAGE_SIZE,
+      limit: MATCH_HISTORY_PAGE_SIZE + 1,
+      fields: {
+        round: 1,
+        gameMode: 1,
+        settings: 1,
+        finishedAt: 1,
+        durationMs: 1,
+        waveReached: 1,
+        winnerId: 1,
+        participants: 1,
+      },
+    }
+  );
+});
@@ -2,14 +2,15 @@ import { Meteor } from 'meteor/meteor';
 import { check } from 'meteor/check';
 import { GameRooms, RoomStatus } from '../../imports/lib/collections/gameRooms.js';
 
-// Publish all rooms with status 'waiting' (for lobby browser)
+// Publish all public rooms with status 'waiting' (for lobby browser).
+// Private lobby rooms are reachable only through their join code.
 Meteor.publish('rooms.lobby', function () {
   if (!this.userId) {
     return this.ready();
   }
 
   return GameRooms.find(
-    { status: RoomStatus.WAITING },
+    { status: RoomStatus.WAITING, isPrivate: { $ne: true } },
     {
       fields: {
         hostId: 1,
@@ -25,7 +26,7 @@ Meteor.publish('rooms.lobby', function () {
   );
 });
 
-// Publish reactive room data for a specific room (joined players)
+// Publish reactive room data for a specific room (joined players and spectators)
 // Includes PeerJS IDs, ready states, status changes
 Meteor.publish('rooms.current', function (roomId) {
   check(roomId, String);
@@ -37,12 +38,16 @@ Meteor.publish('rooms.current', function (roomId) {
   return GameRooms.find(
     {
       _id: roomId,
-      'players.userId': this.userId,
+      $or: [{ 'players.userId': this.userId }, { 'spectators.userId': this.userId }],
     },
     {
       fields: {
         hostId: 1,
+        gameMode: 1,
+        joinCode: 1,
         players: 1,
+        spectators: 1,
+        localGuests: 1,
         status: 1,
         maxPlayers: 1,
         settings: 1,
@@ -51,6 +56,8 @@ Meteor.publish('rooms.current', function (roomId) {
         startedAt: 1,
         finishedAt: 1,
         results: 1,
+        rematchVotes: 1,
+        round: 1,
       },
     }
   );
@@ -27,6 +27,41 @@ DDPRateLimiter.addRule({
   userId: () => true
 }, 10, 10000);
 
+// Limit join-by-code: 5 calls per 10 seconds per user (slows code guessing)
+DDPRateLimiter.addRule({
+  type: 'method',
+  name: 'rooms.joinByCode',
+  userId: () => true
+}, 5, 10000);
+
+// Limit spectating: 5 calls per 10 seconds per user
+DDPRateLimiter.addRule({
+  type: 'method',
+  name: 'rooms.spectate',
+  userId: () => true
+}, 5, 10000);
+
+// Limit couch co-op guests: 5 calls per 10 seconds per user
+DDPRateLimiter.addRule({
+  type: 'method',
+  name: 'rooms.addLocalGuest',
+  userId: () => true
+}, 5, 10000);
+
+// Limit game entry: 5 calls per 10 seconds per user
+DDPRateLimiter.addRule({
+  type: 'method',
+  name: 'rooms.enter',
+  userId: () => true
+}, 5, 10000);
+
+// Limit host start: 5 calls per 10 seconds per user
+DDPRateLimiter.addRule({
+  type: 'method',
+  name: 'rooms.start',
+  userId: () => true
+}, 5, 10000);
+
 // Limit ready toggles: 10 calls per 10 seconds per user
 DDPRateLimiter.addRule({
   type: 'method',
@@ -34,6 +69,20 @@ DDPRateLimiter.addRule({
   userId: () => true
 }, 10, 10000);
 
+// Limit relay tokens: 5 calls per 10 seconds per user
+DDPRateLimiter.addRule({
+  type: 'method',
+  name: 'rooms.relayToken',
+  userId: () => true
+}, 5, 10000);
+
+// Limit relay stats: 5 calls per 10 seconds per user
+DDPRateLimiter.addRule({
+  type: 'method',
+  name: 'relay.stats',
+  userId: () => true
+}, 5, 10000);
+
 // Limit room heartbeat: 2 calls per 60 seconds per user
 DDPRateLimiter.addRule({
   type: 'method',
@@ -62,9 +111,32 @@ DDPRateLimiter.addRule({
   userId: () => true
 }, 5, 10000);
 
-// Limit high score submissions: 5 calls per 10 seconds per user
+// Limit daily best lookups: 5 calls per 10 seconds per user
+DDPRateLimiter.addRule({
+  type: 'method',
+  name: 'highScores.myDailyBest',
+  userId: () => true
+}, 5, 10000);
+
+// Limit leaderboard rank lookups: 5 calls per 10 seconds per user
+DDPRateLimiter.addRule({
+  type: 'method',
+  name: 'highScores.myRank',
+  userId: () => true
+}, 5, 10000);
+
+// Limit high score submissions: 2 calls per 10 seconds per user
+// (each accepted submission re-simulates the uploaded replay)
 DDPRateLimiter.addRule({
   type: 'method',
   name: 'highScores.submit',
   userId: () => true
+}, 2, 10000);
+
+// Limit profile lookups: 5 calls per 10 seconds per user
+// (each one aggregates the player's whole match history)
+DDPRateLimiter.addRule({
+  type: 'method',
+  name: 'matchHistory.profile',
+  userId: () => true
 }, 5, 10000);
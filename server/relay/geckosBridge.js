@@ -2,56 +2,181 @@
 // Attaches to Meteor's HTTP server
 // Routes messages between players in the same game room
 // Only used when P2P connections fail (~15% of players behind restrictive NATs)
+//
+// Every channel must present a relay token from rooms.relayToken (see
+// relayTokens.js). The token fixes the channel's room, user and PeerJS ID;
+// packets only ever go to other channels in that same room.
+// Each channel's outgoing packets pass through a RelayLimiter (size cap per
+// MessageType, packet and byte token buckets); drops are counted and
+// reported by getRelayStats(), which admins read through relay.stats.
 
+import { Meteor } from 'meteor/meteor';
 import { WebApp } from 'meteor/webapp';
+import { GameRooms, RoomStatus } from '../../imports/lib/collections/gameRooms.js';
+import { RelayLimiter, createDropCounters } from '../../imports/netcode/RelayLimiter.js';
+import { verifyRelayToken } from './relayTokens.js';
 
 const PEER_ID_LENGTH = 16;
 
+// How often open channels are re-checked against GameRooms.players
+const MEMBERSHIP_CHECK_INTERVAL = 30 * 1000;
+
+const ACTIVE_STATUSES = [RoomStatus.WAITING, RoomStatus.STARTING, RoomStatus.PLAYING];
+
 // Track active relay connections per room
-// roomId -> Map<userId, channel>
+// roomId -> Map<peerId, { userId, channel, limiter }>
 const roomChannels = new Map();
 
+// Set once initGeckosRelay() has attached to the HTTP server
+let relayStarted = false;
+
+// Totals since server start, including channels that have since closed
+const totals = {
+  channelsOpened: 0,
+  channelsRejected: 0,
+  forwarded: 0,
+  forwardedBytes: 0,
+  dropped: createDropCounters(),
+};
+
+/**
+ * Server-side relay statistics: lifetime totals plus a per-channel breakdown
+ * of everything currently connected.
+ * @returns {{ totals: Object, rooms: Object<string, Array> }}
+ */
+export function getRelayStats() {
+  const rooms = {};
+  for (const [roomId, room] of roomChannels) {
+    rooms[roomId] = [];
+    for (const [peerId, { userId, limiter }] of room) {
+      rooms[roomId].push({
+        peerId,
+        userId,
+        forwarded: limiter.forwarded,
+        forwardedBytes: limiter.forwardedBytes,
+        dropped: { ...limiter.dropped },
+      });
+    }
+  }
+  return {
+    totals: { ...totals, dropped: { ...totals.dropped } },
+    rooms,
+  };
+}
+
+/**
+ * Check a relay token and that its player or spectator is still in the (active) room.
+ * @param {string} token
+ * @returns {Promise<Object|null>} { roomId, userId, peerId } or null
+ */
+async function authorizeRelayChannel(token) {
+  const verified = verifyRelayToken(token);
+  let auth = null;
+  if (verified.valid) {
+    const room = await GameRooms.findOneAsync({
+      _id: verified.roomId,
+      status: { $in: ACTIVE_STATUSES },
+      $or: [{ 'players.userId': verified.userId }, { 'spectators.userId': verified.userId }],
+    }, { fields: { _id: 1 } });
+    if (room) {
+      auth = { roomId: verified.roomId, userId: verified.userId, peerId: verified.peerId };
+    }
+  } else {
+    console.warn('[GeckosBridge] Rejected relay connection:', verified.error);
+  }
+  if (!auth) {
+    totals.channelsRejected++;
+  }
+  return auth;
+}
+
+// Header IDs are truncated to PEER_ID_LENGTH bytes, so compare on that prefix
+function headerKey(peerId) {
+  return decodePeerId(encodePeerId(peerId));
+}
+
+function removeChannel(roomId, peerId, channel) {
+  const room = roomChannels.get(roomId);
+  // A reconnect may already have replaced this entry — leave the new one alone
+  if (room && room.get(peerId)?.channel === channel) {
+    room.delete(peerId);
+    if (room.size === 0) {
+      roomChannels.delete(roomId);
+    }
+  }
+}
+
+// Close channels whose player or spectator left the room or whose room has ended
+async function closeStaleChannels() {
+  for (const [roomId, room] of roomChannels) {
+    const doc = await GameRooms.findOneAsync(
+      { _id: roomId, status: { $in: ACTIVE_STATUSES } },
+      { fields: { 'players.userId': 1, 'spectators.userId': 1 } }
+    );
+    const members = new Set([...(doc?.players || []), ...(doc?.spectators || [])].map(p => p.userId));
+    for (const [peerId, entry] of room) {
+      if (!members.has(entry.userId)) {
+        removeChannel(roomId, peerId, entry.channel);
+        entry.channel.close();
+      }
+    }
+  }
+}
+
+/**
+ * Attach the relay to Meteor's HTTP server. Later calls do nothing, so tests
+ * can make sure the relay is up whether or not server/main.js started it.
+ */
 export function initGeckosRelay() {
+  if (relayStarted) {
+    return;
+  }
   let io;
 
   try {
     // Dynamic import — geckos.io/server is only needed if relay is used
     const geckos = require('@geckos.io/server').default;
-    io = geckos();
+    io = geckos({
+      // Runs before a channel exists; false answers the handshake with 401.
+      // The returned object becomes channel.userData.
+      authorization: async (token) => {
+        const auth = await authorizeRelayChannel(token);
+        return auth || false;
+      },
+    });
   } catch (err) {
     console.warn('[GeckosBridge] @geckos.io/server not available, relay disabled:', err.message);
     return;
   }
 
   io.addServer(WebApp.httpServer);
+  relayStarted = true;
 
   io.onConnection((channel) => {
-    let roomId = null;
-    let userId = null;
-
-    // Parse authorization metadata
-    try {
-      const auth = typeof channel.userData === 'string'
-        ? JSON.parse(channel.userData || '{}')
-        : (channel.userData || {});
-      roomId = auth.roomId;
-      userId = auth.userId;
-    } catch (err) {
-      console.error('[GeckosBridge] Failed to parse auth:', err);
-      channel.close();
-      return;
-    }
+    const { roomId, userId, peerId } = channel.userData || {};
 
-    if (!roomId || !userId) {
+    if (!roomId || !userId || !peerId) {
       channel.close();
       return;
     }
 
-    // Register this channel for the room
+    // Register this channel for the room, replacing any older channel of the same user
     if (!roomChannels.has(roomId)) {
       roomChannels.set(roomId, new Map());
     }
-    roomChannels.get(roomId).set(userId, channel);
+    const room = roomChannels.get(roomId);
+    for (const [otherPeerId, entry] of room) {
+      if (entry.userId === userId) {
+        room.delete(otherPeerId);
+        entry.channel.close();
+      }
+    }
+    const limiter = new RelayLimiter();
+    room.set(peerId, { userId, channel, limiter });
+    totals.channelsOpened++;
+
+    const senderIdBytes = encodePeerId(peerId);
+    let warnedAboutDrops = false;
 
     // Handle raw binary messages
     // Message format: [targetPeerId(16B), payload]
@@ -67,25 +192,33 @@ export function initGeckosRelay() {
       // Extract payload
       const payload = data.slice(PEER_ID_LENGTH);
 
-      // Find target channel in this room
-      const room = roomChannels.get(roomId);
-      if (!room) {
+      const dropReason = limiter.check(payload);
+      if (dropReason) {
+        totals.dropped[dropReason]++;
+        if (!warnedAboutDrops) {
+          warnedAboutDrops = true;
+          console.warn(`[GeckosBridge] Dropping packets from ${userId} in room ${roomId}: ${dropReason}`);
+        }
+        return;
+      }
+      totals.forwarded++;
+      totals.forwardedBytes += payload.byteLength;
+
+      // Only peers registered in the sender's own room are reachable
+      const peers = roomChannels.get(roomId);
+      if (!peers) {
         return;
       }
 
-      // Find the channel by peer ID
-      // The target peer ID from the header maps to a userId
-      // We iterate room channels to find the match
-      for (const [otherUserId, otherChannel] of room) {
-        if (otherUserId === targetPeerId || otherChannel.id === targetPeerId) {
-          // Prepend sender's user ID so recipient knows who it's from
-          const senderIdBytes = encodePeerId(userId);
+      for (const [otherPeerId, entry] of peers) {
+        if (otherPeerId !== peerId && headerKey(otherPeerId) === targetPeerId) {
+          // Prepend sender's peer ID (from its token) so recipient knows who it's from
           const forwarded = new ArrayBuffer(PEER_ID_LENGTH + payload.byteLength);
           const forwardedView = new Uint8Array(forwarded);
           forwardedView.set(senderIdBytes, 0);
           forwardedView.set(new Uint8Array(payload), PEER_ID_LENGTH);
 
-          otherChannel.raw.emit(forwarded);
+          entry.channel.raw.emit(forwarded);
           break;
         }
       }
@@ -93,16 +226,16 @@ export function initGeckosRelay() {
 
     // Clean up on disconnect
     channel.onDisconnect(() => {
-      const room = roomChannels.get(roomId);
-      if (room) {
-        room.delete(userId);
-        if (room.size === 0) {
-          roomChannels.delete(roomId);
-        }
-      }
+      removeChannel(roomId, peerId, channel);
     });
   });
 
+  Meteor.setInterval(() => {
+    closeStaleChannels().catch((err) => {
+      console.error('[GeckosBridge] Membership check failed:', err);
+    });
+  }, MEMBERSHIP_CHECK_INTERVAL);
+
   console.log('[GeckosBridge] Relay server initialized');
 }
 
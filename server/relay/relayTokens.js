@@ -0,0 +1,72 @@
+// Short-lived signed tokens for geckos.io relay connections.
+// Issued by the rooms.relayToken method to players listed in the room, and
+// checked by geckosBridge before a channel may send or receive anything.
+// The token pins the channel to one room, user and PeerJS ID, so a client
+// can't claim to be someone else or listen in on another room.
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { Meteor } from 'meteor/meteor';
+
+// Long enough to finish the WebRTC handshake, short enough that a leaked
+// token is useless by the time anyone could replay it
+export const RELAY_TOKEN_TTL_SECONDS = 60;
+
+const RELAY_TOKEN_AUDIENCE = 'talon-lance-relay';
+
+// Used when settings.private.relayTokenSecret is absent. Fine for a single
+// server process (the relay runs in the same process that issues tokens);
+// multi-instance deployments must configure a shared secret.
+let generatedSecret = null;
+
+function getRelaySecret() {
+  const configured = Meteor.settings.private?.relayTokenSecret;
+  if (!configured && !generatedSecret) {
+    generatedSecret = crypto.randomBytes(32).toString('hex');
+  }
+  return configured || generatedSecret;
+}
+
+/**
+ * @param {{ roomId: string, userId: string, peerId: string }} claims
+ * @returns {string} signed token
+ */
+export function issueRelayToken({ roomId, userId, peerId }) {
+  return jwt.sign({ roomId, userId, peerId }, getRelaySecret(), {
+    algorithm: 'HS256',
+    audience: RELAY_TOKEN_AUDIENCE,
+    expiresIn: RELAY_TOKEN_TTL_SECONDS,
+  });
+}
+
+/**
+ * Verify a relay token.
+ * @param {string} token
+ * @returns {Object} { valid: true, roomId, userId, peerId } or { valid: false, error }
+ */
+export function verifyRelayToken(token) {
+  let result;
+  if (!token || typeof token !== 'string') {
+    result = { valid: false, error: 'no_token' };
+  } else {
+    try {
+      const decoded = jwt.verify(token, getRelaySecret(), {
+        algorithms: ['HS256'],
+        audience: RELAY_TOKEN_AUDIENCE,
+      });
+      const claimsOk = [decoded.roomId, decoded.userId, decoded.peerId]
+        .every(value => typeof value === 'string' && value.length > 0);
+      result = claimsOk
+        ? {
+          valid: true,
+          roomId: decoded.roomId,
+          userId: decoded.userId,
+          peerId: decoded.peerId,
+        }
+        : { valid: false, error: 'invalid_claims' };
+    } catch (error) {
+      result = { valid: false, error: error.name === 'TokenExpiredError' ? 'token_expired' : 'invalid_signature' };
+    }
+  }
+  return result;
+}
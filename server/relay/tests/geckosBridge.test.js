@@ -0,0 +1,170 @@
+// Relay integration tests.
+// Starts the geckos.io relay on the test server's HTTP port and drives it with
+// scripted geckos.io clients (WebRTC from node-datachannel's polyfill): token
+// authorization, routing that never leaves a room, and rate-limit drops as
+// getRelayStats() reports them.
+
+import assert from 'assert';
+import { Random } from 'meteor/random';
+import { WebApp } from 'meteor/webapp';
+import { RTCPeerConnection, RTCSessionDescription, RTCIceCandidate } from 'node-datachannel/polyfill';
+import { GameRooms, RoomStatus, GameMode } from '../../../imports/lib/collections/gameRooms.js';
+import { MessageType } from '../../../imports/netcode/InputEncoder.js';
+import { RELAY_LIMITS } from '../../../imports/netcode/RelayLimiter.js';
+import { initGeckosRelay, getRelayStats } from '../geckosBridge.js';
+import { issueRelayToken } from '../relayTokens.js';
+
+const PEER_ID_LENGTH = 16;
+
+// Same [peerId(16B), payload] framing as GeckosTransport
+function frame(peerId, payload) {
+  const bytes = new Uint8Array(PEER_ID_LENGTH + payload.length);
+  for (let i = 0; i < Math.min(peerId.length, PEER_ID_LENGTH); i++) {
+    bytes[i] = peerId.charCodeAt(i);
+  }
+  bytes.set(payload, PEER_ID_LENGTH);
+  return bytes.buffer;
+}
+
+function senderOf(data) {
+  return String.fromCharCode(...new Uint8Array(data, 0, PEER_ID_LENGTH)).replace(/\0+$/, '');
+}
+
+// A checksum message: the smallest thing a peer sends every second
+function checksumPayload(size = 9) {
+  const payload = new Uint8Array(size);
+  payload[0] = MessageType.CHECKSUM;
+  return payload;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function waitFor(condition, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for the relay');
+    }
+    await sleep(20);
+  }
+}
+
+function channelStats(roomId, peerId) {
+  return (getRelayStats().rooms[roomId] || []).find(entry => entry.peerId === peerId);
+}
+
+describe('geckos.io relay', function () {
+  this.timeout(20000);
+
+  let geckos = null;
+  let port = 0;
+  const roomA = Random.id();
+  const roomB = Random.id();
+  const clients = [];
+
+  // Resolves once the handshake is answered: { channel, error, received }
+  function connect(token) {
+    return new Promise((resolve) => {
+      const channel = geckos({ url: 'http://127.0.0.1', port, authorization: token });
+      const client = { channel, error: null, received: [] };
+      clients.push(client);
+      channel.onRaw((data) => client.received.push(data));
+      channel.onConnect((error) => {
+        client.error = error || null;
+        resolve(client);
+      });
+    });
+  }
+
+  async function connectPeer(roomId, userId, peerId) {
+    const client = await connect(issueRelayToken({ roomId, userId, peerId }));
+    assert.strictEqual(client.error, null);
+    await waitFor(() => channelStats(roomId, peerId));
+    return client;
+  }
+
+  before(async function () {
+    Object.assign(globalThis, { RTCPeerConnection, RTCSessionDescription, RTCIceCandidate });
+    geckos = (await import('@geckos.io/client')).default;
+    initGeckosRelay();
+    port = WebApp.httpServer.address().port;
+
+    const room = (roomId, userIds) => ({
+      _id: roomId,
+      gameMode: GameMode.TEAM_PLAY,
+      status: RoomStatus.PLAYING,
+      players: userIds.map((userId, slot) => ({ userId, username: userId, slot, paletteIndex: slot })),
+      spectators: [],
+      lastActiveAt: new Date(),
+    });
+    await GameRooms.insertAsync(room(roomA, ['relay-alice', 'relay-bob']));
+    await GameRooms.insertAsync(room(roomB, ['relay-carol']));
+  });
+
+  after(async function () {
+    for (const { channel, error } of clients) {
+      if (!error) {
+        channel.close();
+      }
+    }
+    await GameRooms.removeAsync({ _id: { $in: [roomA, roomB] } });
+  });
+
+  it('refuses a channel without a valid token for a player in the room', async function () {
+    const rejectedBefore = getRelayStats().totals.channelsRejected;
+
+    const forged = await connect('not-a-token');
+    assert.strictEqual(forged.error.status, 401);
+
+    // A genuine token, but Carol is not in room A
+    const outsider = await connect(issueRelayToken({ roomId: roomA, userId: 'relay-carol', peerId: 'peer-carol' }));
+    assert.strictEqual(outsider.error.status, 401);
+
+    assert.strictEqual(getRelayStats().totals.channelsRejected, rejectedBefore + 2);
+    assert.strictEqual(channelStats(roomA, 'peer-carol'), undefined);
+  });
+
+  it('routes within a room and never across rooms', async function () {
+    const alice = await connectPeer(roomA, 'relay-alice', 'peer-alice');
+    const bob = await connectPeer(roomA, 'relay-bob', 'peer-bob');
+    const carol = await connectPeer(roomB, 'relay-carol', 'peer-carol');
+
+    alice.channel.raw.emit(frame('peer-bob', checksumPayload()));
+    await waitFor(() => bob.received.length > 0);
+    assert.strictEqual(senderOf(bob.received[0]), 'peer-alice');
+    assert.strictEqual(bob.received[0].byteLength, PEER_ID_LENGTH + 9);
+
+    // Carol addresses Bob and Alice addresses Carol: neither crosses rooms
+    carol.channel.raw.emit(frame('peer-bob', checksumPayload()));
+    alice.channel.raw.emit(frame('peer-carol', checksumPayload()));
+    await sleep(500);
+    assert.strictEqual(bob.received.length, 1);
+    assert.strictEqual(carol.received.length, 0);
+  });
+
+  it('drops oversized packets and floods, and counts them per channel', async function () {
+    // Fresh channels (replacing the ones above) with fresh limiters
+    const alice = await connectPeer(roomA, 'relay-alice', 'flood-alice');
+    const bob = await connectPeer(roomA, 'relay-bob', 'flood-bob');
+
+    alice.channel.raw.emit(frame('flood-bob', checksumPayload(100)));
+    const flood = RELAY_LIMITS.packetBurst * 3;
+    for (let i = 0; i < flood; i++) {
+      alice.channel.raw.emit(frame('flood-bob', checksumPayload()));
+    }
+
+    await waitFor(() => channelStats(roomA, 'flood-alice').dropped.packetRate > 0);
+    await sleep(300);
+    const stats = channelStats(roomA, 'flood-alice');
+    assert.strictEqual(stats.dropped.oversize, 1);
+    assert.ok(stats.forwarded < flood, `forwarded ${stats.forwarded} of ${flood}`);
+    assert.ok(bob.received.length <= stats.forwarded);
+    assert.ok(bob.received.every(data => data.byteLength === PEER_ID_LENGTH + 9));
+
+    const { totals } = getRelayStats();
+    assert.ok(totals.dropped.packetRate >= stats.dropped.packetRate);
+    assert.ok(totals.dropped.oversize >= 1);
+  });
+});
@@ -4,15 +4,38 @@ import { Random } from "meteor/random";
 
 // Import game logic tests (pure modules, no Meteor/Babylon deps)
 import "../imports/netcode/tests/InputQueue.test.js";
+import "../imports/netcode/tests/RelayLimiter.test.js";
+import "../imports/netcode/tests/InputDelay.test.js";
+import "../imports/netcode/tests/NetDiagnostics.test.js";
+import "../imports/netcode/tests/StateDelta.test.js";
+import "../imports/netcode/tests/InputWindow.test.js";
+import "../imports/netcode/tests/NetworkConditioner.test.js";
 import "../imports/game/tests/CollisionSystem.test.js";
 import "../imports/game/tests/GameSimulation.test.js";
 import "../imports/game/tests/MultiplayerSync.test.js";
 import "../imports/game/tests/MultiplayerConnectivity.test.js";
 import "../imports/game/tests/LavaTroll.test.js";
+import "../imports/game/tests/Replay.test.js";
+import "../imports/game/tests/Arena.test.js";
+import "../imports/game/tests/Spectator.test.js";
+import "../imports/game/tests/LocalCoop.test.js";
+import "../imports/game/tests/DesyncForensics.test.js";
+import "../imports/game/tests/Soak.test.js";
+import "../imports/game/tests/Bots.test.js";
+import "../imports/game/tests/EnemyProfiles.test.js";
+import "../imports/game/tests/TeamPlay.test.js";
+import "../imports/game/tests/GameEvents.test.js";
+import "../imports/game/tests/MatchStats.test.js";
+import "../imports/game/tests/Leaderboards.test.js";
 
 // Import server modules to ensure methods are registered
 if (Meteor.isServer) {
   require("../server/methods.js");
+  require("../server/methods/roomMethods.js");
+  require("../server/methods/highScoreMethods.js");
+  require("../server/methods/matchHistoryMethods.js");
+  require("../server/methods/relayMethods.js");
+  require("../server/relay/tests/geckosBridge.test.js");
 }
 
 describe("talon-and-lance", function () {
@@ -71,6 +94,156 @@ describe("talon-and-lance", function () {
       });
     });
 
+    describe("Relay Tokens", function () {
+      it("round-trips room, user and peer ID", async function () {
+        const { issueRelayToken, verifyRelayToken } = await import("../server/relay/relayTokens.js");
+        const token = issueRelayToken({ roomId: "room1", userId: "user1", peerId: "peer1" });
+        const result = verifyRelayToken(token);
+        assert.strictEqual(result.valid, true);
+        assert.strictEqual(result.roomId, "room1");
+        assert.strictEqual(result.userId, "user1");
+        assert.strictEqual(result.peerId, "peer1");
+      });
+
+      it("rejects a missing token", async function () {
+        const { verifyRelayToken } = await import("../server/relay/relayTokens.js");
+        assert.strictEqual(verifyRelayToken(undefined).error, "no_token");
+        assert.strictEqual(verifyRelayToken("").error, "no_token");
+      });
+
+      it("rejects a token whose claims were edited", async function () {
+        const { issueRelayToken, verifyRelayToken } = await import("../server/relay/relayTokens.js");
+        const [header, , signature] = issueRelayToken({ roomId: "room1", userId: "user1", peerId: "peer1" }).split(".");
+        const forgedClaims = Buffer.from(JSON.stringify({
+          roomId: "room2", userId: "user1", peerId: "peer1", aud: "talon-lance-relay",
+          exp: Math.floor(Date.now() / 1000) + 60,
+        })).toString("base64url");
+        const result = verifyRelayToken(`${header}.${forgedClaims}.${signature}`);
+        assert.strictEqual(result.valid, false);
+        assert.strictEqual(result.error, "invalid_signature");
+      });
+
+      it("rooms.relayToken rejects unauthenticated users", async function () {
+        try {
+          await Meteor.callAsync("rooms.relayToken", "some-room");
+          assert.fail("Should have thrown an error");
+        } catch (error) {
+          assert.strictEqual(error.error, "not-authorized");
+        }
+      });
+
+      it("rooms.spectate rejects unauthenticated users", async function () {
+        try {
+          await Meteor.callAsync("rooms.spectate", "some-room");
+          assert.fail("Should have thrown an error");
+        } catch (error) {
+          assert.strictEqual(error.error, "not-authorized");
+        }
+      });
+
+      it("rooms.addLocalGuest rejects unauthenticated users", async function () {
+        try {
+          await Meteor.callAsync("rooms.addLocalGuest", "some-room", 1);
+          assert.fail("Should have thrown an error");
+        } catch (error) {
+          assert.strictEqual(error.error, "not-authorized");
+        }
+      });
+
+      it("rooms.rematch rejects unauthenticated users", async function () {
+        try {
+          await Meteor.callAsync("rooms.rematch", "some-room");
+          assert.fail("Should have thrown an error");
+        } catch (error) {
+          assert.strictEqual(error.error, "not-authorized");
+        }
+      });
+
+      it("rooms.create rejects a palette index past the palettes", async function () {
+        try {
+          await Meteor.callAsync("rooms.create", "team", 4);
+          assert.fail("Should have thrown an error");
+        } catch (error) {
+          assert.strictEqual(error.error, 400);
+        }
+      });
+
+      it("rooms.joinByCode rejects a negative palette index", async function () {
+        try {
+          await Meteor.callAsync("rooms.joinByCode", "ABCDEF", -1);
+          assert.fail("Should have thrown an error");
+        } catch (error) {
+          assert.strictEqual(error.error, 400);
+        }
+      });
+
+      it("matchHistory.profile rejects unauthenticated users", async function () {
+        try {
+          await Meteor.callAsync("matchHistory.profile", "some-user");
+          assert.fail("Should have thrown an error");
+        } catch (error) {
+          assert.strictEqual(error.error, "not-authorized");
+        }
+      });
+
+      it("relay.stats rejects unauthenticated users", async function () {
+        try {
+          await Meteor.callAsync("relay.stats");
+          assert.fail("Should have thrown an error");
+        } catch (error) {
+          assert.strictEqual(error.error, "not-authorized");
+        }
+      });
+
+      it("highScores.myRank returns null for unauthenticated users", async function () {
+        const result = await Meteor.callAsync("highScores.myRank", "allTime");
+        assert.strictEqual(result, null);
+      });
+    });
+
+    describe("Private Rooms", function () {
+      const userId = "test-user-spectator";
+      const roomId = Random.id();
+
+      // Call a method as a logged-in user
+      function callAs(name, ...args) {
+        return Meteor.server.method_handlers[name].apply({ userId }, args);
+      }
+
+      before(async function () {
+        const { GameRooms, RoomStatus, GameMode } = await import("../imports/lib/collections/gameRooms.js");
+        await Meteor.users.insertAsync({ _id: userId, username: "watcher" });
+        await GameRooms.insertAsync({
+          _id: roomId,
+          gameMode: GameMode.TEAM_PLAY,
+          status: RoomStatus.PLAYING,
+          isPrivate: true,
+          joinCode: "QWERTY",
+          players: [{ userId: "test-user-host", username: "host", slot: 0, paletteIndex: 0 }],
+          spectators: [],
+          lastActiveAt: new Date(),
+        });
+      });
+
+      after(async function () {
+        const { GameRooms } = await import("../imports/lib/collections/gameRooms.js");
+        await GameRooms.removeAsync(roomId);
+        await Meteor.users.removeAsync(userId);
+      });
+
+      it("rooms.spectate needs the join code of a private room", async function () {
+        try {
+          await callAs("rooms.spectate", roomId);
+          assert.fail("Should have thrown an error");
+        } catch (error) {
+          assert.strictEqual(error.error, "join-code-required");
+        }
+
+        const result = await callAs("rooms.spectate", roomId, "qwerty");
+        assert.strictEqual(result.roomId, roomId);
+      });
+    });
+
     describe("Subscription Checking", function () {
       it("grants access when no products required", async function () {
         const { checkSubscription } = await import("../imports/hub/subscriptions.js");